@@ -1,13 +1,13 @@
 'use client';
 
-import { useState } from 'react';
+import { useEffect, useRef, useState } from 'react';
 import { useRouter } from 'next/navigation';
 import Link from 'next/link';
 import { useForm } from 'react-hook-form';
 import { zodResolver } from '@hookform/resolvers/zod';
 import * as z from 'zod';
 import { toast } from 'sonner';
-import { Shield, Mail, Lock, Loader2 } from 'lucide-react';
+import { Shield, Mail, Lock, Loader2, KeyRound, LogIn } from 'lucide-react';
 
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
@@ -24,11 +24,23 @@ const loginSchema = z.object({
 
 type LoginFormData = z.infer<typeof loginSchema>;
 
+// Second step after the password: enter a code, or set up two-factor authentication first
+type LoginStep = 'credentials' | 'mfa' | 'enroll';
+
 export default function LoginPage() {
   const router = useRouter();
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState('');
+  const [step, setStep] = useState<LoginStep>('credentials');
+  const [mfaToken, setMfaToken] = useState('');
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [enrollment, setEnrollment] = useState<{ secret: string; otpauth_uri: string } | null>(null);
+  const [recoveryCodes, setRecoveryCodes] = useState<string[]>([]);
+  const [pendingLogin, setPendingLogin] = useState<{ token: string; refresh_token: string; user: any } | null>(null);
   const { setAuth } = useAuthStore();
+  const [sso, setSso] = useState<{ enabled: boolean; provider_name: string } | null>(null);
+  const ssoCallbackHandled = useRef(false);
 
   const {
     register,
@@ -46,10 +58,7 @@ export default function LoginPage() {
       const response = await api.auth.login(data.email, data.password);
 
       if (response.data.success) {
-        const { token, user } = response.data.data;
-        setAuth(user, token);
-        toast.success('Login successful!');
-        router.push('/dashboard');
+        await handleLoginResult(response.data.data);
       }
     } catch (err: any) {
       const errorMessage = err.response?.data?.message || 'Login failed. Please try again.';
@@ -60,6 +69,269 @@ export default function LoginPage() {
     }
   };
 
+  // Password and single sign-on logins continue the same way
+  const handleLoginResult = async (result: any) => {
+    if (result.mfa_required) {
+      setMfaToken(result.mfa_token);
+      setStep('mfa');
+    } else if (result.mfa_enrollment_required) {
+      setMfaToken(result.mfa_token);
+      setStep('enroll');
+      const setup = await api.auth.setupMfa(result.mfa_token);
+      setEnrollment(setup.data.data);
+    } else {
+      completeLogin(result.user, result.token, result.refresh_token);
+    }
+  };
+
+  useEffect(() => {
+    api.auth.getOidcConfig()
+      .then((response) => setSso(response.data.data))
+      .catch(() => setSso(null));
+
+    // Back from the identity provider with a code, or an error
+    const params = new URLSearchParams(window.location.search);
+    const code = params.get('code');
+    const state = params.get('state');
+    const providerError = params.get('error_description') || params.get('error');
+
+    if (providerError) {
+      setError(providerError);
+    } else if (code && state && !ssoCallbackHandled.current) {
+      ssoCallbackHandled.current = true;
+      window.history.replaceState(null, '', window.location.pathname);
+      setIsLoading(true);
+      api.auth.completeOidcLogin(code, state)
+        .then((response) => handleLoginResult(response.data.data))
+        .catch((err: any) => {
+          const errorMessage = err.response?.data?.message || 'Single sign-on failed. Please try again.';
+          setError(errorMessage);
+          toast.error(errorMessage);
+        })
+        .finally(() => setIsLoading(false));
+    }
+  }, []);
+
+  const onSsoLogin = async () => {
+    setIsLoading(true);
+    setError('');
+
+    try {
+      const response = await api.auth.startOidcLogin();
+      window.location.href = response.data.data.authorization_url;
+    } catch (err: any) {
+      const errorMessage = err.response?.data?.message || 'Single sign-on is unavailable. Please try again.';
+      setError(errorMessage);
+      toast.error(errorMessage);
+      setIsLoading(false);
+    }
+  };
+
+  const completeLogin = (user: any, token: string, refreshToken: string) => {
+    setAuth(user, token, refreshToken);
+    toast.success('Login successful!');
+    router.push('/dashboard');
+  };
+
+  const onVerifyMfa = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setIsLoading(true);
+    setError('');
+
+    try {
+      const response = await api.auth.verifyMfa(
+        mfaToken,
+        useRecoveryCode ? { recovery_code: code } : { code }
+      );
+
+      if (response.data.success) {
+        const { token, refresh_token, user, recovery_codes_remaining } = response.data.data;
+        if (recovery_codes_remaining !== undefined) {
+          toast.info(`${recovery_codes_remaining} recovery codes left`);
+        }
+        completeLogin(user, token, refresh_token);
+      }
+    } catch (err: any) {
+      const errorMessage = err.response?.data?.message || 'Verification failed. Please try again.';
+      setError(errorMessage);
+      toast.error(errorMessage);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const onEnableMfa = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setIsLoading(true);
+    setError('');
+
+    try {
+      const response = await api.auth.enableMfa(code, mfaToken);
+
+      if (response.data.success) {
+        const { recovery_codes, token, refresh_token, user } = response.data.data;
+        setRecoveryCodes(recovery_codes);
+        setPendingLogin({ token, refresh_token, user });
+      }
+    } catch (err: any) {
+      const errorMessage = err.response?.data?.message || 'Verification failed. Please try again.';
+      setError(errorMessage);
+      toast.error(errorMessage);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  if (step === 'mfa') {
+    return (
+      <Card>
+        <CardHeader className="space-y-1">
+          <div className="flex items-center justify-center mb-2">
+            <div className="p-3 bg-primary/10 rounded-full">
+              <KeyRound className="h-8 w-8 text-primary" />
+            </div>
+          </div>
+          <CardTitle className="text-2xl text-center">Two-factor authentication</CardTitle>
+          <CardDescription className="text-center">
+            {useRecoveryCode
+              ? 'Enter one of your recovery codes'
+              : 'Enter the 6-digit code from your authenticator app'}
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          <form onSubmit={onVerifyMfa} className="space-y-4">
+            {error && (
+              <Alert variant="destructive">
+                <AlertDescription>{error}</AlertDescription>
+              </Alert>
+            )}
+
+            <div className="space-y-2">
+              <Label htmlFor="code">{useRecoveryCode ? 'Recovery code' : 'Code'}</Label>
+              <Input
+                id="code"
+                autoComplete="one-time-code"
+                inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                disabled={isLoading}
+                autoFocus
+              />
+            </div>
+
+            <Button type="submit" className="w-full" disabled={isLoading || !code}>
+              {isLoading ? (
+                <>
+                  <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                  Verifying...
+                </>
+              ) : (
+                'Verify'
+              )}
+            </Button>
+          </form>
+        </CardContent>
+        <CardFooter className="flex flex-col space-y-2">
+          <button
+            type="button"
+            className="text-sm text-primary hover:underline"
+            onClick={() => {
+              setUseRecoveryCode(!useRecoveryCode);
+              setCode('');
+              setError('');
+            }}
+          >
+            {useRecoveryCode ? 'Use authenticator code' : 'Use a recovery code'}
+          </button>
+        </CardFooter>
+      </Card>
+    );
+  }
+
+  if (step === 'enroll') {
+    return (
+      <Card>
+        <CardHeader className="space-y-1">
+          <div className="flex items-center justify-center mb-2">
+            <div className="p-3 bg-primary/10 rounded-full">
+              <KeyRound className="h-8 w-8 text-primary" />
+            </div>
+          </div>
+          <CardTitle className="text-2xl text-center">Set up two-factor authentication</CardTitle>
+          <CardDescription className="text-center">
+            Two-factor authentication is required for your account
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          {error && (
+            <Alert variant="destructive">
+              <AlertDescription>{error}</AlertDescription>
+            </Alert>
+          )}
+
+          {pendingLogin ? (
+            <>
+              <p className="text-sm text-muted-foreground">
+                Save these recovery codes somewhere safe. Each can be used once if you lose
+                access to your authenticator app; they will not be shown again.
+              </p>
+              <div className="grid grid-cols-2 gap-2 rounded-md bg-muted p-3 font-mono text-sm">
+                {recoveryCodes.map((recoveryCode) => (
+                  <span key={recoveryCode}>{recoveryCode}</span>
+                ))}
+              </div>
+              <Button className="w-full" onClick={() => completeLogin(pendingLogin.user, pendingLogin.token, pendingLogin.refresh_token)}>
+                Continue
+              </Button>
+            </>
+          ) : !enrollment ? (
+            <div className="flex justify-center py-4">
+              <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
+            </div>
+          ) : (
+            <form onSubmit={onEnableMfa} className="space-y-4">
+              <div className="space-y-2">
+                <Label>Secret key</Label>
+                <p className="text-sm text-muted-foreground">
+                  Add this key to your authenticator app, or open the link on your phone.
+                </p>
+                <code className="block break-all rounded-md bg-muted p-3 text-sm">{enrollment.secret}</code>
+                <a href={enrollment.otpauth_uri} className="text-sm text-primary hover:underline">
+                  Open in authenticator app
+                </a>
+              </div>
+
+              <div className="space-y-2">
+                <Label htmlFor="code">Code from the app</Label>
+                <Input
+                  id="code"
+                  autoComplete="one-time-code"
+                  inputMode="numeric"
+                  placeholder="123456"
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                  disabled={isLoading}
+                />
+              </div>
+
+              <Button type="submit" className="w-full" disabled={isLoading || !code}>
+                {isLoading ? (
+                  <>
+                    <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                    Verifying...
+                  </>
+                ) : (
+                  'Enable two-factor authentication'
+                )}
+              </Button>
+            </form>
+          )}
+        </CardContent>
+      </Card>
+    );
+  }
+
   return (
     <Card>
       <CardHeader className="space-y-1">
@@ -133,6 +405,23 @@ export default function LoginPage() {
             )}
           </Button>
         </form>
+
+        {sso?.enabled && (
+          <>
+            <div className="relative my-4">
+              <div className="absolute inset-0 flex items-center">
+                <span className="w-full border-t" />
+              </div>
+              <div className="relative flex justify-center text-xs uppercase">
+                <span className="bg-card px-2 text-muted-foreground">or</span>
+              </div>
+            </div>
+            <Button type="button" variant="outline" className="w-full" onClick={onSsoLogin} disabled={isLoading}>
+              <LogIn className="mr-2 h-4 w-4" />
+              Sign in with {sso.provider_name}
+            </Button>
+          </>
+        )}
       </CardContent>
       <CardFooter className="flex flex-col space-y-2">
         <div className="text-sm text-center text-muted-foreground">
@@ -8,7 +8,7 @@ export default function DevicesPage() {
       <div>
         <h1 className="text-3xl font-bold tracking-tight">My Devices</h1>
         <p className="text-muted-foreground mt-2">
-          View devices that have connected to the VPN. Devices are automatically tracked when you connect.
+          Enroll your devices to get a profile for each of them, and view devices that have connected to the VPN.
         </p>
       </div>
       
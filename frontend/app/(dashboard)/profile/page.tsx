@@ -34,7 +34,7 @@ type PasswordFormData = z.infer<typeof passwordSchema>;
 
 export default function ProfilePage() {
   const queryClient = useQueryClient();
-  const { user: currentUser, setUser } = useAuthStore();
+  const { user: currentUser, setUser, setAuth } = useAuthStore();
   const [isEditingProfile, setIsEditingProfile] = useState(false);
   const [isChangingPassword, setIsChangingPassword] = useState(false);
   const [formInitialized, setFormInitialized] = useState(false);
@@ -99,7 +99,11 @@ export default function ProfilePage() {
       const response = await api.user.changePassword(data.currentPassword, data.newPassword);
       return response.data;
     },
-    onSuccess: () => {
+    onSuccess: (data) => {
+      // Other sessions were logged out; continue with the new session
+      if (data.data?.token && currentUser) {
+        setAuth(currentUser, data.data.token, data.data.refresh_token);
+      }
       passwordForm.reset();
       setIsChangingPassword(false);
       toast.success('Password changed successfully');
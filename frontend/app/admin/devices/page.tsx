@@ -14,10 +14,14 @@ interface Device {
   last_connected: string | null;
   is_active: boolean;
   last_ip: string | null;
+  last_vpn_ip: string | null;
   device_id: string;
+  identity_source: 'enrollment' | 'hwaddr' | 'certificate' | 'peer_info' | 'vpn_ip';
   user_id: number;
   user_email: string;
   user_name: string;
+  enrollment_status: 'unenrolled' | 'pending' | 'approved' | 'rejected';
+  review_note: string | null;
   created_at: string;
 }
 
@@ -26,8 +30,18 @@ export default function AdminDevicesPage() {
   const [isLoading, setIsLoading] = useState(true);
   const [page, setPage] = useState(1);
   const [totalPages, setTotalPages] = useState(1);
+  const [pendingOnly, setPendingOnly] = useState(false);
+  const [approvalRequired, setApprovalRequired] = useState(false);
   const { toast } = useToast();
 
+  const identitySources: Record<Device['identity_source'], string> = {
+    enrollment: 'Enrollment',
+    hwaddr: 'MAC address',
+    certificate: 'Device certificate',
+    peer_info: 'Profile variables',
+    vpn_ip: 'VPN IP only',
+  };
+
   const deviceIcons = {
     desktop: MonitorIcon,
     laptop: LaptopIcon,
@@ -38,7 +52,7 @@ export default function AdminDevicesPage() {
   const loadDevices = async (currentPage: number = 1) => {
     setIsLoading(true);
     try {
-      const response = await api.admin.getAllDevices(currentPage, 20);
+      const response = await api.admin.getAllDevices(currentPage, 20, pendingOnly ? 'pending' : undefined);
       // Axios wraps the backend response in response.data
       // Backend sends: { success, data: { devices, pagination, totalPages } }
       // So we access: response.data.data.devices
@@ -58,7 +72,60 @@ export default function AdminDevicesPage() {
 
   useEffect(() => {
     loadDevices(page);
-  }, [page]);
+  }, [page, pendingOnly]);
+
+  useEffect(() => {
+    api.admin.getDevicePolicy()
+      .then((response) => setApprovalRequired(response.data.data.approval_required))
+      .catch(() => undefined);
+  }, []);
+
+  const handleToggleApproval = async () => {
+    try {
+      const response = await api.admin.updateDevicePolicy(!approvalRequired);
+      setApprovalRequired(response.data.data.approval_required);
+      toast({
+        title: "Success",
+        description: response.data.message,
+      });
+    } catch (error: any) {
+      toast({
+        title: "Error",
+        description: error.response?.data?.message || "Failed to update device policy",
+        variant: "destructive",
+      });
+    }
+  };
+
+  const handleReview = async (deviceId: number, approve: boolean) => {
+    let reason: string | undefined;
+    if (!approve) {
+      const input = prompt('Reason for rejecting this device (optional):');
+      if (input === null) {
+        return;
+      }
+      reason = input || undefined;
+    }
+
+    try {
+      if (approve) {
+        await api.admin.approveDevice(deviceId);
+      } else {
+        await api.admin.rejectDevice(deviceId, reason);
+      }
+      toast({
+        title: "Success",
+        description: `Device ${approve ? 'approved' : 'rejected'} successfully`,
+      });
+      loadDevices(page);
+    } catch (error: any) {
+      toast({
+        title: "Error",
+        description: error.response?.data?.message || "Failed to review device",
+        variant: "destructive",
+      });
+    }
+  };
 
   const handleToggleActive = async (deviceId: number, currentState: boolean) => {
     try {
@@ -106,8 +173,20 @@ export default function AdminDevicesPage() {
     <div className="container mx-auto py-8 space-y-6">
       <div className="flex justify-between items-center">
         <h1 className="text-3xl font-bold">Device Management</h1>
-        <div className="text-sm text-gray-500">
-          Total Devices: {devices.length}
+        <div className="flex items-center space-x-4">
+          <Button
+            variant={pendingOnly ? "default" : "outline"}
+            size="sm"
+            onClick={() => { setPage(1); setPendingOnly(!pendingOnly); }}
+          >
+            {pendingOnly ? 'Show All Devices' : 'Pending Approval'}
+          </Button>
+          <Button variant="outline" size="sm" onClick={handleToggleApproval}>
+            {approvalRequired ? 'Stop Requiring Approval' : 'Require Approval'}
+          </Button>
+          <div className="text-sm text-gray-500">
+            Total Devices: {devices.length}
+          </div>
         </div>
       </div>
 
@@ -136,6 +215,24 @@ export default function AdminDevicesPage() {
                             Inactive
                           </span>
                         )}
+                        {device.enrollment_status === 'pending' && (
+                          <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
+                            Pending Approval
+                          </span>
+                        )}
+                        {device.enrollment_status === 'approved' && (
+                          <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
+                            Enrolled
+                          </span>
+                        )}
+                        {device.enrollment_status === 'rejected' && (
+                          <span
+                            className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800"
+                            title={device.review_note || undefined}
+                          >
+                            Rejected
+                          </span>
+                        )}
                       </div>
                       <p className="text-sm text-gray-600 capitalize">{device.device_type}</p>
                       <div className="mt-2 grid grid-cols-2 gap-4 text-sm text-gray-500">
@@ -153,6 +250,15 @@ export default function AdminDevicesPage() {
                             <span className="font-medium">Last IP:</span> {device.last_ip}
                           </div>
                         )}
+                        {device.last_vpn_ip && (
+                          <div>
+                            <span className="font-medium">Last VPN IP:</span> {device.last_vpn_ip}
+                          </div>
+                        )}
+                        <div>
+                          <span className="font-medium">Identified by:</span>{' '}
+                          {identitySources[device.identity_source] || device.identity_source}
+                        </div>
                         <div>
                           <span className="font-medium">Registered:</span>{' '}
                           {new Date(device.created_at).toLocaleDateString()}
@@ -161,6 +267,23 @@ export default function AdminDevicesPage() {
                     </div>
                   </div>
                   <div className="flex space-x-2">
+                    {device.enrollment_status !== 'unenrolled' && device.enrollment_status !== 'approved' && (
+                      <Button
+                        size="sm"
+                        onClick={() => handleReview(device.id, true)}
+                      >
+                        Approve
+                      </Button>
+                    )}
+                    {device.enrollment_status !== 'unenrolled' && device.enrollment_status !== 'rejected' && (
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        onClick={() => handleReview(device.id, false)}
+                      >
+                        Reject
+                      </Button>
+                    )}
                     <Button
                       variant={device.is_active ? "outline" : "default"}
                       size="sm"
@@ -4,6 +4,7 @@ import { useEffect } from 'react';
 import { useRouter } from 'next/navigation';
 import { useAuthStore } from '@/store/authStore';
 import { DashboardNav } from '@/components/layout/DashboardNav';
+import { isStaff } from '@/lib/auth';
 
 export default function AdminLayout({
   children,
@@ -17,7 +18,7 @@ export default function AdminLayout({
     if (!isLoading) {
       if (!isAuthenticated) {
         router.push('/login');
-      } else if (user?.role !== 'admin') {
+      } else if (!isStaff(user)) {
         router.push('/dashboard');
       }
     }
@@ -34,7 +35,7 @@ export default function AdminLayout({
     );
   }
 
-  if (!isAuthenticated || user?.role !== 'admin') {
+  if (!isAuthenticated || !isStaff(user)) {
     return null;
   }
 
@@ -0,0 +1,311 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import { api } from '@/lib/api';
+import { Card } from '@/components/ui/card';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import { formatBytes, formatUptime } from '@/lib/utils';
+import type { LiveEvent, LiveSession, LiveSyncState } from '@/types';
+
+interface ActivityItem {
+  key: string;
+  type: 'connected' | 'disconnected';
+  username: string;
+  virtualIp: string | null;
+  reason?: string;
+  timestamp: string;
+}
+
+type StreamStatus = 'connecting' | 'live' | 'reconnecting';
+
+const RECONNECT_DELAY_MS = 5000;
+const MAX_ACTIVITY = 20;
+
+const formatRate = (bytesPerSecond: number | null) =>
+  bytesPerSecond === null ? '—' : `${formatBytes(bytesPerSecond, 1)}/s`;
+
+export default function WhosOnlinePage() {
+  const [sessions, setSessions] = useState<LiveSession[]>([]);
+  const [sync, setSync] = useState<LiveSyncState | null>(null);
+  const [activity, setActivity] = useState<ActivityItem[]>([]);
+  const [status, setStatus] = useState<StreamStatus>('connecting');
+  const [error, setError] = useState<string | null>(null);
+  const [now, setNow] = useState(Date.now());
+
+  const addActivity = (item: ActivityItem) => {
+    setActivity((items) => [item, ...items].slice(0, MAX_ACTIVITY));
+  };
+
+  const handleEvent = (event: LiveEvent) => {
+    const { data } = event;
+
+    switch (event.type) {
+      case 'snapshot':
+        setSessions(data.sessions);
+        setSync(data.sync);
+        setStatus('live');
+        setError(null);
+        break;
+
+      case 'session.connected':
+        setSessions((current) => current.some((s) => s.id === data.sessionId) ? current : [
+          ...current,
+          {
+            id: data.sessionId,
+            user_id: data.userId,
+            username: data.username,
+            user_email: '',
+            device_id: data.deviceId ?? null,
+            device_name: null,
+            real_ip: data.realIp ?? null,
+            virtual_ip: data.virtualIp ?? null,
+            platform: data.platform ?? null,
+            connected_since: data.connectedSince,
+            bytes_sent: 0,
+            bytes_received: 0,
+            rx_bps: null,
+            tx_bps: null,
+          },
+        ]);
+        addActivity({
+          key: `${event.id}`,
+          type: 'connected',
+          username: data.username,
+          virtualIp: data.virtualIp ?? null,
+          timestamp: data.timestamp,
+        });
+        break;
+
+      case 'session.disconnected':
+        setSessions((current) => current.filter((s) => s.id !== data.sessionId));
+        addActivity({
+          key: `${event.id}`,
+          type: 'disconnected',
+          username: data.username,
+          virtualIp: data.virtualIp ?? null,
+          reason: data.reason,
+          timestamp: data.timestamp,
+        });
+        break;
+
+      case 'session.throughput': {
+        const samples = new Map<number, any>(data.sessions.map((s: any) => [s.sessionId, s]));
+        setSessions((current) => current.map((session) => {
+          const sample = samples.get(session.id);
+          return sample ? {
+            ...session,
+            bytes_sent: sample.bytesSent,
+            bytes_received: sample.bytesReceived,
+            rx_bps: sample.rxBps,
+            tx_bps: sample.txBps,
+          } : session;
+        }));
+        break;
+      }
+
+      case 'sync.started':
+        setSync((current) => current && { ...current, isSyncing: true, progress: null });
+        break;
+
+      case 'sync.progress':
+        setSync((current) => current && {
+          ...current,
+          isSyncing: true,
+          progress: { current: data.current, total: data.total, username: data.username },
+        });
+        break;
+
+      case 'sync.completed':
+      case 'sync.failed':
+        setSync((current) => current && {
+          ...current,
+          isSyncing: false,
+          progress: null,
+          lastSync: {
+            timestamp: data.timestamp,
+            success: event.type === 'sync.completed',
+            error: data.error ?? null,
+          },
+        });
+        break;
+    }
+  };
+
+  useEffect(() => {
+    const controller = new AbortController();
+
+    // The server ends the stream when the access token expires; reconnect with a fresh one
+    const run = async () => {
+      while (!controller.signal.aborted) {
+        try {
+          await api.admin.streamLiveEvents(handleEvent, controller.signal);
+        } catch (err: any) {
+          if (controller.signal.aborted) return;
+          setError(err.message || 'Live updates unavailable');
+        }
+        if (controller.signal.aborted) return;
+        setStatus('reconnecting');
+        await new Promise((resolve) => setTimeout(resolve, RECONNECT_DELAY_MS));
+      }
+    };
+    run();
+
+    return () => controller.abort();
+  }, []);
+
+  // Keep the connection durations current
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 10000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const totalDown = sessions.reduce((sum, s) => sum + (s.tx_bps || 0), 0);
+  const totalUp = sessions.reduce((sum, s) => sum + (s.rx_bps || 0), 0);
+  const onlineUsers = new Set(sessions.map((s) => s.user_id)).size;
+
+  return (
+    <div className="container mx-auto py-8 space-y-6">
+      <div className="flex justify-between items-center">
+        <h1 className="text-3xl font-bold">Who&apos;s Online</h1>
+        <div className="flex items-center space-x-2 text-sm">
+          <span
+            className={`inline-block h-2.5 w-2.5 rounded-full ${
+              status === 'live' ? 'bg-green-500' : status === 'connecting' ? 'bg-gray-400' : 'bg-yellow-500'
+            }`}
+          />
+          <span className="text-gray-600">
+            {status === 'live' ? 'Live' : status === 'connecting' ? 'Connecting...' : 'Reconnecting...'}
+          </span>
+        </div>
+      </div>
+
+      {error && (
+        <Card className="p-4 text-sm text-red-700 bg-red-50">{error}</Card>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+        <Card className="p-4">
+          <p className="text-sm text-gray-500">Users online</p>
+          <p className="text-2xl font-bold">{onlineUsers}</p>
+        </Card>
+        <Card className="p-4">
+          <p className="text-sm text-gray-500">Sessions</p>
+          <p className="text-2xl font-bold">{sessions.length}</p>
+        </Card>
+        <Card className="p-4">
+          <p className="text-sm text-gray-500">Download / Upload</p>
+          <p className="text-2xl font-bold">{formatRate(totalDown)} / {formatRate(totalUp)}</p>
+        </Card>
+        <Card className="p-4">
+          <p className="text-sm text-gray-500">User sync</p>
+          {!sync ? (
+            <p className="text-sm text-gray-400 mt-1">Not available</p>
+          ) : sync.isSyncing ? (
+            <div className="mt-1">
+              <p className="text-sm font-medium">
+                Syncing{sync.progress ? ` ${sync.progress.current} of ${sync.progress.total}` : '...'}
+              </p>
+              {sync.progress && (
+                <div className="mt-2 h-2 w-full rounded-full bg-gray-200">
+                  <div
+                    className="h-2 rounded-full bg-primary"
+                    style={{ width: `${Math.round((sync.progress.current / sync.progress.total) * 100)}%` }}
+                  />
+                </div>
+              )}
+            </div>
+          ) : (
+            <div className="mt-1 text-sm">
+              <p className={sync.lastSync.success === false ? 'text-red-600' : 'text-gray-700'}>
+                {sync.lastSync.timestamp
+                  ? `Last ${sync.lastSync.success ? 'succeeded' : 'failed'} ${new Date(sync.lastSync.timestamp).toLocaleTimeString()}`
+                  : 'No sync yet'}
+              </p>
+              {sync.isRunning && sync.nextSync && (
+                <p className="text-gray-500">Next at {new Date(sync.nextSync).toLocaleTimeString()}</p>
+              )}
+            </div>
+          )}
+        </Card>
+      </div>
+
+      <Card>
+        {sessions.length === 0 ? (
+          <p className="p-8 text-center text-gray-500">
+            {status === 'connecting' ? 'Loading sessions...' : 'Nobody is connected.'}
+          </p>
+        ) : (
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>User</TableHead>
+                <TableHead>Device</TableHead>
+                <TableHead>VPN IP</TableHead>
+                <TableHead>Public IP</TableHead>
+                <TableHead>Connected</TableHead>
+                <TableHead className="text-right">Download</TableHead>
+                <TableHead className="text-right">Upload</TableHead>
+                <TableHead className="text-right">Transferred</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {sessions.map((session) => (
+                <TableRow key={session.id}>
+                  <TableCell>
+                    <div className="font-medium">{session.username}</div>
+                    {session.user_email && <div className="text-xs text-gray-500">{session.user_email}</div>}
+                  </TableCell>
+                  <TableCell>{session.device_name || session.platform || '—'}</TableCell>
+                  <TableCell className="font-mono text-sm">{session.virtual_ip || '—'}</TableCell>
+                  <TableCell className="font-mono text-sm">{session.real_ip || '—'}</TableCell>
+                  <TableCell>
+                    {formatUptime(Math.max(0, Math.floor((now - new Date(session.connected_since).getTime()) / 1000)))}
+                  </TableCell>
+                  <TableCell className="text-right">{formatRate(session.tx_bps)}</TableCell>
+                  <TableCell className="text-right">{formatRate(session.rx_bps)}</TableCell>
+                  <TableCell className="text-right">
+                    {formatBytes(session.bytes_sent + session.bytes_received, 1)}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+      </Card>
+
+      <Card className="p-6">
+        <h2 className="text-lg font-semibold mb-4">Recent Activity</h2>
+        {activity.length === 0 ? (
+          <p className="text-sm text-gray-500">No connects or disconnects since this page was opened.</p>
+        ) : (
+          <ul className="space-y-2 text-sm">
+            {activity.map((item) => (
+              <li key={item.key} className="flex items-center space-x-3">
+                <span
+                  className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
+                    item.type === 'connected' ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'
+                  }`}
+                >
+                  {item.type === 'connected' ? 'Connected' : 'Disconnected'}
+                </span>
+                <span className="font-medium">{item.username}</span>
+                {item.virtualIp && <span className="font-mono text-gray-500">{item.virtualIp}</span>}
+                {item.reason && item.reason !== 'disconnected' && (
+                  <span className="text-gray-500">({item.reason})</span>
+                )}
+                <span className="text-gray-400 ml-auto">{new Date(item.timestamp).toLocaleTimeString()}</span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </Card>
+    </div>
+  );
+}
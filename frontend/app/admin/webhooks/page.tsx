@@ -0,0 +1,461 @@
+'use client';
+
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { Alert, AlertDescription, AlertTitle } from '@/components/ui/alert';
+import { Webhook as WebhookIcon, Plus, Trash2, Loader2, KeyRound, Send, RotateCcw, Power, PowerOff, History } from 'lucide-react';
+import { api } from '@/lib/api';
+import { hasPermission } from '@/lib/auth';
+import { formatDate } from '@/lib/utils';
+import { useAuthStore } from '@/store/authStore';
+import { toast } from 'sonner';
+import type { Webhook, WebhookDelivery } from '@/types';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+
+const deliveryBadge = (status: WebhookDelivery['status']) => {
+  switch (status) {
+    case 'succeeded':
+      return <Badge className="bg-green-500">Delivered</Badge>;
+    case 'failed':
+      return <Badge variant="destructive">Failed</Badge>;
+    default:
+      return <Badge variant="secondary">Retrying</Badge>;
+  }
+};
+
+export default function AdminWebhooksPage() {
+  const queryClient = useQueryClient();
+  const user = useAuthStore((state) => state.user);
+  const canWrite = hasPermission(user, 'webhooks:write');
+
+  const [showCreate, setShowCreate] = useState(false);
+  const [name, setName] = useState('');
+  const [url, setUrl] = useState('');
+  const [events, setEvents] = useState<string[]>([]);
+  const [secret, setSecret] = useState<string | null>(null);
+  const [deleteWebhookId, setDeleteWebhookId] = useState<number | null>(null);
+  const [logWebhook, setLogWebhook] = useState<Webhook | null>(null);
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['admin-webhooks'],
+    queryFn: async () => {
+      const response = await api.admin.getWebhooks();
+      return response.data.data as { webhooks: Webhook[]; available_events: string[] };
+    },
+  });
+
+  const { data: deliveriesData, isLoading: deliveriesLoading } = useQuery({
+    queryKey: ['admin-webhook-deliveries', logWebhook?.id],
+    queryFn: async () => {
+      const response = await api.admin.getWebhookDeliveries(logWebhook!.id, 1, 50);
+      return response.data.data.deliveries as WebhookDelivery[];
+    },
+    enabled: logWebhook !== null,
+  });
+
+  const onError = (fallback: string) => (error: any) => {
+    toast.error(error.response?.data?.message || fallback);
+  };
+
+  const createMutation = useMutation({
+    mutationFn: async () => {
+      const response = await api.admin.createWebhook({ name, url, events });
+      return response.data.data;
+    },
+    onSuccess: (webhook) => {
+      queryClient.invalidateQueries({ queryKey: ['admin-webhooks'] });
+      setShowCreate(false);
+      setName('');
+      setUrl('');
+      setEvents([]);
+      setSecret(webhook.secret);
+      toast.success('Webhook created');
+    },
+    onError: onError('Failed to create webhook'),
+  });
+
+  const toggleMutation = useMutation({
+    mutationFn: async (webhook: Webhook) => {
+      const response = await api.admin.updateWebhook(webhook.id, { is_active: !webhook.is_active });
+      return response.data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['admin-webhooks'] });
+    },
+    onError: onError('Failed to update webhook'),
+  });
+
+  const rotateMutation = useMutation({
+    mutationFn: async (id: number) => {
+      const response = await api.admin.rotateWebhookSecret(id);
+      return response.data.data;
+    },
+    onSuccess: (result) => setSecret(result.secret),
+    onError: onError('Failed to rotate the signing secret'),
+  });
+
+  const testMutation = useMutation({
+    mutationFn: async (id: number) => {
+      const response = await api.admin.testWebhook(id);
+      return response.data;
+    },
+    onSuccess: (result) => {
+      if (result.data.status === 'succeeded') {
+        toast.success(result.message);
+      } else {
+        toast.error(result.message);
+      }
+      queryClient.invalidateQueries({ queryKey: ['admin-webhook-deliveries'] });
+    },
+    onError: onError('Failed to send test event'),
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: async (id: number) => {
+      const response = await api.admin.deleteWebhook(id);
+      return response.data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['admin-webhooks'] });
+      toast.success('Webhook deleted');
+      setDeleteWebhookId(null);
+    },
+    onError: onError('Failed to delete webhook'),
+  });
+
+  const redeliverMutation = useMutation({
+    mutationFn: async (deliveryId: number) => {
+      const response = await api.admin.redeliverWebhookDelivery(deliveryId);
+      return response.data;
+    },
+    onSuccess: (result) => {
+      toast.info(result.message);
+      queryClient.invalidateQueries({ queryKey: ['admin-webhook-deliveries'] });
+      queryClient.invalidateQueries({ queryKey: ['admin-webhooks'] });
+    },
+    onError: onError('Failed to redeliver event'),
+  });
+
+  const toggleEvent = (event: string) => {
+    setEvents((current) =>
+      current.includes(event) ? current.filter((e) => e !== event) : [...current, event]
+    );
+  };
+
+  const webhooks = data?.webhooks || [];
+  const availableEvents = data?.available_events || [];
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="text-center">
+          <div className="inline-block h-8 w-8 animate-spin rounded-full border-4 border-solid border-primary border-r-transparent"></div>
+          <p className="mt-4 text-muted-foreground">Loading webhooks...</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-3xl font-bold">Webhooks</h1>
+          <p className="text-muted-foreground">
+            Send user, profile, session and sync events to external systems
+          </p>
+        </div>
+        {canWrite && (
+          <Button onClick={() => setShowCreate(true)}>
+            <Plus className="mr-2 h-4 w-4" />
+            Add Webhook
+          </Button>
+        )}
+      </div>
+
+      {secret && (
+        <Alert>
+          <KeyRound className="h-4 w-4" />
+          <AlertTitle>Signing secret</AlertTitle>
+          <AlertDescription>
+            <p className="mb-2">Copy the secret now, it will not be shown again.</p>
+            <code className="block break-all rounded bg-muted p-2 font-mono text-sm">{secret}</code>
+            <Button className="mt-2" size="sm" variant="outline" onClick={() => setSecret(null)}>
+              Done
+            </Button>
+          </AlertDescription>
+        </Alert>
+      )}
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Endpoints</CardTitle>
+          <CardDescription>
+            Requests are signed with HMAC-SHA256 in the X-Webhook-Signature header; failed deliveries are retried with backoff
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          {webhooks.length === 0 ? (
+            <div className="text-center py-12">
+              <WebhookIcon className="h-12 w-12 text-muted-foreground mx-auto mb-4" />
+              <h3 className="text-lg font-medium mb-2">No webhooks</h3>
+              <p className="text-sm text-muted-foreground">
+                No webhook endpoints have been configured yet.
+              </p>
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Name</TableHead>
+                    <TableHead>URL</TableHead>
+                    <TableHead>Events</TableHead>
+                    <TableHead>Status</TableHead>
+                    <TableHead>Last 24h</TableHead>
+                    <TableHead className="text-right">Actions</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {webhooks.map((webhook) => (
+                    <TableRow key={webhook.id}>
+                      <TableCell className="font-medium">{webhook.name}</TableCell>
+                      <TableCell className="font-mono text-sm max-w-xs truncate">{webhook.url}</TableCell>
+                      <TableCell>
+                        <div className="flex flex-wrap gap-1">
+                          {webhook.events.map((event) => (
+                            <Badge key={event} variant="outline">{event}</Badge>
+                          ))}
+                        </div>
+                      </TableCell>
+                      <TableCell>
+                        {webhook.is_active ? (
+                          <Badge className="bg-green-500">Active</Badge>
+                        ) : (
+                          <Badge variant="secondary">Paused</Badge>
+                        )}
+                      </TableCell>
+                      <TableCell className="text-sm">
+                        {webhook.failed_last_day ? (
+                          <span className="text-destructive">{webhook.failed_last_day} failed</span>
+                        ) : (
+                          <span className="text-muted-foreground">No failures</span>
+                        )}
+                        {webhook.pending_deliveries ? `, ${webhook.pending_deliveries} retrying` : ''}
+                      </TableCell>
+                      <TableCell className="text-right">
+                        <div className="flex justify-end space-x-2">
+                          <Button size="sm" variant="outline" title="Delivery log" onClick={() => setLogWebhook(webhook)}>
+                            <History className="h-4 w-4" />
+                          </Button>
+                          {canWrite && (
+                            <>
+                              <Button
+                                size="sm"
+                                variant="outline"
+                                title="Send test event"
+                                onClick={() => testMutation.mutate(webhook.id)}
+                                disabled={testMutation.isPending}
+                              >
+                                <Send className="h-4 w-4" />
+                              </Button>
+                              <Button
+                                size="sm"
+                                variant="outline"
+                                title={webhook.is_active ? 'Pause' : 'Resume'}
+                                onClick={() => toggleMutation.mutate(webhook)}
+                                disabled={toggleMutation.isPending}
+                              >
+                                {webhook.is_active ? <PowerOff className="h-4 w-4" /> : <Power className="h-4 w-4" />}
+                              </Button>
+                              <Button
+                                size="sm"
+                                variant="outline"
+                                title="Rotate signing secret"
+                                onClick={() => rotateMutation.mutate(webhook.id)}
+                                disabled={rotateMutation.isPending}
+                              >
+                                <KeyRound className="h-4 w-4" />
+                              </Button>
+                              <Button size="sm" variant="destructive" onClick={() => setDeleteWebhookId(webhook.id)}>
+                                <Trash2 className="h-4 w-4" />
+                              </Button>
+                            </>
+                          )}
+                        </div>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      {logWebhook && (
+        <Card>
+          <CardHeader>
+            <CardTitle>Delivery log: {logWebhook.name}</CardTitle>
+            <CardDescription>Latest 50 deliveries, newest first</CardDescription>
+          </CardHeader>
+          <CardContent>
+            {deliveriesLoading ? (
+              <div className="flex justify-center py-8">
+                <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
+              </div>
+            ) : (deliveriesData || []).length === 0 ? (
+              <p className="text-sm text-muted-foreground text-center py-8">No deliveries yet.</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead>Event</TableHead>
+                      <TableHead>Status</TableHead>
+                      <TableHead>Attempts</TableHead>
+                      <TableHead>Response</TableHead>
+                      <TableHead>Created</TableHead>
+                      <TableHead className="text-right">Actions</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {(deliveriesData || []).map((delivery) => (
+                      <TableRow key={delivery.id}>
+                        <TableCell className="font-mono text-sm">{delivery.event_type}</TableCell>
+                        <TableCell>{deliveryBadge(delivery.status)}</TableCell>
+                        <TableCell>{delivery.attempts}</TableCell>
+                        <TableCell className="text-sm">
+                          {delivery.error || (delivery.response_status ? `HTTP ${delivery.response_status}` : '-')}
+                          {delivery.status === 'pending' && delivery.next_attempt_at && (
+                            <span className="block text-xs text-muted-foreground">
+                              Next attempt {formatDate(delivery.next_attempt_at)}
+                            </span>
+                          )}
+                        </TableCell>
+                        <TableCell className="text-sm">{formatDate(delivery.created_at)}</TableCell>
+                        <TableCell className="text-right">
+                          {canWrite && delivery.status !== 'pending' && (
+                            <Button
+                              size="sm"
+                              variant="outline"
+                              onClick={() => redeliverMutation.mutate(delivery.id)}
+                              disabled={redeliverMutation.isPending}
+                            >
+                              <RotateCcw className="mr-1 h-4 w-4" />
+                              Redeliver
+                            </Button>
+                          )}
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </div>
+            )}
+          </CardContent>
+        </Card>
+      )}
+
+      {/* Create Dialog */}
+      <Dialog open={showCreate} onOpenChange={setShowCreate}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Add Webhook</DialogTitle>
+            <DialogDescription>
+              Events are sent as JSON POST requests to the URL.
+            </DialogDescription>
+          </DialogHeader>
+          <div className="space-y-4">
+            <div className="space-y-2">
+              <Label htmlFor="webhook-name">Name</Label>
+              <Input id="webhook-name" value={name} onChange={(e) => setName(e.target.value)} placeholder="SIEM" />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="webhook-url">URL</Label>
+              <Input
+                id="webhook-url"
+                value={url}
+                onChange={(e) => setUrl(e.target.value)}
+                placeholder="https://hooks.example.com/vpn"
+              />
+            </div>
+            <div className="space-y-2">
+              <Label>Events</Label>
+              <div className="grid grid-cols-2 gap-2">
+                {availableEvents.map((event) => (
+                  <label key={event} className="flex items-center space-x-2 text-sm">
+                    <input type="checkbox" checked={events.includes(event)} onChange={() => toggleEvent(event)} />
+                    <span className="font-mono">{event}</span>
+                  </label>
+                ))}
+              </div>
+            </div>
+          </div>
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setShowCreate(false)}>
+              Cancel
+            </Button>
+            <Button
+              onClick={() => createMutation.mutate()}
+              disabled={createMutation.isPending || !name || !url || events.length === 0}
+            >
+              {createMutation.isPending ? (
+                <>
+                  <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                  Creating...
+                </>
+              ) : (
+                'Create'
+              )}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+
+      {/* Delete Confirmation Dialog */}
+      <Dialog open={deleteWebhookId !== null} onOpenChange={() => setDeleteWebhookId(null)}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Delete Webhook</DialogTitle>
+            <DialogDescription>
+              The webhook and its delivery log will be deleted. Pending retries are dropped.
+            </DialogDescription>
+          </DialogHeader>
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setDeleteWebhookId(null)}>
+              Cancel
+            </Button>
+            <Button
+              variant="destructive"
+              onClick={() => deleteWebhookId && deleteMutation.mutate(deleteWebhookId)}
+              disabled={deleteMutation.isPending}
+            >
+              {deleteMutation.isPending ? (
+                <>
+                  <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                  Deleting...
+                </>
+              ) : (
+                'Delete'
+              )}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+}
@@ -1,9 +1,10 @@
 'use client';
 
-import { useEffect, useState } from 'react';
+import { FormEvent, useEffect, useState } from 'react';
 import { api } from '@/lib/api';
 import { Button } from '@/components/ui/button';
 import { Card } from '@/components/ui/card';
+import { Input } from '@/components/ui/input';
 import { MonitorIcon, LaptopIcon, TabletIcon, SmartphoneIcon } from 'lucide-react';
 import { useToast } from '@/components/ui/use-toast';
 
@@ -16,10 +17,18 @@ interface Device {
   last_ip: string | null;
   device_id: string;
   user_id: number;
+  enrollment_status: 'unenrolled' | 'pending' | 'approved' | 'rejected';
+  review_note: string | null;
   created_at: string;
   updated_at: string;
 }
 
+interface EnrollmentPolicy {
+  approval_required: boolean;
+  max_devices: number | null;
+  enrolled_devices: number;
+}
+
 type DeviceIconMap = {
   desktop: typeof MonitorIcon;
   laptop: typeof LaptopIcon;
@@ -29,6 +38,10 @@ type DeviceIconMap = {
 
 export default function DeviceList() {
   const [devices, setDevices] = useState<Device[]>([]);
+  const [policy, setPolicy] = useState<EnrollmentPolicy | null>(null);
+  const [newDeviceName, setNewDeviceName] = useState('');
+  const [newDeviceType, setNewDeviceType] = useState<Device['device_type']>('laptop');
+  const [isEnrolling, setIsEnrolling] = useState(false);
   const [isLoading, setIsLoading] = useState(true);
   const { toast } = useToast();
 
@@ -41,8 +54,12 @@ export default function DeviceList() {
 
   const loadDevices = async () => {
     try {
-      const response = await api.devices.getAllDevices();
+      const [response, policyResponse] = await Promise.all([
+        api.devices.getAllDevices(),
+        api.devices.getEnrollmentPolicy(),
+      ]);
       setDevices(response.data.data || response.data);
+      setPolicy(policyResponse.data.data);
     } catch (error) {
       toast({
         title: "Error",
@@ -58,6 +75,60 @@ export default function DeviceList() {
     loadDevices();
   }, []);
 
+  const handleEnrollDevice = async (event: FormEvent) => {
+    event.preventDefault();
+    if (!newDeviceName.trim()) {
+      return;
+    }
+
+    setIsEnrolling(true);
+    try {
+      const response = await api.devices.enrollDevice({ name: newDeviceName.trim(), device_type: newDeviceType });
+      toast({
+        title: "Success",
+        description: response.data.message,
+      });
+      setNewDeviceName('');
+      loadDevices();
+    } catch (error: any) {
+      toast({
+        title: "Error",
+        description: error.response?.data?.message || "Failed to enroll device",
+        variant: "destructive",
+      });
+    } finally {
+      setIsEnrolling(false);
+    }
+  };
+
+  const handleDownloadProfile = async (device: Device) => {
+    try {
+      const response = await api.devices.downloadDeviceProfile(device.id);
+      const blob = new Blob([response.data], { type: 'application/x-openvpn-profile' });
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `${device.name.replace(/[^a-zA-Z0-9_-]+/g, '_')}.ovpn`;
+      document.body.appendChild(a);
+      a.click();
+      window.URL.revokeObjectURL(url);
+      document.body.removeChild(a);
+    } catch (error: any) {
+      // Errors of blob requests arrive as a blob as well
+      let message = "Failed to download device profile";
+      try {
+        message = JSON.parse(await error.response.data.text()).message || message;
+      } catch {
+        // Keep the generic message
+      }
+      toast({
+        title: "Error",
+        description: message,
+        variant: "destructive",
+      });
+    }
+  };
+
   const handleDeleteDevice = async (deviceId: number) => {
     if (!confirm('Are you sure you want to delete this device?')) {
       return;
@@ -87,13 +158,47 @@ export default function DeviceList() {
     <div className="space-y-4">
       <div className="flex justify-between items-center">
         <h2 className="text-2xl font-bold">My Devices</h2>
+        {policy && policy.max_devices !== null && (
+          <span className="text-sm text-gray-500">
+            {policy.enrolled_devices} of {policy.max_devices} devices enrolled
+          </span>
+        )}
       </div>
 
+      <Card className="p-4">
+        <form onSubmit={handleEnrollDevice} className="flex flex-col gap-3 md:flex-row md:items-center">
+          <Input
+            placeholder="Device name, e.g. Work laptop"
+            value={newDeviceName}
+            maxLength={255}
+            onChange={(e) => setNewDeviceName(e.target.value)}
+          />
+          <select
+            className="h-10 rounded-md border border-input bg-background px-3 text-sm"
+            value={newDeviceType}
+            onChange={(e) => setNewDeviceType(e.target.value as Device['device_type'])}
+          >
+            <option value="laptop">Laptop</option>
+            <option value="desktop">Desktop</option>
+            <option value="mobile">Mobile</option>
+            <option value="tablet">Tablet</option>
+          </select>
+          <Button type="submit" disabled={isEnrolling || !newDeviceName.trim()}>
+            {isEnrolling ? 'Enrolling...' : 'Enroll Device'}
+          </Button>
+        </form>
+        {policy?.approval_required && (
+          <p className="text-xs text-gray-500 mt-2">
+            New devices need administrator approval before their profile can be downloaded.
+          </p>
+        )}
+      </Card>
+
       {devices.length === 0 ? (
         <Card className="p-8 text-center">
-          <p className="text-gray-500">No devices have connected to the VPN yet.</p>
+          <p className="text-gray-500">No devices have been enrolled or connected to the VPN yet.</p>
           <p className="text-sm text-gray-400 mt-2">
-            Devices will automatically appear here once you connect to the VPN.
+            Enroll a device to download a profile for it. Devices connecting with your account profile appear here automatically.
           </p>
         </Card>
       ) : (
@@ -120,15 +225,26 @@ export default function DeviceList() {
                       )}
                     </div>
                   </div>
-                  <Button
-                    variant="destructive"
-                    size="sm"
-                    onClick={() => handleDeleteDevice(device.id)}
-                  >
-                    Delete
-                  </Button>
+                  <div className="flex flex-col gap-2">
+                    {device.enrollment_status === 'approved' && (
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        onClick={() => handleDownloadProfile(device)}
+                      >
+                        Profile
+                      </Button>
+                    )}
+                    <Button
+                      variant="destructive"
+                      size="sm"
+                      onClick={() => handleDeleteDevice(device.id)}
+                    >
+                      Delete
+                    </Button>
+                  </div>
                 </div>
-                <div className="mt-4">
+                <div className="mt-4 flex flex-wrap gap-2">
                   {device.is_active ? (
                     <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
                       Active
@@ -138,6 +254,19 @@ export default function DeviceList() {
                       Inactive
                     </span>
                   )}
+                  {device.enrollment_status === 'pending' && (
+                    <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
+                      Awaiting approval
+                    </span>
+                  )}
+                  {device.enrollment_status === 'rejected' && (
+                    <span
+                      className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800"
+                      title={device.review_note || undefined}
+                    >
+                      Rejected
+                    </span>
+                  )}
                 </div>
               </Card>
             );
@@ -2,9 +2,11 @@
 
 import Link from 'next/link';
 import { usePathname, useRouter } from 'next/navigation';
-import { Shield, LayoutDashboard, Server, User, LogOut, Settings, Users, Container, Smartphone, Network } from 'lucide-react';
+import { Shield, LayoutDashboard, Server, User, LogOut, Settings, Users, Container, Smartphone, Network, Activity, Webhook } from 'lucide-react';
 import { Button } from '@/components/ui/button';
 import { useAuthStore } from '@/store/authStore';
+import { authStorage, hasPermission } from '@/lib/auth';
+import { api } from '@/lib/api';
 import { toast } from 'sonner';
 import { cn } from '@/lib/utils';
 
@@ -14,6 +16,11 @@ export function DashboardNav() {
   const { user, logout } = useAuthStore();
 
   const handleLogout = () => {
+    // End the session on the server as well; local logout doesn't wait for it
+    const refreshToken = authStorage.getRefreshToken();
+    if (refreshToken) {
+      api.auth.logout(refreshToken).catch(() => {});
+    }
     logout();
     toast.success('Logged out successfully');
     router.push('/login');
@@ -52,21 +59,37 @@ export function DashboardNav() {
       href: '/admin',
       label: 'Admin',
       icon: Settings,
+      permission: 'stats:read',
     },
     {
       href: '/admin/users',
       label: 'Users',
       icon: Users,
+      permission: 'users:read',
+    },
+    {
+      href: '/admin/online',
+      label: "Who's Online",
+      icon: Activity,
+      permission: 'sessions:read',
     },
     {
       href: '/admin/devices',
       label: 'All Devices',
       icon: Smartphone,
+      permission: 'devices:read',
     },
     {
       href: '/admin/lan-networks',
       label: 'All LAN Networks',
       icon: Network,
+      permission: 'lan-networks:read',
+    },
+    {
+      href: '/admin/webhooks',
+      label: 'Webhooks',
+      icon: Webhook,
+      permission: 'webhooks:read',
     },
     // QoS and Docker features disabled
     // {
@@ -81,7 +104,7 @@ export function DashboardNav() {
     // },
   ];
 
-  const links = user?.role === 'admin' ? [...userLinks, ...adminLinks] : userLinks;
+  const links = [...userLinks, ...adminLinks.filter((link) => hasPermission(user, link.permission))];
 
   return (
     <nav className="border-b bg-background">
@@ -1,6 +1,6 @@
 import axios, { AxiosError, AxiosRequestConfig } from 'axios';
 import { authStorage } from './auth';
-import type { ApiResponse, ApiError } from '@/types';
+import type { ApiResponse, ApiError, LiveEvent } from '@/types';
 
 const API_BASE_URL = process.env.NEXT_PUBLIC_API_BASE_URL || 'http://localhost:3000/api';
 
@@ -16,7 +16,7 @@ export const apiClient = axios.create({
 apiClient.interceptors.request.use(
   (config) => {
     const token = authStorage.getToken();
-    if (token) {
+    if (token && !config.headers.Authorization) {
       config.headers.Authorization = `Bearer ${token}`;
     }
     return config;
@@ -26,11 +26,48 @@ apiClient.interceptors.request.use(
   }
 );
 
+// Shared by concurrent requests so a refresh token is only used once
+let refreshPromise: Promise<string | null> | null = null;
+
+const refreshAccessToken = (): Promise<string | null> => {
+  const refreshToken = authStorage.getRefreshToken();
+  if (!refreshToken) return Promise.resolve(null);
+
+  if (!refreshPromise) {
+    refreshPromise = axios
+      .post(`${API_BASE_URL}/auth/refresh`, { refresh_token: refreshToken })
+      .then((response) => {
+        const { token, refresh_token } = response.data.data;
+        authStorage.setToken(token);
+        authStorage.setRefreshToken(refresh_token);
+        return token as string;
+      })
+      .catch(() => null)
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+
+  return refreshPromise;
+};
+
 // Response interceptor for error handling
 apiClient.interceptors.response.use(
   (response) => response,
-  (error: AxiosError<ApiError>) => {
+  async (error: AxiosError<ApiError>) => {
+    const originalRequest = error.config as (AxiosRequestConfig & { _retry?: boolean }) | undefined;
+
     if (error.response?.status === 401) {
+      // Access token expired - renew it once and retry
+      if (originalRequest && !originalRequest._retry && (error.response.data as any)?.code === 'TOKEN_EXPIRED') {
+        originalRequest._retry = true;
+        const token = await refreshAccessToken();
+        if (token) {
+          originalRequest.headers = { ...originalRequest.headers, Authorization: `Bearer ${token}` };
+          return apiClient(originalRequest);
+        }
+      }
+
       // Unauthorized - clear auth and redirect to login
       authStorage.clearAuth();
       if (typeof window !== 'undefined' && !window.location.pathname.includes('/login')) {
@@ -41,6 +78,60 @@ apiClient.interceptors.response.use(
   }
 );
 
+/**
+ * Read the live dashboard event stream (Server-Sent Events)
+ * EventSource cannot send the Authorization header, so the stream is read with
+ * fetch. Resolves when the server ends the stream (e.g. the access token
+ * expired) or the signal aborts it; the caller reconnects.
+ */
+const streamLiveEvents = async (onEvent: (event: LiveEvent) => void, signal: AbortSignal): Promise<void> => {
+  const open = (token: string | null) =>
+    fetch(`${API_BASE_URL}/admin/live/events`, {
+      headers: { Accept: 'text/event-stream', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+      signal,
+    });
+
+  let response = await open(authStorage.getToken());
+  if (response.status === 401) {
+    // Renew an expired access token once, like the response interceptor
+    const token = await refreshAccessToken();
+    if (!token) throw new Error('Session expired');
+    response = await open(token);
+  }
+  if (!response.ok || !response.body) {
+    throw new Error(`Live events unavailable (HTTP ${response.status})`);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) return;
+    buffer += decoder.decode(value, { stream: true });
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const frame = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      const event: LiveEvent = { type: 'message', data: null };
+      const data: string[] = [];
+      for (const line of frame.split('\n')) {
+        if (line.startsWith('event: ')) event.type = line.slice(7);
+        else if (line.startsWith('id: ')) event.id = line.slice(4);
+        else if (line.startsWith('data: ')) data.push(line.slice(6));
+      }
+      // Comments (heartbeats) and retry frames carry no data
+      if (data.length > 0) {
+        event.data = JSON.parse(data.join('\n'));
+        onEvent(event);
+      }
+    }
+  }
+};
+
 // API helper functions
 export const api = {
   // Auth endpoints
@@ -48,6 +139,16 @@ export const api = {
     login: (email: string, password: string) =>
       apiClient.post('/auth/login', { email, password }),
 
+    // Single sign-on: the provider redirects back to /login with a code and state
+    getOidcConfig: () =>
+      apiClient.get('/auth/oidc'),
+
+    startOidcLogin: () =>
+      apiClient.get('/auth/oidc/authorize'),
+
+    completeOidcLogin: (code: string, state: string) =>
+      apiClient.post('/auth/oidc/callback', { code, state }),
+
     register: (username: string, email: string, password: string) =>
       apiClient.post('/auth/register', { username, email, password }),
 
@@ -57,6 +158,12 @@ export const api = {
     resendVerification: (email: string) =>
       apiClient.post('/auth/resend-verification', { email }),
 
+    refresh: (refreshToken: string) =>
+      apiClient.post('/auth/refresh', { refresh_token: refreshToken }),
+
+    logout: (refreshToken: string, all = false) =>
+      apiClient.post('/auth/logout', { refresh_token: refreshToken, all }),
+
     getCurrentUser: () =>
       apiClient.get('/auth/me'),
 
@@ -68,6 +175,25 @@ export const api = {
 
     verifyResetToken: (token: string) =>
       apiClient.get('/auth/verify-reset-token', { params: { token } }),
+
+    verifyMfa: (mfaToken: string, credentials: { code?: string; recovery_code?: string }) =>
+      apiClient.post('/auth/mfa/verify', { mfa_token: mfaToken, ...credentials }),
+
+    getMfaStatus: () =>
+      apiClient.get('/auth/mfa/status'),
+
+    // Pass the mfa_token from login when enrollment is required before signing in
+    setupMfa: (mfaToken?: string) =>
+      apiClient.post('/auth/mfa/setup', {}, mfaToken ? { headers: { Authorization: `Bearer ${mfaToken}` } } : undefined),
+
+    enableMfa: (code: string, mfaToken?: string) =>
+      apiClient.post('/auth/mfa/enable', { code }, mfaToken ? { headers: { Authorization: `Bearer ${mfaToken}` } } : undefined),
+
+    regenerateRecoveryCodes: (code: string) =>
+      apiClient.post('/auth/mfa/recovery-codes', { code }),
+
+    disableMfa: (password: string, code: string) =>
+      apiClient.post('/auth/mfa/disable', { password, code }),
   },
 
   // User endpoints
@@ -89,6 +215,15 @@ export const api = {
 
     deleteAccount: () =>
       apiClient.delete('/users/account'),
+
+    getApiTokens: () =>
+      apiClient.get('/users/api-tokens'),
+
+    createApiToken: (data: { name: string; scopes: string[]; expires_in_days?: number }) =>
+      apiClient.post('/users/api-tokens', data),
+
+    revokeApiToken: (id: number) =>
+      apiClient.delete(`/users/api-tokens/${id}`),
   },
 
   // OpenVPN endpoints
@@ -184,8 +319,73 @@ export const api = {
     cleanupTokens: () =>
       apiClient.post('/admin/cleanup-tokens'),
 
-    getAllDevices: (page = 1, limit = 20) =>
-      apiClient.get('/admin/devices', { params: { page, limit } }),
+    getAllDevices: (page = 1, limit = 20, enrollmentStatus?: string) =>
+      apiClient.get('/admin/devices', { params: { page, limit, enrollment_status: enrollmentStatus || undefined } }),
+
+    approveDevice: (id: number) =>
+      apiClient.post(`/admin/devices/${id}/approve`),
+
+    rejectDevice: (id: number, reason?: string) =>
+      apiClient.post(`/admin/devices/${id}/reject`, { reason }),
+
+    getDevicePolicy: () =>
+      apiClient.get('/admin/security/device-policy'),
+
+    updateDevicePolicy: (approvalRequired: boolean) =>
+      apiClient.put('/admin/security/device-policy', { approval_required: approvalRequired }),
+
+    revokeUserSessions: (id: number) =>
+      apiClient.post(`/admin/users/${id}/revoke-sessions`),
+
+    resendUserVerification: (id: number) =>
+      apiClient.post(`/admin/users/${id}/resend-verification`),
+
+    getRoles: () =>
+      apiClient.get('/admin/roles'),
+
+    resetUserMfa: (id: number) =>
+      apiClient.delete(`/admin/users/${id}/mfa`),
+
+    getMfaPolicy: () =>
+      apiClient.get('/admin/security/mfa-policy'),
+
+    updateMfaPolicy: (requiredForAdmins: boolean) =>
+      apiClient.put('/admin/security/mfa-policy', { required_for_admins: requiredForAdmins }),
+
+    getAuditEvents: (page = 1, limit = 20, filters: Record<string, string | number> = {}) =>
+      apiClient.get('/admin/audit', { params: { page, limit, ...filters } }),
+
+    exportAuditEvents: (format: 'csv' | 'json' = 'csv', filters: Record<string, string | number> = {}) =>
+      apiClient.get('/admin/audit/export', { params: { format, ...filters }, responseType: 'blob' }),
+
+    getLiveSnapshot: () =>
+      apiClient.get('/admin/live/snapshot'),
+
+    streamLiveEvents,
+
+    getWebhooks: () =>
+      apiClient.get('/admin/webhooks'),
+
+    createWebhook: (data: { name: string; url: string; events: string[]; is_active?: boolean }) =>
+      apiClient.post('/admin/webhooks', data),
+
+    updateWebhook: (id: number, data: { name?: string; url?: string; events?: string[]; is_active?: boolean }) =>
+      apiClient.put(`/admin/webhooks/${id}`, data),
+
+    deleteWebhook: (id: number) =>
+      apiClient.delete(`/admin/webhooks/${id}`),
+
+    rotateWebhookSecret: (id: number) =>
+      apiClient.post(`/admin/webhooks/${id}/rotate-secret`),
+
+    testWebhook: (id: number) =>
+      apiClient.post(`/admin/webhooks/${id}/test`),
+
+    getWebhookDeliveries: (id: number, page = 1, limit = 20, status?: string) =>
+      apiClient.get(`/admin/webhooks/${id}/deliveries`, { params: { page, limit, status: status || undefined } }),
+
+    redeliverWebhookDelivery: (deliveryId: number) =>
+      apiClient.post(`/admin/webhooks/deliveries/${deliveryId}/redeliver`),
   },
 
   // Device endpoints
@@ -193,6 +393,15 @@ export const api = {
     getAllDevices: () =>
       apiClient.get('/devices'),
 
+    getEnrollmentPolicy: () =>
+      apiClient.get('/devices/enrollment'),
+
+    enrollDevice: (data: { name: string; device_type?: string }) =>
+      apiClient.post('/devices', data),
+
+    downloadDeviceProfile: (id: number) =>
+      apiClient.get(`/devices/${id}/profile`, { responseType: 'blob' }),
+
     getDevice: (id: number) =>
       apiClient.get(`/devices/${id}`),
 
@@ -233,6 +442,48 @@ export const api = {
       apiClient.get('/lan-networks/all', { params: { page, limit } }),
   },
 
+  // Group endpoints
+  groups: {
+    getGroups: () =>
+      apiClient.get('/groups'),
+
+    getGroup: (id: number) =>
+      apiClient.get(`/groups/${id}`),
+
+    createGroup: (data: { name: string; description?: string; priority?: number }) =>
+      apiClient.post('/groups', data),
+
+    updateGroup: (id: number, data: { name?: string; description?: string; priority?: number }) =>
+      apiClient.put(`/groups/${id}`, data),
+
+    deleteGroup: (id: number) =>
+      apiClient.delete(`/groups/${id}`),
+
+    addMembers: (id: number, userIds: number[]) =>
+      apiClient.post(`/groups/${id}/members`, { user_ids: userIds }),
+
+    removeMember: (id: number, userId: number) =>
+      apiClient.delete(`/groups/${id}/members/${userId}`),
+
+    assignQos: (id: number, policyId: number) =>
+      apiClient.put(`/groups/${id}/qos`, { policy_id: policyId }),
+
+    removeQos: (id: number) =>
+      apiClient.delete(`/groups/${id}/qos`),
+
+    getNetworks: (id: number) =>
+      apiClient.get(`/groups/${id}/lan-networks`),
+
+    createNetwork: (id: number, data: { network_cidr: string; description?: string }) =>
+      apiClient.post(`/groups/${id}/lan-networks`, data),
+
+    updateNetwork: (id: number, networkId: number, data: { network_cidr?: string; description?: string; enabled?: boolean }) =>
+      apiClient.put(`/groups/${id}/lan-networks/${networkId}`, data),
+
+    deleteNetwork: (id: number, networkId: number) =>
+      apiClient.delete(`/groups/${id}/lan-networks/${networkId}`),
+  },
+
   // Docker endpoints
   docker: {
     listContainers: (all = true) =>
@@ -1,6 +1,7 @@
 import { User } from '@/types';
 
 const TOKEN_KEY = 'openvpn_token';
+const REFRESH_TOKEN_KEY = 'openvpn_refresh_token';
 const USER_KEY = 'openvpn_user';
 
 export const authStorage = {
@@ -19,6 +20,21 @@ export const authStorage = {
     localStorage.removeItem(TOKEN_KEY);
   },
 
+  getRefreshToken: (): string | null => {
+    if (typeof window === 'undefined') return null;
+    return localStorage.getItem(REFRESH_TOKEN_KEY);
+  },
+
+  setRefreshToken: (token: string): void => {
+    if (typeof window === 'undefined') return;
+    localStorage.setItem(REFRESH_TOKEN_KEY, token);
+  },
+
+  removeRefreshToken: (): void => {
+    if (typeof window === 'undefined') return;
+    localStorage.removeItem(REFRESH_TOKEN_KEY);
+  },
+
   getUser: (): User | null => {
     if (typeof window === 'undefined') return null;
     const userStr = localStorage.getItem(USER_KEY);
@@ -42,6 +58,7 @@ export const authStorage = {
 
   clearAuth: (): void => {
     authStorage.removeToken();
+    authStorage.removeRefreshToken();
     authStorage.removeUser();
   },
 };
@@ -54,3 +71,15 @@ export const isAdmin = (): boolean => {
   const user = authStorage.getUser();
   return user?.role === 'admin';
 };
+
+// Admin and the staff roles (helpdesk, network-operator, auditor)
+export const isStaff = (user: { role?: string } | null | undefined): boolean => {
+  return !!user?.role && user.role !== 'user';
+};
+
+export const hasPermission = (
+  user: { role?: string; permissions?: string[] } | null | undefined,
+  permission: string
+): boolean => {
+  return user?.role === 'admin' || !!user?.permissions?.includes(permission);
+};
@@ -8,7 +8,7 @@ interface AuthState {
   isAuthenticated: boolean;
   isLoading: boolean;
 
-  setAuth: (user: User, token: string) => void;
+  setAuth: (user: User, token: string, refreshToken?: string) => void;
   setUser: (user: User) => void;
   logout: () => void;
   initAuth: () => void;
@@ -20,9 +20,12 @@ export const useAuthStore = create<AuthState>((set) => ({
   isAuthenticated: false,
   isLoading: true,
 
-  setAuth: (user: User, token: string) => {
+  setAuth: (user: User, token: string, refreshToken?: string) => {
     authStorage.setUser(user);
     authStorage.setToken(token);
+    if (refreshToken) {
+      authStorage.setRefreshToken(refreshToken);
+    }
     set({ user, token, isAuthenticated: true, isLoading: false });
   },
 
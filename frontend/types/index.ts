@@ -1,9 +1,12 @@
 // User types
+export type UserRole = 'user' | 'admin' | 'helpdesk' | 'network-operator' | 'auditor';
+
 export interface User {
   id: number;
   username: string;
   email: string;
-  role: 'user' | 'admin';
+  role: UserRole;
+  permissions?: string[];
   email_verified: boolean;
   created_at: string;
   updated_at?: string;
@@ -215,3 +218,77 @@ export interface UserDashboard {
   };
   qos_policy?: QosPolicy;
 }
+
+// Live dashboard types
+export interface LiveSession {
+  id: number;
+  user_id: number;
+  username: string;
+  user_email: string;
+  device_id: number | null;
+  device_name: string | null;
+  real_ip: string | null;
+  virtual_ip: string | null;
+  platform: string | null;
+  connected_since: string;
+  bytes_sent: number;
+  bytes_received: number;
+  rx_bps: number | null;
+  tx_bps: number | null;
+}
+
+export interface LiveSyncState {
+  isRunning: boolean;
+  isSyncing: boolean;
+  progress: { current: number; total: number; username: string | null } | null;
+  intervalMinutes: number;
+  nextSync: string | null;
+  lastSync: {
+    timestamp: string | null;
+    success: boolean | null;
+    error: string | null;
+  };
+}
+
+export interface LiveSnapshot {
+  sessions: LiveSession[];
+  sync: LiveSyncState | null;
+}
+
+export interface LiveEvent {
+  id?: string;
+  type: string;
+  data: any;
+}
+
+export interface Webhook {
+  id: number;
+  name: string;
+  url: string;
+  events: string[];
+  is_active: boolean;
+  created_by: number | null;
+  created_by_email?: string | null;
+  failed_last_day?: number;
+  pending_deliveries?: number;
+  created_at: string;
+  updated_at: string;
+}
+
+export interface WebhookDelivery {
+  id: number;
+  webhook_id: number;
+  event_id: string;
+  event_type: string;
+  payload: any;
+  status: 'pending' | 'succeeded' | 'failed';
+  attempts: number;
+  next_attempt_at: string | null;
+  last_attempt_at: string | null;
+  response_status: number | null;
+  response_body: string | null;
+  error: string | null;
+  duration_ms: number | null;
+  delivered_at: string | null;
+  created_at: string;
+}
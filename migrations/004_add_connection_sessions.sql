@@ -0,0 +1,63 @@
+-- ============================================================================
+-- Migration: Add Connection Session History
+-- ============================================================================
+-- This migration adds the connection_sessions table, which keeps a history of
+-- every VPN session observed by the VPN monitor (vpnMonitor.js). The devices
+-- table only reflects the latest state of a device; this table records each
+-- individual connection with its traffic counters and disconnect time.
+--
+-- Usage:
+--   mysql -u root -p openvpn_system < migrations/004_add_connection_sessions.sql
+-- ============================================================================
+
+USE openvpn_system;
+
+-- ============================================================================
+-- Table: connection_sessions
+-- ============================================================================
+-- One row per VPN connection. A row is opened the first time the monitor sees
+-- a client, updated on every poll while the client stays connected, and closed
+-- (status = 'closed', disconnected_at set) once the client disappears.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS connection_sessions (
+  id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+  user_id INT UNSIGNED NOT NULL,
+  device_id INT UNSIGNED NULL COMMENT 'Device record the session belongs to',
+  username VARCHAR(255) NOT NULL COMMENT 'OpenVPN username reported by the server',
+  common_name VARCHAR(255) NULL COMMENT 'Certificate common name',
+  real_ip VARCHAR(45) NULL COMMENT 'Public IP address of the client',
+  real_address VARCHAR(64) NULL COMMENT 'Public IP:port as reported by the server',
+  virtual_ip VARCHAR(45) NULL COMMENT 'VPN IP address assigned to the client',
+  cipher VARCHAR(100) NULL COMMENT 'Data channel cipher',
+  platform VARCHAR(100) NULL COMMENT 'Client platform (from peer info)',
+  connected_since DATETIME NOT NULL COMMENT 'Connection start as reported by the server',
+  last_seen_at DATETIME NOT NULL COMMENT 'Last poll that saw this session',
+  disconnected_at DATETIME NULL COMMENT 'Set when the session is closed',
+  bytes_sent BIGINT UNSIGNED NOT NULL DEFAULT 0,
+  bytes_received BIGINT UNSIGNED NOT NULL DEFAULT 0,
+  status ENUM('active', 'closed') NOT NULL DEFAULT 'active',
+  disconnect_reason VARCHAR(255) NULL COMMENT 'Why the session was closed',
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (device_id) REFERENCES devices(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='VPN connection session history';
+
+-- Indexes for connection_sessions table
+CREATE INDEX idx_connection_sessions_user_id ON connection_sessions(user_id);
+CREATE INDEX idx_connection_sessions_device_id ON connection_sessions(device_id);
+CREATE INDEX idx_connection_sessions_status ON connection_sessions(status);
+CREATE INDEX idx_connection_sessions_virtual_ip ON connection_sessions(virtual_ip);
+CREATE INDEX idx_connection_sessions_connected_since ON connection_sessions(connected_since);
+CREATE INDEX idx_connection_sessions_disconnected_at ON connection_sessions(disconnected_at);
+
+-- ============================================================================
+-- Migration Complete
+-- ============================================================================
+-- The following features are now available:
+-- 1. Per-connection session history written by the VPN monitor
+-- 2. Traffic counters and cipher recorded for each session
+-- 3. Session listing per device (GET /api/devices/:id/sessions)
+-- 4. Session listing for admins (GET /api/admin/sessions)
+-- ============================================================================
@@ -0,0 +1,48 @@
+-- ============================================================================
+-- Migration: Add Bandwidth Usage Accounting
+-- ============================================================================
+-- This migration adds the bandwidth_usage table. The VPN monitor computes the
+-- traffic delta of every connected client between two polls and adds it to
+-- hourly, daily and monthly buckets per user and device. These buckets back
+-- the usage reports (GET /api/users/usage, GET /api/admin/usage).
+--
+-- Usage:
+--   mysql -u root -p openvpn_system < migrations/005_add_bandwidth_usage.sql
+-- ============================================================================
+
+USE openvpn_system;
+
+-- ============================================================================
+-- Table: bandwidth_usage
+-- ============================================================================
+-- One row per user, device, period type and period start. device_id has no
+-- foreign key on purpose: usage must survive the removal of a device record
+-- so past months can still be billed. It is 0 when the device is unknown.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS bandwidth_usage (
+  id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+  user_id INT UNSIGNED NOT NULL,
+  device_id INT UNSIGNED NOT NULL DEFAULT 0 COMMENT 'Device ID, 0 when unknown',
+  period ENUM('hour', 'day', 'month') NOT NULL,
+  period_start DATETIME NOT NULL COMMENT 'Start of the hour, day or month (server local time)',
+  bytes_sent BIGINT UNSIGNED NOT NULL DEFAULT 0 COMMENT 'Bytes sent by the server to the client',
+  bytes_received BIGINT UNSIGNED NOT NULL DEFAULT 0 COMMENT 'Bytes received by the server from the client',
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  UNIQUE KEY unique_usage_bucket (user_id, device_id, period, period_start) COMMENT 'One bucket per user, device and period'
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Aggregated VPN traffic per user and device';
+
+-- Indexes for bandwidth_usage table
+CREATE INDEX idx_bandwidth_usage_period_start ON bandwidth_usage(period, period_start);
+CREATE INDEX idx_bandwidth_usage_device_id ON bandwidth_usage(device_id);
+
+-- ============================================================================
+-- Migration Complete
+-- ============================================================================
+-- The following features are now available:
+-- 1. Hourly, daily and monthly traffic totals per user and device
+-- 2. Usage report for users (GET /api/users/usage)
+-- 3. Usage report for admins with CSV export (GET /api/admin/usage)
+-- ============================================================================
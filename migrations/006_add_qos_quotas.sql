@@ -0,0 +1,66 @@
+-- ============================================================================
+-- Migration: Add Data Quotas to QoS Policies
+-- ============================================================================
+-- This migration extends qos_policies with daily and monthly data quotas and
+-- an action to take once a quota is used up. The VPN monitor compares the
+-- usage recorded in bandwidth_usage (migration 005) with the quotas of the
+-- effective policy of every connected device.
+--
+-- Usage:
+--   mysql -u root -p openvpn_system < migrations/006_add_qos_quotas.sql
+-- ============================================================================
+
+USE openvpn_system;
+
+-- ============================================================================
+-- Table: qos_policies (quota columns)
+-- ============================================================================
+-- over_quota_action:
+--   notify     - only email the user at 80% and 100%
+--   throttle   - limit the client to throttle_policy_id (or QOS_QUOTA_THROTTLE_KBPS)
+--   disconnect - disconnect the client from the VPN server
+-- ============================================================================
+
+ALTER TABLE qos_policies
+  ADD COLUMN daily_quota_mb INT UNSIGNED NULL COMMENT 'Daily data allowance in MB (NULL = unlimited)' AFTER priority,
+  ADD COLUMN monthly_quota_mb INT UNSIGNED NULL COMMENT 'Monthly data allowance in MB (NULL = unlimited)' AFTER daily_quota_mb,
+  ADD COLUMN over_quota_action ENUM('notify', 'throttle', 'disconnect') NOT NULL DEFAULT 'notify' COMMENT 'Action once a quota is used up' AFTER monthly_quota_mb,
+  ADD COLUMN throttle_policy_id INT UNSIGNED NULL COMMENT 'Policy applied while throttled' AFTER over_quota_action,
+  ADD CONSTRAINT fk_qos_policies_throttle_policy FOREIGN KEY (throttle_policy_id) REFERENCES qos_policies(id) ON DELETE SET NULL;
+
+-- ============================================================================
+-- Table: quota_notifications
+-- ============================================================================
+-- Remembers which quota thresholds were already reached in a period, so the
+-- user is emailed once per threshold instead of on every monitor poll.
+-- device_id is 0 for quotas of user-level policies (counted over all devices).
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS quota_notifications (
+  id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+  user_id INT UNSIGNED NOT NULL,
+  device_id INT UNSIGNED NOT NULL DEFAULT 0 COMMENT 'Device ID, 0 for user-level quotas',
+  qos_policy_id INT UNSIGNED NOT NULL,
+  period ENUM('day', 'month') NOT NULL,
+  period_start DATETIME NOT NULL,
+  threshold TINYINT UNSIGNED NOT NULL COMMENT 'Percentage of the quota reached (80 or 100)',
+  usage_bytes BIGINT UNSIGNED NOT NULL COMMENT 'Usage when the threshold was reached',
+  quota_bytes BIGINT UNSIGNED NOT NULL,
+  action_taken VARCHAR(20) NOT NULL DEFAULT 'notify',
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (qos_policy_id) REFERENCES qos_policies(id) ON DELETE CASCADE,
+  UNIQUE KEY unique_quota_threshold (user_id, device_id, qos_policy_id, period, period_start, threshold)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Quota thresholds reached per period';
+
+-- Indexes for quota_notifications table
+CREATE INDEX idx_quota_notifications_period_start ON quota_notifications(period, period_start);
+
+-- ============================================================================
+-- Migration Complete
+-- ============================================================================
+-- The following features are now available:
+-- 1. Daily and monthly data quotas on QoS policies
+-- 2. Over-quota action: notify, throttle or disconnect
+-- 3. Quota warning emails at 80% and 100%
+-- ============================================================================
@@ -0,0 +1,50 @@
+-- ============================================================================
+-- Migration: Add Time-of-Day Schedules to QoS Policies
+-- ============================================================================
+-- This migration adds schedule windows to QoS policies. While a window is
+-- active, its bandwidth limit and/or priority replace those of the policy,
+-- e.g. "Mon-Fri 08:00-18:00 high priority" on a policy that is otherwise low.
+--
+-- Windows are evaluated in the timezone configured with QOS_SCHEDULE_TIMEZONE.
+--
+-- Usage:
+--   mysql -u root -p openvpn_system < migrations/007_add_qos_schedules.sql
+-- ============================================================================
+
+USE openvpn_system;
+
+-- ============================================================================
+-- Table: qos_policy_schedules
+-- ============================================================================
+-- A window whose end_time is before its start_time runs past midnight
+-- (e.g. 22:00-06:00); days_of_week then refers to the day the window starts.
+-- NULL bandwidth_limit or priority keeps the value of the policy.
+-- When windows overlap, the one that starts first wins.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS qos_policy_schedules (
+  id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+  qos_policy_id INT UNSIGNED NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  days_of_week SET('mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun') NOT NULL,
+  start_time TIME NOT NULL,
+  end_time TIME NOT NULL,
+  bandwidth_limit INT UNSIGNED NULL COMMENT 'Bandwidth limit in Kbps while active (NULL = policy limit)',
+  priority ENUM('low', 'medium', 'high') NULL COMMENT 'Priority while active (NULL = policy priority)',
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (qos_policy_id) REFERENCES qos_policies(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Time-of-day schedule windows of QoS policies';
+
+-- Indexes for qos_policy_schedules table
+CREATE INDEX idx_qos_policy_schedules_policy ON qos_policy_schedules(qos_policy_id, is_active);
+
+-- ============================================================================
+-- Migration Complete
+-- ============================================================================
+-- The following features are now available:
+-- 1. Schedule windows per QoS policy (days of week, start and end time)
+-- 2. Bandwidth limit and priority overrides while a window is active
+-- 3. Effective policy preview at any point in time
+-- ============================================================================
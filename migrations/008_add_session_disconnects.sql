@@ -0,0 +1,32 @@
+-- ============================================================================
+-- Migration: Record Admin-Initiated Disconnects
+-- ============================================================================
+-- This migration records who disconnected a VPN session and why, for sessions
+-- an admin kicked through /api/admin/sessions/:id/disconnect or
+-- /api/admin/users/:id/disconnect-all (disconnect_reason = 'admin_disconnect').
+--
+-- Usage:
+--   mysql -u root -p openvpn_system < migrations/008_add_session_disconnects.sql
+-- ============================================================================
+
+USE openvpn_system;
+
+-- ============================================================================
+-- Table: connection_sessions (disconnect columns)
+-- ============================================================================
+
+ALTER TABLE connection_sessions
+  ADD COLUMN disconnected_by INT UNSIGNED NULL COMMENT 'Admin who disconnected the session' AFTER disconnect_reason,
+  ADD COLUMN disconnect_comment VARCHAR(500) NULL COMMENT 'Reason given by the admin' AFTER disconnected_by,
+  ADD CONSTRAINT fk_connection_sessions_disconnected_by FOREIGN KEY (disconnected_by) REFERENCES users(id) ON DELETE SET NULL;
+
+-- Indexes for connection_sessions table
+CREATE INDEX idx_connection_sessions_username_status ON connection_sessions(username, status);
+
+-- ============================================================================
+-- Migration Complete
+-- ============================================================================
+-- The following features are now available:
+-- 1. Admin-initiated disconnect of live VPN sessions
+-- 2. Disconnecting admin and reason recorded on the session
+-- ============================================================================
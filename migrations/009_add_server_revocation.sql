@@ -0,0 +1,48 @@
+-- ============================================================================
+-- Migration: Propagate Profile Revocation to the OpenVPN Server
+-- ============================================================================
+-- Revoking a configuration file used to only set revoked_at in MySQL, while
+-- the profile kept working on the Access Server. Revocations are now applied
+-- on the server (sacli RevokeUser through profile-proxy). When the proxy is
+-- unreachable the revocation stays pending and is retried with backoff.
+--
+-- Usage:
+--   mysql -u root -p openvpn_system < migrations/009_add_server_revocation.sql
+-- ============================================================================
+
+USE openvpn_system;
+
+-- ============================================================================
+-- Table: config_files (server revocation columns)
+-- ============================================================================
+-- server_revocation_status:
+--   NULL    - not revoked
+--   pending - revoked in MySQL, not yet applied on the VPN server
+--   applied - certificate revoked on the VPN server
+-- ============================================================================
+
+ALTER TABLE config_files
+  ADD COLUMN revoked_by INT UNSIGNED NULL COMMENT 'User who revoked the configuration' AFTER revoked_at,
+  ADD COLUMN server_revocation_status ENUM('pending', 'applied') NULL COMMENT 'Whether the revocation reached the VPN server' AFTER revoked_by,
+  ADD COLUMN server_revoked_at DATETIME NULL COMMENT 'When the revocation was applied on the VPN server' AFTER server_revocation_status,
+  ADD COLUMN revocation_attempts INT UNSIGNED NOT NULL DEFAULT 0 COMMENT 'Failed attempts to apply the revocation' AFTER server_revoked_at,
+  ADD COLUMN revocation_error VARCHAR(500) NULL COMMENT 'Last error while applying the revocation' AFTER revocation_attempts,
+  ADD COLUMN revocation_next_attempt_at DATETIME NULL COMMENT 'Next retry of a pending revocation' AFTER revocation_error,
+  ADD CONSTRAINT fk_config_files_revoked_by FOREIGN KEY (revoked_by) REFERENCES users(id) ON DELETE SET NULL;
+
+-- Configurations revoked before this migration were never revoked on the server
+UPDATE config_files
+SET server_revocation_status = 'pending', revocation_next_attempt_at = NOW()
+WHERE revoked_at IS NOT NULL;
+
+-- Indexes for config_files table
+CREATE INDEX idx_config_files_revocation_queue ON config_files(server_revocation_status, revocation_next_attempt_at);
+
+-- ============================================================================
+-- Migration Complete
+-- ============================================================================
+-- The following features are now available:
+-- 1. Revocation applied on the VPN server (certificate revoked, sessions dropped)
+-- 2. Retry queue for revocations while profile-proxy is unreachable
+-- 3. Server-side revocation status per configuration file
+-- ============================================================================
@@ -0,0 +1,40 @@
+-- ============================================================================
+-- Migration: Expiring VPN Profiles
+-- ============================================================================
+-- Configuration files get an expiry date at generation time (lifetime set with
+-- PROFILE_LIFETIME_DAYS, or chosen per request up to PROFILE_MAX_LIFETIME_DAYS).
+-- Users are reminded PROFILE_EXPIRY_REMINDER_DAYS before their profile
+-- expires and can renew it; expired profiles are revoked by a scheduled job.
+--
+-- Usage:
+--   mysql -u root -p openvpn_system < migrations/010_add_profile_expiry.sql
+-- ============================================================================
+
+USE openvpn_system;
+
+-- ============================================================================
+-- Table: config_files (expiry columns)
+-- ============================================================================
+-- expires_at NULL means the profile never expires (profiles generated before
+-- this migration, or PROFILE_LIFETIME_DAYS=0).
+-- Access Server certificates are issued per user, so a user's profiles are
+-- revoked once the last of them has expired.
+-- ============================================================================
+
+ALTER TABLE config_files
+  ADD COLUMN expires_at DATETIME NULL COMMENT 'Expiry of the profile, NULL if it never expires' AFTER downloaded_at,
+  ADD COLUMN renewed_at DATETIME NULL COMMENT 'Last renewal of the profile' AFTER expires_at,
+  ADD COLUMN expiry_reminder_sent_at DATETIME NULL COMMENT 'When the expiry reminder was emailed' AFTER renewed_at;
+
+-- Indexes for config_files table
+CREATE INDEX idx_config_files_expiry ON config_files(revoked_at, expires_at);
+
+-- ============================================================================
+-- Migration Complete
+-- ============================================================================
+-- The following features are now available:
+-- 1. Configurable profile lifetime at generation time
+-- 2. Expiry reminder emails before a profile expires
+-- 3. Profile renewal by the user
+-- 4. Automatic revocation of expired profiles
+-- ============================================================================
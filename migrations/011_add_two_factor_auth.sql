@@ -0,0 +1,74 @@
+-- ============================================================================
+-- Migration: TOTP Two-Factor Authentication
+-- ============================================================================
+-- Adds optional TOTP (RFC 6238) two-factor authentication to the web login,
+-- one-time recovery codes and a security policy that can require two-factor
+-- authentication for administrators.
+--
+-- Usage:
+--   mysql -u root -p openvpn_system < migrations/011_add_two_factor_auth.sql
+-- ============================================================================
+
+USE openvpn_system;
+
+-- ============================================================================
+-- Table: user_mfa
+-- ============================================================================
+-- One TOTP secret per user, encrypted with AES-256-GCM (MFA_ENCRYPTION_KEY).
+-- enabled_at is NULL while enrollment has not been confirmed with a code.
+-- last_used_step prevents a code from being used twice.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS user_mfa (
+  user_id INT UNSIGNED NOT NULL PRIMARY KEY,
+  secret_encrypted VARCHAR(255) NOT NULL COMMENT 'Encrypted base32 TOTP secret',
+  enabled_at DATETIME NULL COMMENT 'When enrollment was confirmed, NULL while pending',
+  last_used_step BIGINT UNSIGNED NULL COMMENT 'TOTP time step of the last accepted code',
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='TOTP two-factor authentication secrets';
+
+-- ============================================================================
+-- Table: user_mfa_recovery_codes
+-- ============================================================================
+-- One-time codes to sign in without the authenticator, stored as SHA-256
+-- hashes. Codes are replaced as a whole when regenerated.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS user_mfa_recovery_codes (
+  id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+  user_id INT UNSIGNED NOT NULL,
+  code_hash CHAR(64) NOT NULL COMMENT 'SHA-256 hash of the recovery code',
+  used_at DATETIME NULL COMMENT 'When the code was used',
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  UNIQUE KEY uq_mfa_recovery_codes_user_hash (user_id, code_hash)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Two-factor authentication recovery codes';
+
+-- ============================================================================
+-- Table: security_settings
+-- ============================================================================
+-- Security policies managed by administrators at runtime
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS security_settings (
+  setting_key VARCHAR(100) NOT NULL PRIMARY KEY,
+  setting_value VARCHAR(255) NOT NULL,
+  updated_by INT UNSIGNED NULL COMMENT 'Administrator who last changed the setting',
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Runtime security policies';
+
+INSERT IGNORE INTO security_settings (setting_key, setting_value)
+VALUES ('mfa_required_for_admins', 'false');
+
+-- ============================================================================
+-- Migration Complete
+-- ============================================================================
+-- The following features are now available:
+-- 1. TOTP enrollment and verification at login
+-- 2. Hashed one-time recovery codes
+-- 3. Administrator reset of a user's two-factor authentication
+-- 4. Policy requiring two-factor authentication for administrators
+-- ============================================================================
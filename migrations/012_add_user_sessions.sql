@@ -0,0 +1,61 @@
+-- ============================================================================
+-- Migration: Refresh Tokens and Server-Side Sessions
+-- ============================================================================
+-- Replaces long-lived login JWTs with short-lived access tokens plus rotating
+-- refresh tokens. Each login creates a row in user_sessions; a token version
+-- on users invalidates every access token of a user at once (password change,
+-- role change, "log out everywhere").
+--
+-- Usage:
+--   mysql -u root -p openvpn_system < migrations/012_add_user_sessions.sql
+-- ============================================================================
+
+USE openvpn_system;
+
+-- ============================================================================
+-- Table: users
+-- ============================================================================
+-- token_version is embedded in access tokens (tv claim); verifyToken rejects
+-- tokens whose version is older than the user's current one.
+-- ============================================================================
+
+ALTER TABLE users
+  ADD COLUMN token_version INT UNSIGNED NOT NULL DEFAULT 0 COMMENT 'Incremented to invalidate all access tokens' AFTER role;
+
+-- ============================================================================
+-- Table: user_sessions
+-- ============================================================================
+-- One row per login. The refresh token is rotated on every use: the new hash
+-- replaces refresh_token_hash and the old one moves to previous_token_hash.
+-- Presenting a previous token again means it was stolen or replayed, and the
+-- session is revoked.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS user_sessions (
+  id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+  user_id INT UNSIGNED NOT NULL,
+  refresh_token_hash CHAR(64) NOT NULL COMMENT 'SHA-256 of the current refresh token',
+  previous_token_hash CHAR(64) NULL COMMENT 'SHA-256 of the refresh token it replaced',
+  ip_address VARCHAR(45) NULL,
+  user_agent VARCHAR(255) NULL,
+  expires_at DATETIME NOT NULL,
+  last_used_at DATETIME NULL,
+  revoked_at DATETIME NULL,
+  revoke_reason VARCHAR(50) NULL COMMENT 'logout, password_change, role_change, token_reuse, ...',
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uk_user_sessions_refresh (refresh_token_hash),
+  INDEX idx_user_sessions_previous (previous_token_hash),
+  INDEX idx_user_sessions_user (user_id, revoked_at),
+  INDEX idx_user_sessions_expires (expires_at),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Login sessions and their refresh tokens';
+
+-- ============================================================================
+-- Migration Complete
+-- ============================================================================
+-- The following features are now available:
+-- 1. Short-lived access tokens renewed with /api/auth/refresh
+-- 2. Rotating refresh tokens with reuse detection
+-- 3. Logout of one or all sessions (/api/auth/logout)
+-- 4. All sessions revoked on password and role changes
+-- ============================================================================
@@ -0,0 +1,45 @@
+-- ============================================================================
+-- Migration: Personal API Tokens
+-- ============================================================================
+-- Named, scoped tokens for scripted access (e.g. fetching .ovpn profiles from
+-- automation) without going through the web login. Tokens are stored as
+-- SHA-256 hashes; only a short prefix is kept to tell them apart.
+--
+-- Usage:
+--   mysql -u root -p openvpn_system < migrations/013_add_api_tokens.sql
+-- ============================================================================
+
+USE openvpn_system;
+
+-- ============================================================================
+-- Table: api_tokens
+-- ============================================================================
+-- scopes is a comma-separated list, e.g. 'vpn:profile:read,devices:read'.
+-- admin:* scopes can only be granted to (and used by) administrators.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS api_tokens (
+  id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+  user_id INT UNSIGNED NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  token_prefix VARCHAR(16) NOT NULL COMMENT 'First characters of the token, shown in listings',
+  token_hash CHAR(64) NOT NULL COMMENT 'SHA-256 of the token',
+  scopes VARCHAR(255) NOT NULL,
+  expires_at DATETIME NULL COMMENT 'NULL = never expires',
+  last_used_at DATETIME NULL,
+  last_used_ip VARCHAR(45) NULL,
+  revoked_at DATETIME NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uk_api_tokens_hash (token_hash),
+  INDEX idx_api_tokens_user (user_id, revoked_at),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Personal API tokens';
+
+-- ============================================================================
+-- Migration Complete
+-- ============================================================================
+-- The following features are now available:
+-- 1. Personal API tokens with scopes and optional expiry
+-- 2. Last-used tracking per token
+-- 3. Token revocation by the owner or an administrator
+-- ============================================================================
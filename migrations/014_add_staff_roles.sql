@@ -0,0 +1,30 @@
+-- ============================================================================
+-- Migration: Staff Roles
+-- ============================================================================
+-- Adds roles between 'user' and 'admin' for role-based access to the
+-- administration API. What each role may do is defined by the permission
+-- table in src/services/permissionService.js:
+--   helpdesk          reset passwords, resend verification emails, view devices
+--   network-operator  manage LAN networks and routing, trigger sync
+--   auditor           read-only access to everything
+--
+-- Usage:
+--   mysql -u root -p openvpn_system < migrations/014_add_staff_roles.sql
+-- ============================================================================
+
+USE openvpn_system;
+
+-- ============================================================================
+-- Table: users
+-- ============================================================================
+
+ALTER TABLE users
+  MODIFY COLUMN role ENUM('user', 'admin', 'helpdesk', 'network-operator', 'auditor') NOT NULL DEFAULT 'user';
+
+-- ============================================================================
+-- Migration Complete
+-- ============================================================================
+-- The following features are now available:
+-- 1. helpdesk, network-operator and auditor roles
+-- 2. Per-route permission checks on the admin, sync, database sync and QoS API
+-- ============================================================================
@@ -0,0 +1,105 @@
+-- ============================================================================
+-- Migration: User Groups
+-- ============================================================================
+-- Groups (e.g. "Engineering", "Contractors") let administrators manage QoS and
+-- LAN routes for many users at once:
+--   - a QoS policy assigned to a group applies to members without a user or
+--     device policy (precedence: device > user > group > default)
+--   - LAN networks of a group are routed to every member's VPN profile
+-- One QoS policy can also be marked as the default for everyone else.
+--
+-- Usage:
+--   mysql -u root -p openvpn_system < migrations/015_add_user_groups.sql
+-- ============================================================================
+
+USE openvpn_system;
+
+-- ============================================================================
+-- Table: user_groups
+-- ============================================================================
+-- priority decides which group policy applies to users in several groups
+-- with a policy: the lowest value wins.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS user_groups (
+  id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  description VARCHAR(255) NULL,
+  priority INT UNSIGNED NOT NULL DEFAULT 100 COMMENT 'Lower value wins when a user is in several groups',
+  created_by INT UNSIGNED NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uk_user_groups_name (name),
+  FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='User groups';
+
+-- ============================================================================
+-- Table: user_group_members
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS user_group_members (
+  group_id INT UNSIGNED NOT NULL,
+  user_id INT UNSIGNED NOT NULL,
+  added_by INT UNSIGNED NULL,
+  added_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (group_id, user_id),
+  INDEX idx_group_members_user (user_id),
+  FOREIGN KEY (group_id) REFERENCES user_groups(id) ON DELETE CASCADE,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (added_by) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Group membership';
+
+-- ============================================================================
+-- Table: group_qos
+-- ============================================================================
+-- One policy per group, like user_qos and device_qos.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS group_qos (
+  group_id INT UNSIGNED NOT NULL PRIMARY KEY,
+  qos_policy_id INT UNSIGNED NOT NULL,
+  assigned_by INT UNSIGNED NULL,
+  assigned_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_group_qos_policy (qos_policy_id),
+  FOREIGN KEY (group_id) REFERENCES user_groups(id) ON DELETE CASCADE,
+  FOREIGN KEY (qos_policy_id) REFERENCES qos_policies(id) ON DELETE CASCADE,
+  FOREIGN KEY (assigned_by) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='QoS policies assigned to groups';
+
+-- ============================================================================
+-- Table: group_lan_networks
+-- ============================================================================
+-- Same columns as user_lan_networks; routed to all members of the group.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS group_lan_networks (
+  id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+  group_id INT UNSIGNED NOT NULL,
+  network_cidr VARCHAR(50) NOT NULL COMMENT 'Network in CIDR notation (e.g., 192.168.1.0/24)',
+  network_ip VARCHAR(15) NOT NULL,
+  subnet_mask VARCHAR(15) NOT NULL,
+  description VARCHAR(255) NULL,
+  enabled TINYINT(1) NOT NULL DEFAULT 1,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uk_group_network (group_id, network_cidr),
+  FOREIGN KEY (group_id) REFERENCES user_groups(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='LAN networks shared by group members';
+
+-- ============================================================================
+-- Table: qos_policies
+-- ============================================================================
+-- At most one policy is the default; QosPolicy.setDefault keeps it that way.
+-- ============================================================================
+
+ALTER TABLE qos_policies
+  ADD COLUMN is_default TINYINT(1) NOT NULL DEFAULT 0 COMMENT 'Applies to users without a device, user or group policy';
+
+-- ============================================================================
+-- Migration Complete
+-- ============================================================================
+-- The following features are now available:
+-- 1. User groups with membership
+-- 2. Group-level QoS policies and a default QoS policy
+-- 3. LAN networks shared by all members of a group
+-- ============================================================================
@@ -0,0 +1,51 @@
+-- ============================================================================
+-- Migration: Audit Events
+-- ============================================================================
+-- Records administrative actions (user changes, password resets, QoS
+-- assignments, scheduler control, LAN network changes, ...) with the acting
+-- user, the target, a before/after diff of the changed fields and the client
+-- IP address and user agent. Written by services/auditService.
+--
+-- Usage:
+--   mysql -u root -p openvpn_system < migrations/016_add_audit_events.sql
+-- ============================================================================
+
+USE openvpn_system;
+
+-- ============================================================================
+-- Table: audit_events
+-- ============================================================================
+-- Actor email and role are copied so events stay readable after the actor
+-- is deleted. changes holds { field: { before, after } } for changed fields
+-- only; secrets (passwords, tokens) are never written.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS audit_events (
+  id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+  actor_id INT UNSIGNED NULL COMMENT 'NULL for system actions or deleted actors',
+  actor_email VARCHAR(255) NULL,
+  actor_role VARCHAR(32) NULL,
+  action VARCHAR(100) NOT NULL COMMENT 'e.g. user.update, qos.assign_user, scheduler.start',
+  target_type VARCHAR(50) NULL COMMENT 'e.g. user, qos_policy, lan_network, scheduler',
+  target_id VARCHAR(64) NULL,
+  target_label VARCHAR(255) NULL COMMENT 'Human readable target, e.g. the user email',
+  changes JSON NULL COMMENT 'Before/after values of the changed fields',
+  metadata JSON NULL COMMENT 'Additional context, e.g. reason or hard delete flag',
+  ip_address VARCHAR(45) NULL,
+  user_agent VARCHAR(255) NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_audit_events_created (created_at),
+  INDEX idx_audit_events_actor (actor_id, created_at),
+  INDEX idx_audit_events_action (action, created_at),
+  INDEX idx_audit_events_target (target_type, target_id),
+  FOREIGN KEY (actor_id) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Audit log of administrative actions';
+
+-- ============================================================================
+-- Migration Complete
+-- ============================================================================
+-- The following features are now available:
+-- 1. Audit log of administrative actions with before/after diffs
+-- 2. GET /api/admin/audit with filtering
+-- 3. CSV and JSON export through GET /api/admin/audit/export
+-- ============================================================================
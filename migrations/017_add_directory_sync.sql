@@ -0,0 +1,42 @@
+-- ============================================================================
+-- Migration: LDAP / Active Directory User Source
+-- ============================================================================
+-- Users can be imported from an LDAP directory (services/directorySync).
+-- Imported users sign in with their directory password, get their role from
+-- their directory groups and are disabled when they leave the directory or
+-- are disabled there.
+--
+-- Usage:
+--   mysql -u root -p openvpn_system < migrations/017_add_directory_sync.sql
+-- ============================================================================
+
+USE openvpn_system;
+
+-- ============================================================================
+-- Table: users
+-- ============================================================================
+-- auth_source: 'local' users registered through /api/auth/register,
+--              'ldap' users are managed by the directory sync
+-- external_id: Directory identifier (entryUUID, objectGUID or the DN)
+-- external_dn: Distinguished name used to verify the password at login
+-- disabled_at: Disabled users cannot sign in and are removed from OpenVPN
+-- ============================================================================
+
+ALTER TABLE users
+  ADD COLUMN auth_source ENUM('local', 'ldap') NOT NULL DEFAULT 'local' AFTER role,
+  ADD COLUMN external_id VARCHAR(255) NULL AFTER auth_source,
+  ADD COLUMN external_dn VARCHAR(512) NULL AFTER external_id,
+  ADD COLUMN directory_synced_at DATETIME NULL AFTER external_dn,
+  ADD COLUMN disabled_at DATETIME NULL COMMENT 'NULL = enabled' AFTER directory_synced_at,
+  ADD UNIQUE KEY uk_users_external (auth_source, external_id),
+  ADD INDEX idx_users_disabled_at (disabled_at);
+
+-- ============================================================================
+-- Migration Complete
+-- ============================================================================
+-- The following features are now available:
+-- 1. Periodic import of users from LDAP / Active Directory
+-- 2. Role mapping from directory groups
+-- 3. Sign-in with the directory password for imported users
+-- 4. Disabled accounts (cannot sign in, removed from OpenVPN)
+-- ============================================================================
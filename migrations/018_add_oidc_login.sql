@@ -0,0 +1,70 @@
+-- ============================================================================
+-- Migration: OpenID Connect Single Sign-On
+-- ============================================================================
+-- Users can sign in through an OpenID Connect provider (services/oidcService)
+-- with the authorization code flow and PKCE. Unknown users are created on
+-- their first sign-in, existing accounts are linked by verified email.
+--
+-- Usage:
+--   mysql -u root -p openvpn_system < migrations/018_add_oidc_login.sql
+-- ============================================================================
+
+USE openvpn_system;
+
+-- ============================================================================
+-- Table: users
+-- ============================================================================
+-- auth_source 'oidc': users created on their first single sign-on; they have
+-- no usable password and get their role from the provider's claims
+-- ============================================================================
+
+ALTER TABLE users
+  MODIFY COLUMN auth_source ENUM('local', 'ldap', 'oidc') NOT NULL DEFAULT 'local';
+
+-- ============================================================================
+-- Table: user_identities
+-- ============================================================================
+-- Accounts of the identity provider linked to users
+-- provider: Issuer URL of the provider
+-- subject:  'sub' claim, the stable user ID at the provider
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS user_identities (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  provider VARCHAR(255) NOT NULL,
+  subject VARCHAR(255) NOT NULL,
+  email VARCHAR(255) NULL COMMENT 'Email claim at the last sign-in',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_login_at DATETIME NULL,
+
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  UNIQUE KEY uk_user_identities_subject (provider, subject),
+  INDEX idx_user_identities_user (user_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================================
+-- Table: oidc_login_requests
+-- ============================================================================
+-- Pending sign-ins between the redirect to the provider and the callback.
+-- Looked up by the SHA-256 hash of the state parameter and deleted on use.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS oidc_login_requests (
+  state_hash CHAR(64) PRIMARY KEY,
+  code_verifier VARCHAR(128) NOT NULL COMMENT 'PKCE code verifier',
+  nonce VARCHAR(64) NOT NULL,
+  expires_at DATETIME NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+  INDEX idx_oidc_login_requests_expires (expires_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================================
+-- Migration Complete
+-- ============================================================================
+-- The following features are now available:
+-- 1. Single sign-on through an OpenID Connect provider
+-- 2. Accounts created on the first sign-in, with roles from claims
+-- 3. Linking of existing accounts by verified email
+-- ============================================================================
@@ -0,0 +1,54 @@
+-- ============================================================================
+-- Migration: Device Enrollment
+-- ============================================================================
+-- Users register their devices by name and download a profile bound to the
+-- device (services/deviceEnrollmentService). Administrators can require
+-- approval before the profile of a new device is issued. users.max_devices
+-- is enforced when a device is enrolled and when clients connect.
+--
+-- Usage:
+--   mysql -u root -p openvpn_system < migrations/019_add_device_enrollment.sql
+-- ============================================================================
+
+USE openvpn_system;
+
+-- ============================================================================
+-- Table: devices
+-- ============================================================================
+-- enrollment_status:
+--   unenrolled - Created by the VPN monitor for a connection, keyed by VPN IP
+--   pending    - Enrolled by the user, waiting for administrator approval
+--   approved   - Enrolled; the device profile can be downloaded
+--   rejected   - Enrolled, approval refused by an administrator
+-- Enrolled devices use a random enrollment ID as device_id. The device
+-- profile reports it to the server as UV_DEVICE_ID peer info.
+-- ============================================================================
+
+ALTER TABLE devices
+  ADD COLUMN enrollment_status ENUM('unenrolled', 'pending', 'approved', 'rejected') NOT NULL DEFAULT 'unenrolled' AFTER is_active,
+  ADD COLUMN enrolled_at DATETIME NULL AFTER enrollment_status,
+  ADD COLUMN reviewed_by INT NULL COMMENT 'Administrator who approved or rejected the device' AFTER enrolled_at,
+  ADD COLUMN reviewed_at DATETIME NULL AFTER reviewed_by,
+  ADD COLUMN review_note VARCHAR(255) NULL COMMENT 'Reason given when the device was rejected' AFTER reviewed_at,
+  ADD CONSTRAINT fk_devices_reviewed_by FOREIGN KEY (reviewed_by) REFERENCES users(id) ON DELETE SET NULL,
+  ADD INDEX idx_devices_enrollment (enrollment_status, user_id);
+
+-- ============================================================================
+-- Table: users
+-- ============================================================================
+-- max_devices: Enrolled devices and concurrent connections per user
+-- NULL: no limit
+-- ============================================================================
+
+ALTER TABLE users
+  MODIFY COLUMN max_devices INT NULL DEFAULT 3 COMMENT 'Device limit, NULL for no limit';
+
+-- ============================================================================
+-- Migration Complete
+-- ============================================================================
+-- The following features are now available:
+-- 1. Self-service enrollment of named devices with device-bound profiles
+-- 2. Optional administrator approval of new devices
+--    (security_settings key 'device_approval_required')
+-- 3. Device limits enforced at enrollment and connect time
+-- ============================================================================
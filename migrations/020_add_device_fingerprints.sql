@@ -0,0 +1,51 @@
+-- ============================================================================
+-- Migration: Stable Device Identity
+-- ============================================================================
+-- The VPN monitor identifies devices by a fingerprint of the client's peer
+-- info (services/vpnMonitor getDeviceIdentity) instead of the VPN IP, so a
+-- device keeps its history, name and device QoS policy across reconnects.
+-- Peer info is recorded by scripts/as-post-auth-peer-info.py on the Access
+-- Server and exposed by profile-proxy's /sacli/clientinfo.
+--
+-- Existing devices were keyed by VPN IP. They are marked as such here and
+-- re-keyed to their fingerprint the next time a client connects with that
+-- VPN IP and reports peer info.
+--
+-- Usage:
+--   mysql -u root -p openvpn_system < migrations/020_add_device_fingerprints.sql
+-- ============================================================================
+
+USE openvpn_system;
+
+-- ============================================================================
+-- Table: devices
+-- ============================================================================
+-- identity_source: What device_id is derived from
+--   enrollment  - Enrollment ID of an enrolled device (UV_DEVICE_ID)
+--   hwaddr      - SHA-256 of the client's MAC address (IV_HWADDR)
+--   certificate - SHA-256 of a per-device client certificate CN
+--   peer_info   - SHA-256 of the client's UV_ variables and platform
+--   vpn_ip      - VPN IP of a client without peer info (legacy)
+-- last_vpn_ip: VPN IP of the last connection
+-- ============================================================================
+
+ALTER TABLE devices
+  ADD COLUMN identity_source ENUM('enrollment', 'hwaddr', 'certificate', 'peer_info', 'vpn_ip') NOT NULL DEFAULT 'vpn_ip' AFTER device_id,
+  ADD COLUMN last_vpn_ip VARCHAR(45) NULL AFTER last_ip;
+
+UPDATE devices
+SET identity_source = 'enrollment'
+WHERE enrollment_status != 'unenrolled';
+
+UPDATE devices
+SET last_vpn_ip = device_id
+WHERE identity_source = 'vpn_ip';
+
+-- ============================================================================
+-- Migration Complete
+-- ============================================================================
+-- The following features are now available:
+-- 1. Devices recognised across reconnects by their peer info fingerprint
+-- 2. Device history and device QoS kept when VPN IPs are reassigned
+-- 3. Existing devices re-keyed at their next connection
+-- ============================================================================
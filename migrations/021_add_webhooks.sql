@@ -0,0 +1,77 @@
+-- ============================================================================
+-- Migration: Webhooks
+-- ============================================================================
+-- Administrators register webhook endpoints that receive VPN lifecycle events
+-- (user.created, user.synced, profile.generated, profile.revoked,
+-- session.connected, session.disconnected, lan_network.changed, sync.failed)
+-- as signed HTTP POST requests. Deliveries are logged and retried with
+-- backoff by services/webhookService.
+--
+-- Usage:
+--   mysql -u root -p openvpn_system < migrations/021_add_webhooks.sql
+-- ============================================================================
+
+USE openvpn_system;
+
+-- ============================================================================
+-- Table: webhooks
+-- ============================================================================
+-- secret_encrypted: HMAC signing secret, AES-256-GCM encrypted (iv:tag:data)
+-- events: JSON array of subscribed event types
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS webhooks (
+  id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  url VARCHAR(2048) NOT NULL,
+  secret_encrypted VARCHAR(255) NOT NULL,
+  events JSON NOT NULL COMMENT 'Subscribed event types',
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_by INT UNSIGNED NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_webhooks_active (is_active),
+  FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Webhook endpoints for lifecycle events';
+
+-- ============================================================================
+-- Table: webhook_deliveries
+-- ============================================================================
+-- One row per event and webhook. The payload is stored as sent, so a retry or
+-- a manual redelivery sends the same body (with a new signature timestamp).
+-- status:
+--   pending   - Not delivered yet; retried at next_attempt_at
+--   succeeded - The endpoint answered with 2xx
+--   failed    - Gave up after the maximum number of attempts
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+  webhook_id INT UNSIGNED NOT NULL,
+  event_id CHAR(36) NOT NULL COMMENT 'Same for every webhook receiving the event',
+  event_type VARCHAR(64) NOT NULL,
+  payload JSON NOT NULL,
+  status ENUM('pending', 'succeeded', 'failed') NOT NULL DEFAULT 'pending',
+  attempts INT UNSIGNED NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMP NULL,
+  last_attempt_at TIMESTAMP NULL,
+  response_status SMALLINT UNSIGNED NULL,
+  response_body TEXT NULL COMMENT 'Truncated response of the last attempt',
+  error VARCHAR(500) NULL COMMENT 'Network error or HTTP status of the last attempt',
+  duration_ms INT UNSIGNED NULL,
+  delivered_at TIMESTAMP NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_webhook_deliveries_due (status, next_attempt_at),
+  INDEX idx_webhook_deliveries_webhook (webhook_id, created_at),
+  INDEX idx_webhook_deliveries_event (event_id),
+  FOREIGN KEY (webhook_id) REFERENCES webhooks(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Delivery log of webhook events';
+
+-- ============================================================================
+-- Migration Complete
+-- ============================================================================
+-- The following features are now available:
+-- 1. Webhook endpoints subscribed to VPN lifecycle events
+-- 2. HMAC-SHA256 signed deliveries, retried with exponential backoff
+-- 3. Delivery log with manual redelivery
+-- ============================================================================
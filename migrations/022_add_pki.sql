@@ -0,0 +1,85 @@
+-- ============================================================================
+-- Migration: Built-in PKI
+-- ============================================================================
+-- The backend runs its own certificate authority for generated OpenVPN
+-- profiles: it issues a client certificate per profile (per user, or per
+-- device), embeds it inline with the CA certificate and the private key, and
+-- publishes a CRL listing the certificates of revoked profiles. See
+-- services/pkiService.
+--
+-- Usage:
+--   mysql -u root -p openvpn_system < migrations/022_add_pki.sql
+-- ============================================================================
+
+USE openvpn_system;
+
+-- ============================================================================
+-- Table: certificate_authorities
+-- ============================================================================
+-- status:
+--   active  - Issues new certificates; one at a time
+--   retired - Replaced by a rotation; still trusted (and its CRL published)
+--             until it expires, so certificates it issued keep working
+-- private_key_encrypted: PKCS#8 PEM, AES-256-GCM encrypted (iv:tag:data)
+-- crl_number: Number of the last CRL signed by the CA
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS certificate_authorities (
+  id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+  common_name VARCHAR(255) NOT NULL,
+  serial VARCHAR(40) NOT NULL,
+  certificate TEXT NOT NULL COMMENT 'PEM',
+  private_key_encrypted TEXT NOT NULL,
+  status ENUM('active', 'retired') NOT NULL DEFAULT 'active',
+  not_before DATETIME NOT NULL,
+  not_after DATETIME NOT NULL,
+  crl_number INT UNSIGNED NOT NULL DEFAULT 0,
+  created_by INT UNSIGNED NULL,
+  retired_at TIMESTAMP NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uk_certificate_authorities_serial (serial),
+  INDEX idx_certificate_authorities_status (status, not_after),
+  FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Certificate authorities of the built-in PKI';
+
+-- ============================================================================
+-- Table: issued_certificates
+-- ============================================================================
+-- kind:
+--   client - Certificate of a generated profile (config_file_id is set once
+--            the profile is saved); revoked with the profile
+--   server - Certificate of the OpenVPN server, reissued with the CA
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS issued_certificates (
+  id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+  ca_id INT UNSIGNED NOT NULL,
+  kind ENUM('client', 'server') NOT NULL DEFAULT 'client',
+  serial VARCHAR(40) NOT NULL,
+  common_name VARCHAR(255) NOT NULL,
+  user_id INT UNSIGNED NULL,
+  device_id INT UNSIGNED NULL,
+  config_file_id INT UNSIGNED NULL,
+  certificate TEXT NOT NULL COMMENT 'PEM',
+  private_key_encrypted TEXT NOT NULL,
+  not_before DATETIME NOT NULL,
+  not_after DATETIME NOT NULL,
+  revoked_at TIMESTAMP NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uk_issued_certificates_serial (serial),
+  INDEX idx_issued_certificates_crl (ca_id, revoked_at),
+  INDEX idx_issued_certificates_config (config_file_id),
+  INDEX idx_issued_certificates_user (user_id),
+  FOREIGN KEY (ca_id) REFERENCES certificate_authorities(id) ON DELETE CASCADE,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (config_file_id) REFERENCES config_files(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Certificates issued by the built-in PKI';
+
+-- ============================================================================
+-- Migration Complete
+-- ============================================================================
+-- The following features are now available:
+-- 1. Certificate authority created on first use, rotated by administrators
+-- 2. Client certificates issued per profile and embedded in generated configs
+-- 3. CRL of revoked profiles, published with the CA bundle for the server
+-- ============================================================================
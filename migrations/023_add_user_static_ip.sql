@@ -0,0 +1,29 @@
+-- ============================================================================
+-- Migration: Static VPN Address per User
+-- ============================================================================
+-- The OpenVPN client-connect hook (scripts/openvpn-client-connect.sh) asks the
+-- backend for the client-specific configuration of every connecting client.
+-- A user with a static address gets it pushed with ifconfig-push instead of
+-- an address from the server pool. See services/openvpnClientConnect.
+--
+-- Usage:
+--   mysql -u root -p openvpn_system < migrations/023_add_user_static_ip.sql
+-- ============================================================================
+
+USE openvpn_system;
+
+-- ============================================================================
+-- Table: users (static_ip column)
+-- ============================================================================
+-- static_ip: Address inside OPENVPN_VPN_SUBNET, outside the server's dynamic
+--            pool (NULL = address from the pool). Per-device certificates
+--            always get a pool address, so devices of one user never clash.
+-- ============================================================================
+
+ALTER TABLE users
+  ADD COLUMN static_ip VARCHAR(45) NULL COMMENT 'Static VPN address (NULL = dynamic)' AFTER disabled_at,
+  ADD UNIQUE KEY unique_users_static_ip (static_ip);
+
+-- ============================================================================
+-- Migration Complete
+-- ============================================================================
@@ -0,0 +1,64 @@
+# OpenVPN Access Server post-auth script: record client peer info
+#
+# Access Server does not keep the peer info of clients (IV_HWADDR, IV_PLAT,
+# UV_* variables) in its log database. This script stores the peer info of
+# every successful VPN authentication as a JSON file, which profile-proxy.js
+# joins into GET /sacli/clientinfo so the VPN monitor can recognise devices
+# across reconnects.
+#
+# Install inside the Access Server container:
+#   docker cp scripts/as-post-auth-peer-info.py openvpn-server:/openvpn/peer_info_post_auth.py
+#   docker exec openvpn-server sacli --key "auth.module.post_auth_script" \
+#     --value_file "/openvpn/peer_info_post_auth.py" ConfigPut
+#   docker exec openvpn-server sacli start
+#
+# One file is kept per user, client address and device, so the directory only
+# grows with the number of devices. It never blocks a login.
+
+import hashlib
+import json
+import os
+import time
+
+SYNCHRONOUS = False
+
+PEER_INFO_DIR = '/openvpn/tmp/peer-info'
+
+# Peer info variables worth keeping; UV_* variables are always kept
+PEER_INFO_KEYS = ('IV_HWADDR', 'IV_PLAT', 'IV_PLAT_VER', 'IV_VER', 'IV_GUI_VER', 'IV_SSO')
+
+
+def post_auth(authcred, attributes, authret, info):
+    try:
+        # Only VPN logins carry peer info, web logins to the Client UI do not
+        if not attributes.get('vpn_auth'):
+            return authret
+
+        client_info = attributes.get('client_info') or {}
+        peer_info = dict((key, value) for key, value in client_info.items()
+                         if key in PEER_INFO_KEYS or key.startswith('UV_'))
+
+        hwaddr = authcred.get('client_hw_addr') or peer_info.get('IV_HWADDR') or ''
+        record = {
+            'username': authcred.get('username', ''),
+            'real_ip': authcred.get('client_ip_addr', ''),
+            'hwaddr': hwaddr,
+            'peer_info': peer_info,
+            'time': int(time.time())
+        }
+
+        device = hwaddr or peer_info.get('UV_DEVICE_ID') or peer_info.get('IV_PLAT', '')
+        name = hashlib.sha256('|'.join([record['username'], record['real_ip'], device]).encode('utf-8')).hexdigest()
+
+        if not os.path.isdir(PEER_INFO_DIR):
+            os.makedirs(PEER_INFO_DIR)
+
+        # Write and rename, so a reader never sees a partial file
+        path = os.path.join(PEER_INFO_DIR, name + '.json')
+        with open(path + '.tmp', 'w') as handle:
+            handle.write(json.dumps(record))
+        os.rename(path + '.tmp', path)
+    except Exception as error:
+        print('peer info post_auth: %s' % error)
+
+    return authret
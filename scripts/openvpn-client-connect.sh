@@ -0,0 +1,60 @@
+#!/bin/sh
+# OpenVPN client-connect hook: per-user client configuration from the backend
+#
+# OpenVPN runs this script for every connecting client with the path of a
+# file to write client-specific directives to. The script asks the backend
+# (POST /api/vpn/client-connect) for the directives of the user: iroutes,
+# pushed routes, static address, DNS and the QoS bandwidth limit. The backend
+# refuses unknown, soft-deleted, disabled and over-quota users; so does this
+# script when the backend cannot be reached.
+#
+# Install on the OpenVPN server (community OpenVPN, VPN_BACKEND=community):
+#   cp scripts/openvpn-client-connect.sh /etc/openvpn/server/client-connect.sh
+#   chmod 755 /etc/openvpn/server/client-connect.sh
+#   cat > /etc/openvpn/server/client-connect.env <<EOF
+#   CLIENT_CONNECT_URL=http://backend:3000/api/vpn/client-connect
+#   CLIENT_CONNECT_TOKEN=<same value as CLIENT_CONNECT_TOKEN of the backend>
+#   EOF
+#   chmod 600 /etc/openvpn/server/client-connect.env
+#
+# and add to server.conf:
+#   script-security 2
+#   client-connect /etc/openvpn/server/client-connect.sh
+#
+# OpenVPN passes common_name (and username with auth-user-pass) in the
+# environment. Requires curl.
+
+ENV_FILE="${CLIENT_CONNECT_ENV_FILE:-/etc/openvpn/server/client-connect.env}"
+if [ -r "$ENV_FILE" ]; then
+  . "$ENV_FILE"
+fi
+
+CONFIG_FILE="$1"
+NAME="${username:-$common_name}"
+
+if [ -z "$CONFIG_FILE" ] || [ -z "$common_name" ]; then
+  echo "client-connect: missing config file argument or common_name" >&2
+  exit 1
+fi
+
+if [ -z "$CLIENT_CONNECT_URL" ] || [ -z "$CLIENT_CONNECT_TOKEN" ]; then
+  echo "client-connect: CLIENT_CONNECT_URL and CLIENT_CONNECT_TOKEN must be set in $ENV_FILE" >&2
+  exit 1
+fi
+
+# Write to a temporary file first, so a refused client never gets a partial config
+STATUS=$(curl --silent --show-error --max-time "${CLIENT_CONNECT_TIMEOUT:-10}" \
+  --output "$CONFIG_FILE.tmp" --write-out '%{http_code}' \
+  --header "Authorization: Bearer $CLIENT_CONNECT_TOKEN" \
+  --data-urlencode "common_name=$common_name" \
+  --data-urlencode "username=$username" \
+  "$CLIENT_CONNECT_URL")
+
+if [ "$STATUS" != "200" ]; then
+  echo "client-connect: refused $NAME (HTTP ${STATUS:-error}): $(cat "$CONFIG_FILE.tmp" 2>/dev/null)" >&2
+  rm -f "$CONFIG_FILE.tmp"
+  exit 1
+fi
+
+mv "$CONFIG_FILE.tmp" "$CONFIG_FILE"
+exit 0
@@ -91,6 +91,55 @@ async function generateAutologinProfile(username) {
   }
 }
 
+/**
+ * Directory where the Access Server post-auth script stores peer info
+ * (see scripts/as-post-auth-peer-info.py)
+ */
+const PEER_INFO_DIR = process.env.OPENVPN_PEER_INFO_DIR || '/openvpn/tmp/peer-info';
+
+/**
+ * Read the peer info recorded at VPN logins
+ * @returns {Promise<Array>} Records { username, real_ip, hwaddr, peer_info, time }
+ */
+async function readPeerInfo() {
+  try {
+    const { stdout } = await execAsync(
+      `docker exec ${CONTAINER_NAME} sh -c 'awk 1 ${PEER_INFO_DIR}/*.json 2>/dev/null || true'`
+    );
+
+    return stdout.split('\n').filter(line => line.trim()).map(line => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        return null;
+      }
+    }).filter(Boolean);
+  } catch (error) {
+    console.warn('Could not read peer info:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Find the peer info of a connected client
+ * Records are matched by username and client address. When several devices
+ * of a user connect from the same address (NAT), the one that authenticated
+ * last before the session started is taken.
+ * @param {Array} records - Records from readPeerInfo
+ * @param {Object} client - Active session from the log database
+ * @returns {Object|null} Record or null
+ */
+function findPeerInfo(records, client) {
+  const startTime = parseInt(client.start_time, 10) || Infinity;
+
+  const candidates = records
+    .filter(record => record.username === client.username && record.real_ip === client.real_ip)
+    .sort((a, b) => b.time - a.time);
+
+  // Authentication happens shortly before the session is logged as started
+  return candidates.find(record => record.time <= startTime + 60) || candidates[0] || null;
+}
+
 /**
  * HTTP request handler
  */
@@ -179,17 +228,19 @@ const server = http.createServer(async (req, res) => {
     }
 
     // GET /sacli/clientinfo -> returns detailed client connection info with platform detection
+    // and the peer info (IV_HWADDR, IV_PLAT, UV_* variables) recorded at login
     if (pathname === '/sacli/clientinfo' && req.method === 'GET') {
       try {
         const { stdout } = await execAsync(
           `docker exec ${CONTAINER_NAME} sqlite3 /openvpn/etc/db/log.db "SELECT username, real_ip, vpn_ip, platform, gui_version, version, common_name, start_time FROM log WHERE active=1;"`
         );
+        const peerInfo = await readPeerInfo();
         
         // Parse the output into structured data
         const lines = stdout.trim().split('\n');
         const clients = lines.filter(line => line.trim()).map(line => {
           const [username, real_ip, vpn_ip, platform, gui_version, version, common_name, start_time] = line.split('|');
-          return {
+          const client = {
             username: username || '',
             real_ip: real_ip || '',
             vpn_ip: vpn_ip || '',
@@ -199,6 +250,12 @@ const server = http.createServer(async (req, res) => {
             common_name: common_name || '',
             start_time: start_time || ''
           };
+
+          const record = findPeerInfo(peerInfo, client);
+          client.peer_info = record ? record.peer_info || {} : {};
+          client.hwaddr = record ? record.hwaddr || client.peer_info.IV_HWADDR || '' : '';
+          client.uv_device_id = client.peer_info.UV_DEVICE_ID || '';
+          return client;
         });
         
         res.writeHead(200, { 'Content-Type': 'application/json' });
@@ -264,6 +321,58 @@ const server = http.createServer(async (req, res) => {
       return;
     }
 
+    // POST /sacli/user/:username/disconnect  { reason? }  -> kick all active sessions of the user
+    if (pathname.startsWith('/sacli/user/') && pathname.endsWith('/disconnect') && req.method === 'POST') {
+      const parts = pathname.split('/');
+      const username = decodeURIComponent(parts[3]);
+
+      let body = '';
+      req.on('data', chunk => { body += chunk.toString(); });
+      req.on('end', async () => {
+        try {
+          // The command runs through a shell; only accept plain usernames
+          if (!/^[a-zA-Z0-9._@+-]+$/.test(username)) {
+            res.writeHead(400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Invalid username' }));
+            return;
+          }
+
+          const { reason } = body ? JSON.parse(body) : {};
+          const reasonArg = reason ? ` --client_reason "${String(reason).replace(/["\\$`]/g, '')}"` : '';
+
+          const result = await execSacli(`--user "${username}"${reasonArg} DisconnectUser`);
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ result }));
+        } catch (error) {
+          res.writeHead(500, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: error.message }));
+        }
+      });
+      return;
+    }
+
+    // POST /sacli/user/:username/revoke  -> revoke all certificates of the user
+    if (pathname.startsWith('/sacli/user/') && pathname.endsWith('/revoke') && req.method === 'POST') {
+      const parts = pathname.split('/');
+      const username = decodeURIComponent(parts[3]);
+
+      if (!/^[a-zA-Z0-9._@+-]+$/.test(username)) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Invalid username' }));
+        return;
+      }
+
+      try {
+        const result = await execSacli(`--user "${username}" RevokeUser`);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ result }));
+      } catch (error) {
+        res.writeHead(500, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: error.message }));
+      }
+      return;
+    }
+
     // POST /sacli/user/:username/delall  -> delete user
     if (pathname.startsWith('/sacli/user/') && pathname.endsWith('/delall') && req.method === 'POST') {
       const parts = pathname.split('/');
@@ -373,6 +482,8 @@ server.listen(PORT, () => {
   console.log(`  POST /sacli/user/:username/setpassword`);
   console.log(`  POST /sacli/user/:username/prop`);
   console.log(`  POST /sacli/user/:username/delall`);
+  console.log(`  POST /sacli/user/:username/disconnect`);
+  console.log(`  POST /sacli/user/:username/revoke`);
   console.log('='.repeat(60));
 });
 
@@ -47,7 +47,8 @@ const config = {
 
   // JWT configuration
   jwtSecret: getJwtSecret(),
-  jwtExpiresIn: process.env.JWT_EXPIRES_IN || '24h',
+  jwtExpiresIn: process.env.JWT_EXPIRES_IN || '15m',
+  refreshTokenExpiresDays: parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS || '30', 10),
 
   // Database configuration
   database: {
@@ -4,22 +4,42 @@ const VerificationToken = require('../models/VerificationToken');
 const PasswordResetToken = require('../models/PasswordResetToken');
 const QosPolicy = require('../models/QosPolicy');
 const Device = require('../models/Device');
+const ConnectionSession = require('../models/ConnectionSession');
+const UserSession = require('../models/UserSession');
+const Group = require('../models/Group');
+const AuditEvent = require('../models/AuditEvent');
 const logger = require('../utils/logger');
-const { generatePasswordResetToken } = require('../utils/tokenGenerator');
-const { sendPasswordResetEmail } = require('../utils/emailService');
+const { generatePasswordResetToken, generateVerificationToken } = require('../utils/tokenGenerator');
+const { sendPasswordResetEmail, sendVerificationEmail } = require('../utils/emailService');
+const usageAccounting = require('../services/usageAccounting');
+const openvpnUserSync = require('../services/openvpnUserSync');
+const vpnBackend = require('../services/vpnBackend');
+const trafficShaper = require('../services/trafficShaper');
+const mfaService = require('../services/mfaService');
+const deviceEnrollmentService = require('../services/deviceEnrollmentService');
+const sessionService = require('../services/sessionService');
+const permissionService = require('../services/permissionService');
+const auditService = require('../services/auditService');
+const realtimeService = require('../services/realtimeService');
+const { sendCsv } = require('../utils/csv');
 
 /**
  * Admin Controller
  * Handles administrative operations for the OpenVPN Distribution System
  */
 
+/**
+ * User fields compared in audit events of user changes
+ */
+const USER_AUDIT_FIELDS = ['username', 'name', 'email', 'role', 'email_verified', 'static_ip'];
+
 /**
  * Get all users with pagination, search, and filtering
  * Query params:
  * - page: Page number (default: 1)
  * - limit: Items per page (default: 10, max: 100)
  * - search: Search in email and username fields
- * - role: Filter by role (user/admin)
+ * - role: Filter by role (user/admin/helpdesk/network-operator/auditor)
  * - verified: Filter by email_verified status (true/false)
  */
 const getAllUsers = async (req, res, next) => {
@@ -85,8 +105,10 @@ const getUserById = async (req, res, next) => {
     // Get config file stats for the user
     const configStats = await ConfigFile.getUserStats(id);
 
-    // Get assigned QoS policy
+    // Get assigned QoS policy, and the one that applies through groups or the default
     const assignedPolicy = await QosPolicy.findByUserId(id);
+    const effectivePolicy = assignedPolicy ? null : await QosPolicy.getEffectiveUserPolicy(id);
+    const groups = await Group.findByUserId(id);
 
     res.json({
       success: true,
@@ -97,7 +119,9 @@ const getUserById = async (req, res, next) => {
           active_configs: configStats.active_configs || 0,
           total_downloads: configStats.total_downloads || 0
         },
-        qos_policy: assignedPolicy
+        qos_policy: assignedPolicy,
+        effective_qos_policy: assignedPolicy ? { ...assignedPolicy, policy_source: 'user' } : effectivePolicy,
+        groups
       }
     });
   } catch (error) {
@@ -109,14 +133,15 @@ const getUserById = async (req, res, next) => {
 /**
  * Update user information
  * Allows updating: username, email, role, email_verified status, full_name
+ * (stored as the user name), static VPN address
  */
 const updateUser = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { username, full_name, email, role, email_verified } = req.body;
+    const { username, full_name, email, role, email_verified, static_ip } = req.body;
 
     logger.info(`Admin ${req.user.email} updating user ID: ${id}`, {
-      updates: { username, full_name, email, role, email_verified }
+      updates: { username, full_name, email, role, email_verified, static_ip }
     });
 
     // Check if user exists
@@ -129,7 +154,7 @@ const updateUser = async (req, res, next) => {
     }
 
     // Prevent admin from demoting themselves
-    if (String(id) === String(req.user.id) && role === 'user' && existingUser.role === 'admin') {
+    if (String(id) === String(req.user.id) && role !== undefined && role !== 'admin' && existingUser.role === 'admin') {
       return res.status(403).json({
         success: false,
         message: 'You cannot demote your own admin role'
@@ -150,13 +175,14 @@ const updateUser = async (req, res, next) => {
     // Build update object (only include defined values)
     const updates = {};
     if (username !== undefined) updates.username = username;
-    if (full_name !== undefined) updates.full_name = full_name;
+    // full_name is stored in users.name
+    if (full_name !== undefined) updates.name = full_name;
     if (email !== undefined) updates.email = email;
     if (role !== undefined) {
-      if (!['user', 'admin'].includes(role)) {
+      if (!permissionService.isValidRole(role)) {
         return res.status(400).json({
           success: false,
-          message: 'Invalid role. Must be "user" or "admin"'
+          message: `Invalid role. Must be one of: ${permissionService.ROLES.join(', ')}`
         });
       }
       updates.role = role;
@@ -164,12 +190,31 @@ const updateUser = async (req, res, next) => {
     if (email_verified !== undefined) {
       updates.email_verified = Boolean(email_verified);
     }
+    if (static_ip !== undefined) {
+      // Pushed by the client-connect hook on the user's next connection
+      updates.static_ip = static_ip || null;
+    }
 
     // Update user profile
     await User.updateProfile(id, updates);
 
+    // Tokens carry the role, so a role change must end the user's sessions
+    if (updates.role && updates.role !== existingUser.role) {
+      await sessionService.revokeAllForUser(id, 'role_change');
+    }
+
     const updatedUser = await User.findById(id);
 
+    await auditService.record(req, {
+      action: 'user.update',
+      targetType: 'user',
+      targetId: id,
+      targetLabel: existingUser.email,
+      before: existingUser,
+      after: updates,
+      fields: USER_AUDIT_FIELDS
+    });
+
     logger.info(`User ${id} successfully updated by admin ${req.user.email}`);
 
     res.json({
@@ -179,6 +224,14 @@ const updateUser = async (req, res, next) => {
     });
   } catch (error) {
     logger.error('Error in updateUser:', error);
+
+    if (error.code === 'ER_DUP_ENTRY' && /static_ip/.test(error.message)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Static IP is already assigned to another user'
+      });
+    }
+
     next(error);
   }
 };
@@ -225,6 +278,17 @@ const deleteUser = async (req, res, next) => {
       // Finally, delete the user
       await User.hardDelete(id);
 
+      await auditService.record(req, {
+        action: 'user.delete',
+        targetType: 'user',
+        targetId: id,
+        targetLabel: user.email,
+        before: user,
+        after: null,
+        fields: USER_AUDIT_FIELDS,
+        metadata: { hard: true }
+      });
+
       logger.warn(`User ${id} (${user.email}) permanently deleted by admin ${req.user.email}`);
 
       res.json({
@@ -234,6 +298,15 @@ const deleteUser = async (req, res, next) => {
     } else {
       // Soft delete: mark as deleted
       await User.softDelete(id);
+
+      await auditService.record(req, {
+        action: 'user.delete',
+        targetType: 'user',
+        targetId: id,
+        targetLabel: user.email,
+        metadata: { hard: false }
+      });
+
       logger.info(`User ${id} (${user.email}) soft deleted by admin ${req.user.email}`);
 
       res.json({
@@ -400,6 +473,14 @@ const deleteConfig = async (req, res, next) => {
 
     await ConfigFile.deleteById(id);
 
+    await auditService.record(req, {
+      action: 'config.delete',
+      targetType: 'config',
+      targetId: id,
+      targetLabel: config.filename,
+      metadata: { user_id: config.user_id }
+    });
+
     logger.info(`Config ${id} deleted by admin ${req.user.email}`);
 
     res.json({
@@ -421,14 +502,16 @@ const cleanupExpiredTokens = async (req, res, next) => {
     logger.info(`Admin ${req.user.email} initiating token cleanup`);
 
     const deletedCount = await VerificationToken.deleteExpired();
+    const deletedSessions = await UserSession.deleteExpired();
 
-    logger.info(`Token cleanup complete. ${deletedCount} tokens removed`);
+    logger.info(`Token cleanup complete. ${deletedCount} tokens and ${deletedSessions} sessions removed`);
 
     res.json({
       success: true,
       message: 'Expired tokens cleaned up successfully',
       data: {
-        deletedCount
+        deletedCount,
+        deletedSessions
       }
     });
   } catch (error) {
@@ -437,6 +520,47 @@ const cleanupExpiredTokens = async (req, res, next) => {
   }
 };
 
+/**
+ * Log a user out of all sessions (Admin only)
+ * Revokes their refresh tokens and invalidates issued access tokens.
+ */
+const revokeUserSessions = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const user = await User.findById(id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const revokedCount = await sessionService.revokeAllForUser(id, 'admin_revoke');
+
+    await auditService.record(req, {
+      action: 'user.revoke_sessions',
+      targetType: 'user',
+      targetId: id,
+      targetLabel: user.email,
+      metadata: { revoked: revokedCount }
+    });
+
+    logger.info(`Admin ${req.user.email} logged out all sessions of user ${id}`);
+
+    res.json({
+      success: true,
+      message: 'User has been logged out of all sessions',
+      data: {
+        revokedCount
+      }
+    });
+  } catch (error) {
+    logger.error('Error in revokeUserSessions:', error);
+    next(error);
+  }
+};
+
 /**
  * Trigger password reset for a user (Admin only)
  * Generates a password reset token and sends reset email to the user
@@ -464,6 +588,13 @@ const resetUserPassword = async (req, res, next) => {
       });
     }
 
+    if (user.auth_source !== 'local') {
+      return res.status(400).json({
+        success: false,
+        message: 'The password of this user is managed by the directory or single sign-on provider'
+      });
+    }
+
     // Delete any existing password reset tokens for this user
     await PasswordResetToken.deleteByUserId(id);
 
@@ -479,6 +610,14 @@ const resetUserPassword = async (req, res, next) => {
     // Send password reset email
     const emailSent = await sendPasswordResetEmail(user.email, resetToken);
 
+    await auditService.record(req, {
+      action: 'user.reset_password',
+      targetType: 'user',
+      targetId: id,
+      targetLabel: user.email,
+      metadata: { email_sent: emailSent, expires_at: expiresAt }
+    });
+
     if (!emailSent) {
       logger.warn(`Password reset token created but email failed for user ${user.email}`);
       return res.status(500).json({
@@ -503,6 +642,249 @@ const resetUserPassword = async (req, res, next) => {
   }
 };
 
+/**
+ * Send a new email verification link to a user
+ * Replaces any verification link sent before.
+ */
+const resendUserVerification = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const user = await User.findById(id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.email_verified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email address is already verified'
+      });
+    }
+
+    await VerificationToken.deleteByUserId(user.id);
+
+    const token = generateVerificationToken();
+    const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
+
+    await VerificationToken.create(user.id, token, expiresAt);
+
+    const emailSent = await sendVerificationEmail(user.email, token);
+
+    await auditService.record(req, {
+      action: 'user.resend_verification',
+      targetType: 'user',
+      targetId: user.id,
+      targetLabel: user.email,
+      metadata: { email_sent: emailSent }
+    });
+
+    if (!emailSent) {
+      logger.warn(`Verification token created but email failed for user ${user.email}`);
+      return res.status(500).json({
+        success: false,
+        message: 'Verification token generated, but failed to send email. Please check email configuration.'
+      });
+    }
+
+    logger.info(`Verification email resent to ${user.email} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: `Verification email has been sent to ${user.email}`,
+      data: {
+        email: user.email,
+        expiresAt
+      }
+    });
+  } catch (error) {
+    logger.error('Error in resendUserVerification:', error);
+    next(error);
+  }
+};
+
+/**
+ * Reset a user's two-factor authentication (Admin only)
+ * Removes the TOTP secret and recovery codes, e.g. when the user lost their
+ * device. Users the policy requires it for must enroll again at next login.
+ */
+const resetUserMfa = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    logger.info(`Admin ${req.user.email} resetting two-factor authentication for user ID: ${id}`);
+
+    const user = await User.findById(id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const removed = await mfaService.disable(user.id);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Two-factor authentication is not set up for this user'
+      });
+    }
+
+    await auditService.record(req, {
+      action: 'user.reset_mfa',
+      targetType: 'user',
+      targetId: user.id,
+      targetLabel: user.email
+    });
+
+    logger.info(`Two-factor authentication of ${user.email} reset by admin ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: `Two-factor authentication has been reset for ${user.email}`,
+      data: {
+        user_id: user.id,
+        email: user.email
+      }
+    });
+  } catch (error) {
+    logger.error('Error in resetUserMfa:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get the two-factor authentication policy (Admin only)
+ */
+const getMfaPolicy = async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        required_for_admins: await mfaService.isRequiredForAdmins()
+      }
+    });
+  } catch (error) {
+    logger.error('Error in getMfaPolicy:', error);
+    next(error);
+  }
+};
+
+/**
+ * Update the two-factor authentication policy (Admin only)
+ * Enabling it does not end current sessions; administrators without two-factor
+ * authentication have to set it up at their next login.
+ */
+const updateMfaPolicy = async (req, res, next) => {
+  try {
+    const { required_for_admins: requiredForAdmins } = req.body;
+
+    const wasRequired = await mfaService.isRequiredForAdmins();
+    await mfaService.setRequiredForAdmins(requiredForAdmins, req.user.id);
+
+    await auditService.record(req, {
+      action: 'security.mfa_policy',
+      targetType: 'setting',
+      targetId: 'mfa_required_for_admins',
+      before: { required_for_admins: wasRequired },
+      after: { required_for_admins: requiredForAdmins }
+    });
+
+    logger.info(`Admin ${req.user.email} set two-factor requirement for admins to ${requiredForAdmins}`);
+
+    res.json({
+      success: true,
+      message: requiredForAdmins
+        ? 'Two-factor authentication is now required for administrators'
+        : 'Two-factor authentication is no longer required for administrators',
+      data: {
+        required_for_admins: requiredForAdmins
+      }
+    });
+  } catch (error) {
+    logger.error('Error in updateMfaPolicy:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get the device enrollment policy
+ */
+const getDevicePolicy = async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        approval_required: await deviceEnrollmentService.isApprovalRequired()
+      }
+    });
+  } catch (error) {
+    logger.error('Error in getDevicePolicy:', error);
+    next(error);
+  }
+};
+
+/**
+ * Update the device enrollment policy (Admin only)
+ * Devices enrolled while approval was not required stay approved.
+ */
+const updateDevicePolicy = async (req, res, next) => {
+  try {
+    const { approval_required: approvalRequired } = req.body;
+
+    const wasRequired = await deviceEnrollmentService.isApprovalRequired();
+    await deviceEnrollmentService.setApprovalRequired(approvalRequired, req.user.id);
+
+    await auditService.record(req, {
+      action: 'security.device_policy',
+      targetType: 'setting',
+      targetId: 'device_approval_required',
+      before: { approval_required: wasRequired },
+      after: { approval_required: approvalRequired }
+    });
+
+    logger.info(`Admin ${req.user.email} set device approval requirement to ${approvalRequired}`);
+
+    res.json({
+      success: true,
+      message: approvalRequired
+        ? 'New devices now require administrator approval'
+        : 'New devices no longer require administrator approval',
+      data: {
+        approval_required: approvalRequired
+      }
+    });
+  } catch (error) {
+    logger.error('Error in updateDevicePolicy:', error);
+    next(error);
+  }
+};
+
+/**
+ * List roles with their permissions
+ */
+const getRoles = async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        roles: permissionService.describeRoles(),
+        permissions: Object.entries(permissionService.PERMISSIONS).map(([permission, description]) => ({
+          permission,
+          description
+        }))
+      }
+    });
+  } catch (error) {
+    logger.error('Error in getRoles:', error);
+    next(error);
+  }
+};
+
 /**
  * Get all devices across all users with pagination
  * Query params:
@@ -513,19 +895,24 @@ const getAllDevices = async (req, res, next) => {
   try {
     const {
       page = 1,
-      limit = 20
+      limit = 20,
+      enrollment_status = ''
     } = req.query;
 
     const pageNum = Math.max(1, parseInt(page, 10) || 1);
     const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
 
+    const filters = {};
+    if (enrollment_status) filters.enrollment_status = enrollment_status;
+
     logger.info(`Admin ${req.user.email} retrieving devices list`, {
       page: pageNum,
-      limit: limitNum
+      limit: limitNum,
+      filters
     });
 
     // Use Device.getAllDevices which joins with users table
-    const result = await Device.getAllDevices(pageNum, limitNum);
+    const result = await Device.getAllDevices(pageNum, limitNum, filters);
 
     logger.debug('Result from Device.getAllDevices:', {
       resultKeys: Object.keys(result),
@@ -558,6 +945,464 @@ const getAllDevices = async (req, res, next) => {
   }
 };
 
+/**
+ * Approve or reject an enrolled device
+ * @param {boolean} approved - Approve (true) or reject (false)
+ */
+const reviewDevice = (approved) => async (req, res, next) => {
+  try {
+    const device = await Device.findById(req.params.id);
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    const reason = approved ? null : (req.body.reason || null);
+    const updated = await deviceEnrollmentService.review(device, approved, req.user.id, reason);
+
+    await auditService.record(req, {
+      action: approved ? 'device.approve' : 'device.reject',
+      targetType: 'device',
+      targetId: device.id,
+      targetLabel: device.name,
+      before: device,
+      after: updated,
+      fields: ['enrollment_status', 'review_note'],
+      metadata: { user_id: device.user_id }
+    });
+
+    logger.info(`Admin ${req.user.email} ${approved ? 'approved' : 'rejected'} device ${device.id} of user ID: ${device.user_id}`);
+
+    res.json({
+      success: true,
+      message: approved ? 'Device approved' : 'Device rejected',
+      data: updated
+    });
+  } catch (error) {
+    logger.error(`Error in ${approved ? 'approveDevice' : 'rejectDevice'}:`, error);
+    next(error);
+  }
+};
+
+const approveDevice = reviewDevice(true);
+const rejectDevice = reviewDevice(false);
+
+/**
+ * Get VPN connection sessions across all users with pagination and filtering
+ * Query params:
+ * - page: Page number (default: 1)
+ * - limit: Items per page (default: 20, max: 100)
+ * - user_id: Filter by user
+ * - device_id: Filter by device
+ * - status: Filter by session status (active/closed)
+ * - search: Search in username, real IP and VPN IP
+ * - from / to: Only sessions overlapping this time range (ISO 8601)
+ */
+const getAllSessions = async (req, res, next) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      user_id = '',
+      device_id = '',
+      status = '',
+      search = '',
+      from = '',
+      to = ''
+    } = req.query;
+
+    const pageNum = Math.max(1, parseInt(page, 10) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+
+    const filters = {};
+    if (user_id) filters.user_id = parseInt(user_id, 10);
+    if (device_id) filters.device_id = parseInt(device_id, 10);
+    if (status) filters.status = status;
+    if (search) filters.search = search.trim();
+    if (from) filters.from = new Date(from);
+    if (to) filters.to = new Date(to);
+
+    logger.info(`Admin ${req.user.email} retrieving connection sessions`, {
+      page: pageNum,
+      limit: limitNum,
+      filters
+    });
+
+    const result = await ConnectionSession.findAll(pageNum, limitNum, filters);
+
+    res.json({
+      success: true,
+      data: {
+        items: result.data,
+        pagination: result.pagination
+      }
+    });
+  } catch (error) {
+    logger.error('Error in getAllSessions:', error);
+    next(error);
+  }
+};
+
+/**
+ * Message passed to the VPN server for a disconnect by an administrator
+ * @param {string|null} reason - Reason given by the admin
+ * @returns {string}
+ */
+const adminDisconnectMessage = (reason) =>
+  (reason ? `Disconnected by administrator: ${reason}` : 'Disconnected by administrator');
+
+/**
+ * Disconnect an OpenVPN user and record the admin action on its sessions
+ * Access Server disconnects by username, so every active session of the
+ * username is dropped, not only the one the admin picked.
+ * @param {string} username - OpenVPN username
+ * @param {Array<Object>} sessions - Active sessions of the username
+ * @param {Object} admin - Admin performing the disconnect (req.user)
+ * @param {string|null} reason - Reason given by the admin
+ * @returns {Promise<Object>} { sessionsClosed, devicesMarkedInactive }
+ */
+const disconnectVpnUser = async (username, sessions, admin, reason) => {
+  await openvpnUserSync.disconnectUser(username, adminDisconnectMessage(reason));
+
+  return closeSessionsByAdmin(username, sessions, admin, reason);
+};
+
+/**
+ * Disconnect one session on the VPN server and record the admin action on it
+ * For backends that can kill a single client (vpnBackend.disconnectsSessions).
+ * @param {Object} session - Active session
+ * @param {Object} admin - Admin performing the disconnect (req.user)
+ * @param {string|null} reason - Reason given by the admin
+ * @returns {Promise<Object>} { sessionsClosed, devicesMarkedInactive }
+ */
+const disconnectVpnSession = async (session, admin, reason) => {
+  await openvpnUserSync.disconnectSession({
+    username: session.username,
+    realAddress: session.real_address,
+    virtualAddress: session.virtual_ip
+  }, adminDisconnectMessage(reason));
+
+  return closeSessionsByAdmin(session.username, [session], admin, reason);
+};
+
+/**
+ * Record the admin action on sessions disconnected on the VPN server
+ * @param {string} username - OpenVPN username
+ * @param {Array<Object>} sessions - Disconnected sessions
+ * @param {Object} admin - Admin performing the disconnect (req.user)
+ * @param {string|null} reason - Reason given by the admin
+ * @returns {Promise<Object>} { sessionsClosed, devicesMarkedInactive }
+ */
+const closeSessionsByAdmin = async (username, sessions, admin, reason) => {
+  const sessionsClosed = await ConnectionSession.closeByAdmin(sessions.map(s => s.id), admin.id, reason);
+
+  // Mark devices inactive now instead of waiting for the next monitor poll
+  const deviceIds = [...new Set(sessions.map(s => s.device_id).filter(Boolean))];
+  for (const deviceId of deviceIds) {
+    await Device.update(deviceId, { is_active: false });
+  }
+
+  for (const session of sessions) {
+    if (session.virtual_ip) {
+      await trafficShaper.removeForClient(session.virtual_ip);
+    }
+    realtimeService.publish('session.disconnected', {
+      sessionId: session.id,
+      userId: session.user_id,
+      deviceId: session.device_id,
+      username: session.username,
+      virtualIp: session.virtual_ip,
+      reason: 'admin_disconnect'
+    });
+  }
+
+  logger.warn(`Admin ${admin.email} disconnected OpenVPN user ${username}`, {
+    reason,
+    sessionIds: sessions.map(s => s.id),
+    deviceIds
+  });
+
+  return { sessionsClosed, devicesMarkedInactive: deviceIds.length };
+};
+
+/**
+ * Disconnect a live VPN session
+ * Body params:
+ * - reason: Why the session is disconnected (optional, recorded on the session)
+ */
+const disconnectSession = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const reason = req.body.reason || null;
+
+    const session = await ConnectionSession.findById(id);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    if (session.status !== 'active') {
+      return res.status(409).json({
+        success: false,
+        message: 'Session is not active'
+      });
+    }
+
+    let result;
+    try {
+      if (vpnBackend.disconnectsSessions) {
+        result = await disconnectVpnSession(session, req.user, reason);
+      } else {
+        // Access Server can only disconnect every session of the username
+        const sessions = await ConnectionSession.findAllActive({ username: session.username });
+        result = await disconnectVpnUser(session.username, sessions, req.user, reason);
+      }
+    } catch (error) {
+      logger.error(`Failed to disconnect session ${id}:`, error);
+      return res.status(502).json({
+        success: false,
+        message: 'Failed to disconnect the session on the VPN server'
+      });
+    }
+
+    await auditService.record(req, {
+      action: 'session.disconnect',
+      targetType: 'session',
+      targetId: session.id,
+      targetLabel: session.username,
+      metadata: { reason, sessions_closed: result.sessionsClosed }
+    });
+
+    res.json({
+      success: true,
+      message: 'Session disconnected successfully',
+      data: {
+        sessionId: session.id,
+        username: session.username,
+        ...result
+      }
+    });
+  } catch (error) {
+    logger.error('Error in disconnectSession:', error);
+    next(error);
+  }
+};
+
+/**
+ * Disconnect every live VPN session of a user
+ * Body params:
+ * - reason: Why the user is disconnected (optional, recorded on the sessions)
+ */
+const disconnectUserSessions = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const reason = req.body.reason || null;
+
+    const user = await User.findById(id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Also kick the user when the monitor has not recorded a session yet
+    const sessions = await ConnectionSession.findAllActive({ userId: user.id });
+
+    let result;
+    try {
+      result = await disconnectVpnUser(user.username, sessions, req.user, reason);
+    } catch (error) {
+      logger.error(`Failed to disconnect user ${id}:`, error);
+      return res.status(502).json({
+        success: false,
+        message: 'Failed to disconnect the user on the VPN server'
+      });
+    }
+
+    await auditService.record(req, {
+      action: 'user.disconnect_all',
+      targetType: 'user',
+      targetId: user.id,
+      targetLabel: user.email,
+      metadata: { reason, sessions_closed: result.sessionsClosed }
+    });
+
+    res.json({
+      success: true,
+      message: `All VPN sessions of ${user.email} have been disconnected`,
+      data: {
+        userId: user.id,
+        username: user.username,
+        ...result
+      }
+    });
+  } catch (error) {
+    logger.error('Error in disconnectUserSessions:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get bandwidth usage report across all users
+ * Query params:
+ * - period: hour, day or month (default: month)
+ * - group_by: user or device (default: user)
+ * - user_id: Filter by user
+ * - device_id: Filter by device
+ * - from / to: Report range (ISO 8601)
+ * - format: json or csv (default: json); CSV exports every row without pagination
+ * - page: Page number (default: 1)
+ * - limit: Items per page (default: 20, max: 100)
+ */
+const getUsageReport = async (req, res, next) => {
+  try {
+    const {
+      period = 'month',
+      group_by = 'user',
+      user_id = '',
+      device_id = '',
+      from = '',
+      to = '',
+      format = 'json',
+      page = 1,
+      limit = 20
+    } = req.query;
+
+    const filters = { period, group_by };
+    if (user_id) filters.user_id = parseInt(user_id, 10);
+    if (device_id) filters.device_id = parseInt(device_id, 10);
+    if (from) filters.from = from;
+    if (to) filters.to = to;
+
+    logger.info(`Admin ${req.user.email} retrieving usage report`, { filters, format });
+
+    if (format === 'csv') {
+      const report = await usageAccounting.getReport(filters);
+      const columns = ['period_start', 'user_id', 'username', 'user_email'];
+      if (group_by === 'device') {
+        columns.push('device_id', 'device_name');
+      }
+      columns.push('bytes_sent', 'bytes_received', 'bytes_total');
+
+      return sendCsv(res, `vpn-usage-${report.period}-by-${group_by}.csv`, report.items, columns);
+    }
+
+    const report = await usageAccounting.getReport(filters, { page, limit });
+
+    res.json({
+      success: true,
+      data: {
+        period: report.period,
+        from: report.from,
+        to: report.to,
+        totals: report.totals,
+        items: report.items,
+        pagination: report.pagination
+      }
+    });
+  } catch (error) {
+    logger.error('Error in getUsageReport:', error);
+    next(error);
+  }
+};
+
+/**
+ * Build audit event filters from query params
+ * @private
+ */
+const getAuditFilters = (query) => {
+  const filters = {};
+  if (query.actor_id) filters.actor_id = parseInt(query.actor_id, 10);
+  if (query.action) filters.action = query.action;
+  if (query.target_type) filters.target_type = query.target_type;
+  if (query.target_id) filters.target_id = query.target_id;
+  if (query.search) filters.search = query.search.trim();
+  if (query.from) filters.from = new Date(query.from);
+  if (query.to) filters.to = new Date(query.to);
+  return filters;
+};
+
+/**
+ * Get the audit log with pagination and filtering
+ * Query params:
+ * - page: Page number (default: 1)
+ * - limit: Items per page (default: 20, max: 100)
+ * - actor_id: Filter by acting user
+ * - action: Filter by action (e.g. user.update), or a prefix ending in '.' (e.g. user.)
+ * - target_type / target_id: Filter by target
+ * - search: Search in actor email, target and IP address
+ * - from / to: Time range (ISO 8601)
+ */
+const getAuditEvents = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const filters = getAuditFilters(req.query);
+
+    logger.info(`Admin ${req.user.email} retrieving audit events`, { page, limit, filters });
+
+    const result = await AuditEvent.findAll(page, limit, filters);
+
+    res.json({
+      success: true,
+      data: {
+        items: result.data,
+        pagination: result.pagination
+      }
+    });
+  } catch (error) {
+    logger.error('Error in getAuditEvents:', error);
+    next(error);
+  }
+};
+
+/**
+ * Export the audit log as CSV or JSON
+ * Accepts the filters of getAuditEvents; exports every matching event, oldest first.
+ * Query params:
+ * - format: csv or json (default: csv)
+ */
+const exportAuditEvents = async (req, res, next) => {
+  try {
+    const { format = 'csv' } = req.query;
+    const filters = getAuditFilters(req.query);
+
+    logger.info(`Admin ${req.user.email} exporting audit events`, { filters, format });
+
+    const events = await AuditEvent.findForExport(filters);
+    const filename = `audit-events-${new Date().toISOString().slice(0, 10)}`;
+
+    if (format === 'json') {
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.json"`);
+      return res.json({
+        exported_at: new Date().toISOString(),
+        filters,
+        total: events.length,
+        items: events
+      });
+    }
+
+    const rows = events.map(event => ({
+      ...event,
+      changes: event.changes ? JSON.stringify(event.changes) : null,
+      metadata: event.metadata ? JSON.stringify(event.metadata) : null
+    }));
+
+    return sendCsv(res, `${filename}.csv`, rows, [
+      'id', 'created_at', 'actor_id', 'actor_email', 'actor_role', 'action',
+      'target_type', 'target_id', 'target_label', 'changes', 'metadata',
+      'ip_address', 'user_agent'
+    ]);
+  } catch (error) {
+    logger.error('Error in exportAuditEvents:', error);
+    next(error);
+  }
+};
+
 module.exports = {
   getAllUsers,
   getUserById,
@@ -568,5 +1413,21 @@ module.exports = {
   deleteConfig,
   cleanupExpiredTokens,
   resetUserPassword,
-  getAllDevices
+  resendUserVerification,
+  revokeUserSessions,
+  resetUserMfa,
+  getMfaPolicy,
+  updateMfaPolicy,
+  getDevicePolicy,
+  updateDevicePolicy,
+  getRoles,
+  getAllDevices,
+  approveDevice,
+  rejectDevice,
+  getAllSessions,
+  disconnectSession,
+  disconnectUserSessions,
+  getUsageReport,
+  getAuditEvents,
+  exportAuditEvents
 };
@@ -0,0 +1,146 @@
+const ApiToken = require('../models/ApiToken');
+const apiTokenService = require('../services/apiTokenService');
+const auditService = require('../services/auditService');
+const logger = require('../utils/logger');
+
+/**
+ * API Token Controller
+ * Personal API tokens: managed by their owners, overseen by administrators
+ */
+
+/**
+ * List own API tokens and the scopes that can be granted
+ * @route GET /api/users/api-tokens
+ * @access Private
+ */
+const listTokens = async (req, res, next) => {
+  try {
+    const tokens = await ApiToken.findByUserId(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        tokens,
+        available_scopes: apiTokenService.getGrantableScopes(req.user).map(scope => ({
+          scope,
+          description: apiTokenService.API_TOKEN_SCOPES[scope].description
+        }))
+      }
+    });
+  } catch (error) {
+    logger.error('Error in listTokens:', error);
+    next(error);
+  }
+};
+
+/**
+ * Create an API token
+ * The token is only returned in this response.
+ * @route POST /api/users/api-tokens
+ * @access Private
+ */
+const createToken = async (req, res, next) => {
+  try {
+    const { name, scopes, expires_in_days: expiresInDays } = req.body;
+
+    const token = await apiTokenService.createToken(req.user, { name, scopes, expiresInDays });
+
+    logger.info(`User ${req.user.email} created API token ${token.id} (${scopes.join(', ')})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'API token created. Copy it now, it will not be shown again.',
+      data: token
+    });
+  } catch (error) {
+    logger.error('Error in createToken:', error);
+    next(error);
+  }
+};
+
+/**
+ * Revoke one of the own API tokens
+ * @route DELETE /api/users/api-tokens/:id
+ * @access Private
+ */
+const revokeToken = async (req, res, next) => {
+  try {
+    const revoked = await ApiToken.revoke(req.params.id, req.user.id);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'API token not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'API token revoked'
+    });
+  } catch (error) {
+    logger.error('Error in revokeToken:', error);
+    next(error);
+  }
+};
+
+/**
+ * List active API tokens of all users (Admin only)
+ * @route GET /api/admin/api-tokens
+ * @access Admin
+ */
+const listAllTokens = async (req, res, next) => {
+  try {
+    const tokens = await ApiToken.findAll({ userId: req.query.user_id });
+
+    res.json({
+      success: true,
+      data: tokens
+    });
+  } catch (error) {
+    logger.error('Error in listAllTokens:', error);
+    next(error);
+  }
+};
+
+/**
+ * Revoke any API token (Admin only)
+ * @route DELETE /api/admin/api-tokens/:id
+ * @access Admin
+ */
+const revokeAnyToken = async (req, res, next) => {
+  try {
+    const revoked = await ApiToken.revoke(req.params.id);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'API token not found'
+      });
+    }
+
+    await auditService.record(req, {
+      action: 'api_token.revoke',
+      targetType: 'api_token',
+      targetId: req.params.id
+    });
+
+    logger.info(`Admin ${req.user.email} revoked API token ${req.params.id}`);
+
+    res.json({
+      success: true,
+      message: 'API token revoked'
+    });
+  } catch (error) {
+    logger.error('Error in revokeAnyToken:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  listTokens,
+  createToken,
+  revokeToken,
+  listAllTokens,
+  revokeAnyToken
+};
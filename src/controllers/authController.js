@@ -1,19 +1,90 @@
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const VerificationToken = require('../models/VerificationToken');
 const PasswordResetToken = require('../models/PasswordResetToken');
+const UserMfa = require('../models/UserMfa');
 const { sendVerificationEmail, sendPasswordResetEmail } = require('../utils/emailService');
 const { generateVerificationToken } = require('../utils/tokenGenerator');
 const config = require('../config/environment');
 const logger = require('../utils/logger');
 const openvpnUserSync = require('../services/openvpnUserSync');
+const mfaService = require('../services/mfaService');
+const sessionService = require('../services/sessionService');
+const permissionService = require('../services/permissionService');
+const directorySync = require('../services/directorySync');
+const oidcService = require('../services/oidcService');
+const realtimeService = require('../services/realtimeService');
 
 /**
  * Authentication Controller
  * Handles user registration, login, email verification, and user profile operations
  */
 
+/**
+ * Build the login response data of a user and start a session
+ * @param {Object} user - User from the database
+ * @param {Object} req - Express request (client IP and user agent are stored with the session)
+ * @returns {Promise<Object>} { token, refresh_token, expires_in, user }
+ */
+const buildLoginData = async (user, req) => ({
+  ...(await sessionService.createSession(user, {
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  })),
+  user: {
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    role: user.role,
+    permissions: permissionService.getPermissions(user.role),
+    email_verified: user.email_verified
+  }
+});
+
+/**
+ * Finish a login whose first factor was verified
+ * Two-factor authentication: the session token is only issued after the
+ * second step, the client gets a short-lived token for it instead.
+ * @param {Object} user - User from the database
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+const sendLoginResponse = async (user, req, res) => {
+  const mfaStep = await mfaService.getLoginStep(user);
+
+  if (mfaStep === mfaService.MFA_TOKEN_TYPES.PENDING) {
+    logger.info(`First factor verified, two-factor code required: ${user.email}`);
+    return res.json({
+      success: true,
+      message: 'Two-factor authentication required',
+      data: {
+        mfa_required: true,
+        mfa_token: mfaService.createMfaToken(user, mfaStep)
+      }
+    });
+  }
+
+  if (mfaStep === mfaService.MFA_TOKEN_TYPES.ENROLL) {
+    logger.info(`First factor verified, two-factor enrollment required: ${user.email}`);
+    return res.json({
+      success: true,
+      message: 'Two-factor authentication must be set up before signing in',
+      data: {
+        mfa_enrollment_required: true,
+        mfa_token: mfaService.createMfaToken(user, mfaStep)
+      }
+    });
+  }
+
+  logger.info(`User logged in successfully: ${user.email}`);
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    data: await buildLoginData(user, req)
+  });
+};
+
 /**
  * Register a new user
  * @route POST /api/auth/register
@@ -49,6 +120,14 @@ const register = async (req, res, next) => {
       role: 'user'
     });
 
+    realtimeService.publish('user.created', {
+      userId: user.id,
+      email: user.email,
+      username: user.username,
+      role: user.role,
+      source: 'local'
+    });
+
     // Generate verification token
     const token = generateVerificationToken();
     const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
@@ -105,7 +184,21 @@ const login = async (req, res, next) => {
     const hashToCompare = user ? user.password : dummyHash;
 
     // Always perform password comparison to prevent timing attacks
-    const isPasswordValid = await bcrypt.compare(password, hashToCompare);
+    let isPasswordValid = await bcrypt.compare(password, hashToCompare);
+
+    // Directory users sign in with their directory password
+    if (user && user.auth_source === 'ldap') {
+      try {
+        isPasswordValid = await directorySync.authenticate(user.external_dn, password);
+      } catch (error) {
+        logger.error(`Directory unavailable for login of ${email}: ${error.message}`);
+        return res.status(503).json({
+          success: false,
+          message: 'The user directory is unavailable. Please try again later.',
+          code: 'DIRECTORY_UNAVAILABLE'
+        });
+      }
+    }
 
     // Check authentication results
     if (!user || !isPasswordValid) {
@@ -117,6 +210,15 @@ const login = async (req, res, next) => {
       });
     }
 
+    if (user.disabled_at) {
+      logger.warn(`Login attempt for disabled account: ${email}`);
+      return res.status(403).json({
+        success: false,
+        message: 'Your account has been disabled',
+        code: 'ACCOUNT_DISABLED'
+      });
+    }
+
     // Check if email is verified
     if (!user.email_verified) {
       logger.warn(`Login attempt with unverified email: ${email}`);
@@ -127,37 +229,149 @@ const login = async (req, res, next) => {
       });
     }
 
-    // Generate JWT token with 24h expiration
-    const token = jwt.sign(
-      {
-        id: user.id,
-        email: user.email,
-        role: user.role,
-        username: user.name
-      },
-      config.jwtSecret,
-      { expiresIn: config.jwtExpiresIn }
-    );
+    await sendLoginResponse(user, req, res);
+
+  } catch (error) {
+    logger.error('Login error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Exchange a refresh token for a new token pair
+ * The refresh token is single-use; the response contains its replacement.
+ * @route POST /api/auth/refresh
+ * @access Public (requires refresh_token)
+ */
+const refreshToken = async (req, res, next) => {
+  try {
+    const result = await sessionService.refresh(req.body.refresh_token);
 
-    logger.info(`User logged in successfully: ${email}`);
+    if (!result) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has expired. Please login again.',
+        code: 'REFRESH_TOKEN_INVALID'
+      });
+    }
 
     res.json({
       success: true,
-      message: 'Login successful',
-      data: {
-        token,
-        user: {
-          id: user.id,
-          email: user.email,
-          name: user.name,
-          role: user.role,
-          email_verified: user.email_verified
-        }
-      }
+      message: 'Token refreshed',
+      data: result
     });
 
   } catch (error) {
-    logger.error('Login error:', error);
+    logger.error('Refresh token error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Logout: end the session of a refresh token, or all sessions of its user
+ * @route POST /api/auth/logout
+ * @access Public (requires refresh_token)
+ */
+const logout = async (req, res, next) => {
+  try {
+    const { refresh_token: token, all } = req.body;
+
+    await sessionService.logout(token, { all: all === true });
+
+    // Same response for unknown tokens, the client discards its tokens either way
+    res.json({
+      success: true,
+      message: all === true ? 'Logged out of all sessions' : 'Logged out successfully'
+    });
+
+  } catch (error) {
+    logger.error('Logout error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get the single sign-on settings for the login page
+ * @route GET /api/auth/oidc
+ * @access Public
+ */
+const getOidcConfig = (req, res) => {
+  res.json({
+    success: true,
+    data: oidcService.getPublicConfig()
+  });
+};
+
+/**
+ * Start a single sign-on: get the URL of the identity provider
+ * @route GET /api/auth/oidc/authorize
+ * @access Public
+ */
+const startOidcLogin = async (req, res, next) => {
+  try {
+    if (!oidcService.isConfigured()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Single sign-on is not enabled',
+        code: 'OIDC_NOT_CONFIGURED'
+      });
+    }
+
+    const { authorizationUrl } = await oidcService.createAuthorizationRequest();
+
+    res.json({
+      success: true,
+      data: { authorization_url: authorizationUrl }
+    });
+
+  } catch (error) {
+    logger.error('Single sign-on start error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Complete a single sign-on with the code and state the provider redirected with
+ * Unknown users are created and existing accounts linked by verified email.
+ * @route POST /api/auth/oidc/callback
+ * @access Public
+ */
+const completeOidcLogin = async (req, res, next) => {
+  try {
+    if (!oidcService.isConfigured()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Single sign-on is not enabled',
+        code: 'OIDC_NOT_CONFIGURED'
+      });
+    }
+
+    const claims = await oidcService.completeLogin({
+      code: req.body.code,
+      state: req.body.state
+    });
+    const { user, created, linked } = await oidcService.resolveUser(claims);
+
+    if (user.disabled_at) {
+      logger.warn(`Single sign-on attempt for disabled account: ${user.email}`);
+      return res.status(403).json({
+        success: false,
+        message: 'Your account has been disabled',
+        code: 'ACCOUNT_DISABLED'
+      });
+    }
+
+    if (created) {
+      logger.info(`User created by single sign-on: ${user.email}`);
+    } else if (linked) {
+      logger.info(`Account linked by single sign-on: ${user.email}`);
+    }
+
+    // The identity provider verified the user, no email verification needed
+    await sendLoginResponse(user, req, res);
+
+  } catch (error) {
+    logger.error('Single sign-on error:', error);
     next(error);
   }
 };
@@ -268,6 +482,7 @@ const verifyEmailFromLink = async (req, res, next) => {
           }
         );
         logger.info(`User ${user.username} synced to OpenVPN after email verification`);
+        realtimeService.publish('user.synced', { userId: user.id, username: user.username, action: 'created' });
       }
     } catch (syncError) {
       logger.error(`Failed to sync user to OpenVPN after verification:`, syncError);
@@ -368,6 +583,7 @@ const verifyEmail = async (req, res, next) => {
           }
         );
         logger.info(`User ${user.username} synced to OpenVPN after email verification`);
+        realtimeService.publish('user.synced', { userId: user.id, username: user.username, action: 'created' });
       }
     } catch (syncError) {
       logger.error(`Failed to sync user to OpenVPN after verification:`, syncError);
@@ -470,6 +686,7 @@ const getCurrentUser = async (req, res, next) => {
         email: user.email,
         name: user.name,
         role: user.role,
+        permissions: permissionService.getPermissions(user.role),
         email_verified: user.email_verified,
         created_at: user.created_at,
         updated_at: user.updated_at
@@ -493,8 +710,10 @@ const forgotPassword = async (req, res, next) => {
 
     // Find user
     const user = await User.findByEmail(email);
-    if (!user) {
-      logger.warn(`Password reset requested for non-existent email: ${email}`);
+    if (!user || user.auth_source !== 'local') {
+      logger.warn(user
+        ? `Password reset requested for directory user: ${email}`
+        : `Password reset requested for non-existent email: ${email}`);
       // SECURITY: Generic message to prevent email enumeration
       return res.status(200).json({
         success: true,
@@ -562,6 +781,9 @@ const resetPassword = async (req, res, next) => {
     // Mark token as used
     await PasswordResetToken.markAsUsed(token);
 
+    // Whoever knew the old password must not stay logged in
+    await sessionService.revokeAllForUser(resetToken.user_id, 'password_change');
+
     // Sync password to OpenVPN Access Server
     try {
       const user = await User.findById(resetToken.user_id);
@@ -624,9 +846,256 @@ const verifyResetToken = async (req, res, next) => {
   }
 };
 
+/**
+ * Complete login with a two-factor code or recovery code
+ * @route POST /api/auth/mfa/verify
+ * @access Public (requires the mfa_token from login)
+ */
+const verifyMfaLogin = async (req, res, next) => {
+  try {
+    const { mfa_token: mfaToken, code, recovery_code: recoveryCode } = req.body;
+
+    const decoded = mfaService.verifyMfaToken(mfaToken, mfaService.MFA_TOKEN_TYPES.PENDING);
+    if (!decoded) {
+      return res.status(401).json({
+        success: false,
+        message: 'Two-factor session has expired. Please login again.',
+        code: 'MFA_TOKEN_INVALID'
+      });
+    }
+
+    const user = await User.findById(decoded.id);
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Two-factor session has expired. Please login again.',
+        code: 'MFA_TOKEN_INVALID'
+      });
+    }
+
+    // The account may have been disabled since the password step
+    if (user.disabled_at) {
+      logger.warn(`Two-factor attempt for disabled account: ${user.email}`);
+      return res.status(403).json({
+        success: false,
+        message: 'Your account has been disabled',
+        code: 'ACCOUNT_DISABLED'
+      });
+    }
+
+    const method = await mfaService.verifyLogin(user.id, { code, recoveryCode });
+    if (!method) {
+      logger.warn(`Failed two-factor attempt for: ${user.email}`);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code',
+        code: 'MFA_CODE_INVALID'
+      });
+    }
+
+    logger.info(`User logged in successfully with two-factor authentication (${method}): ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        ...(await buildLoginData(user, req)),
+        recovery_codes_remaining: method === 'recovery_code'
+          ? await UserMfa.countRecoveryCodes(user.id)
+          : undefined
+      }
+    });
+
+  } catch (error) {
+    logger.error('Two-factor login error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get two-factor authentication status of the current user
+ * @route GET /api/auth/mfa/status
+ * @access Private
+ */
+const getMfaStatus = async (req, res, next) => {
+  try {
+    const status = await mfaService.getStatus(req.user);
+
+    res.json({
+      success: true,
+      data: status
+    });
+
+  } catch (error) {
+    logger.error('Get two-factor status error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Start two-factor enrollment (secret and otpauth URI for the authenticator app)
+ * @route POST /api/auth/mfa/setup
+ * @access Private (session token, or enrollment token from login)
+ */
+const setupMfa = async (req, res, next) => {
+  try {
+    const enrollment = await mfaService.startEnrollment(req.user);
+
+    if (!enrollment) {
+      return res.status(409).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code or enter the secret in your authenticator app, then confirm with a code',
+      data: enrollment
+    });
+
+  } catch (error) {
+    logger.error('Two-factor setup error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Confirm two-factor enrollment with a code from the authenticator app
+ * Returns the recovery codes once. When enrolling from login, also completes the login.
+ * @route POST /api/auth/mfa/enable
+ * @access Private (session token, or enrollment token from login)
+ */
+const enableMfa = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    let recoveryCodes;
+    try {
+      recoveryCodes = await mfaService.confirmEnrollment(req.user.id, code);
+    } catch (enrollError) {
+      if (enrollError.message !== 'No pending two-factor enrollment') {
+        throw enrollError;
+      }
+      return res.status(400).json({
+        success: false,
+        message: 'No two-factor setup in progress. Start the setup first.'
+      });
+    }
+
+    if (!recoveryCodes) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code',
+        code: 'MFA_CODE_INVALID'
+      });
+    }
+
+    const data = { recovery_codes: recoveryCodes };
+
+    if (req.mfaEnrollment) {
+      const user = await User.findById(req.user.id);
+      if (user) {
+        Object.assign(data, await buildLoginData(user, req));
+      }
+    }
+
+    logger.info(`Two-factor authentication enabled: ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store the recovery codes in a safe place.',
+      data
+    });
+
+  } catch (error) {
+    logger.error('Enable two-factor error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Regenerate recovery codes (invalidates the previous ones)
+ * @route POST /api/auth/mfa/recovery-codes
+ * @access Private
+ */
+const regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    if (!(await mfaService.verifyCode(req.user.id, req.body.code))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code',
+        code: 'MFA_CODE_INVALID'
+      });
+    }
+
+    const recoveryCodes = await mfaService.regenerateRecoveryCodes(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Recovery codes regenerated. Previous codes no longer work.',
+      data: { recovery_codes: recoveryCodes }
+    });
+
+  } catch (error) {
+    logger.error('Regenerate recovery codes error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Disable two-factor authentication
+ * @route POST /api/auth/mfa/disable
+ * @access Private
+ */
+const disableMfa = async (req, res, next) => {
+  try {
+    const { password, code } = req.body;
+
+    if (await mfaService.isRequiredFor(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for your role and cannot be disabled'
+      });
+    }
+
+    const isPasswordValid = await User.verifyPassword(req.user.id, password);
+    if (!isPasswordValid || !(await mfaService.verifyCode(req.user.id, code))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid password or authentication code'
+      });
+    }
+
+    await mfaService.disable(req.user.id);
+
+    logger.info(`Two-factor authentication disabled: ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    logger.error('Disable two-factor error:', error);
+    next(error);
+  }
+};
+
 module.exports = {
   register,
   login,
+  getOidcConfig,
+  startOidcLogin,
+  completeOidcLogin,
+  refreshToken,
+  logout,
+  verifyMfaLogin,
+  getMfaStatus,
+  setupMfa,
+  enableMfa,
+  regenerateRecoveryCodes,
+  disableMfa,
   verifyEmail,
   verifyEmailFromLink,
   resendVerification,
@@ -1,10 +1,13 @@
 const Device = require('../models/Device');
+const ConnectionSession = require('../models/ConnectionSession');
+const User = require('../models/User');
+const deviceEnrollmentService = require('../services/deviceEnrollmentService');
 const logger = require('../utils/logger');
 
 /**
  * Device Controller
- * Handles device viewing and management endpoints
- * Note: Devices are automatically created when users connect to VPN
+ * Handles device enrollment, viewing and management endpoints
+ * Note: Devices that were not enrolled are created automatically when users connect to VPN
  */
 const deviceController = {
     /**
@@ -29,6 +32,88 @@ const deviceController = {
         }
     },
 
+    /**
+     * Get the enrollment policy for the user
+     * GET /api/devices/enrollment
+     */
+    async getEnrollmentPolicy(req, res, next) {
+        try {
+            const policy = await deviceEnrollmentService.getPolicy(req.user.id);
+
+            res.json({
+                success: true,
+                data: policy
+            });
+        } catch (error) {
+            logger.error('Error in getEnrollmentPolicy:', error);
+            next(error);
+        }
+    },
+
+    /**
+     * Enroll a device
+     * POST /api/devices
+     */
+    async enrollDevice(req, res, next) {
+        try {
+            const device = await deviceEnrollmentService.enroll(req.user, {
+                name: req.body.name,
+                deviceType: req.body.device_type
+            });
+
+            const pending = device.enrollment_status === 'pending';
+
+            res.status(201).json({
+                success: true,
+                message: pending
+                    ? 'Device enrolled. Its profile can be downloaded once an administrator approves it.'
+                    : 'Device enrolled. Download its profile to connect.',
+                data: device
+            });
+        } catch (error) {
+            logger.error('Error in enrollDevice:', error);
+            next(error);
+        }
+    },
+
+    /**
+     * Download the profile of an enrolled device
+     * GET /api/devices/:id/profile
+     */
+    async downloadDeviceProfile(req, res, next) {
+        try {
+            const device = await Device.findById(req.params.id);
+
+            if (!device || device.user_id !== req.user.id) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Device not found'
+                });
+            }
+
+            const user = await User.findById(req.user.id);
+            if (!user) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'User not found'
+                });
+            }
+
+            const { filename, profile } = await deviceEnrollmentService.issueProfile(user, device, {
+                lifetimeDays: req.query.lifetime_days
+            });
+
+            res.setHeader('Content-Type', 'application/x-openvpn-profile');
+            res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+            res.setHeader('Content-Length', Buffer.byteLength(profile));
+
+            res.send(profile);
+        } catch (error) {
+            logger.error('Error in downloadDeviceProfile:', error);
+            next(error);
+        }
+    },
+
     /**
      * Get device by ID
      * GET /api/devices/:id
@@ -58,6 +143,46 @@ const deviceController = {
         }
     },
 
+    /**
+     * Get connection history of a device
+     * GET /api/devices/:id/sessions
+     */
+    async getDeviceSessions(req, res) {
+        try {
+            const device = await Device.findById(req.params.id);
+
+            if (!device || device.user_id !== req.user.id) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Device not found'
+                });
+            }
+
+            const { page = 1, limit = 20, status = '', from = '', to = '' } = req.query;
+            const filters = {};
+            if (status) filters.status = status;
+            if (from) filters.from = new Date(from);
+            if (to) filters.to = new Date(to);
+
+            const result = await ConnectionSession.findByDeviceId(device.id, page, limit, filters);
+
+            res.json({
+                success: true,
+                data: {
+                    sessions: result.data,
+                    pagination: result.pagination
+                }
+            });
+        } catch (error) {
+            logger.error('Error in getDeviceSessions:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to retrieve device sessions',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    },
+
     /**
      * Update device
      * PUT /api/devices/:id
@@ -92,6 +217,7 @@ const deviceController = {
 
     /**
      * Delete device
+     * The profiles issued for the device are revoked first
      * DELETE /api/devices/:id
      */
     async deleteDevice(req, res) {
@@ -105,6 +231,8 @@ const deviceController = {
                 });
             }
 
+            // Device profiles are unlinked with the device, revoke them while they can be found
+            await deviceEnrollmentService.revokeProfiles(device, req.user.id);
             await Device.delete(req.params.id);
 
             res.json({
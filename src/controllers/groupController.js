@@ -0,0 +1,613 @@
+const Group = require('../models/Group');
+const GroupLanNetwork = require('../models/GroupLanNetwork');
+const UserLanNetwork = require('../models/UserLanNetwork');
+const QosPolicy = require('../models/QosPolicy');
+const openvpnClientConnect = require('../services/openvpnClientConnect');
+const auditService = require('../services/auditService');
+const realtimeService = require('../services/realtimeService');
+const logger = require('../utils/logger');
+
+/**
+ * Group Controller
+ * User groups with membership, group-level QoS and shared LAN networks
+ */
+
+/**
+ * Load the group of the request or answer 404
+ * @private
+ */
+const loadGroup = async (req, res) => {
+  const group = await Group.findById(req.params.id);
+  if (!group) {
+    res.status(404).json({
+      success: false,
+      message: 'Group not found'
+    });
+  }
+  return group;
+};
+
+/**
+ * Load a network of the request's group or answer 404
+ * @private
+ */
+const loadGroupNetwork = async (req, res) => {
+  const network = await GroupLanNetwork.findById(req.params.networkId);
+  if (!network || String(network.group_id) !== String(req.params.id)) {
+    res.status(404).json({
+      success: false,
+      message: 'LAN network not found'
+    });
+    return null;
+  }
+  return network;
+};
+
+/**
+ * Update OpenVPN server routing in the background after a network change
+ * @private
+ */
+const refreshRouting = () => {
+  openvpnClientConnect.updateServerRouting().catch(err => {
+    logger.error('Failed to update OpenVPN routing after group network change:', err);
+  });
+};
+
+/**
+ * List groups
+ * @route GET /api/groups
+ * @access Staff (groups:read)
+ */
+const getGroups = async (req, res, next) => {
+  try {
+    const groups = await Group.findAll();
+
+    res.json({
+      success: true,
+      data: groups
+    });
+  } catch (error) {
+    logger.error('Error in getGroups:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get a group with its members, QoS policy and LAN networks
+ * @route GET /api/groups/:id
+ * @access Staff (groups:read)
+ */
+const getGroup = async (req, res, next) => {
+  try {
+    const group = await loadGroup(req, res);
+    if (!group) return;
+
+    const [members, qosPolicy, networks] = await Promise.all([
+      Group.getMembers(group.id),
+      QosPolicy.findByGroupId(group.id),
+      GroupLanNetwork.findByGroupId(group.id)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        ...group,
+        members,
+        qos_policy: qosPolicy,
+        lan_networks: networks
+      }
+    });
+  } catch (error) {
+    logger.error('Error in getGroup:', error);
+    next(error);
+  }
+};
+
+/**
+ * Create a group
+ * @route POST /api/groups
+ * @access Staff (groups:write)
+ */
+const createGroup = async (req, res, next) => {
+  try {
+    const { name, description, priority } = req.body;
+
+    if (await Group.findByName(name)) {
+      return res.status(409).json({
+        success: false,
+        message: 'A group with this name already exists'
+      });
+    }
+
+    const group = await Group.create({ name, description, priority, createdBy: req.user.id });
+
+    await auditService.record(req, {
+      action: 'group.create',
+      targetType: 'group',
+      targetId: group.id,
+      targetLabel: group.name,
+      before: null,
+      after: group,
+      fields: ['name', 'description', 'priority']
+    });
+
+    logger.info(`Group ${group.name} created by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Group created successfully',
+      data: group
+    });
+  } catch (error) {
+    logger.error('Error in createGroup:', error);
+    next(error);
+  }
+};
+
+/**
+ * Update a group
+ * @route PUT /api/groups/:id
+ * @access Staff (groups:write)
+ */
+const updateGroup = async (req, res, next) => {
+  try {
+    const group = await loadGroup(req, res);
+    if (!group) return;
+
+    const { name, description, priority } = req.body;
+
+    if (name && name !== group.name && await Group.findByName(name)) {
+      return res.status(409).json({
+        success: false,
+        message: 'A group with this name already exists'
+      });
+    }
+
+    const updated = await Group.update(group.id, { name, description, priority });
+
+    await auditService.record(req, {
+      action: 'group.update',
+      targetType: 'group',
+      targetId: group.id,
+      targetLabel: group.name,
+      before: group,
+      after: { name, description, priority },
+      fields: ['name', 'description', 'priority']
+    });
+
+    logger.info(`Group ${group.id} updated by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Group updated successfully',
+      data: updated
+    });
+  } catch (error) {
+    logger.error('Error in updateGroup:', error);
+    next(error);
+  }
+};
+
+/**
+ * Delete a group
+ * Members keep their own QoS policy and LAN networks.
+ * @route DELETE /api/groups/:id
+ * @access Staff (groups:write)
+ */
+const deleteGroup = async (req, res, next) => {
+  try {
+    const group = await loadGroup(req, res);
+    if (!group) return;
+
+    const networks = await GroupLanNetwork.findByGroupId(group.id);
+
+    await Group.delete(group.id);
+
+    if (networks.length > 0) {
+      refreshRouting();
+    }
+
+    await auditService.record(req, {
+      action: 'group.delete',
+      targetType: 'group',
+      targetId: group.id,
+      targetLabel: group.name,
+      metadata: { network_count: networks.length }
+    });
+
+    logger.info(`Group ${group.name} deleted by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Group deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Error in deleteGroup:', error);
+    next(error);
+  }
+};
+
+/**
+ * Add users to a group
+ * @route POST /api/groups/:id/members
+ * @access Staff (groups:write)
+ */
+const addMembers = async (req, res, next) => {
+  try {
+    const group = await loadGroup(req, res);
+    if (!group) return;
+
+    const added = await Group.addMembers(group.id, req.body.user_ids, req.user.id);
+
+    await auditService.record(req, {
+      action: 'group.add_members',
+      targetType: 'group',
+      targetId: group.id,
+      targetLabel: group.name,
+      metadata: { user_ids: req.body.user_ids, added }
+    });
+
+    logger.info(`${added} user(s) added to group ${group.name} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: `${added} user(s) added to ${group.name}`,
+      data: {
+        added,
+        skipped: req.body.user_ids.length - added
+      }
+    });
+  } catch (error) {
+    logger.error('Error in addMembers:', error);
+    next(error);
+  }
+};
+
+/**
+ * Remove a user from a group
+ * @route DELETE /api/groups/:id/members/:userId
+ * @access Staff (groups:write)
+ */
+const removeMember = async (req, res, next) => {
+  try {
+    const group = await loadGroup(req, res);
+    if (!group) return;
+
+    const removed = await Group.removeMember(group.id, req.params.userId);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: 'User is not a member of this group'
+      });
+    }
+
+    await auditService.record(req, {
+      action: 'group.remove_member',
+      targetType: 'group',
+      targetId: group.id,
+      targetLabel: group.name,
+      metadata: { user_id: req.params.userId }
+    });
+
+    logger.info(`User ${req.params.userId} removed from group ${group.name} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Member removed successfully'
+    });
+  } catch (error) {
+    logger.error('Error in removeMember:', error);
+    next(error);
+  }
+};
+
+/**
+ * Assign a QoS policy to a group
+ * Applies to members without a device or user policy.
+ * @route PUT /api/groups/:id/qos
+ * @access Staff (qos:write)
+ */
+const assignGroupQos = async (req, res, next) => {
+  try {
+    const group = await loadGroup(req, res);
+    if (!group) return;
+
+    const policy = await QosPolicy.findById(req.body.policy_id);
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'QoS policy not found'
+      });
+    }
+
+    const previousPolicy = await QosPolicy.findByGroupId(group.id);
+    const assignment = await QosPolicy.assignToGroup(group.id, policy.id, req.user.id);
+
+    await auditService.record(req, {
+      action: 'qos.assign_group',
+      targetType: 'group',
+      targetId: group.id,
+      targetLabel: group.name,
+      before: { qos_policy_id: previousPolicy ? previousPolicy.id : null },
+      after: { qos_policy_id: policy.id },
+      metadata: { policy_name: policy.name }
+    });
+
+    logger.info(`QoS policy ${policy.name} assigned to group ${group.name} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: `QoS policy ${policy.name} assigned to ${group.name}`,
+      data: assignment
+    });
+  } catch (error) {
+    logger.error('Error in assignGroupQos:', error);
+    next(error);
+  }
+};
+
+/**
+ * Remove the QoS policy of a group
+ * @route DELETE /api/groups/:id/qos
+ * @access Staff (qos:write)
+ */
+const removeGroupQos = async (req, res, next) => {
+  try {
+    const group = await loadGroup(req, res);
+    if (!group) return;
+
+    const removed = await QosPolicy.removeFromGroup(group.id);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: 'No QoS policy is assigned to this group'
+      });
+    }
+
+    await auditService.record(req, {
+      action: 'qos.remove_group',
+      targetType: 'group',
+      targetId: group.id,
+      targetLabel: group.name
+    });
+
+    logger.info(`QoS policy removed from group ${group.name} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'QoS policy removed from group'
+    });
+  } catch (error) {
+    logger.error('Error in removeGroupQos:', error);
+    next(error);
+  }
+};
+
+/**
+ * List the LAN networks of a group
+ * @route GET /api/groups/:id/lan-networks
+ * @access Staff (lan-networks:read)
+ */
+const getGroupNetworks = async (req, res, next) => {
+  try {
+    const group = await loadGroup(req, res);
+    if (!group) return;
+
+    const networks = await GroupLanNetwork.findByGroupId(group.id);
+
+    res.json({
+      success: true,
+      data: networks
+    });
+  } catch (error) {
+    logger.error('Error in getGroupNetworks:', error);
+    next(error);
+  }
+};
+
+/**
+ * Add a LAN network to a group
+ * @route POST /api/groups/:id/lan-networks
+ * @access Staff (lan-networks:write)
+ */
+const createGroupNetwork = async (req, res, next) => {
+  try {
+    const group = await loadGroup(req, res);
+    if (!group) return;
+
+    const { network_cidr: networkCidr, description } = req.body;
+
+    if (!UserLanNetwork.isValidCIDR(networkCidr)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid network CIDR notation. Expected format: 192.168.1.0/24'
+      });
+    }
+
+    if (!UserLanNetwork.isPrivateNetwork(networkCidr)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only private network ranges are allowed (10.x.x.x, 172.16-31.x.x, 192.168.x.x)'
+      });
+    }
+
+    const network = await GroupLanNetwork.create(group.id, networkCidr, description);
+
+    await auditService.record(req, {
+      action: 'lan_network.create',
+      targetType: 'group_lan_network',
+      targetId: network.id,
+      targetLabel: networkCidr,
+      before: null,
+      after: network,
+      fields: ['network_cidr', 'description', 'enabled'],
+      metadata: { group_id: group.id }
+    });
+
+    logger.info(`LAN network ${networkCidr} added to group ${group.name} by ${req.user.email}`);
+
+    realtimeService.publish('lan_network.changed', {
+      action: 'created',
+      scope: 'group',
+      networkId: network.id,
+      groupId: group.id,
+      networkCidr
+    });
+
+    refreshRouting();
+
+    res.status(201).json({
+      success: true,
+      message: 'LAN network created successfully',
+      data: network
+    });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({
+        success: false,
+        message: 'This network already exists for this group'
+      });
+    }
+
+    logger.error('Error in createGroupNetwork:', error);
+    next(error);
+  }
+};
+
+/**
+ * Update a LAN network of a group
+ * @route PUT /api/groups/:id/lan-networks/:networkId
+ * @access Staff (lan-networks:write)
+ */
+const updateGroupNetwork = async (req, res, next) => {
+  try {
+    const network = await loadGroupNetwork(req, res);
+    if (!network) return;
+
+    const { network_cidr: networkCidr, description, enabled } = req.body;
+
+    if (networkCidr !== undefined) {
+      if (!UserLanNetwork.isValidCIDR(networkCidr)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid network CIDR notation. Expected format: 192.168.1.0/24'
+        });
+      }
+
+      if (!UserLanNetwork.isPrivateNetwork(networkCidr)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Only private network ranges are allowed (10.x.x.x, 172.16-31.x.x, 192.168.x.x)'
+        });
+      }
+    }
+
+    await GroupLanNetwork.update(network.id, {
+      network_cidr: networkCidr,
+      description,
+      enabled
+    });
+
+    await auditService.record(req, {
+      action: 'lan_network.update',
+      targetType: 'group_lan_network',
+      targetId: network.id,
+      targetLabel: network.network_cidr,
+      before: network,
+      after: { network_cidr: networkCidr, description, enabled },
+      fields: ['network_cidr', 'description', 'enabled'],
+      metadata: { group_id: network.group_id }
+    });
+
+    logger.info(`LAN network ${network.id} of group ${network.group_id} updated by ${req.user.email}`);
+
+    realtimeService.publish('lan_network.changed', {
+      action: 'updated',
+      scope: 'group',
+      networkId: network.id,
+      groupId: network.group_id,
+      networkCidr: networkCidr || network.network_cidr
+    });
+
+    refreshRouting();
+
+    res.json({
+      success: true,
+      message: 'LAN network updated successfully',
+      data: await GroupLanNetwork.findById(network.id)
+    });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({
+        success: false,
+        message: 'This network already exists for this group'
+      });
+    }
+
+    logger.error('Error in updateGroupNetwork:', error);
+    next(error);
+  }
+};
+
+/**
+ * Delete a LAN network of a group
+ * @route DELETE /api/groups/:id/lan-networks/:networkId
+ * @access Staff (lan-networks:write)
+ */
+const deleteGroupNetwork = async (req, res, next) => {
+  try {
+    const network = await loadGroupNetwork(req, res);
+    if (!network) return;
+
+    await GroupLanNetwork.delete(network.id);
+
+    await auditService.record(req, {
+      action: 'lan_network.delete',
+      targetType: 'group_lan_network',
+      targetId: network.id,
+      targetLabel: network.network_cidr,
+      before: network,
+      after: null,
+      fields: ['network_cidr', 'description', 'enabled'],
+      metadata: { group_id: network.group_id }
+    });
+
+    logger.info(`LAN network ${network.network_cidr} removed from group ${network.group_id} by ${req.user.email}`);
+
+    realtimeService.publish('lan_network.changed', {
+      action: 'deleted',
+      scope: 'group',
+      networkId: network.id,
+      groupId: network.group_id,
+      networkCidr: network.network_cidr
+    });
+
+    refreshRouting();
+
+    res.json({
+      success: true,
+      message: 'LAN network deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Error in deleteGroupNetwork:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  getGroups,
+  getGroup,
+  createGroup,
+  updateGroup,
+  deleteGroup,
+  addMembers,
+  removeMember,
+  assignGroupQos,
+  removeGroupQos,
+  getGroupNetworks,
+  createGroupNetwork,
+  updateGroupNetwork,
+  deleteGroupNetwork
+};
@@ -1,6 +1,13 @@
 const UserLanNetwork = require('../models/UserLanNetwork');
+const GroupLanNetwork = require('../models/GroupLanNetwork');
 const logger = require('../utils/logger');
 const openvpnClientConnect = require('../services/openvpnClientConnect');
+const permissionService = require('../services/permissionService');
+const auditService = require('../services/auditService');
+const realtimeService = require('../services/realtimeService');
+
+// Network fields compared in audit events
+const NETWORK_AUDIT_FIELDS = ['network_cidr', 'description', 'enabled'];
 
 /**
  * LAN Network Controller
@@ -15,6 +22,7 @@ exports.getUserNetworks = async (req, res) => {
   try {
     const userId = req.user.id;
     const networks = await UserLanNetwork.findByUserId(userId);
+    const groupNetworks = await GroupLanNetwork.findByUserId(userId);
 
     // Ensure networks is an array
     const networkList = Array.isArray(networks) ? networks : [];
@@ -24,7 +32,9 @@ exports.getUserNetworks = async (req, res) => {
       message: 'LAN networks retrieved successfully',
       data: {
         total: networkList.length,
-        networks: networkList
+        networks: networkList,
+        // Read-only: shared through the user's groups
+        group_networks: groupNetworks
       }
     });
   } catch (error) {
@@ -85,8 +95,8 @@ exports.getNetworkById = async (req, res) => {
       });
     }
 
-    // Check ownership (unless admin)
-    if (req.user.role !== 'admin' && network.user_id !== userId) {
+    // Check ownership (unless staff allowed to view all networks)
+    if (!permissionService.hasPermission(req.user.role, 'lan-networks:read') && network.user_id !== userId) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
@@ -126,7 +136,7 @@ exports.createNetwork = async (req, res) => {
     }
 
     // Check for private network ranges (optional security check)
-    const isPrivate = isPrivateNetwork(network_cidr);
+    const isPrivate = UserLanNetwork.isPrivateNetwork(network_cidr);
     if (!isPrivate) {
       logger.warn(`User ${userId} attempting to add non-private network: ${network_cidr}`);
       return res.status(400).json({
@@ -138,8 +148,27 @@ exports.createNetwork = async (req, res) => {
     // Create network
     const network = await UserLanNetwork.create(userId, network_cidr, description);
 
+    await auditService.record(req, {
+      action: 'lan_network.create',
+      targetType: 'lan_network',
+      targetId: network.id,
+      targetLabel: network_cidr,
+      before: null,
+      after: network,
+      fields: NETWORK_AUDIT_FIELDS,
+      metadata: { user_id: userId }
+    });
+
     logger.info(`User ${userId} created LAN network: ${network_cidr}`);
 
+    realtimeService.publish('lan_network.changed', {
+      action: 'created',
+      scope: 'user',
+      networkId: network.id,
+      userId,
+      networkCidr: network_cidr
+    });
+
     // Update OpenVPN server routing (async, don't wait)
     openvpnClientConnect.updateServerRouting().catch(err => {
       logger.error('Failed to update OpenVPN routing after network creation:', err);
@@ -187,8 +216,8 @@ exports.updateNetwork = async (req, res) => {
       });
     }
 
-    // Check ownership (unless admin)
-    if (req.user.role !== 'admin' && network.user_id !== userId) {
+    // Check ownership (unless staff allowed to manage all networks)
+    if (!permissionService.hasPermission(req.user.role, 'lan-networks:write') && network.user_id !== userId) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
@@ -204,7 +233,7 @@ exports.updateNetwork = async (req, res) => {
     }
 
     // Check for private network if CIDR is being updated
-    if (network_cidr && !isPrivateNetwork(network_cidr)) {
+    if (network_cidr && !UserLanNetwork.isPrivateNetwork(network_cidr)) {
       return res.status(400).json({
         success: false,
         message: 'Only private network ranges are allowed'
@@ -227,8 +256,27 @@ exports.updateNetwork = async (req, res) => {
       });
     }
 
+    await auditService.record(req, {
+      action: 'lan_network.update',
+      targetType: 'lan_network',
+      targetId: network.id,
+      targetLabel: network.network_cidr,
+      before: network,
+      after: updates,
+      fields: NETWORK_AUDIT_FIELDS,
+      metadata: { user_id: network.user_id }
+    });
+
     logger.info(`User ${userId} updated LAN network ${id}`);
 
+    realtimeService.publish('lan_network.changed', {
+      action: 'updated',
+      scope: 'user',
+      networkId: network.id,
+      userId: network.user_id,
+      networkCidr: updates.network_cidr || network.network_cidr
+    });
+
     // Update OpenVPN server routing if CIDR or enabled status changed (async, don't wait)
     if (updates.network_cidr !== undefined || updates.enabled !== undefined) {
       openvpnClientConnect.updateServerRouting().catch(err => {
@@ -268,8 +316,8 @@ exports.deleteNetwork = async (req, res) => {
       });
     }
 
-    // Check ownership (unless admin)
-    if (req.user.role !== 'admin' && network.user_id !== userId) {
+    // Check ownership (unless staff allowed to manage all networks)
+    if (!permissionService.hasPermission(req.user.role, 'lan-networks:write') && network.user_id !== userId) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
@@ -279,8 +327,27 @@ exports.deleteNetwork = async (req, res) => {
     // Delete network
     await UserLanNetwork.delete(id);
 
+    await auditService.record(req, {
+      action: 'lan_network.delete',
+      targetType: 'lan_network',
+      targetId: network.id,
+      targetLabel: network.network_cidr,
+      before: network,
+      after: null,
+      fields: NETWORK_AUDIT_FIELDS,
+      metadata: { user_id: network.user_id }
+    });
+
     logger.info(`User ${userId} deleted LAN network ${id}`);
 
+    realtimeService.publish('lan_network.changed', {
+      action: 'deleted',
+      scope: 'user',
+      networkId: network.id,
+      userId: network.user_id,
+      networkCidr: network.network_cidr
+    });
+
     // Update OpenVPN server routing (async, don't wait)
     openvpnClientConnect.updateServerRouting().catch(err => {
       logger.error('Failed to update OpenVPN routing after network deletion:', err);
@@ -318,8 +385,8 @@ exports.toggleNetwork = async (req, res) => {
       });
     }
 
-    // Check ownership (unless admin)
-    if (req.user.role !== 'admin' && network.user_id !== userId) {
+    // Check ownership (unless staff allowed to manage all networks)
+    if (!permissionService.hasPermission(req.user.role, 'lan-networks:write') && network.user_id !== userId) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
@@ -330,6 +397,16 @@ exports.toggleNetwork = async (req, res) => {
     const newStatus = !network.enabled;
     await UserLanNetwork.setEnabled(id, newStatus);
 
+    await auditService.record(req, {
+      action: 'lan_network.toggle',
+      targetType: 'lan_network',
+      targetId: network.id,
+      targetLabel: network.network_cidr,
+      before: { enabled: network.enabled },
+      after: { enabled: newStatus },
+      metadata: { user_id: network.user_id }
+    });
+
     logger.info(`User ${userId} toggled LAN network ${id} to ${newStatus ? 'enabled' : 'disabled'}`);
 
     // Update OpenVPN server routing (async, don't wait)
@@ -425,25 +502,4 @@ exports.getAllNetworks = async (req, res) => {
   }
 };
 
-/**
- * Helper function to check if a network is in private IP range
- * @param {string} cidr - Network in CIDR notation
- * @returns {boolean} True if private network
- */
-function isPrivateNetwork(cidr) {
-  const [ip] = cidr.split('/');
-  const octets = ip.split('.').map(Number);
-
-  // 10.0.0.0/8
-  if (octets[0] === 10) return true;
-
-  // 172.16.0.0/12 (172.16.0.0 - 172.31.255.255)
-  if (octets[0] === 172 && octets[1] >= 16 && octets[1] <= 31) return true;
-
-  // 192.168.0.0/16
-  if (octets[0] === 192 && octets[1] === 168) return true;
-
-  return false;
-}
-
 module.exports = exports;
@@ -0,0 +1,196 @@
+const ConnectionSession = require('../models/ConnectionSession');
+const realtimeService = require('../services/realtimeService');
+const syncScheduler = require('../services/syncScheduler');
+const sessionService = require('../services/sessionService');
+const permissionService = require('../services/permissionService');
+const logger = require('../utils/logger');
+
+/**
+ * Interval of the keep-alive comment (proxies drop idle connections)
+ */
+const HEARTBEAT_MS = parseInt(process.env.LIVE_HEARTBEAT_MS || '25000', 10);
+
+/**
+ * Live Controller
+ * Real-time dashboard: connected sessions with their throughput and the
+ * progress of the sync scheduler, as a snapshot and as a Server-Sent Events
+ * stream fed by services/realtimeService.
+ */
+
+/**
+ * Check whether a user may see sync scheduler events
+ * @param {Object} user - Authenticated user (req.user)
+ * @returns {boolean}
+ */
+const canSeeSync = (user) => permissionService.hasPermission(user.role, 'sync:read');
+
+/**
+ * Get the sync scheduler state without the results of past syncs
+ * The results of a sync carry the temporary passwords of created users.
+ * @returns {Object} { isRunning, isSyncing, progress, intervalMinutes, nextSync, lastSync }
+ */
+const getSyncState = () => {
+  const status = syncScheduler.getStatus();
+
+  return {
+    isRunning: status.scheduler.isRunning,
+    isSyncing: status.scheduler.isSyncing,
+    progress: status.scheduler.progress,
+    intervalMinutes: status.scheduler.intervalMinutes,
+    nextSync: status.nextSync,
+    lastSync: {
+      timestamp: status.lastSync.timestamp,
+      success: status.lastSync.timestamp ? !status.lastSync.error : null,
+      error: status.lastSync.error ? status.lastSync.error.message : null
+    }
+  };
+};
+
+/**
+ * Build the current state of the dashboard for a user
+ * @param {Object} user - Authenticated user (req.user)
+ * @returns {Promise<Object>} { sessions, sync }
+ */
+const buildSnapshot = async (user) => {
+  const sessions = await ConnectionSession.findAllActive();
+
+  return {
+    sessions: sessions.map(session => {
+      const rate = realtimeService.getRate(session.id);
+      return {
+        id: session.id,
+        user_id: session.user_id,
+        username: session.username,
+        user_email: session.user_email,
+        device_id: session.device_id,
+        device_name: session.device_name,
+        real_ip: session.real_ip,
+        virtual_ip: session.virtual_ip,
+        platform: session.platform,
+        connected_since: session.connected_since,
+        bytes_sent: Number(session.bytes_sent),
+        bytes_received: Number(session.bytes_received),
+        rx_bps: rate ? rate.rxBps : null,
+        tx_bps: rate ? rate.txBps : null
+      };
+    }),
+    sync: canSeeSync(user) ? getSyncState() : null
+  };
+};
+
+/**
+ * Format an event as a Server-Sent Events frame
+ * @param {Object} event - { id, type, data, timestamp }
+ * @returns {string}
+ */
+const formatEvent = (event) => {
+  const payload = JSON.stringify({ ...event.data, timestamp: event.timestamp });
+  return `${event.id !== undefined ? `id: ${event.id}\n` : ''}event: ${event.type}\ndata: ${payload}\n\n`;
+};
+
+/**
+ * Get the current dashboard state
+ * @route GET /api/admin/live/snapshot
+ * @access Staff (sessions:read)
+ */
+const getSnapshot = async (req, res, next) => {
+  try {
+    const snapshot = await buildSnapshot(req.user);
+
+    res.json({
+      success: true,
+      data: snapshot
+    });
+  } catch (error) {
+    logger.error('Error in getSnapshot:', error);
+    next(error);
+  }
+};
+
+/**
+ * Stream dashboard events (Server-Sent Events)
+ * Starts with a snapshot event, followed by session.connected,
+ * session.disconnected, session.throughput and (with sync:read) sync.* events.
+ * The stream ends when the access token expires or is revoked; the client
+ * reconnects with a fresh token.
+ * @route GET /api/admin/live/events
+ * @access Staff (sessions:read)
+ */
+const streamEvents = async (req, res, next) => {
+  let snapshot;
+  try {
+    snapshot = await buildSnapshot(req.user);
+  } catch (error) {
+    logger.error('Error in streamEvents:', error);
+    return next(error);
+  }
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Disable response buffering of nginx
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // Let EventSource clients wait before reconnecting
+  res.write('retry: 5000\n\n');
+  res.write(formatEvent({ type: 'snapshot', data: snapshot, timestamp: new Date().toISOString() }));
+
+  const includeSync = canSeeSync(req.user);
+  const unsubscribe = realtimeService.subscribe((event) => {
+    if (!realtimeService.LIVE_EVENT_TYPES.includes(event.type)) {
+      return;
+    }
+    // The dashboard follows the OpenVPN sync scheduler, not the directory connector
+    if (event.type.startsWith('sync.') && (!includeSync || event.data.source === 'directory')) {
+      return;
+    }
+    res.write(formatEvent(event));
+  });
+
+  let closed = false;
+  const close = (reason) => {
+    if (closed) {
+      return;
+    }
+    closed = true;
+    unsubscribe();
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+    if (reason && !res.writableEnded) {
+      res.write(formatEvent({ type: 'end', data: { reason }, timestamp: new Date().toISOString() }));
+      res.end();
+    }
+    logger.debug(`Live event stream of ${req.user.email} closed${reason ? ` (${reason})` : ''}`);
+  };
+
+  const heartbeat = setInterval(async () => {
+    try {
+      const current = await sessionService.isTokenCurrent({ id: req.user.id, tv: req.user.tokenVersion });
+      if (closed) {
+        return;
+      }
+      if (!current) {
+        return close('token_revoked');
+      }
+      res.write(': ping\n\n');
+    } catch (error) {
+      logger.warn(`Live event stream heartbeat failed: ${error.message}`);
+    }
+  }, HEARTBEAT_MS);
+
+  const expiry = req.user.tokenExpiresAt
+    ? setTimeout(() => close('token_expired'), Math.max(0, req.user.tokenExpiresAt * 1000 - Date.now()))
+    : null;
+
+  req.on('close', () => close(null));
+
+  logger.info(`Live event stream opened by ${req.user.email} (${realtimeService.getSubscriberCount()} open)`);
+};
+
+module.exports = {
+  getSnapshot,
+  streamEvents
+};
@@ -0,0 +1,108 @@
+const CertificateAuthority = require('../models/CertificateAuthority');
+const pkiService = require('../services/pkiService');
+const auditService = require('../services/auditService');
+const logger = require('../utils/logger');
+
+/**
+ * PKI Controller
+ * Certificate authorities of the built-in PKI, their CRL and CA bundle
+ */
+
+/**
+ * List the certificate authorities
+ * @route GET /api/admin/pki
+ * @access Staff (pki:read)
+ */
+const getStatus = async (req, res, next) => {
+  try {
+    const authorities = await CertificateAuthority.findAll();
+
+    res.json({
+      success: true,
+      data: {
+        authorities,
+        crl_generated_at: pkiService.crl ? pkiService.crl.generatedAt : null,
+        publish_dir: pkiService.publishDir
+      }
+    });
+  } catch (error) {
+    logger.error('Error in getStatus:', error);
+    next(error);
+  }
+};
+
+/**
+ * Replace the active CA
+ * Profiles issued by the previous CA keep working until it expires, but
+ * only trust the server certificate of that CA: regenerate them before the
+ * server uses the new server certificate.
+ * @route POST /api/admin/pki/rotate
+ * @access Staff (pki:write)
+ */
+const rotateCa = async (req, res, next) => {
+  try {
+    const ca = await pkiService.rotateCa(req.user.id);
+
+    await auditService.record(req, {
+      action: 'pki.rotate_ca',
+      targetType: 'certificate_authority',
+      targetId: ca.id,
+      targetLabel: ca.common_name,
+      metadata: { serial: ca.serial, not_after: ca.not_after }
+    });
+
+    logger.info(`Certificate authority rotated to ${ca.common_name} by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Certificate authority rotated',
+      data: ca
+    });
+  } catch (error) {
+    logger.error('Error in rotateCa:', error);
+    next(error);
+  }
+};
+
+/**
+ * Download the CRLs of the trusted CAs
+ * @route GET /api/admin/pki/crl
+ * @access Staff (pki:read)
+ */
+const downloadCrl = async (req, res, next) => {
+  try {
+    const crl = await pkiService.getCrl();
+
+    res.setHeader('Content-Type', 'application/x-pem-file');
+    res.setHeader('Content-Disposition', 'attachment; filename="crl.pem"');
+    res.send(crl);
+  } catch (error) {
+    logger.error('Error in downloadCrl:', error);
+    next(error);
+  }
+};
+
+/**
+ * Download the certificates of the trusted CAs
+ * @route GET /api/admin/pki/ca
+ * @access Staff (pki:read)
+ */
+const downloadCaBundle = async (req, res, next) => {
+  try {
+    const bundle = await pkiService.getCaBundle();
+
+    res.setHeader('Content-Type', 'application/x-pem-file');
+    res.setHeader('Content-Disposition', 'attachment; filename="ca.crt"');
+    res.send(bundle);
+  } catch (error) {
+    logger.error('Error in downloadCaBundle:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  getStatus,
+  rotateCa,
+  downloadCrl,
+  downloadCaBundle
+};
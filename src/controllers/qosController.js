@@ -1,7 +1,37 @@
 const QosPolicy = require('../models/QosPolicy');
+const QosSchedule = require('../models/QosSchedule');
 const User = require('../models/User');
 const { pool } = require('../config/database');
 const logger = require('../utils/logger');
+const permissionService = require('../services/permissionService');
+const auditService = require('../services/auditService');
+
+/**
+ * Policy fields compared in audit events of policy changes
+ */
+const POLICY_AUDIT_FIELDS = [
+  'name',
+  'bandwidth_limit',
+  'priority',
+  'description',
+  'daily_quota_mb',
+  'monthly_quota_mb',
+  'over_quota_action',
+  'throttle_policy_id'
+];
+
+/**
+ * Schedule fields compared in audit events of schedule changes
+ */
+const SCHEDULE_AUDIT_FIELDS = [
+  'name',
+  'days_of_week',
+  'start_time',
+  'end_time',
+  'bandwidth_limit',
+  'priority',
+  'is_active'
+];
 
 /**
  * QoS Controller
@@ -25,12 +55,61 @@ const transformPolicyForFrontend = (policy) => {
     max_download_speed: bandwidthMbps,
     max_upload_speed: bandwidthMbps,
     priority: policy.priority,
+    daily_quota_mb: policy.daily_quota_mb ?? null,
+    monthly_quota_mb: policy.monthly_quota_mb ?? null,
+    over_quota_action: policy.over_quota_action || 'notify',
+    throttle_policy_id: policy.throttle_policy_id ?? null,
+    active_schedule: policy.active_schedule ?? null,
+    is_default: Boolean(policy.is_default),
     description: policy.description,
     created_at: policy.created_at,
     updated_at: policy.updated_at
   };
 };
 
+/**
+ * Transform a schedule window to frontend format
+ * @param {Object} schedule - Schedule object from database
+ * @returns {Object} Transformed schedule object
+ */
+const transformScheduleForFrontend = (schedule) => {
+  if (!schedule) return null;
+
+  const bandwidthMbps = schedule.bandwidth_limit ? Math.floor(schedule.bandwidth_limit / 1000) : null;
+
+  return {
+    id: schedule.id,
+    policy_id: schedule.qos_policy_id,
+    name: schedule.name,
+    days_of_week: schedule.days_of_week,
+    // TIME columns come back as HH:mm:ss
+    start_time: String(schedule.start_time).slice(0, 5),
+    end_time: String(schedule.end_time).slice(0, 5),
+    max_download_speed: bandwidthMbps,
+    max_upload_speed: bandwidthMbps,
+    priority: schedule.priority,
+    is_active: schedule.is_active,
+    created_at: schedule.created_at,
+    updated_at: schedule.updated_at
+  };
+};
+
+/**
+ * Convert the frontend speed fields of a schedule to a Kbps limit
+ * @param {Object} body - Request body
+ * @returns {number|null|undefined} Limit in Kbps, null to clear, undefined when not given
+ */
+const getScheduleBandwidthLimit = (body) => {
+  const { max_download_speed, max_upload_speed } = body;
+
+  if (max_download_speed === undefined && max_upload_speed === undefined) {
+    return undefined;
+  }
+
+  const speed = Math.max(max_download_speed || 0, max_upload_speed || 0);
+  return speed > 0 ? speed * 1000 : null; // Convert Mbps to Kbps
+};
+
 /**
  * Get all QoS policies
  * @route GET /api/qos/policies
@@ -112,7 +191,17 @@ const getPolicyById = async (req, res) => {
  */
 const createPolicy = async (req, res) => {
   try {
-    const { policy_name, max_download_speed, max_upload_speed, priority, description } = req.body;
+    const {
+      policy_name,
+      max_download_speed,
+      max_upload_speed,
+      priority,
+      description,
+      daily_quota_mb,
+      monthly_quota_mb,
+      over_quota_action,
+      throttle_policy_id
+    } = req.body;
 
     logger.info(`Creating new QoS policy: ${policy_name} by admin: ${req.user.email}`);
 
@@ -134,12 +223,33 @@ const createPolicy = async (req, res) => {
       name: policy_name,
       bandwidth_limit: Math.max(max_download_speed, max_upload_speed) * 1000, // Convert Mbps to Kbps
       priority: priority || 'medium',
-      description: description || null
+      description: description || null,
+      daily_quota_mb: daily_quota_mb || null,
+      monthly_quota_mb: monthly_quota_mb || null,
+      over_quota_action: over_quota_action || 'notify',
+      throttle_policy_id: throttle_policy_id || null
     };
 
+    if (policyData.throttle_policy_id && !(await QosPolicy.findById(policyData.throttle_policy_id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Throttle policy not found'
+      });
+    }
+
     const newPolicy = await QosPolicy.create(policyData);
     const transformedPolicy = transformPolicyForFrontend(newPolicy);
 
+    await auditService.record(req, {
+      action: 'qos.policy_create',
+      targetType: 'qos_policy',
+      targetId: newPolicy.id,
+      targetLabel: newPolicy.name,
+      before: null,
+      after: policyData,
+      fields: POLICY_AUDIT_FIELDS
+    });
+
     logger.info(`QoS policy created successfully: ${newPolicy.name} (ID: ${newPolicy.id})`);
 
     return res.status(201).json({
@@ -177,7 +287,17 @@ const createPolicy = async (req, res) => {
 const updatePolicy = async (req, res) => {
   try {
     const { id } = req.params;
-    const { policy_name, max_download_speed, max_upload_speed, priority, description } = req.body;
+    const {
+      policy_name,
+      max_download_speed,
+      max_upload_speed,
+      priority,
+      description,
+      daily_quota_mb,
+      monthly_quota_mb,
+      over_quota_action,
+      throttle_policy_id
+    } = req.body;
 
     logger.info(`Updating QoS policy ID: ${id} by admin: ${req.user.email}`);
 
@@ -204,6 +324,26 @@ const updatePolicy = async (req, res) => {
     }
     if (priority !== undefined) updates.priority = priority;
     if (description !== undefined) updates.description = description;
+    // null clears a quota (unlimited)
+    if (daily_quota_mb !== undefined) updates.daily_quota_mb = daily_quota_mb || null;
+    if (monthly_quota_mb !== undefined) updates.monthly_quota_mb = monthly_quota_mb || null;
+    if (over_quota_action !== undefined) updates.over_quota_action = over_quota_action;
+    if (throttle_policy_id !== undefined) updates.throttle_policy_id = throttle_policy_id || null;
+
+    if (updates.throttle_policy_id) {
+      if (updates.throttle_policy_id === parseInt(id, 10)) {
+        return res.status(400).json({
+          success: false,
+          message: 'A policy cannot throttle to itself'
+        });
+      }
+      if (!(await QosPolicy.findById(updates.throttle_policy_id))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Throttle policy not found'
+        });
+      }
+    }
 
     // If updating name, check for duplicates
     if (updates.name && updates.name !== existingPolicy.name) {
@@ -224,6 +364,16 @@ const updatePolicy = async (req, res) => {
     const updatedPolicy = await QosPolicy.update(id, updates);
     const transformedPolicy = transformPolicyForFrontend(updatedPolicy);
 
+    await auditService.record(req, {
+      action: 'qos.policy_update',
+      targetType: 'qos_policy',
+      targetId: id,
+      targetLabel: existingPolicy.name,
+      before: existingPolicy,
+      after: updates,
+      fields: POLICY_AUDIT_FIELDS
+    });
+
     logger.info(`QoS policy updated successfully: ${updatedPolicy.name} (ID: ${id})`);
 
     return res.status(200).json({
@@ -291,6 +441,23 @@ const deletePolicy = async (req, res) => {
       });
     }
 
+    // Check if policy is assigned to any groups
+    const [assignedGroups] = await pool.execute(
+      'SELECT COUNT(*) as count FROM group_qos WHERE qos_policy_id = ?',
+      [id]
+    );
+
+    if (assignedGroups[0].count > 0) {
+      logger.warn(`QoS policy deletion failed: Policy is assigned to ${assignedGroups[0].count} groups - ID ${id}`);
+      return res.status(409).json({
+        success: false,
+        message: `Cannot delete policy: It is currently assigned to ${assignedGroups[0].count} group(s). Please remove all assignments first.`,
+        data: {
+          assignedGroupCount: assignedGroups[0].count
+        }
+      });
+    }
+
     // Check if policy is referenced in any config files
     const [configReferences] = await pool.execute(
       'SELECT COUNT(*) as count FROM config_files WHERE qos_policy_id = ?',
@@ -310,6 +477,16 @@ const deletePolicy = async (req, res) => {
 
     await QosPolicy.delete(id);
 
+    await auditService.record(req, {
+      action: 'qos.policy_delete',
+      targetType: 'qos_policy',
+      targetId: id,
+      targetLabel: existingPolicy.name,
+      before: existingPolicy,
+      after: null,
+      fields: POLICY_AUDIT_FIELDS
+    });
+
     logger.info(`QoS policy deleted successfully: ${existingPolicy.policy_name} (ID: ${id})`);
 
     return res.status(200).json({
@@ -390,6 +567,16 @@ const assignPolicyToUser = async (req, res) => {
 
     await QosPolicy.assignToUser(userId, policyId);
 
+    await auditService.record(req, {
+      action: 'qos.assign_user',
+      targetType: 'user',
+      targetId: user.id,
+      targetLabel: user.email,
+      before: { qos_policy_id: existingPolicy ? existingPolicy.id : null },
+      after: { qos_policy_id: policy.id },
+      metadata: { policy_name: policy.name }
+    });
+
     logger.info(`QoS policy assigned successfully: User ${user.email} -> Policy ${policy.policy_name}`);
 
     return res.status(200).json({
@@ -456,6 +643,16 @@ const removePolicyFromUser = async (req, res) => {
 
     await QosPolicy.removeFromUser(userId);
 
+    await auditService.record(req, {
+      action: 'qos.remove_user',
+      targetType: 'user',
+      targetId: user.id,
+      targetLabel: user.email,
+      before: { qos_policy_id: existingPolicy.id },
+      after: { qos_policy_id: null },
+      metadata: { policy_name: existingPolicy.name }
+    });
+
     logger.info(`QoS policy removed from user successfully: ${user.email} (was: ${existingPolicy.policy_name})`);
 
     return res.status(200).json({
@@ -492,7 +689,8 @@ const getMyPolicy = async (req, res) => {
 
     logger.info(`Fetching QoS policy for user: ${req.user.email}`);
 
-    const policy = await QosPolicy.findByUserId(userId);
+    // User policy, else group policy, else the default policy
+    const policy = await QosPolicy.getEffectiveUserPolicy(userId);
 
     if (!policy) {
       logger.info(`No QoS policy assigned to user: ${req.user.email}`);
@@ -687,6 +885,16 @@ const assignPolicyToDevice = async (req, res) => {
 
     await QosPolicy.assignToDevice(deviceId, policyId, adminId, notes);
 
+    await auditService.record(req, {
+      action: 'qos.assign_device',
+      targetType: 'device',
+      targetId: device.id,
+      targetLabel: device.name,
+      before: { qos_policy_id: existingPolicy ? existingPolicy.id : null },
+      after: { qos_policy_id: policy.id },
+      metadata: { policy_name: policy.name, user_id: device.user_id, notes: notes || null }
+    });
+
     logger.info(`QoS policy assigned successfully: Device ${device.name} -> Policy ${policy.name}`);
 
     return res.status(200).json({
@@ -760,6 +968,16 @@ const removePolicyFromDevice = async (req, res) => {
 
     await QosPolicy.removeFromDevice(deviceId);
 
+    await auditService.record(req, {
+      action: 'qos.remove_device',
+      targetType: 'device',
+      targetId: device.id,
+      targetLabel: device.name,
+      before: { qos_policy_id: existingPolicy.id },
+      after: { qos_policy_id: null },
+      metadata: { policy_name: existingPolicy.name, user_id: device.user_id }
+    });
+
     logger.info(`QoS policy removed from device successfully: ${device.name} (was: ${existingPolicy.name})`);
 
     return res.status(200).json({
@@ -808,8 +1026,8 @@ const getDevicePolicy = async (req, res) => {
       });
     }
 
-    // Check if user owns this device (unless admin)
-    if (req.user.role !== 'admin' && device.user_id !== req.user.id) {
+    // Check if user owns this device (unless staff allowed to view QoS)
+    if (!permissionService.hasPermission(req.user.role, 'qos:read') && device.user_id !== req.user.id) {
       logger.warn(`Unauthorized access attempt: User ${req.user.email} tried to access device ${deviceId}`);
       return res.status(403).json({
         success: false,
@@ -932,6 +1150,343 @@ const getPolicyDeviceStats = async (req, res) => {
   }
 };
 
+/**
+ * ============================================================================
+ * QoS SCHEDULE ENDPOINTS
+ * Time-of-day windows that override the bandwidth and priority of a policy
+ * ============================================================================
+ */
+
+/**
+ * Get the schedule windows of a QoS policy
+ * @route GET /api/qos/policies/:id/schedules
+ * @access Admin only
+ */
+const getPolicySchedules = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const policy = await QosPolicy.findById(id);
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'QoS policy not found'
+      });
+    }
+
+    const schedules = await QosSchedule.findByPolicyId(id);
+
+    return res.status(200).json({
+      success: true,
+      message: 'QoS schedules retrieved successfully',
+      data: {
+        policy: transformPolicyForFrontend(policy),
+        timezone: QosSchedule.getTimezone(),
+        schedules: schedules.map(transformScheduleForFrontend)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error in getPolicySchedules:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve QoS schedules',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Create a schedule window for a QoS policy
+ * @route POST /api/qos/policies/:id/schedules
+ * @access Admin only
+ */
+const createSchedule = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, days_of_week, start_time, end_time, priority, is_active } = req.body;
+
+    logger.info(`Creating QoS schedule "${name}" for policy ID: ${id} by admin: ${req.user.email}`);
+
+    const policy = await QosPolicy.findById(id);
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'QoS policy not found'
+      });
+    }
+
+    const schedule = await QosSchedule.create({
+      qos_policy_id: id,
+      name,
+      days_of_week,
+      start_time,
+      end_time,
+      bandwidth_limit: getScheduleBandwidthLimit(req.body) ?? null,
+      priority: priority || null,
+      is_active
+    });
+
+    await auditService.record(req, {
+      action: 'qos.schedule_create',
+      targetType: 'qos_schedule',
+      targetId: schedule.id,
+      targetLabel: schedule.name,
+      before: null,
+      after: schedule,
+      fields: SCHEDULE_AUDIT_FIELDS,
+      metadata: { qos_policy_id: policy.id, qos_policy_name: policy.name }
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'QoS schedule created successfully',
+      data: {
+        schedule: transformScheduleForFrontend(schedule)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error in createSchedule:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to create QoS schedule',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Update a schedule window
+ * @route PUT /api/qos/schedules/:scheduleId
+ * @access Admin only
+ */
+const updateSchedule = async (req, res) => {
+  try {
+    const { scheduleId } = req.params;
+    const { name, days_of_week, start_time, end_time, priority, is_active } = req.body;
+
+    logger.info(`Updating QoS schedule ID: ${scheduleId} by admin: ${req.user.email}`);
+
+    const existing = await QosSchedule.findById(scheduleId);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'QoS schedule not found'
+      });
+    }
+
+    const updateData = {
+      name,
+      days_of_week,
+      start_time,
+      end_time,
+      bandwidth_limit: getScheduleBandwidthLimit(req.body),
+      priority,
+      is_active
+    };
+
+    const start = (start_time ?? existing.start_time).slice(0, 5);
+    const end = (end_time ?? existing.end_time).slice(0, 5);
+    if (start === end) {
+      return res.status(400).json({
+        success: false,
+        message: 'End time must be different from start time'
+      });
+    }
+
+    const bandwidthLimit = updateData.bandwidth_limit !== undefined ? updateData.bandwidth_limit : existing.bandwidth_limit;
+    const effectivePriority = priority !== undefined ? priority : existing.priority;
+    if (!bandwidthLimit && !effectivePriority) {
+      return res.status(400).json({
+        success: false,
+        message: 'A schedule must override the bandwidth limit, the priority or both'
+      });
+    }
+
+    if (Object.values(updateData).every(value => value === undefined)) {
+      return res.status(400).json({
+        success: false,
+        message: 'No valid fields to update'
+      });
+    }
+
+    const schedule = await QosSchedule.update(scheduleId, updateData);
+
+    await auditService.record(req, {
+      action: 'qos.schedule_update',
+      targetType: 'qos_schedule',
+      targetId: scheduleId,
+      targetLabel: existing.name,
+      before: existing,
+      after: schedule,
+      fields: SCHEDULE_AUDIT_FIELDS,
+      metadata: { qos_policy_id: existing.qos_policy_id }
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'QoS schedule updated successfully',
+      data: {
+        schedule: transformScheduleForFrontend(schedule)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error in updateSchedule:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to update QoS schedule',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Delete a schedule window
+ * @route DELETE /api/qos/schedules/:scheduleId
+ * @access Admin only
+ */
+const deleteSchedule = async (req, res) => {
+  try {
+    const { scheduleId } = req.params;
+
+    logger.info(`Deleting QoS schedule ID: ${scheduleId} by admin: ${req.user.email}`);
+
+    const existing = await QosSchedule.findById(scheduleId);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'QoS schedule not found'
+      });
+    }
+
+    await QosSchedule.delete(scheduleId);
+
+    await auditService.record(req, {
+      action: 'qos.schedule_delete',
+      targetType: 'qos_schedule',
+      targetId: scheduleId,
+      targetLabel: existing.name,
+      before: existing,
+      after: null,
+      fields: SCHEDULE_AUDIT_FIELDS,
+      metadata: { qos_policy_id: existing.qos_policy_id }
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'QoS schedule deleted successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error in deleteSchedule:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to delete QoS schedule',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Set or clear the default QoS policy
+ * The default applies to users without a device, user or group policy.
+ * @route PUT /api/qos/default-policy
+ * @access Staff (qos:write)
+ */
+const setDefaultPolicy = async (req, res) => {
+  try {
+    const { policy_id } = req.body;
+
+    const previousDefault = await QosPolicy.findDefault();
+    const updated = await QosPolicy.setDefault(policy_id);
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        message: 'QoS policy not found'
+      });
+    }
+
+    await auditService.record(req, {
+      action: 'qos.default_policy',
+      targetType: 'setting',
+      targetId: 'default_qos_policy',
+      before: { qos_policy_id: previousDefault ? previousDefault.id : null },
+      after: { qos_policy_id: policy_id }
+    });
+
+    logger.info(`Default QoS policy set to ${policy_id ?? 'none'} by ${req.user.email}`);
+
+    return res.status(200).json({
+      success: true,
+      message: policy_id !== null ? 'Default QoS policy updated successfully' : 'Default QoS policy cleared',
+      data: {
+        policy: transformPolicyForFrontend(policy_id !== null ? await QosPolicy.findById(policy_id) : null)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error in setDefaultPolicy:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to update default QoS policy',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Preview which QoS policy applies at a point in time
+ * Resolves the policy of a user, a device or a single policy including its
+ * schedule windows.
+ * @route GET /api/qos/preview
+ * @access Admin only
+ */
+const previewEffectivePolicy = async (req, res) => {
+  try {
+    const { user_id, device_id, policy_id } = req.query;
+    const at = req.query.at ? new Date(req.query.at) : new Date();
+    const timezone = QosSchedule.getTimezone();
+
+    let policy;
+    if (device_id) {
+      policy = await QosPolicy.getEffectiveDevicePolicy(device_id, at);
+    } else if (user_id) {
+      policy = await QosPolicy.getEffectiveUserPolicy(user_id, at);
+    } else {
+      const basePolicy = await QosPolicy.findById(policy_id);
+      if (!basePolicy) {
+        return res.status(404).json({
+          success: false,
+          message: 'QoS policy not found'
+        });
+      }
+      policy = await QosPolicy.applySchedule(basePolicy, at);
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: policy ? 'Effective QoS policy resolved successfully' : 'No QoS policy applies',
+      data: {
+        at: at.toISOString(),
+        timezone,
+        local_time: QosSchedule.getLocalTime(at, timezone),
+        policy: transformPolicyForFrontend(policy),
+        policy_source: policy ? (policy.policy_source || (policy_id ? 'policy' : 'user')) : null
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error in previewEffectivePolicy:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to preview effective QoS policy',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 module.exports = {
   getAllPolicies,
   getPolicyById,
@@ -946,5 +1501,12 @@ module.exports = {
   assignPolicyToDevice,
   removePolicyFromDevice,
   getDevicePolicy,
-  getPolicyDeviceStats
+  getPolicyDeviceStats,
+  // QoS schedule endpoints
+  getPolicySchedules,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  previewEffectivePolicy,
+  setDefaultPolicy
 };
@@ -1,5 +1,7 @@
 const openvpnUserSync = require('../services/openvpnUserSync');
 const syncScheduler = require('../services/syncScheduler');
+const auditService = require('../services/auditService');
+const directorySync = require('../services/directorySync');
 const logger = require('../utils/logger');
 
 /**
@@ -53,6 +55,19 @@ const syncAllUsers = async (req, res, next) => {
       message += ` with ${results.errors.length} error(s)`;
     }
 
+    await auditService.record(req, {
+      action: 'sync.run',
+      targetType: 'openvpn',
+      metadata: {
+        dryRun,
+        deleteOrphaned,
+        created: results.created?.length || 0,
+        updated: results.updated?.length || 0,
+        deleted: results.deleted?.length || 0,
+        errors: results.errors?.length || 0
+      }
+    });
+
     logger.info(`User sync completed by admin ${req.user.email}`, {
       created: results.created?.length || 0,
       updated: results.updated?.length || 0,
@@ -124,6 +139,14 @@ const syncSingleUser = async (req, res, next) => {
       `User ${result.username} created in OpenVPN Access Server` :
       `User ${result.username} updated in OpenVPN Access Server`;
 
+    await auditService.record(req, {
+      action: 'sync.user',
+      targetType: 'user',
+      targetId: userId,
+      targetLabel: result.username,
+      metadata: { action: result.action }
+    });
+
     logger.info(`Single user sync completed by admin ${req.user.email}`, {
       userId,
       username: result.username,
@@ -202,6 +225,13 @@ const removeUser = async (req, res, next) => {
     // Remove the user
     const result = await openvpnUserSync.removeUser(cleanUsername);
 
+    await auditService.record(req, {
+      action: 'sync.remove_user',
+      targetType: 'openvpn_user',
+      targetId: cleanUsername,
+      targetLabel: cleanUsername
+    });
+
     logger.info(`OpenVPN user removed by admin ${req.user.email}`, {
       username: cleanUsername
     });
@@ -290,6 +320,7 @@ const getSyncStatus = async (req, res, next) => {
         nextSync: schedulerStatus.nextSync,
         recentHistory: schedulerStatus.history.slice(0, 5) // Last 5 syncs
       },
+      directory: directorySync.getStatus(),
       lastChecked: new Date().toISOString()
     };
 
@@ -352,6 +383,14 @@ const controlScheduler = async (req, res, next) => {
       });
     }
 
+    await auditService.record(req, {
+      action: `scheduler.${action}`,
+      targetType: 'scheduler',
+      targetId: 'user_sync',
+      before: { isRunning: action !== 'start' },
+      after: { isRunning: syncScheduler.isRunning }
+    });
+
     res.json({
       success: true,
       message: `Scheduler ${action}ed successfully`,
@@ -390,6 +429,7 @@ const updateInterval = async (req, res, next) => {
 
     logger.info(`Admin ${req.user.email} updating scheduler interval to ${intervalMinutes} minutes`);
 
+    const previousInterval = syncScheduler.syncIntervalMinutes;
     const result = syncScheduler.updateInterval(intervalMinutes);
 
     if (!result) {
@@ -399,6 +439,14 @@ const updateInterval = async (req, res, next) => {
       });
     }
 
+    await auditService.record(req, {
+      action: 'scheduler.interval',
+      targetType: 'scheduler',
+      targetId: 'user_sync',
+      before: { intervalMinutes: previousInterval },
+      after: { intervalMinutes: syncScheduler.syncIntervalMinutes }
+    });
+
     res.json({
       success: true,
       message: `Scheduler interval updated to ${intervalMinutes} minutes`,
@@ -414,8 +462,86 @@ const updateInterval = async (req, res, next) => {
   }
 };
 
+/**
+ * Import users from the LDAP directory now, then sync them to OpenVPN
+ * @body {boolean} [dryRun] - Report the changes without applying them
+ */
+const syncDirectory = async (req, res, next) => {
+  try {
+    const { dryRun = false } = req.body;
+
+    if (typeof dryRun !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'dryRun must be a boolean value'
+      });
+    }
+
+    if (!directorySync.isConfigured()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Directory sync is not configured'
+      });
+    }
+
+    if (directorySync.isSyncing) {
+      return res.status(409).json({
+        success: false,
+        message: 'Directory sync is already running'
+      });
+    }
+
+    logger.info(`Admin ${req.user.email} initiating directory sync`, { dryRun });
+
+    let results;
+    try {
+      results = await directorySync.run({ dryRun });
+    } catch (error) {
+      return res.status(502).json({
+        success: false,
+        message: `Directory sync failed: ${error.message}`
+      });
+    }
+
+    await auditService.record(req, {
+      action: 'sync.directory',
+      targetType: 'directory',
+      metadata: {
+        dryRun,
+        created: results.created.length,
+        updated: results.updated.length,
+        disabled: results.disabled.length,
+        errors: results.errors.length
+      }
+    });
+
+    res.json({
+      success: true,
+      message: dryRun ?
+        'Directory dry run completed successfully (no changes made)' :
+        'Directory sync completed successfully',
+      data: {
+        dryRun,
+        summary: {
+          created: results.created.length,
+          updated: results.updated.length,
+          disabled: results.disabled.length,
+          unchanged: results.unchanged,
+          skipped: results.skipped.length,
+          errors: results.errors.length
+        },
+        details: results
+      }
+    });
+  } catch (error) {
+    logger.error('Error in syncDirectory:', error);
+    next(error);
+  }
+};
+
 module.exports = {
   syncAllUsers,
+  syncDirectory,
   syncSingleUser,
   removeUser,
   getSyncStatus,
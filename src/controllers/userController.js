@@ -4,6 +4,9 @@ const ConfigFile = require('../models/ConfigFile');
 const QosPolicy = require('../models/QosPolicy');
 const logger = require('../utils/logger');
 const openvpnUserSync = require('../services/openvpnUserSync');
+const usageAccounting = require('../services/usageAccounting');
+const sessionService = require('../services/sessionService');
+const { sendCsv } = require('../utils/csv');
 
 /**
  * Get user profile
@@ -125,6 +128,14 @@ const changePassword = async (req, res) => {
   try {
     const { oldPassword, newPassword } = req.body;
 
+    const currentUser = await User.findById(req.user.id);
+    if (currentUser && currentUser.auth_source !== 'local') {
+      return res.status(400).json({
+        success: false,
+        message: 'Your password is managed by your organization directory or single sign-on and cannot be changed here',
+      });
+    }
+
     // Verify old password
     const isValidPassword = await User.verifyPassword(req.user.id, oldPassword);
 
@@ -161,11 +172,20 @@ const changePassword = async (req, res) => {
       logger.error(`Failed to sync password to OpenVPN for user ID ${req.user.id}:`, syncError);
     }
 
+    // Log out every session, then start a new one so this client stays signed in
+    await sessionService.revokeAllForUser(req.user.id, 'password_change');
+    const user = await User.findById(req.user.id);
+    const tokens = await sessionService.createSession(user, {
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
     logger.info(`User ${req.user.id} changed password`);
 
     res.json({
       success: true,
-      message: 'Password changed successfully',
+      message: 'Password changed successfully. Other sessions have been logged out.',
+      data: tokens
     });
   } catch (error) {
     logger.error('Error changing password:', error);
@@ -239,8 +259,8 @@ const getDashboard = async (req, res) => {
     // Get the latest config file for the user
     const latestConfig = await ConfigFile.findLatestByUserId(req.user.id);
 
-    // Get assigned QoS policy
-    const qosPolicy = await QosPolicy.findByUserId(req.user.id);
+    // Get the QoS policy that applies (user, group or default)
+    const qosPolicy = await QosPolicy.getEffectiveUserPolicy(req.user.id);
 
     // Build dashboard data
     const dashboardData = {
@@ -308,6 +328,58 @@ const deleteAccount = async (req, res) => {
   }
 };
 
+/**
+ * Get the authenticated user's VPN bandwidth usage
+ * @route GET /api/users/usage
+ * @access Private
+ * @query period - hour, day or month (default: day)
+ * @query device_id - Only usage of this device
+ * @query from / to - Report range (ISO 8601)
+ * @query format - json or csv (default: json)
+ */
+const getUsage = async (req, res) => {
+  try {
+    const { period = 'day', device_id, from, to, format = 'json' } = req.query;
+
+    const report = await usageAccounting.getReport({
+      period,
+      group_by: 'device',
+      user_id: req.user.id,
+      device_id,
+      from,
+      to,
+    });
+
+    if (format === 'csv') {
+      return sendCsv(res, `vpn-usage-${report.period}.csv`, report.items, [
+        'period_start',
+        'device_id',
+        'device_name',
+        'bytes_sent',
+        'bytes_received',
+        'bytes_total',
+      ]);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        period: report.period,
+        from: report.from,
+        to: report.to,
+        usage: report.items,
+        totals: report.totals,
+      },
+    });
+  } catch (error) {
+    logger.error('Error getting usage:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve usage',
+    });
+  }
+};
+
 module.exports = {
   getProfile,
   updateProfile,
@@ -315,4 +387,5 @@ module.exports = {
   getConfigs,
   getDashboard,
   deleteAccount,
+  getUsage,
 };
@@ -1,4 +1,8 @@
 const openvpnProfileService = require('../services/openvpnProfileService');
+const revocationService = require('../services/revocationService');
+const deviceEnrollmentService = require('../services/deviceEnrollmentService');
+const profileExpiryService = require('../services/profileExpiryService');
+const realtimeService = require('../services/realtimeService');
 const User = require('../models/User');
 const ConfigFile = require('../models/ConfigFile');
 const UserLanNetwork = require('../models/UserLanNetwork');
@@ -12,6 +16,8 @@ const logger = require('../utils/logger');
 
 /**
  * Download user's VPN profile
+ * Refused while device approval is required; devices then get their profile
+ * from GET /api/devices/:id/profile
  * GET /api/vpn/profile/download
  */
 exports.downloadProfile = async (req, res, next) => {
@@ -35,15 +41,33 @@ exports.downloadProfile = async (req, res, next) => {
       });
     }
 
-    if (!user.email_verified) {
+    // Single sign-on users were verified by their identity provider
+    if (!user.email_verified && user.auth_source !== 'oidc') {
       return res.status(403).json({
         success: false,
         message: 'Please verify your email before downloading VPN profile'
       });
     }
 
+    // Profiles that are not bound to a device would bypass device approval
+    if (await deviceEnrollmentService.isApprovalRequired()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Devices require administrator approval. Enroll your device to download its profile.'
+      });
+    }
+
     logger.info(`User ${user.username} (${user.email}) requesting VPN profile`);
 
+    // A revocation that has not reached the server yet would also revoke the
+    // new profile once it is retried, so apply it before regenerating
+    if (!(await revocationService.ensureApplied(user))) {
+      return res.status(409).json({
+        success: false,
+        message: 'Your previous VPN profile is still being revoked on the VPN server. Please try again in a few minutes.'
+      });
+    }
+
     // Generate profile from OpenVPN AS
     const profile = await openvpnProfileService.getUserloginProfile(user.username);
 
@@ -53,32 +77,7 @@ exports.downloadProfile = async (req, res, next) => {
       const lanNetworks = await UserLanNetwork.findByUserId(userId, true); // Get enabled only
       if (lanNetworks && lanNetworks.length > 0) {
         logger.info(`Injecting ${lanNetworks.length} LAN network routes for user ${user.username}`);
-        
-        // Build route directives
-        let routeSection = '\n# ============================================\n';
-        routeSection += '# LAN Network Routes\n';
-        routeSection += '# ============================================\n';
-        routeSection += '# The following networks will be accessible through the VPN tunnel\n';
-        
-        lanNetworks.forEach(network => {
-          if (network.description) {
-            routeSection += `# ${network.description}: ${network.network_cidr}\n`;
-          }
-          routeSection += `route ${network.network_ip} ${network.subnet_mask}\n`;
-        });
-        
-        routeSection += `# Total LAN networks configured: ${lanNetworks.length}\n`;
-        routeSection += '# ============================================\n';
-        
-        // Inject routes after the push-peer-info directive (before certificates)
-        const insertPoint = profile.indexOf('<ca>');
-        if (insertPoint !== -1) {
-          modifiedProfile = profile.substring(0, insertPoint) + routeSection + '\n' + profile.substring(insertPoint);
-        } else {
-          // Fallback: append at the end if <ca> not found
-          modifiedProfile = profile + '\n' + routeSection;
-        }
-        
+        modifiedProfile = openvpnProfileService.injectLanRoutes(profile, lanNetworks);
         logger.info(`LAN network routes injected successfully into profile for user ${user.username}`);
       }
     } catch (lanError) {
@@ -91,13 +90,17 @@ exports.downloadProfile = async (req, res, next) => {
     const timestamp = Date.now();
     const filename = `${user.username}_${timestamp}.ovpn`;
 
+    // Profile lifetime (PROFILE_LIFETIME_DAYS unless requested, capped at PROFILE_MAX_LIFETIME_DAYS)
+    const expiresAt = profileExpiryService.getExpiryDate(req.query.lifetime_days);
+
     // Save profile to database for tracking
     try {
-      await ConfigFile.create(
+      const configFile = await ConfigFile.create(
         userId,
         null, // No QoS policy for OpenVPN AS profiles
         filename,
-        modifiedProfile
+        modifiedProfile,
+        expiresAt
       );
       // Mark as downloaded immediately since user is downloading it now
       const configs = await ConfigFile.findByUserId(userId);
@@ -106,6 +109,14 @@ exports.downloadProfile = async (req, res, next) => {
         await ConfigFile.markDownloaded(latestConfig.id);
       }
       logger.info(`VPN profile saved to database: ${filename} for user ${user.username}`);
+      realtimeService.publish('profile.generated', {
+        configId: configFile.id,
+        userId,
+        username: user.username,
+        filename,
+        expiresAt,
+        deviceId: null
+      });
     } catch (dbError) {
       logger.error('Failed to save profile to database:', dbError);
       // Continue with download even if database save fails
@@ -174,7 +185,7 @@ exports.getProfileInfo = async (req, res, next) => {
         email: user.email,
         emailVerified: user.email_verified,
         vpnAccountExists: exists,
-        canDownload: user.email_verified && exists,
+        canDownload: (Boolean(user.email_verified) || user.auth_source === 'oidc') && exists,
         profileType: 'userlogin',
         requiresPassword: true
       }
@@ -239,6 +250,13 @@ exports.generateUserProfile = async (req, res, next) => {
 
     logger.info(`Admin generating ${profileType} profile for user: ${user.username}`);
 
+    if (!(await revocationService.ensureApplied(user))) {
+      return res.status(409).json({
+        success: false,
+        message: 'A revocation for this user has not reached the VPN server yet. Please try again later.'
+      });
+    }
+
     const result = await openvpnProfileService.generateAndTrackProfile(
       userId,
       user.username
@@ -0,0 +1,293 @@
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const webhookService = require('../services/webhookService');
+const auditService = require('../services/auditService');
+const logger = require('../utils/logger');
+
+// Webhook fields compared in audit events (the secret is never logged)
+const WEBHOOK_AUDIT_FIELDS = ['name', 'url', 'events', 'is_active'];
+
+/**
+ * Webhook Controller
+ * Webhook endpoints receiving lifecycle events and their delivery log
+ */
+
+/**
+ * Load the webhook of the request or answer 404
+ * @private
+ */
+const loadWebhook = async (req, res) => {
+  const webhook = await Webhook.findById(req.params.id);
+
+  if (!webhook) {
+    res.status(404).json({
+      success: false,
+      message: 'Webhook not found'
+    });
+    return null;
+  }
+
+  return webhook;
+};
+
+/**
+ * List webhooks and the events they can subscribe to
+ * @route GET /api/admin/webhooks
+ * @access Staff (webhooks:read)
+ */
+const listWebhooks = async (req, res, next) => {
+  try {
+    const webhooks = await Webhook.findAll();
+
+    res.json({
+      success: true,
+      data: {
+        webhooks,
+        available_events: webhookService.WEBHOOK_EVENTS
+      }
+    });
+  } catch (error) {
+    logger.error('Error in listWebhooks:', error);
+    next(error);
+  }
+};
+
+/**
+ * Create a webhook
+ * The signing secret is only returned in this response and by rotateSecret.
+ * @route POST /api/admin/webhooks
+ * @access Staff (webhooks:write)
+ */
+const createWebhook = async (req, res, next) => {
+  try {
+    const { name, url, events, is_active: isActive } = req.body;
+
+    const { webhook, secret } = await webhookService.create(
+      { name, url, events, is_active: isActive !== undefined ? isActive : true },
+      req.user.id
+    );
+
+    await auditService.record(req, {
+      action: 'webhook.create',
+      targetType: 'webhook',
+      targetId: webhook.id,
+      targetLabel: webhook.name,
+      before: null,
+      after: webhook,
+      fields: WEBHOOK_AUDIT_FIELDS
+    });
+
+    logger.info(`Webhook ${webhook.id} (${webhook.url}) created by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Webhook created. Copy the signing secret now, it will not be shown again.',
+      data: { ...webhook, secret }
+    });
+  } catch (error) {
+    logger.error('Error in createWebhook:', error);
+    next(error);
+  }
+};
+
+/**
+ * Update a webhook
+ * @route PUT /api/admin/webhooks/:id
+ * @access Staff (webhooks:write)
+ */
+const updateWebhook = async (req, res, next) => {
+  try {
+    const webhook = await loadWebhook(req, res);
+    if (!webhook) return;
+
+    const { name, url, events, is_active: isActive } = req.body;
+    const updates = {
+      name,
+      url,
+      events: events ? [...new Set(events)] : undefined,
+      is_active: isActive
+    };
+
+    await Webhook.update(webhook.id, updates);
+    const updated = await Webhook.findById(webhook.id);
+
+    await auditService.record(req, {
+      action: 'webhook.update',
+      targetType: 'webhook',
+      targetId: webhook.id,
+      targetLabel: updated.name,
+      before: webhook,
+      after: updated,
+      fields: WEBHOOK_AUDIT_FIELDS
+    });
+
+    logger.info(`Webhook ${webhook.id} updated by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Webhook updated successfully',
+      data: updated
+    });
+  } catch (error) {
+    logger.error('Error in updateWebhook:', error);
+    next(error);
+  }
+};
+
+/**
+ * Delete a webhook and its delivery log
+ * @route DELETE /api/admin/webhooks/:id
+ * @access Staff (webhooks:write)
+ */
+const deleteWebhook = async (req, res, next) => {
+  try {
+    const webhook = await loadWebhook(req, res);
+    if (!webhook) return;
+
+    await Webhook.delete(webhook.id);
+
+    await auditService.record(req, {
+      action: 'webhook.delete',
+      targetType: 'webhook',
+      targetId: webhook.id,
+      targetLabel: webhook.name,
+      before: webhook,
+      after: null,
+      fields: WEBHOOK_AUDIT_FIELDS
+    });
+
+    logger.info(`Webhook ${webhook.id} (${webhook.url}) deleted by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Webhook deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Error in deleteWebhook:', error);
+    next(error);
+  }
+};
+
+/**
+ * Replace the signing secret of a webhook
+ * Deliveries signed with the old secret (including retries) use the new one.
+ * @route POST /api/admin/webhooks/:id/rotate-secret
+ * @access Staff (webhooks:write)
+ */
+const rotateSecret = async (req, res, next) => {
+  try {
+    const webhook = await loadWebhook(req, res);
+    if (!webhook) return;
+
+    const secret = await webhookService.rotateSecret(webhook.id);
+
+    await auditService.record(req, {
+      action: 'webhook.rotate_secret',
+      targetType: 'webhook',
+      targetId: webhook.id,
+      targetLabel: webhook.name
+    });
+
+    logger.info(`Signing secret of webhook ${webhook.id} rotated by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Signing secret rotated. Copy it now, it will not be shown again.',
+      data: { id: webhook.id, secret }
+    });
+  } catch (error) {
+    logger.error('Error in rotateSecret:', error);
+    next(error);
+  }
+};
+
+/**
+ * Send a test event to a webhook and return the outcome of the attempt
+ * @route POST /api/admin/webhooks/:id/test
+ * @access Staff (webhooks:write)
+ */
+const testWebhook = async (req, res, next) => {
+  try {
+    const webhook = await loadWebhook(req, res);
+    if (!webhook) return;
+
+    const delivery = await webhookService.sendTest(webhook, req.user);
+
+    res.json({
+      success: true,
+      message: delivery.status === 'succeeded'
+        ? 'Test event delivered'
+        : `Test event not delivered: ${delivery.error}`,
+      data: delivery
+    });
+  } catch (error) {
+    logger.error('Error in testWebhook:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get the delivery log of a webhook
+ * @route GET /api/admin/webhooks/:id/deliveries
+ * @access Staff (webhooks:read)
+ */
+const listDeliveries = async (req, res, next) => {
+  try {
+    const webhook = await loadWebhook(req, res);
+    if (!webhook) return;
+
+    const { page = 1, limit = 20, status, event_type: eventType } = req.query;
+
+    const result = await WebhookDelivery.findAll(page, limit, {
+      webhook_id: webhook.id,
+      status,
+      event_type: eventType
+    });
+
+    res.json({
+      success: true,
+      data: {
+        deliveries: result.data,
+        pagination: result.pagination
+      }
+    });
+  } catch (error) {
+    logger.error('Error in listDeliveries:', error);
+    next(error);
+  }
+};
+
+/**
+ * Send a delivery again with a fresh set of attempts
+ * @route POST /api/admin/webhooks/deliveries/:id/redeliver
+ * @access Staff (webhooks:write)
+ */
+const redeliver = async (req, res, next) => {
+  try {
+    const delivery = await webhookService.redeliver(req.params.id);
+
+    logger.info(`Webhook delivery ${req.params.id} redelivered by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: delivery && delivery.status === 'succeeded'
+        ? 'Event delivered'
+        : 'Event not delivered, it will be retried',
+      data: delivery
+    });
+  } catch (error) {
+    logger.error('Error in redeliver:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  listWebhooks,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  rotateSecret,
+  testWebhook,
+  listDeliveries,
+  redeliver
+};
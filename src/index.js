@@ -27,11 +27,18 @@ const db = require('./config/database');
 const syncScheduler = require('./services/syncScheduler');
 const databaseSyncService = require('./services/databaseSync');
 const vpnMonitor = require('./services/vpnMonitor');
+const revocationService = require('./services/revocationService');
+const pkiService = require('./services/pkiService');
+const profileExpiryService = require('./services/profileExpiryService');
+const directorySync = require('./services/directorySync');
+const webhookService = require('./services/webhookService');
 const openvpnClientConnect = require('./services/openvpnClientConnect');
 
 // Middleware
 const { errorHandler, notFound } = require('./middleware/errorHandler');
 const { generalLimiter } = require('./middleware/rateLimiter');
+const { httpMetrics, requireScrapeToken } = require('./middleware/metricsMiddleware');
+const metricsService = require('./services/metricsService');
 
 // Route imports
 const authRoutes = require('./routes/authRoutes');
@@ -44,6 +51,7 @@ const syncRoutes = require('./routes/syncRoutes');
 const dbSyncRoutes = require('./routes/dbSyncRoutes');
 const deviceRoutes = require('./routes/deviceRoutes');
 const lanNetworkRoutes = require('./routes/lanNetworkRoutes');
+const groupRoutes = require('./routes/groupRoutes');
 
 // Create Express application
 const app = express();
@@ -100,13 +108,16 @@ app.use(cors(corsOptions));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Request durations for the Prometheus metrics
+app.use(httpMetrics);
+
 // HTTP request logging with Morgan
 // Create a custom stream object to integrate Morgan with Winston logger
 app.use(morgan('combined', {
   stream: logger.stream,
   skip: (req, res) => {
-    // Skip logging health check requests to reduce noise
-    return req.path === '/health';
+    // Skip logging health check and metrics scrape requests to reduce noise
+    return req.path === '/health' || req.path === '/metrics';
   }
 }));
 
@@ -173,6 +184,15 @@ app.get('/health', async (req, res) => {
   }
 });
 
+/**
+ * Prometheus Metrics Endpoint
+ * Requires the scrape token (METRICS_TOKEN) as a bearer token
+ */
+app.get('/metrics', requireScrapeToken, (req, res) => {
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.status(200).send(metricsService.render());
+});
+
 /**
  * API Routes
  * Mount all route handlers with their base paths
@@ -187,6 +207,7 @@ app.use('/api/sync', syncRoutes);
 app.use('/api/db-sync', dbSyncRoutes);
 app.use('/api/devices', deviceRoutes);
 app.use('/api/lan-networks', lanNetworkRoutes);
+app.use('/api/groups', groupRoutes);
 
 /**
  * Root endpoint
@@ -199,6 +220,7 @@ app.get('/', (req, res) => {
     status: 'running',
     endpoints: {
       health: '/health',
+      metrics: '/metrics',
       auth: '/api/auth',
       users: '/api/users',
       admin: '/api/admin',
@@ -277,6 +299,8 @@ async function startServer() {
         logger.info('Available API Routes:');
         logger.info('  - POST   /api/auth/register');
         logger.info('  - POST   /api/auth/login');
+        logger.info('  - POST   /api/auth/refresh');
+        logger.info('  - POST   /api/auth/logout');
         logger.info('  - GET    /api/auth/verify-email');
         logger.info('  - POST   /api/auth/verify-email');
         logger.info('  - GET    /api/auth/me');
@@ -288,9 +312,17 @@ async function startServer() {
         logger.info('  - GET    /api/docker/containers');
         logger.info('  - POST   /api/sync/users');
         logger.info('  - GET    /api/sync/status');
+        logger.info('  - GET    /api/groups');
         logger.info('='.repeat(60));
       }
 
+      // Start webhook delivery first, so it receives the events of the services below
+      try {
+        webhookService.start();
+      } catch (error) {
+        logger.error('Failed to start webhook delivery:', error);
+      }
+
       // Start sync scheduler after server starts
       try {
         const schedulerStarted = syncScheduler.start();
@@ -316,6 +348,34 @@ async function startServer() {
         // Continue server operation even if monitor fails
       }
 
+      // Start retrying revocations that have not reached the VPN server
+      try {
+        revocationService.start();
+      } catch (error) {
+        logger.error('Failed to start revocation retry queue:', error);
+      }
+
+      // Start publishing the CRL of the built-in PKI
+      try {
+        pkiService.start();
+      } catch (error) {
+        logger.error('Failed to start CRL publication:', error);
+      }
+
+      // Start reminding about and revoking expired VPN profiles
+      try {
+        profileExpiryService.start();
+      } catch (error) {
+        logger.error('Failed to start profile expiry check:', error);
+      }
+
+      // Start importing users from the LDAP directory (when configured)
+      try {
+        directorySync.start();
+      } catch (error) {
+        logger.error('Failed to start directory sync:', error);
+      }
+
       // Initialize database sync service
       try {
         const dbSyncInitialized = await databaseSyncService.initialize();
@@ -393,6 +453,41 @@ async function gracefulShutdown(signal) {
     logger.error('Error stopping VPN monitor:', error);
   }
 
+  // Stop revocation retry queue
+  try {
+    revocationService.stop();
+  } catch (error) {
+    logger.error('Error stopping revocation retry queue:', error);
+  }
+
+  // Stop CRL publication
+  try {
+    pkiService.stop();
+  } catch (error) {
+    logger.error('Error stopping CRL publication:', error);
+  }
+
+  // Stop profile expiry check
+  try {
+    profileExpiryService.stop();
+  } catch (error) {
+    logger.error('Error stopping profile expiry check:', error);
+  }
+
+  // Stop directory sync
+  try {
+    directorySync.stop();
+  } catch (error) {
+    logger.error('Error stopping directory sync:', error);
+  }
+
+  // Stop webhook delivery
+  try {
+    webhookService.stop();
+  } catch (error) {
+    logger.error('Error stopping webhook delivery:', error);
+  }
+
   // Stop sync scheduler
   try {
     if (syncScheduler.isRunning) {
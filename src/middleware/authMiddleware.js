@@ -1,13 +1,18 @@
 const jwt = require('jsonwebtoken');
+const sessionService = require('../services/sessionService');
+const apiTokenService = require('../services/apiTokenService');
+const permissionService = require('../services/permissionService');
 const logger = require('../utils/logger');
 
 /**
  * Verify JWT token and attach user to request
+ * Rejects tokens invalidated by a password change, role change or logout of
+ * all sessions (token version check).
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
  */
-const verifyToken = (req, res, next) => {
+const verifyToken = async (req, res, next) => {
   try {
     // Get token from Authorization header
     const authHeader = req.headers.authorization;
@@ -25,12 +30,35 @@ const verifyToken = (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    // Tokens issued for the second login step are not session tokens
+    if (decoded.type) {
+      logger.warn(`Rejected ${decoded.type} token used as session token for: ${decoded.email}`);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid token. Please login again.',
+        code: 'TOKEN_INVALID'
+      });
+    }
+
+    if (!(await sessionService.isTokenCurrent(decoded))) {
+      logger.warn(`Revoked token used by: ${decoded.email}`);
+      return res.status(401).json({
+        success: false,
+        message: 'Session has been revoked. Please login again.',
+        code: 'TOKEN_REVOKED'
+      });
+    }
+
     // Attach user information to request
     req.user = {
       id: decoded.id,
       email: decoded.email,
       role: decoded.role,
-      username: decoded.username
+      username: decoded.username,
+      sessionId: decoded.sid,
+      // Long-lived responses (live event stream) re-check and end with the token
+      tokenVersion: decoded.tv,
+      tokenExpiresAt: decoded.exp
     };
 
     logger.info(`User authenticated: ${decoded.email} (${decoded.role})`);
@@ -102,6 +130,35 @@ const isAdmin = (req, res, next) => {
   }
 };
 
+/**
+ * Check if authenticated user's role grants a permission
+ * Must be used after verifyToken (or allowApiToken) middleware.
+ * Administrators hold every permission; see services/permissionService.
+ * @param {string} permission - Required permission, e.g. 'users:read'
+ * @returns {Function} Express middleware
+ */
+const requirePermission = (permission) => (req, res, next) => {
+  if (!req.user) {
+    logger.error('requirePermission middleware called without verifyToken');
+    return res.status(500).json({
+      success: false,
+      message: 'Authentication middleware error.'
+    });
+  }
+
+  if (!permissionService.hasPermission(req.user.role, permission)) {
+    logger.warn(`Permission ${permission} denied to: ${req.user.email} (${req.user.role})`);
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied. You do not have permission to perform this action.',
+      code: 'PERMISSION_DENIED',
+      required_permission: permission
+    });
+  }
+
+  next();
+};
+
 /**
  * Optional authentication middleware
  * Attaches user if valid token exists, but doesn't require it
@@ -109,7 +166,7 @@ const isAdmin = (req, res, next) => {
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
  */
-const optionalAuth = (req, res, next) => {
+const optionalAuth = async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
 
@@ -121,11 +178,16 @@ const optionalAuth = (req, res, next) => {
     const token = authHeader.substring(7);
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    if (decoded.type || !(await sessionService.isTokenCurrent(decoded))) {
+      return next();
+    }
+
     req.user = {
       id: decoded.id,
       email: decoded.email,
       role: decoded.role,
-      username: decoded.username
+      username: decoded.username,
+      sessionId: decoded.sid
     };
 
     next();
@@ -136,8 +198,89 @@ const optionalAuth = (req, res, next) => {
   }
 };
 
+/**
+ * Verify a session token or a two-factor enrollment token
+ * Lets users who must set up two-factor authentication before they can sign in
+ * reach the enrollment endpoints. Sets req.mfaEnrollment when the enrollment
+ * token was used.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const verifyMfaEnrollment = (req, res, next) => {
+  const authHeader = req.headers.authorization;
+
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return verifyToken(req, res, next);
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(authHeader.substring(7), process.env.JWT_SECRET);
+  } catch (error) {
+    // Let verifyToken produce the usual expired/invalid responses
+    return verifyToken(req, res, next);
+  }
+
+  if (decoded.type !== 'mfa_enroll') {
+    return verifyToken(req, res, next);
+  }
+
+  req.user = {
+    id: decoded.id,
+    email: decoded.email,
+    role: decoded.role,
+    username: decoded.username
+  };
+  req.mfaEnrollment = true;
+
+  logger.info(`Two-factor enrollment token accepted for: ${decoded.email}`);
+  next();
+};
+
+/**
+ * Accept a personal API token with the given scope, or a regular login token
+ * Use in place of verifyToken on routes scripts may call. Sets req.apiTokenId
+ * on req.user when an API token was used.
+ * @param {string} scope - Scope the route requires (see apiTokenService.API_TOKEN_SCOPES)
+ * @returns {Function} Express middleware
+ */
+const allowApiToken = (scope) => async (req, res, next) => {
+  const authHeader = req.headers.authorization;
+
+  if (!authHeader || !authHeader.startsWith('Bearer ') || !apiTokenService.isApiToken(authHeader.substring(7))) {
+    return verifyToken(req, res, next);
+  }
+
+  try {
+    const result = await apiTokenService.authenticate(authHeader.substring(7), scope, req.ip);
+
+    if (!result.user) {
+      logger.warn(`API token rejected for ${req.method} ${req.originalUrl}: ${result.error}`);
+      return res.status(result.status).json({
+        success: false,
+        message: result.error,
+        code: result.code
+      });
+    }
+
+    req.user = result.user;
+    next();
+
+  } catch (error) {
+    logger.error('API token verification error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Authentication error occurred.'
+    });
+  }
+};
+
 module.exports = {
   verifyToken,
   isAdmin,
-  optionalAuth
+  requirePermission,
+  optionalAuth,
+  verifyMfaEnrollment,
+  allowApiToken
 };
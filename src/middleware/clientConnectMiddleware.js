@@ -0,0 +1,38 @@
+const crypto = require('crypto');
+
+/**
+ * Require the client-connect hook token (CLIENT_CONNECT_TOKEN) as a bearer token
+ * The endpoint answers 404 while no token is configured.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const requireClientConnectToken = (req, res, next) => {
+  const expected = process.env.CLIENT_CONNECT_TOKEN;
+
+  if (!expected) {
+    return res.status(404).json({
+      success: false,
+      message: 'Client-connect hook is disabled (CLIENT_CONNECT_TOKEN is not set)'
+    });
+  }
+
+  const header = req.headers.authorization || '';
+  const provided = header.startsWith('Bearer ') ? header.substring(7) : '';
+
+  // Compare digests so the comparison takes the same time whatever the length
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  if (!provided || !crypto.timingSafeEqual(digest(provided), digest(expected))) {
+    res.set('WWW-Authenticate', 'Bearer realm="client-connect"');
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid client-connect token'
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  requireClientConnectToken
+};
@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+const metricsService = require('../services/metricsService');
+
+/**
+ * Get the route pattern of a request, e.g. /api/admin/users/:id
+ * Requests that matched no route are labelled "unmatched" so unknown paths
+ * do not create new series. Once an error leaves a router, Express resets
+ * req.baseUrl; the mount path is then recovered from the original URL.
+ * @param {Object} req - Express request object
+ * @returns {string}
+ */
+const getRouteLabel = (req) => {
+  if (!req.route || typeof req.route.path !== 'string') {
+    return 'unmatched';
+  }
+
+  const routePath = req.route.path === '/' ? '' : req.route.path.replace(/\/$/, '');
+  const urlSegments = req.originalUrl.split('?')[0].replace(/\/$/, '').split('/');
+  const routeSegments = routePath.split('/').length - 1;
+  const basePath = urlSegments.slice(0, urlSegments.length - routeSegments).join('/');
+
+  return `${basePath}${routePath}` || '/';
+};
+
+/**
+ * Record the duration of every request in the HTTP request histogram
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const httpMetrics = (req, res, next) => {
+  const start = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+    metricsService.observeHttpRequest({
+      method: req.method,
+      route: getRouteLabel(req),
+      status_code: res.statusCode
+    }, seconds);
+  });
+
+  next();
+};
+
+/**
+ * Require the scrape token (METRICS_TOKEN) as a bearer token
+ * The endpoint answers 404 while no token is configured.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const requireScrapeToken = (req, res, next) => {
+  const expected = process.env.METRICS_TOKEN;
+
+  if (!expected) {
+    return res.status(404).json({
+      success: false,
+      message: 'Metrics are disabled (METRICS_TOKEN is not set)'
+    });
+  }
+
+  const header = req.headers.authorization || '';
+  const provided = header.startsWith('Bearer ') ? header.substring(7) : '';
+
+  // Compare digests so the comparison takes the same time whatever the length
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  if (!provided || !crypto.timingSafeEqual(digest(provided), digest(expected))) {
+    res.set('WWW-Authenticate', 'Bearer realm="metrics"');
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid scrape token'
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  getRouteLabel,
+  httpMetrics,
+  requireScrapeToken
+};
@@ -46,8 +46,9 @@ const generalLimiter = rateLimit({
   legacyHeaders: false, // Disable `X-RateLimit-*` headers
   handler: rateLimitHandler,
   skip: (req) => {
-    // Skip rate limiting for health check endpoint
-    return req.path === '/health';
+    // Skip rate limiting for health check and metrics scrape endpoints, and for
+    // the client-connect hook, which calls for every client from the VPN server's IP
+    return req.path === '/health' || req.path === '/metrics' || req.path === '/api/vpn/client-connect';
   },
   keyGenerator: (req) => {
     // Use user ID if authenticated, otherwise use IP
@@ -1,5 +1,8 @@
 const { body, param, query, validationResult } = require('express-validator');
 const logger = require('../utils/logger');
+const { API_TOKEN_SCOPES } = require('../services/apiTokenService');
+const { ROLES } = require('../services/permissionService');
+const { WEBHOOK_EVENTS } = require('../services/webhookService');
 
 /**
  * Validation middleware to check validation results
@@ -83,6 +86,143 @@ const loginSchema = [
     .withMessage('Password is required')
 ];
 
+/**
+ * Single sign-on callback validation schema
+ * Code and state from the identity provider redirect
+ */
+const oidcCallbackSchema = [
+  body('code')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 2048 })
+    .withMessage('Authorization code is required'),
+
+  body('state')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 256 })
+    .withMessage('State is required')
+];
+
+/**
+ * Refresh token validation (refresh, logout)
+ */
+const refreshTokenSchema = [
+  body('refresh_token')
+    .isString()
+    .trim()
+    .matches(/^[a-f0-9]{64}$/)
+    .withMessage('Invalid refresh token'),
+
+  body('all')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('all must be a boolean')
+];
+
+/**
+ * Two-factor code rule (6-digit TOTP code)
+ * @param {boolean} [optional=false] - Whether the code may be omitted
+ */
+const mfaCodeRule = (optional = false) => {
+  const rule = body('code');
+  return (optional ? rule.optional() : rule)
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Authentication code must be 6 digits');
+};
+
+/**
+ * Two-factor login step validation (code or recovery code)
+ */
+const mfaVerifySchema = [
+  body('mfa_token')
+    .notEmpty()
+    .withMessage('Two-factor token is required'),
+
+  mfaCodeRule(true),
+
+  body('recovery_code')
+    .optional()
+    .trim()
+    .isLength({ min: 10, max: 20 })
+    .withMessage('Invalid recovery code format'),
+
+  body()
+    .custom((value) => {
+      if (!value.code === !value.recovery_code) {
+        throw new Error('Provide either an authentication code or a recovery code');
+      }
+      return true;
+    })
+];
+
+/**
+ * Two-factor code validation (enable, regenerate recovery codes)
+ */
+const mfaCodeSchema = [
+  mfaCodeRule()
+];
+
+/**
+ * Two-factor disable validation (password and current code)
+ */
+const mfaDisableSchema = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+
+  mfaCodeRule()
+];
+
+/**
+ * Two-factor policy validation
+ */
+const mfaPolicySchema = [
+  body('required_for_admins')
+    .isBoolean()
+    .withMessage('required_for_admins must be a boolean')
+    .toBoolean()
+];
+
+/**
+ * Device enrollment policy validation schema
+ */
+const devicePolicySchema = [
+  body('approval_required')
+    .isBoolean()
+    .withMessage('approval_required must be a boolean')
+    .toBoolean()
+];
+
+/**
+ * Device approval or rejection validation schema
+ */
+const deviceReviewSchema = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Valid device ID is required')
+    .toInt(),
+
+  body('reason')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('Reason must be a string')
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Reason must not exceed 255 characters')
+];
+
+/**
+ * Admin device list query validation
+ */
+const deviceQuerySchema = [
+  query('enrollment_status')
+    .optional()
+    .isIn(['unenrolled', 'pending', 'approved', 'rejected'])
+    .withMessage('Enrollment status must be unenrolled, pending, approved or rejected')
+];
+
 /**
  * Update profile validation schema
  */
@@ -237,6 +377,17 @@ const assignQosSchema = [
     .toInt()
 ];
 
+/**
+ * Profile lifetime rule (days until a generated or renewed profile expires)
+ * @param {Function} location - express-validator location (body or query)
+ */
+const lifetimeDaysRule = (location) =>
+  location('lifetime_days')
+    .optional()
+    .isInt({ min: 1, max: 3650 })
+    .withMessage('Lifetime must be between 1 and 3650 days')
+    .toInt();
+
 /**
  * OpenVPN config generation validation schema
  */
@@ -245,7 +396,48 @@ const generateConfigSchema = [
     .optional()
     .isInt({ min: 1 })
     .withMessage('Valid QoS policy ID is required')
-    .toInt()
+    .toInt(),
+
+  lifetimeDaysRule(body)
+];
+
+/**
+ * VPN profile download query validation
+ */
+const profileDownloadQuerySchema = [
+  lifetimeDaysRule(query)
+];
+
+/**
+ * Config renewal validation (config ID plus optional lifetime)
+ */
+const renewConfigSchema = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Valid config ID is required')
+    .toInt(),
+
+  lifetimeDaysRule(body)
+];
+
+/**
+ * Client-connect hook validation (environment of the connecting client)
+ */
+const clientConnectSchema = [
+  body('common_name')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Common name is required')
+    .isLength({ max: 255 })
+    .withMessage('Common name must not exceed 255 characters'),
+
+  body('username')
+    .optional({ nullable: true, checkFalsy: true })
+    .isString()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Username must not exceed 255 characters')
 ];
 
 /**
@@ -278,6 +470,40 @@ const configIdParamSchema = [
     .toInt()
 ];
 
+/**
+ * Personal API token creation validation
+ */
+const apiTokenCreateSchema = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Token name must be between 1 and 100 characters'),
+
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('At least one scope is required'),
+
+  body('scopes.*')
+    .isIn(Object.keys(API_TOKEN_SCOPES))
+    .withMessage(`Scopes must be one of: ${Object.keys(API_TOKEN_SCOPES).join(', ')}`),
+
+  body('expires_in_days')
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 3650 })
+    .withMessage('expires_in_days must be between 1 and 3650')
+    .toInt()
+];
+
+/**
+ * API token ID parameter validation
+ */
+const apiTokenIdParamSchema = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Valid token ID is required')
+    .toInt()
+];
+
 /**
  * Docker container ID parameter validation
  */
@@ -318,8 +544,8 @@ const searchSchema = [
 
   query('role')
     .optional()
-    .isIn(['user', 'admin'])
-    .withMessage('Role must be either user or admin'),
+    .isIn(ROLES)
+    .withMessage(`Role must be one of: ${ROLES.join(', ')}`),
 
   query('verified')
     .optional()
@@ -328,6 +554,154 @@ const searchSchema = [
     .toBoolean()
 ];
 
+/**
+ * Connection session list query validation
+ */
+const sessionQuerySchema = [
+  query('status')
+    .optional()
+    .isIn(['active', 'closed'])
+    .withMessage('Status must be either active or closed'),
+
+  query('user_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('User ID must be a positive integer')
+    .toInt(),
+
+  query('device_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Device ID must be a positive integer')
+    .toInt(),
+
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid ISO 8601 date'),
+
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid ISO 8601 date'),
+
+  query('search')
+    .optional()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Search query must not exceed 255 characters')
+];
+
+/**
+ * Admin disconnect validation (session or user ID plus optional reason)
+ */
+const disconnectSchema = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Valid ID is required')
+    .toInt(),
+
+  body('reason')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('Reason must be a string')
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason must not exceed 500 characters')
+];
+
+/**
+ * Bandwidth usage report query validation
+ */
+const usageQuerySchema = [
+  query('period')
+    .optional()
+    .isIn(['hour', 'day', 'month'])
+    .withMessage('Period must be one of: hour, day, month'),
+
+  query('group_by')
+    .optional()
+    .isIn(['user', 'device'])
+    .withMessage('Group by must be either user or device'),
+
+  query('user_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('User ID must be a positive integer')
+    .toInt(),
+
+  query('device_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Device ID must be a positive integer')
+    .toInt(),
+
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid ISO 8601 date'),
+
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid ISO 8601 date'),
+
+  query('format')
+    .optional()
+    .isIn(['json', 'csv'])
+    .withMessage('Format must be either json or csv')
+];
+
+/**
+ * Audit log query validation (list and export)
+ */
+const auditQuerySchema = [
+  query('actor_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Actor ID must be a positive integer')
+    .toInt(),
+
+  query('action')
+    .optional()
+    .trim()
+    .matches(/^[a-z_]+(\.[a-z_]*)?$/)
+    .withMessage('Action must look like user.update, or user. for all user actions'),
+
+  query('target_type')
+    .optional()
+    .trim()
+    .matches(/^[a-z_]+$/)
+    .withMessage('Target type must contain only lowercase letters and underscores'),
+
+  query('target_id')
+    .optional()
+    .trim()
+    .isLength({ max: 64 })
+    .withMessage('Target ID must not exceed 64 characters'),
+
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid ISO 8601 date'),
+
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid ISO 8601 date'),
+
+  query('search')
+    .optional()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Search query must not exceed 255 characters'),
+
+  query('format')
+    .optional()
+    .isIn(['json', 'csv'])
+    .withMessage('Format must be either json or csv')
+];
+
 /**
  * Docker create container validation schema
  */
@@ -421,14 +795,20 @@ const updateUserSchema = [
 
   body('role')
     .optional()
-    .isIn(['user', 'admin'])
-    .withMessage('Role must be either user or admin'),
+    .isIn(ROLES)
+    .withMessage(`Role must be one of: ${ROLES.join(', ')}`),
 
   body('email_verified')
     .optional()
     .isBoolean()
     .withMessage('Email verified must be a boolean value')
-    .toBoolean()
+    .toBoolean(),
+
+  // Empty string or null clears the static address
+  body('static_ip')
+    .optional({ nullable: true, checkFalsy: true })
+    .isIP(4)
+    .withMessage('Static IP must be a valid IPv4 address')
 ];
 
 // Backward compatibility with existing QoS schemas
@@ -454,6 +834,29 @@ const createQosPolicySchema = [
     .isIn(['low', 'medium', 'high'])
     .withMessage('Priority must be one of: low, medium, high'),
 
+  body('daily_quota_mb')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Daily quota must be a positive number of MB')
+    .toInt(),
+
+  body('monthly_quota_mb')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Monthly quota must be a positive number of MB')
+    .toInt(),
+
+  body('over_quota_action')
+    .optional()
+    .isIn(['notify', 'throttle', 'disconnect'])
+    .withMessage('Over-quota action must be one of: notify, throttle, disconnect'),
+
+  body('throttle_policy_id')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Throttle policy ID must be a positive integer')
+    .toInt(),
+
   body('description')
     .optional()
     .trim()
@@ -485,6 +888,29 @@ const updateQosPolicySchema = [
     .isIn(['low', 'medium', 'high'])
     .withMessage('Priority must be one of: low, medium, high'),
 
+  body('daily_quota_mb')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Daily quota must be a positive number of MB')
+    .toInt(),
+
+  body('monthly_quota_mb')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Monthly quota must be a positive number of MB')
+    .toInt(),
+
+  body('over_quota_action')
+    .optional()
+    .isIn(['notify', 'throttle', 'disconnect'])
+    .withMessage('Over-quota action must be one of: notify, throttle, disconnect'),
+
+  body('throttle_policy_id')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Throttle policy ID must be a positive integer')
+    .toInt(),
+
   body('description')
     .optional()
     .trim()
@@ -504,10 +930,322 @@ const assignQosPolicySchema = [
     .toInt()
 ];
 
+const SCHEDULE_DAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+const START_TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const END_TIME_PATTERN = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+
+/**
+ * Build the QoS schedule window validation rules
+ * @param {boolean} partial - Whether fields are optional (updates)
+ */
+const qosScheduleRules = (partial) => {
+  const field = (name) => (partial ? body(name).optional() : body(name));
+
+  return [
+    field('name')
+      .trim()
+      .notEmpty()
+      .withMessage('Schedule name is required')
+      .isLength({ max: 100 })
+      .withMessage('Schedule name must not exceed 100 characters'),
+
+    field('days_of_week')
+      .isArray({ min: 1, max: 7 })
+      .withMessage('Days of week must be a non-empty array')
+      .custom((value) => {
+        if (!value.every(day => SCHEDULE_DAYS.includes(day))) {
+          throw new Error(`Days of week must be any of: ${SCHEDULE_DAYS.join(', ')}`);
+        }
+        return true;
+      }),
+
+    field('start_time')
+      .matches(START_TIME_PATTERN)
+      .withMessage('Start time must be in HH:mm format'),
+
+    field('end_time')
+      .matches(END_TIME_PATTERN)
+      .withMessage('End time must be in HH:mm format (24:00 for midnight)')
+      .custom((value, { req }) => {
+        if (req.body.start_time !== undefined && value === req.body.start_time) {
+          throw new Error('End time must be different from start time');
+        }
+        return true;
+      }),
+
+    body('max_download_speed')
+      .optional({ nullable: true })
+      .isInt({ min: 1 })
+      .withMessage('Max download speed must be a positive integer')
+      .toInt(),
+
+    body('max_upload_speed')
+      .optional({ nullable: true })
+      .isInt({ min: 1 })
+      .withMessage('Max upload speed must be a positive integer')
+      .toInt(),
+
+    body('priority')
+      .optional({ nullable: true })
+      .isIn(['low', 'medium', 'high'])
+      .withMessage('Priority must be one of: low, medium, high'),
+
+    body('is_active')
+      .optional()
+      .isBoolean()
+      .withMessage('is_active must be a boolean')
+      .toBoolean()
+  ];
+};
+
+/**
+ * QoS schedule window creation validation schema
+ */
+const createQosScheduleSchema = [
+  ...qosScheduleRules(false),
+
+  body()
+    .custom((value) => {
+      if (!value.max_download_speed && !value.max_upload_speed && !value.priority) {
+        throw new Error('A schedule must override the bandwidth limit, the priority or both');
+      }
+      return true;
+    })
+];
+
+/**
+ * QoS schedule window update validation schema
+ */
+const updateQosScheduleSchema = qosScheduleRules(true);
+
+/**
+ * QoS schedule ID parameter validation
+ */
+const scheduleIdParamSchema = [
+  param('scheduleId')
+    .isInt({ min: 1 })
+    .withMessage('Valid schedule ID is required')
+    .toInt()
+];
+
+/**
+ * Effective QoS policy preview query validation
+ */
+const qosPreviewQuerySchema = [
+  query('at')
+    .optional()
+    .isISO8601()
+    .withMessage('At must be a valid ISO 8601 date'),
+
+  query('user_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('User ID must be a positive integer')
+    .toInt(),
+
+  query('device_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Device ID must be a positive integer')
+    .toInt(),
+
+  query('policy_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Policy ID must be a positive integer')
+    .toInt(),
+
+  query()
+    .custom((value) => {
+      const targets = ['user_id', 'device_id', 'policy_id'].filter(key => value[key] !== undefined);
+      if (targets.length !== 1) {
+        throw new Error('Exactly one of user_id, device_id or policy_id is required');
+      }
+      return true;
+    })
+];
+
+/**
+ * Group create/update validation
+ * @param {boolean} partial - Whether fields are optional (updates)
+ */
+const groupRules = (partial) => [
+  (partial ? body('name').optional() : body('name'))
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Group name must be between 1 and 100 characters'),
+
+  body('description')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Description must not exceed 255 characters'),
+
+  body('priority')
+    .optional()
+    .isInt({ min: 0, max: 10000 })
+    .withMessage('Priority must be between 0 and 10000')
+    .toInt()
+];
+
+const groupCreateSchema = groupRules(false);
+const groupUpdateSchema = groupRules(true);
+
+/**
+ * Group ID parameter validation
+ */
+const groupIdParamSchema = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Valid group ID is required')
+    .toInt()
+];
+
+/**
+ * Group membership validation
+ */
+const groupMembersSchema = [
+  body('user_ids')
+    .isArray({ min: 1, max: 1000 })
+    .withMessage('user_ids must be a list of 1 to 1000 user IDs'),
+
+  body('user_ids.*')
+    .isInt({ min: 1 })
+    .withMessage('User IDs must be positive integers')
+    .toInt()
+];
+
+/**
+ * Group QoS policy assignment validation
+ */
+const groupQosSchema = [
+  body('policy_id')
+    .isInt({ min: 1 })
+    .withMessage('Valid policy ID is required')
+    .toInt()
+];
+
+/**
+ * Group LAN network validation
+ * @param {boolean} partial - Whether fields are optional (updates)
+ */
+const groupNetworkRules = (partial) => [
+  (partial ? body('network_cidr').optional() : body('network_cidr'))
+    .trim()
+    .notEmpty()
+    .withMessage('Network CIDR is required'),
+
+  body('description')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Description must not exceed 255 characters'),
+
+  body('enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('Enabled must be a boolean')
+    .toBoolean()
+];
+
+const groupNetworkCreateSchema = groupNetworkRules(false);
+const groupNetworkUpdateSchema = groupNetworkRules(true);
+
+/**
+ * Default QoS policy validation (null clears the default)
+ */
+const defaultQosPolicySchema = [
+  body('policy_id')
+    .custom((value) => value === null || (Number.isInteger(value) && value > 0))
+    .withMessage('policy_id must be a policy ID or null')
+];
+
+/**
+ * Webhook create/update validation
+ * @param {boolean} partial - Whether fields are optional (updates)
+ */
+const webhookRules = (partial) => [
+  (partial ? body('name').optional() : body('name'))
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Webhook name must be between 1 and 100 characters'),
+
+  (partial ? body('url').optional() : body('url'))
+    .trim()
+    .isLength({ max: 2048 })
+    .withMessage('URL must not exceed 2048 characters')
+    .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+    .withMessage('URL must be a valid http or https URL'),
+
+  (partial ? body('events').optional() : body('events'))
+    .isArray({ min: 1 })
+    .withMessage('At least one event is required'),
+
+  body('events.*')
+    .isIn(WEBHOOK_EVENTS)
+    .withMessage(`Events must be one of: ${WEBHOOK_EVENTS.join(', ')}`),
+
+  body('is_active')
+    .optional()
+    .isBoolean()
+    .withMessage('is_active must be a boolean')
+    .toBoolean()
+];
+
+const webhookCreateSchema = webhookRules(false);
+const webhookUpdateSchema = webhookRules(true);
+
+/**
+ * Webhook or delivery ID parameter validation
+ */
+const webhookIdParamSchema = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Valid ID is required')
+    .toInt()
+];
+
+/**
+ * Webhook delivery log query validation
+ */
+const webhookDeliveryQuerySchema = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt(),
+
+  query('status')
+    .optional()
+    .isIn(['pending', 'succeeded', 'failed'])
+    .withMessage('Status must be pending, succeeded or failed'),
+
+  query('event_type')
+    .optional()
+    .trim()
+    .matches(/^[a-z_]+\.[a-z_]+$/)
+    .withMessage('Event type must look like user.created')
+];
+
 module.exports = {
   validate,
   registerSchema,
   loginSchema,
+  oidcCallbackSchema,
+  refreshTokenSchema,
+  mfaVerifySchema,
+  mfaCodeSchema,
+  mfaDisableSchema,
+  mfaPolicySchema,
+  devicePolicySchema,
+  deviceReviewSchema,
+  deviceQuerySchema,
   updateProfileSchema,
   changePasswordSchema,
   qosPolicySchema,
@@ -517,12 +1255,21 @@ module.exports = {
   resetPasswordSchema,
   assignQosSchema,
   generateConfigSchema,
+  profileDownloadQuerySchema,
+  renewConfigSchema,
+  clientConnectSchema,
   userIdParamSchema,
   policyIdParamSchema,
   configIdParamSchema,
+  apiTokenCreateSchema,
+  apiTokenIdParamSchema,
   containerIdParamSchema,
   paginationSchema,
   searchSchema,
+  sessionQuerySchema,
+  disconnectSchema,
+  usageQuerySchema,
+  auditQuerySchema,
   dockerCreateSchema,
   dockerPullSchema,
   containerLogsSchema,
@@ -530,5 +1277,21 @@ module.exports = {
   // Backward compatibility exports
   createQosPolicySchema,
   updateQosPolicySchema,
-  assignQosPolicySchema
+  assignQosPolicySchema,
+  createQosScheduleSchema,
+  updateQosScheduleSchema,
+  scheduleIdParamSchema,
+  qosPreviewQuerySchema,
+  groupCreateSchema,
+  groupUpdateSchema,
+  groupIdParamSchema,
+  groupMembersSchema,
+  groupQosSchema,
+  groupNetworkCreateSchema,
+  groupNetworkUpdateSchema,
+  defaultQosPolicySchema,
+  webhookCreateSchema,
+  webhookUpdateSchema,
+  webhookIdParamSchema,
+  webhookDeliveryQuerySchema
 };
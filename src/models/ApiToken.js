@@ -0,0 +1,191 @@
+const pool = require('../config/database');
+const logger = require('../utils/logger');
+
+const LIST_COLUMNS = `t.id, t.user_id, t.name, t.token_prefix, t.scopes, t.expires_at,
+  t.last_used_at, t.last_used_ip, t.revoked_at, t.created_at`;
+
+/**
+ * Convert the stored scope list to an array
+ * @private
+ */
+const parseRow = (row) => ({
+  ...row,
+  scopes: row.scopes ? row.scopes.split(',') : []
+});
+
+/**
+ * ApiToken Model
+ * Personal API tokens for scripted access.
+ * Only SHA-256 hashes of tokens are stored; see services/apiTokenService.
+ */
+class ApiToken {
+  /**
+   * Create a token
+   * @param {Object} tokenData
+   * @param {number} tokenData.userId - Owner
+   * @param {string} tokenData.name - Name chosen by the owner
+   * @param {string} tokenData.tokenPrefix - Displayable start of the token
+   * @param {string} tokenData.tokenHash - Hashed token
+   * @param {Array<string>} tokenData.scopes - Granted scopes
+   * @param {Date|null} [tokenData.expiresAt] - Expiry, null for none
+   * @returns {Promise<Object>} Created token (without hash)
+   */
+  static async create({ userId, name, tokenPrefix, tokenHash, scopes, expiresAt = null }) {
+    try {
+      const [result] = await pool.execute(
+        `INSERT INTO api_tokens (user_id, name, token_prefix, token_hash, scopes, expires_at)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [userId, name, tokenPrefix, tokenHash, scopes.join(','), expiresAt]
+      );
+
+      logger.info(`API token created: ID ${result.insertId} for user ID: ${userId}`);
+
+      return this.findById(result.insertId);
+    } catch (error) {
+      logger.error('Error creating API token:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a token by ID
+   * @param {number} id - Token ID
+   * @returns {Promise<Object|null>} Token (without hash) or null
+   */
+  static async findById(id) {
+    try {
+      const [rows] = await pool.execute(
+        `SELECT ${LIST_COLUMNS} FROM api_tokens t WHERE t.id = ?`,
+        [id]
+      );
+      return rows.length > 0 ? parseRow(rows[0]) : null;
+    } catch (error) {
+      logger.error('Error finding API token by ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a token by its hash
+   * @param {string} tokenHash - Hashed token
+   * @returns {Promise<Object|null>} Token or null
+   */
+  static async findByHash(tokenHash) {
+    try {
+      const [rows] = await pool.execute(
+        `SELECT ${LIST_COLUMNS} FROM api_tokens t WHERE t.token_hash = ?`,
+        [tokenHash]
+      );
+      return rows.length > 0 ? parseRow(rows[0]) : null;
+    } catch (error) {
+      logger.error('Error finding API token:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the tokens of a user
+   * @param {number} userId - User ID
+   * @param {boolean} [includeRevoked=false] - Include revoked tokens
+   * @returns {Promise<Array>} Tokens, newest first
+   */
+  static async findByUserId(userId, includeRevoked = false) {
+    try {
+      const [rows] = await pool.execute(
+        `SELECT ${LIST_COLUMNS} FROM api_tokens t
+         WHERE t.user_id = ? ${includeRevoked ? '' : 'AND t.revoked_at IS NULL'}
+         ORDER BY t.created_at DESC`,
+        [userId]
+      );
+      return rows.map(parseRow);
+    } catch (error) {
+      logger.error('Error finding API tokens of user:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find all active tokens with their owners (admin overview)
+   * @param {Object} [filters={}]
+   * @param {number} [filters.userId] - Only tokens of this user
+   * @returns {Promise<Array>} Tokens with user email and name
+   */
+  static async findAll(filters = {}) {
+    try {
+      const conditions = ['t.revoked_at IS NULL'];
+      const params = [];
+
+      if (filters.userId) {
+        conditions.push('t.user_id = ?');
+        params.push(filters.userId);
+      }
+
+      const [rows] = await pool.execute(
+        `SELECT ${LIST_COLUMNS}, u.email as user_email, u.name as user_name
+         FROM api_tokens t
+         JOIN users u ON u.id = t.user_id
+         WHERE ${conditions.join(' AND ')}
+         ORDER BY t.created_at DESC`,
+        params
+      );
+      return rows.map(parseRow);
+    } catch (error) {
+      logger.error('Error finding API tokens:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record the use of a token
+   * Written at most once a minute per token to keep authenticated requests cheap.
+   * @param {number} id - Token ID
+   * @param {string|null} ipAddress - Client IP address
+   * @returns {Promise<void>}
+   */
+  static async touch(id, ipAddress) {
+    try {
+      await pool.execute(
+        `UPDATE api_tokens SET last_used_at = NOW(), last_used_ip = ?
+         WHERE id = ? AND (last_used_at IS NULL OR last_used_at < DATE_SUB(NOW(), INTERVAL 1 MINUTE))`,
+        [ipAddress, id]
+      );
+    } catch (error) {
+      logger.error('Error recording API token use:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke a token
+   * @param {number} id - Token ID
+   * @param {number} [userId] - Only revoke if owned by this user
+   * @returns {Promise<boolean>} False if not found or already revoked
+   */
+  static async revoke(id, userId = null) {
+    try {
+      const params = [id];
+      let ownerCondition = '';
+      if (userId !== null) {
+        ownerCondition = 'AND user_id = ?';
+        params.push(userId);
+      }
+
+      const [result] = await pool.execute(
+        `UPDATE api_tokens SET revoked_at = NOW()
+         WHERE id = ? ${ownerCondition} AND revoked_at IS NULL`,
+        params
+      );
+
+      if (result.affectedRows > 0) {
+        logger.info(`API token revoked: ID ${id}`);
+      }
+
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('Error revoking API token:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = ApiToken;
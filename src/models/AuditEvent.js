@@ -0,0 +1,215 @@
+const pool = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * AuditEvent Model
+ * Audit log of administrative actions; see services/auditService.
+ */
+class AuditEvent {
+  /**
+   * Create an audit event
+   * @param {Object} eventData
+   * @param {number} [eventData.actorId] - Acting user ID
+   * @param {string} [eventData.actorEmail] - Acting user email
+   * @param {string} [eventData.actorRole] - Acting user role
+   * @param {string} eventData.action - Action, e.g. user.update
+   * @param {string} [eventData.targetType] - Target type, e.g. user
+   * @param {string|number} [eventData.targetId] - Target ID
+   * @param {string} [eventData.targetLabel] - Human readable target
+   * @param {Object} [eventData.changes] - { field: { before, after } }
+   * @param {Object} [eventData.metadata] - Additional context
+   * @param {string} [eventData.ipAddress] - Client IP address
+   * @param {string} [eventData.userAgent] - Client user agent
+   * @returns {Promise<number>} Event ID
+   */
+  static async create({
+    actorId = null,
+    actorEmail = null,
+    actorRole = null,
+    action,
+    targetType = null,
+    targetId = null,
+    targetLabel = null,
+    changes = null,
+    metadata = null,
+    ipAddress = null,
+    userAgent = null
+  }) {
+    try {
+      const [result] = await pool.execute(
+        `INSERT INTO audit_events
+         (actor_id, actor_email, actor_role, action, target_type, target_id, target_label,
+          changes, metadata, ip_address, user_agent)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          actorId,
+          actorEmail,
+          actorRole,
+          action,
+          targetType,
+          targetId === null || targetId === undefined ? null : String(targetId),
+          targetLabel ? String(targetLabel).substring(0, 255) : null,
+          changes ? JSON.stringify(changes) : null,
+          metadata ? JSON.stringify(metadata) : null,
+          ipAddress,
+          userAgent ? userAgent.substring(0, 255) : null
+        ]
+      );
+
+      return result.insertId;
+    } catch (error) {
+      logger.error('Error creating audit event:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Build the WHERE clause for audit event filters
+   * @private
+   */
+  static buildFilters(filters) {
+    const conditions = [];
+    const values = [];
+
+    if (filters.actor_id) {
+      conditions.push('actor_id = ?');
+      values.push(filters.actor_id);
+    }
+
+    // 'user.' matches every user action
+    if (filters.action) {
+      if (filters.action.endsWith('.')) {
+        conditions.push('action LIKE ?');
+        values.push(`${filters.action}%`);
+      } else {
+        conditions.push('action = ?');
+        values.push(filters.action);
+      }
+    }
+
+    if (filters.target_type) {
+      conditions.push('target_type = ?');
+      values.push(filters.target_type);
+    }
+
+    if (filters.target_id) {
+      conditions.push('target_id = ?');
+      values.push(String(filters.target_id));
+    }
+
+    if (filters.search) {
+      conditions.push('(actor_email LIKE ? OR target_label LIKE ? OR ip_address LIKE ?)');
+      const searchPattern = `%${filters.search}%`;
+      values.push(searchPattern, searchPattern, searchPattern);
+    }
+
+    if (filters.from) {
+      conditions.push('created_at >= ?');
+      values.push(filters.from);
+    }
+
+    if (filters.to) {
+      conditions.push('created_at <= ?');
+      values.push(filters.to);
+    }
+
+    return {
+      whereClause: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+      values
+    };
+  }
+
+  /**
+   * Parse the JSON columns of an event row
+   * mysql2 returns JSON columns parsed already; strings are parsed for safety.
+   * @private
+   */
+  static parseRow(row) {
+    const parse = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+    return {
+      ...row,
+      changes: parse(row.changes),
+      metadata: parse(row.metadata)
+    };
+  }
+
+  /**
+   * Get audit events with pagination and filtering
+   * @param {number} [page=1] - Page number
+   * @param {number} [limit=20] - Items per page
+   * @param {Object} [filters={}] - Filter options
+   * @param {number} [filters.actor_id] - Only actions of this user
+   * @param {string} [filters.action] - Action, or an action prefix ending in '.'
+   * @param {string} [filters.target_type] - Target type
+   * @param {string|number} [filters.target_id] - Target ID
+   * @param {string} [filters.search] - Search in actor email, target and IP address
+   * @param {Date} [filters.from] - Events at or after this time
+   * @param {Date} [filters.to] - Events at or before this time
+   * @returns {Promise<Object>} Object with data array and pagination info
+   */
+  static async findAll(page = 1, limit = 20, filters = {}) {
+    try {
+      const pageNum = Math.max(1, parseInt(page, 10) || 1);
+      const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+      const offset = (pageNum - 1) * limitNum;
+
+      const { whereClause, values } = AuditEvent.buildFilters(filters);
+
+      const [countResult] = await pool.execute(
+        `SELECT COUNT(*) as total FROM audit_events ${whereClause}`,
+        values
+      );
+      const total = countResult[0].total;
+
+      // LIMIT/OFFSET are embedded as literals to avoid MySQL2 prepared statement type issues
+      const [rows] = await pool.execute(
+        `SELECT * FROM audit_events
+         ${whereClause}
+         ORDER BY created_at DESC, id DESC
+         LIMIT ${limitNum} OFFSET ${offset}`,
+        values
+      );
+
+      return {
+        data: rows.map(row => AuditEvent.parseRow(row)),
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          totalPages: Math.ceil(total / limitNum)
+        }
+      };
+    } catch (error) {
+      logger.error('Error finding audit events:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all audit events matching the filters for export
+   * @param {Object} [filters={}] - Filter options (see findAll)
+   * @param {number} [maxRows=50000] - Upper bound of exported events
+   * @returns {Promise<Array>} Events, oldest first
+   */
+  static async findForExport(filters = {}, maxRows = 50000) {
+    try {
+      const { whereClause, values } = AuditEvent.buildFilters(filters);
+      const limitNum = Math.max(1, parseInt(maxRows, 10) || 50000);
+
+      const [rows] = await pool.execute(
+        `SELECT * FROM audit_events
+         ${whereClause}
+         ORDER BY created_at ASC, id ASC
+         LIMIT ${limitNum}`,
+        values
+      );
+
+      return rows.map(row => AuditEvent.parseRow(row));
+    } catch (error) {
+      logger.error('Error exporting audit events:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = AuditEvent;
@@ -0,0 +1,200 @@
+const pool = require('../config/database');
+const logger = require('../utils/logger');
+
+const PERIODS = ['hour', 'day', 'month'];
+
+/**
+ * BandwidthUsage Model
+ * Hourly, daily and monthly VPN traffic buckets per user and device
+ */
+class BandwidthUsage {
+  /**
+   * Add traffic to the buckets of every period
+   * @param {number} userId - User ID
+   * @param {number|null} deviceId - Device ID (null when unknown)
+   * @param {Object} periodStarts - { hour, day, month } bucket start times ('YYYY-MM-DD HH:mm:ss')
+   * @param {number} bytesSent - Bytes sent since the last poll
+   * @param {number} bytesReceived - Bytes received since the last poll
+   * @returns {Promise<void>}
+   */
+  static async add(userId, deviceId, periodStarts, bytesSent, bytesReceived) {
+    try {
+      const values = [];
+      for (const period of PERIODS) {
+        values.push(userId, deviceId || 0, period, periodStarts[period], bytesSent, bytesReceived);
+      }
+
+      await pool.execute(
+        `INSERT INTO bandwidth_usage (user_id, device_id, period, period_start, bytes_sent, bytes_received)
+         VALUES ${PERIODS.map(() => '(?, ?, ?, ?, ?, ?)').join(', ')}
+         ON DUPLICATE KEY UPDATE
+           bytes_sent = bytes_sent + VALUES(bytes_sent),
+           bytes_received = bytes_received + VALUES(bytes_received),
+           updated_at = NOW()`,
+        values
+      );
+    } catch (error) {
+      logger.error('Error adding bandwidth usage:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the traffic of a single period bucket
+   * @param {number} userId - User ID
+   * @param {number|null} deviceId - Device ID, or null for all devices of the user
+   * @param {string} period - hour, day or month
+   * @param {string} periodStart - Bucket start ('YYYY-MM-DD HH:mm:ss')
+   * @returns {Promise<number>} Bytes sent plus received
+   */
+  static async getPeriodTotal(userId, deviceId, period, periodStart) {
+    try {
+      let query = `
+        SELECT CAST(COALESCE(SUM(bytes_sent + bytes_received), 0) AS UNSIGNED) as total
+        FROM bandwidth_usage
+        WHERE user_id = ? AND period = ? AND period_start = ?
+      `;
+      const values = [userId, period, periodStart];
+
+      if (deviceId) {
+        query += ' AND device_id = ?';
+        values.push(deviceId);
+      }
+
+      const [rows] = await pool.execute(query, values);
+      return Number(rows[0].total) || 0;
+    } catch (error) {
+      logger.error('Error getting bandwidth usage period total:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Build the WHERE clause shared by the report queries
+   * @private
+   */
+  static buildFilters(filters) {
+    const conditions = ['b.period = ?'];
+    const values = [filters.period];
+
+    if (filters.user_id) {
+      conditions.push('b.user_id = ?');
+      values.push(filters.user_id);
+    }
+
+    if (filters.device_id) {
+      conditions.push('b.device_id = ?');
+      values.push(filters.device_id);
+    }
+
+    if (filters.from) {
+      conditions.push('b.period_start >= ?');
+      values.push(filters.from);
+    }
+
+    if (filters.to) {
+      conditions.push('b.period_start <= ?');
+      values.push(filters.to);
+    }
+
+    return { whereClause: `WHERE ${conditions.join(' AND ')}`, values };
+  }
+
+  /**
+   * Get aggregated usage per period
+   * @param {Object} filters - Filter options
+   * @param {string} filters.period - hour, day or month
+   * @param {string} [filters.group_by='user'] - user or device
+   * @param {number} [filters.user_id] - Only usage of this user
+   * @param {number} [filters.device_id] - Only usage of this device
+   * @param {string} [filters.from] - First period start (inclusive)
+   * @param {string} [filters.to] - Last period start (inclusive)
+   * @param {Object} [options={}] - Pagination options
+   * @param {number} [options.page] - Page number (omit for all rows)
+   * @param {number} [options.limit] - Items per page (omit for all rows)
+   * @returns {Promise<Object>} Object with data array and pagination info
+   */
+  static async getReport(filters, options = {}) {
+    try {
+      const { whereClause, values } = this.buildFilters(filters);
+      const byDevice = filters.group_by === 'device';
+
+      const groupColumns = byDevice
+        ? 'b.period_start, b.user_id, b.device_id'
+        : 'b.period_start, b.user_id';
+
+      const [countResult] = await pool.execute(
+        `SELECT COUNT(*) as total FROM (
+           SELECT 1 FROM bandwidth_usage b ${whereClause} GROUP BY ${groupColumns}
+         ) grouped`,
+        values
+      );
+      const total = countResult[0].total;
+
+      let limitClause = '';
+      let pagination = null;
+      if (options.page && options.limit) {
+        const pageNum = Math.max(1, parseInt(options.page, 10) || 1);
+        const limitNum = Math.min(100, Math.max(1, parseInt(options.limit, 10) || 20));
+        // LIMIT/OFFSET are embedded as literals to avoid MySQL2 prepared statement type issues
+        limitClause = `LIMIT ${limitNum} OFFSET ${(pageNum - 1) * limitNum}`;
+        pagination = {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          totalPages: Math.ceil(total / limitNum)
+        };
+      }
+
+      const [rows] = await pool.execute(
+        `SELECT b.period_start, b.user_id, u.email as user_email, u.username,
+                ${byDevice ? 'b.device_id, MAX(d.name) as device_name,' : ''}
+                CAST(SUM(b.bytes_sent) AS UNSIGNED) as bytes_sent,
+                CAST(SUM(b.bytes_received) AS UNSIGNED) as bytes_received,
+                CAST(SUM(b.bytes_sent + b.bytes_received) AS UNSIGNED) as bytes_total
+         FROM bandwidth_usage b
+         JOIN users u ON b.user_id = u.id
+         ${byDevice ? 'LEFT JOIN devices d ON b.device_id = d.id' : ''}
+         ${whereClause}
+         GROUP BY ${groupColumns}, u.email, u.username
+         ORDER BY b.period_start DESC, bytes_total DESC
+         ${limitClause}`,
+        values
+      );
+
+      return { data: rows, pagination };
+    } catch (error) {
+      logger.error('Error getting bandwidth usage report:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get total usage over the filtered range
+   * @param {Object} filters - Filter options (see getReport)
+   * @returns {Promise<Object>} { bytes_sent, bytes_received, bytes_total }
+   */
+  static async getTotals(filters) {
+    try {
+      const { whereClause, values } = this.buildFilters(filters);
+
+      const [rows] = await pool.execute(
+        `SELECT CAST(COALESCE(SUM(b.bytes_sent), 0) AS UNSIGNED) as bytes_sent,
+                CAST(COALESCE(SUM(b.bytes_received), 0) AS UNSIGNED) as bytes_received,
+                CAST(COALESCE(SUM(b.bytes_sent + b.bytes_received), 0) AS UNSIGNED) as bytes_total
+         FROM bandwidth_usage b
+         ${whereClause}`,
+        values
+      );
+
+      return rows[0];
+    } catch (error) {
+      logger.error('Error getting bandwidth usage totals:', error);
+      throw error;
+    }
+  }
+}
+
+BandwidthUsage.PERIODS = PERIODS;
+
+module.exports = BandwidthUsage;
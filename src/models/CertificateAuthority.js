@@ -0,0 +1,167 @@
+const pool = require('../config/database');
+const logger = require('../utils/logger');
+
+const LIST_COLUMNS = `id, common_name, serial, certificate, status, not_before, not_after,
+  crl_number, created_by, retired_at, created_at`;
+
+/**
+ * CertificateAuthority Model
+ * Certificate authorities of the built-in PKI; see services/pkiService.
+ * The private key is stored encrypted and only returned by findWithKey and
+ * findActiveWithKey.
+ */
+class CertificateAuthority {
+  /**
+   * Store a new CA and make it the active one
+   * The previously active CA is retired.
+   * @param {Object} caData
+   * @param {string} caData.commonName - Common name
+   * @param {string} caData.serial - Serial number (hex)
+   * @param {string} caData.certificate - PEM certificate
+   * @param {string} caData.privateKeyEncrypted - Encrypted private key
+   * @param {Date} caData.notBefore - Start of validity
+   * @param {Date} caData.notAfter - End of validity
+   * @param {number} [caData.createdBy] - Administrator creating it
+   * @returns {Promise<Object>} Created CA (without private key)
+   */
+  static async create({ commonName, serial, certificate, privateKeyEncrypted, notBefore, notAfter, createdBy = null }) {
+    try {
+      const id = await pool.transaction(async (connection) => {
+        await connection.execute(
+          `UPDATE certificate_authorities SET status = 'retired', retired_at = NOW()
+           WHERE status = 'active'`
+        );
+        const [result] = await connection.execute(
+          `INSERT INTO certificate_authorities
+             (common_name, serial, certificate, private_key_encrypted, status, not_before, not_after, created_by)
+           VALUES (?, ?, ?, ?, 'active', ?, ?, ?)`,
+          [commonName, serial, certificate, privateKeyEncrypted, notBefore, notAfter, createdBy]
+        );
+        return result.insertId;
+      });
+
+      logger.info(`Certificate authority created: ID ${id} (${commonName})`);
+
+      return this.findById(id);
+    } catch (error) {
+      logger.error('Error creating certificate authority:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a CA by ID
+   * @param {number} id - CA ID
+   * @returns {Promise<Object|null>} CA (without private key) or null
+   */
+  static async findById(id) {
+    try {
+      const [rows] = await pool.execute(
+        `SELECT ${LIST_COLUMNS} FROM certificate_authorities WHERE id = ?`,
+        [id]
+      );
+      return rows.length > 0 ? rows[0] : null;
+    } catch (error) {
+      logger.error('Error finding certificate authority by ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the active CA with its encrypted private key
+   * @returns {Promise<Object|null>} CA with private_key_encrypted or null
+   */
+  static async findActiveWithKey() {
+    try {
+      const [rows] = await pool.execute(
+        `SELECT ${LIST_COLUMNS}, private_key_encrypted FROM certificate_authorities
+         WHERE status = 'active' ORDER BY id DESC LIMIT 1`
+      );
+      return rows.length > 0 ? rows[0] : null;
+    } catch (error) {
+      logger.error('Error finding active certificate authority:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a CA with its encrypted private key
+   * @param {number} id - CA ID
+   * @returns {Promise<Object|null>} CA with private_key_encrypted or null
+   */
+  static async findWithKey(id) {
+    try {
+      const [rows] = await pool.execute(
+        `SELECT ${LIST_COLUMNS}, private_key_encrypted FROM certificate_authorities WHERE id = ?`,
+        [id]
+      );
+      return rows.length > 0 ? rows[0] : null;
+    } catch (error) {
+      logger.error('Error finding certificate authority with key:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the CAs that are still trusted: the active one and retired ones that
+   * have not expired, newest first
+   * @returns {Promise<Array>} CAs (without private key)
+   */
+  static async findTrusted() {
+    try {
+      const [rows] = await pool.execute(
+        `SELECT ${LIST_COLUMNS} FROM certificate_authorities
+         WHERE status = 'active' OR not_after > NOW()
+         ORDER BY id DESC`
+      );
+      return rows;
+    } catch (error) {
+      logger.error('Error finding trusted certificate authorities:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find all CAs with the number of certificates they issued, newest first
+   * @returns {Promise<Array>} CAs (without private key)
+   */
+  static async findAll() {
+    try {
+      const [rows] = await pool.execute(
+        `SELECT ca.id, ca.common_name, ca.serial, ca.status, ca.not_before, ca.not_after,
+                ca.crl_number, ca.created_by, ca.retired_at, ca.created_at,
+                COUNT(ic.id) as issued_count,
+                COUNT(ic.revoked_at) as revoked_count
+         FROM certificate_authorities ca
+         LEFT JOIN issued_certificates ic ON ic.ca_id = ca.id
+         GROUP BY ca.id
+         ORDER BY ca.id DESC`
+      );
+      return rows;
+    } catch (error) {
+      logger.error('Error finding certificate authorities:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Take the next CRL number of a CA
+   * @param {number} id - CA ID
+   * @returns {Promise<number>} CRL number to sign
+   */
+  static async nextCrlNumber(id) {
+    try {
+      // LAST_INSERT_ID(expr) hands the incremented value back atomically
+      const [result] = await pool.execute(
+        'UPDATE certificate_authorities SET crl_number = LAST_INSERT_ID(crl_number + 1) WHERE id = ?',
+        [id]
+      );
+      return result.insertId;
+    } catch (error) {
+      logger.error('Error taking next CRL number:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = CertificateAuthority;
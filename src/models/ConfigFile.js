@@ -12,16 +12,17 @@ class ConfigFile {
    * @param {number} qosPolicyId - QoS Policy ID
    * @param {string} filename - Configuration filename
    * @param {string} content - Configuration file content
+   * @param {Date|null} [expiresAt=null] - Expiry of the profile, null if it never expires
    * @returns {Promise<Object>} Created config file object
    */
-  static async create(userId, qosPolicyId, filename, content) {
+  static async create(userId, qosPolicyId, filename, content, expiresAt = null) {
     try {
       const query = `
-        INSERT INTO config_files (user_id, qos_policy_id, filename, content, created_at)
-        VALUES (?, ?, ?, ?, NOW())
+        INSERT INTO config_files (user_id, qos_policy_id, filename, content, expires_at, created_at)
+        VALUES (?, ?, ?, ?, ?, NOW())
       `;
 
-      const [result] = await pool.execute(query, [userId, qosPolicyId, filename, content]);
+      const [result] = await pool.execute(query, [userId, qosPolicyId, filename, content, expiresAt]);
 
       logger.info(`Config file created: ${filename} for user ID: ${userId}`);
 
@@ -30,6 +31,7 @@ class ConfigFile {
         user_id: userId,
         qos_policy_id: qosPolicyId,
         filename,
+        expires_at: expiresAt,
         created_at: new Date()
       };
     } catch (error) {
@@ -52,7 +54,11 @@ class ConfigFile {
           cf.qos_policy_id,
           cf.filename,
           cf.downloaded_at,
+          cf.expires_at,
+          cf.renewed_at,
           cf.revoked_at,
+          cf.server_revocation_status,
+          cf.server_revoked_at,
           cf.created_at,
           qp.name as qos_policy_name,
           qp.bandwidth_limit,
@@ -86,6 +92,8 @@ class ConfigFile {
           cf.qos_policy_id,
           cf.filename,
           cf.downloaded_at,
+          cf.expires_at,
+          cf.renewed_at,
           cf.revoked_at,
           cf.created_at,
           qp.name as qos_policy_name,
@@ -123,8 +131,16 @@ class ConfigFile {
           cf.filename,
           cf.content,
           cf.downloaded_at,
+          cf.expires_at,
+          cf.renewed_at,
           cf.revoked_at,
+          cf.revoked_by,
+          cf.server_revocation_status,
+          cf.server_revoked_at,
+          cf.revocation_attempts,
+          cf.revocation_error,
           cf.created_at,
+          u.username,
           u.email as user_email,
           u.name as user_name,
           qp.name as qos_policy_name,
@@ -175,18 +191,23 @@ class ConfigFile {
 
   /**
    * Revoke config file (soft delete)
+   * The revocation is queued for the VPN server (server_revocation_status = 'pending');
+   * see services/revocationService, which also revokes the certificate issued
+   * for the config by the built-in PKI.
    * @param {number} id - Config file ID
+   * @param {number} [revokedBy] - ID of the user who revoked the config
    * @returns {Promise<boolean>} Success status
    */
-  static async revoke(id) {
+  static async revoke(id, revokedBy = null) {
     try {
       const query = `
         UPDATE config_files
-        SET revoked_at = NOW()
+        SET revoked_at = NOW(), revoked_by = ?,
+            server_revocation_status = 'pending', revocation_next_attempt_at = NOW()
         WHERE id = ? AND revoked_at IS NULL
       `;
 
-      const [result] = await pool.execute(query, [id]);
+      const [result] = await pool.execute(query, [revokedBy, id]);
 
       if (result.affectedRows === 0) {
         throw new Error('Config file not found or already revoked');
@@ -201,6 +222,255 @@ class ConfigFile {
     }
   }
 
+  /**
+   * Revoke every active config file of a user
+   * Their certificates from the built-in PKI are revoked by
+   * services/revocationService.
+   * @param {number} userId - User ID
+   * @param {number} [revokedBy] - ID of the user who revoked the configs
+   * @returns {Promise<number>} Number of config files revoked
+   */
+  static async revokeAllByUserId(userId, revokedBy = null) {
+    try {
+      const [result] = await pool.execute(
+        `UPDATE config_files
+         SET revoked_at = NOW(), revoked_by = ?,
+             server_revocation_status = 'pending', revocation_next_attempt_at = NOW()
+         WHERE user_id = ? AND revoked_at IS NULL`,
+        [revokedBy, userId]
+      );
+
+      if (result.affectedRows > 0) {
+        logger.info(`Revoked ${result.affectedRows} config files of user ID: ${userId}`);
+      }
+
+      return result.affectedRows;
+    } catch (error) {
+      logger.error('Error revoking user config files:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get users whose revocations are due to be applied on the VPN server
+   * @param {boolean} [dueOnly=true] - Skip users whose next retry is in the future
+   * @returns {Promise<Array>} [{ user_id, username, config_count, attempts }]
+   */
+  static async findPendingRevocations(dueOnly = true) {
+    try {
+      const [rows] = await pool.execute(
+        `SELECT cf.user_id, u.username, COUNT(*) as config_count,
+                MAX(cf.revocation_attempts) as attempts
+         FROM config_files cf
+         INNER JOIN users u ON cf.user_id = u.id
+         WHERE cf.server_revocation_status = 'pending'
+           ${dueOnly ? 'AND (cf.revocation_next_attempt_at IS NULL OR cf.revocation_next_attempt_at <= NOW())' : ''}
+         GROUP BY cf.user_id, u.username
+         ORDER BY MIN(cf.revoked_at)`
+      );
+
+      return rows;
+    } catch (error) {
+      logger.error('Error finding pending revocations:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether a user has revocations not yet applied on the VPN server
+   * @param {number} userId - User ID
+   * @returns {Promise<boolean>}
+   */
+  static async hasPendingRevocation(userId) {
+    try {
+      const [rows] = await pool.execute(
+        `SELECT COUNT(*) as count FROM config_files
+         WHERE user_id = ? AND server_revocation_status = 'pending'`,
+        [userId]
+      );
+
+      return rows[0].count > 0;
+    } catch (error) {
+      logger.error('Error checking pending revocations:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark the pending revocations of a user as applied on the VPN server
+   * @param {number} userId - User ID
+   * @returns {Promise<number>} Number of config files updated
+   */
+  static async markRevocationApplied(userId) {
+    try {
+      const [result] = await pool.execute(
+        `UPDATE config_files
+         SET server_revocation_status = 'applied', server_revoked_at = NOW(),
+             revocation_error = NULL, revocation_next_attempt_at = NULL
+         WHERE user_id = ? AND server_revocation_status = 'pending'`,
+        [userId]
+      );
+
+      return result.affectedRows;
+    } catch (error) {
+      logger.error('Error marking revocation as applied:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a failed attempt to apply the pending revocations of a user
+   * The next attempt is delayed exponentially (2, 4, 8 ... minutes, at most an hour).
+   * @param {number} userId - User ID
+   * @param {string} errorMessage - Why the attempt failed
+   * @returns {Promise<number>} Number of config files updated
+   */
+  static async markRevocationFailed(userId, errorMessage) {
+    try {
+      const [result] = await pool.execute(
+        `UPDATE config_files
+         SET revocation_attempts = revocation_attempts + 1,
+             revocation_error = ?,
+             revocation_next_attempt_at = DATE_ADD(NOW(), INTERVAL LEAST(POW(2, revocation_attempts), 60) MINUTE)
+         WHERE user_id = ? AND server_revocation_status = 'pending'`,
+        [String(errorMessage || 'Unknown error').substring(0, 500), userId]
+      );
+
+      return result.affectedRows;
+    } catch (error) {
+      logger.error('Error recording failed revocation attempt:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Renew a config file
+   * Sets a new expiry and allows a new expiry reminder to be sent.
+   * @param {number} id - Config file ID
+   * @param {Date|null} expiresAt - New expiry, null if the profile no longer expires
+   * @returns {Promise<boolean>} Success status
+   */
+  static async renew(id, expiresAt) {
+    try {
+      const [result] = await pool.execute(
+        `UPDATE config_files
+         SET expires_at = ?, renewed_at = NOW(), expiry_reminder_sent_at = NULL
+         WHERE id = ? AND revoked_at IS NULL`,
+        [expiresAt, id]
+      );
+
+      if (result.affectedRows === 0) {
+        throw new Error('Config file not found or already revoked');
+      }
+
+      logger.info(`Config file renewed: ID ${id}, expires at: ${expiresAt ? expiresAt.toISOString() : 'never'}`);
+
+      return true;
+    } catch (error) {
+      logger.error('Error renewing config file:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the stored content of a config file
+   * @param {number} id - Config file ID
+   * @param {string} content - Profile content
+   * @returns {Promise<boolean>} Success status
+   */
+  static async updateContent(id, content) {
+    try {
+      const [result] = await pool.execute(
+        'UPDATE config_files SET content = ? WHERE id = ?',
+        [content, id]
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('Error updating config file content:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find profiles expiring soon whose owners have not been reminded yet
+   * Only the latest-expiring active profile of each user is returned, since the
+   * user keeps VPN access until that one expires.
+   * @param {number} days - Reminder window in days
+   * @returns {Promise<Array>} [{ id, user_id, filename, expires_at, email, name, username }]
+   */
+  static async findExpiringForReminder(days) {
+    try {
+      const [rows] = await pool.execute(
+        `SELECT cf.id, cf.user_id, cf.filename, cf.expires_at, u.email, u.name, u.username
+         FROM config_files cf
+         INNER JOIN users u ON cf.user_id = u.id
+         WHERE cf.revoked_at IS NULL
+           AND cf.expiry_reminder_sent_at IS NULL
+           AND cf.expires_at > NOW()
+           AND cf.expires_at <= DATE_ADD(NOW(), INTERVAL ? DAY)
+           AND u.deleted_at IS NULL
+           AND NOT EXISTS (
+             SELECT 1 FROM config_files other
+             WHERE other.user_id = cf.user_id
+               AND other.id <> cf.id
+               AND other.revoked_at IS NULL
+               AND (other.expires_at IS NULL OR other.expires_at > cf.expires_at)
+           )
+         ORDER BY cf.expires_at ASC`,
+        [days]
+      );
+
+      return rows;
+    } catch (error) {
+      logger.error('Error finding expiring config files:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record that the expiry reminder of a config file was sent
+   * @param {number} id - Config file ID
+   * @returns {Promise<boolean>} Success status
+   */
+  static async markExpiryReminderSent(id) {
+    try {
+      const [result] = await pool.execute(
+        'UPDATE config_files SET expiry_reminder_sent_at = NOW() WHERE id = ?',
+        [id]
+      );
+
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('Error marking expiry reminder as sent:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get users whose active profiles have all expired
+   * Users with at least one profile that has not expired (or never expires)
+   * are skipped: their certificates are still in use.
+   * @returns {Promise<Array>} [{ user_id, username, config_count, expired_at }]
+   */
+  static async findUsersWithExpiredProfiles() {
+    try {
+      const [rows] = await pool.execute(
+        `SELECT cf.user_id, u.username, COUNT(*) as config_count, MAX(cf.expires_at) as expired_at
+         FROM config_files cf
+         INNER JOIN users u ON cf.user_id = u.id
+         WHERE cf.revoked_at IS NULL
+         GROUP BY cf.user_id, u.username
+         HAVING COUNT(cf.expires_at) = COUNT(*) AND MAX(cf.expires_at) <= NOW()
+         ORDER BY expired_at ASC`
+      );
+
+      return rows;
+    } catch (error) {
+      logger.error('Error finding users with expired profiles:', error);
+      throw error;
+    }
+  }
+
   /**
    * Delete config file permanently
    * @param {number} id - Config file ID
@@ -239,6 +509,8 @@ class ConfigFile {
           cf.qos_policy_id,
           cf.filename,
           cf.downloaded_at,
+          cf.expires_at,
+          cf.renewed_at,
           cf.created_at,
           qp.name as qos_policy_name,
           qp.bandwidth_limit,
@@ -359,7 +631,13 @@ class ConfigFile {
           cf.qos_policy_id,
           cf.filename,
           cf.downloaded_at,
+          cf.expires_at,
+          cf.renewed_at,
           cf.revoked_at,
+          cf.server_revocation_status,
+          cf.server_revoked_at,
+          cf.revocation_attempts,
+          cf.revocation_error,
           cf.created_at,
           u.email as user_email,
           u.name as user_name,
@@ -0,0 +1,354 @@
+const pool = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * ConnectionSession Model
+ * Stores the history of VPN connections observed by the VPN monitor.
+ * A session is opened when a client first appears in the server status,
+ * refreshed on every poll and closed once the client is gone.
+ */
+class ConnectionSession {
+  /**
+   * Open a new session
+   * @param {Object} data - Session data
+   * @param {number} data.userId - User ID
+   * @param {number} [data.deviceId] - Device ID
+   * @param {string} data.username - OpenVPN username
+   * @param {string} [data.commonName] - Certificate common name
+   * @param {string} [data.realIp] - Public IP address
+   * @param {string} [data.realAddress] - Public IP:port
+   * @param {string} [data.virtualIp] - VPN IP address
+   * @param {string} [data.cipher] - Data channel cipher
+   * @param {string} [data.platform] - Client platform
+   * @param {Date} data.connectedSince - Connection start time
+   * @param {number} [data.bytesSent=0] - Bytes sent
+   * @param {number} [data.bytesReceived=0] - Bytes received
+   * @returns {Promise<number>} ID of the new session
+   */
+  static async open(data) {
+    try {
+      const query = `
+        INSERT INTO connection_sessions
+          (user_id, device_id, username, common_name, real_ip, real_address, virtual_ip,
+           cipher, platform, connected_since, last_seen_at, bytes_sent, bytes_received, status)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), ?, ?, 'active')
+      `;
+
+      const [result] = await pool.execute(query, [
+        data.userId,
+        data.deviceId || null,
+        data.username,
+        data.commonName || null,
+        data.realIp || null,
+        data.realAddress || null,
+        data.virtualIp || null,
+        data.cipher || null,
+        data.platform || null,
+        data.connectedSince,
+        data.bytesSent || 0,
+        data.bytesReceived || 0
+      ]);
+
+      return result.insertId;
+    } catch (error) {
+      logger.error('Error opening connection session:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Refresh an active session with the latest counters from the server
+   * @param {number} id - Session ID
+   * @param {Object} data - Latest values
+   * @param {number} [data.deviceId] - Device ID
+   * @param {string} [data.realIp] - Public IP address
+   * @param {string} [data.cipher] - Data channel cipher
+   * @param {number} [data.bytesSent=0] - Bytes sent
+   * @param {number} [data.bytesReceived=0] - Bytes received
+   * @returns {Promise<boolean>} True if the session was updated
+   */
+  static async touch(id, data) {
+    try {
+      const query = `
+        UPDATE connection_sessions
+        SET last_seen_at = NOW(),
+            device_id = COALESCE(?, device_id),
+            real_ip = COALESCE(?, real_ip),
+            cipher = COALESCE(?, cipher),
+            bytes_sent = ?,
+            bytes_received = ?
+        WHERE id = ? AND status = 'active'
+      `;
+
+      const [result] = await pool.execute(query, [
+        data.deviceId || null,
+        data.realIp || null,
+        data.cipher || null,
+        data.bytesSent || 0,
+        data.bytesReceived || 0,
+        id
+      ]);
+
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('Error updating connection session:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Close an active session
+   * @param {number} id - Session ID
+   * @param {string} [reason='disconnected'] - Why the session ended
+   * @returns {Promise<boolean>} True if the session was closed
+   */
+  static async close(id, reason = 'disconnected') {
+    try {
+      const [result] = await pool.execute(
+        `UPDATE connection_sessions
+         SET status = 'closed', disconnected_at = NOW(), disconnect_reason = ?
+         WHERE id = ? AND status = 'active'`,
+        [reason, id]
+      );
+
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('Error closing connection session:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Close active sessions that an admin disconnected
+   * @param {Array<number>} ids - Session IDs
+   * @param {number} adminId - ID of the admin who disconnected them
+   * @param {string|null} [comment] - Reason given by the admin
+   * @returns {Promise<number>} Number of sessions closed
+   */
+  static async closeByAdmin(ids, adminId, comment = null) {
+    try {
+      if (ids.length === 0) {
+        return 0;
+      }
+
+      const [result] = await pool.execute(
+        `UPDATE connection_sessions
+         SET status = 'closed', disconnected_at = NOW(), disconnect_reason = 'admin_disconnect',
+             disconnected_by = ?, disconnect_comment = ?
+         WHERE status = 'active' AND id IN (${ids.map(() => '?').join(',')})`,
+        [adminId, comment, ...ids]
+      );
+
+      return result.affectedRows;
+    } catch (error) {
+      logger.error('Error closing connection sessions disconnected by admin:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Close every active session that is not in the given list
+   * @param {Array<number>} activeIds - IDs of sessions that are still connected
+   * @param {string} [reason='disconnected'] - Why the sessions ended
+   * @returns {Promise<number>} Number of sessions closed
+   */
+  static async closeAllExcept(activeIds, reason = 'disconnected') {
+    try {
+      let query = `
+        UPDATE connection_sessions
+        SET status = 'closed', disconnected_at = NOW(), disconnect_reason = ?
+        WHERE status = 'active'
+      `;
+      const values = [reason];
+
+      if (activeIds.length > 0) {
+        query += ` AND id NOT IN (${activeIds.map(() => '?').join(',')})`;
+        values.push(...activeIds);
+      }
+
+      const [result] = await pool.execute(query, values);
+      return result.affectedRows;
+    } catch (error) {
+      logger.error('Error closing ended connection sessions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find session by ID
+   * @param {number} id - Session ID
+   * @returns {Promise<Object|null>} Session object or null
+   */
+  static async findById(id) {
+    try {
+      const [rows] = await pool.execute(
+        'SELECT * FROM connection_sessions WHERE id = ?',
+        [id]
+      );
+      return rows[0] || null;
+    } catch (error) {
+      logger.error('Error finding connection session by ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the active sessions of a user, of an OpenVPN username or of everyone
+   * @param {Object} [criteria={}] - Lookup criteria (none for all active sessions)
+   * @param {number} [criteria.userId] - User ID
+   * @param {string} [criteria.username] - OpenVPN username
+   * @returns {Promise<Array>} Active sessions
+   */
+  static async findAllActive({ userId, username } = {}) {
+    try {
+      if (!userId && !username) {
+        const [rows] = await pool.execute(
+          `SELECT s.*, u.email as user_email, d.name as device_name
+           FROM connection_sessions s
+           JOIN users u ON s.user_id = u.id
+           LEFT JOIN devices d ON s.device_id = d.id
+           WHERE s.status = 'active'
+           ORDER BY s.connected_since, s.id`
+        );
+        return rows;
+      }
+
+      const column = userId ? 'user_id' : 'username';
+      const [rows] = await pool.execute(
+        `SELECT * FROM connection_sessions WHERE ${column} = ? AND status = 'active' ORDER BY id`,
+        [userId || username]
+      );
+      return rows;
+    } catch (error) {
+      logger.error('Error finding active connection sessions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the most recent active session of a user on a VPN IP
+   * @param {number} userId - User ID
+   * @param {string} virtualIp - VPN IP address
+   * @returns {Promise<Object|null>} Session object or null
+   */
+  static async findActive(userId, virtualIp) {
+    try {
+      const [rows] = await pool.execute(
+        `SELECT * FROM connection_sessions
+         WHERE user_id = ? AND virtual_ip <=> ? AND status = 'active'
+         ORDER BY id DESC
+         LIMIT 1`,
+        [userId, virtualIp || null]
+      );
+      return rows[0] || null;
+    } catch (error) {
+      logger.error('Error finding active connection session:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get sessions with pagination and filtering
+   * @param {number} [page=1] - Page number
+   * @param {number} [limit=20] - Items per page
+   * @param {Object} [filters={}] - Filter options
+   * @param {number} [filters.user_id] - Only sessions of this user
+   * @param {number} [filters.device_id] - Only sessions of this device
+   * @param {string} [filters.status] - active or closed
+   * @param {string} [filters.search] - Search in username, real IP and VPN IP
+   * @param {Date} [filters.from] - Sessions still connected at or after this time
+   * @param {Date} [filters.to] - Sessions connected at or before this time
+   * @returns {Promise<Object>} Object with data array and pagination info
+   */
+  static async findAll(page = 1, limit = 20, filters = {}) {
+    try {
+      const pageNum = Math.max(1, parseInt(page, 10) || 1);
+      const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+      const offset = (pageNum - 1) * limitNum;
+
+      const conditions = [];
+      const values = [];
+
+      if (filters.user_id) {
+        conditions.push('s.user_id = ?');
+        values.push(filters.user_id);
+      }
+
+      if (filters.device_id) {
+        conditions.push('s.device_id = ?');
+        values.push(filters.device_id);
+      }
+
+      if (filters.status) {
+        conditions.push('s.status = ?');
+        values.push(filters.status);
+      }
+
+      if (filters.search) {
+        conditions.push('(s.username LIKE ? OR s.real_ip LIKE ? OR s.virtual_ip LIKE ?)');
+        const searchPattern = `%${filters.search}%`;
+        values.push(searchPattern, searchPattern, searchPattern);
+      }
+
+      // A session overlaps [from, to] if it started before "to" and ended after "from"
+      if (filters.from) {
+        conditions.push('(s.disconnected_at IS NULL OR s.disconnected_at >= ?)');
+        values.push(filters.from);
+      }
+
+      if (filters.to) {
+        conditions.push('s.connected_since <= ?');
+        values.push(filters.to);
+      }
+
+      const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+      const [countResult] = await pool.execute(
+        `SELECT COUNT(*) as total FROM connection_sessions s ${whereClause}`,
+        values
+      );
+      const total = countResult[0].total;
+
+      // LIMIT/OFFSET are embedded as literals to avoid MySQL2 prepared statement type issues
+      const [rows] = await pool.execute(
+        `SELECT s.*, u.email as user_email, d.name as device_name, a.email as disconnected_by_email,
+                TIMESTAMPDIFF(SECOND, s.connected_since, COALESCE(s.disconnected_at, NOW())) as duration_seconds
+         FROM connection_sessions s
+         JOIN users u ON s.user_id = u.id
+         LEFT JOIN devices d ON s.device_id = d.id
+         LEFT JOIN users a ON s.disconnected_by = a.id
+         ${whereClause}
+         ORDER BY s.connected_since DESC, s.id DESC
+         LIMIT ${limitNum} OFFSET ${offset}`,
+        values
+      );
+
+      return {
+        data: rows,
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          totalPages: Math.ceil(total / limitNum)
+        }
+      };
+    } catch (error) {
+      logger.error('Error finding connection sessions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get sessions of a single device with pagination
+   * @param {number} deviceId - Device ID
+   * @param {number} [page=1] - Page number
+   * @param {number} [limit=20] - Items per page
+   * @param {Object} [filters={}] - Additional filters (see findAll)
+   * @returns {Promise<Object>} Object with data array and pagination info
+   */
+  static async findByDeviceId(deviceId, page = 1, limit = 20, filters = {}) {
+    return this.findAll(page, limit, { ...filters, device_id: deviceId });
+  }
+}
+
+module.exports = ConnectionSession;
@@ -3,7 +3,8 @@ const logger = require('../utils/logger');
 
 /**
  * Device Model
- * Tracks devices that connect to the VPN (view-only, auto-created on connection)
+ * Tracks devices that connect to the VPN. Devices are enrolled by their users
+ * (see services/deviceEnrollmentService) or auto-created on connection.
  */
 class Device {
     /**
@@ -140,9 +141,11 @@ class Device {
      * Get all devices (admin only)
      * @param {number} page - Page number
      * @param {number} limit - Items per page
+     * @param {Object} [filters] - Filter options
+     * @param {string} [filters.enrollment_status] - Only devices with this enrollment status
      * @returns {Promise<Object>} Paginated devices with total count
      */
-    static async getAllDevices(page = 1, limit = 10) {
+    static async getAllDevices(page = 1, limit = 10, filters = {}) {
         // Ensure parameters are integers - handle null, undefined, NaN, and strings
         let pageNum = 1;
         let limitNum = 10;
@@ -164,14 +167,16 @@ class Device {
         const offset = (pageNum - 1) * limitNum;
         
         // Build query with values directly embedded (safe since we validated integers)
-        const query = `SELECT d.*, u.email as user_email, u.name as user_name FROM devices d JOIN users u ON d.user_id = u.id ORDER BY d.created_at DESC LIMIT ${limitNum} OFFSET ${offset}`;
-        const countQuery = 'SELECT COUNT(*) as total FROM devices';
+        const where = filters.enrollment_status ? 'WHERE d.enrollment_status = ?' : '';
+        const params = filters.enrollment_status ? [filters.enrollment_status] : [];
+        const query = `SELECT d.*, u.email as user_email, u.name as user_name FROM devices d JOIN users u ON d.user_id = u.id ${where} ORDER BY d.created_at DESC LIMIT ${limitNum} OFFSET ${offset}`;
+        const countQuery = `SELECT COUNT(*) as total FROM devices d ${where}`;
 
         try {
             logger.debug('getAllDevices query:', { query, limitNum, offset });
             
             // pool.query() returns the rows array directly (not [rows, fields])
-            const devices = await pool.query(query);
+            const devices = await pool.query(query, params);
             
             logger.debug('Devices result:', { 
                 type: typeof devices, 
@@ -179,7 +184,7 @@ class Device {
                 length: devices?.length 
             });
             
-            const countResult = await pool.query(countQuery);
+            const countResult = await pool.query(countQuery, params);
             logger.debug('Count result raw:', { 
                 type: typeof countResult, 
                 isArray: Array.isArray(countResult),
@@ -210,6 +215,153 @@ class Device {
         }
     }
 
+    /**
+     * ============================================================================
+     * ENROLLMENT METHODS
+     * Devices registered by their users, see services/deviceEnrollmentService
+     * ============================================================================
+     */
+
+    /**
+     * Enroll a device
+     * @param {number} userId - User ID
+     * @param {Object} deviceData
+     * @param {string} deviceData.name - Device name
+     * @param {string} deviceData.deviceType - Device type
+     * @param {string} deviceData.deviceId - Enrollment ID of the device
+     * @param {string} deviceData.status - Enrollment status (pending or approved)
+     * @returns {Promise<Object>} Created device object
+     */
+    static async enroll(userId, { name, deviceType, deviceId, status }) {
+        const query = `
+            INSERT INTO devices (user_id, name, device_id, identity_source, device_type, is_active, enrollment_status, enrolled_at)
+            VALUES (?, ?, ?, 'enrollment', ?, FALSE, ?, NOW())
+        `;
+
+        try {
+            const [result] = await pool.execute(query, [userId, name, deviceId, deviceType, status]);
+            logger.info(`Device ${result.insertId} enrolled for user ID: ${userId} (${status})`);
+            return this.findById(result.insertId);
+        } catch (error) {
+            logger.error('Error in Device.enroll:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Count the enrolled devices of a user that count against the device limit
+     * Rejected devices do not count.
+     * @param {number} userId - User ID
+     * @returns {Promise<number>} Number of pending and approved devices
+     */
+    static async countEnrolledDevices(userId) {
+        const query = `
+            SELECT COUNT(*) as count
+            FROM devices
+            WHERE user_id = ? AND enrollment_status IN ('pending', 'approved')
+        `;
+
+        try {
+            const [result] = await pool.execute(query, [userId]);
+            return result[0].count;
+        } catch (error) {
+            logger.error('Error in Device.countEnrolledDevices:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find an enrolled device of a user by its enrollment ID
+     * @param {number} userId - User ID
+     * @param {string} deviceId - Enrollment ID (UV_DEVICE_ID of the profile)
+     * @returns {Promise<Object|null>} Device object or null
+     */
+    static async findEnrolled(userId, deviceId) {
+        const query = `
+            SELECT * FROM devices
+            WHERE user_id = ? AND device_id = ? AND enrollment_status != 'unenrolled'
+        `;
+
+        try {
+            const [devices] = await pool.execute(query, [userId, deviceId]);
+            return devices.length > 0 ? devices[0] : null;
+        } catch (error) {
+            logger.error('Error in Device.findEnrolled:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Record the approval or rejection of an enrolled device
+     * @param {number} id - Device ID
+     * @param {string} status - approved or rejected
+     * @param {number} reviewedBy - Administrator reviewing the device
+     * @param {string|null} [note] - Reason for a rejection
+     * @returns {Promise<Object>} Updated device object
+     */
+    static async setEnrollmentStatus(id, status, reviewedBy, note = null) {
+        const query = `
+            UPDATE devices
+            SET enrollment_status = ?, reviewed_by = ?, reviewed_at = NOW(), review_note = ?
+            WHERE id = ? AND enrollment_status != 'unenrolled'
+        `;
+
+        try {
+            await pool.execute(query, [status, reviewedBy, note, id]);
+            return this.findById(id);
+        } catch (error) {
+            logger.error('Error in Device.setEnrollmentStatus:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Link a profile issued for a device
+     * @param {number} id - Device ID
+     * @param {number} configFileId - Config file of the profile
+     * @param {string} profileName - Profile filename
+     * @param {Date|null} expiresAt - Expiry of the profile
+     * @returns {Promise<number>} Device profile ID
+     */
+    static async addProfile(id, configFileId, profileName, expiresAt = null) {
+        const query = `
+            INSERT INTO device_profiles (device_id, config_file_id, profile_name, expires_at)
+            VALUES (?, ?, ?, ?)
+        `;
+
+        try {
+            const [result] = await pool.execute(query, [id, configFileId, profileName, expiresAt]);
+            return result.insertId;
+        } catch (error) {
+            logger.error('Error in Device.addProfile:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the config files of the profiles issued for a device that are not revoked
+     * @param {number} id - Device ID
+     * @returns {Promise<Array>} Config files (id, user_id, username)
+     */
+    static async findActiveProfiles(id) {
+        const query = `
+            SELECT cf.id, cf.user_id, u.username
+            FROM device_profiles dp
+            INNER JOIN config_files cf ON dp.config_file_id = cf.id
+            INNER JOIN users u ON cf.user_id = u.id
+            WHERE dp.device_id = ? AND cf.revoked_at IS NULL
+            ORDER BY cf.id
+        `;
+
+        try {
+            const [configs] = await pool.execute(query, [id]);
+            return configs;
+        } catch (error) {
+            logger.error('Error in Device.findActiveProfiles:', error);
+            throw error;
+        }
+    }
+
     /**
      * ============================================================================
      * QoS POLICY INTEGRATION METHODS
@@ -0,0 +1,253 @@
+const pool = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * Group Model
+ * User groups for managing QoS and LAN routes of many users at once.
+ * Group QoS assignments live in QosPolicy, shared networks in GroupLanNetwork.
+ */
+class Group {
+  /**
+   * Create a group
+   * @param {Object} groupData
+   * @param {string} groupData.name - Unique group name
+   * @param {string|null} [groupData.description] - Description
+   * @param {number} [groupData.priority=100] - Lower value wins when a user is in several groups with a policy
+   * @param {number|null} [groupData.createdBy] - User creating the group
+   * @returns {Promise<Object>} Created group
+   */
+  static async create({ name, description = null, priority = 100, createdBy = null }) {
+    try {
+      const [result] = await pool.execute(
+        `INSERT INTO user_groups (name, description, priority, created_by)
+         VALUES (?, ?, ?, ?)`,
+        [name, description, priority, createdBy]
+      );
+
+      logger.info(`Group created: ${name} (ID ${result.insertId})`);
+
+      return this.findById(result.insertId);
+    } catch (error) {
+      logger.error('Error creating group:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find all groups with member count, QoS policy and network count
+   * @returns {Promise<Array>} Groups ordered by priority and name
+   */
+  static async findAll() {
+    try {
+      const [rows] = await pool.execute(
+        `SELECT
+           g.id, g.name, g.description, g.priority, g.created_by, g.created_at, g.updated_at,
+           (SELECT COUNT(*) FROM user_group_members gm WHERE gm.group_id = g.id) as member_count,
+           (SELECT COUNT(*) FROM group_lan_networks gn WHERE gn.group_id = g.id) as network_count,
+           qp.id as qos_policy_id,
+           qp.name as qos_policy_name
+         FROM user_groups g
+         LEFT JOIN group_qos gq ON gq.group_id = g.id
+         LEFT JOIN qos_policies qp ON gq.qos_policy_id = qp.id
+         ORDER BY g.priority ASC, g.name ASC`
+      );
+      return rows;
+    } catch (error) {
+      logger.error('Error finding groups:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a group by ID
+   * @param {number} id - Group ID
+   * @returns {Promise<Object|null>} Group or null
+   */
+  static async findById(id) {
+    try {
+      const [rows] = await pool.execute(
+        `SELECT id, name, description, priority, created_by, created_at, updated_at
+         FROM user_groups WHERE id = ?`,
+        [id]
+      );
+      return rows.length > 0 ? rows[0] : null;
+    } catch (error) {
+      logger.error('Error finding group by ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a group by name
+   * @param {string} name - Group name
+   * @returns {Promise<Object|null>} Group or null
+   */
+  static async findByName(name) {
+    try {
+      const [rows] = await pool.execute(
+        `SELECT id, name, description, priority, created_by, created_at, updated_at
+         FROM user_groups WHERE name = ?`,
+        [name]
+      );
+      return rows.length > 0 ? rows[0] : null;
+    } catch (error) {
+      logger.error('Error finding group by name:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the groups a user belongs to
+   * @param {number} userId - User ID
+   * @returns {Promise<Array>} Groups ordered by priority
+   */
+  static async findByUserId(userId) {
+    try {
+      const [rows] = await pool.execute(
+        `SELECT g.id, g.name, g.description, g.priority, gm.added_at
+         FROM user_group_members gm
+         INNER JOIN user_groups g ON gm.group_id = g.id
+         WHERE gm.user_id = ?
+         ORDER BY g.priority ASC, g.name ASC`,
+        [userId]
+      );
+      return rows;
+    } catch (error) {
+      logger.error('Error finding groups of user:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a group
+   * @param {number} id - Group ID
+   * @param {Object} data - Fields to update (name, description, priority)
+   * @returns {Promise<Object|null>} Updated group, null if not found
+   */
+  static async update(id, data) {
+    try {
+      const allowedFields = ['name', 'description', 'priority'];
+      const updates = [];
+      const values = [];
+
+      for (const field of allowedFields) {
+        if (data[field] !== undefined) {
+          updates.push(`${field} = ?`);
+          values.push(data[field]);
+        }
+      }
+
+      if (updates.length > 0) {
+        values.push(id);
+        await pool.execute(`UPDATE user_groups SET ${updates.join(', ')} WHERE id = ?`, values);
+        logger.info(`Group updated: ID ${id}`);
+      }
+
+      return this.findById(id);
+    } catch (error) {
+      logger.error('Error updating group:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a group
+   * Membership, the group's QoS assignment and its networks are removed with it.
+   * @param {number} id - Group ID
+   * @returns {Promise<boolean>} False if not found
+   */
+  static async delete(id) {
+    try {
+      const [result] = await pool.execute('DELETE FROM user_groups WHERE id = ?', [id]);
+
+      if (result.affectedRows > 0) {
+        logger.info(`Group deleted: ID ${id}`);
+      }
+
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('Error deleting group:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the members of a group
+   * @param {number} groupId - Group ID
+   * @returns {Promise<Array>} Users (without deleted users), ordered by email
+   */
+  static async getMembers(groupId) {
+    try {
+      const [rows] = await pool.execute(
+        `SELECT u.id, u.email, u.name, u.role, gm.added_at, gm.added_by
+         FROM user_group_members gm
+         INNER JOIN users u ON gm.user_id = u.id
+         WHERE gm.group_id = ? AND u.deleted_at IS NULL
+         ORDER BY u.email ASC`,
+        [groupId]
+      );
+      return rows;
+    } catch (error) {
+      logger.error('Error getting group members:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add users to a group
+   * Users who are already members are skipped; unknown or deleted users are ignored.
+   * @param {number} groupId - Group ID
+   * @param {Array<number>} userIds - Users to add
+   * @param {number|null} [addedBy] - User adding the members
+   * @returns {Promise<number>} Number of users added
+   */
+  static async addMembers(groupId, userIds, addedBy = null) {
+    try {
+      const ids = [...new Set(userIds.map(Number))];
+      if (ids.length === 0) {
+        return 0;
+      }
+
+      const [result] = await pool.execute(
+        `INSERT IGNORE INTO user_group_members (group_id, user_id, added_by)
+         SELECT ?, u.id, ?
+         FROM users u
+         WHERE u.id IN (${ids.map(() => '?').join(', ')}) AND u.deleted_at IS NULL`,
+        [groupId, addedBy, ...ids]
+      );
+
+      logger.info(`${result.affectedRows} member(s) added to group ${groupId}`);
+
+      return result.affectedRows;
+    } catch (error) {
+      logger.error('Error adding group members:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a user from a group
+   * @param {number} groupId - Group ID
+   * @param {number} userId - User ID
+   * @returns {Promise<boolean>} False if the user was not a member
+   */
+  static async removeMember(groupId, userId) {
+    try {
+      const [result] = await pool.execute(
+        'DELETE FROM user_group_members WHERE group_id = ? AND user_id = ?',
+        [groupId, userId]
+      );
+
+      if (result.affectedRows > 0) {
+        logger.info(`User ${userId} removed from group ${groupId}`);
+      }
+
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('Error removing group member:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = Group;
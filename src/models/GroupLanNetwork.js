@@ -0,0 +1,137 @@
+const db = require('../config/database');
+const UserLanNetwork = require('./UserLanNetwork');
+
+/**
+ * GroupLanNetwork Model
+ * LAN networks shared by all members of a group
+ *
+ * Works like UserLanNetwork: enabled networks of a user's groups are added
+ * to the user's VPN profile as 'route' directives next to their own networks.
+ */
+class GroupLanNetwork {
+  /**
+   * Create a LAN network for a group
+   * @param {number} groupId - Group ID
+   * @param {string} networkCidr - Network in CIDR notation (e.g., 10.20.0.0/16)
+   * @param {string} description - Description
+   * @returns {Promise<Object>} Created network object
+   */
+  static async create(groupId, networkCidr, description = null) {
+    const { networkIp, subnetMask } = UserLanNetwork.parseCIDR(networkCidr);
+
+    const result = await db.query(
+      `INSERT INTO group_lan_networks
+       (group_id, network_cidr, network_ip, subnet_mask, description, enabled)
+       VALUES (?, ?, ?, ?, ?, 1)`,
+      [groupId, networkCidr, networkIp, subnetMask, description]
+    );
+
+    return {
+      id: result.insertId,
+      group_id: groupId,
+      network_cidr: networkCidr,
+      network_ip: networkIp,
+      subnet_mask: subnetMask,
+      description,
+      enabled: true
+    };
+  }
+
+  /**
+   * Find all LAN networks of a group
+   * @param {number} groupId - Group ID
+   * @param {boolean} enabledOnly - Return only enabled networks (default: false)
+   * @returns {Promise<Array>} Array of network objects
+   */
+  static async findByGroupId(groupId, enabledOnly = false) {
+    const query = enabledOnly
+      ? 'SELECT * FROM group_lan_networks WHERE group_id = ? AND enabled = 1 ORDER BY created_at DESC'
+      : 'SELECT * FROM group_lan_networks WHERE group_id = ? ORDER BY created_at DESC';
+
+    return db.query(query, [groupId]);
+  }
+
+  /**
+   * Find the enabled LAN networks shared with a user through their groups
+   * @param {number} userId - User ID
+   * @returns {Promise<Array>} Network objects with group_name
+   */
+  static async findByUserId(userId) {
+    return db.query(
+      `SELECT gn.*, g.name as group_name
+       FROM group_lan_networks gn
+       INNER JOIN user_group_members gm ON gm.group_id = gn.group_id
+       INNER JOIN user_groups g ON g.id = gn.group_id
+       WHERE gm.user_id = ? AND gn.enabled = 1
+       ORDER BY g.priority ASC, gn.created_at DESC`,
+      [userId]
+    );
+  }
+
+  /**
+   * Find the enabled LAN networks of all groups
+   * @returns {Promise<Array>} Array of network objects
+   */
+  static async findAllEnabled() {
+    return db.query('SELECT * FROM group_lan_networks WHERE enabled = 1 ORDER BY created_at ASC');
+  }
+
+  /**
+   * Find a specific LAN network by ID
+   * @param {number} id - Network ID
+   * @returns {Promise<Object|null>} Network object or null if not found
+   */
+  static async findById(id) {
+    const rows = await db.query('SELECT * FROM group_lan_networks WHERE id = ?', [id]);
+    return rows[0] || null;
+  }
+
+  /**
+   * Update a LAN network
+   * @param {number} id - Network ID
+   * @param {Object} updates - Fields to update (network_cidr, description, enabled); undefined fields are skipped
+   * @returns {Promise<boolean>} Success status
+   */
+  static async update(id, updates) {
+    const allowedFields = ['network_cidr', 'description', 'enabled'];
+    const updateFields = [];
+    const values = [];
+
+    for (const [key, value] of Object.entries(updates)) {
+      if (allowedFields.includes(key) && value !== undefined) {
+        if (key === 'network_cidr') {
+          const { networkIp, subnetMask } = UserLanNetwork.parseCIDR(value);
+          updateFields.push('network_cidr = ?', 'network_ip = ?', 'subnet_mask = ?');
+          values.push(value, networkIp, subnetMask);
+        } else {
+          updateFields.push(`${key} = ?`);
+          values.push(key === 'enabled' ? (value ? 1 : 0) : value);
+        }
+      }
+    }
+
+    if (updateFields.length === 0) {
+      return false;
+    }
+
+    values.push(id);
+    const result = await db.query(
+      `UPDATE group_lan_networks SET ${updateFields.join(', ')} WHERE id = ?`,
+      values
+    );
+
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Delete a LAN network
+   * @param {number} id - Network ID
+   * @returns {Promise<boolean>} Success status
+   */
+  static async delete(id) {
+    const result = await db.query('DELETE FROM group_lan_networks WHERE id = ?', [id]);
+    return result.affectedRows > 0;
+  }
+}
+
+module.exports = GroupLanNetwork;
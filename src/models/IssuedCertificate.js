@@ -0,0 +1,247 @@
+const pool = require('../config/database');
+const logger = require('../utils/logger');
+
+const LIST_COLUMNS = `id, ca_id, kind, serial, common_name, user_id, device_id, config_file_id,
+  certificate, not_before, not_after, revoked_at, created_at`;
+
+/**
+ * IssuedCertificate Model
+ * Client and server certificates issued by the built-in PKI; see
+ * services/pkiService. Client certificates are revoked with their config
+ * file (see services/revocationService) and then listed in the CRL of their CA.
+ */
+class IssuedCertificate {
+  /**
+   * Store an issued certificate
+   * @param {Object} certData
+   * @param {number} certData.caId - Issuing CA
+   * @param {string} certData.kind - 'client' or 'server'
+   * @param {string} certData.serial - Serial number (hex)
+   * @param {string} certData.commonName - Common name
+   * @param {number} [certData.userId] - Owner of a client certificate
+   * @param {number} [certData.deviceId] - Device of a per-device certificate
+   * @param {string} certData.certificate - PEM certificate
+   * @param {string} certData.privateKeyEncrypted - Encrypted private key
+   * @param {Date} certData.notBefore - Start of validity
+   * @param {Date} certData.notAfter - End of validity
+   * @returns {Promise<number>} Certificate ID
+   */
+  static async create({ caId, kind, serial, commonName, userId = null, deviceId = null, certificate, privateKeyEncrypted, notBefore, notAfter }) {
+    try {
+      const [result] = await pool.execute(
+        `INSERT INTO issued_certificates
+           (ca_id, kind, serial, common_name, user_id, device_id, certificate, private_key_encrypted, not_before, not_after)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [caId, kind, serial, commonName, userId, deviceId, certificate, privateKeyEncrypted, notBefore, notAfter]
+      );
+
+      logger.info(`Certificate issued: ${kind} ${commonName} (serial ${serial})`);
+
+      return result.insertId;
+    } catch (error) {
+      logger.error('Error storing issued certificate:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Link a client certificate to the config file it was issued for
+   * @param {number} id - Certificate ID
+   * @param {number} configFileId - Config file ID
+   * @returns {Promise<boolean>} Success status
+   */
+  static async attachToConfigFile(id, configFileId) {
+    try {
+      const [result] = await pool.execute(
+        'UPDATE issued_certificates SET config_file_id = ? WHERE id = ?',
+        [configFileId, id]
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('Error linking certificate to config file:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the certificate of a config file with its encrypted private key
+   * @param {number} configFileId - Config file ID
+   * @returns {Promise<Object|null>} Certificate with private_key_encrypted or null
+   */
+  static async findByConfigFileWithKey(configFileId) {
+    try {
+      const [rows] = await pool.execute(
+        `SELECT ${LIST_COLUMNS}, private_key_encrypted FROM issued_certificates
+         WHERE config_file_id = ? ORDER BY id DESC LIMIT 1`,
+        [configFileId]
+      );
+      return rows.length > 0 ? rows[0] : null;
+    } catch (error) {
+      logger.error('Error finding certificate of config file:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the latest server certificate of a CA with its encrypted private key
+   * @param {number} caId - CA ID
+   * @returns {Promise<Object|null>} Certificate with private_key_encrypted or null
+   */
+  static async findServerWithKey(caId) {
+    try {
+      const [rows] = await pool.execute(
+        `SELECT ${LIST_COLUMNS}, private_key_encrypted FROM issued_certificates
+         WHERE ca_id = ? AND kind = 'server' AND revoked_at IS NULL
+         ORDER BY id DESC LIMIT 1`,
+        [caId]
+      );
+      return rows.length > 0 ? rows[0] : null;
+    } catch (error) {
+      logger.error('Error finding server certificate:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the latest valid user certificate of a common name with its encrypted private key
+   * Only certificates held by no config file and no device qualify: those
+   * issued for the profiles of the VPN backend (see CommunityBackend).
+   * @param {string} commonName - Common name (username)
+   * @returns {Promise<Object|null>} Certificate with private_key_encrypted or null
+   */
+  static async findValidClientWithKey(commonName) {
+    try {
+      const [rows] = await pool.execute(
+        `SELECT ${LIST_COLUMNS}, private_key_encrypted FROM issued_certificates
+         WHERE kind = 'client' AND common_name = ? AND device_id IS NULL AND config_file_id IS NULL
+           AND revoked_at IS NULL AND not_after > NOW()
+         ORDER BY id DESC LIMIT 1`,
+        [commonName]
+      );
+      return rows.length > 0 ? rows[0] : null;
+    } catch (error) {
+      logger.error('Error finding valid client certificate:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List the common names holding a valid user certificate
+   * Per-device certificates are left out: their common names are not usernames.
+   * @returns {Promise<Array<string>>} Common names
+   */
+  static async findValidClientNames() {
+    try {
+      const [rows] = await pool.execute(
+        `SELECT DISTINCT common_name FROM issued_certificates
+         WHERE kind = 'client' AND device_id IS NULL AND revoked_at IS NULL AND not_after > NOW()
+         ORDER BY common_name ASC`
+      );
+      return rows.map(row => row.common_name);
+    } catch (error) {
+      logger.error('Error listing valid client certificates:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke every client certificate of a user, per-device ones included
+   * @param {string} username - Username (common name of user certificates)
+   * @returns {Promise<number>} Number of certificates revoked
+   */
+  static async revokeClientsByUsername(username) {
+    try {
+      const pattern = `${username.replace(/[\\%_]/g, '\\$&')}-device-%`;
+      const [result] = await pool.execute(
+        `UPDATE issued_certificates SET revoked_at = NOW()
+         WHERE kind = 'client' AND (common_name = ? OR common_name LIKE ?) AND revoked_at IS NULL`,
+        [username, pattern]
+      );
+      return result.affectedRows;
+    } catch (error) {
+      logger.error('Error revoking client certificates:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke the certificate of a config file
+   * @param {number} configFileId - Config file ID
+   * @returns {Promise<number>} Number of certificates revoked
+   */
+  static async revokeByConfigFile(configFileId) {
+    try {
+      const [result] = await pool.execute(
+        `UPDATE issued_certificates SET revoked_at = NOW()
+         WHERE config_file_id = ? AND revoked_at IS NULL`,
+        [configFileId]
+      );
+      return result.affectedRows;
+    } catch (error) {
+      logger.error('Error revoking certificate of config file:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke the certificates of a user's revoked config files
+   * @param {number} userId - User ID
+   * @returns {Promise<number>} Number of certificates revoked
+   */
+  static async revokeByRevokedConfigFiles(userId) {
+    try {
+      const [result] = await pool.execute(
+        `UPDATE issued_certificates ic
+         INNER JOIN config_files cf ON ic.config_file_id = cf.id
+         SET ic.revoked_at = NOW()
+         WHERE cf.user_id = ? AND cf.revoked_at IS NOT NULL AND ic.revoked_at IS NULL`,
+        [userId]
+      );
+      return result.affectedRows;
+    } catch (error) {
+      logger.error('Error revoking certificates of revoked config files:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the revoked certificates of a CA that have not expired yet
+   * Expired certificates are rejected anyway and are left out of the CRL.
+   * @param {number} caId - CA ID
+   * @returns {Promise<Array>} [{ serial, revoked_at }]
+   */
+  static async findRevokedByCa(caId) {
+    try {
+      const [rows] = await pool.execute(
+        `SELECT serial, revoked_at FROM issued_certificates
+         WHERE ca_id = ? AND revoked_at IS NOT NULL AND not_after > NOW()
+         ORDER BY revoked_at ASC`,
+        [caId]
+      );
+      return rows;
+    } catch (error) {
+      logger.error('Error finding revoked certificates:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke a certificate
+   * @param {number} id - Certificate ID
+   * @returns {Promise<boolean>} True if the certificate was not revoked before
+   */
+  static async revoke(id) {
+    try {
+      const [result] = await pool.execute(
+        'UPDATE issued_certificates SET revoked_at = NOW() WHERE id = ? AND revoked_at IS NULL',
+        [id]
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('Error revoking certificate:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = IssuedCertificate;
@@ -0,0 +1,85 @@
+const pool = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * OidcLoginRequest Model
+ * Pending single sign-ons between the redirect to the provider and the callback.
+ * Only SHA-256 hashes of the state parameter are stored; see services/oidcService.
+ */
+class OidcLoginRequest {
+  /**
+   * Store a pending sign-in
+   * @param {Object} requestData
+   * @param {string} requestData.stateHash - Hashed state parameter
+   * @param {string} requestData.codeVerifier - PKCE code verifier
+   * @param {string} requestData.nonce - Nonce expected in the ID token
+   * @param {Date} requestData.expiresAt - Expiry of the request
+   * @returns {Promise<void>}
+   */
+  static async create({ stateHash, codeVerifier, nonce, expiresAt }) {
+    try {
+      await pool.execute(
+        `INSERT INTO oidc_login_requests (state_hash, code_verifier, nonce, expires_at)
+         VALUES (?, ?, ?, ?)`,
+        [stateHash, codeVerifier, nonce, expiresAt]
+      );
+    } catch (error) {
+      logger.error('Error creating OIDC login request:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Take a pending sign-in by its state
+   * The request is deleted, so a state can only be used once.
+   * @param {string} stateHash - Hashed state parameter
+   * @returns {Promise<Object|null>} Request, or null if unknown, used or expired
+   */
+  static async consume(stateHash) {
+    try {
+      const [rows] = await pool.execute(
+        `SELECT state_hash, code_verifier, nonce, expires_at
+         FROM oidc_login_requests
+         WHERE state_hash = ?`,
+        [stateHash]
+      );
+
+      if (rows.length === 0) {
+        return null;
+      }
+
+      // Only the caller that deletes the row may use it
+      const [result] = await pool.execute(
+        'DELETE FROM oidc_login_requests WHERE state_hash = ?',
+        [stateHash]
+      );
+
+      if (result.affectedRows === 0 || new Date(rows[0].expires_at) < new Date()) {
+        return null;
+      }
+
+      return rows[0];
+    } catch (error) {
+      logger.error('Error consuming OIDC login request:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete expired requests of abandoned sign-ins
+   * @returns {Promise<number>} Number of requests deleted
+   */
+  static async deleteExpired() {
+    try {
+      const [result] = await pool.execute(
+        'DELETE FROM oidc_login_requests WHERE expires_at < NOW()'
+      );
+      return result.affectedRows;
+    } catch (error) {
+      logger.error('Error deleting expired OIDC login requests:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = OidcLoginRequest;
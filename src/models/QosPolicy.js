@@ -1,6 +1,12 @@
 const pool = require('../config/database');
+const QosSchedule = require('./QosSchedule');
 const logger = require('../utils/logger');
 
+// Policy columns returned by the group and default policy lookups
+const EFFECTIVE_POLICY_COLUMNS = `qp.id, qp.name, qp.bandwidth_limit, qp.priority, qp.daily_quota_mb,
+  qp.monthly_quota_mb, qp.over_quota_action, qp.throttle_policy_id, qp.description,
+  qp.created_at, qp.updated_at`;
+
 /**
  * QosPolicy Model
  * Handles Quality of Service (QoS) policy management
@@ -13,18 +19,42 @@ class QosPolicy {
    * @param {string} policyData.bandwidth_limit - Bandwidth limit (e.g., "10Mbps")
    * @param {string} [policyData.priority='medium'] - Priority level (low/medium/high)
    * @param {string} [policyData.description] - Policy description
+   * @param {number} [policyData.daily_quota_mb] - Daily data quota in MB (null = unlimited)
+   * @param {number} [policyData.monthly_quota_mb] - Monthly data quota in MB (null = unlimited)
+   * @param {string} [policyData.over_quota_action='notify'] - notify, throttle or disconnect
+   * @param {number} [policyData.throttle_policy_id] - Policy applied while throttled
    * @returns {Promise<Object>} Created policy object
    */
   static async create(policyData) {
     try {
-      const { name, bandwidth_limit, priority = 'medium', description = null } = policyData;
+      const {
+        name,
+        bandwidth_limit,
+        priority = 'medium',
+        description = null,
+        daily_quota_mb = null,
+        monthly_quota_mb = null,
+        over_quota_action = 'notify',
+        throttle_policy_id = null
+      } = policyData;
 
       const query = `
-        INSERT INTO qos_policies (name, bandwidth_limit, priority, description, created_at, updated_at)
-        VALUES (?, ?, ?, ?, NOW(), NOW())
+        INSERT INTO qos_policies
+          (name, bandwidth_limit, priority, daily_quota_mb, monthly_quota_mb, over_quota_action,
+           throttle_policy_id, description, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())
       `;
 
-      const [result] = await pool.execute(query, [name, bandwidth_limit, priority, description]);
+      const [result] = await pool.execute(query, [
+        name,
+        bandwidth_limit,
+        priority,
+        daily_quota_mb,
+        monthly_quota_mb,
+        over_quota_action,
+        throttle_policy_id,
+        description
+      ]);
 
       logger.info(`QoS policy created: ${name}`);
 
@@ -33,6 +63,10 @@ class QosPolicy {
         name,
         bandwidth_limit,
         priority,
+        daily_quota_mb,
+        monthly_quota_mb,
+        over_quota_action,
+        throttle_policy_id,
         description,
         created_at: new Date()
       };
@@ -49,7 +83,8 @@ class QosPolicy {
   static async findAll() {
     try {
       const query = `
-        SELECT id, name, bandwidth_limit, priority, description, created_at, updated_at
+        SELECT id, name, bandwidth_limit, priority, daily_quota_mb, monthly_quota_mb, over_quota_action,
+               throttle_policy_id, description, is_default, created_at, updated_at
         FROM qos_policies
         ORDER BY priority DESC, name ASC
       `;
@@ -71,7 +106,8 @@ class QosPolicy {
   static async findById(id) {
     try {
       const query = `
-        SELECT id, name, bandwidth_limit, priority, description, created_at, updated_at
+        SELECT id, name, bandwidth_limit, priority, daily_quota_mb, monthly_quota_mb, over_quota_action,
+               throttle_policy_id, description, is_default, created_at, updated_at
         FROM qos_policies
         WHERE id = ?
       `;
@@ -93,11 +129,24 @@ class QosPolicy {
    * @param {string} [data.bandwidth_limit] - Bandwidth limit
    * @param {string} [data.priority] - Priority level
    * @param {string} [data.description] - Description
+   * @param {number|null} [data.daily_quota_mb] - Daily data quota in MB
+   * @param {number|null} [data.monthly_quota_mb] - Monthly data quota in MB
+   * @param {string} [data.over_quota_action] - notify, throttle or disconnect
+   * @param {number|null} [data.throttle_policy_id] - Policy applied while throttled
    * @returns {Promise<Object>} Updated policy object
    */
   static async update(id, data) {
     try {
-      const allowedFields = ['name', 'bandwidth_limit', 'priority', 'description'];
+      const allowedFields = [
+        'name',
+        'bandwidth_limit',
+        'priority',
+        'description',
+        'daily_quota_mb',
+        'monthly_quota_mb',
+        'over_quota_action',
+        'throttle_policy_id'
+      ];
       const updates = [];
       const values = [];
 
@@ -242,12 +291,47 @@ class QosPolicy {
     }
   }
 
+  /**
+   * Apply the schedule window of a policy that is active at a point in time
+   * The bandwidth limit and priority of an active window replace those of the
+   * policy; id, quotas and assignment data stay those of the assigned policy.
+   * @param {Object|null} policy - Policy object
+   * @param {Date} [at=new Date()] - Point in time
+   * @returns {Promise<Object|null>} Policy with active_schedule set (null when no window applies)
+   */
+  static async applySchedule(policy, at = new Date()) {
+    if (!policy) {
+      return null;
+    }
+
+    const schedules = await QosSchedule.findByPolicyId(policy.id, true);
+    const schedule = QosSchedule.findActiveWindow(schedules, at);
+
+    if (!schedule) {
+      return { ...policy, active_schedule: null };
+    }
+
+    return {
+      ...policy,
+      bandwidth_limit: schedule.bandwidth_limit ?? policy.bandwidth_limit,
+      priority: schedule.priority ?? policy.priority,
+      active_schedule: {
+        id: schedule.id,
+        name: schedule.name,
+        start_time: schedule.start_time,
+        end_time: schedule.end_time
+      }
+    };
+  }
+
   /**
    * Find QoS policy assigned to a user
+   * Schedule windows of the policy are applied for the given point in time.
    * @param {number} userId - User ID
+   * @param {Date} [at=new Date()] - Point in time to resolve schedules for
    * @returns {Promise<Object|null>} Policy object or null if not assigned
    */
-  static async findByUserId(userId) {
+  static async findByUserId(userId, at = new Date()) {
     try {
       const query = `
         SELECT
@@ -255,6 +339,10 @@ class QosPolicy {
           qp.name,
           qp.bandwidth_limit,
           qp.priority,
+          qp.daily_quota_mb,
+          qp.monthly_quota_mb,
+          qp.over_quota_action,
+          qp.throttle_policy_id,
           qp.description,
           qp.created_at,
           qp.updated_at,
@@ -266,7 +354,7 @@ class QosPolicy {
 
       const [rows] = await pool.execute(query, [userId]);
 
-      return rows.length > 0 ? rows[0] : null;
+      return rows.length > 0 ? await this.applySchedule(rows[0], at) : null;
     } catch (error) {
       logger.error('Error finding QoS policy by user ID:', error);
       throw error;
@@ -335,7 +423,8 @@ class QosPolicy {
   static async findByPriority(priority) {
     try {
       const query = `
-        SELECT id, name, bandwidth_limit, priority, description, created_at, updated_at
+        SELECT id, name, bandwidth_limit, priority, daily_quota_mb, monthly_quota_mb, over_quota_action,
+               throttle_policy_id, description, is_default, created_at, updated_at
         FROM qos_policies
         WHERE priority = ?
         ORDER BY name ASC
@@ -448,6 +537,10 @@ class QosPolicy {
           qp.name,
           qp.bandwidth_limit,
           qp.priority,
+          qp.daily_quota_mb,
+          qp.monthly_quota_mb,
+          qp.over_quota_action,
+          qp.throttle_policy_id,
           qp.description,
           qp.created_at,
           qp.updated_at,
@@ -510,44 +603,228 @@ class QosPolicy {
   }
 
   /**
-   * Get effective QoS policy for a device (device-level or user-level)
+   * Assign QoS policy to a group
+   * Replaces the group's current policy (one policy per group).
+   * @param {number} groupId - Group ID
+   * @param {number} policyId - Policy ID
+   * @param {number} [assignedBy] - User making the assignment
+   * @returns {Promise<Object>} Assignment result
+   */
+  static async assignToGroup(groupId, policyId, assignedBy = null) {
+    try {
+      const policy = await this.findById(policyId);
+      if (!policy) {
+        throw new Error('QoS policy not found');
+      }
+
+      await pool.execute(
+        `INSERT INTO group_qos (group_id, qos_policy_id, assigned_by, assigned_at)
+         VALUES (?, ?, ?, NOW())
+         ON DUPLICATE KEY UPDATE
+           qos_policy_id = VALUES(qos_policy_id),
+           assigned_by = VALUES(assigned_by),
+           assigned_at = NOW()`,
+        [groupId, policyId, assignedBy]
+      );
+
+      logger.info(`QoS policy ${policyId} assigned to group ${groupId}${assignedBy ? ` by user ${assignedBy}` : ''}`);
+
+      return {
+        group_id: groupId,
+        qos_policy_id: policyId,
+        assigned_by: assignedBy,
+        assigned_at: new Date()
+      };
+    } catch (error) {
+      logger.error('Error assigning QoS policy to group:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove QoS policy from a group
+   * @param {number} groupId - Group ID
+   * @returns {Promise<boolean>} True if a policy was removed
+   */
+  static async removeFromGroup(groupId) {
+    try {
+      const [result] = await pool.execute('DELETE FROM group_qos WHERE group_id = ?', [groupId]);
+
+      if (result.affectedRows > 0) {
+        logger.info(`QoS policy removed from group ${groupId}`);
+      }
+
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('Error removing QoS policy from group:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find QoS policy assigned to a group
+   * @param {number} groupId - Group ID
+   * @returns {Promise<Object|null>} Policy object or null if not assigned
+   */
+  static async findByGroupId(groupId) {
+    try {
+      const query = `
+        SELECT
+          ${EFFECTIVE_POLICY_COLUMNS},
+          gq.assigned_at,
+          gq.assigned_by
+        FROM group_qos gq
+        INNER JOIN qos_policies qp ON gq.qos_policy_id = qp.id
+        WHERE gq.group_id = ?
+      `;
+
+      const [rows] = await pool.execute(query, [groupId]);
+
+      return rows.length > 0 ? rows[0] : null;
+    } catch (error) {
+      logger.error('Error finding QoS policy by group ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the group policy that applies to a user
+   * Users in several groups with a policy get the one of the group with the
+   * lowest priority value.
+   * @param {number} userId - User ID
+   * @returns {Promise<Object|null>} Policy object with group_id and group_name, or null
+   */
+  static async findGroupPolicyForUser(userId) {
+    try {
+      const query = `
+        SELECT
+          ${EFFECTIVE_POLICY_COLUMNS},
+          gq.assigned_at,
+          g.id as group_id,
+          g.name as group_name
+        FROM user_group_members gm
+        INNER JOIN user_groups g ON gm.group_id = g.id
+        INNER JOIN group_qos gq ON g.id = gq.group_id
+        INNER JOIN qos_policies qp ON gq.qos_policy_id = qp.id
+        WHERE gm.user_id = ?
+        ORDER BY g.priority ASC, g.id ASC
+        LIMIT 1
+      `;
+
+      const [rows] = await pool.execute(query, [userId]);
+
+      return rows.length > 0 ? rows[0] : null;
+    } catch (error) {
+      logger.error('Error finding group QoS policy of user:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the default QoS policy
+   * @returns {Promise<Object|null>} Policy object or null if no default is set
+   */
+  static async findDefault() {
+    try {
+      const [rows] = await pool.execute(
+        `SELECT ${EFFECTIVE_POLICY_COLUMNS} FROM qos_policies qp WHERE qp.is_default = 1 LIMIT 1`
+      );
+
+      return rows.length > 0 ? rows[0] : null;
+    } catch (error) {
+      logger.error('Error finding default QoS policy:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Make a policy the default, or clear the default
+   * @param {number|null} policyId - Policy ID, null to have no default
+   * @returns {Promise<boolean>} False if the policy does not exist
+   */
+  static async setDefault(policyId) {
+    try {
+      if (policyId !== null && !(await this.findById(policyId))) {
+        return false;
+      }
+
+      await pool.transaction(async (connection) => {
+        await connection.execute('UPDATE qos_policies SET is_default = 0 WHERE is_default = 1');
+        if (policyId !== null) {
+          await connection.execute('UPDATE qos_policies SET is_default = 1 WHERE id = ?', [policyId]);
+        }
+      });
+
+      logger.info(policyId !== null ? `QoS policy ${policyId} set as default` : 'Default QoS policy cleared');
+
+      return true;
+    } catch (error) {
+      logger.error('Error setting default QoS policy:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get effective QoS policy for a user (user-level, group-level or default)
+   * Schedule windows of the policy are applied for the given point in time.
+   * @param {number} userId - User ID
+   * @param {Date} [at=new Date()] - Point in time to resolve schedules for
+   * @returns {Promise<Object|null>} Effective policy object with source info
+   */
+  static async getEffectiveUserPolicy(userId, at = new Date()) {
+    try {
+      const userPolicy = await this.findByUserId(userId, at);
+      if (userPolicy) {
+        return { ...userPolicy, policy_source: 'user' };
+      }
+
+      const groupPolicy = await this.findGroupPolicyForUser(userId);
+      if (groupPolicy) {
+        return await this.applySchedule({ ...groupPolicy, policy_source: 'group' }, at);
+      }
+
+      const defaultPolicy = await this.findDefault();
+      if (defaultPolicy) {
+        return await this.applySchedule({ ...defaultPolicy, policy_source: 'default' }, at);
+      }
+
+      return null;
+    } catch (error) {
+      logger.error('Error getting effective user policy:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get effective QoS policy for a device
+   * Precedence: device > user > group > default.
+   * Schedule windows of the policy are applied for the given point in time.
    * @param {number} deviceId - Device ID
+   * @param {Date} [at=new Date()] - Point in time to resolve schedules for
    * @returns {Promise<Object|null>} Effective policy object with source info
    */
-  static async getEffectiveDevicePolicy(deviceId) {
+  static async getEffectiveDevicePolicy(deviceId, at = new Date()) {
     try {
       // First, try to get device-specific policy
       const devicePolicy = await this.findByDeviceId(deviceId);
-      
+
       if (devicePolicy) {
-        return {
+        return await this.applySchedule({
           ...devicePolicy,
           policy_source: 'device'
-        };
+        }, at);
       }
 
-      // If no device-specific policy, get user's policy
-      const query = `
-        SELECT
-          qp.id,
-          qp.name,
-          qp.bandwidth_limit,
-          qp.priority,
-          qp.description,
-          qp.created_at,
-          qp.updated_at,
-          uq.assigned_at,
-          'user' as policy_source
-        FROM devices d
-        INNER JOIN users u ON d.user_id = u.id
-        INNER JOIN user_qos uq ON u.id = uq.user_id
-        INNER JOIN qos_policies qp ON uq.qos_policy_id = qp.id
-        WHERE d.id = ? AND u.deleted_at IS NULL
-      `;
-
-      const [rows] = await pool.execute(query, [deviceId]);
+      // Otherwise the owner's policy applies (user, group or default)
+      const [rows] = await pool.execute(
+        `SELECT d.user_id
+         FROM devices d
+         INNER JOIN users u ON d.user_id = u.id
+         WHERE d.id = ? AND u.deleted_at IS NULL`,
+        [deviceId]
+      );
 
-      return rows.length > 0 ? rows[0] : null;
+      return rows.length > 0 ? await this.getEffectiveUserPolicy(rows[0].user_id, at) : null;
     } catch (error) {
       logger.error('Error getting effective device policy:', error);
       throw error;
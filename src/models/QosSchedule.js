@@ -0,0 +1,256 @@
+const pool = require('../config/database');
+const logger = require('../utils/logger');
+
+const DAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+
+/**
+ * QosSchedule Model
+ * Time-of-day schedule windows of QoS policies. While a window is active its
+ * bandwidth limit and/or priority replace those of the policy.
+ */
+class QosSchedule {
+  /**
+   * Get the timezone schedule windows are evaluated in
+   * @returns {string} IANA timezone name
+   */
+  static getTimezone() {
+    const timezone = process.env.QOS_SCHEDULE_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return timezone;
+    } catch (error) {
+      logger.warn(`Invalid QOS_SCHEDULE_TIMEZONE "${timezone}", using UTC`);
+      return 'UTC';
+    }
+  }
+
+  /**
+   * Get the weekday and time of day of a point in time in a timezone
+   * @param {Date} at - Point in time
+   * @param {string} timezone - IANA timezone name
+   * @returns {Object} { day: 'mon'..'sun', minutes: minutes since midnight, time: 'HH:mm' }
+   */
+  static getLocalTime(at, timezone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(at).forEach(part => {
+      parts[part.type] = part.value;
+    });
+
+    const hours = parseInt(parts.hour, 10);
+    const minutes = parseInt(parts.minute, 10);
+
+    return {
+      day: parts.weekday.toLowerCase(),
+      minutes: hours * 60 + minutes,
+      time: `${parts.hour}:${parts.minute}`
+    };
+  }
+
+  /**
+   * Convert a TIME value ('HH:mm' or 'HH:mm:ss') to minutes since midnight
+   * @param {string} time - Time of day
+   * @returns {number} Minutes
+   */
+  static toMinutes(time) {
+    const [hours, minutes] = String(time).split(':').map(v => parseInt(v, 10));
+    return hours * 60 + (minutes || 0);
+  }
+
+  /**
+   * Check whether a schedule window is active at a local time
+   * @param {Object} schedule - Schedule (days_of_week as array, start_time, end_time)
+   * @param {Object} local - Local time from getLocalTime
+   * @returns {boolean}
+   */
+  static isActiveAt(schedule, local) {
+    const start = this.toMinutes(schedule.start_time);
+    const end = this.toMinutes(schedule.end_time);
+    const days = schedule.days_of_week;
+
+    if (start < end) {
+      return days.includes(local.day) && local.minutes >= start && local.minutes < end;
+    }
+
+    // Window runs past midnight: the early hours belong to the previous day's window
+    const previousDay = DAYS[(DAYS.indexOf(local.day) + DAYS.length - 1) % DAYS.length];
+    return (days.includes(local.day) && local.minutes >= start) ||
+      (days.includes(previousDay) && local.minutes < end);
+  }
+
+  /**
+   * Find the window of a list that is active at a point in time
+   * @param {Array} schedules - Schedules ordered by precedence
+   * @param {Date} [at=new Date()] - Point in time
+   * @param {string} [timezone] - IANA timezone name (defaults to getTimezone())
+   * @returns {Object|null} Active schedule or null
+   */
+  static findActiveWindow(schedules, at = new Date(), timezone = this.getTimezone()) {
+    const local = this.getLocalTime(at, timezone);
+    return schedules.find(schedule => schedule.is_active && this.isActiveAt(schedule, local)) || null;
+  }
+
+  /**
+   * Convert a database row to a schedule object
+   * @private
+   */
+  static format(row) {
+    if (!row) return null;
+
+    return {
+      ...row,
+      days_of_week: row.days_of_week ? String(row.days_of_week).split(',') : [],
+      is_active: !!row.is_active
+    };
+  }
+
+  /**
+   * Create a schedule window
+   * @param {Object} data - Schedule data
+   * @param {number} data.qos_policy_id - Policy the window belongs to
+   * @param {string} data.name - Window name
+   * @param {Array<string>} data.days_of_week - Days the window starts on ('mon'..'sun')
+   * @param {string} data.start_time - Start time ('HH:mm')
+   * @param {string} data.end_time - End time ('HH:mm'), before start_time to run past midnight
+   * @param {number|null} [data.bandwidth_limit] - Bandwidth limit in Kbps while active
+   * @param {string|null} [data.priority] - Priority while active
+   * @param {boolean} [data.is_active=true] - Whether the window is enabled
+   * @returns {Promise<Object>} Created schedule
+   */
+  static async create(data) {
+    try {
+      const [result] = await pool.execute(
+        `INSERT INTO qos_policy_schedules
+           (qos_policy_id, name, days_of_week, start_time, end_time, bandwidth_limit, priority, is_active)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          data.qos_policy_id,
+          data.name,
+          data.days_of_week.join(','),
+          data.start_time,
+          data.end_time,
+          data.bandwidth_limit ?? null,
+          data.priority ?? null,
+          data.is_active === undefined ? true : !!data.is_active
+        ]
+      );
+
+      logger.info(`QoS schedule created: ${data.name} (ID: ${result.insertId}) for policy ${data.qos_policy_id}`);
+
+      return await this.findById(result.insertId);
+    } catch (error) {
+      logger.error('Error creating QoS schedule:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a schedule window by ID
+   * @param {number} id - Schedule ID
+   * @returns {Promise<Object|null>} Schedule or null
+   */
+  static async findById(id) {
+    try {
+      const [rows] = await pool.execute('SELECT * FROM qos_policy_schedules WHERE id = ?', [id]);
+      return this.format(rows[0]);
+    } catch (error) {
+      logger.error('Error finding QoS schedule by ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the schedule windows of a policy
+   * @param {number} policyId - Policy ID
+   * @param {boolean} [activeOnly=false] - Only enabled windows
+   * @returns {Promise<Array>} Schedules ordered by precedence
+   */
+  static async findByPolicyId(policyId, activeOnly = false) {
+    try {
+      const [rows] = await pool.execute(
+        `SELECT * FROM qos_policy_schedules
+         WHERE qos_policy_id = ?${activeOnly ? ' AND is_active = TRUE' : ''}
+         ORDER BY start_time ASC, id ASC`,
+        [policyId]
+      );
+
+      return rows.map(row => this.format(row));
+    } catch (error) {
+      logger.error('Error finding QoS schedules by policy ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a schedule window
+   * @param {number} id - Schedule ID
+   * @param {Object} data - Fields to update (see create)
+   * @returns {Promise<Object>} Updated schedule
+   */
+  static async update(id, data) {
+    try {
+      const allowedFields = ['name', 'days_of_week', 'start_time', 'end_time', 'bandwidth_limit', 'priority', 'is_active'];
+      const updates = [];
+      const values = [];
+
+      Object.keys(data).forEach(key => {
+        if (allowedFields.includes(key) && data[key] !== undefined) {
+          updates.push(`${key} = ?`);
+          values.push(key === 'days_of_week' ? data[key].join(',') : data[key]);
+        }
+      });
+
+      if (updates.length === 0) {
+        throw new Error('No valid fields to update');
+      }
+
+      values.push(id);
+
+      const [result] = await pool.execute(
+        `UPDATE qos_policy_schedules SET ${updates.join(', ')} WHERE id = ?`,
+        values
+      );
+
+      if (result.affectedRows === 0) {
+        throw new Error('QoS schedule not found');
+      }
+
+      logger.info(`QoS schedule updated: ID ${id}`);
+
+      return await this.findById(id);
+    } catch (error) {
+      logger.error('Error updating QoS schedule:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a schedule window
+   * @param {number} id - Schedule ID
+   * @returns {Promise<boolean>} True if deleted
+   */
+  static async delete(id) {
+    try {
+      const [result] = await pool.execute('DELETE FROM qos_policy_schedules WHERE id = ?', [id]);
+
+      if (result.affectedRows > 0) {
+        logger.info(`QoS schedule deleted: ID ${id}`);
+      }
+
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('Error deleting QoS schedule:', error);
+      throw error;
+    }
+  }
+}
+
+QosSchedule.DAYS = DAYS;
+
+module.exports = QosSchedule;
@@ -0,0 +1,73 @@
+const pool = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * QuotaNotification Model
+ * Records the data quota thresholds a user reached in a period, so every
+ * threshold is acted upon (and emailed) only once per period.
+ */
+class QuotaNotification {
+  /**
+   * Record that a threshold was reached
+   * @param {Object} data - Notification data
+   * @param {number} data.userId - User ID
+   * @param {number|null} data.deviceId - Device ID, null for user-level quotas
+   * @param {number} data.policyId - QoS policy ID
+   * @param {string} data.period - day or month
+   * @param {string} data.periodStart - Period start ('YYYY-MM-DD HH:mm:ss')
+   * @param {number} data.threshold - Percentage reached (80 or 100)
+   * @param {number} data.usageBytes - Usage when the threshold was reached
+   * @param {number} data.quotaBytes - Quota of the period
+   * @param {string} data.actionTaken - Action taken (notify, throttle, disconnect)
+   * @returns {Promise<boolean>} True if this is the first time the threshold was reached
+   */
+  static async record(data) {
+    try {
+      const [result] = await pool.execute(
+        `INSERT IGNORE INTO quota_notifications
+           (user_id, device_id, qos_policy_id, period, period_start, threshold, usage_bytes, quota_bytes, action_taken)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          data.userId,
+          data.deviceId || 0,
+          data.policyId,
+          data.period,
+          data.periodStart,
+          data.threshold,
+          data.usageBytes,
+          data.quotaBytes,
+          data.actionTaken
+        ]
+      );
+
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('Error recording quota notification:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the thresholds a user reached in a period
+   * @param {number} userId - User ID
+   * @param {string} period - day or month
+   * @param {string} periodStart - Period start ('YYYY-MM-DD HH:mm:ss')
+   * @returns {Promise<Array>} Array of notifications
+   */
+  static async findByUserAndPeriod(userId, period, periodStart) {
+    try {
+      const [rows] = await pool.execute(
+        `SELECT * FROM quota_notifications
+         WHERE user_id = ? AND period = ? AND period_start = ?
+         ORDER BY threshold ASC`,
+        [userId, period, periodStart]
+      );
+      return rows;
+    } catch (error) {
+      logger.error('Error finding quota notifications:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = QuotaNotification;
@@ -0,0 +1,65 @@
+const pool = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * SecuritySetting Model
+ * Security policies administrators change at runtime (key/value pairs)
+ */
+class SecuritySetting {
+  /**
+   * Get a setting
+   * @param {string} key - Setting key
+   * @param {string|null} [defaultValue=null] - Value when the setting is not stored
+   * @returns {Promise<string|null>} Setting value
+   */
+  static async get(key, defaultValue = null) {
+    try {
+      const [rows] = await pool.execute(
+        'SELECT setting_value FROM security_settings WHERE setting_key = ?',
+        [key]
+      );
+      return rows.length > 0 ? rows[0].setting_value : defaultValue;
+    } catch (error) {
+      logger.error('Error getting security setting:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a boolean setting
+   * @param {string} key - Setting key
+   * @param {boolean} [defaultValue=false] - Value when the setting is not stored
+   * @returns {Promise<boolean>}
+   */
+  static async getBoolean(key, defaultValue = false) {
+    const value = await this.get(key, null);
+    return value === null ? defaultValue : value === 'true';
+  }
+
+  /**
+   * Store a setting
+   * @param {string} key - Setting key
+   * @param {string|boolean|number} value - Setting value
+   * @param {number} [updatedBy] - Administrator changing the setting
+   * @returns {Promise<boolean>} Success status
+   */
+  static async set(key, value, updatedBy = null) {
+    try {
+      await pool.execute(
+        `INSERT INTO security_settings (setting_key, setting_value, updated_by)
+         VALUES (?, ?, ?)
+         ON DUPLICATE KEY UPDATE setting_value = VALUES(setting_value), updated_by = VALUES(updated_by)`,
+        [key, String(value), updatedBy]
+      );
+
+      logger.info(`Security setting updated: ${key} = ${value}${updatedBy ? ` by user ID: ${updatedBy}` : ''}`);
+
+      return true;
+    } catch (error) {
+      logger.error('Error updating security setting:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = SecuritySetting;
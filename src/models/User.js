@@ -1,5 +1,6 @@
 const pool = require('../config/database');
 const bcrypt = require('bcrypt');
+const crypto = require('crypto');
 const logger = require('../utils/logger');
 const openvpnUserSync = require('../services/openvpnUserSync');
 
@@ -74,7 +75,8 @@ class User {
   static async findByEmail(email) {
     try {
       const query = `
-        SELECT id, email, password, name, role, email_verified, created_at, updated_at
+        SELECT id, email, password, name, role, email_verified, auth_source, external_dn, disabled_at,
+               created_at, updated_at
         FROM users
         WHERE email = ? AND deleted_at IS NULL
       `;
@@ -118,7 +120,7 @@ class User {
   static async findById(id) {
     try {
       const query = `
-        SELECT id, username, email, name, role, email_verified, created_at, updated_at
+        SELECT id, username, email, name, role, email_verified, auth_source, disabled_at, static_ip, created_at, updated_at
         FROM users
         WHERE id = ? AND deleted_at IS NULL
       `;
@@ -132,6 +134,32 @@ class User {
     }
   }
 
+  /**
+   * Find the user a VPN client authenticated as
+   * VPN usernames are the username, or the email for users without one.
+   * Disabled users are returned (callers check disabled_at), soft-deleted
+   * users are not.
+   * @param {string} vpnUsername - Username or email
+   * @returns {Promise<Object|null>} User object or null if not found
+   */
+  static async findByVpnUsername(vpnUsername) {
+    try {
+      const [rows] = await pool.execute(
+        `SELECT id, username, email, name, role, disabled_at, static_ip
+         FROM users
+         WHERE (username = ? OR email = ?) AND deleted_at IS NULL
+         ORDER BY username = ? DESC
+         LIMIT 1`,
+        [vpnUsername, vpnUsername, vpnUsername]
+      );
+
+      return rows.length > 0 ? rows[0] : null;
+    } catch (error) {
+      logger.error('Error finding user by VPN username:', error);
+      throw error;
+    }
+  }
+
   /**
    * Verify user password
    * @param {number} userId - User ID
@@ -177,6 +205,7 @@ class User {
    * @param {string} [data.email] - User email
    * @param {string} [data.role] - User role (user/admin)
    * @param {boolean} [data.email_verified] - Email verification status
+   * @param {string|null} [data.static_ip] - Static VPN address (null = dynamic)
    * @returns {Promise<Object>} Updated user object
    */
   static async updateProfile(id, data) {
@@ -187,7 +216,7 @@ class User {
         throw new Error('User not found');
       }
 
-      const allowedFields = ['username', 'name', 'full_name', 'email', 'role', 'email_verified'];
+      const allowedFields = ['username', 'name', 'full_name', 'email', 'role', 'email_verified', 'static_ip'];
       const updates = [];
       const values = [];
 
@@ -273,6 +302,45 @@ class User {
     }
   }
 
+  /**
+   * Get the token version of a user
+   * Access tokens carrying an older version are rejected by verifyToken.
+   * @param {number} id - User ID
+   * @returns {Promise<number|null>} Token version or null if the user does not exist
+   */
+  static async getTokenVersion(id) {
+    try {
+      const [rows] = await pool.execute(
+        'SELECT token_version FROM users WHERE id = ? AND deleted_at IS NULL',
+        [id]
+      );
+
+      return rows.length > 0 ? rows[0].token_version : null;
+    } catch (error) {
+      logger.error('Error getting token version:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Increment the token version of a user, invalidating all issued access tokens
+   * @param {number} id - User ID
+   * @returns {Promise<boolean>} Success status
+   */
+  static async incrementTokenVersion(id) {
+    try {
+      const [result] = await pool.execute(
+        'UPDATE users SET token_version = token_version + 1 WHERE id = ?',
+        [id]
+      );
+
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('Error incrementing token version:', error);
+      throw error;
+    }
+  }
+
   /**
    * Soft delete user (mark as deleted)
    * @param {number} id - User ID
@@ -414,7 +482,7 @@ class User {
       // This avoids MySQL2 prepared statement parameter type issues
       if (safeOffset > 0) {
         dataQuery = `
-          SELECT id, username, email, name, role, email_verified, created_at, updated_at
+          SELECT id, username, email, name, role, email_verified, auth_source, disabled_at, created_at, updated_at
           FROM users
           ${whereClause}
           ORDER BY created_at DESC
@@ -423,7 +491,7 @@ class User {
         dataParams = values;
       } else {
         dataQuery = `
-          SELECT id, username, email, name, role, email_verified, created_at, updated_at
+          SELECT id, username, email, name, role, email_verified, auth_source, disabled_at, created_at, updated_at
           FROM users
           ${whereClause}
           ORDER BY created_at DESC
@@ -464,6 +532,170 @@ class User {
       throw error;
     }
   }
+
+  /**
+   * Find all users of an authentication source
+   * @param {string} authSource - 'local', 'ldap' or 'oidc'
+   * @returns {Promise<Array>} Users including disabled ones
+   */
+  static async findAllBySource(authSource) {
+    try {
+      const [rows] = await pool.execute(
+        `SELECT id, username, email, name, role, email_verified, external_id, external_dn,
+                directory_synced_at, disabled_at
+         FROM users
+         WHERE auth_source = ? AND deleted_at IS NULL`,
+        [authSource]
+      );
+      return rows;
+    } catch (error) {
+      logger.error('Error finding users by source:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a user imported from the directory
+   * Directory users are verified and sign in with their directory password;
+   * the local password is a random hash nobody knows.
+   * @param {Object} userData
+   * @param {string} userData.username - Username
+   * @param {string} userData.email - Email
+   * @param {string} userData.name - Display name
+   * @param {string} userData.role - Role
+   * @param {string} userData.externalId - Directory identifier
+   * @param {string} userData.externalDn - Distinguished name
+   * @returns {Promise<number>} User ID
+   */
+  static async createFromDirectory({ username, email, name, role, externalId, externalDn }) {
+    try {
+      const unusablePassword = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 12);
+
+      const [result] = await pool.execute(
+        `INSERT INTO users
+         (username, email, password, name, role, email_verified, auth_source, external_id, external_dn,
+          directory_synced_at, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, 1, 'ldap', ?, ?, NOW(), NOW(), NOW())`,
+        [username, email, unusablePassword, name, role, externalId, externalDn]
+      );
+
+      logger.info(`User imported from directory: ${email}`);
+
+      return result.insertId;
+    } catch (error) {
+      logger.error('Error creating directory user:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a user on their first single sign-on
+   * Single sign-on users have no usable local password.
+   * @param {Object} userData
+   * @param {string} userData.username - Username
+   * @param {string} userData.email - Email
+   * @param {string} userData.name - Display name
+   * @param {string} userData.role - Role
+   * @param {boolean} userData.emailVerified - Whether the provider verified the email
+   * @returns {Promise<number>} User ID
+   */
+  static async createFromIdentityProvider({ username, email, name, role, emailVerified }) {
+    try {
+      const unusablePassword = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 12);
+
+      const [result] = await pool.execute(
+        `INSERT INTO users
+         (username, email, password, name, role, email_verified, auth_source, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, 'oidc', NOW(), NOW())`,
+        [username, email, unusablePassword, name, role, emailVerified ? 1 : 0]
+      );
+
+      logger.info(`User created by single sign-on: ${email}`);
+
+      return result.insertId;
+    } catch (error) {
+      logger.error('Error creating single sign-on user:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether a username is used, including by deleted users
+   * @param {string} username - Username
+   * @returns {Promise<boolean>}
+   */
+  static async isUsernameTaken(username) {
+    try {
+      const [rows] = await pool.execute('SELECT 1 FROM users WHERE username = ? LIMIT 1', [username]);
+      return rows.length > 0;
+    } catch (error) {
+      logger.error('Error checking username:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the device limit of a user
+   * @param {number} userId - User ID
+   * @returns {Promise<number|null>} Maximum number of devices, null for no limit
+   */
+  static async getMaxDevices(userId) {
+    try {
+      const [rows] = await pool.execute('SELECT max_devices FROM users WHERE id = ?', [userId]);
+      return rows.length > 0 && rows[0].max_devices !== null ? Number(rows[0].max_devices) : null;
+    } catch (error) {
+      logger.error('Error getting device limit:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a user from its directory entry and enable it again
+   * @param {number} id - User ID
+   * @param {Object} userData - username, email, name, role, externalDn
+   * @returns {Promise<boolean>} Success status
+   */
+  static async updateFromDirectory(id, { username, email, name, role, externalDn }) {
+    try {
+      const [result] = await pool.execute(
+        `UPDATE users
+         SET username = ?, email = ?, name = ?, role = ?, external_dn = ?, email_verified = 1,
+             disabled_at = NULL, directory_synced_at = NOW(), updated_at = NOW()
+         WHERE id = ? AND deleted_at IS NULL`,
+        [username, email, name, role, externalDn, id]
+      );
+
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('Error updating directory user:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Disable a user
+   * Disabled users cannot sign in and are not synced to OpenVPN.
+   * @param {number} id - User ID
+   * @returns {Promise<boolean>} False if the user was already disabled
+   */
+  static async disable(id) {
+    try {
+      const [result] = await pool.execute(
+        `UPDATE users SET disabled_at = NOW(), updated_at = NOW()
+         WHERE id = ? AND disabled_at IS NULL AND deleted_at IS NULL`,
+        [id]
+      );
+
+      if (result.affectedRows > 0) {
+        logger.info(`User disabled: ID ${id}`);
+      }
+
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('Error disabling user:', error);
+      throw error;
+    }
+  }
 }
 
 module.exports = User;
@@ -0,0 +1,96 @@
+const pool = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * UserIdentity Model
+ * Accounts of an OpenID Connect provider linked to users.
+ * An identity is the provider's issuer URL plus the user's 'sub' claim there.
+ */
+class UserIdentity {
+  /**
+   * Link a provider account to a user
+   * @param {Object} identityData
+   * @param {number} identityData.userId - User ID
+   * @param {string} identityData.provider - Issuer URL
+   * @param {string} identityData.subject - 'sub' claim
+   * @param {string} [identityData.email] - Email claim
+   * @returns {Promise<number>} Identity ID
+   */
+  static async create({ userId, provider, subject, email = null }) {
+    try {
+      const [result] = await pool.execute(
+        `INSERT INTO user_identities (user_id, provider, subject, email, last_login_at)
+         VALUES (?, ?, ?, ?, NOW())`,
+        [userId, provider, subject, email]
+      );
+
+      logger.info(`Identity ${provider} linked to user ID: ${userId}`);
+
+      return result.insertId;
+    } catch (error) {
+      logger.error('Error creating user identity:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find an identity by provider and subject
+   * @param {string} provider - Issuer URL
+   * @param {string} subject - 'sub' claim
+   * @returns {Promise<Object|null>} Identity or null
+   */
+  static async findBySubject(provider, subject) {
+    try {
+      const [rows] = await pool.execute(
+        `SELECT * FROM user_identities WHERE provider = ? AND subject = ?`,
+        [provider, subject]
+      );
+      return rows.length > 0 ? rows[0] : null;
+    } catch (error) {
+      logger.error('Error finding user identity:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the identities linked to a user
+   * @param {number} userId - User ID
+   * @returns {Promise<Array>} Identities
+   */
+  static async findByUserId(userId) {
+    try {
+      const [rows] = await pool.execute(
+        `SELECT id, provider, subject, email, created_at, last_login_at
+         FROM user_identities
+         WHERE user_id = ?
+         ORDER BY created_at`,
+        [userId]
+      );
+      return rows;
+    } catch (error) {
+      logger.error('Error finding user identities:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a sign-in with an identity
+   * @param {number} id - Identity ID
+   * @param {string} [email] - Email claim of the sign-in
+   * @returns {Promise<boolean>} Success status
+   */
+  static async touch(id, email = null) {
+    try {
+      const [result] = await pool.execute(
+        `UPDATE user_identities SET last_login_at = NOW(), email = COALESCE(?, email) WHERE id = ?`,
+        [email, id]
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('Error updating user identity:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = UserIdentity;
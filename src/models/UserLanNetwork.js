@@ -163,6 +163,20 @@ class UserLanNetwork {
     return rows[0];
   }
 
+  /**
+   * Find the enabled LAN networks of all users that are not deleted
+   * @returns {Promise<Array>} Array of network objects
+   */
+  static async findAllEnabled() {
+    return db.query(
+      `SELECT ln.*
+       FROM user_lan_networks ln
+       JOIN users u ON ln.user_id = u.id
+       WHERE ln.enabled = 1 AND u.deleted_at IS NULL
+       ORDER BY ln.created_at ASC`
+    );
+  }
+
   /**
    * Get all LAN networks (admin function)
    * @param {number} page - Page number (default: 1)
@@ -221,6 +235,27 @@ class UserLanNetwork {
     return true;
   }
 
+  /**
+   * Check if a network is in a private IP range
+   * @param {string} cidr - Network in CIDR notation
+   * @returns {boolean} True if private network
+   */
+  static isPrivateNetwork(cidr) {
+    const [ip] = cidr.split('/');
+    const octets = ip.split('.').map(Number);
+
+    // 10.0.0.0/8
+    if (octets[0] === 10) return true;
+
+    // 172.16.0.0/12 (172.16.0.0 - 172.31.255.255)
+    if (octets[0] === 172 && octets[1] >= 16 && octets[1] <= 31) return true;
+
+    // 192.168.0.0/16
+    if (octets[0] === 192 && octets[1] === 168) return true;
+
+    return false;
+  }
+
   /**
    * Parse CIDR notation to extract network IP and subnet mask
    * @param {string} cidr - Network in CIDR notation (e.g., 192.168.1.0/24)
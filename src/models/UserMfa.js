@@ -0,0 +1,224 @@
+const pool = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * UserMfa Model
+ * TOTP secrets and recovery codes of users' two-factor authentication.
+ * Secrets are stored encrypted and recovery codes hashed; see services/mfaService.
+ */
+class UserMfa {
+  /**
+   * Find the two-factor authentication record of a user
+   * @param {number} userId - User ID
+   * @returns {Promise<Object|null>} { user_id, secret_encrypted, enabled_at, last_used_step } or null
+   */
+  static async findByUserId(userId) {
+    try {
+      const [rows] = await pool.execute('SELECT * FROM user_mfa WHERE user_id = ?', [userId]);
+      return rows.length > 0 ? rows[0] : null;
+    } catch (error) {
+      logger.error('Error finding user MFA record:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether a user has confirmed two-factor authentication
+   * @param {number} userId - User ID
+   * @returns {Promise<boolean>}
+   */
+  static async isEnabled(userId) {
+    try {
+      const [rows] = await pool.execute(
+        'SELECT COUNT(*) as count FROM user_mfa WHERE user_id = ? AND enabled_at IS NOT NULL',
+        [userId]
+      );
+      return rows[0].count > 0;
+    } catch (error) {
+      logger.error('Error checking user MFA status:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store a new secret awaiting confirmation
+   * Replaces a previous pending secret; an enabled secret is never replaced.
+   * @param {number} userId - User ID
+   * @param {string} secretEncrypted - Encrypted secret
+   * @returns {Promise<boolean>} Success status
+   */
+  static async savePendingSecret(userId, secretEncrypted) {
+    try {
+      await pool.execute(
+        `INSERT INTO user_mfa (user_id, secret_encrypted)
+         VALUES (?, ?)
+         ON DUPLICATE KEY UPDATE
+           secret_encrypted = IF(enabled_at IS NULL, VALUES(secret_encrypted), secret_encrypted),
+           last_used_step = IF(enabled_at IS NULL, NULL, last_used_step)`,
+        [userId, secretEncrypted]
+      );
+
+      return true;
+    } catch (error) {
+      logger.error('Error saving pending MFA secret:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Confirm enrollment and store the recovery codes
+   * @param {number} userId - User ID
+   * @param {number} step - TOTP time step of the confirming code
+   * @param {Array<string>} codeHashes - Hashed recovery codes
+   * @returns {Promise<boolean>} Success status
+   */
+  static async enable(userId, step, codeHashes) {
+    try {
+      await pool.transaction(async (connection) => {
+        const [result] = await connection.execute(
+          `UPDATE user_mfa SET enabled_at = NOW(), last_used_step = ?
+           WHERE user_id = ? AND enabled_at IS NULL`,
+          [step, userId]
+        );
+
+        if (result.affectedRows === 0) {
+          throw new Error('No pending two-factor enrollment');
+        }
+
+        await this.insertRecoveryCodes(connection, userId, codeHashes);
+      });
+
+      logger.info(`Two-factor authentication enabled for user ID: ${userId}`);
+
+      return true;
+    } catch (error) {
+      logger.error('Error enabling MFA:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record the time step of an accepted code (prevents replay)
+   * Only moves forward, so two concurrent logins cannot both use the same code.
+   * @param {number} userId - User ID
+   * @param {number} step - TOTP time step
+   * @returns {Promise<boolean>} False if the step was already used
+   */
+  static async markStepUsed(userId, step) {
+    try {
+      const [result] = await pool.execute(
+        `UPDATE user_mfa SET last_used_step = ?
+         WHERE user_id = ? AND (last_used_step IS NULL OR last_used_step < ?)`,
+        [step, userId, step]
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('Error recording MFA time step:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the recovery codes of a user
+   * @param {number} userId - User ID
+   * @param {Array<string>} codeHashes - Hashed recovery codes
+   * @returns {Promise<boolean>} Success status
+   */
+  static async replaceRecoveryCodes(userId, codeHashes) {
+    try {
+      await pool.transaction(async (connection) => {
+        await connection.execute('DELETE FROM user_mfa_recovery_codes WHERE user_id = ?', [userId]);
+        await this.insertRecoveryCodes(connection, userId, codeHashes);
+      });
+
+      logger.info(`MFA recovery codes regenerated for user ID: ${userId}`);
+
+      return true;
+    } catch (error) {
+      logger.error('Error replacing MFA recovery codes:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Insert recovery codes within a transaction
+   * @private
+   */
+  static async insertRecoveryCodes(connection, userId, codeHashes) {
+    for (const hash of codeHashes) {
+      await connection.execute(
+        'INSERT INTO user_mfa_recovery_codes (user_id, code_hash) VALUES (?, ?)',
+        [userId, hash]
+      );
+    }
+  }
+
+  /**
+   * Use a recovery code
+   * @param {number} userId - User ID
+   * @param {string} codeHash - Hashed recovery code
+   * @returns {Promise<boolean>} True if the code existed and was unused
+   */
+  static async useRecoveryCode(userId, codeHash) {
+    try {
+      const [result] = await pool.execute(
+        `UPDATE user_mfa_recovery_codes SET used_at = NOW()
+         WHERE user_id = ? AND code_hash = ? AND used_at IS NULL`,
+        [userId, codeHash]
+      );
+
+      if (result.affectedRows > 0) {
+        logger.info(`MFA recovery code used by user ID: ${userId}`);
+      }
+
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('Error using MFA recovery code:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Count the unused recovery codes of a user
+   * @param {number} userId - User ID
+   * @returns {Promise<number>}
+   */
+  static async countRecoveryCodes(userId) {
+    try {
+      const [rows] = await pool.execute(
+        'SELECT COUNT(*) as count FROM user_mfa_recovery_codes WHERE user_id = ? AND used_at IS NULL',
+        [userId]
+      );
+      return rows[0].count;
+    } catch (error) {
+      logger.error('Error counting MFA recovery codes:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove two-factor authentication of a user (secret and recovery codes)
+   * @param {number} userId - User ID
+   * @returns {Promise<boolean>} True if two-factor authentication was set up
+   */
+  static async deleteByUserId(userId) {
+    try {
+      const deleted = await pool.transaction(async (connection) => {
+        await connection.execute('DELETE FROM user_mfa_recovery_codes WHERE user_id = ?', [userId]);
+        const [result] = await connection.execute('DELETE FROM user_mfa WHERE user_id = ?', [userId]);
+        return result.affectedRows > 0;
+      });
+
+      if (deleted) {
+        logger.info(`Two-factor authentication removed for user ID: ${userId}`);
+      }
+
+      return deleted;
+    } catch (error) {
+      logger.error('Error removing user MFA:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = UserMfa;
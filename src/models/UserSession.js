@@ -0,0 +1,172 @@
+const pool = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * UserSession Model
+ * Login sessions and their rotating refresh tokens.
+ * Only SHA-256 hashes of refresh tokens are stored; see services/sessionService.
+ */
+class UserSession {
+  /**
+   * Create a session
+   * @param {Object} sessionData
+   * @param {number} sessionData.userId - User ID
+   * @param {string} sessionData.refreshTokenHash - Hashed refresh token
+   * @param {Date} sessionData.expiresAt - Refresh token expiry
+   * @param {string} [sessionData.ipAddress] - Client IP address
+   * @param {string} [sessionData.userAgent] - Client user agent
+   * @returns {Promise<number>} Session ID
+   */
+  static async create({ userId, refreshTokenHash, expiresAt, ipAddress = null, userAgent = null }) {
+    try {
+      const [result] = await pool.execute(
+        `INSERT INTO user_sessions (user_id, refresh_token_hash, expires_at, ip_address, user_agent)
+         VALUES (?, ?, ?, ?, ?)`,
+        [userId, refreshTokenHash, expiresAt, ipAddress, userAgent ? userAgent.substring(0, 255) : null]
+      );
+
+      return result.insertId;
+    } catch (error) {
+      logger.error('Error creating user session:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a session by its current or previous refresh token
+   * @param {string} tokenHash - Hashed refresh token
+   * @returns {Promise<Object|null>} Session with is_previous_token set, or null
+   */
+  static async findByTokenHash(tokenHash) {
+    try {
+      const [rows] = await pool.execute(
+        `SELECT *, refresh_token_hash <> ? as is_previous_token
+         FROM user_sessions
+         WHERE refresh_token_hash = ? OR previous_token_hash = ?
+         LIMIT 1`,
+        [tokenHash, tokenHash, tokenHash]
+      );
+
+      if (rows.length === 0) {
+        return null;
+      }
+
+      return { ...rows[0], is_previous_token: !!rows[0].is_previous_token };
+    } catch (error) {
+      logger.error('Error finding user session:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the active sessions of a user
+   * @param {number} userId - User ID
+   * @returns {Promise<Array>} Sessions, most recently used first
+   */
+  static async findActiveByUserId(userId) {
+    try {
+      const [rows] = await pool.execute(
+        `SELECT id, ip_address, user_agent, expires_at, last_used_at, created_at
+         FROM user_sessions
+         WHERE user_id = ? AND revoked_at IS NULL AND expires_at > NOW()
+         ORDER BY COALESCE(last_used_at, created_at) DESC`,
+        [userId]
+      );
+      return rows;
+    } catch (error) {
+      logger.error('Error finding active user sessions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the refresh token of a session
+   * Only succeeds while the expected token is still current, so two
+   * concurrent refreshes with the same token cannot both rotate it.
+   * @param {number} id - Session ID
+   * @param {string} currentHash - Hash of the presented refresh token
+   * @param {string} newHash - Hash of the new refresh token
+   * @param {Date} expiresAt - New refresh token expiry
+   * @returns {Promise<boolean>} False if the token was already rotated or revoked
+   */
+  static async rotate(id, currentHash, newHash, expiresAt) {
+    try {
+      const [result] = await pool.execute(
+        `UPDATE user_sessions
+         SET previous_token_hash = refresh_token_hash, refresh_token_hash = ?,
+             expires_at = ?, last_used_at = NOW()
+         WHERE id = ? AND refresh_token_hash = ? AND revoked_at IS NULL`,
+        [newHash, expiresAt, id, currentHash]
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('Error rotating refresh token:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke a session
+   * @param {number} id - Session ID
+   * @param {string} reason - Revoke reason
+   * @returns {Promise<boolean>} False if the session was already revoked
+   */
+  static async revoke(id, reason) {
+    try {
+      const [result] = await pool.execute(
+        `UPDATE user_sessions SET revoked_at = NOW(), revoke_reason = ?
+         WHERE id = ? AND revoked_at IS NULL`,
+        [reason, id]
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('Error revoking user session:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke all sessions of a user
+   * @param {number} userId - User ID
+   * @param {string} reason - Revoke reason
+   * @returns {Promise<number>} Number of sessions revoked
+   */
+  static async revokeAllByUserId(userId, reason) {
+    try {
+      const [result] = await pool.execute(
+        `UPDATE user_sessions SET revoked_at = NOW(), revoke_reason = ?
+         WHERE user_id = ? AND revoked_at IS NULL`,
+        [reason, userId]
+      );
+      return result.affectedRows;
+    } catch (error) {
+      logger.error('Error revoking user sessions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete expired and revoked sessions
+   * @param {number} [retentionDays=30] - Days revoked sessions are kept
+   * @returns {Promise<number>} Number of sessions deleted
+   */
+  static async deleteExpired(retentionDays = 30) {
+    try {
+      const [result] = await pool.execute(
+        `DELETE FROM user_sessions
+         WHERE expires_at < NOW()
+            OR (revoked_at IS NOT NULL AND revoked_at < DATE_SUB(NOW(), INTERVAL ? DAY))`,
+        [retentionDays]
+      );
+
+      logger.info(`Deleted ${result.affectedRows} expired user sessions`);
+
+      return result.affectedRows;
+    } catch (error) {
+      logger.error('Error deleting expired user sessions:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = UserSession;
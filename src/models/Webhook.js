@@ -0,0 +1,189 @@
+const pool = require('../config/database');
+const logger = require('../utils/logger');
+
+const LIST_COLUMNS = `w.id, w.name, w.url, w.events, w.is_active, w.created_by,
+  w.created_at, w.updated_at`;
+
+/**
+ * Convert the stored event list to an array
+ * mysql2 returns JSON columns parsed already; strings are parsed for safety.
+ * @private
+ */
+const parseRow = (row) => ({
+  ...row,
+  events: typeof row.events === 'string' ? JSON.parse(row.events) : (row.events || []),
+  is_active: !!row.is_active
+});
+
+/**
+ * Webhook Model
+ * Webhook endpoints receiving lifecycle events; see services/webhookService.
+ * The signing secret is stored encrypted and never returned by the list and
+ * find methods, only by findWithSecret for delivery.
+ */
+class Webhook {
+  /**
+   * Create a webhook
+   * @param {Object} webhookData
+   * @param {string} webhookData.name - Display name
+   * @param {string} webhookData.url - Endpoint URL
+   * @param {string} webhookData.secretEncrypted - Encrypted signing secret
+   * @param {Array<string>} webhookData.events - Subscribed event types
+   * @param {boolean} [webhookData.isActive=true] - Deliver events
+   * @param {number} [webhookData.createdBy] - Administrator creating it
+   * @returns {Promise<Object>} Created webhook (without secret)
+   */
+  static async create({ name, url, secretEncrypted, events, isActive = true, createdBy = null }) {
+    try {
+      const [result] = await pool.execute(
+        `INSERT INTO webhooks (name, url, secret_encrypted, events, is_active, created_by)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [name, url, secretEncrypted, JSON.stringify(events), isActive, createdBy]
+      );
+
+      logger.info(`Webhook created: ID ${result.insertId} (${url})`);
+
+      return this.findById(result.insertId);
+    } catch (error) {
+      logger.error('Error creating webhook:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a webhook by ID
+   * @param {number} id - Webhook ID
+   * @returns {Promise<Object|null>} Webhook (without secret) or null
+   */
+  static async findById(id) {
+    try {
+      const [rows] = await pool.execute(
+        `SELECT ${LIST_COLUMNS} FROM webhooks w WHERE w.id = ?`,
+        [id]
+      );
+      return rows.length > 0 ? parseRow(rows[0]) : null;
+    } catch (error) {
+      logger.error('Error finding webhook by ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a webhook with its encrypted secret
+   * @param {number} id - Webhook ID
+   * @returns {Promise<Object|null>} Webhook with secret_encrypted or null
+   */
+  static async findWithSecret(id) {
+    try {
+      const [rows] = await pool.execute(
+        `SELECT ${LIST_COLUMNS}, w.secret_encrypted FROM webhooks w WHERE w.id = ?`,
+        [id]
+      );
+      return rows.length > 0 ? parseRow(rows[0]) : null;
+    } catch (error) {
+      logger.error('Error finding webhook secret:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find all webhooks with their delivery statistics of the last 24 hours
+   * @returns {Promise<Array>} Webhooks, newest first
+   */
+  static async findAll() {
+    try {
+      const [rows] = await pool.execute(
+        `SELECT ${LIST_COLUMNS}, u.email as created_by_email,
+                (SELECT COUNT(*) FROM webhook_deliveries d
+                 WHERE d.webhook_id = w.id AND d.status = 'failed'
+                   AND d.created_at >= DATE_SUB(NOW(), INTERVAL 1 DAY)) as failed_last_day,
+                (SELECT COUNT(*) FROM webhook_deliveries d
+                 WHERE d.webhook_id = w.id AND d.status = 'pending') as pending_deliveries
+         FROM webhooks w
+         LEFT JOIN users u ON u.id = w.created_by
+         ORDER BY w.created_at DESC`
+      );
+      return rows.map(parseRow);
+    } catch (error) {
+      logger.error('Error finding webhooks:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the active webhooks subscribed to an event type
+   * @param {string} eventType - Event type
+   * @returns {Promise<Array>} Webhooks (without secret)
+   */
+  static async findSubscribed(eventType) {
+    try {
+      const [rows] = await pool.execute(
+        `SELECT ${LIST_COLUMNS} FROM webhooks w
+         WHERE w.is_active = TRUE AND JSON_CONTAINS(w.events, JSON_QUOTE(?))`,
+        [eventType]
+      );
+      return rows.map(parseRow);
+    } catch (error) {
+      logger.error('Error finding webhooks subscribed to event:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a webhook
+   * @param {number} id - Webhook ID
+   * @param {Object} updates - Fields to update (name, url, events, is_active, secret_encrypted)
+   * @returns {Promise<boolean>} True if the webhook exists
+   */
+  static async update(id, updates) {
+    try {
+      const allowedFields = ['name', 'url', 'events', 'is_active', 'secret_encrypted'];
+      const fields = [];
+      const values = [];
+
+      for (const field of allowedFields) {
+        if (updates[field] !== undefined) {
+          fields.push(`${field} = ?`);
+          values.push(field === 'events' ? JSON.stringify(updates[field]) : updates[field]);
+        }
+      }
+
+      if (fields.length === 0) {
+        return true;
+      }
+
+      values.push(id);
+      const [result] = await pool.execute(
+        `UPDATE webhooks SET ${fields.join(', ')} WHERE id = ?`,
+        values
+      );
+
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('Error updating webhook:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a webhook and its delivery log
+   * @param {number} id - Webhook ID
+   * @returns {Promise<boolean>} True if deleted
+   */
+  static async delete(id) {
+    try {
+      const [result] = await pool.execute('DELETE FROM webhooks WHERE id = ?', [id]);
+
+      if (result.affectedRows > 0) {
+        logger.info(`Webhook deleted: ID ${id}`);
+      }
+
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('Error deleting webhook:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = Webhook;
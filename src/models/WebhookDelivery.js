@@ -0,0 +1,240 @@
+const pool = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * Parse the JSON payload of a delivery row
+ * @private
+ */
+const parseRow = (row) => ({
+  ...row,
+  payload: typeof row.payload === 'string' ? JSON.parse(row.payload) : row.payload
+});
+
+/**
+ * WebhookDelivery Model
+ * Delivery log of webhook events; see services/webhookService.
+ */
+class WebhookDelivery {
+  /**
+   * Create a pending delivery
+   * @param {Object} deliveryData
+   * @param {number} deliveryData.webhookId - Webhook ID
+   * @param {string} deliveryData.eventId - Event ID (UUID)
+   * @param {string} deliveryData.eventType - Event type
+   * @param {Object} deliveryData.payload - Request body
+   * @param {Date} deliveryData.nextAttemptAt - When the retry worker may pick it up
+   * @returns {Promise<number>} Delivery ID
+   */
+  static async create({ webhookId, eventId, eventType, payload, nextAttemptAt }) {
+    try {
+      const [result] = await pool.execute(
+        `INSERT INTO webhook_deliveries (webhook_id, event_id, event_type, payload, next_attempt_at)
+         VALUES (?, ?, ?, ?, ?)`,
+        [webhookId, eventId, eventType, JSON.stringify(payload), nextAttemptAt]
+      );
+      return result.insertId;
+    } catch (error) {
+      logger.error('Error creating webhook delivery:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a delivery by ID
+   * @param {number} id - Delivery ID
+   * @returns {Promise<Object|null>} Delivery or null
+   */
+  static async findById(id) {
+    try {
+      const [rows] = await pool.execute(
+        'SELECT * FROM webhook_deliveries WHERE id = ?',
+        [id]
+      );
+      return rows.length > 0 ? parseRow(rows[0]) : null;
+    } catch (error) {
+      logger.error('Error finding webhook delivery by ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get deliveries with pagination and filtering
+   * @param {number} [page=1] - Page number
+   * @param {number} [limit=20] - Items per page
+   * @param {Object} [filters={}] - Filter options
+   * @param {number} [filters.webhook_id] - Only deliveries of this webhook
+   * @param {string} [filters.status] - pending, succeeded or failed
+   * @param {string} [filters.event_type] - Event type
+   * @returns {Promise<Object>} Object with data array and pagination info
+   */
+  static async findAll(page = 1, limit = 20, filters = {}) {
+    try {
+      const pageNum = Math.max(1, parseInt(page, 10) || 1);
+      const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+      const offset = (pageNum - 1) * limitNum;
+
+      const conditions = [];
+      const values = [];
+
+      if (filters.webhook_id) {
+        conditions.push('webhook_id = ?');
+        values.push(filters.webhook_id);
+      }
+
+      if (filters.status) {
+        conditions.push('status = ?');
+        values.push(filters.status);
+      }
+
+      if (filters.event_type) {
+        conditions.push('event_type = ?');
+        values.push(filters.event_type);
+      }
+
+      const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+      const [countResult] = await pool.execute(
+        `SELECT COUNT(*) as total FROM webhook_deliveries ${whereClause}`,
+        values
+      );
+      const total = countResult[0].total;
+
+      // LIMIT/OFFSET are embedded as literals to avoid MySQL2 prepared statement type issues
+      const [rows] = await pool.execute(
+        `SELECT * FROM webhook_deliveries
+         ${whereClause}
+         ORDER BY created_at DESC, id DESC
+         LIMIT ${limitNum} OFFSET ${offset}`,
+        values
+      );
+
+      return {
+        data: rows.map(parseRow),
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          totalPages: Math.ceil(total / limitNum)
+        }
+      };
+    } catch (error) {
+      logger.error('Error finding webhook deliveries:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find pending deliveries that are due for an attempt
+   * @param {number} [limit=50] - Maximum number of deliveries
+   * @returns {Promise<Array>} Deliveries, oldest first
+   */
+  static async findDue(limit = 50) {
+    try {
+      const limitNum = Math.max(1, parseInt(limit, 10) || 50);
+      const [rows] = await pool.execute(
+        `SELECT * FROM webhook_deliveries
+         WHERE status = 'pending' AND next_attempt_at <= NOW()
+         ORDER BY next_attempt_at, id
+         LIMIT ${limitNum}`
+      );
+      return rows.map(parseRow);
+    } catch (error) {
+      logger.error('Error finding due webhook deliveries:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Claim a due delivery for an attempt
+   * Moves next_attempt_at past the attempt, so another worker (or the next
+   * run of this one) does not send it at the same time.
+   * @param {number} id - Delivery ID
+   * @param {number} leaseSeconds - How long the claim holds
+   * @returns {Promise<boolean>} False if the delivery is not due anymore
+   */
+  static async claim(id, leaseSeconds) {
+    try {
+      const [result] = await pool.execute(
+        `UPDATE webhook_deliveries
+         SET next_attempt_at = DATE_ADD(NOW(), INTERVAL ? SECOND)
+         WHERE id = ? AND status = 'pending' AND next_attempt_at <= NOW()`,
+        [leaseSeconds, id]
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('Error claiming webhook delivery:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record the outcome of a delivery attempt
+   * @param {number} id - Delivery ID
+   * @param {Object} attempt
+   * @param {string} attempt.status - pending (retry), succeeded or failed
+   * @param {Date|null} attempt.nextAttemptAt - Next retry, null unless pending
+   * @param {number|null} attempt.responseStatus - HTTP status
+   * @param {string|null} attempt.responseBody - Truncated response body
+   * @param {string|null} attempt.error - Error of a failed attempt
+   * @param {number} attempt.durationMs - Request duration
+   * @returns {Promise<boolean>} True if the delivery was updated
+   */
+  static async recordAttempt(id, { status, nextAttemptAt, responseStatus, responseBody, error, durationMs }) {
+    try {
+      const [result] = await pool.execute(
+        `UPDATE webhook_deliveries
+         SET status = ?, attempts = attempts + 1, last_attempt_at = NOW(), next_attempt_at = ?,
+             response_status = ?, response_body = ?, error = ?, duration_ms = ?,
+             delivered_at = IF(? = 'succeeded', NOW(), delivered_at)
+         WHERE id = ?`,
+        [status, nextAttemptAt, responseStatus, responseBody, error, durationMs, status, id]
+      );
+      return result.affectedRows > 0;
+    } catch (err) {
+      logger.error('Error recording webhook delivery attempt:', err);
+      throw err;
+    }
+  }
+
+  /**
+   * Queue a delivery again with a fresh set of attempts
+   * @param {number} id - Delivery ID
+   * @param {Date} nextAttemptAt - When the retry worker may pick it up
+   * @returns {Promise<boolean>} True if the delivery exists
+   */
+  static async requeue(id, nextAttemptAt) {
+    try {
+      const [result] = await pool.execute(
+        `UPDATE webhook_deliveries
+         SET status = 'pending', attempts = 0, next_attempt_at = ?
+         WHERE id = ?`,
+        [nextAttemptAt, id]
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('Error requeuing webhook delivery:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete finished deliveries older than the retention period
+   * @param {number} days - Retention in days
+   * @returns {Promise<number>} Number of deleted deliveries
+   */
+  static async deleteOlderThan(days) {
+    try {
+      const [result] = await pool.execute(
+        `DELETE FROM webhook_deliveries
+         WHERE status != 'pending' AND created_at < DATE_SUB(NOW(), INTERVAL ? DAY)`,
+        [days]
+      );
+      return result.affectedRows;
+    } catch (error) {
+      logger.error('Error deleting old webhook deliveries:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = WebhookDelivery;
@@ -7,12 +7,46 @@ const User = require('./User');
 const VerificationToken = require('./VerificationToken');
 const ConfigFile = require('./ConfigFile');
 const QosPolicy = require('./QosPolicy');
+const QosSchedule = require('./QosSchedule');
 const Device = require('./Device');
+const ConnectionSession = require('./ConnectionSession');
+const BandwidthUsage = require('./BandwidthUsage');
+const QuotaNotification = require('./QuotaNotification');
+const UserMfa = require('./UserMfa');
+const SecuritySetting = require('./SecuritySetting');
+const UserSession = require('./UserSession');
+const ApiToken = require('./ApiToken');
+const Group = require('./Group');
+const GroupLanNetwork = require('./GroupLanNetwork');
+const AuditEvent = require('./AuditEvent');
+const UserIdentity = require('./UserIdentity');
+const OidcLoginRequest = require('./OidcLoginRequest');
+const Webhook = require('./Webhook');
+const WebhookDelivery = require('./WebhookDelivery');
+const CertificateAuthority = require('./CertificateAuthority');
+const IssuedCertificate = require('./IssuedCertificate');
 
 module.exports = {
   User,
   VerificationToken,
   ConfigFile,
   QosPolicy,
-  Device
+  QosSchedule,
+  Device,
+  ConnectionSession,
+  BandwidthUsage,
+  QuotaNotification,
+  UserMfa,
+  SecuritySetting,
+  UserSession,
+  ApiToken,
+  Group,
+  GroupLanNetwork,
+  AuditEvent,
+  UserIdentity,
+  OidcLoginRequest,
+  Webhook,
+  WebhookDelivery,
+  CertificateAuthority,
+  IssuedCertificate
 };
@@ -1,18 +1,22 @@
 const express = require('express');
 const router = express.Router();
 const adminController = require('../controllers/adminController');
-const { verifyToken, isAdmin } = require('../middleware/authMiddleware');
-const { updateUserSchema, validate } = require('../middleware/validator');
+const apiTokenController = require('../controllers/apiTokenController');
+const liveController = require('../controllers/liveController');
+const webhookController = require('../controllers/webhookController');
+const pkiController = require('../controllers/pkiController');
+const { verifyToken, requirePermission } = require('../middleware/authMiddleware');
+const { updateUserSchema, paginationSchema, sessionQuerySchema, disconnectSchema, usageQuerySchema, auditQuerySchema, mfaPolicySchema, devicePolicySchema, deviceReviewSchema, deviceQuerySchema, apiTokenIdParamSchema, webhookCreateSchema, webhookUpdateSchema, webhookIdParamSchema, webhookDeliveryQuerySchema, validate } = require('../middleware/validator');
 
 /**
  * Admin Routes
- * All routes require authentication and admin role
+ * All routes require authentication; each route requires a permission of the
+ * user's role (administrators hold all of them, see services/permissionService)
  * Base path: /api/admin
  */
 
-// Apply authentication and admin check to all routes
+// Apply authentication to all routes
 router.use(verifyToken);
-router.use(isAdmin);
 
 /**
  * User Management Routes
@@ -21,51 +25,133 @@ router.use(isAdmin);
 /**
  * @route   GET /api/admin/users
  * @desc    Get all users with pagination, search, and filtering
- * @access  Admin only
+ * @access  Staff (users:read)
  * @query   {number} page - Page number (default: 1)
  * @query   {number} limit - Items per page (default: 10, max: 100)
  * @query   {string} search - Search in email and name fields
- * @query   {string} role - Filter by role (user/admin)
+ * @query   {string} role - Filter by role (user/admin/helpdesk/network-operator/auditor)
  * @query   {string} verified - Filter by email_verified status (true/false)
  */
-router.get('/users', adminController.getAllUsers);
+router.get('/users', requirePermission('users:read'), adminController.getAllUsers);
 
 /**
  * @route   GET /api/admin/users/:id
  * @desc    Get specific user by ID with detailed information
- * @access  Admin only
+ * @access  Staff (users:read)
  * @param   {string} id - User ID
  */
-router.get('/users/:id', adminController.getUserById);
+router.get('/users/:id', requirePermission('users:read'), adminController.getUserById);
 
 /**
  * @route   PUT /api/admin/users/:id
  * @desc    Update user information
- * @access  Admin only
+ * @access  Staff (users:write)
  * @param   {string} id - User ID
  * @body    {string} [username] - User's username
  * @body    {string} [email] - User's email
- * @body    {string} [role] - User's role (user/admin)
+ * @body    {string} [role] - User's role (user/admin/helpdesk/network-operator/auditor)
  * @body    {boolean} [email_verified] - Email verification status
+ * @body    {string|null} [static_ip] - Static VPN address pushed on connect (empty = dynamic)
  */
-router.put('/users/:id', updateUserSchema, validate, adminController.updateUser);
+router.put('/users/:id', requirePermission('users:write'), updateUserSchema, validate, adminController.updateUser);
 
 /**
  * @route   DELETE /api/admin/users/:id
  * @desc    Delete user (soft or hard delete)
- * @access  Admin only
+ * @access  Staff (users:write)
  * @param   {string} id - User ID
  * @query   {string} hard - Set to 'true' for permanent deletion (default: soft delete)
  */
-router.delete('/users/:id', adminController.deleteUser);
+router.delete('/users/:id', requirePermission('users:write'), adminController.deleteUser);
 
 /**
  * @route   POST /api/admin/users/:id/reset-password
  * @desc    Trigger password reset for a user (sends reset email)
- * @access  Admin only
+ * @access  Staff (users:reset-password)
  * @param   {string} id - User ID
  */
-router.post('/users/:id/reset-password', adminController.resetUserPassword);
+router.post('/users/:id/reset-password', requirePermission('users:reset-password'), adminController.resetUserPassword);
+
+/**
+ * @route   POST /api/admin/users/:id/resend-verification
+ * @desc    Send a new email verification link to a user
+ * @access  Staff (users:resend-verification)
+ * @param   {string} id - User ID
+ */
+router.post('/users/:id/resend-verification', requirePermission('users:resend-verification'), adminController.resendUserVerification);
+
+/**
+ * @route   POST /api/admin/users/:id/revoke-sessions
+ * @desc    Log a user out of all web sessions (refresh tokens and access tokens)
+ * @access  Staff (users:sessions-revoke)
+ * @param   {string} id - User ID
+ */
+router.post('/users/:id/revoke-sessions', requirePermission('users:sessions-revoke'), adminController.revokeUserSessions);
+
+/**
+ * @route   DELETE /api/admin/users/:id/mfa
+ * @desc    Reset a user's two-factor authentication (removes secret and recovery codes)
+ * @access  Staff (users:mfa-reset)
+ * @param   {string} id - User ID
+ */
+router.delete('/users/:id/mfa', requirePermission('users:mfa-reset'), adminController.resetUserMfa);
+
+/**
+ * Security Policy Routes
+ */
+
+/**
+ * @route   GET /api/admin/security/mfa-policy
+ * @desc    Get the two-factor authentication policy
+ * @access  Staff (security:read)
+ */
+router.get('/security/mfa-policy', requirePermission('security:read'), adminController.getMfaPolicy);
+
+/**
+ * @route   PUT /api/admin/security/mfa-policy
+ * @desc    Require (or stop requiring) two-factor authentication for administrators
+ * @access  Staff (security:write)
+ * @body    {boolean} required_for_admins
+ */
+router.put('/security/mfa-policy', requirePermission('security:write'), mfaPolicySchema, validate, adminController.updateMfaPolicy);
+
+/**
+ * @route   GET /api/admin/security/device-policy
+ * @desc    Get whether new devices require approval
+ * @access  Staff (security:read)
+ */
+router.get('/security/device-policy', requirePermission('security:read'), adminController.getDevicePolicy);
+
+/**
+ * @route   PUT /api/admin/security/device-policy
+ * @desc    Require (or stop requiring) administrator approval of enrolled devices
+ * @access  Staff (security:write)
+ * @body    {boolean} approval_required
+ */
+router.put('/security/device-policy', requirePermission('security:write'), devicePolicySchema, validate, adminController.updateDevicePolicy);
+
+/**
+ * @route   GET /api/admin/roles
+ * @desc    List roles with their permissions
+ * @access  Staff (security:read)
+ */
+router.get('/roles', requirePermission('security:read'), adminController.getRoles);
+
+/**
+ * @route   GET /api/admin/api-tokens
+ * @desc    List active personal API tokens of all users
+ * @access  Staff (api-tokens:read)
+ * @query   {number} user_id - Only tokens of this user
+ */
+router.get('/api-tokens', requirePermission('api-tokens:read'), apiTokenController.listAllTokens);
+
+/**
+ * @route   DELETE /api/admin/api-tokens/:id
+ * @desc    Revoke any personal API token
+ * @access  Staff (api-tokens:revoke)
+ * @param   {string} id - Token ID
+ */
+router.delete('/api-tokens/:id', requirePermission('api-tokens:revoke'), apiTokenIdParamSchema, validate, apiTokenController.revokeAnyToken);
 
 /**
  * System Statistics Routes
@@ -74,10 +160,10 @@ router.post('/users/:id/reset-password', adminController.resetUserPassword);
 /**
  * @route   GET /api/admin/stats
  * @desc    Get system statistics
- * @access  Admin only
+ * @access  Staff (stats:read)
  * @returns {object} System stats including users, configs, policies, and system info
  */
-router.get('/stats', adminController.getSystemStats);
+router.get('/stats', requirePermission('stats:read'), adminController.getSystemStats);
 
 /**
  * Configuration Management Routes
@@ -86,19 +172,19 @@ router.get('/stats', adminController.getSystemStats);
 /**
  * @route   GET /api/admin/configs
  * @desc    Get all VPN configurations with pagination
- * @access  Admin only
+ * @access  Staff (configs:read)
  * @query   {number} page - Page number (default: 1)
  * @query   {number} limit - Items per page (default: 10, max: 100)
  */
-router.get('/configs', adminController.getAllConfigs);
+router.get('/configs', requirePermission('configs:read'), adminController.getAllConfigs);
 
 /**
  * @route   DELETE /api/admin/configs/:id
  * @desc    Delete VPN configuration file
- * @access  Admin only
+ * @access  Staff (configs:delete)
  * @param   {string} id - Configuration ID
  */
-router.delete('/configs/:id', adminController.deleteConfig);
+router.delete('/configs/:id', requirePermission('configs:delete'), adminController.deleteConfig);
 
 /**
  * Maintenance Routes
@@ -106,11 +192,11 @@ router.delete('/configs/:id', adminController.deleteConfig);
 
 /**
  * @route   POST /api/admin/cleanup-tokens
- * @desc    Clean up expired verification tokens
- * @access  Admin only
- * @returns {object} Count of deleted tokens
+ * @desc    Clean up expired verification tokens and expired or revoked login sessions
+ * @access  Staff (system:maintenance)
+ * @returns {object} Count of deleted tokens and sessions
  */
-router.post('/cleanup-tokens', adminController.cleanupExpiredTokens);
+router.post('/cleanup-tokens', requirePermission('system:maintenance'), adminController.cleanupExpiredTokens);
 
 /**
  * Device Management Routes
@@ -119,10 +205,234 @@ router.post('/cleanup-tokens', adminController.cleanupExpiredTokens);
 /**
  * @route   GET /api/admin/devices
  * @desc    Get all devices across all users with pagination
- * @access  Admin only
+ * @access  Staff (devices:read)
+ * @query   {number} page - Page number (default: 1)
+ * @query   {number} limit - Items per page (default: 20, max: 100)
+ * @query   {string} enrollment_status - Filter by enrollment status (unenrolled/pending/approved/rejected)
+ */
+router.get('/devices', requirePermission('devices:read'), deviceQuerySchema, validate, adminController.getAllDevices);
+
+/**
+ * @route   POST /api/admin/devices/:id/approve
+ * @desc    Approve an enrolled device so its profile can be downloaded
+ * @access  Staff (devices:approve)
+ */
+router.post('/devices/:id/approve', requirePermission('devices:approve'), deviceReviewSchema, validate, adminController.approveDevice);
+
+/**
+ * @route   POST /api/admin/devices/:id/reject
+ * @desc    Reject an enrolled device; its profiles are revoked and a connected device is disconnected
+ * @access  Staff (devices:approve)
+ * @body    {string} reason - Reason shown to the user (optional)
+ */
+router.post('/devices/:id/reject', requirePermission('devices:approve'), deviceReviewSchema, validate, adminController.rejectDevice);
+
+/**
+ * Connection Session Routes
+ */
+
+/**
+ * @route   GET /api/admin/sessions
+ * @desc    Get VPN connection history across all users with pagination
+ * @access  Staff (sessions:read)
  * @query   {number} page - Page number (default: 1)
  * @query   {number} limit - Items per page (default: 20, max: 100)
+ * @query   {number} user_id - Filter by user ID
+ * @query   {number} device_id - Filter by device ID
+ * @query   {string} status - Filter by session status (active/closed)
+ * @query   {string} search - Search in username, real IP and VPN IP
+ * @query   {string} from - Only sessions still connected at or after this time (ISO 8601)
+ * @query   {string} to - Only sessions started at or before this time (ISO 8601)
+ */
+router.get('/sessions', requirePermission('sessions:read'), paginationSchema, sessionQuerySchema, validate, adminController.getAllSessions);
+
+/**
+ * @route   POST /api/admin/sessions/:id/disconnect
+ * @desc    Disconnect a live VPN session (the Access Server drops all sessions of its
+ *          OpenVPN user; the community server only drops the requested session)
+ * @access  Staff (sessions:disconnect)
+ * @param   {string} id - Session ID
+ * @body    {string} reason - Why the session is disconnected (optional, recorded)
+ */
+router.post('/sessions/:id/disconnect', requirePermission('sessions:disconnect'), disconnectSchema, validate, adminController.disconnectSession);
+
+/**
+ * @route   POST /api/admin/users/:id/disconnect-all
+ * @desc    Disconnect every live VPN session of a user
+ * @access  Staff (sessions:disconnect)
+ * @param   {string} id - User ID
+ * @body    {string} reason - Why the user is disconnected (optional, recorded)
+ */
+router.post('/users/:id/disconnect-all', requirePermission('sessions:disconnect'), disconnectSchema, validate, adminController.disconnectUserSessions);
+
+/**
+ * Live Dashboard Routes
+ */
+
+/**
+ * @route   GET /api/admin/live/snapshot
+ * @desc    Get connected sessions with their throughput and the sync scheduler state
+ * @access  Staff (sessions:read; scheduler state requires sync:read)
+ */
+router.get('/live/snapshot', requirePermission('sessions:read'), liveController.getSnapshot);
+
+/**
+ * @route   GET /api/admin/live/events
+ * @desc    Stream connects, disconnects, session throughput and sync progress (Server-Sent Events)
+ * @access  Staff (sessions:read; sync events require sync:read)
+ */
+router.get('/live/events', requirePermission('sessions:read'), liveController.streamEvents);
+
+/**
+ * Bandwidth Usage Routes
+ */
+
+/**
+ * @route   GET /api/admin/usage
+ * @desc    Get bandwidth usage per user or device (hourly, daily or monthly)
+ * @access  Staff (usage:read)
+ * @query   {string} period - hour, day or month (default: month)
+ * @query   {string} group_by - user or device (default: user)
+ * @query   {number} user_id - Filter by user ID
+ * @query   {number} device_id - Filter by device ID
+ * @query   {string} from - Report start (ISO 8601, default depends on period)
+ * @query   {string} to - Report end (ISO 8601)
+ * @query   {string} format - json or csv (default: json, CSV is not paginated)
+ * @query   {number} page - Page number (default: 1)
+ * @query   {number} limit - Items per page (default: 20, max: 100)
+ */
+router.get('/usage', requirePermission('usage:read'), paginationSchema, usageQuerySchema, validate, adminController.getUsageReport);
+
+/**
+ * Audit Log Routes
+ */
+
+/**
+ * @route   GET /api/admin/audit
+ * @desc    Get the audit log of administrative actions with pagination
+ * @access  Staff (audit:read)
+ * @query   {number} page - Page number (default: 1)
+ * @query   {number} limit - Items per page (default: 20, max: 100)
+ * @query   {number} actor_id - Filter by acting user ID
+ * @query   {string} action - Filter by action (e.g. user.update), or a prefix ending in '.' (e.g. user.)
+ * @query   {string} target_type - Filter by target type (e.g. user, qos_policy, lan_network)
+ * @query   {string} target_id - Filter by target ID
+ * @query   {string} search - Search in actor email, target and IP address
+ * @query   {string} from - Events at or after this time (ISO 8601)
+ * @query   {string} to - Events at or before this time (ISO 8601)
+ */
+router.get('/audit', requirePermission('audit:read'), paginationSchema, auditQuerySchema, validate, adminController.getAuditEvents);
+
+/**
+ * @route   GET /api/admin/audit/export
+ * @desc    Download every audit event matching the filters, oldest first
+ * @access  Staff (audit:read)
+ * @query   {string} format - csv or json (default: csv)
+ * @query   {string} actor_id, action, target_type, target_id, search, from, to - Filters of GET /api/admin/audit
+ */
+router.get('/audit/export', requirePermission('audit:read'), auditQuerySchema, validate, adminController.exportAuditEvents);
+
+/**
+ * Webhook Routes
+ */
+
+/**
+ * @route   GET /api/admin/webhooks
+ * @desc    List webhooks with their failed and pending deliveries, and the events they can subscribe to
+ * @access  Staff (webhooks:read)
+ */
+router.get('/webhooks', requirePermission('webhooks:read'), webhookController.listWebhooks);
+
+/**
+ * @route   POST /api/admin/webhooks
+ * @desc    Create a webhook (the signing secret is only returned once)
+ * @access  Staff (webhooks:write)
+ * @body    {string} name, {string} url, {string[]} events, {boolean} is_active
+ */
+router.post('/webhooks', requirePermission('webhooks:write'), webhookCreateSchema, validate, webhookController.createWebhook);
+
+/**
+ * @route   PUT /api/admin/webhooks/:id
+ * @desc    Update the name, URL, events or state of a webhook
+ * @access  Staff (webhooks:write)
+ * @param   {number} id - Webhook ID
+ */
+router.put('/webhooks/:id', requirePermission('webhooks:write'), webhookIdParamSchema, webhookUpdateSchema, validate, webhookController.updateWebhook);
+
+/**
+ * @route   DELETE /api/admin/webhooks/:id
+ * @desc    Delete a webhook and its delivery log
+ * @access  Staff (webhooks:write)
+ * @param   {number} id - Webhook ID
+ */
+router.delete('/webhooks/:id', requirePermission('webhooks:write'), webhookIdParamSchema, validate, webhookController.deleteWebhook);
+
+/**
+ * @route   POST /api/admin/webhooks/:id/rotate-secret
+ * @desc    Replace the signing secret of a webhook (returned once)
+ * @access  Staff (webhooks:write)
+ * @param   {number} id - Webhook ID
+ */
+router.post('/webhooks/:id/rotate-secret', requirePermission('webhooks:write'), webhookIdParamSchema, validate, webhookController.rotateSecret);
+
+/**
+ * @route   POST /api/admin/webhooks/:id/test
+ * @desc    Send a webhook.test event and return the outcome
+ * @access  Staff (webhooks:write)
+ * @param   {number} id - Webhook ID
+ */
+router.post('/webhooks/:id/test', requirePermission('webhooks:write'), webhookIdParamSchema, validate, webhookController.testWebhook);
+
+/**
+ * @route   GET /api/admin/webhooks/:id/deliveries
+ * @desc    Get the delivery log of a webhook, newest first
+ * @access  Staff (webhooks:read)
+ * @param   {number} id - Webhook ID
+ * @query   {string} status - pending, succeeded or failed
+ * @query   {string} event_type - Event type
+ * @query   {number} page - Page number (default: 1)
+ * @query   {number} limit - Items per page (default: 20, max: 100)
+ */
+router.get('/webhooks/:id/deliveries', requirePermission('webhooks:read'), webhookIdParamSchema, webhookDeliveryQuerySchema, validate, webhookController.listDeliveries);
+
+/**
+ * @route   POST /api/admin/webhooks/deliveries/:id/redeliver
+ * @desc    Send a delivery again with a fresh set of attempts
+ * @access  Staff (webhooks:write)
+ * @param   {number} id - Delivery ID
+ */
+router.post('/webhooks/deliveries/:id/redeliver', requirePermission('webhooks:write'), webhookIdParamSchema, validate, webhookController.redeliver);
+
+/**
+ * PKI Routes
+ */
+
+/**
+ * @route   GET /api/admin/pki
+ * @desc    List the certificate authorities of the built-in PKI
+ * @access  Staff (pki:read)
+ */
+router.get('/pki', requirePermission('pki:read'), pkiController.getStatus);
+
+/**
+ * @route   POST /api/admin/pki/rotate
+ * @desc    Create a new active certificate authority and publish it (the previous one stays trusted until it expires)
+ * @access  Staff (pki:write)
+ */
+router.post('/pki/rotate', requirePermission('pki:write'), pkiController.rotateCa);
+
+/**
+ * @route   GET /api/admin/pki/crl
+ * @desc    Download the certificate revocation lists of the trusted CAs (PEM)
+ * @access  Staff (pki:read)
+ */
+router.get('/pki/crl', requirePermission('pki:read'), pkiController.downloadCrl);
+
+/**
+ * @route   GET /api/admin/pki/ca
+ * @desc    Download the certificates of the trusted CAs (PEM)
+ * @access  Staff (pki:read)
  */
-router.get('/devices', adminController.getAllDevices);
+router.get('/pki/ca', requirePermission('pki:read'), pkiController.downloadCaBundle);
 
 module.exports = router;
@@ -1,12 +1,17 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
-const { verifyToken } = require('../middleware/authMiddleware');
+const { verifyToken, verifyMfaEnrollment } = require('../middleware/authMiddleware');
 const { authLimiter } = require('../middleware/rateLimiter');
 const {
   validate,
   registerSchema,
   loginSchema,
+  oidcCallbackSchema,
+  refreshTokenSchema,
+  mfaVerifySchema,
+  mfaCodeSchema,
+  mfaDisableSchema,
   verifyEmailSchema,
   resendVerificationSchema,
   forgotPasswordSchema,
@@ -34,7 +39,9 @@ router.post(
 
 /**
  * @route   POST /api/auth/login
- * @desc    Login user and return JWT token
+ * @desc    Login user and return a short-lived access token and a refresh token
+ *          With two-factor authentication, returns { mfa_required, mfa_token } instead
+ *          (or { mfa_enrollment_required, mfa_token } when the user must set it up first)
  * @access  Public
  * @body    { email, password }
  */
@@ -46,6 +53,153 @@ router.post(
   authController.login
 );
 
+/**
+ * @route   GET /api/auth/oidc
+ * @desc    Get whether single sign-on is enabled and the provider name
+ * @access  Public
+ */
+router.get(
+  '/oidc',
+  authController.getOidcConfig
+);
+
+/**
+ * @route   GET /api/auth/oidc/authorize
+ * @desc    Start a single sign-on, returns { authorization_url } of the identity provider
+ * @access  Public
+ */
+router.get(
+  '/oidc/authorize',
+  authLimiter,
+  authController.startOidcLogin
+);
+
+/**
+ * @route   POST /api/auth/oidc/callback
+ * @desc    Complete a single sign-on with the code and state of the provider redirect
+ *          Same responses as /login (token pair, or an mfa_token for the second step)
+ * @access  Public
+ * @body    { code, state }
+ */
+router.post(
+  '/oidc/callback',
+  authLimiter,
+  oidcCallbackSchema,
+  validate,
+  authController.completeOidcLogin
+);
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Exchange a refresh token for a new access token and refresh token
+ *          (the presented refresh token can't be used again)
+ * @access  Public
+ * @body    { refresh_token }
+ */
+router.post(
+  '/refresh',
+  authLimiter,
+  refreshTokenSchema,
+  validate,
+  authController.refreshToken
+);
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    End the session of a refresh token, or all sessions of its user with all=true
+ * @access  Public
+ * @body    { refresh_token, all? }
+ */
+router.post(
+  '/logout',
+  refreshTokenSchema,
+  validate,
+  authController.logout
+);
+
+/**
+ * @route   POST /api/auth/mfa/verify
+ * @desc    Complete login with a two-factor code or a recovery code
+ * @access  Public (requires mfa_token from login)
+ * @body    { mfa_token, code } or { mfa_token, recovery_code }
+ */
+router.post(
+  '/mfa/verify',
+  authLimiter,
+  mfaVerifySchema,
+  validate,
+  authController.verifyMfaLogin
+);
+
+/**
+ * @route   GET /api/auth/mfa/status
+ * @desc    Get two-factor authentication status
+ * @access  Private
+ */
+router.get(
+  '/mfa/status',
+  verifyToken,
+  authController.getMfaStatus
+);
+
+/**
+ * @route   POST /api/auth/mfa/setup
+ * @desc    Start two-factor enrollment (returns secret and otpauth URI)
+ * @access  Private (session token, or enrollment mfa_token from login)
+ */
+router.post(
+  '/mfa/setup',
+  authLimiter,
+  verifyMfaEnrollment,
+  authController.setupMfa
+);
+
+/**
+ * @route   POST /api/auth/mfa/enable
+ * @desc    Confirm two-factor enrollment, returns recovery codes
+ *          (and a session token when enrolling from login)
+ * @access  Private (session token, or enrollment mfa_token from login)
+ * @body    { code }
+ */
+router.post(
+  '/mfa/enable',
+  authLimiter,
+  verifyMfaEnrollment,
+  mfaCodeSchema,
+  validate,
+  authController.enableMfa
+);
+
+/**
+ * @route   POST /api/auth/mfa/recovery-codes
+ * @desc    Regenerate recovery codes
+ * @access  Private
+ * @body    { code }
+ */
+router.post(
+  '/mfa/recovery-codes',
+  authLimiter,
+  verifyToken,
+  mfaCodeSchema,
+  validate,
+  authController.regenerateRecoveryCodes
+);
+
+/**
+ * @route   POST /api/auth/mfa/disable
+ * @desc    Disable two-factor authentication
+ * @access  Private
+ * @body    { password, code }
+ */
+router.post(
+  '/mfa/disable',
+  authLimiter,
+  verifyToken,
+  mfaDisableSchema,
+  validate,
+  authController.disableMfa
+);
+
 /**
  * @route   GET /api/auth/verify-email
  * @desc    Verify user email with token (from email link)
@@ -1,43 +1,43 @@
 const express = require('express');
 const router = express.Router();
 const dbSyncController = require('../controllers/dbSyncController');
-const { verifyToken, isAdmin } = require('../middleware/authMiddleware');
+const { allowApiToken, requirePermission } = require('../middleware/authMiddleware');
 
 /**
  * Database Sync Routes
- * All routes require admin authentication
+ * All routes require authentication (login token, or personal API token with
+ * the admin:sync scope) and the sync:read or sync:run permission
  */
 
 // Apply authentication middleware to all routes
-router.use(verifyToken);
-router.use(isAdmin);
+router.use(allowApiToken('admin:sync'));
 
 /**
  * @route   POST /api/admin/db-sync/full
  * @desc    Trigger full database synchronization
- * @access  Admin only
+ * @access  Staff (sync:run)
  */
-router.post('/full', dbSyncController.syncFull);
+router.post('/full', requirePermission('sync:run'), dbSyncController.syncFull);
 
 /**
  * @route   POST /api/admin/db-sync/incremental
  * @desc    Trigger incremental database synchronization
- * @access  Admin only
+ * @access  Staff (sync:run)
  */
-router.post('/incremental', dbSyncController.syncIncremental);
+router.post('/incremental', requirePermission('sync:run'), dbSyncController.syncIncremental);
 
 /**
  * @route   GET /api/admin/db-sync/stats
  * @desc    Get database synchronization statistics
- * @access  Admin only
+ * @access  Staff (sync:read)
  */
-router.get('/stats', dbSyncController.getSyncStats);
+router.get('/stats', requirePermission('sync:read'), dbSyncController.getSyncStats);
 
 /**
  * @route   GET /api/admin/db-sync/test-connection
  * @desc    Test remote database connection
- * @access  Admin only
+ * @access  Staff (sync:read)
  */
-router.get('/test-connection', dbSyncController.testConnection);
+router.get('/test-connection', requirePermission('sync:read'), dbSyncController.testConnection);
 
 module.exports = router;
@@ -1,11 +1,18 @@
 const express = require('express');
 const router = express.Router();
 const deviceController = require('../controllers/deviceController');
-const { verifyToken } = require('../middleware/authMiddleware');
-const { validate } = require('../middleware/validator');
+const { verifyToken, allowApiToken } = require('../middleware/authMiddleware');
+const { validate, paginationSchema, sessionQuerySchema, profileDownloadQuerySchema } = require('../middleware/validator');
 const { body } = require('express-validator');
 
 // Validation schemas
+const enrollDeviceSchema = [
+    body('name').trim().isLength({ min: 1, max: 255 })
+        .withMessage('Device name must be between 1 and 255 characters'),
+    body('device_type').optional().trim().isIn(['mobile', 'desktop', 'tablet', 'laptop'])
+        .withMessage('Device type must be mobile, desktop, laptop, or tablet')
+];
+
 const updateDeviceSchema = [
     body('name').optional().trim().isLength({ min: 1, max: 255 })
         .withMessage('Device name must be between 1 and 255 characters'),
@@ -16,34 +23,70 @@ const updateDeviceSchema = [
 ];
 
 // Routes
-router.use(verifyToken); // All device routes require authentication
+// All device routes require authentication; read routes also accept an API token with devices:read
 
 /**
  * @route   GET /api/devices
- * @desc    Get all devices for authenticated user (auto-created on VPN connection)
+ * @desc    Get all devices for authenticated user (enrolled or auto-created on VPN connection)
+ * @access  Private
+ */
+router.get('/', allowApiToken('devices:read'), deviceController.getDevices);
+
+/**
+ * @route   GET /api/devices/enrollment
+ * @desc    Get the enrollment policy: whether approval is required, device limit and enrolled devices
  * @access  Private
  */
-router.get('/', deviceController.getDevices);
+router.get('/enrollment', allowApiToken('devices:read'), deviceController.getEnrollmentPolicy);
+
+/**
+ * @route   POST /api/devices
+ * @desc    Enroll a device (pending until approved when administrators require approval)
+ * @access  Private
+ * @body    {string} name - Device name
+ * @body    {string} device_type - mobile, desktop, laptop or tablet (optional)
+ */
+router.post('/', verifyToken, enrollDeviceSchema, validate, deviceController.enrollDevice);
 
 /**
  * @route   GET /api/devices/:id
  * @desc    Get device by ID
  * @access  Private
  */
-router.get('/:id', deviceController.getDevice);
+router.get('/:id', allowApiToken('devices:read'), deviceController.getDevice);
+
+/**
+ * @route   GET /api/devices/:id/sessions
+ * @desc    Get connection history of a device
+ * @access  Private
+ * @query   {number} page - Page number (default: 1)
+ * @query   {number} limit - Items per page (default: 20, max: 100)
+ * @query   {string} status - Filter by session status (active/closed)
+ * @query   {string} from - Only sessions still connected at or after this time (ISO 8601)
+ * @query   {string} to - Only sessions started at or before this time (ISO 8601)
+ */
+router.get('/:id/sessions', allowApiToken('devices:read'), paginationSchema, sessionQuerySchema, validate, deviceController.getDeviceSessions);
+
+/**
+ * @route   GET /api/devices/:id/profile
+ * @desc    Download the profile of an approved enrolled device
+ * @access  Private
+ * @query   {number} lifetime_days - Requested profile lifetime (optional)
+ */
+router.get('/:id/profile', allowApiToken('vpn:profile:read'), profileDownloadQuerySchema, validate, deviceController.downloadDeviceProfile);
 
 /**
  * @route   PUT /api/devices/:id
  * @desc    Update device
  * @access  Private
  */
-router.put('/:id', updateDeviceSchema, validate, deviceController.updateDevice);
+router.put('/:id', verifyToken, updateDeviceSchema, validate, deviceController.updateDevice);
 
 /**
  * @route   DELETE /api/devices/:id
- * @desc    Delete device
+ * @desc    Delete device and revoke its profiles
  * @access  Private
  */
-router.delete('/:id', deviceController.deleteDevice);
+router.delete('/:id', verifyToken, deviceController.deleteDevice);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,143 @@
+const express = require('express');
+const router = express.Router();
+const groupController = require('../controllers/groupController');
+const { verifyToken, requirePermission } = require('../middleware/authMiddleware');
+const {
+  validate,
+  groupCreateSchema,
+  groupUpdateSchema,
+  groupIdParamSchema,
+  groupMembersSchema,
+  groupQosSchema,
+  groupNetworkCreateSchema,
+  groupNetworkUpdateSchema
+} = require('../middleware/validator');
+
+/**
+ * Group Routes
+ * User groups with membership, group-level QoS and shared LAN networks
+ * All routes require authentication and a permission of the user's role
+ * Base path: /api/groups
+ */
+
+router.use(verifyToken);
+
+/**
+ * @route   GET /api/groups
+ * @desc    List groups with member count, QoS policy and network count
+ * @access  Staff (groups:read)
+ */
+router.get('/', requirePermission('groups:read'), groupController.getGroups);
+
+/**
+ * @route   POST /api/groups
+ * @desc    Create a group
+ * @access  Staff (groups:write)
+ * @body    {string} name - Unique group name
+ * @body    {string} [description] - Description
+ * @body    {number} [priority] - Lower value wins when a user is in several groups with a QoS policy (default: 100)
+ */
+router.post('/', requirePermission('groups:write'), groupCreateSchema, validate, groupController.createGroup);
+
+/**
+ * @route   GET /api/groups/:id
+ * @desc    Get a group with its members, QoS policy and LAN networks
+ * @access  Staff (groups:read)
+ * @param   {string} id - Group ID
+ */
+router.get('/:id', requirePermission('groups:read'), groupIdParamSchema, validate, groupController.getGroup);
+
+/**
+ * @route   PUT /api/groups/:id
+ * @desc    Update a group
+ * @access  Staff (groups:write)
+ * @param   {string} id - Group ID
+ * @body    {string} [name] - Group name
+ * @body    {string} [description] - Description
+ * @body    {number} [priority] - Group priority
+ */
+router.put('/:id', requirePermission('groups:write'), groupIdParamSchema, groupUpdateSchema, validate, groupController.updateGroup);
+
+/**
+ * @route   DELETE /api/groups/:id
+ * @desc    Delete a group with its memberships, QoS assignment and LAN networks
+ * @access  Staff (groups:write)
+ * @param   {string} id - Group ID
+ */
+router.delete('/:id', requirePermission('groups:write'), groupIdParamSchema, validate, groupController.deleteGroup);
+
+/**
+ * @route   POST /api/groups/:id/members
+ * @desc    Add users to a group (existing members are skipped)
+ * @access  Staff (groups:write)
+ * @param   {string} id - Group ID
+ * @body    {Array<number>} user_ids - Users to add (up to 1000)
+ */
+router.post('/:id/members', requirePermission('groups:write'), groupIdParamSchema, groupMembersSchema, validate, groupController.addMembers);
+
+/**
+ * @route   DELETE /api/groups/:id/members/:userId
+ * @desc    Remove a user from a group
+ * @access  Staff (groups:write)
+ * @param   {string} id - Group ID
+ * @param   {string} userId - User ID
+ */
+router.delete('/:id/members/:userId', requirePermission('groups:write'), groupIdParamSchema, validate, groupController.removeMember);
+
+/**
+ * @route   PUT /api/groups/:id/qos
+ * @desc    Assign a QoS policy to a group (applies to members without a device or user policy)
+ * @access  Staff (qos:write)
+ * @param   {string} id - Group ID
+ * @body    {number} policy_id - QoS policy ID
+ */
+router.put('/:id/qos', requirePermission('qos:write'), groupIdParamSchema, groupQosSchema, validate, groupController.assignGroupQos);
+
+/**
+ * @route   DELETE /api/groups/:id/qos
+ * @desc    Remove the QoS policy of a group
+ * @access  Staff (qos:write)
+ * @param   {string} id - Group ID
+ */
+router.delete('/:id/qos', requirePermission('qos:write'), groupIdParamSchema, validate, groupController.removeGroupQos);
+
+/**
+ * @route   GET /api/groups/:id/lan-networks
+ * @desc    List LAN networks shared with the members of a group
+ * @access  Staff (lan-networks:read)
+ * @param   {string} id - Group ID
+ */
+router.get('/:id/lan-networks', requirePermission('lan-networks:read'), groupIdParamSchema, validate, groupController.getGroupNetworks);
+
+/**
+ * @route   POST /api/groups/:id/lan-networks
+ * @desc    Share a LAN network with the members of a group
+ * @access  Staff (lan-networks:write)
+ * @param   {string} id - Group ID
+ * @body    {string} network_cidr - Private network in CIDR notation
+ * @body    {string} [description] - Description
+ */
+router.post('/:id/lan-networks', requirePermission('lan-networks:write'), groupIdParamSchema, groupNetworkCreateSchema, validate, groupController.createGroupNetwork);
+
+/**
+ * @route   PUT /api/groups/:id/lan-networks/:networkId
+ * @desc    Update a LAN network of a group
+ * @access  Staff (lan-networks:write)
+ * @param   {string} id - Group ID
+ * @param   {string} networkId - Network ID
+ * @body    {string} [network_cidr] - Private network in CIDR notation
+ * @body    {string} [description] - Description
+ * @body    {boolean} [enabled] - Whether the network is routed
+ */
+router.put('/:id/lan-networks/:networkId', requirePermission('lan-networks:write'), groupIdParamSchema, groupNetworkUpdateSchema, validate, groupController.updateGroupNetwork);
+
+/**
+ * @route   DELETE /api/groups/:id/lan-networks/:networkId
+ * @desc    Delete a LAN network of a group
+ * @access  Staff (lan-networks:write)
+ * @param   {string} id - Group ID
+ * @param   {string} networkId - Network ID
+ */
+router.delete('/:id/lan-networks/:networkId', requirePermission('lan-networks:write'), groupIdParamSchema, validate, groupController.deleteGroupNetwork);
+
+module.exports = router;
@@ -7,7 +7,7 @@
 
 const express = require('express');
 const router = express.Router();
-const { verifyToken, isAdmin } = require('../middleware/authMiddleware');
+const { verifyToken, requirePermission } = require('../middleware/authMiddleware');
 const lanNetworkController = require('../controllers/lanNetworkController');
 
 /**
@@ -95,8 +95,8 @@ router.get('/enabled', verifyToken, lanNetworkController.getEnabledNetworks);
 
 /**
  * @route   GET /api/lan-networks/all
- * @desc    Get all LAN networks from all users (admin only)
- * @access  Private (admin only)
+ * @desc    Get all LAN networks from all users
+ * @access  Staff (lan-networks:read)
  * @query   {number} page - Page number (default: 1)
  * @query   {number} limit - Items per page (default: 50, max: 100)
  * @returns {Object} Paginated list of all LAN networks
@@ -114,12 +114,12 @@ router.get('/enabled', verifyToken, lanNetworkController.getEnabledNetworks);
  *   }
  * }
  */
-router.get('/all', verifyToken, isAdmin, lanNetworkController.getAllNetworks);
+router.get('/all', verifyToken, requirePermission('lan-networks:read'), lanNetworkController.getAllNetworks);
 
 /**
  * @route   GET /api/lan-networks/:id
  * @desc    Get specific LAN network by ID
- * @access  Private (requires authentication, owner or admin)
+ * @access  Private (requires authentication, owner or staff with lan-networks permissions)
  * @param   {number} id - Network ID
  * @returns {Object} Network object
  * 
@@ -176,7 +176,7 @@ router.post('/', verifyToken, lanNetworkController.createNetwork);
 /**
  * @route   PUT /api/lan-networks/:id
  * @desc    Update a LAN network
- * @access  Private (requires authentication, owner or admin)
+ * @access  Private (requires authentication, owner or staff with lan-networks permissions)
  * @param   {number} id - Network ID
  * @body    {string} network_cidr - Network in CIDR notation (optional)
  * @body    {string} description - User-friendly description (optional)
@@ -201,7 +201,7 @@ router.put('/:id', verifyToken, lanNetworkController.updateNetwork);
 /**
  * @route   DELETE /api/lan-networks/:id
  * @desc    Delete a LAN network
- * @access  Private (requires authentication, owner or admin)
+ * @access  Private (requires authentication, owner or staff with lan-networks permissions)
  * @param   {number} id - Network ID
  * @returns {Object} Success confirmation
  * 
@@ -216,7 +216,7 @@ router.delete('/:id', verifyToken, lanNetworkController.deleteNetwork);
 /**
  * @route   PATCH /api/lan-networks/:id/toggle
  * @desc    Toggle network enabled/disabled status
- * @access  Private (requires authentication, owner or admin)
+ * @access  Private (requires authentication, owner or staff with lan-networks permissions)
  * @param   {number} id - Network ID
  * @returns {Object} Success confirmation with new status
  * 
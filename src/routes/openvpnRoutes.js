@@ -9,7 +9,9 @@
 
 const express = require('express');
 const router = express.Router();
-const { verifyToken, isAdmin } = require('../middleware/authMiddleware');
+const { verifyToken, isAdmin, allowApiToken } = require('../middleware/authMiddleware');
+const { requireClientConnectToken } = require('../middleware/clientConnectMiddleware');
+const { generateConfigSchema, profileDownloadQuerySchema, renewConfigSchema, clientConnectSchema, validate } = require('../middleware/validator');
 const openvpnController = require('../controllers/openvpnController');
 const vpnProfileController = require('../controllers/vpnProfileController');
 
@@ -17,6 +19,8 @@ const vpnProfileController = require('../controllers/vpnProfileController');
  * @route   POST /api/openvpn/generate-config
  * @desc    Generate new OpenVPN configuration file for authenticated user
  * @access  Private (requires authentication)
+ * @body    {number} [lifetime_days] - Days until the profile expires (default PROFILE_LIFETIME_DAYS,
+ *                                     capped at PROFILE_MAX_LIFETIME_DAYS)
  * @returns {Object} Configuration file metadata with download info
  *
  * Response format:
@@ -31,16 +35,17 @@ const vpnProfileController = require('../controllers/vpnProfileController');
  *       priority: "high",
  *       bandwidth_limit: 20480
  *     },
+ *     expires_at: "2026-01-15T10:30:00.000Z",
  *     created_at: "2025-01-15T10:30:00.000Z"
  *   }
  * }
  */
-router.post('/generate-config', verifyToken, openvpnController.generateConfig);
+router.post('/generate-config', verifyToken, generateConfigSchema, validate, openvpnController.generateConfig);
 
 /**
  * @route   GET /api/openvpn/configs
  * @desc    Get all configuration files for authenticated user
- * @access  Private (requires authentication)
+ * @access  Private (requires authentication, or API token with vpn:profile:read)
  * @returns {Object} List of user's configuration files
  *
  * Response format:
@@ -65,12 +70,12 @@ router.post('/generate-config', verifyToken, openvpnController.generateConfig);
  *   }
  * }
  */
-router.get('/configs', verifyToken, openvpnController.getUserConfigs);
+router.get('/configs', allowApiToken('vpn:profile:read'), openvpnController.getUserConfigs);
 
 /**
  * @route   GET /api/openvpn/config/latest
  * @desc    Get the most recent configuration file for authenticated user
- * @access  Private (requires authentication)
+ * @access  Private (requires authentication, or API token with vpn:profile:read)
  * @returns {Object} Latest configuration file metadata
  *
  * Response format:
@@ -90,12 +95,12 @@ router.get('/configs', verifyToken, openvpnController.getUserConfigs);
  *   }
  * }
  */
-router.get('/config/latest', verifyToken, openvpnController.getLatestConfig);
+router.get('/config/latest', allowApiToken('vpn:profile:read'), openvpnController.getLatestConfig);
 
 /**
  * @route   GET /api/openvpn/config/:id/info
  * @desc    Get configuration file metadata without content
- * @access  Private (requires authentication, owner or admin)
+ * @access  Private (requires authentication, owner or admin, or API token with vpn:profile:read)
  * @param   {number} id - Configuration file ID
  * @returns {Object} Configuration file metadata
  *
@@ -120,12 +125,12 @@ router.get('/config/latest', verifyToken, openvpnController.getLatestConfig);
  *   }
  * }
  */
-router.get('/config/:id/info', verifyToken, openvpnController.getConfigInfo);
+router.get('/config/:id/info', allowApiToken('vpn:profile:read'), openvpnController.getConfigInfo);
 
 /**
  * @route   GET /api/openvpn/config/:id
  * @desc    Download OpenVPN configuration file
- * @access  Private (requires authentication, owner or admin)
+ * @access  Private (requires authentication, owner or admin, or API token with vpn:profile:read)
  * @param   {number} id - Configuration file ID
  * @returns {File} OpenVPN configuration file (.ovpn)
  *
@@ -135,8 +140,9 @@ router.get('/config/:id/info', verifyToken, openvpnController.getConfigInfo);
  * - Content-Length: <file_size>
  *
  * Response body: Raw .ovpn file content
+ * Expired configuration files are refused with 410 until renewed.
  */
-router.get('/config/:id', verifyToken, openvpnController.downloadConfig);
+router.get('/config/:id', allowApiToken('vpn:profile:read'), openvpnController.downloadConfig);
 
 /**
  * @route   DELETE /api/openvpn/config/:id
@@ -158,21 +164,46 @@ router.get('/config/:id', verifyToken, openvpnController.downloadConfig);
  */
 router.delete('/config/:id', verifyToken, openvpnController.revokeConfig);
 
+/**
+ * @route   POST /api/openvpn/config/:id/renew
+ * @desc    Renew configuration file (new expiry counted from now)
+ * @access  Private (requires authentication, owner or admin)
+ * @param   {number} id - Configuration file ID
+ * @body    {number} [lifetime_days] - Days until the profile expires (default PROFILE_LIFETIME_DAYS,
+ *                                     capped at PROFILE_MAX_LIFETIME_DAYS)
+ * @returns {Object} Renewal confirmation
+ *
+ * Response format:
+ * {
+ *   success: true,
+ *   message: "Configuration file renewed successfully",
+ *   data: {
+ *     id: 1,
+ *     filename: "username_1234567890.ovpn",
+ *     previous_expires_at: "2025-02-01T12:00:00.000Z",
+ *     expires_at: "2026-01-25T12:00:00.000Z"
+ *   }
+ * }
+ */
+router.post('/config/:id/renew', verifyToken, renewConfigSchema, validate, openvpnController.renewConfig);
+
 /**
  * @route   GET /api/openvpn/profile/download
  * @desc    Download user's VPN profile from OpenVPN Access Server
- * @access  Private (requires authentication and email verification)
+ * @access  Private (requires authentication and email verification, or API token with vpn:profile:read)
+ * @query   {number} [lifetime_days] - Days until the profile expires (default PROFILE_LIFETIME_DAYS,
+ *                                     capped at PROFILE_MAX_LIFETIME_DAYS)
  * @returns {File} OpenVPN profile file (.ovpn)
  */
-router.get('/profile/download', verifyToken, vpnProfileController.downloadProfile);
+router.get('/profile/download', allowApiToken('vpn:profile:read'), profileDownloadQuerySchema, validate, vpnProfileController.downloadProfile);
 
 /**
  * @route   GET /api/openvpn/profile/info
  * @desc    Get profile metadata without downloading
- * @access  Private (requires authentication)
+ * @access  Private (requires authentication, or API token with vpn:profile:read)
  * @returns {Object} Profile availability and metadata
  */
-router.get('/profile/info', verifyToken, vpnProfileController.getProfileInfo);
+router.get('/profile/info', allowApiToken('vpn:profile:read'), vpnProfileController.getProfileInfo);
 
 /**
  * @route   GET /api/openvpn/profile/autologin/:username
@@ -192,6 +223,19 @@ router.get('/profile/autologin/:username', verifyToken, isAdmin, vpnProfileContr
  */
 router.post('/profile/generate/:userId', verifyToken, isAdmin, vpnProfileController.generateUserProfile);
 
+/**
+ * @route   POST /api/vpn/client-connect
+ * @desc    Client-specific configuration of a connecting VPN client
+ * @access  OpenVPN server (client-connect hook token CLIENT_CONNECT_TOKEN as bearer token)
+ * @body    {string} common_name - Certificate common name of the client
+ * @body    {string} [username] - Username the client authenticated with
+ * @returns {Text} Client configuration directives (iroute, push, ifconfig-push)
+ *
+ * Refused clients (unknown, soft-deleted, disabled or over-quota users) get
+ * 403 with a reason (unknown_user, user_disabled, over_quota).
+ */
+router.post('/client-connect', requireClientConnectToken, clientConnectSchema, validate, openvpnController.clientConnect);
+
 /**
  * Error handling for invalid routes
  * Catches any unmatched routes within the /api/openvpn namespace
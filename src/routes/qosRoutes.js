@@ -1,14 +1,19 @@
 const express = require('express');
 const router = express.Router();
 const qosController = require('../controllers/qosController');
-const { verifyToken, isAdmin } = require('../middleware/authMiddleware');
+const { verifyToken, requirePermission } = require('../middleware/authMiddleware');
 const {
   validate,
   createQosPolicySchema,
   updateQosPolicySchema,
   assignQosPolicySchema,
   policyIdParamSchema,
-  userIdParamSchema
+  userIdParamSchema,
+  createQosScheduleSchema,
+  updateQosScheduleSchema,
+  scheduleIdParamSchema,
+  qosPreviewQuerySchema,
+  defaultQosPolicySchema
 } = require('../middleware/validator');
 
 /**
@@ -41,13 +46,14 @@ router.get(
 /**
  * @route   POST /api/qos/policies
  * @desc    Create new QoS policy
- * @access  Admin only
- * @body    { policy_name, max_download_speed, max_upload_speed, priority, description }
+ * @access  Staff (qos:write)
+ * @body    { policy_name, max_download_speed, max_upload_speed, priority, description,
+ *            daily_quota_mb?, monthly_quota_mb?, over_quota_action?, throttle_policy_id? }
  */
 router.post(
   '/policies',
   verifyToken,
-  isAdmin,
+  requirePermission('qos:write'),
   createQosPolicySchema,
   validate,
   qosController.createPolicy
@@ -56,13 +62,14 @@ router.post(
 /**
  * @route   PUT /api/qos/policies/:id
  * @desc    Update existing QoS policy
- * @access  Admin only
- * @body    { policy_name?, max_download_speed?, max_upload_speed?, priority?, description? }
+ * @access  Staff (qos:write)
+ * @body    { policy_name?, max_download_speed?, max_upload_speed?, priority?, description?,
+ *            daily_quota_mb?, monthly_quota_mb?, over_quota_action?, throttle_policy_id? }
  */
 router.put(
   '/policies/:id',
   verifyToken,
-  isAdmin,
+  requirePermission('qos:write'),
   policyIdParamSchema,
   updateQosPolicySchema,
   validate,
@@ -72,12 +79,12 @@ router.put(
 /**
  * @route   DELETE /api/qos/policies/:id
  * @desc    Delete QoS policy
- * @access  Admin only
+ * @access  Staff (qos:write)
  */
 router.delete(
   '/policies/:id',
   verifyToken,
-  isAdmin,
+  requirePermission('qos:write'),
   policyIdParamSchema,
   validate,
   qosController.deletePolicy
@@ -86,13 +93,13 @@ router.delete(
 /**
  * @route   POST /api/qos/assign
  * @desc    Assign QoS policy to user
- * @access  Admin only
+ * @access  Staff (qos:write)
  * @body    { userId, policyId }
  */
 router.post(
   '/assign',
   verifyToken,
-  isAdmin,
+  requirePermission('qos:write'),
   assignQosPolicySchema,
   validate,
   qosController.assignPolicyToUser
@@ -101,12 +108,12 @@ router.post(
 /**
  * @route   DELETE /api/qos/assign/:userId
  * @desc    Remove QoS policy assignment from user
- * @access  Admin only
+ * @access  Staff (qos:write)
  */
 router.delete(
   '/assign/:userId',
   verifyToken,
-  isAdmin,
+  requirePermission('qos:write'),
   userIdParamSchema,
   validate,
   qosController.removePolicyFromUser
@@ -122,13 +129,13 @@ router.get('/my-policy', verifyToken, qosController.getMyPolicy);
 /**
  * @route   GET /api/qos/policies/:id/stats
  * @desc    Get usage statistics for specific QoS policy
- * @access  Admin only
+ * @access  Staff (qos:read)
  * @returns User count, assigned users list, config file references
  */
 router.get(
   '/policies/:id/stats',
   verifyToken,
-  isAdmin,
+  requirePermission('qos:read'),
   policyIdParamSchema,
   validate,
   qosController.getPolicyStats
@@ -144,13 +151,13 @@ router.get(
 /**
  * @route   POST /api/qos/assign-device
  * @desc    Assign QoS policy to a specific device
- * @access  Admin only
+ * @access  Staff (qos:write)
  * @body    { deviceId, policyId, notes? }
  */
 router.post(
   '/assign-device',
   verifyToken,
-  isAdmin,
+  requirePermission('qos:write'),
   [
     require('express-validator').body('deviceId')
       .isInt({ min: 1 })
@@ -171,12 +178,12 @@ router.post(
 /**
  * @route   DELETE /api/qos/assign-device/:deviceId
  * @desc    Remove QoS policy assignment from a device
- * @access  Admin only
+ * @access  Staff (qos:write)
  */
 router.delete(
   '/assign-device/:deviceId',
   verifyToken,
-  isAdmin,
+  requirePermission('qos:write'),
   [
     require('express-validator').param('deviceId')
       .isInt({ min: 1 })
@@ -189,7 +196,7 @@ router.delete(
 /**
  * @route   GET /api/qos/device/:deviceId
  * @desc    Get effective QoS policy for a specific device
- * @access  Authenticated (users can view their own devices, admins can view all)
+ * @access  Authenticated (users can view their own devices, staff with qos:read can view all)
  */
 router.get(
   '/device/:deviceId',
@@ -206,16 +213,115 @@ router.get(
 /**
  * @route   GET /api/qos/policies/:id/device-stats
  * @desc    Get device statistics for specific QoS policy
- * @access  Admin only
+ * @access  Staff (qos:read)
  * @returns Device count, assigned devices list with user info
  */
 router.get(
   '/policies/:id/device-stats',
   verifyToken,
-  isAdmin,
+  requirePermission('qos:read'),
   policyIdParamSchema,
   validate,
   qosController.getPolicyDeviceStats
 );
 
+/**
+ * ============================================================================
+ * QoS SCHEDULE ROUTES
+ * Time-of-day windows that override the bandwidth and priority of a policy
+ * ============================================================================
+ */
+
+/**
+ * @route   GET /api/qos/policies/:id/schedules
+ * @desc    Get the schedule windows of a QoS policy
+ * @access  Staff (qos:read)
+ */
+router.get(
+  '/policies/:id/schedules',
+  verifyToken,
+  requirePermission('qos:read'),
+  policyIdParamSchema,
+  validate,
+  qosController.getPolicySchedules
+);
+
+/**
+ * @route   POST /api/qos/policies/:id/schedules
+ * @desc    Create a schedule window for a QoS policy
+ * @access  Staff (qos:write)
+ * @body    { name, days_of_week: ['mon'..'sun'], start_time: 'HH:mm', end_time: 'HH:mm',
+ *            max_download_speed?, max_upload_speed?, priority?, is_active? }
+ */
+router.post(
+  '/policies/:id/schedules',
+  verifyToken,
+  requirePermission('qos:write'),
+  policyIdParamSchema,
+  createQosScheduleSchema,
+  validate,
+  qosController.createSchedule
+);
+
+/**
+ * @route   PUT /api/qos/schedules/:scheduleId
+ * @desc    Update a schedule window
+ * @access  Staff (qos:write)
+ * @body    { name?, days_of_week?, start_time?, end_time?, max_download_speed?,
+ *            max_upload_speed?, priority?, is_active? }
+ */
+router.put(
+  '/schedules/:scheduleId',
+  verifyToken,
+  requirePermission('qos:write'),
+  scheduleIdParamSchema,
+  updateQosScheduleSchema,
+  validate,
+  qosController.updateSchedule
+);
+
+/**
+ * @route   DELETE /api/qos/schedules/:scheduleId
+ * @desc    Delete a schedule window
+ * @access  Staff (qos:write)
+ */
+router.delete(
+  '/schedules/:scheduleId',
+  verifyToken,
+  requirePermission('qos:write'),
+  scheduleIdParamSchema,
+  validate,
+  qosController.deleteSchedule
+);
+
+/**
+ * @route   GET /api/qos/preview
+ * @desc    Preview which QoS policy applies at a point in time
+ * @access  Staff (qos:read)
+ * @query   at? (ISO 8601, default now), and exactly one of user_id, device_id, policy_id
+ */
+router.get(
+  '/preview',
+  verifyToken,
+  requirePermission('qos:read'),
+  qosPreviewQuerySchema,
+  validate,
+  qosController.previewEffectivePolicy
+);
+
+/**
+ * @route   PUT /api/qos/default-policy
+ * @desc    Set the default QoS policy for users without a device, user or group policy
+ * @access  Staff (qos:write)
+ * @body    {number|null} policy_id - Policy ID, null to clear the default
+ */
+router.put(
+  '/default-policy',
+  verifyToken,
+  requirePermission('qos:write'),
+  defaultQosPolicySchema,
+  validate,
+  qosController.setDefaultPolicy
+);
+
 module.exports = router;
@@ -1,75 +1,85 @@
 const express = require('express');
 const router = express.Router();
 const syncController = require('../controllers/syncController');
-const { verifyToken, isAdmin } = require('../middleware/authMiddleware');
+const { allowApiToken, requirePermission } = require('../middleware/authMiddleware');
 
 /**
  * Sync Routes
  * Handles OpenVPN user synchronization operations and scheduler control
- * All routes require authentication and admin role
+ * All routes require authentication (login token, or personal API token with
+ * the admin:sync scope) and the sync:read or sync:run permission
  * Base path: /api/sync
  */
 
-// Apply authentication and admin check to all routes
-router.use(verifyToken);
-router.use(isAdmin);
+// Apply authentication to all routes
+router.use(allowApiToken('admin:sync'));
 
 /**
  * @route   POST /api/sync/users
  * @desc    Sync all users from MySQL to OpenVPN Access Server (manual trigger)
- * @access  Admin only
+ * @access  Staff (sync:run)
  * @body    {boolean} [dryRun] - If true, simulate sync without making changes
  * @body    {boolean} [deleteOrphaned] - If true, delete OpenVPN users not in MySQL
  * @returns {Object} Sync results with created, updated, deleted counts
  */
-router.post('/users', syncController.syncAllUsers);
+router.post('/users', requirePermission('sync:run'), syncController.syncAllUsers);
 
 /**
  * @route   POST /api/sync/users/:userId
  * @desc    Sync single user from MySQL to OpenVPN Access Server
- * @access  Admin only
+ * @access  Staff (sync:run)
  * @param   {string} userId - MySQL user ID to sync
  * @returns {Object} Sync result with action (created/updated) and username
  */
-router.post('/users/:userId', syncController.syncSingleUser);
+router.post('/users/:userId', requirePermission('sync:run'), syncController.syncSingleUser);
 
 /**
  * @route   DELETE /api/sync/users/:username
  * @desc    Remove user from OpenVPN Access Server
- * @access  Admin only
+ * @access  Staff (sync:run)
  * @param   {string} username - Username to remove from OpenVPN
  * @returns {Object} Deletion result
  */
-router.delete('/users/:username', syncController.removeUser);
+router.delete('/users/:username', requirePermission('sync:run'), syncController.removeUser);
 
 /**
  * @route   GET /api/sync/status
  * @desc    Get synchronization status, user comparison, and scheduler statistics
- * @access  Admin only
+ * @access  Staff (sync:read)
  * @returns {Object} Comprehensive sync status including:
  *          - MySQL and OpenVPN user counts
  *          - User comparison (in sync, missing, orphaned)
  *          - Scheduler status and statistics
  *          - Recent sync history
+ *          - LDAP directory sync status
  */
-router.get('/status', syncController.getSyncStatus);
+router.get('/status', requirePermission('sync:read'), syncController.getSyncStatus);
+
+/**
+ * @route   POST /api/sync/directory
+ * @desc    Import users from the LDAP directory now, then sync them to OpenVPN
+ * @access  Staff (sync:run)
+ * @body    {boolean} [dryRun] - If true, report the changes without applying them
+ * @returns {Object} Created, updated and disabled users
+ */
+router.post('/directory', requirePermission('sync:run'), syncController.syncDirectory);
 
 /**
  * @route   POST /api/sync/scheduler/control
  * @desc    Start or stop the automatic sync scheduler
- * @access  Admin only
+ * @access  Staff (sync:run)
  * @body    {string} action - 'start' or 'stop'
  * @returns {Object} Scheduler status after action
  */
-router.post('/scheduler/control', syncController.controlScheduler);
+router.post('/scheduler/control', requirePermission('sync:run'), syncController.controlScheduler);
 
 /**
  * @route   PUT /api/sync/scheduler/interval
  * @desc    Update the sync scheduler interval
- * @access  Admin only
+ * @access  Staff (sync:run)
  * @body    {number} intervalMinutes - New interval in minutes (1-60)
  * @returns {Object} Updated scheduler configuration
  */
-router.put('/scheduler/interval', syncController.updateInterval);
+router.put('/scheduler/interval', requirePermission('sync:run'), syncController.updateInterval);
 
 module.exports = router;
@@ -7,12 +7,17 @@ const {
   getConfigs,
   getDashboard,
   deleteAccount,
+  getUsage,
 } = require('../controllers/userController');
+const apiTokenController = require('../controllers/apiTokenController');
 const { verifyToken } = require('../middleware/authMiddleware');
 const {
   validate,
   updateProfileSchema,
   changePasswordSchema,
+  usageQuerySchema,
+  apiTokenCreateSchema,
+  apiTokenIdParamSchema,
 } = require('../middleware/validator');
 
 /**
@@ -52,6 +57,42 @@ router.get('/configs', verifyToken, getConfigs);
  */
 router.get('/dashboard', verifyToken, getDashboard);
 
+/**
+ * @route   GET /api/users/usage
+ * @desc    Get VPN bandwidth usage per device (hourly, daily or monthly)
+ * @access  Private
+ * @query   period - hour, day or month (default: day)
+ * @query   device_id - Only usage of this device
+ * @query   from - Report start (ISO 8601, default depends on period)
+ * @query   to - Report end (ISO 8601)
+ * @query   format - json or csv (default: json)
+ */
+router.get('/usage', verifyToken, usageQuerySchema, validate, getUsage);
+
+/**
+ * @route   GET /api/users/api-tokens
+ * @desc    List own personal API tokens and the scopes that can be granted
+ * @access  Private
+ */
+router.get('/api-tokens', verifyToken, apiTokenController.listTokens);
+
+/**
+ * @route   POST /api/users/api-tokens
+ * @desc    Create a personal API token (the token is only shown in this response)
+ * @access  Private
+ * @body    name - Token name
+ * @body    scopes - e.g. ["vpn:profile:read", "devices:read"]; admin:sync for admins only
+ * @body    expires_in_days - Optional expiry (1-3650 days), never expires if omitted
+ */
+router.post('/api-tokens', verifyToken, apiTokenCreateSchema, validate, apiTokenController.createToken);
+
+/**
+ * @route   DELETE /api/users/api-tokens/:id
+ * @desc    Revoke one of the own personal API tokens
+ * @access  Private
+ */
+router.delete('/api-tokens/:id', verifyToken, apiTokenIdParamSchema, validate, apiTokenController.revokeToken);
+
 /**
  * @route   DELETE /api/users/account
  * @desc    Soft delete user account
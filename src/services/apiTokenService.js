@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+const ApiToken = require('../models/ApiToken');
+const User = require('../models/User');
+const permissionService = require('./permissionService');
+const { generateApiKey } = require('../utils/tokenGenerator');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+/**
+ * Prefix of personal API tokens
+ * Tells them apart from JWTs in the Authorization header and makes leaked
+ * tokens easy to find with secret scanners.
+ */
+const TOKEN_PREFIX = 'ovpn_pat_';
+
+/**
+ * Scopes a token can be granted
+ * Scopes with a permission are only granted to, and only work for, users whose
+ * role has that permission. Routes still check their own permission.
+ */
+const API_TOKEN_SCOPES = {
+  'vpn:profile:read': { permission: null, description: 'List and download VPN profiles' },
+  'devices:read': { permission: null, description: 'List own devices and their connection history' },
+  'admin:sync': { permission: 'sync:read', description: 'Run and monitor OpenVPN user and database sync' }
+};
+
+/**
+ * API Token Service
+ * Personal access tokens for scripts and automation.
+ */
+class ApiTokenService {
+  constructor() {
+    this.maxTokensPerUser = 20;
+  }
+
+  /**
+   * Hash a token for storage
+   * @param {string} token - Token
+   * @returns {string} SHA-256 hex digest
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  /**
+   * Check whether a bearer credential is a personal API token
+   * @param {string} token - Credential from the Authorization header
+   * @returns {boolean}
+   */
+  isApiToken(token) {
+    return typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+  }
+
+  /**
+   * Get the scopes a user may grant
+   * @param {Object} user - User (role)
+   * @returns {Array<string>}
+   */
+  getGrantableScopes(user) {
+    return Object.keys(API_TOKEN_SCOPES)
+      .filter(scope => this.canUseScope(user, scope));
+  }
+
+  /**
+   * Check whether a user's role allows a scope
+   * @param {Object} user - User (role)
+   * @param {string} scope - Scope
+   * @returns {boolean}
+   */
+  canUseScope(user, scope) {
+    const { permission } = API_TOKEN_SCOPES[scope] || {};
+    return !permission || permissionService.hasPermission(user.role, permission);
+  }
+
+  /**
+   * Create a token
+   * @param {Object} user - Owner (id, role)
+   * @param {Object} params
+   * @param {string} params.name - Token name
+   * @param {Array<string>} params.scopes - Scopes to grant
+   * @param {number} [params.expiresInDays] - Days until expiry, none if omitted
+   * @returns {Promise<Object>} { token, ...stored token }; the token itself is only returned here
+   * @throws {AppError} 403 for scopes the user may not grant, 409 when the token limit is reached
+   */
+  async createToken(user, { name, scopes, expiresInDays }) {
+    const grantable = this.getGrantableScopes(user);
+    const denied = scopes.filter(scope => !grantable.includes(scope));
+    if (denied.length > 0) {
+      throw new AppError(`Scope not allowed: ${denied.join(', ')}`, 403, 'SCOPE_NOT_ALLOWED');
+    }
+
+    const existing = await ApiToken.findByUserId(user.id);
+    if (existing.length >= this.maxTokensPerUser) {
+      throw new AppError(
+        `Token limit reached (${this.maxTokensPerUser}). Revoke an unused token first.`,
+        409,
+        'TOKEN_LIMIT_REACHED'
+      );
+    }
+
+    const token = `${TOKEN_PREFIX}${generateApiKey(24)}`;
+    const expiresAt = expiresInDays
+      ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+      : null;
+
+    const stored = await ApiToken.create({
+      userId: user.id,
+      name,
+      tokenPrefix: token.substring(0, TOKEN_PREFIX.length + 6),
+      tokenHash: this.hashToken(token),
+      scopes: [...new Set(scopes)],
+      expiresAt
+    });
+
+    return { token, ...stored };
+  }
+
+  /**
+   * Authenticate a request made with a token
+   * @param {string} token - Token from the Authorization header
+   * @param {string} scope - Scope the route requires
+   * @param {string|null} [ipAddress] - Client IP address (last-used tracking)
+   * @returns {Promise<Object>} { user } on success, { status, error, code } otherwise
+   */
+  async authenticate(token, scope, ipAddress = null) {
+    const apiToken = await ApiToken.findByHash(this.hashToken(token));
+
+    if (!apiToken || apiToken.revoked_at) {
+      return { status: 401, error: 'Invalid API token', code: 'API_TOKEN_INVALID' };
+    }
+
+    if (apiToken.expires_at && new Date(apiToken.expires_at) <= new Date()) {
+      return { status: 401, error: 'API token has expired', code: 'API_TOKEN_EXPIRED' };
+    }
+
+    const user = await User.findById(apiToken.user_id);
+    if (!user) {
+      return { status: 401, error: 'Invalid API token', code: 'API_TOKEN_INVALID' };
+    }
+
+    // Disabled accounts (e.g. by directory sync) keep their tokens but cannot use them
+    if (user.disabled_at) {
+      return { status: 403, error: 'Your account has been disabled', code: 'ACCOUNT_DISABLED' };
+    }
+
+    if (!apiToken.scopes.includes(scope)) {
+      return { status: 403, error: `API token lacks the required scope: ${scope}`, code: 'INSUFFICIENT_SCOPE' };
+    }
+
+    if (!this.canUseScope(user, scope)) {
+      return { status: 403, error: 'Access denied. Your role does not allow this scope.', code: 'PERMISSION_DENIED' };
+    }
+
+    await ApiToken.touch(apiToken.id, ipAddress);
+
+    logger.info(`API token ${apiToken.id} (${apiToken.name}) used by ${user.email} for ${scope}`);
+
+    return {
+      user: {
+        id: user.id,
+        email: user.email,
+        role: user.role,
+        username: user.name,
+        apiTokenId: apiToken.id
+      }
+    };
+  }
+}
+
+const apiTokenService = new ApiTokenService();
+apiTokenService.API_TOKEN_SCOPES = API_TOKEN_SCOPES;
+apiTokenService.TOKEN_PREFIX = TOKEN_PREFIX;
+
+module.exports = apiTokenService;
@@ -0,0 +1,111 @@
+const AuditEvent = require('../models/AuditEvent');
+const logger = require('../utils/logger');
+
+/**
+ * Fields that are never written to the audit log
+ * Matched case-insensitively against field names of before/after objects.
+ */
+const REDACTED_FIELDS = /password|token|secret|hash/i;
+
+/**
+ * Audit Service
+ * Records administrative actions in the audit_events table.
+ *
+ * Controllers call record() after an action succeeded, passing the request
+ * (for the actor, IP address and user agent) and the state of the target
+ * before and after the change. Only fields that changed are stored.
+ * A failure to write the audit event is logged but does not fail the action.
+ */
+class AuditService {
+  /**
+   * Compute the changed fields between two states of a target
+   * @param {Object|null} before - State before the action (null when created)
+   * @param {Object|null} after - State after the action (null when deleted)
+   * @param {Array<string>} [fields] - Fields to compare (default: all keys of both)
+   * @returns {Object|null} { field: { before, after } }, or null without changes
+   */
+  diff(before, after, fields) {
+    const keys = fields || [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+    const changes = {};
+
+    for (const key of keys) {
+      if (REDACTED_FIELDS.test(key)) {
+        continue;
+      }
+
+      const oldValue = before ? this.normalize(before[key]) : null;
+      const newValue = after ? this.normalize(after[key]) : null;
+
+      // Fields missing from a partial update did not change
+      if (before && after && after[key] === undefined) {
+        continue;
+      }
+
+      if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+        changes[key] = { before: oldValue, after: newValue };
+      }
+    }
+
+    return Object.keys(changes).length > 0 ? changes : null;
+  }
+
+  /**
+   * Normalize a value for comparison and storage
+   * MySQL returns booleans as 0/1 and dates as Date objects.
+   * @private
+   */
+  normalize(value) {
+    if (value === undefined) {
+      return null;
+    }
+    if (value instanceof Date) {
+      return value.toISOString();
+    }
+    if (typeof value === 'boolean') {
+      return value ? 1 : 0;
+    }
+    return value;
+  }
+
+  /**
+   * Record an administrative action
+   * @param {Object} req - Express request of the acting user (req.user, IP, user agent)
+   * @param {Object} event
+   * @param {string} event.action - Action, e.g. user.update
+   * @param {string} [event.targetType] - Target type, e.g. user
+   * @param {string|number} [event.targetId] - Target ID
+   * @param {string} [event.targetLabel] - Human readable target, e.g. the user email
+   * @param {Object} [event.before] - Target state before the action
+   * @param {Object} [event.after] - Target state after the action
+   * @param {Array<string>} [event.fields] - Fields of before/after to compare
+   * @param {Object} [event.metadata] - Additional context, e.g. a reason
+   * @returns {Promise<number|null>} Event ID, or null if the event could not be written
+   */
+  async record(req, { action, targetType, targetId, targetLabel, before, after, fields, metadata }) {
+    const actor = (req && req.user) || {};
+
+    try {
+      return await AuditEvent.create({
+        actorId: actor.id || null,
+        actorEmail: actor.email || null,
+        actorRole: actor.role || null,
+        action,
+        targetType,
+        targetId,
+        targetLabel,
+        changes: before || after ? this.diff(before, after, fields) : null,
+        metadata,
+        ipAddress: req ? req.ip : null,
+        userAgent: req && typeof req.get === 'function' ? req.get('user-agent') : null
+      });
+    } catch (error) {
+      logger.error(`Failed to write audit event ${action}:`, error);
+      return null;
+    }
+  }
+}
+
+const auditService = new AuditService();
+auditService.REDACTED_FIELDS = REDACTED_FIELDS;
+
+module.exports = auditService;
@@ -0,0 +1,376 @@
+const crypto = require('crypto');
+const Device = require('../models/Device');
+const User = require('../models/User');
+const ConfigFile = require('../models/ConfigFile');
+const UserLanNetwork = require('../models/UserLanNetwork');
+const SecuritySetting = require('../models/SecuritySetting');
+const openvpnProfileService = require('./openvpnProfileService');
+const openvpnUserSync = require('./openvpnUserSync');
+const revocationService = require('./revocationService');
+const profileExpiryService = require('./profileExpiryService');
+const realtimeService = require('./realtimeService');
+const pkiService = require('./pkiService');
+const vpnBackend = require('./vpnBackend');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+const APPROVAL_POLICY_KEY = 'device_approval_required';
+
+/**
+ * Peer info variable carrying the enrollment ID of a device
+ * Set with 'setenv UV_DEVICE_ID' in the device profile and sent to the server
+ * by 'push-peer-info'.
+ */
+const DEVICE_ID_VARIABLE = 'UV_DEVICE_ID';
+
+const DEVICE_TYPES = ['desktop', 'laptop', 'mobile', 'tablet'];
+
+/**
+ * Device Enrollment Service
+ * Users register their devices by name and download a profile bound to the
+ * device. When administrators require approval, the profile of a new device
+ * is only issued once the device has been approved. With the built-in PKI
+ * (VPN_BACKEND=community) each device profile carries a certificate of its
+ * own, which goes on the CRL when the profile is revoked.
+ *
+ * users.max_devices limits the enrolled devices (pending and approved) of a
+ * user and the devices connected at the same time. Access Server can only
+ * disconnect all sessions of a user, so a user over the limit at connect time
+ * is disconnected entirely; the community server only drops the sessions of
+ * the devices over the limit.
+ */
+class DeviceEnrollmentService {
+  /**
+   * Check whether new devices need administrator approval
+   * @returns {Promise<boolean>}
+   */
+  async isApprovalRequired() {
+    return SecuritySetting.getBoolean(APPROVAL_POLICY_KEY, false);
+  }
+
+  /**
+   * Set whether new devices need administrator approval
+   * Devices already pending stay pending until they are reviewed.
+   * @param {boolean} required - Policy value
+   * @param {number} updatedBy - Administrator changing the policy
+   * @returns {Promise<boolean>} Success status
+   */
+  async setApprovalRequired(required, updatedBy) {
+    return SecuritySetting.set(APPROVAL_POLICY_KEY, !!required, updatedBy);
+  }
+
+  /**
+   * Get the enrollment policy as it applies to a user
+   * @param {number} userId - User ID
+   * @returns {Promise<Object>} { approval_required, max_devices, enrolled_devices }
+   */
+  async getPolicy(userId) {
+    const [approvalRequired, maxDevices, enrolledDevices] = await Promise.all([
+      this.isApprovalRequired(),
+      User.getMaxDevices(userId),
+      Device.countEnrolledDevices(userId)
+    ]);
+
+    return {
+      approval_required: approvalRequired,
+      max_devices: maxDevices,
+      enrolled_devices: enrolledDevices
+    };
+  }
+
+  /**
+   * Enroll a device of a user
+   * @param {Object} user - User (id, email)
+   * @param {Object} deviceData
+   * @param {string} deviceData.name - Device name
+   * @param {string} [deviceData.deviceType='desktop'] - Device type
+   * @returns {Promise<Object>} Device, pending when approval is required
+   * @throws {AppError} 409 when the device limit of the user is reached
+   */
+  async enroll(user, { name, deviceType = 'desktop' }) {
+    const maxDevices = await User.getMaxDevices(user.id);
+    if (maxDevices !== null) {
+      const enrolled = await Device.countEnrolledDevices(user.id);
+      if (enrolled >= maxDevices) {
+        throw new AppError(
+          `Device limit reached: you can enroll at most ${maxDevices} device(s). Remove a device first.`,
+          409,
+          'DEVICE_LIMIT_REACHED'
+        );
+      }
+    }
+
+    const status = (await this.isApprovalRequired()) ? 'pending' : 'approved';
+
+    const device = await Device.enroll(user.id, {
+      name,
+      deviceType: DEVICE_TYPES.includes(deviceType) ? deviceType : 'desktop',
+      deviceId: crypto.randomBytes(16).toString('hex'),
+      status
+    });
+
+    logger.info(`User ${user.email} enrolled device ${device.id} (${name}), ${status}`);
+
+    return device;
+  }
+
+  /**
+   * Approve or reject an enrolled device
+   * Rejecting a device revokes its profiles (see revokeProfiles) and
+   * disconnects its owner when the device is connected.
+   * @param {Object} device - Device (from Device.findById)
+   * @param {boolean} approved - Approve (true) or reject (false)
+   * @param {number} reviewedBy - Administrator reviewing the device
+   * @param {string|null} [note] - Reason for a rejection
+   * @returns {Promise<Object>} Updated device
+   * @throws {AppError} 409 for devices that were not enrolled
+   */
+  async review(device, approved, reviewedBy, note = null) {
+    if (device.enrollment_status === 'unenrolled') {
+      throw new AppError('Device was not enrolled and cannot be reviewed', 409, 'DEVICE_NOT_ENROLLED');
+    }
+
+    const status = approved ? 'approved' : 'rejected';
+    const updated = await Device.setEnrollmentStatus(device.id, status, reviewedBy, approved ? null : note);
+
+    if (!approved) {
+      await this.revokeProfiles(device, reviewedBy);
+    }
+
+    if (!approved && device.is_active) {
+      const user = await User.findById(device.user_id);
+      if (user && user.username) {
+        try {
+          await openvpnUserSync.disconnectUser(user.username, 'Device rejected');
+        } catch (error) {
+          // The VPN monitor disconnects the device at its next poll
+          logger.warn(`Failed to disconnect ${user.username} after rejecting device ${device.id}: ${error.message}`);
+        }
+      }
+    }
+
+    return updated;
+  }
+
+  /**
+   * Revoke the profiles issued for a device
+   * With the built-in PKI their certificates go on the published CRL, so the
+   * device can no longer connect with its certificate. With the Access Server
+   * the profiles share the certificates of the user, which are all revoked
+   * (see revocationService.revokeConfig).
+   * @param {Object} device - Device (id)
+   * @param {number} revokedBy - ID of the user revoking the profiles
+   * @returns {Promise<number>} Number of device profiles revoked
+   */
+  async revokeProfiles(device, revokedBy) {
+    const configs = await Device.findActiveProfiles(device.id);
+
+    for (const config of configs) {
+      await revocationService.revokeConfig(config, revokedBy);
+      if (!vpnBackend.usesBuiltInPki) {
+        // The first revocation revoked every profile of the user
+        break;
+      }
+    }
+
+    if (configs.length > 0) {
+      logger.info(`Revoked ${configs.length} profile(s) of device ${device.id}`);
+    }
+
+    return configs.length;
+  }
+
+  /**
+   * Bind a profile to a device
+   * @param {string} profile - OVPN profile of the user
+   * @param {Object} device - Enrolled device (device_id, name)
+   * @returns {string} Profile reporting the enrollment ID of the device
+   */
+  bindProfile(profile, device) {
+    let section = '\n# ============================================\n';
+    section += `# Device: ${String(device.name).replace(/[\r\n]/g, ' ')}\n`;
+    section += '# ============================================\n';
+    section += `setenv ${DEVICE_ID_VARIABLE} ${device.device_id}\n`;
+    if (!/^push-peer-info\b/m.test(profile)) {
+      section += 'push-peer-info\n';
+    }
+
+    return openvpnProfileService.insertDirectives(profile, section);
+  }
+
+  /**
+   * Issue the profile of an enrolled device
+   * @param {Object} user - User (from User.findById)
+   * @param {Object} device - Device of the user
+   * @param {Object} [options]
+   * @param {number} [options.lifetimeDays] - Requested profile lifetime
+   * @returns {Promise<Object>} { filename, profile }
+   * @throws {AppError} When the device is not approved or the user cannot get a profile
+   */
+  async issueProfile(user, device, { lifetimeDays } = {}) {
+    if (device.enrollment_status === 'pending') {
+      throw new AppError('This device is waiting for administrator approval', 409, 'DEVICE_PENDING_APPROVAL');
+    }
+    if (device.enrollment_status === 'rejected') {
+      throw new AppError('This device was rejected by an administrator', 403, 'DEVICE_REJECTED');
+    }
+    if (device.enrollment_status !== 'approved') {
+      throw new AppError('Only enrolled devices have a device profile. Enroll the device first.', 409, 'DEVICE_NOT_ENROLLED');
+    }
+
+    if (!user.username) {
+      throw new AppError('User does not have a username. Please contact administrator.', 400, 'USERNAME_MISSING');
+    }
+
+    // Single sign-on users were verified by their identity provider
+    if (!user.email_verified && user.auth_source !== 'oidc') {
+      throw new AppError('Please verify your email before downloading VPN profile', 403, 'EMAIL_NOT_VERIFIED');
+    }
+
+    if (!(await revocationService.ensureApplied(user))) {
+      throw new AppError(
+        'Your previous VPN profile is still being revoked on the VPN server. Please try again in a few minutes.',
+        409,
+        'REVOCATION_PENDING'
+      );
+    }
+
+    const expiresAt = profileExpiryService.getExpiryDate(lifetimeDays);
+
+    // With the built-in PKI the device gets a certificate of its own, revoked with its profile
+    const credentials = vpnBackend.usesBuiltInPki
+      ? await pkiService.issueClientCertificate({ userId: user.id, username: user.username, deviceId: device.id, expiresAt })
+      : null;
+
+    let profile;
+    try {
+      // The stored copy leaves the private key out (see pkiService.completeProfile)
+      profile = await openvpnProfileService.getUserloginProfile(
+        user.username,
+        credentials ? { credentials: { ...credentials, privateKey: null } } : {}
+      );
+    } catch (error) {
+      if (error.message.includes('does not exist')) {
+        throw new AppError('Your account is not synced to VPN server. Please contact administrator.', 404, 'VPN_ACCOUNT_NOT_FOUND');
+      }
+      throw error;
+    }
+
+    try {
+      const lanNetworks = await UserLanNetwork.findByUserId(user.id, true);
+      profile = openvpnProfileService.injectLanRoutes(profile, lanNetworks);
+    } catch (error) {
+      // Continue with the profile without LAN routes
+      logger.error('Failed to inject LAN network routes:', error);
+    }
+
+    profile = this.bindProfile(profile, device);
+
+    const filename = `${user.username}_device${device.id}_${Date.now()}.ovpn`;
+
+    const configFile = await ConfigFile.create(user.id, null, filename, profile, expiresAt);
+    if (credentials) {
+      await pkiService.attachToConfigFile(credentials.id, configFile.id);
+      profile = pkiService.inlinePrivateKey(profile, credentials.privateKey);
+    }
+    await ConfigFile.markDownloaded(configFile.id);
+    await Device.addProfile(device.id, configFile.id, filename, expiresAt);
+
+    logger.info(`Device profile ${filename} issued for device ${device.id} of user ${user.username}`);
+    realtimeService.publish('profile.generated', {
+      configId: configFile.id,
+      userId: user.id,
+      username: user.username,
+      filename,
+      expiresAt,
+      deviceId: device.id
+    });
+
+    return { filename, profile };
+  }
+
+  /**
+   * Enforce enrollment and device limits on the connected clients
+   * A user is disconnected when a client connects with the profile of a
+   * device that is not approved, or when more devices of the user are
+   * connected than users.max_devices allows. While approval is required,
+   * clients whose profile is not bound to an enrolled device are not
+   * approved either. Backends that disconnect single sessions
+   * (vpnBackend.disconnectsSessions) only drop the sessions of the devices
+   * that are not approved or, over the limit, of the devices listed after
+   * the allowed ones.
+   * @param {Array<Object>} connections - [{ client, device }] of the current poll,
+   *   device as returned by vpnMonitor.updateDeviceFromConnection
+   * @returns {Promise<Array<string>>} Usernames that were disconnected
+   */
+  async enforceConnections(connections) {
+    const byUser = new Map();
+    for (const { client, device } of connections) {
+      if (!byUser.has(device.userId)) {
+        byUser.set(device.userId, { username: client.username, devices: new Map() });
+      }
+      const { devices } = byUser.get(device.userId);
+      if (!devices.has(device.deviceId)) {
+        devices.set(device.deviceId, { status: device.enrollmentStatus || 'unenrolled', clients: [] });
+      }
+      devices.get(device.deviceId).clients.push(client);
+    }
+
+    const notApproved = ['pending', 'rejected'];
+    if (byUser.size > 0 && (await this.isApprovalRequired())) {
+      notApproved.push('unenrolled');
+    }
+
+    const disconnected = [];
+
+    for (const [userId, { username, devices }] of byUser) {
+      let reason = null;
+      let offending = [];
+
+      const entries = [...devices.values()];
+      const unapproved = entries.filter(entry => notApproved.includes(entry.status));
+      if (unapproved.length > 0) {
+        reason = 'Device not approved';
+        offending = unapproved;
+      } else {
+        const maxDevices = await User.getMaxDevices(userId);
+        if (maxDevices !== null && devices.size > maxDevices) {
+          reason = 'Device limit exceeded';
+          offending = entries.slice(maxDevices);
+        }
+      }
+
+      if (!reason) {
+        continue;
+      }
+
+      try {
+        if (vpnBackend.disconnectsSessions) {
+          const clients = offending.flatMap(entry => entry.clients);
+          for (const client of clients) {
+            await openvpnUserSync.disconnectSession({
+              username: client.username,
+              realAddress: client.realAddress,
+              virtualAddress: client.virtualAddress
+            }, reason);
+          }
+          logger.info(`Disconnected ${clients.length} session(s) of ${username}: ${reason} (${devices.size} device(s) connected)`);
+        } else {
+          await openvpnUserSync.disconnectUser(username, reason);
+          logger.info(`Disconnected ${username}: ${reason} (${devices.size} device(s) connected)`);
+        }
+        disconnected.push(username);
+      } catch (error) {
+        logger.error(`Failed to disconnect ${username} (${reason}):`, error);
+      }
+    }
+
+    return disconnected;
+  }
+}
+
+const deviceEnrollmentService = new DeviceEnrollmentService();
+deviceEnrollmentService.DEVICE_ID_VARIABLE = DEVICE_ID_VARIABLE;
+deviceEnrollmentService.DEVICE_TYPES = DEVICE_TYPES;
+
+module.exports = deviceEnrollmentService;
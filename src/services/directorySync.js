@@ -0,0 +1,596 @@
+const ldap = require('ldapjs');
+const User = require('../models/User');
+const openvpnUserSync = require('./openvpnUserSync');
+const sessionService = require('./sessionService');
+const permissionService = require('./permissionService');
+const realtimeService = require('./realtimeService');
+const logger = require('../utils/logger');
+
+/**
+ * Active Directory userAccountControl flag of disabled accounts
+ */
+const AD_ACCOUNT_DISABLED = 0x2;
+
+/**
+ * Attributes holding binary identifiers (stored as hex)
+ */
+const BINARY_ATTRIBUTES = ['objectguid', 'objectsid'];
+
+/**
+ * Directory Sync Service
+ * Imports users from an LDAP directory (OpenLDAP, Active Directory, ...).
+ *
+ * Each run searches the base DN with the user filter, then creates, updates
+ * and disables users with auth_source 'ldap' so they match the directory:
+ * - username, email and name come from the mapped attributes
+ * - the role comes from the directory groups (LDAP_GROUP_ROLE_MAPPING)
+ * - users disabled in the directory (Active Directory userAccountControl) or
+ *   no longer returned by the search are disabled
+ * The users are then pushed to the VPN server with openvpnUserSync.syncUsers.
+ *
+ * Directory users sign in with their directory password (see authenticate).
+ */
+class DirectorySync {
+  constructor() {
+    this.config = this.loadConfig();
+    this.syncInterval = null;
+    this.isSyncing = false;
+
+    this.lastSyncTime = null;
+    this.lastSyncResult = null;
+    this.lastSyncError = null;
+    this.syncHistory = [];
+    this.maxHistorySize = 10;
+  }
+
+  /**
+   * Read the directory configuration from the environment
+   * @param {Object} [env=process.env] - Environment variables
+   * @returns {Object} Configuration
+   */
+  loadConfig(env = process.env) {
+    return {
+      enabled: env.LDAP_ENABLED === 'true',
+      url: env.LDAP_URL || 'ldap://localhost:389',
+      bindDn: env.LDAP_BIND_DN || '',
+      bindPassword: env.LDAP_BIND_PASSWORD || '',
+      baseDn: env.LDAP_BASE_DN || '',
+      userFilter: env.LDAP_USER_FILTER || '(&(objectClass=person)(mail=*))',
+      attributes: {
+        externalId: env.LDAP_ATTR_EXTERNAL_ID || 'entryUUID',
+        username: env.LDAP_ATTR_USERNAME || 'uid',
+        email: env.LDAP_ATTR_EMAIL || 'mail',
+        name: env.LDAP_ATTR_NAME || 'cn',
+        groups: env.LDAP_ATTR_GROUPS || 'memberOf'
+      },
+      roleMapping: this.parseRoleMapping(env.LDAP_GROUP_ROLE_MAPPING),
+      defaultRole: permissionService.isValidRole(env.LDAP_DEFAULT_ROLE) ? env.LDAP_DEFAULT_ROLE : 'user',
+      disableMissing: env.LDAP_DISABLE_MISSING !== 'false',
+      intervalMinutes: parseInt(env.LDAP_SYNC_INTERVAL_MINUTES || '60', 10),
+      timeoutMs: parseInt(env.LDAP_TIMEOUT_MS || '10000', 10),
+      tlsRejectUnauthorized: env.LDAP_TLS_REJECT_UNAUTHORIZED !== 'false'
+    };
+  }
+
+  /**
+   * Parse the group-to-role mapping
+   * @param {string} value - JSON object of group DN to role,
+   *   e.g. {"cn=vpn-admins,ou=groups,dc=example,dc=com":"admin"}
+   * @returns {Map<string, string>} Lower-cased group DN to role
+   */
+  parseRoleMapping(value) {
+    const mapping = new Map();
+    if (!value) {
+      return mapping;
+    }
+
+    let parsed;
+    try {
+      parsed = JSON.parse(value);
+    } catch (error) {
+      logger.error('LDAP_GROUP_ROLE_MAPPING is not valid JSON, no groups are mapped');
+      return mapping;
+    }
+
+    for (const [group, role] of Object.entries(parsed)) {
+      if (!permissionService.isValidRole(role)) {
+        logger.warn(`Ignoring LDAP group mapping of ${group}: unknown role ${role}`);
+        continue;
+      }
+      mapping.set(this.normalizeDn(group), role);
+    }
+
+    return mapping;
+  }
+
+  /**
+   * Normalize a DN for comparison (case and spaces after commas)
+   * @private
+   */
+  normalizeDn(dn) {
+    return String(dn).toLowerCase().replace(/,\s+/g, ',').trim();
+  }
+
+  /**
+   * Check whether the connector is enabled and configured
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return this.config.enabled && Boolean(this.config.url && this.config.baseDn);
+  }
+
+  /**
+   * Resolve the role of a user from their directory groups
+   * @param {Array<string>} groups - Group DNs of the user
+   * @returns {string} Role
+   */
+  resolveRole(groups) {
+    const roles = new Set();
+    for (const group of groups) {
+      const role = this.config.roleMapping.get(this.normalizeDn(group));
+      if (role) {
+        roles.add(role);
+      }
+    }
+
+    // A user in several mapped groups gets the most privileged role
+    return permissionService.mostPrivilegedRole(roles) || this.config.defaultRole;
+  }
+
+  /**
+   * Map a directory entry to user fields
+   * @param {Object} entry - { dn, attributes: { lower-cased name: { values, buffers } } }
+   * @returns {Object} { user } or { error } when a required attribute is missing
+   */
+  mapEntry(entry) {
+    const { attributes } = this.config;
+
+    const first = (name) => {
+      const attribute = entry.attributes[name.toLowerCase()];
+      return attribute && attribute.values.length > 0 ? String(attribute.values[0]).trim() : null;
+    };
+
+    let externalId;
+    if (attributes.externalId.toLowerCase() === 'dn') {
+      externalId = this.normalizeDn(entry.dn);
+    } else if (BINARY_ATTRIBUTES.includes(attributes.externalId.toLowerCase())) {
+      const attribute = entry.attributes[attributes.externalId.toLowerCase()];
+      externalId = attribute && attribute.buffers.length > 0 ? attribute.buffers[0].toString('hex') : null;
+    } else {
+      externalId = first(attributes.externalId);
+    }
+
+    const username = first(attributes.username);
+    const email = first(attributes.email);
+
+    if (!externalId || !username || !email) {
+      const missing = [
+        !externalId && attributes.externalId,
+        !username && attributes.username,
+        !email && attributes.email
+      ].filter(Boolean);
+      return { error: `missing attribute(s): ${missing.join(', ')}` };
+    }
+
+    const groupAttribute = entry.attributes[attributes.groups.toLowerCase()];
+    const userAccountControl = parseInt(first('userAccountControl'), 10);
+
+    return {
+      user: {
+        externalId,
+        externalDn: entry.dn,
+        username: username.substring(0, 50),
+        email: email.toLowerCase(),
+        name: (first(attributes.name) || username).substring(0, 100),
+        role: this.resolveRole(groupAttribute ? groupAttribute.values : []),
+        disabled: !isNaN(userAccountControl) && (userAccountControl & AD_ACCOUNT_DISABLED) !== 0
+      }
+    };
+  }
+
+  /**
+   * Create an LDAP client
+   * @private
+   */
+  createClient() {
+    const client = ldap.createClient({
+      url: this.config.url,
+      timeout: this.config.timeoutMs,
+      connectTimeout: this.config.timeoutMs,
+      tlsOptions: { rejectUnauthorized: this.config.tlsRejectUnauthorized }
+    });
+
+    // Connection errors are reported through the pending operation
+    client.on('error', (error) => {
+      logger.warn(`LDAP connection error: ${error.message}`);
+    });
+
+    return client;
+  }
+
+  /**
+   * Bind a client
+   * @private
+   */
+  bind(client, dn, password) {
+    return new Promise((resolve, reject) => {
+      client.bind(dn, password, (error) => (error ? reject(error) : resolve()));
+    });
+  }
+
+  /**
+   * Close a client without waiting for the server
+   * @private
+   */
+  unbind(client) {
+    client.unbind(() => {});
+  }
+
+  /**
+   * Search the user entries below the base DN
+   * @private
+   */
+  search(client) {
+    const { attributes } = this.config;
+    const requested = [
+      attributes.externalId,
+      attributes.username,
+      attributes.email,
+      attributes.name,
+      attributes.groups,
+      'userAccountControl'
+    ].filter(name => name.toLowerCase() !== 'dn');
+
+    return new Promise((resolve, reject) => {
+      client.search(this.config.baseDn, {
+        scope: 'sub',
+        filter: this.config.userFilter,
+        attributes: requested,
+        // Active Directory returns at most 1000 entries per page
+        paged: true
+      }, (error, res) => {
+        if (error) {
+          return reject(error);
+        }
+
+        const entries = [];
+        res.on('searchEntry', (entry) => {
+          const result = { dn: entry.objectName.toString(), attributes: {} };
+          for (const attribute of entry.attributes) {
+            result.attributes[attribute.type.toLowerCase()] = {
+              values: attribute.values,
+              buffers: attribute.buffers
+            };
+          }
+          entries.push(result);
+        });
+        // Directories without paged results support return everything at once
+        res.on('pageError', () => {});
+        res.on('error', reject);
+        res.on('end', () => resolve(entries));
+      });
+    });
+  }
+
+  /**
+   * Fetch the user entries from the directory
+   * @returns {Promise<Array>} Directory entries
+   */
+  async fetchEntries() {
+    const client = this.createClient();
+
+    try {
+      if (this.config.bindDn) {
+        await this.bind(client, this.config.bindDn, this.config.bindPassword);
+      }
+      return await this.search(client);
+    } finally {
+      this.unbind(client);
+    }
+  }
+
+  /**
+   * Verify the password of a directory user by binding as the user
+   * @param {string} dn - Distinguished name of the user
+   * @param {string} password - Password
+   * @returns {Promise<boolean>} True if the directory accepted the password
+   * @throws {Error} If the directory cannot be reached
+   */
+  async authenticate(dn, password) {
+    // An empty password would be an unauthenticated bind, which servers accept
+    if (!dn || !password) {
+      return false;
+    }
+
+    const client = this.createClient();
+
+    try {
+      await this.bind(client, dn, password);
+      return true;
+    } catch (error) {
+      if (error instanceof ldap.InvalidCredentialsError) {
+        return false;
+      }
+      throw error;
+    } finally {
+      this.unbind(client);
+    }
+  }
+
+  /**
+   * Disable a user and cut their access
+   * @private
+   */
+  async disableUser(user, results) {
+    await User.disable(user.id);
+    await sessionService.revokeAllForUser(user.id, 'account_disabled');
+
+    if (user.username) {
+      try {
+        await openvpnUserSync.removeUser(user.username);
+      } catch (error) {
+        logger.warn(`Failed to remove disabled user ${user.username} from OpenVPN: ${error.message}`);
+      }
+    }
+
+    results.disabled.push(user.email);
+  }
+
+  /**
+   * Import the directory users and sync them to OpenVPN
+   * @param {Object} [options={}]
+   * @param {boolean} [options.dryRun=false] - Report the changes without applying them
+   * @returns {Promise<Object>} { created, updated, disabled, unchanged, skipped, errors, openvpn }
+   * @throws {Error} If the directory is not configured or cannot be searched
+   */
+  async run(options = {}) {
+    const { dryRun = false } = options;
+
+    if (!this.isConfigured()) {
+      throw new Error('Directory sync is not configured (LDAP_ENABLED, LDAP_URL, LDAP_BASE_DN)');
+    }
+
+    if (this.isSyncing) {
+      throw new Error('Directory sync is already running');
+    }
+
+    this.isSyncing = true;
+    const startTime = Date.now();
+
+    const results = {
+      created: [],
+      updated: [],
+      disabled: [],
+      unchanged: 0,
+      skipped: [],
+      errors: [],
+      openvpn: null
+    };
+
+    try {
+      const entries = await this.fetchEntries();
+      const existingUsers = await User.findAllBySource('ldap');
+
+      // An empty result is far more likely a wrong filter than an empty directory
+      if (entries.length === 0 && existingUsers.some(user => !user.disabled_at)) {
+        throw new Error('The directory search returned no users; refusing to disable every directory user');
+      }
+
+      const existingById = new Map(existingUsers.map(user => [user.external_id, user]));
+      const seen = new Set();
+
+      for (const entry of entries) {
+        const { user: mapped, error } = this.mapEntry(entry);
+        if (error) {
+          results.skipped.push({ dn: entry.dn, reason: error });
+          continue;
+        }
+
+        seen.add(mapped.externalId);
+        const existing = existingById.get(mapped.externalId);
+
+        try {
+          if (!existing) {
+            if (mapped.disabled) {
+              results.skipped.push({ dn: entry.dn, reason: 'disabled in directory' });
+              continue;
+            }
+            if (!dryRun) {
+              const userId = await User.createFromDirectory(mapped);
+              realtimeService.publish('user.created', {
+                userId,
+                email: mapped.email,
+                username: mapped.username,
+                role: mapped.role,
+                source: 'ldap'
+              });
+            }
+            results.created.push(mapped.email);
+            continue;
+          }
+
+          if (mapped.disabled) {
+            if (!existing.disabled_at) {
+              if (!dryRun) {
+                await this.disableUser(existing, results);
+              } else {
+                results.disabled.push(existing.email);
+              }
+            } else {
+              results.unchanged++;
+            }
+            continue;
+          }
+
+          const changed = existing.disabled_at ||
+            existing.username !== mapped.username ||
+            existing.email !== mapped.email ||
+            existing.name !== mapped.name ||
+            existing.role !== mapped.role ||
+            existing.external_dn !== mapped.externalDn;
+
+          if (!changed) {
+            results.unchanged++;
+            continue;
+          }
+
+          if (!dryRun) {
+            await User.updateFromDirectory(existing.id, mapped);
+
+            // Tokens carry the role, so a role change must end the user's sessions
+            if (existing.role !== mapped.role) {
+              await sessionService.revokeAllForUser(existing.id, 'role_change');
+            }
+          }
+          results.updated.push(mapped.email);
+        } catch (error) {
+          const reason = error.code === 'ER_DUP_ENTRY'
+            ? 'email or username is already used by another account'
+            : error.message;
+          logger.error(`Error importing directory user ${entry.dn}: ${reason}`);
+          results.errors.push({ dn: entry.dn, error: reason });
+        }
+      }
+
+      if (this.config.disableMissing) {
+        for (const user of existingUsers) {
+          if (seen.has(user.external_id) || user.disabled_at) {
+            continue;
+          }
+          if (!dryRun) {
+            await this.disableUser(user, results);
+          } else {
+            results.disabled.push(user.email);
+          }
+        }
+      }
+
+      if (!dryRun) {
+        const openvpnResults = await openvpnUserSync.syncUsers();
+        results.openvpn = {
+          created: openvpnResults.created.length,
+          updated: openvpnResults.updated.length,
+          errors: openvpnResults.errors.length
+        };
+      }
+
+      this.recordRun(startTime, dryRun, results, null);
+
+      logger.info('Directory sync completed', {
+        dryRun,
+        entries: entries.length,
+        created: results.created.length,
+        updated: results.updated.length,
+        disabled: results.disabled.length,
+        skipped: results.skipped.length,
+        errors: results.errors.length
+      });
+
+      return results;
+    } catch (error) {
+      this.recordRun(startTime, dryRun, null, error);
+      logger.error('Directory sync failed:', error);
+      realtimeService.publish('sync.failed', {
+        source: 'directory',
+        dryRun,
+        duration: Date.now() - startTime,
+        error: error.message
+      });
+      throw error;
+    } finally {
+      this.isSyncing = false;
+    }
+  }
+
+  /**
+   * Record the outcome of a run for getStatus
+   * @private
+   */
+  recordRun(startTime, dryRun, results, error) {
+    this.lastSyncTime = new Date();
+    this.lastSyncError = error ? error.message : null;
+
+    const summary = results ? {
+      created: results.created.length,
+      updated: results.updated.length,
+      disabled: results.disabled.length,
+      unchanged: results.unchanged,
+      skipped: results.skipped.length,
+      errors: results.errors.length
+    } : null;
+
+    if (results) {
+      this.lastSyncResult = summary;
+    }
+
+    this.syncHistory.unshift({
+      timestamp: this.lastSyncTime,
+      duration: Date.now() - startTime,
+      dryRun,
+      success: !error,
+      summary,
+      error: this.lastSyncError
+    });
+    this.syncHistory = this.syncHistory.slice(0, this.maxHistorySize);
+  }
+
+  /**
+   * Get the connector status
+   * @returns {Object} Configuration (without secrets), state and recent runs
+   */
+  getStatus() {
+    return {
+      enabled: this.config.enabled,
+      configured: this.isConfigured(),
+      url: this.config.url,
+      baseDn: this.config.baseDn,
+      userFilter: this.config.userFilter,
+      mappedGroups: this.config.roleMapping.size,
+      intervalMinutes: this.config.intervalMinutes,
+      isRunning: Boolean(this.syncInterval),
+      isSyncing: this.isSyncing,
+      lastSync: this.lastSyncTime,
+      lastResult: this.lastSyncResult,
+      lastError: this.lastSyncError,
+      recentHistory: this.syncHistory.slice(0, 5)
+    };
+  }
+
+  /**
+   * Start importing periodically (only when configured)
+   * @returns {boolean} True if started
+   */
+  start() {
+    if (!this.isConfigured()) {
+      return false;
+    }
+
+    if (this.syncInterval) {
+      logger.warn('Directory sync is already running');
+      return false;
+    }
+
+    logger.info(`Starting directory sync (interval: ${this.config.intervalMinutes} minutes, base DN: ${this.config.baseDn})`);
+
+    const runSafely = () => this.run().catch(() => {});
+
+    runSafely();
+    this.syncInterval = setInterval(runSafely, this.config.intervalMinutes * 60 * 1000);
+    return true;
+  }
+
+  /**
+   * Stop importing periodically
+   */
+  stop() {
+    if (this.syncInterval) {
+      clearInterval(this.syncInterval);
+      this.syncInterval = null;
+      logger.info('Directory sync stopped');
+    }
+  }
+}
+
+const directorySync = new DirectorySync();
+
+module.exports = directorySync;
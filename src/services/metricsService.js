@@ -0,0 +1,264 @@
+const db = require('../config/database');
+const syncScheduler = require('./syncScheduler');
+const vpnMonitor = require('./vpnMonitor');
+const logger = require('../utils/logger');
+
+/**
+ * Upper bounds of the request duration histogram buckets (seconds)
+ */
+const HTTP_DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Escape a label value for the exposition format
+ * @private
+ */
+const escapeLabel = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/\n/g, '\\n')
+  .replace(/"/g, '\\"');
+
+/**
+ * Format a label set as {name="value",...}
+ * @private
+ */
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+};
+
+/**
+ * Format a sample value (Prometheus spells infinities +Inf/-Inf)
+ * @private
+ */
+const formatValue = (value) => {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(Number(value));
+};
+
+/**
+ * Metrics Service
+ * Prometheus metrics of the backend and the VPN, rendered in the text
+ * exposition format (version 0.0.4) for GET /metrics.
+ *
+ * HTTP request durations are recorded as they happen (see
+ * middleware/metricsMiddleware). Everything else is read when scraped: the
+ * database pool from getPoolStats, the sync scheduler from getStatus, and
+ * sessions, per-user throughput and VPN server reachability from the last
+ * poll of the VPN monitor.
+ */
+class MetricsService {
+  constructor() {
+    // `${method} ${route} ${status}` -> { labels, buckets: number[], sum, count }
+    this.httpRequests = new Map();
+  }
+
+  /**
+   * Record the duration of a handled HTTP request
+   * @param {Object} labels - { method, route, status_code }
+   * @param {number} seconds - Request duration
+   */
+  observeHttpRequest({ method, route, status_code: statusCode }, seconds) {
+    const key = `${method} ${route} ${statusCode}`;
+    let series = this.httpRequests.get(key);
+
+    if (!series) {
+      series = {
+        labels: { method, route, status_code: String(statusCode) },
+        buckets: HTTP_DURATION_BUCKETS.map(() => 0),
+        sum: 0,
+        count: 0
+      };
+      this.httpRequests.set(key, series);
+    }
+
+    HTTP_DURATION_BUCKETS.forEach((bound, index) => {
+      if (seconds <= bound) {
+        series.buckets[index]++;
+      }
+    });
+    series.sum += seconds;
+    series.count++;
+  }
+
+  /**
+   * Forget recorded HTTP requests (tests)
+   */
+  reset() {
+    this.httpRequests.clear();
+  }
+
+  /**
+   * Render one metric family
+   * @private
+   * @param {Array<string>} lines - Output lines
+   * @param {string} name - Metric name
+   * @param {string} type - counter, gauge or histogram
+   * @param {string} help - Description
+   * @param {Array<Array>} samples - [[value, labels, suffix]]
+   */
+  writeFamily(lines, name, type, help, samples) {
+    lines.push(`# HELP ${name} ${help}`);
+    lines.push(`# TYPE ${name} ${type}`);
+    for (const [value, labels = {}, suffix = ''] of samples) {
+      lines.push(`${name}${suffix}${formatLabels(labels)} ${formatValue(value)}`);
+    }
+  }
+
+  /**
+   * Render the HTTP request histogram
+   * @private
+   */
+  collectHttp(lines) {
+    const samples = [];
+
+    for (const series of this.httpRequests.values()) {
+      HTTP_DURATION_BUCKETS.forEach((bound, index) => {
+        samples.push([series.buckets[index], { ...series.labels, le: bound }, '_bucket']);
+      });
+      samples.push([series.count, { ...series.labels, le: '+Inf' }, '_bucket']);
+      samples.push([series.sum, series.labels, '_sum']);
+      samples.push([series.count, series.labels, '_count']);
+    }
+
+    this.writeFamily(lines, 'http_request_duration_seconds', 'histogram',
+      'Duration of HTTP requests by method, route and status code', samples);
+  }
+
+  /**
+   * Render the database connection pool gauges
+   * @private
+   */
+  collectDatabase(lines) {
+    const stats = db.getPoolStats();
+
+    this.writeFamily(lines, 'db_pool_connections', 'gauge',
+      'Connections of the MySQL pool by state', [
+        [stats.activeConnections, { state: 'active' }],
+        [stats.idleConnections, { state: 'idle' }]
+      ]);
+    this.writeFamily(lines, 'db_pool_connection_limit', 'gauge',
+      'Maximum number of connections of the MySQL pool', [[stats.connectionLimit]]);
+    this.writeFamily(lines, 'db_pool_queued_requests', 'gauge',
+      'Requests waiting for a free MySQL connection', [[stats.queuedRequests || 0]]);
+  }
+
+  /**
+   * Render the sync scheduler counters and state
+   * @private
+   */
+  collectSyncScheduler(lines) {
+    const status = syncScheduler.getStatus();
+    const lastSync = status.lastSync.timestamp ? new Date(status.lastSync.timestamp).getTime() / 1000 : 0;
+
+    this.writeFamily(lines, 'sync_runs_total', 'counter',
+      'OpenVPN user syncs since start by result', [
+        [status.statistics.successfulSyncs, { result: 'success' }],
+        [status.statistics.failedSyncs, { result: 'failure' }]
+      ]);
+    this.writeFamily(lines, 'sync_scheduler_running', 'gauge',
+      'Whether the sync scheduler is started', [[status.scheduler.isRunning ? 1 : 0]]);
+    this.writeFamily(lines, 'sync_in_progress', 'gauge',
+      'Whether an OpenVPN user sync is running', [[status.scheduler.isSyncing ? 1 : 0]]);
+    this.writeFamily(lines, 'sync_last_run_timestamp_seconds', 'gauge',
+      'Unix time of the last OpenVPN user sync (0 before the first)', [[lastSync]]);
+    this.writeFamily(lines, 'sync_last_run_success', 'gauge',
+      'Whether the last OpenVPN user sync succeeded', [[lastSync && !status.lastSync.error ? 1 : 0]]);
+  }
+
+  /**
+   * Render sessions, per-user throughput and VPN server reachability
+   * @private
+   */
+  collectVpn(lines) {
+    const state = vpnMonitor.getPollState();
+    const users = new Map();
+
+    for (const session of state.sessions) {
+      const user = users.get(session.username) || { sessions: 0, rxBps: 0, txBps: 0, bytesReceived: 0, bytesSent: 0 };
+      user.sessions++;
+      user.rxBps += session.rxBps || 0;
+      user.txBps += session.txBps || 0;
+      user.bytesReceived += Number(session.bytesReceived) || 0;
+      user.bytesSent += Number(session.bytesSent) || 0;
+      users.set(session.username, user);
+    }
+
+    const perUser = (pick) => [...users.entries()].map(([username, user]) => [pick(user), { username }]);
+
+    this.writeFamily(lines, 'vpn_active_sessions', 'gauge',
+      'VPN sessions seen by the last monitor poll', [[state.sessions.length]]);
+    this.writeFamily(lines, 'vpn_user_sessions', 'gauge',
+      'VPN sessions of each connected user', perUser(user => user.sessions));
+    // Counters are the server's: received is the client's upload, sent its download
+    this.writeFamily(lines, 'vpn_user_receive_bytes_per_second', 'gauge',
+      'Upload rate of each connected user between the last two monitor polls', perUser(user => user.rxBps));
+    this.writeFamily(lines, 'vpn_user_transmit_bytes_per_second', 'gauge',
+      'Download rate of each connected user between the last two monitor polls', perUser(user => user.txBps));
+    this.writeFamily(lines, 'vpn_user_session_received_bytes', 'gauge',
+      'Bytes uploaded by each connected user in the current sessions', perUser(user => user.bytesReceived));
+    this.writeFamily(lines, 'vpn_user_session_sent_bytes', 'gauge',
+      'Bytes downloaded by each connected user in the current sessions', perUser(user => user.bytesSent));
+
+    this.writeFamily(lines, 'vpn_profile_proxy_up', 'gauge',
+      'Whether the VPN server (the profile proxy of an Access Server) answered the last monitor poll', [[state.proxyReachable ? 1 : 0]]);
+    this.writeFamily(lines, 'vpn_monitor_last_poll_timestamp_seconds', 'gauge',
+      'Unix time of the last monitor poll (0 before the first)',
+      [[state.lastPollAt ? state.lastPollAt.getTime() / 1000 : 0]]);
+    this.writeFamily(lines, 'vpn_monitor_last_success_timestamp_seconds', 'gauge',
+      'Unix time of the last monitor poll the VPN server answered (0 before the first)',
+      [[state.lastSuccessAt ? state.lastSuccessAt.getTime() / 1000 : 0]]);
+  }
+
+  /**
+   * Render process gauges
+   * @private
+   */
+  collectProcess(lines) {
+    const memory = process.memoryUsage();
+
+    this.writeFamily(lines, 'process_resident_memory_bytes', 'gauge',
+      'Resident memory size in bytes', [[memory.rss]]);
+    this.writeFamily(lines, 'nodejs_heap_used_bytes', 'gauge',
+      'V8 heap used in bytes', [[memory.heapUsed]]);
+    this.writeFamily(lines, 'process_uptime_seconds', 'gauge',
+      'Seconds since the backend started', [[Math.round(process.uptime())]]);
+  }
+
+  /**
+   * Render every metric
+   * A collector that fails is skipped, so one broken source does not hide
+   * the other metrics.
+   * @returns {string} Metrics in the Prometheus text exposition format
+   */
+  render() {
+    const lines = [];
+    const collectors = [
+      ['http', this.collectHttp],
+      ['database', this.collectDatabase],
+      ['sync scheduler', this.collectSyncScheduler],
+      ['vpn', this.collectVpn],
+      ['process', this.collectProcess]
+    ];
+
+    for (const [name, collect] of collectors) {
+      const section = [];
+      try {
+        collect.call(this, section);
+        lines.push(...section);
+      } catch (error) {
+        logger.error(`Error collecting ${name} metrics:`, error);
+      }
+    }
+
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+const metricsService = new MetricsService();
+metricsService.HTTP_DURATION_BUCKETS = HTTP_DURATION_BUCKETS;
+
+module.exports = metricsService;
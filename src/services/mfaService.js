@@ -0,0 +1,297 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const UserMfa = require('../models/UserMfa');
+const SecuritySetting = require('../models/SecuritySetting');
+const totp = require('../utils/totp');
+const { generateRandomToken } = require('../utils/tokenGenerator');
+const config = require('../config/environment');
+const logger = require('../utils/logger');
+
+/**
+ * Purposes of the short-lived tokens issued between password and TOTP check.
+ * verifyToken rejects both, so they cannot be used as session tokens.
+ */
+const MFA_TOKEN_TYPES = {
+  PENDING: 'mfa_pending',
+  ENROLL: 'mfa_enroll'
+};
+
+const ADMIN_POLICY_KEY = 'mfa_required_for_admins';
+
+/**
+ * MFA Service
+ * TOTP two-factor authentication for the web login: enrollment, code and
+ * recovery code verification, and the policy requiring it for administrators.
+ *
+ * TOTP secrets are encrypted with AES-256-GCM using MFA_ENCRYPTION_KEY (falls
+ * back to JWT_SECRET); recovery codes are stored as SHA-256 hashes.
+ */
+class MfaService {
+  constructor() {
+    this.issuer = process.env.MFA_ISSUER || process.env.APP_NAME || 'OpenVPN Distribution System';
+    this.tokenExpiresIn = process.env.MFA_TOKEN_EXPIRES_IN || '5m';
+    this.recoveryCodeCount = 10;
+  }
+
+  /**
+   * Get the key TOTP secrets are encrypted with
+   * @private
+   */
+  getEncryptionKey() {
+    return crypto.createHash('sha256')
+      .update(process.env.MFA_ENCRYPTION_KEY || config.jwtSecret)
+      .digest();
+  }
+
+  /**
+   * Encrypt a TOTP secret for storage
+   * @param {string} secret - Base32 secret
+   * @returns {string} iv:tag:ciphertext (base64)
+   */
+  encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+  }
+
+  /**
+   * Decrypt a stored TOTP secret
+   * @param {string} value - Value from encryptSecret
+   * @returns {string} Base32 secret
+   */
+  decryptSecret(value) {
+    const [iv, tag, encrypted] = String(value).split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+
+  /**
+   * Hash a recovery code (dashes, spaces and case are ignored)
+   * @param {string} code - Recovery code
+   * @returns {string} SHA-256 hex digest
+   */
+  hashRecoveryCode(code) {
+    const normalized = String(code || '').toLowerCase().replace(/[\s-]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  /**
+   * Generate a set of recovery codes
+   * @returns {Array<string>} Codes formatted as xxxxx-xxxxx
+   */
+  generateRecoveryCodes() {
+    return Array.from({ length: this.recoveryCodeCount }, () => {
+      const token = generateRandomToken(5);
+      return `${token.substring(0, 5)}-${token.substring(5)}`;
+    });
+  }
+
+  /**
+   * Check whether the administrator policy requires two-factor authentication
+   * @returns {Promise<boolean>}
+   */
+  async isRequiredForAdmins() {
+    return SecuritySetting.getBoolean(ADMIN_POLICY_KEY, false);
+  }
+
+  /**
+   * Set whether administrators must use two-factor authentication
+   * @param {boolean} required - Policy value
+   * @param {number} updatedBy - Administrator changing the policy
+   * @returns {Promise<boolean>} Success status
+   */
+  async setRequiredForAdmins(required, updatedBy) {
+    return SecuritySetting.set(ADMIN_POLICY_KEY, !!required, updatedBy);
+  }
+
+  /**
+   * Check whether a user must use two-factor authentication
+   * @param {Object} user - User (role)
+   * @returns {Promise<boolean>}
+   */
+  async isRequiredFor(user) {
+    return user.role === 'admin' && this.isRequiredForAdmins();
+  }
+
+  /**
+   * Get the second login step a user needs after the password check
+   * @param {Object} user - User (id, role)
+   * @returns {Promise<string|null>} MFA_TOKEN_TYPES.PENDING (enter a code),
+   *   MFA_TOKEN_TYPES.ENROLL (set up two-factor authentication first) or null
+   */
+  async getLoginStep(user) {
+    if (await UserMfa.isEnabled(user.id)) {
+      return MFA_TOKEN_TYPES.PENDING;
+    }
+
+    if (await this.isRequiredFor(user)) {
+      return MFA_TOKEN_TYPES.ENROLL;
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the two-factor authentication status of a user
+   * @param {Object} user - User (id, role)
+   * @returns {Promise<Object>} { enabled, pending, required, recovery_codes_remaining }
+   */
+  async getStatus(user) {
+    const record = await UserMfa.findByUserId(user.id);
+    const enabled = !!(record && record.enabled_at);
+
+    return {
+      enabled,
+      pending: !!record && !enabled,
+      enabled_at: enabled ? record.enabled_at : null,
+      required: await this.isRequiredFor(user),
+      recovery_codes_remaining: enabled ? await UserMfa.countRecoveryCodes(user.id) : 0
+    };
+  }
+
+  /**
+   * Start enrollment: generate a secret awaiting confirmation
+   * @param {Object} user - User (id, email)
+   * @returns {Promise<Object|null>} { secret, otpauth_uri }, null if already enabled
+   */
+  async startEnrollment(user) {
+    if (await UserMfa.isEnabled(user.id)) {
+      return null;
+    }
+
+    const secret = totp.generateSecret();
+    await UserMfa.savePendingSecret(user.id, this.encryptSecret(secret));
+
+    logger.info(`Two-factor enrollment started for user ID: ${user.id}`);
+
+    return {
+      secret,
+      otpauth_uri: totp.buildOtpAuthUri({ secret, account: user.email, issuer: this.issuer })
+    };
+  }
+
+  /**
+   * Confirm enrollment with a code from the authenticator app
+   * @param {number} userId - User ID
+   * @param {string} code - TOTP code
+   * @returns {Promise<Array<string>|null>} Recovery codes (shown once), null if the code is invalid
+   * @throws {Error} If no enrollment is pending
+   */
+  async confirmEnrollment(userId, code) {
+    const record = await UserMfa.findByUserId(userId);
+    if (!record || record.enabled_at) {
+      throw new Error('No pending two-factor enrollment');
+    }
+
+    const step = totp.verifyCode(this.decryptSecret(record.secret_encrypted), code);
+    if (step === null) {
+      return null;
+    }
+
+    const recoveryCodes = this.generateRecoveryCodes();
+    await UserMfa.enable(userId, step, recoveryCodes.map(c => this.hashRecoveryCode(c)));
+
+    return recoveryCodes;
+  }
+
+  /**
+   * Verify a TOTP code of a user with two-factor authentication enabled
+   * @param {number} userId - User ID
+   * @param {string} code - TOTP code
+   * @returns {Promise<boolean>}
+   */
+  async verifyCode(userId, code) {
+    const record = await UserMfa.findByUserId(userId);
+    if (!record || !record.enabled_at) {
+      return false;
+    }
+
+    const lastUsedStep = record.last_used_step === null ? null : Number(record.last_used_step);
+    const step = totp.verifyCode(this.decryptSecret(record.secret_encrypted), code, { lastUsedStep });
+
+    // markStepUsed fails when a concurrent request used the same code first
+    return step !== null && UserMfa.markStepUsed(userId, step);
+  }
+
+  /**
+   * Verify the second login step with a TOTP code or a recovery code
+   * @param {number} userId - User ID
+   * @param {Object} credentials - { code } or { recoveryCode }
+   * @returns {Promise<string|null>} 'totp' or 'recovery_code' when valid, null otherwise
+   */
+  async verifyLogin(userId, { code, recoveryCode }) {
+    if (code) {
+      return (await this.verifyCode(userId, code)) ? 'totp' : null;
+    }
+
+    if (recoveryCode && await UserMfa.isEnabled(userId)) {
+      return (await UserMfa.useRecoveryCode(userId, this.hashRecoveryCode(recoveryCode))) ? 'recovery_code' : null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Replace the recovery codes of a user
+   * @param {number} userId - User ID
+   * @returns {Promise<Array<string>>} New recovery codes (shown once)
+   */
+  async regenerateRecoveryCodes(userId) {
+    const recoveryCodes = this.generateRecoveryCodes();
+    await UserMfa.replaceRecoveryCodes(userId, recoveryCodes.map(c => this.hashRecoveryCode(c)));
+    return recoveryCodes;
+  }
+
+  /**
+   * Remove two-factor authentication of a user
+   * @param {number} userId - User ID
+   * @returns {Promise<boolean>} True if two-factor authentication was set up
+   */
+  async disable(userId) {
+    return UserMfa.deleteByUserId(userId);
+  }
+
+  /**
+   * Issue a short-lived token for the second login step
+   * @param {Object} user - User (id, email, role, name)
+   * @param {string} type - MFA_TOKEN_TYPES.PENDING or MFA_TOKEN_TYPES.ENROLL
+   * @returns {string} Signed JWT
+   */
+  createMfaToken(user, type) {
+    return jwt.sign(
+      {
+        id: user.id,
+        email: user.email,
+        role: user.role,
+        username: user.name,
+        type
+      },
+      config.jwtSecret,
+      { expiresIn: this.tokenExpiresIn }
+    );
+  }
+
+  /**
+   * Verify a token from createMfaToken
+   * @param {string} token - Signed JWT
+   * @param {string} type - Expected MFA_TOKEN_TYPES value
+   * @returns {Object|null} Decoded token or null if invalid, expired or of another type
+   */
+  verifyMfaToken(token, type) {
+    try {
+      const decoded = jwt.verify(token, config.jwtSecret);
+      return decoded.type === type ? decoded : null;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+const mfaService = new MfaService();
+mfaService.MFA_TOKEN_TYPES = MFA_TOKEN_TYPES;
+
+module.exports = mfaService;
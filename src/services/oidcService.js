@@ -0,0 +1,517 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const UserIdentity = require('../models/UserIdentity');
+const OidcLoginRequest = require('../models/OidcLoginRequest');
+const openvpnUserSync = require('./openvpnUserSync');
+const sessionService = require('./sessionService');
+const permissionService = require('./permissionService');
+const realtimeService = require('./realtimeService');
+const { AppError } = require('../middleware/errorHandler');
+const config = require('../config/environment');
+const logger = require('../utils/logger');
+
+/**
+ * ID token signature algorithms accepted from the provider
+ * Symmetric algorithms are not accepted, the client secret is not a signing key.
+ */
+const SIGNING_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+/**
+ * How long the provider metadata is cached
+ */
+const METADATA_TTL_MS = 60 * 60 * 1000;
+
+/**
+ * Minimum time between two fetches of the provider keys
+ * Keys are fetched again for an unknown key ID (key rotation).
+ */
+const JWKS_MIN_REFRESH_MS = 60 * 1000;
+
+/**
+ * Encode bytes as base64url without padding
+ * @private
+ */
+const base64url = (buffer) => buffer.toString('base64')
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=+$/, '');
+
+/**
+ * OIDC Service
+ * Single sign-on through an OpenID Connect provider (Keycloak, Azure AD,
+ * Google, Okta, ...) with the authorization code flow and PKCE.
+ *
+ * 1. createAuthorizationRequest() returns the provider URL the browser is sent to;
+ *    the state, nonce and PKCE code verifier are kept in oidc_login_requests.
+ * 2. The provider redirects back to OIDC_REDIRECT_URI (the frontend login page)
+ *    with a code and the state, which the frontend posts to the API.
+ * 3. completeLogin() exchanges the code, verifies the ID token and returns the claims.
+ * 4. resolveUser() finds the user of the claims: by linked identity, else by
+ *    verified email (linking the account), else by creating a user.
+ */
+class OidcService {
+  constructor() {
+    this.config = this.loadConfig();
+    this.metadata = null;
+    this.metadataFetchedAt = 0;
+    this.keys = new Map();
+    this.keysFetchedAt = 0;
+  }
+
+  /**
+   * Read the provider configuration from the environment
+   * @param {Object} [env=process.env] - Environment variables
+   * @returns {Object} Configuration
+   */
+  loadConfig(env = process.env) {
+    const clientSecret = env.OIDC_CLIENT_SECRET || '';
+
+    return {
+      enabled: env.OIDC_ENABLED === 'true',
+      providerName: env.OIDC_PROVIDER_NAME || 'Single sign-on',
+      issuer: (env.OIDC_ISSUER || '').replace(/\/+$/, ''),
+      clientId: env.OIDC_CLIENT_ID || '',
+      clientSecret,
+      tokenAuthMethod: clientSecret ? (env.OIDC_TOKEN_AUTH_METHOD || 'client_secret_basic') : 'none',
+      redirectUri: env.OIDC_REDIRECT_URI || `${env.FRONTEND_URL || config.frontendUrl}/login`,
+      scopes: env.OIDC_SCOPES || 'openid email profile',
+      usernameClaim: env.OIDC_USERNAME_CLAIM || 'preferred_username',
+      roleClaim: env.OIDC_ROLE_CLAIM || 'groups',
+      roleMapping: this.parseRoleMapping(env.OIDC_ROLE_MAPPING),
+      defaultRole: permissionService.isValidRole(env.OIDC_DEFAULT_ROLE) ? env.OIDC_DEFAULT_ROLE : 'user',
+      autoProvision: env.OIDC_AUTO_PROVISION !== 'false',
+      linkByEmail: env.OIDC_LINK_BY_EMAIL !== 'false',
+      loginTtlMinutes: parseInt(env.OIDC_LOGIN_TTL_MINUTES || '10', 10),
+      timeoutMs: parseInt(env.OIDC_TIMEOUT_MS || '10000', 10)
+    };
+  }
+
+  /**
+   * Parse the claim-to-role mapping
+   * @param {string} value - JSON object of claim value to role, e.g. {"vpn-admins":"admin"}
+   * @returns {Map<string, string>} Claim value to role
+   */
+  parseRoleMapping(value) {
+    const mapping = new Map();
+    if (!value) {
+      return mapping;
+    }
+
+    let parsed;
+    try {
+      parsed = JSON.parse(value);
+    } catch (error) {
+      logger.error('OIDC_ROLE_MAPPING is not valid JSON, no claims are mapped');
+      return mapping;
+    }
+
+    for (const [claimValue, role] of Object.entries(parsed)) {
+      if (!permissionService.isValidRole(role)) {
+        logger.warn(`Ignoring OIDC role mapping of ${claimValue}: unknown role ${role}`);
+        continue;
+      }
+      mapping.set(claimValue, role);
+    }
+
+    return mapping;
+  }
+
+  /**
+   * Check whether single sign-on is enabled and configured
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return this.config.enabled && Boolean(this.config.issuer && this.config.clientId);
+  }
+
+  /**
+   * Get a claim by name or dotted path, e.g. realm_access.roles
+   * @private
+   */
+  getClaim(claims, path) {
+    return path.split('.').reduce(
+      (value, key) => (value && typeof value === 'object' ? value[key] : undefined),
+      claims
+    );
+  }
+
+  /**
+   * Resolve the role of a user from their claims
+   * @param {Object} claims - ID token and userinfo claims
+   * @returns {string} Role
+   */
+  resolveRole(claims) {
+    const value = this.getClaim(claims, this.config.roleClaim);
+    const values = Array.isArray(value) ? value : (value === undefined || value === null ? [] : [value]);
+
+    const roles = values
+      .map(claimValue => this.config.roleMapping.get(String(claimValue)))
+      .filter(Boolean);
+
+    // Claims mapping to several roles give the most privileged one
+    return permissionService.mostPrivilegedRole(roles) || this.config.defaultRole;
+  }
+
+  /**
+   * Send a request to the provider
+   * @private
+   * @throws {AppError} 502 if the provider cannot be reached
+   */
+  async request(options) {
+    try {
+      const response = await axios({ timeout: this.config.timeoutMs, ...options });
+      return response.data;
+    } catch (error) {
+      const detail = error.response
+        ? `HTTP ${error.response.status} ${JSON.stringify(error.response.data)}`
+        : error.message;
+      logger.error(`OIDC request to ${options.url} failed: ${detail}`);
+
+      // The provider rejecting the code (expired, already used) is the user's problem to retry
+      if (error.response && error.response.status >= 400 && error.response.status < 500) {
+        throw new AppError('The sign-in could not be completed. Please try again.', 401, 'OIDC_LOGIN_FAILED');
+      }
+      throw new AppError('The identity provider is unavailable. Please try again later.', 502, 'OIDC_PROVIDER_UNAVAILABLE');
+    }
+  }
+
+  /**
+   * Get the provider metadata from its discovery document
+   * @returns {Promise<Object>} Metadata (authorization_endpoint, token_endpoint, jwks_uri, ...)
+   */
+  async getMetadata() {
+    if (this.metadata && Date.now() - this.metadataFetchedAt < METADATA_TTL_MS) {
+      return this.metadata;
+    }
+
+    const metadata = await this.request({
+      method: 'get',
+      url: `${this.config.issuer}/.well-known/openid-configuration`
+    });
+
+    if (!metadata || metadata.issuer !== this.config.issuer) {
+      logger.error(`OIDC discovery returned issuer ${metadata && metadata.issuer}, expected ${this.config.issuer}`);
+      throw new AppError('The identity provider is misconfigured.', 502, 'OIDC_PROVIDER_UNAVAILABLE');
+    }
+
+    this.metadata = metadata;
+    this.metadataFetchedAt = Date.now();
+    return metadata;
+  }
+
+  /**
+   * Get the public key of the provider that signed an ID token
+   * @param {string} [kid] - Key ID from the token header
+   * @returns {Promise<crypto.KeyObject|null>} Key, or null if the provider has no such key
+   */
+  async getSigningKey(kid) {
+    const find = () => {
+      if (kid) {
+        return this.keys.get(kid) || null;
+      }
+      // Providers with a single key may leave out the key ID
+      return this.keys.size === 1 ? [...this.keys.values()][0] : null;
+    };
+
+    if (find() || Date.now() - this.keysFetchedAt < JWKS_MIN_REFRESH_MS) {
+      return find();
+    }
+
+    const metadata = await this.getMetadata();
+    const jwks = await this.request({ method: 'get', url: metadata.jwks_uri });
+
+    this.keys = new Map();
+    for (const jwk of (jwks && jwks.keys) || []) {
+      if (jwk.use && jwk.use !== 'sig') {
+        continue;
+      }
+      try {
+        this.keys.set(jwk.kid || '', crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+      } catch (error) {
+        logger.warn(`Ignoring unusable OIDC signing key ${jwk.kid}: ${error.message}`);
+      }
+    }
+    this.keysFetchedAt = Date.now();
+
+    return find();
+  }
+
+  /**
+   * Start a sign-in at the provider
+   * @returns {Promise<Object>} { authorizationUrl, state }
+   */
+  async createAuthorizationRequest() {
+    const metadata = await this.getMetadata();
+
+    const state = base64url(crypto.randomBytes(32));
+    const nonce = base64url(crypto.randomBytes(32));
+    const codeVerifier = base64url(crypto.randomBytes(32));
+    const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+    await OidcLoginRequest.create({
+      stateHash: sessionService.hashToken(state),
+      codeVerifier,
+      nonce,
+      expiresAt: new Date(Date.now() + this.config.loginTtlMinutes * 60 * 1000)
+    });
+
+    // Abandoned sign-ins are cleaned up as new ones start
+    OidcLoginRequest.deleteExpired().catch(() => {});
+
+    const url = new URL(metadata.authorization_endpoint);
+    url.searchParams.set('response_type', 'code');
+    url.searchParams.set('client_id', this.config.clientId);
+    url.searchParams.set('redirect_uri', this.config.redirectUri);
+    url.searchParams.set('scope', this.config.scopes);
+    url.searchParams.set('state', state);
+    url.searchParams.set('nonce', nonce);
+    url.searchParams.set('code_challenge', codeChallenge);
+    url.searchParams.set('code_challenge_method', 'S256');
+
+    return { authorizationUrl: url.toString(), state };
+  }
+
+  /**
+   * Exchange an authorization code for tokens
+   * @private
+   */
+  async exchangeCode(metadata, code, codeVerifier) {
+    const params = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: this.config.redirectUri,
+      code_verifier: codeVerifier
+    });
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+
+    if (this.config.tokenAuthMethod === 'client_secret_basic') {
+      const credentials = `${encodeURIComponent(this.config.clientId)}:${encodeURIComponent(this.config.clientSecret)}`;
+      headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    } else {
+      params.set('client_id', this.config.clientId);
+      if (this.config.tokenAuthMethod === 'client_secret_post') {
+        params.set('client_secret', this.config.clientSecret);
+      }
+    }
+
+    return this.request({
+      method: 'post',
+      url: metadata.token_endpoint,
+      data: params.toString(),
+      headers
+    });
+  }
+
+  /**
+   * Verify an ID token and return its claims
+   * @param {string} idToken - ID token from the token endpoint
+   * @param {string} nonce - Nonce sent with the authorization request
+   * @returns {Promise<Object>} Claims
+   * @throws {AppError} 401 if the token is invalid
+   */
+  async verifyIdToken(idToken, nonce) {
+    const metadata = await this.getMetadata();
+    const decoded = idToken ? jwt.decode(idToken, { complete: true }) : null;
+    if (!decoded) {
+      throw new AppError('The identity provider returned no valid ID token.', 401, 'OIDC_ID_TOKEN_INVALID');
+    }
+
+    const supported = metadata.id_token_signing_alg_values_supported;
+    const algorithms = supported
+      ? SIGNING_ALGORITHMS.filter(alg => supported.includes(alg))
+      : SIGNING_ALGORITHMS;
+
+    const key = await this.getSigningKey(decoded.header.kid);
+    if (!key) {
+      logger.warn(`OIDC ID token signed with unknown key ${decoded.header.kid}`);
+      throw new AppError('The identity provider returned no valid ID token.', 401, 'OIDC_ID_TOKEN_INVALID');
+    }
+
+    let claims;
+    try {
+      claims = jwt.verify(idToken, key, {
+        algorithms,
+        issuer: this.config.issuer,
+        audience: this.config.clientId,
+        clockTolerance: 60
+      });
+    } catch (error) {
+      logger.warn(`OIDC ID token rejected: ${error.message}`);
+      throw new AppError('The identity provider returned no valid ID token.', 401, 'OIDC_ID_TOKEN_INVALID');
+    }
+
+    if (claims.nonce !== nonce) {
+      logger.warn('OIDC ID token rejected: nonce mismatch');
+      throw new AppError('The identity provider returned no valid ID token.', 401, 'OIDC_ID_TOKEN_INVALID');
+    }
+
+    // With several audiences the token must have been issued to this client
+    if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== this.config.clientId) {
+      logger.warn(`OIDC ID token rejected: authorized party ${claims.azp}`);
+      throw new AppError('The identity provider returned no valid ID token.', 401, 'OIDC_ID_TOKEN_INVALID');
+    }
+
+    return claims;
+  }
+
+  /**
+   * Complete a sign-in with the code and state from the provider redirect
+   * @param {Object} params
+   * @param {string} params.code - Authorization code
+   * @param {string} params.state - State parameter
+   * @returns {Promise<Object>} Claims of the ID token merged with the userinfo claims
+   * @throws {AppError} 400 for an unknown or expired state, 401 for rejected tokens
+   */
+  async completeLogin({ code, state }) {
+    const loginRequest = await OidcLoginRequest.consume(sessionService.hashToken(state));
+    if (!loginRequest) {
+      throw new AppError('The sign-in has expired. Please start again.', 400, 'OIDC_STATE_INVALID');
+    }
+
+    const metadata = await this.getMetadata();
+    const tokens = await this.exchangeCode(metadata, code, loginRequest.code_verifier);
+    const claims = await this.verifyIdToken(tokens && tokens.id_token, loginRequest.nonce);
+
+    // Providers often only return the email and groups from the userinfo endpoint
+    if (metadata.userinfo_endpoint && tokens.access_token) {
+      const userinfo = await this.request({
+        method: 'get',
+        url: metadata.userinfo_endpoint,
+        headers: { Authorization: `Bearer ${tokens.access_token}` }
+      });
+
+      if (userinfo && userinfo.sub === claims.sub) {
+        return { ...userinfo, ...claims };
+      }
+      logger.warn(`Ignoring OIDC userinfo of another subject for ${claims.sub}`);
+    }
+
+    return claims;
+  }
+
+  /**
+   * Derive a free username from the claims
+   * @private
+   */
+  async generateUsername(claims, email) {
+    const claimed = this.getClaim(claims, this.config.usernameClaim);
+    const base = String(claimed || email).split('@')[0]
+      .toLowerCase()
+      .replace(/[^a-z0-9_-]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .substring(0, 40)
+      .padEnd(3, '0');
+
+    for (let attempt = 1; attempt <= 20; attempt++) {
+      const candidate = attempt === 1 ? base : `${base}-${attempt}`;
+      if (!(await User.isUsernameTaken(candidate))) {
+        return candidate;
+      }
+    }
+
+    return `${base}-${crypto.randomBytes(4).toString('hex')}`;
+  }
+
+  /**
+   * Find, link or create the user of a single sign-on
+   * Linked identities are found by issuer and subject. Otherwise an existing
+   * account with the same email is linked if the provider verified the email,
+   * and without an account a new user is created.
+   * Users created by single sign-on get their role from the claims at every sign-in.
+   * @param {Object} claims - Claims from completeLogin
+   * @returns {Promise<Object>} { user, created, linked }
+   * @throws {AppError} 403 if the claims cannot be matched to an account
+   */
+  async resolveUser(claims) {
+    const provider = this.config.issuer;
+    const email = typeof claims.email === 'string' ? claims.email.trim().toLowerCase() : null;
+    const identity = await UserIdentity.findBySubject(provider, claims.sub);
+
+    if (identity) {
+      const user = await User.findById(identity.user_id);
+      if (!user) {
+        throw new AppError('This account has been deleted', 403, 'ACCOUNT_DELETED');
+      }
+
+      const role = this.resolveRole(claims);
+      if (user.auth_source === 'oidc' && role !== user.role) {
+        await User.updateProfile(user.id, { role });
+        // Tokens carry the role, so a role change must end the user's sessions
+        await sessionService.revokeAllForUser(user.id, 'role_change');
+        logger.info(`Role of ${user.email} changed from ${user.role} to ${role} by single sign-on claims`);
+        user.role = role;
+      }
+
+      await UserIdentity.touch(identity.id, email);
+      return { user, created: false, linked: false };
+    }
+
+    if (!email) {
+      throw new AppError('The identity provider did not share your email address.', 403, 'OIDC_EMAIL_MISSING');
+    }
+
+    const existing = await User.findByEmail(email);
+
+    if (existing) {
+      if (!this.config.linkByEmail) {
+        throw new AppError('An account with this email already exists. Sign in with your password.', 403, 'OIDC_ACCOUNT_EXISTS');
+      }
+      // Linking on an unverified email would let anyone claim the account
+      if (claims.email_verified !== true) {
+        throw new AppError(
+          'Your email is not verified by the identity provider, so it cannot be linked to your account.',
+          403,
+          'OIDC_EMAIL_NOT_VERIFIED'
+        );
+      }
+
+      await UserIdentity.create({ userId: existing.id, provider, subject: claims.sub, email });
+      if (!existing.email_verified) {
+        await User.updateProfile(existing.id, { email_verified: true });
+      }
+      logger.info(`Single sign-on identity ${claims.sub} linked to ${email}`);
+
+      return { user: await User.findById(existing.id), created: false, linked: true };
+    }
+
+    if (!this.config.autoProvision) {
+      throw new AppError('No account exists for this email. Please contact your administrator.', 403, 'OIDC_ACCOUNT_NOT_FOUND');
+    }
+
+    const username = await this.generateUsername(claims, email);
+    const role = this.resolveRole(claims);
+    const userId = await User.createFromIdentityProvider({
+      username,
+      email,
+      name: String(claims.name || username).substring(0, 100),
+      role,
+      emailVerified: claims.email_verified === true
+    });
+    await UserIdentity.create({ userId, provider, subject: claims.sub, email });
+    realtimeService.publish('user.created', { userId, email, username, role, source: 'oidc' });
+
+    try {
+      await openvpnUserSync.syncSingleUser(userId);
+    } catch (error) {
+      logger.error(`Failed to sync single sign-on user ${email} to OpenVPN:`, error);
+      // The user is created either way; the scheduled sync will retry
+    }
+
+    return { user: await User.findById(userId), created: true, linked: false };
+  }
+
+  /**
+   * Get the public single sign-on settings for the login page
+   * @returns {Object} { enabled, provider_name }
+   */
+  getPublicConfig() {
+    return {
+      enabled: this.isConfigured(),
+      provider_name: this.config.providerName
+    };
+  }
+}
+
+module.exports = new OidcService();
@@ -1,87 +1,197 @@
 /**
  * OpenVPN Client Connect Service
  * 
- * Handles dynamic routing configuration when clients connect to OpenVPN.
- * Adds iroute directives for user's enabled LAN networks.
+ * Builds the client-specific configuration (the client-config-dir content)
+ * of a connecting client, asked for by the client-connect hook
+ * (scripts/openvpn-client-connect.sh) through POST /api/vpn/client-connect:
+ * iroutes for the user's LAN networks, routes to the LAN networks shared
+ * through their groups, a static VPN address, DNS servers and the bandwidth
+ * limit of their QoS policy. Disabled, soft-deleted and over-quota users are
+ * refused.
  * 
  * @module services/openvpnClientConnect
  */
 
-const { execSync } = require('child_process');
-const fs = require('fs');
-const path = require('path');
 const UserLanNetwork = require('../models/UserLanNetwork');
+const GroupLanNetwork = require('../models/GroupLanNetwork');
 const User = require('../models/User');
+const Device = require('../models/Device');
+const QosPolicy = require('../models/QosPolicy');
+const quotaEnforcer = require('./quotaEnforcer');
 const logger = require('../utils/logger');
+const vpnBackend = require('./vpnBackend');
+
+// Common name of per-device certificates ("<username>-device-<id>", see pkiService)
+const DEVICE_COMMON_NAME = /^(.+)-device-(\d+)$/;
+
+// Range OpenVPN accepts for the shaper option, in bytes per second
+const SHAPER_MIN_BYTES = 100;
+const SHAPER_MAX_BYTES = 100000000;
+
+/**
+ * Make a value safe for a comment line of the client configuration
+ * @param {any} value - Value to include
+ * @returns {string}
+ */
+const toComment = (value) => String(value).replace(/[^\x20-\x7E]/g, ' ').substring(0, 100);
 
 class OpenVPNClientConnectService {
   constructor() {
-    this.containerName = process.env.OPENVPN_CONTAINER_NAME || 'openvpn-server';
+    this.vpnSubnet = process.env.OPENVPN_VPN_SUBNET || '10.8.0.0/24';
+    this.dnsServers = (process.env.OPENVPN_PUSH_DNS || '')
+      .split(',')
+      .map(server => server.trim())
+      .filter(Boolean);
+    this.dnsDomain = (process.env.OPENVPN_PUSH_DOMAIN || '').trim();
   }
 
   /**
-   * Generate client-specific configuration for user's LAN networks
-   * This is called when a client connects
-   * 
-   * @param {string} username - Username of connecting client
-   * @returns {Promise<string>} Client-specific config directives
+   * Find the user and device of a connecting client
+   * The username of auth-user-pass identifies the user when present,
+   * otherwise the certificate common name. Per-device certificates name the
+   * device; it is only used when it belongs to the user.
+   * @param {Object} client
+   * @param {string} client.commonName - Certificate common name
+   * @param {string} [client.username] - Username the client authenticated with
+   * @returns {Promise<Object>} { user, deviceId } (user null if unknown)
    */
-  async generateClientConfig(username) {
-    try {
-      logger.info(`Generating client config for user: ${username}`);
-
-      // Find user by email or username
-      const user = await User.findOne({ 
-        where: { 
-          OR: [
-            { email: username },
-            { username: username }
-          ]
-        }
-      });
-
-      if (!user) {
-        logger.warn(`User not found: ${username}`);
-        return '';
+  async resolveClient({ commonName, username }) {
+    const deviceMatch = DEVICE_COMMON_NAME.exec(commonName || '');
+
+    let user = await User.findByVpnUsername(username || commonName);
+    if (!user && !username && deviceMatch) {
+      user = await User.findByVpnUsername(deviceMatch[1]);
+    }
+
+    let deviceId = null;
+    if (user && deviceMatch) {
+      const device = await Device.findById(parseInt(deviceMatch[2], 10));
+      if (device && device.user_id === user.id) {
+        deviceId = device.id;
       }
+    }
+
+    return { user, deviceId };
+  }
 
-      // Get user's enabled LAN networks
-      const networks = await UserLanNetwork.findByUserId(user.id, true);
+  /**
+   * Decide whether a client may connect and build its configuration
+   * Soft-deleted users are unknown: deletion renames their username and email.
+   * Over quota, clients of a policy with the disconnect action are refused,
+   * those of a throttle policy get the throttle limit and those of a notify
+   * policy connect as usual.
+   * @param {Object} client
+   * @param {string} client.commonName - Certificate common name
+   * @param {string} [client.username] - Username the client authenticated with
+   * @returns {Promise<Object>} { allowed, reason, user, deviceId, config }
+   */
+  async authorizeClient({ commonName, username }) {
+    const name = username || commonName;
+    const { user, deviceId } = await this.resolveClient({ commonName, username });
+
+    if (!user) {
+      logger.warn(`Client connect refused for ${name}: unknown user`);
+      return { allowed: false, reason: 'unknown_user', user: null, deviceId: null, config: null };
+    }
+
+    if (user.disabled_at) {
+      logger.warn(`Client connect refused for ${name}: user is disabled`);
+      return { allowed: false, reason: 'user_disabled', user, deviceId, config: null };
+    }
+
+    let policy = deviceId
+      ? await QosPolicy.getEffectiveDevicePolicy(deviceId)
+      : await QosPolicy.getEffectiveUserPolicy(user.id);
 
-      if (!networks || networks.length === 0) {
-        logger.info(`No enabled LAN networks for user: ${username}`);
-        return '';
+    if (quotaEnforcer.hasQuota(policy)) {
+      const { exceeded } = await quotaEnforcer.getQuotaStatus(user.id, deviceId, policy);
+
+      if (exceeded && policy.over_quota_action === 'disconnect') {
+        logger.warn(`Client connect refused for ${name}: quota of policy ${policy.name} used up`);
+        return { allowed: false, reason: 'over_quota', user, deviceId, config: null };
       }
 
-      // Generate iroute directives
-      const configLines = [
-        `# LAN Network Routes for ${username}`,
-        `# Generated at ${new Date().toISOString()}`,
-        ''
-      ];
+      if (exceeded && policy.over_quota_action === 'throttle') {
+        policy = await quotaEnforcer.getThrottlePolicy(policy);
+      }
+    }
+
+    const config = await this.generateClientConfig(user, { deviceId, policy });
+
+    return { allowed: true, reason: null, user, deviceId, config };
+  }
 
-      for (const network of networks) {
-        const description = network.description ? ` - ${network.description}` : '';
-        configLines.push(`# ${network.network_cidr}${description}`);
+  /**
+   * Generate the client-specific configuration of a user
+   * The user's own LAN networks sit behind their client (iroute); networks
+   * shared through their groups are pushed as routes. The static address is
+   * only pushed to the user's own certificate, never to per-device ones.
+   * 
+   * @param {Object} user - User (from User.findByVpnUsername)
+   * @param {Object} [options]
+   * @param {number|null} [options.deviceId] - Device of a per-device certificate
+   * @param {Object|null} [options.policy] - QoS policy in effect
+   * @returns {Promise<string>} Client-specific config directives
+   */
+  async generateClientConfig(user, { deviceId = null, policy = null } = {}) {
+    const label = user.username || user.email;
+    const configLines = [
+      `# Client configuration for ${toComment(label)}${deviceId ? ` (device ${deviceId})` : ''}`,
+      `# Generated at ${new Date().toISOString()}`
+    ];
+
+    if (user.static_ip && !deviceId) {
+      const { subnetMask } = UserLanNetwork.parseCIDR(this.vpnSubnet);
+      configLines.push('', '# Static VPN address');
+      configLines.push(`ifconfig-push ${user.static_ip} ${subnetMask}`);
+    }
+
+    const ownNetworks = await UserLanNetwork.findByUserId(user.id, true);
+    if (ownNetworks.length > 0) {
+      configLines.push('', '# LAN networks behind this client');
+      for (const network of ownNetworks) {
         configLines.push(`iroute ${network.network_ip} ${network.subnet_mask}`);
       }
+    }
 
-      configLines.push('');
-      configLines.push(`# Total networks: ${networks.length}`);
+    // A network is pushed once, and never to the client it sits behind
+    const ownCidrs = new Set(ownNetworks.map(network => network.network_cidr));
+    const groupNetworks = (await GroupLanNetwork.findByUserId(user.id))
+      .filter((network, index, all) => !ownCidrs.has(network.network_cidr) &&
+        all.findIndex(other => other.network_cidr === network.network_cidr) === index);
+    if (groupNetworks.length > 0) {
+      configLines.push('', '# LAN networks shared through groups');
+      for (const network of groupNetworks) {
+        configLines.push(`push "route ${network.network_ip} ${network.subnet_mask}"`);
+      }
+    }
 
-      const config = configLines.join('\n');
-      logger.info(`Generated client config for ${username} with ${networks.length} networks`);
-      logger.debug(`Config:\n${config}`);
+    if (this.dnsServers.length > 0 || this.dnsDomain) {
+      configLines.push('', '# DNS');
+      for (const server of this.dnsServers) {
+        configLines.push(`push "dhcp-option DNS ${server}"`);
+      }
+      if (this.dnsDomain) {
+        configLines.push(`push "dhcp-option DOMAIN ${this.dnsDomain}"`);
+      }
+    }
 
-      return config;
-    } catch (error) {
-      logger.error('Error generating client config:', error);
-      return '';
+    // The shaper limits what the client sends; the server side is shaped by trafficShaper
+    const limitKbps = policy ? Number(policy.bandwidth_limit) : 0;
+    if (limitKbps > 0) {
+      const bytesPerSecond = Math.min(Math.max(Math.round(limitKbps * 1000 / 8), SHAPER_MIN_BYTES), SHAPER_MAX_BYTES);
+      configLines.push('', `# QoS policy: ${toComment(policy.name)} (${limitKbps} Kbps)`);
+      configLines.push(`push "shaper ${bytesPerSecond}"`);
     }
+
+    const config = `${configLines.join('\n')}\n`;
+    logger.debug(`Client config for ${label}:\n${config}`);
+
+    return config;
   }
 
   /**
-   * Update OpenVPN AS server routing configuration to include all LAN networks
+   * Update the VPN server routing configuration to include all LAN networks
    * This adds networks to the server's global routing table
    * 
    * @returns {Promise<boolean>} Success status
@@ -90,8 +200,11 @@ class OpenVPNClientConnectService {
     try {
       logger.info('Updating OpenVPN server routing configuration');
 
-      // Get all enabled LAN networks from all users
-      const allNetworks = await UserLanNetwork.findAll({ where: { enabled: true } });
+      // Get all enabled LAN networks of users and groups
+      const allNetworks = [
+        ...await UserLanNetwork.findAllEnabled(),
+        ...await GroupLanNetwork.findAllEnabled()
+      ];
 
       if (!allNetworks || allNetworks.length === 0) {
         logger.info('No enabled LAN networks to configure');
@@ -109,30 +222,7 @@ class OpenVPNClientConnectService {
 
       logger.info(`Found ${uniqueNetworks.size} unique LAN networks to configure`);
 
-      // Get current routing configuration
-      const currentConfig = this.execCommand(`sacli ConfigQuery | grep 'vpn.server.routing.private_network'`);
-      logger.debug(`Current routing config:\n${currentConfig}`);
-
-      // Clear existing private network configurations (except the VPN subnet)
-      const vpnSubnet = '10.77.0.0/24'; // Keep the VPN's own subnet
-      
-      // Set the VPN subnet as network 0
-      this.execCommand(`sacli --key "vpn.server.routing.private_network.0" --value "${vpnSubnet}" ConfigPut`);
-
-      // Add each unique LAN network
-      let index = 1;
-      for (const [cidr, network] of uniqueNetworks) {
-        const key = `vpn.server.routing.private_network.${index}`;
-        const value = cidr;
-        
-        logger.info(`Setting ${key} = ${value}`);
-        this.execCommand(`sacli --key "${key}" --value "${value}" ConfigPut`);
-        index++;
-      }
-
-      // Apply configuration and restart OpenVPN
-      logger.info('Applying configuration changes and restarting OpenVPN service');
-      this.execCommand('sacli start');
+      await vpnBackend.setRoutes([...uniqueNetworks.keys()]);
 
       logger.info(`Successfully updated server routing with ${uniqueNetworks.size} LAN networks`);
       return true;
@@ -142,30 +232,6 @@ class OpenVPNClientConnectService {
     }
   }
 
-  /**
-   * Execute command in OpenVPN container
-   * 
-   * @param {string} command - Command to execute
-   * @returns {string} Command output
-   * @throws {Error} If command fails
-   */
-  execCommand(command) {
-    const fullCommand = `docker exec ${this.containerName} /bin/bash -c "${command}"`;
-    logger.debug(`Executing: ${fullCommand}`);
-    
-    try {
-      const output = execSync(fullCommand, { 
-        encoding: 'utf8',
-        stdio: ['pipe', 'pipe', 'pipe']
-      });
-      return output.trim();
-    } catch (error) {
-      logger.error(`Command failed: ${fullCommand}`);
-      logger.error(`Error: ${error.message}`);
-      throw error;
-    }
-  }
-
   /**
    * Enable NAT for LAN network routing
    * This allows clients to access LAN networks through the VPN
@@ -176,14 +242,7 @@ class OpenVPNClientConnectService {
     try {
       logger.info('Enabling NAT routing for LAN networks');
 
-      // Set routing mode to NAT
-      this.execCommand(`sacli --key "vpn.server.routing.private_access" --value "nat" ConfigPut`);
-
-      // Enable inter-client routing
-      this.execCommand(`sacli --key "vpn.client.routing.inter_client" --value "true" ConfigPut`);
-
-      // Apply changes
-      this.execCommand('sacli start');
+      await vpnBackend.enableNatRouting();
 
       logger.info('NAT routing enabled successfully');
       return true;
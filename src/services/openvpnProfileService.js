@@ -1,75 +1,11 @@
-const http = require('http');
-const https = require('https');
 const logger = require('../utils/logger');
+const vpnBackend = require('./vpnBackend');
 
 /**
  * OpenVPN Profile Service
- * Generates VPN profiles via profile proxy service
+ * Generates VPN profiles with the VPN server (see services/vpnBackend)
  */
 class OpenVPNProfileService {
-  constructor() {
-    // Profile proxy service configuration
-    this.proxyHost = process.env.PROFILE_PROXY_HOST || 'host.docker.internal';
-    this.proxyPort = process.env.PROFILE_PROXY_PORT || 3001;
-    this.proxyUrl = `http://${this.proxyHost}:${this.proxyPort}`;
-  }
-
-  /**
-   * Make HTTP request to proxy service
-   * @param {string} method - HTTP method
-   * @param {string} path - Request path
-   * @param {object} data - Request body (for POST)
-   * @returns {Promise<string>} Response data
-   */
-  async makeProxyRequest(method, path, data = null) {
-    return new Promise((resolve, reject) => {
-      const url = new URL(path, this.proxyUrl);
-      const protocol = url.protocol === 'https:' ? https : http;
-
-      const options = {
-        method,
-        hostname: url.hostname,
-        port: url.port,
-        path: url.pathname + url.search,
-        headers: {
-          'Content-Type': 'application/json'
-        }
-      };
-
-      const req = protocol.request(options, (res) => {
-        let responseData = '';
-
-        res.on('data', (chunk) => {
-          responseData += chunk;
-        });
-
-        res.on('end', () => {
-          if (res.statusCode >= 200 && res.statusCode < 300) {
-            resolve(responseData);
-          } else {
-            try {
-              const error = JSON.parse(responseData);
-              reject(new Error(error.error || `HTTP ${res.statusCode}`));
-            } catch {
-              reject(new Error(`HTTP ${res.statusCode}: ${responseData}`));
-            }
-          }
-        });
-      });
-
-      req.on('error', (error) => {
-        logger.error('Proxy request error:', error);
-        reject(new Error(`Profile proxy unreachable: ${error.message}. Ensure profile-proxy.js is running on host.`));
-      });
-
-      if (data) {
-        req.write(JSON.stringify(data));
-      }
-
-      req.end();
-    });
-  }
-
   /**
    * Check if user exists in OpenVPN
    * @param {string} username - Username
@@ -77,9 +13,7 @@ class OpenVPNProfileService {
    */
   async userExists(username) {
     try {
-      const response = await this.makeProxyRequest('GET', `/user/exists?username=${encodeURIComponent(username)}`);
-      const data = JSON.parse(response);
-      return data.exists;
+      return await vpnBackend.userExists(username);
     } catch (error) {
       logger.error('Error checking if user exists:', error);
       return false;
@@ -88,20 +22,16 @@ class OpenVPNProfileService {
 
   /**
    * Generate VPN profile for a user
-   * @param {string} username - Username in OpenVPN AS
+   * @param {string} username - Username on the VPN server
    * @param {string} profileType - 'userlogin' or 'autologin'
+   * @param {Object} [options] - Passed to the backend (see VpnBackend.generateProfile)
    * @returns {Promise<string>} OVPN profile content
    */
-  async generateProfile(username, profileType = 'userlogin') {
+  async generateProfile(username, profileType = 'userlogin', options = {}) {
     try {
       logger.info(`Generating ${profileType} profile for user: ${username}`);
 
-      const endpoint = profileType === 'autologin' ? '/profile/autologin' : '/profile/userlogin';
-      const profile = await this.makeProxyRequest('POST', endpoint, { username });
-
-      if (!profile || profile.includes('ERROR')) {
-        throw new Error(`Failed to generate profile: ${profile}`);
-      }
+      const profile = await vpnBackend.generateProfile(username, profileType, options);
 
       logger.info(`Profile generated successfully for: ${username}`);
       return profile;
@@ -156,10 +86,56 @@ class OpenVPNProfileService {
    * Get user login profile (requires password)
    * More secure, recommended for most users
    * @param {string} username - Username
+   * @param {Object} [options] - Passed to the backend (see VpnBackend.generateProfile)
    * @returns {Promise<string>} OVPN profile
    */
-  async getUserloginProfile(username) {
-    return this.generateProfile(username, 'userlogin');
+  async getUserloginProfile(username, options = {}) {
+    return this.generateProfile(username, 'userlogin', options);
+  }
+
+  /**
+   * Insert directives into a profile before its inline certificates
+   * @param {string} profile - OVPN profile
+   * @param {string} section - Directives to insert
+   * @returns {string} Modified profile
+   */
+  insertDirectives(profile, section) {
+    const insertPoint = profile.indexOf('<ca>');
+    if (insertPoint === -1) {
+      // Fallback: append at the end if <ca> not found
+      return profile + '\n' + section;
+    }
+    return profile.substring(0, insertPoint) + section + '\n' + profile.substring(insertPoint);
+  }
+
+  /**
+   * Add routes to the LAN networks of a user to a profile
+   * @param {string} profile - OVPN profile
+   * @param {Array<Object>} lanNetworks - Enabled LAN networks (network_ip, subnet_mask)
+   * @returns {string} Modified profile
+   */
+  injectLanRoutes(profile, lanNetworks) {
+    if (!lanNetworks || lanNetworks.length === 0) {
+      return profile;
+    }
+
+    // Build route directives
+    let routeSection = '\n# ============================================\n';
+    routeSection += '# LAN Network Routes\n';
+    routeSection += '# ============================================\n';
+    routeSection += '# The following networks will be accessible through the VPN tunnel\n';
+
+    lanNetworks.forEach(network => {
+      if (network.description) {
+        routeSection += `# ${network.description}: ${network.network_cidr}\n`;
+      }
+      routeSection += `route ${network.network_ip} ${network.subnet_mask}\n`;
+    });
+
+    routeSection += `# Total LAN networks configured: ${lanNetworks.length}\n`;
+    routeSection += '# ============================================\n';
+
+    return this.insertDirectives(profile, routeSection);
   }
 
   /**
@@ -172,7 +148,7 @@ class OpenVPNProfileService {
     // Check if user exists first
     const exists = await this.userExists(username);
     if (!exists) {
-      throw new Error(`User ${username} does not exist in OpenVPN Access Server`);
+      throw new Error(`User ${username} does not exist on the VPN server`);
     }
 
     return this.generateProfile(username, profileType);
@@ -1,227 +1,17 @@
-const Docker = require('dockerode');
 const pool = require('../config/database');
 const logger = require('../utils/logger');
-
-// Initialize Docker client with support for alternatives to direct socket
-// Use DOCKER_HOST (e.g. tcp://docker-proxy:2375) for a socket proxy, or
-// DOCKER_SOCKET_PATH to point to a custom socket. Fallback to default
-// /var/run/docker.sock when running with direct socket access.
-function createDockerClient() {
-  const dockerHost = process.env.DOCKER_HOST;
-  const socketPath = process.env.DOCKER_SOCKET_PATH || '/var/run/docker.sock';
-
-  if (dockerHost) {
-    logger.info('Creating Docker client using DOCKER_HOST', { dockerHost });
-    // dockerode accepts a host/port via protocol in dockerHost
-    return new Docker({ host: dockerHost });
-  }
-
-  try {
-    logger.info('Creating Docker client using socketPath', { socketPath });
-    return new Docker({ socketPath });
-  } catch (err) {
-    logger.error('Failed to create Docker client', err);
-    // Re-throw to surface errors during initialization
-    throw err;
-  }
-}
-
-const docker = createDockerClient();
+const realtimeService = require('./realtimeService');
+const vpnBackend = require('./vpnBackend');
 
 /**
- * OpenVPN Access Server User Synchronization Service
- * Syncs users from MySQL database to OpenVPN Access Server
+ * OpenVPN User Synchronization Service
+ * Syncs users from MySQL database to the VPN server (see services/vpnBackend)
  */
 class OpenVPNUserSync {
-  constructor() {
-    this.containerName = process.env.OPENVPN_CONTAINER_NAME || 'openvpn-server';
-
-    // If a profile proxy is available, use it for sacli operations instead of Docker exec
-    // Parse PROFILE_PROXY_URL if it's a full URL, otherwise use individual HOST and PORT
-    if (process.env.PROFILE_PROXY_URL) {
-      try {
-        const url = new URL(process.env.PROFILE_PROXY_URL);
-        this.profileProxyHost = url.hostname;
-        this.profileProxyPort = url.port || 3001;
-        this.useProfileProxy = true;
-      } catch (e) {
-        // If parsing fails, treat it as a hostname
-        this.profileProxyHost = process.env.PROFILE_PROXY_URL;
-        this.profileProxyPort = process.env.PROFILE_PROXY_PORT || 3001;
-        this.useProfileProxy = true;
-      }
-    } else {
-      this.profileProxyHost = process.env.PROFILE_PROXY_HOST || 'host.docker.internal';
-      this.profileProxyPort = process.env.PROFILE_PROXY_PORT || 3001;
-      this.useProfileProxy = !!(process.env.PROFILE_PROXY_HOST || process.env.PROFILE_PROXY_PORT);
-    }
-
-    if (this.useProfileProxy) {
-      logger.info('Using profile proxy for sacli operations', {
-        profileProxyHost: this.profileProxyHost,
-        profileProxyPort: this.profileProxyPort
-      });
-    }
-  }
-
-  /**
-   * Execute sacli command in OpenVPN container
-   * @param {string} command - sacli command to execute
-   * @returns {Promise<Object>} Command result
-   */
-  async execSacli(command) {
-    try {
-      const fullCommand = `sacli ${command}`;
-      logger.debug(`Executing sacli: ${fullCommand}`);
-
-      // If we have a profile proxy configured, call it instead of docker exec
-      if (this.useProfileProxy) {
-        const http = require('http');
-        const path = command.trim().toLowerCase() === 'userpropget' ? '/sacli/userpropget' : null;
-
-        if (path) {
-          const options = {
-            hostname: this.profileProxyHost,
-            port: this.profileProxyPort,
-            path,
-            method: 'GET',
-            headers: { 'Content-Type': 'application/json' }
-          };
-
-          return await new Promise((resolve, reject) => {
-            const req = http.request(options, (res) => {
-              let data = '';
-              res.on('data', (chunk) => { data += chunk; });
-              res.on('end', () => {
-                try {
-                  const parsed = JSON.parse(data);
-                  resolve(parsed);
-                } catch (e) {
-                  resolve({ stdout: data });
-                }
-              });
-            });
-            req.on('error', (err) => {
-              logger.error('Profile proxy request error:', err);
-              reject(err);
-            });
-            req.end();
-          });
-        }
-        // If command not mapped to proxy path, fallthrough to docker exec below
-      }
-
-      // Fallback to docker exec when proxy not configured or command not supported
-      const container = docker.getContainer(this.containerName);
-
-      const exec = await container.exec({
-        Cmd: ['sh', '-c', fullCommand],
-        AttachStdout: true,
-        AttachStderr: true
-      });
-
-      const stream = await exec.start();
-      let output = '';
-      stream.on('data', (chunk) => { output += chunk.toString(); });
-      await new Promise((resolve, reject) => {
-        stream.on('end', resolve);
-        stream.on('error', reject);
-      });
-
-      try { return JSON.parse(output); } catch { return { stdout: output.trim() }; }
-    } catch (error) {
-      logger.error('Error executing sacli command:', error);
-      throw error;
-    }
-  }
-
-  /**
-   * Set user password via proxy
-   * @param {string} username - Username
-   * @param {string} password - Password
-   * @returns {Promise<Object>} Result
-   */
-  async setPasswordViaProxy(username, password) {
-    const http = require('http');
-    const postData = JSON.stringify({ password });
-
-    const options = {
-      hostname: this.profileProxyHost,
-      port: this.profileProxyPort,
-      path: `/sacli/user/${encodeURIComponent(username)}/setpassword`,
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Content-Length': Buffer.byteLength(postData)
-      }
-    };
-
-    return await new Promise((resolve, reject) => {
-      const req = http.request(options, (res) => {
-        let data = '';
-        res.on('data', (chunk) => { data += chunk; });
-        res.on('end', () => {
-          if (res.statusCode === 200) {
-            resolve({ success: true });
-          } else {
-            reject(new Error(`Profile proxy returned status ${res.statusCode}: ${data}`));
-          }
-        });
-      });
-      req.on('error', (err) => {
-        logger.error('Profile proxy request error:', err);
-        reject(err);
-      });
-      req.write(postData);
-      req.end();
-    });
-  }
-
-  /**
-   * Set user property via proxy
-   * @param {string} username - Username
-   * @param {string} key - Property key
-   * @param {string} value - Property value
-   * @returns {Promise<Object>} Result
-   */
-  async setUserPropViaProxy(username, key, value) {
-    const http = require('http');
-    const postData = JSON.stringify({ key, value });
-
-    const options = {
-      hostname: this.profileProxyHost,
-      port: this.profileProxyPort,
-      path: `/sacli/user/${encodeURIComponent(username)}/prop`,
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Content-Length': Buffer.byteLength(postData)
-      }
-    };
-
-    return await new Promise((resolve, reject) => {
-      const req = http.request(options, (res) => {
-        let data = '';
-        res.on('data', (chunk) => { data += chunk; });
-        res.on('end', () => {
-          if (res.statusCode === 200) {
-            resolve({ success: true });
-          } else {
-            reject(new Error(`Profile proxy returned status ${res.statusCode}: ${data}`));
-          }
-        });
-      });
-      req.on('error', (err) => {
-        logger.error('Profile proxy request error:', err);
-        reject(err);
-      });
-      req.write(postData);
-      req.end();
-    });
-  }
-
   /**
    * Get all users from MySQL database
+   * Enabled users with a verified email, and single sign-on users whose
+   * identity provider vouches for them.
    * @returns {Promise<Array>} Array of user objects
    */
   async getMySQLUsers() {
@@ -229,7 +19,8 @@ class OpenVPNUserSync {
       const query = `
         SELECT id, username, email, password, name, role, email_verified
         FROM users
-        WHERE deleted_at IS NULL AND email_verified = 1
+        WHERE deleted_at IS NULL AND disabled_at IS NULL
+          AND (email_verified = 1 OR auth_source = 'oidc')
       `;
 
       const [rows] = await pool.execute(query);
@@ -243,16 +34,13 @@ class OpenVPNUserSync {
   }
 
   /**
-   * Get all users from OpenVPN Access Server
+   * Get all users from the VPN server
    * @returns {Promise<Array>} Array of OpenVPN usernames
    */
   async getOpenVPNUsers() {
     try {
-      const result = await this.execSacli('UserPropGet');
-
-      // Result is an object with usernames as keys
-      const usernames = Object.keys(result);
-      logger.info(`Retrieved ${usernames.length} users from OpenVPN AS`);
+      const usernames = await vpnBackend.listUsers();
+      logger.info(`Retrieved ${usernames.length} users from ${vpnBackend.label}`);
 
       return usernames;
     } catch (error) {
@@ -262,9 +50,10 @@ class OpenVPNUserSync {
   }
 
   /**
-   * Create user in OpenVPN Access Server
+   * Create user on the VPN server
    * @param {string} username - Username
-   * @param {string} password - Password (will be hashed by OpenVPN AS)
+   * @param {string} password - Unused; the Access Server gets a temporary
+   *   password, the community server checks MySQL passwords through PAM
    * @param {Object} userData - Additional user data
    * @returns {Promise<Object>} Result
    */
@@ -272,61 +61,11 @@ class OpenVPNUserSync {
     try {
       logger.info(`Creating OpenVPN user: ${username}`);
 
-      // Create user with password
-      // Note: We cannot set bcrypt hashed passwords directly in OpenVPN AS
-      // We'll need to set a temporary password and notify the user to change it
-      // OR use PAM authentication instead
-      const tempPassword = this.generateTempPassword();
-
-      // Set user password using proxy if available
-      if (this.useProfileProxy) {
-        await this.setPasswordViaProxy(username, tempPassword);
-      } else {
-        await this.execSacli(
-          `--user "${username}" --new_pass "${tempPassword}" SetLocalPassword`
-        );
-      }
-
-      // Set user properties
-      if (userData.email) {
-        if (this.useProfileProxy) {
-          await this.setUserPropViaProxy(username, 'prop_email', userData.email);
-        } else {
-          await this.execSacli(
-            `--user "${username}" --key prop_email --value "${userData.email}" UserPropPut`
-          );
-        }
-      }
-
-      if (userData.name) {
-        if (this.useProfileProxy) {
-          await this.setUserPropViaProxy(username, 'prop_c_name', userData.name);
-        } else {
-          await this.execSacli(
-            `--user "${username}" --key prop_c_name --value "${userData.name}" UserPropPut`
-          );
-        }
-      }
-
-      // Set admin privileges if role is admin
-      if (userData.role === 'admin') {
-        if (this.useProfileProxy) {
-          await this.setUserPropViaProxy(username, 'prop_superuser', 'true');
-        } else {
-          await this.execSacli(
-            `--user "${username}" --key prop_superuser --value true UserPropPut`
-          );
-        }
-      }
+      const result = await vpnBackend.createUser(username, userData);
 
       logger.info(`OpenVPN user created: ${username}`);
 
-      return {
-        success: true,
-        username,
-        tempPassword, // Store this securely or send to user
-        passwordResult: 'User created via proxy'
-      };
+      return result;
     } catch (error) {
       logger.error(`Error creating OpenVPN user ${username}:`, error);
       throw error;
@@ -334,7 +73,7 @@ class OpenVPNUserSync {
   }
 
   /**
-   * Update user in OpenVPN Access Server
+   * Update user on the VPN server
    * @param {string} username - Username
    * @param {Object} userData - User data to update
    * @returns {Promise<Object>} Result
@@ -343,40 +82,11 @@ class OpenVPNUserSync {
     try {
       logger.info(`Updating OpenVPN user: ${username}`);
 
-      // Update user properties
-      if (userData.email) {
-        if (this.useProfileProxy) {
-          await this.setUserPropViaProxy(username, 'prop_email', userData.email);
-        } else {
-          await this.execSacli(
-            `--user "${username}" --key prop_email --value "${userData.email}" UserPropPut`
-          );
-        }
-      }
-
-      if (userData.name) {
-        if (this.useProfileProxy) {
-          await this.setUserPropViaProxy(username, 'prop_c_name', userData.name);
-        } else {
-          await this.execSacli(
-            `--user "${username}" --key prop_c_name --value "${userData.name}" UserPropPut`
-          );
-        }
-      }
-
-      // Update admin privileges
-      const isSuperuser = userData.role === 'admin';
-      if (this.useProfileProxy) {
-        await this.setUserPropViaProxy(username, 'prop_superuser', isSuperuser.toString());
-      } else {
-        await this.execSacli(
-          `--user "${username}" --key prop_superuser --value ${isSuperuser} UserPropPut`
-        );
-      }
+      const result = await vpnBackend.updateUser(username, userData);
 
       logger.info(`OpenVPN user updated: ${username}`);
 
-      return { success: true, username };
+      return result;
     } catch (error) {
       logger.error(`Error updating OpenVPN user ${username}:`, error);
       throw error;
@@ -393,52 +103,11 @@ class OpenVPNUserSync {
     try {
       logger.info(`Updating OpenVPN password for user: ${username}`);
 
-      // Use profile proxy if available
-      if (this.useProfileProxy) {
-        const http = require('http');
-        const postData = JSON.stringify({ password: plainPassword });
-
-        const options = {
-          hostname: this.profileProxyHost,
-          port: this.profileProxyPort,
-          path: `/sacli/user/${encodeURIComponent(username)}/setpassword`,
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'Content-Length': Buffer.byteLength(postData)
-          }
-        };
-
-        return await new Promise((resolve, reject) => {
-          const req = http.request(options, (res) => {
-            let data = '';
-            res.on('data', (chunk) => { data += chunk; });
-            res.on('end', () => {
-              if (res.statusCode === 200) {
-                logger.info(`OpenVPN password updated successfully for user: ${username}`);
-                resolve({ success: true, username });
-              } else {
-                reject(new Error(`Profile proxy returned status ${res.statusCode}: ${data}`));
-              }
-            });
-          });
-          req.on('error', (err) => {
-            logger.error('Profile proxy request error:', err);
-            reject(err);
-          });
-          req.write(postData);
-          req.end();
-        });
-      }
-
-      // Fallback to direct Docker exec if no proxy
-      await this.execSacli(
-        `--user "${username}" --new_pass "${plainPassword}" SetLocalPassword`
-      );
+      const result = await vpnBackend.setPassword(username, plainPassword);
 
       logger.info(`OpenVPN password updated successfully for user: ${username}`);
 
-      return { success: true, username };
+      return result;
     } catch (error) {
       logger.error(`Error updating OpenVPN password for ${username}:`, error);
       throw error;
@@ -446,7 +115,7 @@ class OpenVPNUserSync {
   }
 
   /**
-   * Delete user from OpenVPN Access Server
+   * Delete user from the VPN server
    * @param {string} username - Username
    * @returns {Promise<Object>} Result
    */
@@ -454,11 +123,11 @@ class OpenVPNUserSync {
     try {
       logger.info(`Deleting OpenVPN user: ${username}`);
 
-      const result = await this.execSacli(`--user "${username}" UserPropDelAll`);
+      const result = await vpnBackend.deleteUser(username);
 
       logger.info(`OpenVPN user deleted: ${username}`);
 
-      return { success: true, username, result };
+      return result;
     } catch (error) {
       logger.error(`Error deleting OpenVPN user ${username}:`, error);
       throw error;
@@ -466,30 +135,69 @@ class OpenVPNUserSync {
   }
 
   /**
-   * Generate temporary password for new users
-   * @returns {string} Temporary password
+   * Disconnect all active VPN sessions of a user
+   * @param {string} username - Username
+   * @param {string} [reason] - Reason shown to the client
+   * @returns {Promise<Object>} Result
    */
-  generateTempPassword() {
-    const length = 16;
-    const charset = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789!@#$%^&*';
-    let password = '';
+  async disconnectUser(username, reason = null) {
+    try {
+      logger.info(`Disconnecting OpenVPN user: ${username}${reason ? ` (${reason})` : ''}`);
+
+      return await vpnBackend.disconnectUser(username, reason);
+    } catch (error) {
+      logger.error(`Error disconnecting OpenVPN user ${username}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Disconnect one VPN session of a user
+   * Only for backends that can (vpnBackend.disconnectsSessions).
+   * @param {Object} session - { username, realAddress, virtualAddress }
+   * @param {string} [reason] - Reason of the disconnect
+   * @returns {Promise<Object>} Result
+   */
+  async disconnectSession(session, reason = null) {
+    try {
+      logger.info(`Disconnecting a session of OpenVPN user: ${session.username}${reason ? ` (${reason})` : ''}`);
 
-    for (let i = 0; i < length; i++) {
-      password += charset.charAt(Math.floor(Math.random() * charset.length));
+      return await vpnBackend.disconnectSession(session, reason);
+    } catch (error) {
+      logger.error(`Error disconnecting a session of OpenVPN user ${session.username}:`, error);
+      throw error;
     }
+  }
 
-    return password;
+  /**
+   * Revoke all certificates of a user on the VPN server
+   * Profiles issued before the revocation stop working; the server issues a
+   * new certificate the next time a profile is generated for the user.
+   * @param {string} username - Username
+   * @returns {Promise<Object>} Result
+   */
+  async revokeUser(username) {
+    try {
+      logger.info(`Revoking OpenVPN certificates of user: ${username}`);
+
+      return await vpnBackend.revokeUser(username);
+    } catch (error) {
+      logger.error(`Error revoking OpenVPN user ${username}:`, error);
+      throw error;
+    }
   }
 
   /**
-   * Sync all users from MySQL to OpenVPN Access Server
+   * Sync all users from MySQL to the VPN server
    * @param {Object} options - Sync options
    * @param {boolean} [options.dryRun=false] - If true, don't make changes
    * @param {boolean} [options.deleteOrphaned=false] - If true, delete OpenVPN users not in MySQL
+   * @param {Function} [options.onProgress] - Called before each MySQL user is processed
+   *   with { current, total, username }
    * @returns {Promise<Object>} Sync results
    */
   async syncUsers(options = {}) {
-    const { dryRun = false, deleteOrphaned = false } = options;
+    const { dryRun = false, deleteOrphaned = false, onProgress = null } = options;
 
     try {
       logger.info('Starting user synchronization...');
@@ -512,7 +220,15 @@ class OpenVPNUserSync {
       });
 
       // Process MySQL users
-      for (const user of mysqlUsers) {
+      for (const [index, user] of mysqlUsers.entries()) {
+        if (onProgress) {
+          try {
+            onProgress({ current: index + 1, total: mysqlUsers.length, username: user.username || null });
+          } catch (error) {
+            logger.warn(`Sync progress callback failed: ${error.message}`);
+          }
+        }
+
         if (!user.username) {
           logger.warn(`Skipping user ${user.id} - no username`);
           results.skipped.push({ id: user.id, reason: 'no username' });
@@ -528,6 +244,7 @@ class OpenVPNUserSync {
                 name: user.name,
                 role: user.role
               });
+              realtimeService.publish('user.synced', { userId: user.id, username: user.username, action: 'updated' });
             }
             results.updated.push(user.username);
           } else {
@@ -546,6 +263,7 @@ class OpenVPNUserSync {
                 username: user.username,
                 tempPassword: createResult.tempPassword
               });
+              realtimeService.publish('user.synced', { userId: user.id, username: user.username, action: 'created' });
             } else {
               results.created.push(user.username);
             }
@@ -595,7 +313,7 @@ class OpenVPNUserSync {
   }
 
   /**
-   * Sync single user from MySQL to OpenVPN Access Server
+   * Sync single user from MySQL to the VPN server
    * @param {number} userId - MySQL user ID
    * @returns {Promise<Object>} Sync result
    */
@@ -606,7 +324,8 @@ class OpenVPNUserSync {
       const query = `
         SELECT id, username, email, password, name, role, email_verified
         FROM users
-        WHERE id = ? AND deleted_at IS NULL AND email_verified = 1
+        WHERE id = ? AND deleted_at IS NULL AND disabled_at IS NULL
+          AND (email_verified = 1 OR auth_source = 'oidc')
       `;
 
       const [rows] = await pool.execute(query, [userId]);
@@ -651,6 +370,7 @@ class OpenVPNUserSync {
       }
 
       logger.info(`User ${user.username} synced successfully`);
+      realtimeService.publish('user.synced', { userId: user.id, username: user.username, action: result.action });
 
       return result;
     } catch (error) {
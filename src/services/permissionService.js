@@ -0,0 +1,153 @@
+/**
+ * Roles a user can have
+ * 'user' is the regular VPN user; every other role is staff with access to
+ * parts of the administration API.
+ */
+const ROLES = ['user', 'admin', 'helpdesk', 'network-operator', 'auditor'];
+
+/**
+ * Roles from most to least privileged
+ * Used when external groups or claims map a user to several roles.
+ */
+const ROLE_PRECEDENCE = ['admin', 'network-operator', 'helpdesk', 'auditor', 'user'];
+
+/**
+ * Permissions checked by requirePermission
+ * Read permissions end in ':read'; the auditor role is granted all of them.
+ */
+const PERMISSIONS = {
+  'users:read': 'View user accounts',
+  'users:write': 'Edit, change the role of and delete user accounts',
+  'users:reset-password': 'Send password reset emails to users',
+  'users:resend-verification': 'Resend email verification links to users',
+  'users:mfa-reset': 'Reset the two-factor authentication of users',
+  'users:sessions-revoke': 'Log users out of all web sessions',
+  'devices:read': 'View devices of all users',
+  'devices:approve': 'Approve or reject devices enrolled by users',
+  'sessions:read': 'View VPN connection history of all users',
+  'sessions:disconnect': 'Disconnect live VPN sessions',
+  'usage:read': 'View bandwidth usage reports',
+  'configs:read': 'View VPN configurations of all users',
+  'configs:delete': 'Delete VPN configurations',
+  'stats:read': 'View system statistics',
+  'audit:read': 'View and export the audit log of administrative actions',
+  'security:read': 'View security policies and roles',
+  'security:write': 'Change security policies',
+  'api-tokens:read': 'View personal API tokens of all users',
+  'api-tokens:revoke': 'Revoke personal API tokens of any user',
+  'sync:read': 'View OpenVPN user and database sync status',
+  'sync:run': 'Trigger OpenVPN user and database sync and control the scheduler',
+  'qos:read': 'View QoS policy statistics, assignments and schedules',
+  'qos:write': 'Manage QoS policies, assignments and schedules',
+  'groups:read': 'View user groups and their members',
+  'groups:write': 'Manage user groups and their members',
+  'lan-networks:read': 'View LAN networks of all users and groups',
+  'lan-networks:write': 'Manage LAN networks and routing of all users and groups',
+  'webhooks:read': 'View webhooks and their delivery log',
+  'webhooks:write': 'Manage webhooks, rotate their secrets and redeliver events',
+  'pki:read': 'View the certificate authorities of the built-in PKI and download their CRL',
+  'pki:write': 'Rotate the certificate authority of the built-in PKI',
+  'system:maintenance': 'Run maintenance tasks such as token cleanup'
+};
+
+const READ_PERMISSIONS = Object.keys(PERMISSIONS).filter(permission => permission.endsWith(':read'));
+
+/**
+ * Permission table
+ * Administrators are not listed: they hold every permission.
+ */
+const ROLE_PERMISSIONS = {
+  user: [],
+  helpdesk: [
+    'users:read',
+    'users:reset-password',
+    'users:resend-verification',
+    'devices:read',
+    'devices:approve'
+  ],
+  'network-operator': [
+    'groups:read',
+    'lan-networks:read',
+    'lan-networks:write',
+    'sync:read',
+    'sync:run'
+  ],
+  auditor: READ_PERMISSIONS
+};
+
+/**
+ * Permission Service
+ * Role-based access control for the administration API.
+ */
+class PermissionService {
+  /**
+   * Check whether a role exists
+   * @param {string} role - Role
+   * @returns {boolean}
+   */
+  isValidRole(role) {
+    return ROLES.includes(role);
+  }
+
+  /**
+   * Check whether a role is a staff role (any role besides 'user')
+   * @param {string} role - Role
+   * @returns {boolean}
+   */
+  isStaffRole(role) {
+    return this.isValidRole(role) && role !== 'user';
+  }
+
+  /**
+   * Pick the most privileged of several roles
+   * @param {Iterable<string>} roles - Roles
+   * @returns {string|null} Role, or null when none is valid
+   */
+  mostPrivilegedRole(roles) {
+    const candidates = new Set(roles);
+    return ROLE_PRECEDENCE.find(role => candidates.has(role)) || null;
+  }
+
+  /**
+   * Get the permissions of a role
+   * @param {string} role - Role
+   * @returns {Array<string>} Permissions, empty for unknown roles
+   */
+  getPermissions(role) {
+    if (role === 'admin') {
+      return Object.keys(PERMISSIONS);
+    }
+    return ROLE_PERMISSIONS[role] ? [...ROLE_PERMISSIONS[role]] : [];
+  }
+
+  /**
+   * Check whether a role has a permission
+   * @param {string} role - Role
+   * @param {string} permission - Permission (see PERMISSIONS)
+   * @returns {boolean}
+   */
+  hasPermission(role, permission) {
+    if (role === 'admin') {
+      return true;
+    }
+    return Boolean(ROLE_PERMISSIONS[role] && ROLE_PERMISSIONS[role].includes(permission));
+  }
+
+  /**
+   * Describe all roles with their permissions
+   * @returns {Array<Object>} [{ role, permissions }]
+   */
+  describeRoles() {
+    return ROLES.map(role => ({
+      role,
+      permissions: this.getPermissions(role)
+    }));
+  }
+}
+
+const permissionService = new PermissionService();
+permissionService.ROLES = ROLES;
+permissionService.ROLE_PRECEDENCE = ROLE_PRECEDENCE;
+permissionService.PERMISSIONS = PERMISSIONS;
+
+module.exports = permissionService;
@@ -0,0 +1,588 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const CertificateAuthority = require('../models/CertificateAuthority');
+const IssuedCertificate = require('../models/IssuedCertificate');
+const realtimeService = require('./realtimeService');
+const x509 = require('../utils/x509');
+const config = require('../config/environment');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Tolerated clock skew between the backend and VPN clients
+ */
+const BACKDATE_MS = 5 * 60 * 1000;
+
+/**
+ * Server certificates expiring within this period are reissued when publishing
+ */
+const SERVER_RENEWAL_MS = 30 * DAY_MS;
+
+/**
+ * PKI Service
+ * Built-in certificate authority, the only CA of the community OpenVPN
+ * server: it issues the certificates of profiles generated by
+ * POST /api/vpn/generate-config, of device profiles and of the profiles of
+ * the community backend (GET /api/vpn/profile/download, autologin).
+ *
+ * Generated profiles and device profiles get their own client certificate
+ * (common name: the username, "<username>-device-<id>" for device profiles),
+ * embedded inline with the certificates of the trusted CAs. Backend profiles
+ * share one certificate per user (see getUserCertificate). Private keys,
+ * including the CA's, are stored encrypted with AES-256-GCM using
+ * PKI_ENCRYPTION_KEY (falls back to JWT_SECRET); stored profiles leave the
+ * key out and get it back on download.
+ *
+ * A CA is created on first use (the first profile, or the first publication
+ * with PKI_PUBLISH_DIR set). Rotating it creates a new active CA; the
+ * previous one is retired but stays trusted (and keeps publishing its CRL)
+ * until it expires, so certificates it issued keep working until their
+ * profiles are regenerated. Each CA issues a server certificate for the
+ * OpenVPN server.
+ *
+ * Revoking a config file revokes its certificate (see revokeConfigCertificate,
+ * called by services/revocationService); the CRL is regenerated when a profile.revoked event is published and every
+ * PKI_CRL_REFRESH_HOURS. With PKI_PUBLISH_DIR set, the CA bundle (ca.crt),
+ * the CRL (crl.pem) and the server certificate and key (server.crt,
+ * server.key) are written there for the server's ca, crl-verify, cert and
+ * key directives.
+ */
+class PkiService {
+  constructor() {
+    this.caName = process.env.PKI_CA_NAME || 'OpenVPN Distribution CA';
+    this.organization = process.env.PKI_ORGANIZATION || null;
+    this.serverCommonName = process.env.OPENVPN_SERVER_CN || 'server';
+    this.caDays = parseInt(process.env.PKI_CA_DAYS || '3650', 10);
+    this.certDays = parseInt(process.env.PKI_CERT_DAYS || '825', 10);
+    this.crlDays = parseInt(process.env.PKI_CRL_DAYS || '7', 10);
+    this.refreshMs = parseInt(process.env.PKI_CRL_REFRESH_HOURS || '24', 10) * 60 * 60 * 1000;
+    this.publishDir = process.env.PKI_PUBLISH_DIR || null;
+
+    this.refreshInterval = null;
+    this.unsubscribe = null;
+    // Creation of the first CA, shared by concurrent requests
+    this.creatingCa = null;
+    // Last CRL generated: { pem, generatedAt }
+    this.crl = null;
+  }
+
+  // ---- Key storage ----
+
+  /**
+   * Get the key private keys are encrypted with
+   * @private
+   */
+  getEncryptionKey() {
+    return crypto.createHash('sha256')
+      .update(process.env.PKI_ENCRYPTION_KEY || config.jwtSecret)
+      .digest();
+  }
+
+  /**
+   * Encrypt a private key for storage
+   * @param {string} pem - PKCS#8 PEM private key
+   * @returns {string} iv:tag:ciphertext (base64)
+   */
+  encryptKey(pem) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(pem, 'utf8'), cipher.final()]);
+
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+  }
+
+  /**
+   * Decrypt a stored private key
+   * @param {string} value - Value from encryptKey
+   * @returns {string} PKCS#8 PEM private key
+   */
+  decryptKey(value) {
+    const [iv, tag, encrypted] = String(value).split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+
+  // ---- Certificate authorities ----
+
+  /**
+   * Build the signer of a stored CA
+   * @private
+   * @param {Object} ca - CA with private_key_encrypted
+   * @returns {Object} { subject, publicKey, privateKey }
+   */
+  loadIssuer(ca) {
+    return {
+      subject: x509.getSubjectName(ca.certificate),
+      publicKey: new crypto.X509Certificate(ca.certificate).publicKey,
+      privateKey: crypto.createPrivateKey(this.decryptKey(ca.private_key_encrypted))
+    };
+  }
+
+  /**
+   * Create a CA and make it the active one, with a server certificate
+   * @param {number} [createdBy] - Administrator creating it
+   * @returns {Promise<Object>} CA (without private key)
+   */
+  async createCa(createdBy = null) {
+    const { privateKey, publicKey } = x509.generateKeyPair();
+    const serial = x509.generateSerial();
+    const notBefore = new Date(Date.now() - BACKDATE_MS);
+    const notAfter = new Date(Date.now() + this.caDays * DAY_MS);
+    // CAs get distinct names, so clients and the server tell them apart after a rotation
+    const commonName = `${this.caName} ${serial.substring(0, 8).toUpperCase()}`;
+
+    const certificate = x509.createCertificate({
+      serial,
+      subject: { commonName, organization: this.organization },
+      publicKey,
+      privateKey,
+      notBefore,
+      notAfter,
+      type: 'ca'
+    });
+
+    const ca = await CertificateAuthority.create({
+      commonName,
+      serial,
+      certificate,
+      privateKeyEncrypted: this.encryptKey(privateKey.export({ type: 'pkcs8', format: 'pem' })),
+      notBefore,
+      notAfter,
+      createdBy
+    });
+
+    await this.issueServerCertificate(await CertificateAuthority.findWithKey(ca.id));
+
+    return ca;
+  }
+
+  /**
+   * Get the active CA, creating the first one when there is none
+   * @returns {Promise<Object>} CA with private_key_encrypted
+   */
+  async getActiveCa() {
+    const ca = await CertificateAuthority.findActiveWithKey();
+    if (ca) {
+      return ca;
+    }
+
+    if (!this.creatingCa) {
+      logger.info('No certificate authority yet, creating one');
+      this.creatingCa = this.createCa()
+        .then(created => CertificateAuthority.findWithKey(created.id))
+        .finally(() => {
+          this.creatingCa = null;
+        });
+    }
+
+    return this.creatingCa;
+  }
+
+  /**
+   * Replace the active CA
+   * The previous CA stays trusted until it expires. The new server
+   * certificate, CA bundle and CRL are published right away.
+   * @param {number} [createdBy] - Administrator rotating the CA
+   * @returns {Promise<Object>} New CA (without private key)
+   */
+  async rotateCa(createdBy = null) {
+    const ca = await this.createCa(createdBy);
+    logger.info(`Certificate authority rotated, now issuing from ${ca.common_name}`);
+
+    await this.publish();
+
+    return ca;
+  }
+
+  /**
+   * Get the certificates of the trusted CAs, newest first
+   * @returns {Promise<string>} PEM bundle
+   */
+  async getCaBundle() {
+    const authorities = await CertificateAuthority.findTrusted();
+    return authorities.map(ca => `${ca.certificate.trim()}\n`).join('');
+  }
+
+  // ---- Certificates ----
+
+  /**
+   * Issue a certificate and store it
+   * @private
+   */
+  async issueCertificate(ca, { kind, commonName, userId = null, deviceId = null, notAfter }) {
+    const { privateKey, publicKey } = x509.generateKeyPair();
+    const serial = x509.generateSerial();
+    const notBefore = new Date(Date.now() - BACKDATE_MS);
+    // A certificate cannot outlive its CA
+    const validUntil = new Date(Math.min(notAfter.getTime(), new Date(ca.not_after).getTime()));
+
+    const certificate = x509.createCertificate({
+      serial,
+      subject: { commonName, organization: this.organization },
+      publicKey,
+      notBefore,
+      notAfter: validUntil,
+      type: kind,
+      issuer: this.loadIssuer(ca)
+    });
+    const privateKeyPem = privateKey.export({ type: 'pkcs8', format: 'pem' });
+
+    const id = await IssuedCertificate.create({
+      caId: ca.id,
+      kind,
+      serial,
+      commonName,
+      userId,
+      deviceId,
+      certificate,
+      privateKeyEncrypted: this.encryptKey(privateKeyPem),
+      notBefore,
+      notAfter: validUntil
+    });
+
+    return { id, serial, commonName, certificate, privateKey: privateKeyPem, notAfter: validUntil };
+  }
+
+  /**
+   * Issue the server certificate of a CA
+   * @private
+   * @param {Object} ca - CA with private_key_encrypted
+   */
+  async issueServerCertificate(ca) {
+    return this.issueCertificate(ca, {
+      kind: 'server',
+      commonName: this.serverCommonName,
+      notAfter: new Date(Date.now() + this.certDays * DAY_MS)
+    });
+  }
+
+  /**
+   * Issue a client certificate for a profile
+   * The certificate is valid for PKI_CERT_DAYS, or until the profile expires
+   * if that is later; expired and revoked profiles are handled by revocation.
+   * @param {Object} options
+   * @param {number|null} options.userId - Owner
+   * @param {string} options.username - Username (common name)
+   * @param {number} [options.deviceId] - Device, for a per-device certificate
+   * @param {Date} [options.expiresAt] - Expiry of the profile
+   * @returns {Promise<Object>} { id, serial, commonName, certificate, privateKey,
+   *   caCertificates, notAfter } - PEM certificate and private key, PEM bundle of the trusted CAs
+   */
+  async issueClientCertificate({ userId, username, deviceId = null, expiresAt = null }) {
+    const ca = await this.getActiveCa();
+
+    const issued = await this.issueCertificate(ca, {
+      kind: 'client',
+      commonName: deviceId ? `${username}-device-${deviceId}` : username,
+      userId,
+      deviceId,
+      notAfter: this.getClientValidity(expiresAt)
+    });
+
+    return { ...issued, caCertificates: await this.getCaBundle() };
+  }
+
+  /**
+   * End of validity of a client certificate for a profile
+   * @private
+   * @param {Date|null} expiresAt - Expiry of the profile
+   * @returns {Date}
+   */
+  getClientValidity(expiresAt) {
+    const validFor = Date.now() + this.certDays * DAY_MS;
+    return new Date(Math.max(validFor, expiresAt ? new Date(expiresAt).getTime() : 0));
+  }
+
+  /**
+   * Reissue the certificate of a renewed config file that would expire first
+   * The old certificate is revoked and published in the CRL; the new one has
+   * the same common name, owner and device and is linked to the config file.
+   * @param {Object} configFile - Config file with id
+   * @param {Date|null} expiresAt - New expiry of the profile, null if it never expires
+   * @returns {Promise<Object|null>} Same as issueClientCertificate, or null when
+   *   the config file has no certificate or its certificate outlives the profile
+   */
+  async reissueCertificate(configFile, expiresAt) {
+    const current = await IssuedCertificate.findByConfigFileWithKey(configFile.id);
+    if (!current || current.revoked_at) {
+      return null;
+    }
+    if (expiresAt && new Date(expiresAt).getTime() <= new Date(current.not_after).getTime()) {
+      return null;
+    }
+
+    await IssuedCertificate.revoke(current.id);
+
+    const ca = await this.getActiveCa();
+    const issued = await this.issueCertificate(ca, {
+      kind: 'client',
+      commonName: current.common_name,
+      userId: current.user_id,
+      deviceId: current.device_id,
+      notAfter: this.getClientValidity(expiresAt)
+    });
+    await this.attachToConfigFile(issued.id, configFile.id);
+
+    logger.info(`Reissued certificate of config file ${configFile.id} (serial ${current.serial} -> ${issued.serial})`);
+    await this.refresh();
+
+    return { ...issued, caCertificates: await this.getCaBundle() };
+  }
+
+  /**
+   * Get the certificate of a user's VPN backend profiles
+   * Reuses the user's valid certificate that belongs to no config file or
+   * device, issuing one when there is none.
+   * @param {string} username - Username (common name)
+   * @returns {Promise<Object>} Same as issueClientCertificate
+   */
+  async getUserCertificate(username) {
+    const existing = await IssuedCertificate.findValidClientWithKey(username);
+    if (!existing) {
+      return this.issueClientCertificate({ userId: null, username });
+    }
+
+    return {
+      id: existing.id,
+      serial: existing.serial,
+      commonName: existing.common_name,
+      certificate: existing.certificate,
+      privateKey: this.decryptKey(existing.private_key_encrypted),
+      notAfter: existing.not_after,
+      caCertificates: await this.getCaBundle()
+    };
+  }
+
+  /**
+   * List the users holding a valid certificate of their own
+   * @returns {Promise<Array<string>>} Usernames
+   */
+  async listCertificateHolders() {
+    return IssuedCertificate.findValidClientNames();
+  }
+
+  /**
+   * Revoke every client certificate of a user and publish the CRL
+   * @param {string} username - Username
+   * @returns {Promise<number>} Number of certificates revoked
+   */
+  async revokeUserCertificates(username) {
+    const revoked = await IssuedCertificate.revokeClientsByUsername(username);
+    if (revoked > 0) {
+      logger.info(`Revoked ${revoked} certificate(s) of ${username}`);
+    }
+
+    // The CRL also lists certificates revoked with their config files
+    await this.publish();
+
+    return revoked;
+  }
+
+  /**
+   * Revoke the certificate of a revoked config file
+   * The CRL is published when the revocation is applied (see
+   * services/revocationService).
+   * @param {number} configFileId - Config file ID
+   * @returns {Promise<number>} Number of certificates revoked
+   */
+  async revokeConfigCertificate(configFileId) {
+    const revoked = await IssuedCertificate.revokeByConfigFile(configFileId);
+    if (revoked > 0) {
+      logger.info(`Revoked the certificate of config file ${configFileId}`);
+    }
+    return revoked;
+  }
+
+  /**
+   * Revoke the certificates of every revoked config file of a user
+   * @param {number} userId - User ID
+   * @returns {Promise<number>} Number of certificates revoked
+   */
+  async revokeUserConfigCertificates(userId) {
+    const revoked = await IssuedCertificate.revokeByRevokedConfigFiles(userId);
+    if (revoked > 0) {
+      logger.info(`Revoked ${revoked} certificate(s) of revoked config files of user ID: ${userId}`);
+    }
+    return revoked;
+  }
+
+  /**
+   * Link a client certificate to the config file holding it
+   * @param {number} certificateId - Certificate ID
+   * @param {number} configFileId - Config file ID
+   */
+  async attachToConfigFile(certificateId, configFileId) {
+    await IssuedCertificate.attachToConfigFile(certificateId, configFileId);
+  }
+
+  /**
+   * Add the private key of a config file's certificate to its stored content
+   * Content of profiles without a built-in PKI certificate is returned as is.
+   * @param {Object} configFile - Config file with id and content
+   * @returns {Promise<string>} Profile content
+   */
+  async completeProfile(configFile) {
+    const certificate = await IssuedCertificate.findByConfigFileWithKey(configFile.id);
+    if (!certificate) {
+      return configFile.content;
+    }
+
+    return this.inlinePrivateKey(configFile.content, this.decryptKey(certificate.private_key_encrypted));
+  }
+
+  /**
+   * Replace the <ca> and <cert> blocks of profile content
+   * @param {string} content - Profile without the private key
+   * @param {Object} credentials - From issueClientCertificate or reissueCertificate
+   * @returns {string}
+   */
+  replaceCertificates(content, credentials) {
+    return content
+      .replace(/<ca>\n[\s\S]*?<\/ca>/, () => `<ca>\n${credentials.caCertificates.trim()}\n</ca>`)
+      .replace(/<cert>\n[\s\S]*?<\/cert>/, () => `<cert>\n${credentials.certificate.trim()}\n</cert>`);
+  }
+
+  /**
+   * Append a <key> block to profile content
+   * @param {string} content - Profile without the private key
+   * @param {string} privateKey - PEM private key
+   * @returns {string}
+   */
+  inlinePrivateKey(content, privateKey) {
+    return `${content.replace(/\n*$/, '\n')}\n<key>\n${privateKey.trim()}\n</key>\n`;
+  }
+
+  // ---- Revocation ----
+
+  /**
+   * Generate the CRLs of the trusted CAs
+   * @returns {Promise<string>} PEM CRLs, one per CA
+   */
+  async generateCrl() {
+    const authorities = await CertificateAuthority.findTrusted();
+    const thisUpdate = new Date();
+    const nextUpdate = new Date(thisUpdate.getTime() + this.crlDays * DAY_MS);
+    const crls = [];
+
+    for (const trusted of authorities) {
+      const ca = await CertificateAuthority.findWithKey(trusted.id);
+      const revoked = await IssuedCertificate.findRevokedByCa(ca.id);
+
+      crls.push(x509.createCrl({
+        issuer: this.loadIssuer(ca),
+        crlNumber: await CertificateAuthority.nextCrlNumber(ca.id),
+        thisUpdate,
+        nextUpdate,
+        revoked: revoked.map(entry => ({ serial: entry.serial, revokedAt: new Date(entry.revoked_at) }))
+      }));
+    }
+
+    this.crl = { pem: crls.join(''), generatedAt: thisUpdate };
+    return this.crl.pem;
+  }
+
+  /**
+   * Get the current CRLs, generating them if none were generated recently
+   * @returns {Promise<string>} PEM CRLs
+   */
+  async getCrl() {
+    if (this.crl && Date.now() - this.crl.generatedAt.getTime() < this.refreshMs) {
+      return this.crl.pem;
+    }
+    return this.generateCrl();
+  }
+
+  /**
+   * Regenerate the CRL and write the PKI files to PKI_PUBLISH_DIR
+   * With a publish directory the CA is created if there is none yet, so the
+   * server can be set up before the first profile is generated, and a server
+   * certificate about to expire is reissued. Without one only the CRL is
+   * regenerated.
+   * @returns {Promise<Object>} { crl, published } - published lists the files written
+   */
+  async publish() {
+    if (!this.publishDir) {
+      return { crl: await this.generateCrl(), published: [] };
+    }
+
+    const ca = await this.getActiveCa();
+    let server = await IssuedCertificate.findServerWithKey(ca.id);
+    if (!server || new Date(server.not_after).getTime() - Date.now() < SERVER_RENEWAL_MS) {
+      await this.issueServerCertificate(ca);
+      server = await IssuedCertificate.findServerWithKey(ca.id);
+    }
+
+    const crl = await this.generateCrl();
+    const published = [];
+    const write = async (name, content, mode = 0o644) => {
+      await fs.writeFile(path.join(this.publishDir, name), content, { mode });
+      published.push(name);
+    };
+
+    await fs.mkdir(this.publishDir, { recursive: true });
+    await write('ca.crt', await this.getCaBundle());
+    await write('crl.pem', crl);
+    await write('server.crt', server.certificate);
+    await write('server.key', this.decryptKey(server.private_key_encrypted), 0o600);
+
+    logger.info(`PKI files published to ${this.publishDir}: ${published.join(', ')}`);
+
+    return { crl, published };
+  }
+
+  /**
+   * Publish, logging failures instead of throwing
+   * @private
+   */
+  async refresh() {
+    try {
+      await this.publish();
+    } catch (error) {
+      logger.error('Error publishing the CRL:', error);
+    }
+  }
+
+  /**
+   * Start publishing the CRL: now, after revocations and periodically
+   */
+  start() {
+    if (this.refreshInterval) {
+      logger.warn('CRL publication is already running');
+      return;
+    }
+
+    logger.info(`Starting CRL publication (refresh interval: ${this.refreshMs}ms)`);
+
+    this.unsubscribe = realtimeService.subscribe((event) => {
+      if (event.type === 'profile.revoked') {
+        this.refresh();
+      }
+    });
+
+    this.refresh();
+    this.refreshInterval = setInterval(() => {
+      this.refresh();
+    }, this.refreshMs);
+  }
+
+  /**
+   * Stop publishing the CRL
+   */
+  stop() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+    if (this.refreshInterval) {
+      clearInterval(this.refreshInterval);
+      this.refreshInterval = null;
+      logger.info('CRL publication stopped');
+    }
+  }
+}
+
+module.exports = new PkiService();
@@ -0,0 +1,192 @@
+const ConfigFile = require('../models/ConfigFile');
+const revocationService = require('./revocationService');
+const realtimeService = require('./realtimeService');
+const { sendProfileExpiryReminderEmail } = require('../utils/emailService');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Profile Expiry Service
+ * Computes profile lifetimes, reminds users before their profile expires and
+ * revokes expired profiles.
+ *
+ * Access Server certificates are issued per user, so expiry is applied per
+ * user as well: the user's profiles are revoked once the last of them has
+ * expired, and a reminder is only sent for that last profile.
+ */
+class ProfileExpiryService {
+  constructor() {
+    // Lifetime of new profiles in days (0 = profiles never expire)
+    this.lifetimeDays = parseInt(process.env.PROFILE_LIFETIME_DAYS || '365', 10);
+    // Upper bound for lifetimes requested at generation or renewal (0 = no bound)
+    this.maxLifetimeDays = parseInt(process.env.PROFILE_MAX_LIFETIME_DAYS || '365', 10);
+    this.reminderDays = parseInt(process.env.PROFILE_EXPIRY_REMINDER_DAYS || '7', 10);
+    this.intervalMs = parseInt(process.env.PROFILE_EXPIRY_CHECK_INTERVAL_MS || '3600000', 10);
+    this.checkInterval = null;
+    this.isChecking = false;
+  }
+
+  /**
+   * Get the lifetime of a new or renewed profile
+   * @param {number} [requestedDays] - Lifetime requested by the caller
+   * @returns {number} Lifetime in days, 0 if the profile never expires
+   */
+  getLifetimeDays(requestedDays) {
+    if (!requestedDays) {
+      return Math.max(this.lifetimeDays, 0);
+    }
+
+    const days = parseInt(requestedDays, 10);
+
+    if (this.maxLifetimeDays > 0 && days > this.maxLifetimeDays) {
+      return this.maxLifetimeDays;
+    }
+
+    return days;
+  }
+
+  /**
+   * Get the expiry date of a new or renewed profile
+   * @param {number} [requestedDays] - Lifetime requested by the caller (capped at PROFILE_MAX_LIFETIME_DAYS)
+   * @param {Date} [from=new Date()] - Start of the lifetime
+   * @returns {Date|null} Expiry date, null if the profile never expires
+   */
+  getExpiryDate(requestedDays, from = new Date()) {
+    const days = this.getLifetimeDays(requestedDays);
+    return days > 0 ? new Date(from.getTime() + days * DAY_MS) : null;
+  }
+
+  /**
+   * Email users whose profile expires within the reminder window
+   * @returns {Promise<number>} Number of reminders sent
+   */
+  async sendReminders() {
+    if (this.reminderDays <= 0) {
+      return 0;
+    }
+
+    const expiring = await ConfigFile.findExpiringForReminder(this.reminderDays);
+    let sent = 0;
+
+    for (const config of expiring) {
+      const expiresAt = new Date(config.expires_at);
+      const daysLeft = Math.max(Math.ceil((expiresAt.getTime() - Date.now()) / DAY_MS), 0);
+
+      if (config.email) {
+        const delivered = await sendProfileExpiryReminderEmail(config.email, {
+          filename: config.filename,
+          expiresAt,
+          daysLeft
+        });
+
+        if (!delivered) {
+          // Try again on the next check
+          continue;
+        }
+      }
+
+      await ConfigFile.markExpiryReminderSent(config.id);
+      sent++;
+      logger.info(`Profile expiry reminder sent for ${config.filename} (user ID: ${config.user_id}, ${daysLeft} day(s) left)`);
+    }
+
+    return sent;
+  }
+
+  /**
+   * Revoke the profiles of users whose profiles have all expired
+   * The revocation is applied on the VPN server, or queued for retry by
+   * revocationService when the server cannot be reached.
+   * @returns {Promise<number>} Number of users whose profiles were revoked
+   */
+  async revokeExpired() {
+    const expired = await ConfigFile.findUsersWithExpiredProfiles();
+    let revoked = 0;
+
+    for (const entry of expired) {
+      const count = await revocationService.revokeUserConfigs(entry.user_id, null);
+      if (count === 0) {
+        continue;
+      }
+
+      const { applied } = await revocationService.applyForUser(entry.user_id, entry.username);
+      revoked++;
+
+      logger.info(`Revoked ${count} expired profile(s) of user ID: ${entry.user_id}`, {
+        serverRevocation: applied ? 'applied' : 'pending'
+      });
+
+      realtimeService.publish('profile.revoked', {
+        configId: null,
+        userId: entry.user_id,
+        username: entry.username || null,
+        alsoRevoked: count,
+        revokedBy: null,
+        reason: 'expired',
+        serverRevocation: applied ? 'applied' : 'pending'
+      });
+    }
+
+    return revoked;
+  }
+
+  /**
+   * Send due reminders and revoke expired profiles
+   * @returns {Promise<Object>} { reminders, revoked }
+   */
+  async check() {
+    if (this.isChecking) {
+      return { reminders: 0, revoked: 0 };
+    }
+
+    this.isChecking = true;
+    let reminders = 0;
+    let revoked = 0;
+
+    try {
+      reminders = await this.sendReminders();
+      revoked = await this.revokeExpired();
+
+      if (reminders > 0 || revoked > 0) {
+        logger.info(`Profile expiry check: ${reminders} reminder(s) sent, ${revoked} user(s) revoked`);
+      }
+    } catch (error) {
+      logger.error('Error checking profile expiry:', error);
+    } finally {
+      this.isChecking = false;
+    }
+
+    return { reminders, revoked };
+  }
+
+  /**
+   * Start checking profile expiry
+   */
+  start() {
+    if (this.checkInterval) {
+      logger.warn('Profile expiry check is already running');
+      return;
+    }
+
+    logger.info(`Starting profile expiry check (interval: ${this.intervalMs}ms, reminder: ${this.reminderDays} days)`);
+
+    this.check();
+    this.checkInterval = setInterval(() => {
+      this.check();
+    }, this.intervalMs);
+  }
+
+  /**
+   * Stop checking profile expiry
+   */
+  stop() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+      logger.info('Profile expiry check stopped');
+    }
+  }
+}
+
+module.exports = new ProfileExpiryService();
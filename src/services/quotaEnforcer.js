@@ -0,0 +1,207 @@
+const BandwidthUsage = require('../models/BandwidthUsage');
+const QuotaNotification = require('../models/QuotaNotification');
+const QosPolicy = require('../models/QosPolicy');
+const User = require('../models/User');
+const usageAccounting = require('./usageAccounting');
+const openvpnUserSync = require('./openvpnUserSync');
+const { sendQuotaWarningEmail } = require('../utils/emailService');
+const logger = require('../utils/logger');
+
+const BYTES_PER_MB = 1024 * 1024;
+
+/**
+ * Quota periods and the policy column holding their allowance
+ */
+const QUOTA_PERIODS = [
+  { period: 'day', column: 'daily_quota_mb' },
+  { period: 'month', column: 'monthly_quota_mb' }
+];
+
+/**
+ * Quota Enforcer Service
+ * Compares recorded usage with the data quotas of a QoS policy, emails the
+ * user at 80% and 100% and applies the over-quota action of the policy.
+ *
+ * Quotas of a device-level policy count the traffic of that device only;
+ * quotas of a user-level policy count the traffic of all the user's devices.
+ */
+class QuotaEnforcerService {
+  constructor() {
+    this.thresholds = [80, 100];
+    // Fallback limit when a throttling policy has no throttle_policy_id
+    this.throttleKbps = parseInt(process.env.QOS_QUOTA_THROTTLE_KBPS || '256', 10);
+  }
+
+  /**
+   * Check whether a policy defines any quota
+   * @param {Object|null} policy - QoS policy
+   * @returns {boolean}
+   */
+  hasQuota(policy) {
+    return !!policy && QUOTA_PERIODS.some(({ column }) => Number(policy[column]) > 0);
+  }
+
+  /**
+   * Get usage against every quota of a policy for the current periods
+   * @param {number} userId - User ID
+   * @param {number|null} deviceId - Device ID (used for device-level policies)
+   * @param {Object} policy - Effective QoS policy
+   * @param {Date} [at=new Date()] - Reference time
+   * @returns {Promise<Object>} { exceeded, periods: [{ period, periodStart, usedBytes, quotaBytes, percent }] }
+   */
+  async getQuotaStatus(userId, deviceId, policy, at = new Date()) {
+    const periodStarts = usageAccounting.getPeriodStarts(at);
+    const scopeDeviceId = policy.policy_source === 'device' ? deviceId : null;
+    const periods = [];
+
+    for (const { period, column } of QUOTA_PERIODS) {
+      const quotaMb = Number(policy[column]);
+      if (!quotaMb || quotaMb <= 0) {
+        continue;
+      }
+
+      const quotaBytes = quotaMb * BYTES_PER_MB;
+      const usedBytes = await BandwidthUsage.getPeriodTotal(userId, scopeDeviceId, period, periodStarts[period]);
+
+      periods.push({
+        period,
+        periodStart: periodStarts[period],
+        usedBytes,
+        quotaBytes,
+        percent: Math.floor((usedBytes / quotaBytes) * 100)
+      });
+    }
+
+    return {
+      exceeded: periods.some(p => p.usedBytes >= p.quotaBytes),
+      periods
+    };
+  }
+
+  /**
+   * Get the policy a throttled client is limited to
+   * @param {Object} policy - Policy whose quota is used up
+   * @returns {Promise<Object>} Throttle policy
+   */
+  async getThrottlePolicy(policy) {
+    if (policy.throttle_policy_id) {
+      const throttlePolicy = await QosPolicy.findById(policy.throttle_policy_id);
+      if (throttlePolicy) {
+        return { ...throttlePolicy, policy_source: 'quota' };
+      }
+      logger.warn(`Throttle policy ${policy.throttle_policy_id} of policy ${policy.id} not found`);
+    }
+
+    return {
+      id: null,
+      name: `${policy.name} (over quota)`,
+      bandwidth_limit: this.throttleKbps,
+      priority: 'low',
+      policy_source: 'quota'
+    };
+  }
+
+  /**
+   * Record newly reached thresholds and email the user about them
+   * @param {Object} params
+   * @param {number} params.userId - User ID
+   * @param {number|null} params.deviceId - Device ID (device-level policies)
+   * @param {string} [params.deviceName] - Device name for the email
+   * @param {Object} params.policy - Effective QoS policy
+   * @param {Array} params.periods - Periods from getQuotaStatus
+   * @returns {Promise<Array>} Newly reached thresholds
+   */
+  async notifyThresholds({ userId, deviceId, deviceName, policy, periods }) {
+    const reached = [];
+
+    for (const status of periods) {
+      // Only the highest threshold reached is emailed; lower ones are recorded silently
+      const crossed = this.thresholds.filter(t => status.percent >= t);
+      let highestNew = null;
+
+      for (const threshold of crossed) {
+        const isNew = await QuotaNotification.record({
+          userId,
+          deviceId: policy.policy_source === 'device' ? deviceId : null,
+          policyId: policy.id,
+          period: status.period,
+          periodStart: status.periodStart,
+          threshold,
+          usageBytes: status.usedBytes,
+          quotaBytes: status.quotaBytes,
+          actionTaken: threshold >= 100 ? policy.over_quota_action : 'notify'
+        });
+
+        if (isNew) {
+          highestNew = threshold;
+          reached.push({ period: status.period, threshold });
+        }
+      }
+
+      if (highestNew !== null) {
+        const user = await User.findById(userId);
+        if (user && user.email) {
+          await sendQuotaWarningEmail(user.email, {
+            threshold: highestNew,
+            period: status.period,
+            usedMb: Math.round(status.usedBytes / BYTES_PER_MB),
+            quotaMb: Math.round(status.quotaBytes / BYTES_PER_MB),
+            action: policy.over_quota_action,
+            deviceName: policy.policy_source === 'device' ? deviceName : undefined
+          });
+        }
+
+        logger.info(`User ${userId} reached ${highestNew}% of the ${status.period} quota of policy ${policy.name}`);
+      }
+    }
+
+    return reached;
+  }
+
+  /**
+   * Evaluate the quotas of a connected client and apply the over-quota action
+   * @param {Object} params
+   * @param {number} params.userId - User ID
+   * @param {number} params.deviceId - Device ID
+   * @param {string} params.username - OpenVPN username (for disconnect)
+   * @param {string} [params.deviceName] - Device name (for emails)
+   * @param {Object|null} params.policy - Effective QoS policy of the device
+   * @returns {Promise<Object>} { policy, exceeded, action, disconnected }
+   *   policy is the policy to enforce (the throttle policy when throttled)
+   */
+  async evaluate({ userId, deviceId, username, deviceName, policy }) {
+    const result = { policy, exceeded: false, action: null, disconnected: false };
+
+    if (!this.hasQuota(policy)) {
+      return result;
+    }
+
+    const status = await this.getQuotaStatus(userId, deviceId, policy);
+
+    try {
+      await this.notifyThresholds({ userId, deviceId, deviceName, policy, periods: status.periods });
+    } catch (error) {
+      // Notifications must not prevent the quota from being enforced
+      logger.error(`Error sending quota notifications for user ${userId}:`, error);
+    }
+
+    if (!status.exceeded) {
+      return result;
+    }
+
+    result.exceeded = true;
+    result.action = policy.over_quota_action || 'notify';
+
+    if (result.action === 'throttle') {
+      result.policy = await this.getThrottlePolicy(policy);
+    } else if (result.action === 'disconnect') {
+      await openvpnUserSync.disconnectUser(username, 'Data quota exceeded');
+      result.disconnected = true;
+      logger.info(`Disconnected ${username}: data quota of policy ${policy.name} exceeded`);
+    }
+
+    return result;
+  }
+}
+
+module.exports = new QuotaEnforcerService();
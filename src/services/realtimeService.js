@@ -0,0 +1,159 @@
+const { EventEmitter } = require('events');
+const logger = require('../utils/logger');
+
+/**
+ * Event types published on the bus
+ */
+const EVENT_TYPES = [
+  'session.connected',
+  'session.disconnected',
+  'session.throughput',
+  'sync.started',
+  'sync.progress',
+  'sync.completed',
+  'sync.failed',
+  'user.created',
+  'user.synced',
+  'profile.generated',
+  'profile.revoked',
+  'lan_network.changed'
+];
+
+/**
+ * Event types shown on the live dashboard
+ */
+const LIVE_EVENT_TYPES = EVENT_TYPES.filter(type => type.startsWith('session.') || type.startsWith('sync.'));
+
+/**
+ * Realtime Service
+ * In-process event bus. The VPN monitor publishes connects, disconnects and
+ * per-session throughput, the sync scheduler publishes the progress of user
+ * synchronizations, controllers and services publish lifecycle events (users
+ * created and synced, profiles generated and revoked, LAN network changes).
+ * Subscribers (the Server-Sent Events stream of the admin API, webhook
+ * delivery) receive every event published after they subscribed.
+ *
+ * Events are not persisted: a client that reconnects starts from a fresh
+ * snapshot. The bus lives in one process, so a multi-instance deployment only
+ * sees the events of the instance running the monitor and the scheduler.
+ */
+class RealtimeService {
+  constructor() {
+    this.emitter = new EventEmitter();
+    // One listener per open dashboard, plus webhook delivery
+    this.emitter.setMaxListeners(0);
+    this.sequence = 0;
+
+    // Counters of each session at the previous poll: sessionId -> { bytesSent, bytesReceived, at }
+    this.samples = new Map();
+    // Latest rates of each connected session: sessionId -> { rxBps, txBps }
+    this.rates = new Map();
+  }
+
+  /**
+   * Publish an event to all subscribers
+   * @param {string} type - Event type (one of EVENT_TYPES)
+   * @param {Object} data - Event payload
+   * @returns {Object} Published event { id, type, data, timestamp }
+   */
+  publish(type, data = {}) {
+    const event = {
+      id: ++this.sequence,
+      type,
+      data,
+      timestamp: new Date().toISOString()
+    };
+
+    try {
+      this.emitter.emit('event', event);
+    } catch (error) {
+      // A failing subscriber must not break the publisher (monitor, scheduler)
+      logger.error(`Error delivering ${type} event:`, error);
+    }
+
+    return event;
+  }
+
+  /**
+   * Subscribe to published events
+   * @param {Function} listener - Called with every event
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.emitter.on('event', listener);
+    return () => this.emitter.off('event', listener);
+  }
+
+  /**
+   * Get the number of current subscribers
+   * @returns {number}
+   */
+  getSubscriberCount() {
+    return this.emitter.listenerCount('event');
+  }
+
+  /**
+   * Compute per-session throughput from the counters of a monitor poll
+   * Rates are bytes per second since the previous poll; a session seen for
+   * the first time has no rate yet. Sessions missing from the samples are
+   * forgotten. Publishes one session.throughput event for the whole poll.
+   * @param {Array<Object>} samples - [{ sessionId, userId, username, bytesSent, bytesReceived }]
+   * @param {Date} [at=new Date()] - Time of the poll
+   * @returns {Array<Object>} [{ sessionId, userId, username, bytesSent, bytesReceived, rxBps, txBps }]
+   */
+  updateThroughput(samples, at = new Date()) {
+    const now = at.getTime();
+    const sessions = [];
+    const seen = new Set();
+
+    for (const sample of samples) {
+      seen.add(sample.sessionId);
+
+      const previous = this.samples.get(sample.sessionId);
+      let rxBps = null;
+      let txBps = null;
+
+      if (previous && now > previous.at) {
+        const seconds = (now - previous.at) / 1000;
+        // Counters are the server's: received is the client's upload, sent its download
+        rxBps = Math.max(0, Math.round((sample.bytesReceived - previous.bytesReceived) / seconds));
+        txBps = Math.max(0, Math.round((sample.bytesSent - previous.bytesSent) / seconds));
+        this.rates.set(sample.sessionId, { rxBps, txBps });
+      }
+
+      this.samples.set(sample.sessionId, {
+        bytesSent: sample.bytesSent,
+        bytesReceived: sample.bytesReceived,
+        at: now
+      });
+
+      sessions.push({ ...sample, rxBps, txBps });
+    }
+
+    for (const sessionId of [...this.samples.keys()]) {
+      if (!seen.has(sessionId)) {
+        this.samples.delete(sessionId);
+        this.rates.delete(sessionId);
+      }
+    }
+
+    this.publish('session.throughput', { sessions });
+
+    return sessions;
+  }
+
+  /**
+   * Get the latest throughput of a session
+   * @param {number} sessionId - Session ID
+   * @returns {Object|null} { rxBps, txBps } or null before the second poll
+   */
+  getRate(sessionId) {
+    return this.rates.get(sessionId) || null;
+  }
+}
+
+const realtimeService = new RealtimeService();
+realtimeService.EVENT_TYPES = EVENT_TYPES;
+realtimeService.LIVE_EVENT_TYPES = LIVE_EVENT_TYPES;
+
+module.exports = realtimeService;
@@ -0,0 +1,217 @@
+const ConfigFile = require('../models/ConfigFile');
+const openvpnUserSync = require('./openvpnUserSync');
+const pkiService = require('./pkiService');
+const realtimeService = require('./realtimeService');
+const vpnBackend = require('./vpnBackend');
+const logger = require('../utils/logger');
+
+/**
+ * Revocation Service
+ * Applies profile revocations on the VPN server.
+ *
+ * The Access Server issues certificates per user, so revoking one profile
+ * revokes the user's certificates on the server (sacli RevokeUser) and every
+ * other active profile of the user is revoked with it. Active sessions are
+ * disconnected afterwards. A new profile can be generated once the revocation
+ * has been applied; the server then issues a new certificate.
+ *
+ * Servers that trust the built-in PKI (vpnBackend.usesBuiltInPki) have a
+ * certificate per profile: only the certificate of the revoked profile is
+ * revoked, and applying the revocation means publishing the CRL. The other
+ * profiles and sessions of the user are left alone.
+ *
+ * Revocations that cannot be applied (e.g. profile-proxy is down) stay
+ * pending on the config files and are retried with backoff.
+ */
+class RevocationService {
+  constructor() {
+    this.intervalMs = parseInt(process.env.REVOCATION_RETRY_INTERVAL_MS || '60000', 10);
+    this.retryInterval = null;
+    this.isProcessing = false;
+  }
+
+  /**
+   * Revoke a config file and apply the revocation on the VPN server
+   * @param {Object} config - Config file (from ConfigFile.findById)
+   * @param {number} revokedBy - ID of the user revoking the config
+   * @returns {Promise<Object>} { alsoRevoked, applied, error }
+   *   alsoRevoked is the number of other active configs of the user revoked with it
+   */
+  async revokeConfig(config, revokedBy) {
+    await ConfigFile.revoke(config.id, revokedBy);
+    await pkiService.revokeConfigCertificate(config.id);
+    const alsoRevoked = vpnBackend.usesBuiltInPki
+      ? 0
+      : await this.revokeUserConfigs(config.user_id, revokedBy);
+
+    const result = await this.applyForUser(config.user_id, config.username);
+
+    realtimeService.publish('profile.revoked', {
+      configId: config.id,
+      userId: config.user_id,
+      username: config.username || null,
+      alsoRevoked,
+      revokedBy: revokedBy || null,
+      reason: 'revoked',
+      serverRevocation: result.applied ? 'applied' : 'pending'
+    });
+
+    return { alsoRevoked, ...result };
+  }
+
+  /**
+   * Revoke every active config file of a user and their certificates
+   * The revocation still has to be applied (see applyForUser).
+   * @param {number} userId - User ID
+   * @param {number|null} revokedBy - ID of the user revoking the configs
+   * @returns {Promise<number>} Number of config files revoked
+   */
+  async revokeUserConfigs(userId, revokedBy) {
+    const count = await ConfigFile.revokeAllByUserId(userId, revokedBy);
+    if (count > 0) {
+      await pkiService.revokeUserConfigCertificates(userId);
+    }
+    return count;
+  }
+
+  /**
+   * Apply the pending revocations of a user on the VPN server
+   * @param {number} userId - User ID
+   * @param {string|null} username - OpenVPN username
+   * @returns {Promise<Object>} { applied, error }
+   */
+  async applyForUser(userId, username) {
+    if (vpnBackend.usesBuiltInPki) {
+      return this.publishCrl(userId);
+    }
+
+    if (!username) {
+      // Users without a username were never created on the VPN server
+      await ConfigFile.markRevocationApplied(userId);
+      return { applied: true, error: null };
+    }
+
+    try {
+      await openvpnUserSync.revokeUser(username);
+    } catch (error) {
+      logger.warn(`Revocation for ${username} not applied on the VPN server, will retry: ${error.message}`);
+      await ConfigFile.markRevocationFailed(userId, error.message);
+      return { applied: false, error: error.message };
+    }
+
+    await ConfigFile.markRevocationApplied(userId);
+    logger.info(`Revocation applied on the VPN server for ${username}`);
+
+    // The certificate is already revoked; a failed disconnect only delays the
+    // end of sessions that are still open
+    try {
+      await openvpnUserSync.disconnectUser(username, 'VPN profile revoked');
+    } catch (error) {
+      logger.warn(`Failed to disconnect ${username} after revocation: ${error.message}`);
+    }
+
+    return { applied: true, error: null };
+  }
+
+  /**
+   * Apply the pending revocations of a user by publishing the CRL
+   * The certificates were revoked with their config files.
+   * @private
+   * @param {number} userId - User ID
+   * @returns {Promise<Object>} { applied, error }
+   */
+  async publishCrl(userId) {
+    try {
+      await pkiService.publish();
+    } catch (error) {
+      logger.warn(`CRL with the revocations of user ID ${userId} not published, will retry: ${error.message}`);
+      await ConfigFile.markRevocationFailed(userId, error.message);
+      return { applied: false, error: error.message };
+    }
+
+    await ConfigFile.markRevocationApplied(userId);
+    return { applied: true, error: null };
+  }
+
+  /**
+   * Apply pending revocations of a user now, regardless of the retry schedule
+   * Used before generating a new profile, which must not be issued while an
+   * older revocation could still revoke it.
+   * @param {Object} user - User (id, username)
+   * @returns {Promise<boolean>} True when no revocation is pending anymore
+   */
+  async ensureApplied(user) {
+    if (!(await ConfigFile.hasPendingRevocation(user.id))) {
+      return true;
+    }
+
+    const { applied } = await this.applyForUser(user.id, user.username);
+    return applied;
+  }
+
+  /**
+   * Retry every revocation that is due
+   * @returns {Promise<Object>} { processed, applied }
+   */
+  async processQueue() {
+    if (this.isProcessing) {
+      return { processed: 0, applied: 0 };
+    }
+
+    this.isProcessing = true;
+    let processed = 0;
+    let applied = 0;
+
+    try {
+      const pending = await ConfigFile.findPendingRevocations();
+
+      for (const entry of pending) {
+        processed++;
+        const result = await this.applyForUser(entry.user_id, entry.username);
+        if (result.applied) {
+          applied++;
+        }
+      }
+
+      if (processed > 0) {
+        logger.info(`Revocation queue processed: ${applied}/${processed} users applied`);
+      }
+    } catch (error) {
+      logger.error('Error processing revocation queue:', error);
+    } finally {
+      this.isProcessing = false;
+    }
+
+    return { processed, applied };
+  }
+
+  /**
+   * Start retrying pending revocations
+   */
+  start() {
+    if (this.retryInterval) {
+      logger.warn('Revocation retry queue is already running');
+      return;
+    }
+
+    logger.info(`Starting revocation retry queue (interval: ${this.intervalMs}ms)`);
+
+    this.processQueue();
+    this.retryInterval = setInterval(() => {
+      this.processQueue();
+    }, this.intervalMs);
+  }
+
+  /**
+   * Stop retrying pending revocations
+   */
+  stop() {
+    if (this.retryInterval) {
+      clearInterval(this.retryInterval);
+      this.retryInterval = null;
+      logger.info('Revocation retry queue stopped');
+    }
+  }
+}
+
+module.exports = new RevocationService();
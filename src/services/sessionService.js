@@ -0,0 +1,223 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const UserSession = require('../models/UserSession');
+const { generateRandomToken } = require('../utils/tokenGenerator');
+const config = require('../config/environment');
+const logger = require('../utils/logger');
+
+/**
+ * Session Service
+ * Short-lived access tokens plus rotating refresh tokens stored in user_sessions.
+ *
+ * Access tokens carry the user's token version (tv); incrementing it through
+ * revokeAllForUser invalidates every access token at once. Refresh tokens are
+ * single-use: each refresh replaces it, and presenting a replaced token again
+ * revokes the session.
+ */
+class SessionService {
+  constructor() {
+    this.accessTokenExpiresIn = config.jwtExpiresIn;
+    this.refreshTokenDays = config.refreshTokenExpiresDays;
+  }
+
+  /**
+   * Hash a refresh token for storage
+   * @param {string} token - Refresh token
+   * @returns {string} SHA-256 hex digest
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  /**
+   * Get the expiry of a refresh token issued now
+   * @returns {Date}
+   */
+  getRefreshExpiry() {
+    return new Date(Date.now() + this.refreshTokenDays * 24 * 60 * 60 * 1000);
+  }
+
+  /**
+   * Issue an access token
+   * @param {Object} user - User (id, email, role, name)
+   * @param {number} tokenVersion - Current token version of the user
+   * @param {number} sessionId - Session the token belongs to
+   * @returns {string} Signed JWT
+   */
+  createAccessToken(user, tokenVersion, sessionId) {
+    return jwt.sign(
+      {
+        id: user.id,
+        email: user.email,
+        role: user.role,
+        username: user.name,
+        tv: tokenVersion,
+        sid: sessionId
+      },
+      config.jwtSecret,
+      { expiresIn: this.accessTokenExpiresIn }
+    );
+  }
+
+  /**
+   * Build the token pair returned to clients
+   * @private
+   */
+  buildTokens(user, tokenVersion, sessionId, refreshToken) {
+    const token = this.createAccessToken(user, tokenVersion, sessionId);
+    const { exp, iat } = jwt.decode(token);
+
+    return {
+      token,
+      refresh_token: refreshToken,
+      expires_in: exp - iat
+    };
+  }
+
+  /**
+   * Start a session after a successful login
+   * @param {Object} user - User (id, email, role, name)
+   * @param {Object} [client] - { ipAddress, userAgent }
+   * @returns {Promise<Object>} { token, refresh_token, expires_in }
+   */
+  async createSession(user, { ipAddress = null, userAgent = null } = {}) {
+    const tokenVersion = await User.getTokenVersion(user.id);
+    const refreshToken = generateRandomToken(32);
+
+    const sessionId = await UserSession.create({
+      userId: user.id,
+      refreshTokenHash: this.hashToken(refreshToken),
+      expiresAt: this.getRefreshExpiry(),
+      ipAddress,
+      userAgent
+    });
+
+    logger.info(`Session ${sessionId} started for user ID: ${user.id}`);
+
+    return this.buildTokens(user, tokenVersion, sessionId, refreshToken);
+  }
+
+  /**
+   * Exchange a refresh token for a new access token and refresh token
+   * @param {string} refreshToken - Refresh token from createSession or a previous refresh
+   * @returns {Promise<Object|null>} { token, refresh_token, expires_in, user }, null if the
+   *   token is unknown, expired, revoked or was already used
+   */
+  async refresh(refreshToken) {
+    const tokenHash = this.hashToken(refreshToken);
+    const session = await UserSession.findByTokenHash(tokenHash);
+
+    if (!session) {
+      return null;
+    }
+
+    if (session.is_previous_token) {
+      // A replaced token is only presented again if it was copied
+      if (await UserSession.revoke(session.id, 'token_reuse')) {
+        logger.warn(`Refresh token reuse detected, session ${session.id} of user ID ${session.user_id} revoked`);
+      }
+      return null;
+    }
+
+    if (session.revoked_at || new Date(session.expires_at) <= new Date()) {
+      return null;
+    }
+
+    const user = await User.findById(session.user_id);
+    if (!user) {
+      await UserSession.revoke(session.id, 'user_deleted');
+      return null;
+    }
+
+    if (user.disabled_at) {
+      await UserSession.revoke(session.id, 'account_disabled');
+      return null;
+    }
+
+    const newRefreshToken = generateRandomToken(32);
+    const rotated = await UserSession.rotate(
+      session.id,
+      tokenHash,
+      this.hashToken(newRefreshToken),
+      this.getRefreshExpiry()
+    );
+
+    if (!rotated) {
+      // Another request rotated the same token first
+      await UserSession.revoke(session.id, 'token_reuse');
+      logger.warn(`Concurrent use of refresh token, session ${session.id} of user ID ${session.user_id} revoked`);
+      return null;
+    }
+
+    const tokenVersion = await User.getTokenVersion(user.id);
+
+    return {
+      ...this.buildTokens(user, tokenVersion, session.id, newRefreshToken),
+      user: {
+        id: user.id,
+        email: user.email,
+        name: user.name,
+        role: user.role,
+        email_verified: user.email_verified
+      }
+    };
+  }
+
+  /**
+   * End the session of a refresh token
+   * @param {string} refreshToken - Refresh token
+   * @param {Object} [options]
+   * @param {boolean} [options.all=false] - End every session of the token's user
+   * @returns {Promise<boolean>} True if an active session was ended
+   */
+  async logout(refreshToken, { all = false } = {}) {
+    const session = await UserSession.findByTokenHash(this.hashToken(refreshToken));
+    if (!session || session.is_previous_token || session.revoked_at) {
+      return false;
+    }
+
+    if (all) {
+      await this.revokeAllForUser(session.user_id, 'logout_all');
+      return true;
+    }
+
+    const revoked = await UserSession.revoke(session.id, 'logout');
+    if (revoked) {
+      logger.info(`Session ${session.id} of user ID ${session.user_id} logged out`);
+    }
+
+    return revoked;
+  }
+
+  /**
+   * End every session of a user and invalidate their access tokens
+   * @param {number} userId - User ID
+   * @param {string} reason - Revoke reason (logout_all, password_change, role_change, ...)
+   * @returns {Promise<number>} Number of sessions revoked
+   */
+  async revokeAllForUser(userId, reason) {
+    await User.incrementTokenVersion(userId);
+    const count = await UserSession.revokeAllByUserId(userId, reason);
+
+    logger.info(`All sessions of user ID ${userId} revoked (${reason}): ${count} session(s)`);
+
+    return count;
+  }
+
+  /**
+   * Check that an access token has not been invalidated
+   * @param {Object} decoded - Decoded access token
+   * @returns {Promise<boolean>} False if the user no longer exists or the token version is outdated
+   */
+  async isTokenCurrent(decoded) {
+    if (decoded.tv === undefined) {
+      return false;
+    }
+
+    const tokenVersion = await User.getTokenVersion(decoded.id);
+    return tokenVersion !== null && tokenVersion === decoded.tv;
+  }
+}
+
+module.exports = new SessionService();
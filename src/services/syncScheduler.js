@@ -16,6 +16,7 @@
 
 const cron = require('node-cron');
 const openvpnUserSync = require('./openvpnUserSync');
+const realtimeService = require('./realtimeService');
 const logger = require('../utils/logger');
 
 /**
@@ -30,6 +31,8 @@ class SyncScheduler {
     // Scheduler state
     this.isRunning = false;
     this.isSyncing = false;
+    // { current, total, username } of the running sync
+    this.syncProgress = null;
 
     // Sync interval configuration (default: 15 minutes)
     this.syncIntervalMinutes = parseInt(process.env.SYNC_INTERVAL_MINUTES) || 15;
@@ -152,18 +155,25 @@ class SyncScheduler {
     }
 
     this.isSyncing = true;
+    this.syncProgress = null;
     const syncStartTime = Date.now();
+    const trigger = options.manual ? 'manual' : 'scheduled';
 
     logger.info('Starting scheduled user synchronization...', {
       syncCount: this.syncCount + 1,
-      trigger: options.manual ? 'manual' : 'scheduled'
+      trigger
     });
+    realtimeService.publish('sync.started', { trigger, dryRun: !!options.dryRun });
 
     try {
       // Execute user synchronization
       const syncResult = await openvpnUserSync.syncUsers({
         dryRun: options.dryRun || false,
-        deleteOrphaned: options.deleteOrphaned || false
+        deleteOrphaned: options.deleteOrphaned || false,
+        onProgress: (progress) => {
+          this.syncProgress = progress;
+          realtimeService.publish('sync.progress', progress);
+        }
       });
 
       const syncDuration = Date.now() - syncStartTime;
@@ -193,6 +203,17 @@ class SyncScheduler {
         skipped: syncResult.skipped.length
       });
 
+      // Counts only: the results carry temporary passwords of created users
+      realtimeService.publish('sync.completed', {
+        trigger,
+        duration: syncDuration,
+        created: syncResult.created.length,
+        updated: syncResult.updated.length,
+        deleted: syncResult.deleted.length,
+        errors: syncResult.errors.length,
+        skipped: syncResult.skipped.length
+      });
+
       return syncResult;
     } catch (error) {
       const syncDuration = Date.now() - syncStartTime;
@@ -223,10 +244,17 @@ class SyncScheduler {
         error: error.message,
         duration: `${syncDuration}ms`
       });
+      realtimeService.publish('sync.failed', {
+        source: 'openvpn',
+        trigger,
+        duration: syncDuration,
+        error: error.message
+      });
 
       throw error;
     } finally {
       this.isSyncing = false;
+      this.syncProgress = null;
     }
   }
 
@@ -258,6 +286,7 @@ class SyncScheduler {
       scheduler: {
         isRunning: this.isRunning,
         isSyncing: this.isSyncing,
+        progress: this.syncProgress,
         intervalMinutes: this.syncIntervalMinutes,
         cronExpression: this.cronExpression
       },
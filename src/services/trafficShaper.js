@@ -0,0 +1,318 @@
+const { execFile } = require('child_process');
+const QosPolicy = require('../models/QosPolicy');
+const logger = require('../utils/logger');
+
+/**
+ * HTB class priority per QoS policy priority (0 is served first)
+ */
+const PRIORITY_MAP = {
+  high: 1,
+  medium: 4,
+  low: 7
+};
+
+/**
+ * Root HTB class that every client class hangs off.
+ * ffff cannot collide with a client class: it would belong to x.x.255.255.
+ */
+const ROOT_CLASS_MINOR = 'ffff';
+
+/**
+ * Create the default tc executor
+ * Runs tc inside the OpenVPN container through docker exec, or on the local
+ * host when QOS_TC_EXEC=local (e.g. when the backend shares the VPN network namespace).
+ * @param {Object} options
+ * @param {string} options.mode - docker or local
+ * @param {string} options.containerName - OpenVPN container name
+ * @returns {Function} async (args: string[]) => stdout
+ */
+const createDefaultExecutor = ({ mode, containerName }) => {
+  return (args) => new Promise((resolve, reject) => {
+    const file = mode === 'local' ? 'tc' : 'docker';
+    const fileArgs = mode === 'local' ? args : ['exec', containerName, 'tc', ...args];
+
+    execFile(file, fileArgs, { timeout: 10000 }, (error, stdout, stderr) => {
+      if (error) {
+        error.message = `${error.message.trim()}${stderr ? `: ${stderr.trim()}` : ''}`;
+        return reject(error);
+      }
+      resolve(stdout);
+    });
+  });
+};
+
+/**
+ * Traffic Shaper Service
+ * Enforces QoS bandwidth limits with Linux tc on the VPN tunnel interface.
+ *
+ * Downloads (server -> client) are shaped by an HTB class per client on the
+ * egress of the tunnel interface. Uploads (client -> server) are policed by
+ * an ingress filter. Both are keyed by the client's VPN IP, and the u32
+ * filters of a client use a dedicated filter priority so they can be removed
+ * without touching other clients.
+ */
+class TrafficShaperService {
+  constructor() {
+    this.enabled = process.env.QOS_SHAPING_ENABLED === 'true';
+    this.device = process.env.QOS_TC_INTERFACE || 'as0t0';
+    this.linkRate = process.env.QOS_TC_LINK_RATE || '1gbit';
+    this.executor = createDefaultExecutor({
+      mode: process.env.QOS_TC_EXEC || 'docker',
+      containerName: process.env.OPENVPN_CONTAINER_NAME || 'openvpn-server'
+    });
+    this.rootReady = false;
+    this.shapedClients = new Map(); // virtual IP -> applied shaping
+  }
+
+  /**
+   * Replace the command runner (used by tests and alternative deployments)
+   * @param {Function} executor - async (args: string[]) => stdout
+   */
+  setExecutor(executor) {
+    this.executor = executor;
+    this.rootReady = false;
+    this.shapedClients.clear();
+  }
+
+  /**
+   * Run a tc command
+   * @param {Array<string>} args - tc arguments
+   * @param {boolean} [ignoreErrors=false] - Swallow failures (e.g. deleting missing objects)
+   * @returns {Promise<string|null>} Command output
+   */
+  async tc(args, ignoreErrors = false) {
+    logger.debug(`tc ${args.join(' ')}`);
+    try {
+      return await this.executor(args);
+    } catch (error) {
+      if (ignoreErrors) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Derive the HTB class minor number (and filter priority) from a VPN IP
+   * Uses the last two octets, which are unique inside any VPN subnet up to /16.
+   * @param {string} virtualIp - IPv4 address
+   * @returns {number|null} Minor number, or null if the IP cannot be shaped
+   */
+  getClassMinor(virtualIp) {
+    const match = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/.exec(virtualIp || '');
+    if (!match) {
+      return null;
+    }
+
+    const minor = (parseInt(match[3], 10) << 8) | parseInt(match[4], 10);
+
+    // 0 is invalid, 1 is usually the server and ffff is the root class
+    if (minor < 2 || minor >= 0xffff) {
+      return null;
+    }
+
+    return minor;
+  }
+
+  /**
+   * Install the root HTB qdisc and the ingress qdisc
+   * Existing qdiscs are removed first so shaping left over from a previous
+   * run does not linger.
+   */
+  async ensureRoot() {
+    if (this.rootReady) {
+      return;
+    }
+
+    const dev = this.device;
+    await this.tc(['qdisc', 'del', 'dev', dev, 'root'], true);
+    await this.tc(['qdisc', 'del', 'dev', dev, 'ingress'], true);
+    await this.tc(['qdisc', 'add', 'dev', dev, 'root', 'handle', '1:', 'htb']);
+    await this.tc([
+      'class', 'add', 'dev', dev, 'parent', '1:', 'classid', `1:${ROOT_CLASS_MINOR}`,
+      'htb', 'rate', this.linkRate, 'ceil', this.linkRate
+    ]);
+    await this.tc(['qdisc', 'add', 'dev', dev, 'handle', 'ffff:', 'ingress']);
+
+    this.rootReady = true;
+    logger.info(`Traffic shaping initialized on ${dev} (link rate ${this.linkRate})`);
+  }
+
+  /**
+   * Build the tc commands that shape a client
+   * @param {string} virtualIp - Client VPN IP
+   * @param {number} minor - Class minor number from getClassMinor
+   * @param {number} rateKbit - Bandwidth limit in Kbps
+   * @param {string} priority - QoS priority (low, medium, high)
+   * @returns {Array<Array<string>>} tc argument lists
+   */
+  buildApplyCommands(virtualIp, minor, rateKbit, priority) {
+    const dev = this.device;
+    const classId = `1:${minor.toString(16)}`;
+    const prio = String(minor);
+    const rate = `${rateKbit}kbit`;
+    // Allow roughly 100ms worth of traffic as burst, at least 16kb
+    const burst = `${Math.max(16, Math.ceil(rateKbit / 80))}kb`;
+
+    return [
+      [
+        'class', 'replace', 'dev', dev, 'parent', `1:${ROOT_CLASS_MINOR}`, 'classid', classId,
+        'htb', 'rate', rate, 'ceil', rate, 'prio', String(PRIORITY_MAP[priority] ?? PRIORITY_MAP.medium)
+      ],
+      [
+        'filter', 'add', 'dev', dev, 'parent', '1:', 'protocol', 'ip', 'prio', prio,
+        'u32', 'match', 'ip', 'dst', `${virtualIp}/32`, 'flowid', classId
+      ],
+      [
+        'filter', 'add', 'dev', dev, 'parent', 'ffff:', 'protocol', 'ip', 'prio', prio,
+        'u32', 'match', 'ip', 'src', `${virtualIp}/32`,
+        'police', 'rate', rate, 'burst', burst, 'drop', 'flowid', ':1'
+      ]
+    ];
+  }
+
+  /**
+   * Build the tc commands that remove the shaping of a client
+   * @param {number} minor - Class minor number from getClassMinor
+   * @returns {Array<Array<string>>} tc argument lists
+   */
+  buildRemoveCommands(minor) {
+    const dev = this.device;
+    const prio = String(minor);
+
+    return [
+      ['filter', 'del', 'dev', dev, 'parent', '1:', 'prio', prio],
+      ['filter', 'del', 'dev', dev, 'parent', 'ffff:', 'prio', prio],
+      ['class', 'del', 'dev', dev, 'classid', `1:${minor.toString(16)}`]
+    ];
+  }
+
+  /**
+   * Shape a connected client according to its effective QoS policy
+   * Does nothing when the client is already shaped with the same limits.
+   * @param {string} virtualIp - Client VPN IP
+   * @param {number} deviceId - Device ID used to resolve the policy
+   * @param {Object|null} [policy] - Policy to enforce; looked up with
+   *   QosPolicy.getEffectiveDevicePolicy when omitted
+   * @returns {Promise<Object|null>} Applied shaping, or null if the client is not shaped
+   */
+  async applyForClient(virtualIp, deviceId, policy) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    const minor = this.getClassMinor(virtualIp);
+    if (minor === null) {
+      logger.debug(`Skipping traffic shaping for unsupported VPN IP ${virtualIp}`);
+      return null;
+    }
+
+    try {
+      if (policy === undefined) {
+        policy = await QosPolicy.getEffectiveDevicePolicy(deviceId);
+      }
+      const rateKbit = policy ? parseInt(policy.bandwidth_limit, 10) : 0;
+
+      if (!policy || !rateKbit || rateKbit <= 0) {
+        // No (or unlimited) policy: make sure any previous limit is lifted
+        await this.removeForClient(virtualIp);
+        return null;
+      }
+
+      const current = this.shapedClients.get(virtualIp);
+      if (current && current.rateKbit === rateKbit && current.priority === policy.priority) {
+        return current;
+      }
+
+      await this.ensureRoot();
+
+      // Filters cannot be replaced in place; drop the old ones first
+      if (current) {
+        const [delEgress, delIngress] = this.buildRemoveCommands(minor);
+        await this.tc(delEgress, true);
+        await this.tc(delIngress, true);
+      }
+
+      for (const args of this.buildApplyCommands(virtualIp, minor, rateKbit, policy.priority)) {
+        await this.tc(args);
+      }
+
+      const applied = {
+        deviceId,
+        policyId: policy.id,
+        rateKbit,
+        priority: policy.priority
+      };
+      this.shapedClients.set(virtualIp, applied);
+
+      logger.info(`Shaped ${virtualIp} to ${rateKbit} Kbps (policy ${policy.name}, ${policy.policy_source})`);
+      return applied;
+    } catch (error) {
+      logger.error(`Error applying traffic shaping for ${virtualIp}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Remove the shaping of a client
+   * @param {string} virtualIp - Client VPN IP
+   * @returns {Promise<boolean>} True if the client was shaped before
+   */
+  async removeForClient(virtualIp) {
+    if (!this.shapedClients.has(virtualIp)) {
+      return false;
+    }
+
+    const minor = this.getClassMinor(virtualIp);
+    for (const args of this.buildRemoveCommands(minor)) {
+      await this.tc(args, true);
+    }
+
+    this.shapedClients.delete(virtualIp);
+    logger.info(`Removed traffic shaping for ${virtualIp}`);
+    return true;
+  }
+
+  /**
+   * Remove the shaping of every client that is no longer connected
+   * @param {Array<string>} activeVirtualIps - VPN IPs of connected clients
+   * @returns {Promise<number>} Number of clients whose shaping was removed
+   */
+  async removeDisconnected(activeVirtualIps) {
+    const active = new Set(activeVirtualIps);
+    let removed = 0;
+
+    for (const virtualIp of Array.from(this.shapedClients.keys())) {
+      if (!active.has(virtualIp)) {
+        try {
+          if (await this.removeForClient(virtualIp)) {
+            removed++;
+          }
+        } catch (error) {
+          logger.error(`Error removing traffic shaping for ${virtualIp}:`, error);
+        }
+      }
+    }
+
+    return removed;
+  }
+
+  /**
+   * Get shaping status
+   * @returns {Object} Status object
+   */
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      device: this.device,
+      linkRate: this.linkRate,
+      shapedClients: Array.from(this.shapedClients.entries()).map(([virtualIp, shaping]) => ({
+        virtualIp,
+        ...shaping
+      }))
+    };
+  }
+}
+
+module.exports = new TrafficShaperService();
+module.exports.createDefaultExecutor = createDefaultExecutor;
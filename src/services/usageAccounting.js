@@ -0,0 +1,152 @@
+const BandwidthUsage = require('../models/BandwidthUsage');
+const logger = require('../utils/logger');
+
+/**
+ * Default report range per period when no "from" is given
+ */
+const DEFAULT_RANGES = {
+  hour: { unit: 'hours', amount: 48 },
+  day: { unit: 'days', amount: 31 },
+  month: { unit: 'months', amount: 12 }
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * Usage Accounting Service
+ * Turns the cumulative traffic counters reported by the VPN server into
+ * per-poll deltas and adds them to the hourly/daily/monthly usage buckets.
+ */
+class UsageAccountingService {
+  /**
+   * Compute the traffic delta between two polls of the same connection
+   * OpenVPN counters start from zero on every connection. When the current
+   * counter is lower than the previous one the client has reconnected, and
+   * everything reported now was transferred since the previous poll.
+   * @param {Object} previous - { bytesSent, bytesReceived } from the last poll
+   * @param {Object} current - { bytesSent, bytesReceived } from this poll
+   * @returns {Object} { bytesSent, bytesReceived } transferred since the last poll
+   */
+  computeDelta(previous, current) {
+    const delta = (prev, cur) => {
+      const prevNum = Number(prev) || 0;
+      const curNum = Number(cur) || 0;
+      return curNum >= prevNum ? curNum - prevNum : curNum;
+    };
+
+    return {
+      bytesSent: delta(previous.bytesSent, current.bytesSent),
+      bytesReceived: delta(previous.bytesReceived, current.bytesReceived)
+    };
+  }
+
+  /**
+   * Format a date as a MySQL DATETIME string in server local time
+   * @param {Date} date - Date to format
+   * @returns {string} 'YYYY-MM-DD HH:mm:ss'
+   */
+  formatDateTime(date) {
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+      `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+  }
+
+  /**
+   * Get the start of the hour, day and month containing a date
+   * @param {Date} [date=new Date()] - Reference date
+   * @returns {Object} { hour, day, month } as DATETIME strings
+   */
+  getPeriodStarts(date = new Date()) {
+    const hour = new Date(date.getFullYear(), date.getMonth(), date.getDate(), date.getHours());
+    const day = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    const month = new Date(date.getFullYear(), date.getMonth(), 1);
+
+    return {
+      hour: this.formatDateTime(hour),
+      day: this.formatDateTime(day),
+      month: this.formatDateTime(month)
+    };
+  }
+
+  /**
+   * Get the default start of a report range for a period type
+   * @param {string} period - hour, day or month
+   * @param {Date} [now=new Date()] - Reference date
+   * @returns {string} DATETIME string
+   */
+  getDefaultFrom(period, now = new Date()) {
+    const range = DEFAULT_RANGES[period] || DEFAULT_RANGES.day;
+    const from = new Date(now.getTime());
+
+    if (range.unit === 'hours') {
+      from.setHours(from.getHours() - range.amount, 0, 0, 0);
+    } else if (range.unit === 'days') {
+      from.setDate(from.getDate() - range.amount);
+      from.setHours(0, 0, 0, 0);
+    } else {
+      from.setMonth(from.getMonth() - range.amount, 1);
+      from.setHours(0, 0, 0, 0);
+    }
+
+    return this.formatDateTime(from);
+  }
+
+  /**
+   * Record the traffic of a connected client since the previous poll
+   * @param {Object} params
+   * @param {number} params.userId - User ID
+   * @param {number} [params.deviceId] - Device ID
+   * @param {Object} params.previous - Counters stored for the session at the last poll
+   * @param {Object} params.current - Counters reported by the server now
+   * @param {Date} [params.at=new Date()] - Time of the poll
+   * @returns {Promise<Object>} The delta that was recorded
+   */
+  async recordUsage({ userId, deviceId, previous, current, at = new Date() }) {
+    const delta = this.computeDelta(previous, current);
+
+    if (delta.bytesSent === 0 && delta.bytesReceived === 0) {
+      return delta;
+    }
+
+    await BandwidthUsage.add(
+      userId,
+      deviceId,
+      this.getPeriodStarts(at),
+      delta.bytesSent,
+      delta.bytesReceived
+    );
+
+    logger.debug(`Recorded usage for user ${userId}: +${delta.bytesSent} sent, +${delta.bytesReceived} received`);
+
+    return delta;
+  }
+
+  /**
+   * Build a usage report
+   * @param {Object} filters - Report filters (period, group_by, user_id, device_id, from, to)
+   * @param {Object} [options={}] - Pagination options ({ page, limit }); omit to get all rows
+   * @returns {Promise<Object>} { period, from, to, items, totals, pagination }
+   */
+  async getReport(filters, options = {}) {
+    const period = BandwidthUsage.PERIODS.includes(filters.period) ? filters.period : 'day';
+    const from = filters.from ? this.formatDateTime(new Date(filters.from)) : this.getDefaultFrom(period);
+    const to = filters.to ? this.formatDateTime(new Date(filters.to)) : null;
+
+    const reportFilters = { ...filters, period, from, to };
+
+    const [report, totals] = await Promise.all([
+      BandwidthUsage.getReport(reportFilters, options),
+      BandwidthUsage.getTotals(reportFilters)
+    ]);
+
+    return {
+      period,
+      from,
+      to,
+      items: report.data,
+      totals,
+      pagination: report.pagination
+    };
+  }
+}
+
+module.exports = new UsageAccountingService();
@@ -0,0 +1,10 @@
+const { createBackend } = require('./vpnBackends');
+
+/**
+ * VPN Backend
+ * Driver of the VPN server selected by VPN_BACKEND: the OpenVPN Access
+ * Server (access-server, the default) or a community OpenVPN server with
+ * the built-in PKI and the management interface (community). See
+ * services/vpnBackends/baseBackend for the interface.
+ */
+module.exports = createBackend();
@@ -0,0 +1,583 @@
+const http = require('http');
+const https = require('https');
+const { execSync } = require('child_process');
+const axios = require('axios');
+const Docker = require('dockerode');
+const logger = require('../../utils/logger');
+const { VpnBackend, assertSafeUsername, parseClientRow } = require('./baseBackend');
+
+// Initialize Docker client with support for alternatives to direct socket
+// Use DOCKER_HOST (e.g. tcp://docker-proxy:2375) for a socket proxy, or
+// DOCKER_SOCKET_PATH to point to a custom socket. Fallback to default
+// /var/run/docker.sock when running with direct socket access.
+function createDockerClient() {
+  const dockerHost = process.env.DOCKER_HOST;
+  const socketPath = process.env.DOCKER_SOCKET_PATH || '/var/run/docker.sock';
+
+  if (dockerHost) {
+    logger.info('Creating Docker client using DOCKER_HOST', { dockerHost });
+    // dockerode accepts a host/port via protocol in dockerHost
+    return new Docker({ host: dockerHost });
+  }
+
+  try {
+    logger.info('Creating Docker client using socketPath', { socketPath });
+    return new Docker({ socketPath });
+  } catch (err) {
+    logger.error('Failed to create Docker client', err);
+    // Re-throw to surface errors during initialization
+    throw err;
+  }
+}
+
+/**
+ * OpenVPN Access Server Backend
+ * Drives an OpenVPN Access Server with sacli, through the profile proxy
+ * (scripts/profile-proxy.js) where it offers the command and docker exec in
+ * OPENVPN_CONTAINER_NAME otherwise.
+ */
+class AccessServerBackend extends VpnBackend {
+  constructor() {
+    super('access-server', 'OpenVPN Access Server');
+    this.containerName = process.env.OPENVPN_CONTAINER_NAME || 'openvpn-server';
+    this.docker = createDockerClient();
+
+    // If a profile proxy is available, use it for sacli operations instead of Docker exec
+    // Parse PROFILE_PROXY_URL if it's a full URL, otherwise use individual HOST and PORT
+    if (process.env.PROFILE_PROXY_URL) {
+      try {
+        const url = new URL(process.env.PROFILE_PROXY_URL);
+        this.profileProxyHost = url.hostname;
+        this.profileProxyPort = url.port || 3001;
+        this.useProfileProxy = true;
+      } catch (e) {
+        // If parsing fails, treat it as a hostname
+        this.profileProxyHost = process.env.PROFILE_PROXY_URL;
+        this.profileProxyPort = process.env.PROFILE_PROXY_PORT || 3001;
+        this.useProfileProxy = true;
+      }
+    } else {
+      this.profileProxyHost = process.env.PROFILE_PROXY_HOST || 'host.docker.internal';
+      this.profileProxyPort = process.env.PROFILE_PROXY_PORT || 3001;
+      this.useProfileProxy = !!(process.env.PROFILE_PROXY_HOST || process.env.PROFILE_PROXY_PORT);
+    }
+
+    // Profiles and status always come from the proxy
+    this.profileUrl = `http://${process.env.PROFILE_PROXY_HOST || 'host.docker.internal'}:${process.env.PROFILE_PROXY_PORT || 3001}`;
+    this.statusUrl = process.env.PROFILE_PROXY_URL || 'http://host.docker.internal:3001';
+
+    if (this.useProfileProxy) {
+      logger.info('Using profile proxy for sacli operations', {
+        profileProxyHost: this.profileProxyHost,
+        profileProxyPort: this.profileProxyPort
+      });
+    }
+  }
+
+  /**
+   * Execute sacli command in OpenVPN container
+   * @param {string} command - sacli command to execute
+   * @returns {Promise<Object>} Command result
+   */
+  async execSacli(command) {
+    try {
+      const fullCommand = `sacli ${command}`;
+      logger.debug(`Executing sacli: ${fullCommand}`);
+
+      // If we have a profile proxy configured, call it instead of docker exec
+      if (this.useProfileProxy) {
+        const path = command.trim().toLowerCase() === 'userpropget' ? '/sacli/userpropget' : null;
+
+        if (path) {
+          const options = {
+            hostname: this.profileProxyHost,
+            port: this.profileProxyPort,
+            path,
+            method: 'GET',
+            headers: { 'Content-Type': 'application/json' }
+          };
+
+          return await new Promise((resolve, reject) => {
+            const req = http.request(options, (res) => {
+              let data = '';
+              res.on('data', (chunk) => { data += chunk; });
+              res.on('end', () => {
+                try {
+                  const parsed = JSON.parse(data);
+                  resolve(parsed);
+                } catch (e) {
+                  resolve({ stdout: data });
+                }
+              });
+            });
+            req.on('error', (err) => {
+              logger.error('Profile proxy request error:', err);
+              reject(err);
+            });
+            req.end();
+          });
+        }
+        // If command not mapped to proxy path, fallthrough to docker exec below
+      }
+
+      // Fallback to docker exec when proxy not configured or command not supported
+      const container = this.docker.getContainer(this.containerName);
+
+      const exec = await container.exec({
+        Cmd: ['sh', '-c', fullCommand],
+        AttachStdout: true,
+        AttachStderr: true
+      });
+
+      const stream = await exec.start();
+      let output = '';
+      stream.on('data', (chunk) => { output += chunk.toString(); });
+      await new Promise((resolve, reject) => {
+        stream.on('end', resolve);
+        stream.on('error', reject);
+      });
+
+      try { return JSON.parse(output); } catch { return { stdout: output.trim() }; }
+    } catch (error) {
+      logger.error('Error executing sacli command:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Execute command in OpenVPN container and wait for it
+   * @param {string} command - Command to execute
+   * @returns {string} Command output
+   * @throws {Error} If command fails
+   */
+  execCommand(command) {
+    const fullCommand = `docker exec ${this.containerName} /bin/bash -c "${command}"`;
+    logger.debug(`Executing: ${fullCommand}`);
+
+    try {
+      const output = execSync(fullCommand, {
+        encoding: 'utf8',
+        stdio: ['pipe', 'pipe', 'pipe']
+      });
+      return output.trim();
+    } catch (error) {
+      logger.error(`Command failed: ${fullCommand}`);
+      logger.error(`Error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * POST a sacli user operation to the profile proxy
+   * @private
+   * @param {string} path - Request path
+   * @param {Object} body - Request body
+   * @returns {Promise<Object>} Result
+   */
+  postToProxy(path, body) {
+    const postData = JSON.stringify(body);
+
+    const options = {
+      hostname: this.profileProxyHost,
+      port: this.profileProxyPort,
+      path,
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(postData)
+      }
+    };
+
+    return new Promise((resolve, reject) => {
+      const req = http.request(options, (res) => {
+        let data = '';
+        res.on('data', (chunk) => { data += chunk; });
+        res.on('end', () => {
+          if (res.statusCode === 200) {
+            resolve({ success: true });
+          } else {
+            reject(new Error(`Profile proxy returned status ${res.statusCode}: ${data}`));
+          }
+        });
+      });
+      req.on('error', (err) => {
+        logger.error('Profile proxy request error:', err);
+        reject(err);
+      });
+      req.write(postData);
+      req.end();
+    });
+  }
+
+  /**
+   * Set user password via proxy
+   * @param {string} username - Username
+   * @param {string} password - Password
+   * @returns {Promise<Object>} Result
+   */
+  async setPasswordViaProxy(username, password) {
+    return this.postToProxy(`/sacli/user/${encodeURIComponent(username)}/setpassword`, { password });
+  }
+
+  /**
+   * Set user property via proxy
+   * @param {string} username - Username
+   * @param {string} key - Property key
+   * @param {string} value - Property value
+   * @returns {Promise<Object>} Result
+   */
+  async setUserPropViaProxy(username, key, value) {
+    return this.postToProxy(`/sacli/user/${encodeURIComponent(username)}/prop`, { key, value });
+  }
+
+  /**
+   * Run a user action (disconnect, revoke) via proxy
+   * @param {string} username - Username
+   * @param {string} action - Proxy action path (disconnect or revoke)
+   * @param {Object} [body={}] - Action parameters
+   * @returns {Promise<Object>} Result
+   */
+  async userActionViaProxy(username, action, body = {}) {
+    return this.postToProxy(`/sacli/user/${encodeURIComponent(username)}/${action}`, body);
+  }
+
+  /**
+   * Set a user property, through the proxy when it is configured
+   * @private
+   */
+  async setUserProp(username, key, value) {
+    if (this.useProfileProxy) {
+      return this.setUserPropViaProxy(username, key, String(value));
+    }
+    return this.execSacli(`--user "${username}" --key ${key} --value "${value}" UserPropPut`);
+  }
+
+  /**
+   * Make HTTP request to the profile proxy
+   * @param {string} method - HTTP method
+   * @param {string} path - Request path
+   * @param {object} data - Request body (for POST)
+   * @returns {Promise<string>} Response data
+   */
+  async makeProxyRequest(method, path, data = null) {
+    return new Promise((resolve, reject) => {
+      const url = new URL(path, this.profileUrl);
+      const protocol = url.protocol === 'https:' ? https : http;
+
+      const options = {
+        method,
+        hostname: url.hostname,
+        port: url.port,
+        path: url.pathname + url.search,
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      };
+
+      const req = protocol.request(options, (res) => {
+        let responseData = '';
+
+        res.on('data', (chunk) => {
+          responseData += chunk;
+        });
+
+        res.on('end', () => {
+          if (res.statusCode >= 200 && res.statusCode < 300) {
+            resolve(responseData);
+          } else {
+            try {
+              const error = JSON.parse(responseData);
+              reject(new Error(error.error || `HTTP ${res.statusCode}`));
+            } catch {
+              reject(new Error(`HTTP ${res.statusCode}: ${responseData}`));
+            }
+          }
+        });
+      });
+
+      req.on('error', (error) => {
+        logger.error('Proxy request error:', error);
+        reject(new Error(`Profile proxy unreachable: ${error.message}. Ensure profile-proxy.js is running on host.`));
+      });
+
+      if (data) {
+        req.write(JSON.stringify(data));
+      }
+
+      req.end();
+    });
+  }
+
+  /**
+   * Generate temporary password for new users
+   * @returns {string} Temporary password
+   */
+  generateTempPassword() {
+    const length = 16;
+    const charset = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789!@#$%^&*';
+    let password = '';
+
+    for (let i = 0; i < length; i++) {
+      password += charset.charAt(Math.floor(Math.random() * charset.length));
+    }
+
+    return password;
+  }
+
+  /**
+   * List the users of the Access Server
+   * @returns {Promise<Array<string>>} Usernames
+   */
+  async listUsers() {
+    const result = await this.execSacli('UserPropGet');
+
+    // Result is an object with usernames as keys
+    return Object.keys(result);
+  }
+
+  /**
+   * Check whether a user exists on the Access Server
+   * @param {string} username - Username
+   * @returns {Promise<boolean>}
+   */
+  async userExists(username) {
+    const response = await this.makeProxyRequest('GET', `/user/exists?username=${encodeURIComponent(username)}`);
+    return JSON.parse(response).exists;
+  }
+
+  /**
+   * Create a user with a temporary local password
+   * Bcrypt hashes cannot be set on the Access Server; users sign in with
+   * their MySQL password when PAM authentication is configured
+   * (scripts/configure-openvpn-mysql-auth.sh).
+   * @param {string} username - Username
+   * @param {Object} [userData] - { email, name, role }
+   * @returns {Promise<Object>} { success, username, tempPassword }
+   */
+  async createUser(username, userData = {}) {
+    const tempPassword = this.generateTempPassword();
+
+    await this.setPassword(username, tempPassword);
+
+    if (userData.email) {
+      await this.setUserProp(username, 'prop_email', userData.email);
+    }
+    if (userData.name) {
+      await this.setUserProp(username, 'prop_c_name', userData.name);
+    }
+    // Set admin privileges if role is admin
+    if (userData.role === 'admin') {
+      await this.setUserProp(username, 'prop_superuser', true);
+    }
+
+    return {
+      success: true,
+      username,
+      tempPassword // Store this securely or send to user
+    };
+  }
+
+  /**
+   * Update the properties of a user
+   * @param {string} username - Username
+   * @param {Object} [userData] - { email, name, role }
+   * @returns {Promise<Object>} { success, username }
+   */
+  async updateUser(username, userData = {}) {
+    if (userData.email) {
+      await this.setUserProp(username, 'prop_email', userData.email);
+    }
+    if (userData.name) {
+      await this.setUserProp(username, 'prop_c_name', userData.name);
+    }
+    await this.setUserProp(username, 'prop_superuser', userData.role === 'admin');
+
+    return { success: true, username };
+  }
+
+  /**
+   * Delete a user and all of its properties
+   * @param {string} username - Username
+   * @returns {Promise<Object>} { success, username, result }
+   */
+  async deleteUser(username) {
+    const result = await this.execSacli(`--user "${username}" UserPropDelAll`);
+    return { success: true, username, result };
+  }
+
+  /**
+   * Set the local password of a user
+   * @param {string} username - Username
+   * @param {string} password - Plain text password
+   * @returns {Promise<Object>} { success, username }
+   */
+  async setPassword(username, password) {
+    if (this.useProfileProxy) {
+      await this.setPasswordViaProxy(username, password);
+    } else {
+      await this.execSacli(`--user "${username}" --new_pass "${password}" SetLocalPassword`);
+    }
+    return { success: true, username };
+  }
+
+  /**
+   * Generate a profile with the Access Server
+   * @param {string} username - Username
+   * @param {string} [profileType='userlogin'] - 'userlogin' or 'autologin'
+   * @returns {Promise<string>} OVPN profile content
+   */
+  async generateProfile(username, profileType = 'userlogin') {
+    const endpoint = profileType === 'autologin' ? '/profile/autologin' : '/profile/userlogin';
+    const profile = await this.makeProxyRequest('POST', endpoint, { username });
+
+    if (!profile || profile.includes('ERROR')) {
+      throw new Error(`Failed to generate profile: ${profile}`);
+    }
+
+    return profile;
+  }
+
+  /**
+   * Get detailed client information including platform detection
+   * @returns {Promise<Array>} Client info, empty when the proxy fails
+   */
+  async getClientInfo() {
+    try {
+      const response = await axios.get(`${this.statusUrl}/sacli/clientinfo`, {
+        timeout: 10000
+      });
+      return response.data;
+    } catch (error) {
+      logger.error('Error getting client info from proxy:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Get the connected clients from sacli VPNStatus, with the platform and
+   * peer info recorded at login
+   * @returns {Promise<Object>} { clients }
+   */
+  async getStatus() {
+    const response = await axios.get(`${this.statusUrl}/sacli/vpnstatus`, {
+      timeout: 10000
+    });
+    const vpnStatus = response.data || {};
+
+    // Create a map of client info by VPN IP address (more unique than real_ip)
+    const clientsInfo = await this.getClientInfo();
+    const clientInfoMap = {};
+    if (Array.isArray(clientsInfo)) {
+      clientsInfo.forEach(info => {
+        if (info.vpn_ip) {
+          clientInfoMap[info.vpn_ip] = info;
+        }
+      });
+    }
+
+    const clients = [];
+
+    // Iterate through all OpenVPN daemons
+    Object.keys(vpnStatus).forEach(daemon => {
+      const daemonData = vpnStatus[daemon];
+      if (!daemonData.client_list || daemonData.client_list.length === 0) return;
+
+      daemonData.client_list.forEach(row => {
+        const client = parseClientRow(row, daemonData.client_list_header);
+
+        // Add platform information if available - match by VPN IP
+        const info = client.realIp && clientInfoMap[client.virtualAddress];
+        if (info) {
+          client.platform = info.platform || 'unknown';
+          client.guiVersion = info.gui_version || '';
+          client.vpnVersion = info.version || '';
+          // Peer info recorded at login (scripts/as-post-auth-peer-info.py)
+          client.peerInfo = info.peer_info || {};
+          client.hwaddr = info.hwaddr || '';
+          // Enrollment ID reported by device profiles (setenv UV_DEVICE_ID)
+          client.enrollmentId = info.uv_device_id || null;
+        }
+
+        clients.push(client);
+      });
+    });
+
+    return { clients };
+  }
+
+  /**
+   * Disconnect all active sessions of a user
+   * @param {string} username - Username
+   * @param {string} [reason] - Reason shown to the client
+   * @returns {Promise<Object>} { success, username }
+   */
+  async disconnectUser(username, reason = null) {
+    // The command runs through a shell; only accept plain usernames
+    assertSafeUsername(username, 'disconnect');
+
+    if (this.useProfileProxy) {
+      await this.userActionViaProxy(username, 'disconnect', { reason });
+      return { success: true, username };
+    }
+
+    const reasonArg = reason ? ` --client_reason "${String(reason).replace(/["\\$`]/g, '')}"` : '';
+    const result = await this.execSacli(`--user "${username}"${reasonArg} DisconnectUser`);
+
+    return { success: true, username, result };
+  }
+
+  /**
+   * Revoke all certificates of a user
+   * @param {string} username - Username
+   * @returns {Promise<Object>} { success, username }
+   */
+  async revokeUser(username) {
+    // The command runs through a shell; only accept plain usernames
+    assertSafeUsername(username, 'revocation');
+
+    if (this.useProfileProxy) {
+      await this.userActionViaProxy(username, 'revoke');
+      return { success: true, username };
+    }
+
+    const result = await this.execSacli(`--user "${username}" RevokeUser`);
+
+    return { success: true, username, result };
+  }
+
+  /**
+   * Set the private networks of the server and restart it
+   * Network 0 stays the VPN's own subnet.
+   * @param {Array<string>} cidrs - Networks in CIDR notation
+   */
+  async setRoutes(cidrs) {
+    // Get current routing configuration
+    const currentConfig = this.execCommand(`sacli ConfigQuery | grep 'vpn.server.routing.private_network'`);
+    logger.debug(`Current routing config:\n${currentConfig}`);
+
+    const vpnSubnet = '10.77.0.0/24'; // Keep the VPN's own subnet
+    this.execCommand(`sacli --key "vpn.server.routing.private_network.0" --value "${vpnSubnet}" ConfigPut`);
+
+    // Add each LAN network
+    cidrs.forEach((cidr, offset) => {
+      const key = `vpn.server.routing.private_network.${offset + 1}`;
+      logger.info(`Setting ${key} = ${cidr}`);
+      this.execCommand(`sacli --key "${key}" --value "${cidr}" ConfigPut`);
+    });
+
+    // Apply configuration and restart OpenVPN
+    logger.info('Applying configuration changes and restarting OpenVPN service');
+    this.execCommand('sacli start');
+  }
+
+  /**
+   * Route private networks with NAT and allow inter-client routing
+   */
+  async enableNatRouting() {
+    this.execCommand(`sacli --key "vpn.server.routing.private_access" --value "nat" ConfigPut`);
+    this.execCommand(`sacli --key "vpn.client.routing.inter_client" --value "true" ConfigPut`);
+    this.execCommand('sacli start');
+  }
+}
+
+module.exports = AccessServerBackend;
@@ -0,0 +1,259 @@
+/**
+ * Usernames accepted by the backends
+ * Commands of both drivers end up in a shell or on a line-based protocol,
+ * so only plain usernames are passed on.
+ */
+const USERNAME_PATTERN = /^[a-zA-Z0-9._@+-]+$/;
+
+/**
+ * Throw unless a username is safe to pass to the VPN server
+ * @param {string} username - Username
+ * @param {string} action - Action named in the error (e.g. disconnect)
+ * @throws {Error} If the username contains other characters
+ */
+const assertSafeUsername = (username, action) => {
+  if (!USERNAME_PATTERN.test(username || '')) {
+    throw new Error(`Invalid username for ${action}: ${username}`);
+  }
+};
+
+/**
+ * Build a connected client from a status row
+ * Both the Access Server (sacli VPNStatus) and the community server
+ * (management "status 3") list clients as rows described by a header of
+ * column names.
+ * @param {Array<string>} row - Column values
+ * @param {Object} headers - Column name -> index
+ * @returns {Object} Connected client
+ */
+const parseClientRow = (row, headers) => {
+  const column = (name) => (headers[name] === undefined ? undefined : row[headers[name]]);
+  const username = column('Username');
+  const commonName = column('Common Name');
+  const realAddress = column('Real Address') || '';
+  const clientId = parseInt(column('Client ID'), 10);
+
+  const client = {
+    // The community server reports UNDEF for clients without auth-user-pass
+    username: username && username !== 'UNDEF' ? username : commonName,
+    commonName,
+    realAddress,
+    virtualAddress: column('Virtual Address'),
+    connectedSince: column('Connected Since'),
+    connectedSinceEpoch: column('Connected Since (time_t)'),
+    bytesSent: parseInt(column('Bytes Sent') || 0),
+    bytesReceived: parseInt(column('Bytes Received') || 0),
+    cipher: column('Data Channel Cipher') || 'Unknown',
+    clientId: isNaN(clientId) ? null : clientId
+  };
+
+  // Extract IP address from realAddress (format: "IP:PORT")
+  const ipMatch = realAddress.match(/^([^:]+):/);
+  if (ipMatch) {
+    client.realIp = ipMatch[1];
+  }
+
+  return client;
+};
+
+/**
+ * VPN Backend
+ * Interface of the VPN server drivers (see services/vpnBackends). The
+ * services that manage VPN users, profiles, sessions and routes call the
+ * selected driver instead of talking to a server themselves.
+ *
+ * A driver overrides every method; the defaults throw, so a driver that
+ * cannot do something says so instead of silently succeeding.
+ */
+class VpnBackend {
+  /**
+   * @param {string} name - Value of VPN_BACKEND that selects the driver
+   * @param {string} label - Human readable name
+   */
+  constructor(name, label) {
+    this.name = name;
+    this.label = label;
+    // True when the server trusts the built-in PKI (services/pkiService), so
+    // profiles can carry certificates issued by it
+    this.usesBuiltInPki = false;
+    // True when the driver can disconnect a single session (disconnectSession)
+    this.disconnectsSessions = false;
+  }
+
+  /**
+   * @private
+   */
+  unsupported(method) {
+    throw new Error(`The ${this.label} backend does not support ${method}`);
+  }
+
+  // ---- Users ----
+
+  /**
+   * List the usernames known to the VPN server
+   * @returns {Promise<Array<string>>}
+   */
+  async listUsers() {
+    return this.unsupported('listUsers');
+  }
+
+  /**
+   * Check whether a user is known to the VPN server
+   * @param {string} username - Username
+   * @returns {Promise<boolean>}
+   */
+  async userExists(username) {
+    const usernames = await this.listUsers();
+    return usernames.includes(username);
+  }
+
+  /**
+   * Create a user on the VPN server
+   * @param {string} username - Username
+   * @param {Object} [userData] - { email, name, role }
+   * @returns {Promise<Object>} { success, username, tempPassword }
+   */
+  async createUser(username, userData = {}) {
+    return this.unsupported('createUser');
+  }
+
+  /**
+   * Update the properties of a user on the VPN server
+   * @param {string} username - Username
+   * @param {Object} [userData] - { email, name, role }
+   * @returns {Promise<Object>} { success, username }
+   */
+  async updateUser(username, userData = {}) {
+    return this.unsupported('updateUser');
+  }
+
+  /**
+   * Delete a user from the VPN server
+   * @param {string} username - Username
+   * @returns {Promise<Object>} { success, username }
+   */
+  async deleteUser(username) {
+    return this.unsupported('deleteUser');
+  }
+
+  // ---- Passwords ----
+
+  /**
+   * Set the VPN password of a user
+   * @param {string} username - Username
+   * @param {string} password - Plain text password
+   * @returns {Promise<Object>} { success, username }
+   */
+  async setPassword(username, password) {
+    return this.unsupported('setPassword');
+  }
+
+  // ---- Profiles ----
+
+  /**
+   * Generate a client profile
+   * The profile carries its certificates inline, after a <ca> block, so
+   * directives can be inserted before it.
+   * @param {string} username - Username
+   * @param {string} [profileType='userlogin'] - 'userlogin' or 'autologin'
+   * @param {Object} [options]
+   * @param {Object} [options.credentials] - Certificate from
+   *   pkiService.issueClientCertificate to embed instead of the user's own;
+   *   the <key> block is left out when it has no privateKey (usesBuiltInPki only)
+   * @returns {Promise<string>} OVPN profile content
+   */
+  async generateProfile(username, profileType = 'userlogin', options = {}) {
+    return this.unsupported('generateProfile');
+  }
+
+  // ---- Status ----
+
+  /**
+   * Get the clients connected to the VPN server
+   * Clients carry username, commonName, realAddress, realIp, virtualAddress,
+   * connectedSince, connectedSinceEpoch, bytesSent, bytesReceived, cipher and
+   * clientId, plus platform, guiVersion, vpnVersion, peerInfo, hwaddr and
+   * enrollmentId when the server reports them.
+   * @returns {Promise<Object>} { clients }
+   * @throws {Error} If the server cannot be reached
+   */
+  async getStatus() {
+    return this.unsupported('getStatus');
+  }
+
+  // ---- Sessions ----
+
+  /**
+   * Disconnect all active sessions of a user
+   * @param {string} username - Username
+   * @param {string} [reason] - Reason shown to the client
+   * @returns {Promise<Object>} { success, username }
+   */
+  async disconnectUser(username, reason = null) {
+    return this.unsupported('disconnectUser');
+  }
+
+  /**
+   * Disconnect one session of a user
+   * Optional: drivers that can only disconnect by username leave
+   * disconnectsSessions false, and callers use disconnectUser instead.
+   * @param {Object} session - { username, realAddress, virtualAddress }
+   * @param {string} [reason] - Reason of the disconnect
+   * @returns {Promise<Object>} { success, username, disconnected }
+   */
+  async disconnectSession(session, reason = null) {
+    return this.unsupported('disconnectSession');
+  }
+
+  /**
+   * Revoke all certificates of a user
+   * Profiles issued before stop working; the next generated profile gets a
+   * new certificate.
+   * @param {string} username - Username
+   * @returns {Promise<Object>} { success, username }
+   */
+  async revokeUser(username) {
+    return this.unsupported('revokeUser');
+  }
+
+  // ---- Routing ----
+
+  /**
+   * Route LAN networks through the VPN for every client
+   * Replaces the networks set before.
+   * @param {Array<string>} cidrs - Networks in CIDR notation
+   * @returns {Promise<void>}
+   */
+  async setRoutes(cidrs) {
+    return this.unsupported('setRoutes');
+  }
+
+  /**
+   * Let clients reach routed networks through NAT
+   * @returns {Promise<void>}
+   */
+  async enableNatRouting() {
+    return this.unsupported('enableNatRouting');
+  }
+
+  // ---- Events ----
+
+  /**
+   * Pass connects and disconnects to a listener as they happen
+   * Optional: drivers whose server cannot announce them return null and are
+   * only polled with getStatus.
+   * @param {Function} listener - Called with { type: 'connect'|'disconnect',
+   *   clientId, username, commonName, virtualAddress, realIp }
+   * @returns {Function|null} Stops watching, or null when not supported
+   */
+  watch(listener) {
+    return null;
+  }
+}
+
+module.exports = {
+  VpnBackend,
+  USERNAME_PATTERN,
+  assertSafeUsername,
+  parseClientRow
+};
@@ -0,0 +1,430 @@
+const { execFile } = require('child_process');
+const UserLanNetwork = require('../../models/UserLanNetwork');
+const pkiService = require('../pkiService');
+const config = require('../../config/environment');
+const logger = require('../../utils/logger');
+const { VpnBackend, assertSafeUsername, parseClientRow } = require('./baseBackend');
+const ManagementClient = require('./managementClient');
+
+/**
+ * Create the default command executor
+ * Runs commands inside the OpenVPN container through docker exec, or on the
+ * local host when OPENVPN_EXEC=local (e.g. when the backend runs next to the
+ * server and shares its routes file).
+ * @param {Object} options
+ * @param {string} options.mode - docker or local
+ * @param {string} options.containerName - OpenVPN container name
+ * @returns {Function} async (file: string, args: string[], input?: string) => stdout
+ */
+const createDefaultExecutor = ({ mode, containerName }) => {
+  return (file, args, input = null) => new Promise((resolve, reject) => {
+    const command = mode === 'local' ? file : 'docker';
+    const commandArgs = mode === 'local' ? args : ['exec', '-i', containerName, file, ...args];
+
+    const child = execFile(command, commandArgs, { timeout: 30000 }, (error, stdout, stderr) => {
+      if (error) {
+        error.message = `${error.message.trim()}${stderr ? `: ${stderr.trim()}` : ''}`;
+        return reject(error);
+      }
+      resolve(stdout);
+    });
+
+    if (input !== null) {
+      child.stdin.end(input);
+    }
+  });
+};
+
+/**
+ * Community OpenVPN Backend
+ * Drives an OpenVPN community server: client certificates are issued and
+ * revoked by the built-in PKI (services/pkiService), the server's only CA,
+ * clients are listed and disconnected through the
+ * management interface (see ./managementClient), and LAN routes are pushed
+ * from a config file the server includes.
+ *
+ * The >CLIENT: notifications of the management interface are passed to
+ * watch() listeners, and their ENV blocks supply the peer info (IV_*, UV_*)
+ * of connected clients, which "status 3" does not report.
+ *
+ * The server has no user database of its own. A user exists once it holds a
+ * valid certificate of its own, and passwords are checked against MySQL by the PAM
+ * module (see docker/openvpn-pam), so password changes need no call here.
+ *
+ * Server configuration this driver expects:
+ *   management <host> <port> [pw-file]   (or management <socket> unix)
+ *   ca, cert, key, crl-verify <PKI_PUBLISH_DIR>/{ca.crt,server.crt,server.key,crl.pem}
+ *   config <OPENVPN_ROUTES_FILE>
+ */
+class CommunityBackend extends VpnBackend {
+  constructor() {
+    super('community', 'OpenVPN community server');
+    this.usesBuiltInPki = true;
+    this.disconnectsSessions = true;
+    this.tlsCryptKey = process.env.OPENVPN_TLS_CRYPT_KEY || null;
+    this.routesFile = process.env.OPENVPN_ROUTES_FILE || '/etc/openvpn/server/lan-routes.conf';
+    this.vpnSubnet = process.env.OPENVPN_VPN_SUBNET || '10.8.0.0/24';
+    this.management = {
+      host: process.env.OPENVPN_MANAGEMENT_HOST || '127.0.0.1',
+      port: parseInt(process.env.OPENVPN_MANAGEMENT_PORT || '7505', 10),
+      path: process.env.OPENVPN_MANAGEMENT_SOCKET || null,
+      password: process.env.OPENVPN_MANAGEMENT_PASSWORD || '',
+      timeoutMs: 10000
+    };
+    // Approve >CLIENT:CONNECT when the server runs with management-client-auth
+    this.approveClients = process.env.OPENVPN_MANAGEMENT_CLIENT_AUTH === 'true';
+    this.managementClient = null;
+    this.clientEnv = new Map(); // client ID -> ENV of its last >CLIENT: notification
+    this.executor = createDefaultExecutor({
+      mode: process.env.OPENVPN_EXEC || 'docker',
+      containerName: process.env.OPENVPN_CONTAINER_NAME || 'openvpn-server'
+    });
+  }
+
+  /**
+   * Replace the command runner (used by tests and alternative deployments)
+   * @param {Function} executor - async (file, args, input) => stdout
+   */
+  setExecutor(executor) {
+    this.executor = executor;
+  }
+
+  /**
+   * Read a file on the server
+   * @private
+   */
+  readFile(path) {
+    return this.executor('cat', [path]);
+  }
+
+  /**
+   * Get the management interface client, connecting it on first use
+   * @returns {ManagementClient}
+   */
+  getManagementClient() {
+    if (!this.managementClient) {
+      this.managementClient = new ManagementClient(this.management);
+      this.managementClient.on('client', (event) => this.handleClientEvent(event));
+      this.managementClient.on('close', () => this.clientEnv.clear());
+    }
+    return this.managementClient;
+  }
+
+  /**
+   * Run one command on the management interface
+   * @param {string} command - Management command, e.g. "status 3"
+   * @returns {Promise<Array<string>|string>} Reply lines, or the SUCCESS message
+   */
+  managementCommand(command) {
+    return this.getManagementClient().command(command);
+  }
+
+  /**
+   * Remember the peer info of clients and approve them when asked to
+   * @private
+   * @param {Object} event - client event of the management client
+   */
+  handleClientEvent(event) {
+    if (event.event === 'DISCONNECT') {
+      this.clientEnv.delete(event.clientId);
+    } else if (Object.keys(event.env).length > 0) {
+      this.clientEnv.set(event.clientId, event.env);
+    }
+
+    if (this.approveClients && (event.event === 'CONNECT' || event.event === 'REAUTH')) {
+      this.managementClient.clientAuth(event.clientId, event.keyId).catch((error) => {
+        logger.error(`Failed to approve OpenVPN client ${event.clientId}:`, error);
+      });
+    }
+  }
+
+  /**
+   * Add the peer info of the client's ENV to a connected client
+   * @private
+   */
+  addPeerInfo(client) {
+    const env = this.clientEnv.get(client.clientId);
+    if (!env) {
+      return client;
+    }
+
+    const peerInfo = {};
+    for (const [name, value] of Object.entries(env)) {
+      if (name.startsWith('IV_') || name.startsWith('UV_')) {
+        peerInfo[name] = value;
+      }
+    }
+
+    return {
+      ...client,
+      platform: env.IV_PLAT || 'unknown',
+      guiVersion: env.IV_GUI_VER || '',
+      vpnVersion: env.IV_VER || '',
+      peerInfo,
+      hwaddr: env.IV_HWADDR || '',
+      // Enrollment ID reported by device profiles (setenv UV_DEVICE_ID)
+      enrollmentId: env.UV_DEVICE_ID || null
+    };
+  }
+
+  /**
+   * Pass connects and disconnects to a listener as they happen
+   * Keeps the management connection open, reconnecting when it drops, until
+   * the returned function is called.
+   * @param {Function} listener - Called with { type: 'connect'|'disconnect',
+   *   clientId, username, commonName, virtualAddress, realIp }
+   * @returns {Function} Stops watching
+   */
+  watch(listener) {
+    const client = this.getManagementClient();
+    const onClientEvent = (event) => {
+      const type = { ESTABLISHED: 'connect', DISCONNECT: 'disconnect' }[event.event];
+      if (!type) {
+        return;
+      }
+      const { env } = event;
+      listener({
+        type,
+        clientId: event.clientId,
+        username: env.username || env.common_name || null,
+        commonName: env.common_name || null,
+        virtualAddress: env.ifconfig_pool_remote_ip || null,
+        realIp: env.untrusted_ip || env.trusted_ip || null
+      });
+    };
+
+    client.keepAlive = true;
+    client.on('client', onClientEvent);
+    // A failed attempt is retried like a dropped connection
+    client.connect().catch((error) => {
+      logger.warn(`Watching the OpenVPN management interface failed: ${error.message}`);
+    });
+
+    return () => {
+      client.removeListener('client', onClientEvent);
+      client.close();
+    };
+  }
+
+  /**
+   * Close the management connection
+   */
+  close() {
+    if (this.managementClient) {
+      this.managementClient.close();
+    }
+  }
+
+  /**
+   * List the users holding a valid certificate of their own
+   * @returns {Promise<Array<string>>} Usernames
+   */
+  async listUsers() {
+    return pkiService.listCertificateHolders();
+  }
+
+  /**
+   * Issue the client certificate of a user
+   * @param {string} username - Username (certificate common name)
+   * @param {Object} [userData] - Unused; names and roles live in MySQL
+   * @returns {Promise<Object>} { success, username, tempPassword: null }
+   */
+  async createUser(username, userData = {}) {
+    assertSafeUsername(username, 'certificate');
+
+    await pkiService.getUserCertificate(username);
+    logger.info(`Issued client certificate for ${username}`);
+
+    return { success: true, username, tempPassword: null };
+  }
+
+  /**
+   * Nothing to update: user properties live in MySQL
+   * @param {string} username - Username
+   * @returns {Promise<Object>} { success, username }
+   */
+  async updateUser(username, userData = {}) {
+    return { success: true, username };
+  }
+
+  /**
+   * Revoke the certificates of a user
+   * @param {string} username - Username
+   * @returns {Promise<Object>} { success, username }
+   */
+  async deleteUser(username) {
+    return this.revokeUser(username);
+  }
+
+  /**
+   * Nothing to set: the PAM module checks passwords against MySQL
+   * @param {string} username - Username
+   * @returns {Promise<Object>} { success, username }
+   */
+  async setPassword(username, password) {
+    return { success: true, username };
+  }
+
+  /**
+   * Build a profile with the CA bundle, a certificate and its key inline
+   * Uses the given credentials, or the user's own certificate (issued when
+   * the user has none).
+   * @param {string} username - Username
+   * @param {string} [profileType='userlogin'] - 'userlogin' or 'autologin'
+   * @param {Object} [options]
+   * @param {Object} [options.credentials] - From pkiService.issueClientCertificate;
+   *   without privateKey the <key> block is left out
+   * @returns {Promise<string>} OVPN profile content
+   */
+  async generateProfile(username, profileType = 'userlogin', { credentials = null } = {}) {
+    assertSafeUsername(username, 'profile');
+
+    const { caCertificates, certificate, privateKey } = credentials || await pkiService.getUserCertificate(username);
+    const tlsCrypt = this.tlsCryptKey ? (await this.readFile(this.tlsCryptKey)).trim() : null;
+
+    const { openvpn } = config;
+    const lines = [
+      'client',
+      'dev tun',
+      `proto ${openvpn.protocol}`,
+      `remote ${openvpn.server} ${openvpn.port}`,
+      'resolv-retry infinite',
+      'nobind',
+      'persist-key',
+      'persist-tun',
+      'remote-cert-tls server',
+      `data-ciphers ${openvpn.cipher}`,
+      `auth ${openvpn.auth}`,
+      'verb 3'
+    ];
+    if (profileType !== 'autologin') {
+      lines.push('auth-user-pass');
+    }
+    lines.push('', `<ca>\n${caCertificates.trim()}\n</ca>`, `<cert>\n${certificate.trim()}\n</cert>`);
+    if (privateKey) {
+      lines.push(`<key>\n${privateKey.trim()}\n</key>`);
+    }
+    if (tlsCrypt) {
+      lines.push(`<tls-crypt>\n${tlsCrypt}\n</tls-crypt>`);
+    }
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Get the connected clients from "status 3"
+   * @returns {Promise<Object>} { clients }
+   */
+  async getStatus() {
+    const lines = await this.getManagementClient().status();
+    const clients = [];
+    let headers = null;
+
+    for (const line of lines) {
+      const fields = line.split('\t');
+
+      if (fields[0] === 'HEADER' && fields[1] === 'CLIENT_LIST') {
+        headers = {};
+        fields.slice(2).forEach((name, index) => { headers[name] = index + 1; });
+      } else if (fields[0] === 'CLIENT_LIST' && headers) {
+        clients.push(this.addPeerInfo(parseClientRow(fields, headers)));
+      }
+    }
+
+    return { clients };
+  }
+
+  /**
+   * Kill every session of a user by client ID
+   * The management interface cannot pass a reason; it is only logged.
+   * @param {string} username - Username
+   * @param {string} [reason] - Reason of the disconnect
+   * @returns {Promise<Object>} { success, username, disconnected }
+   */
+  async disconnectUser(username, reason = null) {
+    // The command goes to a line-based protocol; only accept plain usernames
+    assertSafeUsername(username, 'disconnect');
+
+    const { clients } = await this.getStatus();
+    const sessions = clients.filter(client => client.username === username && client.clientId !== null);
+
+    for (const session of sessions) {
+      await this.getManagementClient().clientKill(session.clientId);
+    }
+
+    if (sessions.length > 0) {
+      logger.info(`Killed ${sessions.length} session(s) of ${username}${reason ? ` (${reason})` : ''}`);
+    }
+
+    return { success: true, username, disconnected: sessions.length };
+  }
+
+  /**
+   * Kill one session of a user by client ID
+   * The client is found by username and by its real or virtual address.
+   * @param {Object} session - { username, realAddress, virtualAddress }
+   * @param {string} [reason] - Reason of the disconnect (only logged)
+   * @returns {Promise<Object>} { success, username, disconnected }
+   */
+  async disconnectSession({ username, realAddress = null, virtualAddress = null }, reason = null) {
+    const { clients } = await this.getStatus();
+    const client = clients.find(entry => entry.username === username && entry.clientId !== null &&
+      ((realAddress && entry.realAddress === realAddress) || (virtualAddress && entry.virtualAddress === virtualAddress)));
+
+    if (!client) {
+      return { success: true, username, disconnected: 0 };
+    }
+
+    await this.getManagementClient().clientKill(client.clientId);
+    logger.info(`Killed session ${client.clientId} of ${username}${reason ? ` (${reason})` : ''}`);
+
+    return { success: true, username, disconnected: 1 };
+  }
+
+  /**
+   * Revoke the certificates of a user and publish the CRL
+   * The server re-reads the CRL (crl-verify) on every new connection.
+   * @param {string} username - Username
+   * @returns {Promise<Object>} { success, username }
+   */
+  async revokeUser(username) {
+    assertSafeUsername(username, 'revocation');
+
+    await pkiService.revokeUserCertificates(username);
+
+    return { success: true, username };
+  }
+
+  /**
+   * Push routes to the LAN networks from the routes file and reload the server
+   * A SIGHUP restarts the server, so connected clients reconnect.
+   * @param {Array<string>} cidrs - Networks in CIDR notation
+   */
+  async setRoutes(cidrs) {
+    const lines = ['# LAN networks routed through the VPN (managed by the backend)'];
+    for (const cidr of cidrs) {
+      const { networkIp, subnetMask } = UserLanNetwork.parseCIDR(cidr);
+      lines.push(`push "route ${networkIp} ${subnetMask}"`);
+    }
+
+    await this.executor('tee', [this.routesFile], `${lines.join('\n')}\n`);
+    await this.managementCommand('signal SIGHUP');
+  }
+
+  /**
+   * Masquerade traffic of the VPN subnet
+   * Adds the iptables rule unless it is already there.
+   */
+  async enableNatRouting() {
+    const rule = ['-t', 'nat', 'POSTROUTING', '-s', this.vpnSubnet, '-j', 'MASQUERADE'];
+    const withAction = (action) => [rule[0], rule[1], action, ...rule.slice(2)];
+
+    try {
+      await this.executor('iptables', withAction('-C'));
+    } catch {
+      await this.executor('iptables', withAction('-A'));
+    }
+  }
+}
+
+module.exports = CommunityBackend;
@@ -0,0 +1,32 @@
+const { VpnBackend } = require('./baseBackend');
+
+/**
+ * VPN server drivers by VPN_BACKEND value
+ * Loaded on demand so a deployment only needs what its driver uses.
+ */
+const BACKENDS = {
+  'access-server': () => require('./accessServerBackend'),
+  community: () => require('./communityBackend')
+};
+
+/**
+ * Create the driver of a VPN server
+ * @param {string} [name] - Driver name (defaults to VPN_BACKEND, then access-server)
+ * @returns {VpnBackend}
+ * @throws {Error} If no driver has that name
+ */
+const createBackend = (name = process.env.VPN_BACKEND || 'access-server') => {
+  const load = BACKENDS[name];
+  if (!load) {
+    throw new Error(`Unknown VPN backend "${name}" (expected ${Object.keys(BACKENDS).join(' or ')})`);
+  }
+
+  const Backend = load();
+  return new Backend();
+};
+
+module.exports = {
+  BACKENDS,
+  VpnBackend,
+  createBackend
+};
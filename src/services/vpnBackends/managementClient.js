@@ -0,0 +1,360 @@
+const net = require('net');
+const { EventEmitter } = require('events');
+const logger = require('../../utils/logger');
+
+/**
+ * >CLIENT: notifications followed by a block of >CLIENT:ENV lines
+ */
+const CLIENT_EVENTS_WITH_ENV = ['CONNECT', 'REAUTH', 'ESTABLISHED', 'DISCONNECT'];
+
+/**
+ * OpenVPN Management Interface Client
+ * Keeps one connection to the management interface of an OpenVPN server
+ * (TCP, or a unix socket when `path` is given) and runs commands on it.
+ * The server accepts a single management client at a time, so every command
+ * of a process goes through the same connection.
+ *
+ * Replies are matched to commands in order: a SUCCESS:/ERROR: line ends a
+ * single-line reply, END a multi-line one. Real-time notifications (">...")
+ * can arrive at any point and are emitted as events:
+ *   client    - >CLIENT:<EVENT>,<CID>[,<KID>] with the ENV block that follows
+ *               { event, clientId, keyId, address, env }
+ *   bytecount - >BYTECOUNT_CLI:<CID>,<IN>,<OUT> { clientId, bytesReceived, bytesSent }
+ *   notification - any other notification { type, message }
+ *   ready / close
+ *
+ * With keepAlive set, the client reconnects after reconnectMs when the
+ * connection drops.
+ */
+class ManagementClient extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {string} [options.host] - Host of a TCP management interface
+   * @param {number} [options.port] - Port of a TCP management interface
+   * @param {string} [options.path] - Unix socket of the management interface
+   * @param {string} [options.password] - Management password
+   * @param {number} [options.timeoutMs=10000] - Timeout of connecting and of each command
+   * @param {number} [options.reconnectMs=5000] - Delay before reconnecting (keepAlive)
+   */
+  constructor({ host = '127.0.0.1', port = 7505, path = null, password = '', timeoutMs = 10000, reconnectMs = 5000 } = {}) {
+    super();
+    this.options = { host, port, path, password, timeoutMs, reconnectMs };
+    this.socket = null;
+    this.ready = false;
+    this.connecting = null;
+    this.keepAlive = false;
+    this.reconnectTimer = null;
+    this.pending = [];
+    this.buffer = '';
+    this.clientEvent = null;
+    this.bytecountInterval = 0;
+  }
+
+  /**
+   * Describe the endpoint for log messages
+   * @private
+   */
+  get endpoint() {
+    return this.options.path || `${this.options.host}:${this.options.port}`;
+  }
+
+  /**
+   * Connect and wait for the greeting of the server
+   * Resolves immediately while connected.
+   * @returns {Promise<void>}
+   */
+  connect() {
+    if (this.ready) {
+      return Promise.resolve();
+    }
+    if (this.connecting) {
+      return this.connecting;
+    }
+
+    this.connecting = new Promise((resolve, reject) => {
+      const { host, port, path, password, timeoutMs } = this.options;
+      const socket = path ? net.createConnection({ path }) : net.createConnection({ host, port });
+      this.socket = socket;
+      this.buffer = '';
+      this.clientEvent = null;
+
+      const timer = setTimeout(() => {
+        socket.destroy(new Error(`no greeting within ${timeoutMs} ms`));
+      }, timeoutMs);
+
+      this.onGreeting = (error) => {
+        clearTimeout(timer);
+        this.onGreeting = null;
+        this.connecting = null;
+        if (error) {
+          socket.destroy();
+          return reject(error);
+        }
+        this.ready = true;
+        logger.info(`Connected to the OpenVPN management interface at ${this.endpoint}`);
+        this.emit('ready');
+        resolve();
+      };
+
+      socket.setEncoding('utf8');
+
+      socket.on('data', (chunk) => {
+        this.buffer += chunk;
+
+        // The password prompt is not terminated by a newline
+        if (!this.ready && this.buffer.startsWith('ENTER PASSWORD:')) {
+          this.buffer = this.buffer.substring('ENTER PASSWORD:'.length);
+          socket.write(`${password}\n`);
+        }
+
+        let newline;
+        while ((newline = this.buffer.indexOf('\n')) !== -1) {
+          const line = this.buffer.substring(0, newline).replace(/\r$/, '');
+          this.buffer = this.buffer.substring(newline + 1);
+          this.handleLine(line);
+        }
+      });
+
+      socket.on('error', (error) => {
+        if (this.onGreeting) {
+          this.onGreeting(new Error(`Management interface unreachable: ${error.message}`));
+        } else {
+          logger.warn(`OpenVPN management connection error: ${error.message}`);
+        }
+      });
+
+      socket.on('close', () => this.handleClose(socket));
+    });
+
+    return this.connecting;
+  }
+
+  /**
+   * @private
+   */
+  handleLine(line) {
+    if (!this.ready) {
+      if (line.startsWith('ERROR:')) {
+        this.onGreeting(new Error(`Management interface refused the connection: ${line.substring(6).trim()}`));
+      } else if (line.startsWith('>INFO:')) {
+        this.onGreeting(null);
+      }
+      return;
+    }
+
+    if (line.startsWith('>')) {
+      this.handleNotification(line.substring(1));
+      return;
+    }
+
+    const pending = this.pending[0];
+    if (!pending) {
+      return;
+    }
+
+    if (line.startsWith('SUCCESS:')) {
+      this.settle(null, line.substring(8).trim());
+    } else if (line.startsWith('ERROR:')) {
+      this.settle(new Error(`Management command "${pending.command}" failed: ${line.substring(6).trim()}`));
+    } else if (line === 'END') {
+      this.settle(null, pending.lines);
+    } else {
+      pending.lines.push(line);
+    }
+  }
+
+  /**
+   * Settle the oldest pending command
+   * @private
+   */
+  settle(error, result) {
+    const pending = this.pending.shift();
+    clearTimeout(pending.timer);
+    if (error) {
+      pending.reject(error);
+    } else {
+      pending.resolve(result);
+    }
+  }
+
+  /**
+   * @private
+   * @param {string} body - Notification without the leading ">"
+   */
+  handleNotification(body) {
+    const separator = body.indexOf(':');
+    const type = body.substring(0, separator);
+    const message = body.substring(separator + 1);
+
+    if (type === 'CLIENT') {
+      this.handleClientNotification(message);
+    } else if (type === 'BYTECOUNT_CLI') {
+      const [clientId, bytesReceived, bytesSent] = message.split(',').map(value => parseInt(value, 10));
+      this.emit('bytecount', { clientId, bytesReceived, bytesSent });
+    } else {
+      this.emit('notification', { type, message });
+    }
+  }
+
+  /**
+   * Collect >CLIENT: notifications and their ENV block into one event
+   * @private
+   */
+  handleClientNotification(message) {
+    if (message.startsWith('ENV,')) {
+      if (!this.clientEvent) {
+        return;
+      }
+      const variable = message.substring(4);
+      if (variable === 'END') {
+        const event = this.clientEvent;
+        this.clientEvent = null;
+        this.emit('client', event);
+        return;
+      }
+      const equals = variable.indexOf('=');
+      if (equals > 0) {
+        this.clientEvent.env[variable.substring(0, equals)] = variable.substring(equals + 1);
+      }
+      return;
+    }
+
+    const [event, clientId, second] = message.split(',');
+    const clientEvent = { event, clientId: parseInt(clientId, 10), keyId: null, address: null, env: {} };
+
+    if (event === 'ADDRESS') {
+      clientEvent.address = second;
+    } else if (second !== undefined) {
+      clientEvent.keyId = parseInt(second, 10);
+    }
+
+    if (CLIENT_EVENTS_WITH_ENV.includes(event)) {
+      this.clientEvent = clientEvent;
+    } else {
+      this.emit('client', clientEvent);
+    }
+  }
+
+  /**
+   * @private
+   */
+  handleClose(socket) {
+    if (socket !== this.socket) {
+      return;
+    }
+
+    const wasReady = this.ready;
+    this.socket = null;
+    this.ready = false;
+
+    if (this.onGreeting) {
+      this.onGreeting(new Error('Management interface closed the connection'));
+    }
+    while (this.pending.length > 0) {
+      this.settle(new Error('Management interface closed the connection'));
+    }
+
+    if (wasReady) {
+      logger.warn(`Disconnected from the OpenVPN management interface at ${this.endpoint}`);
+      this.emit('close');
+    }
+
+    if (this.keepAlive && !this.reconnectTimer) {
+      this.reconnectTimer = setTimeout(() => {
+        this.reconnectTimer = null;
+        this.connect()
+          .then(() => (this.bytecountInterval ? this.bytecount(this.bytecountInterval) : null))
+          .catch(error => logger.warn(`Reconnecting to the OpenVPN management interface failed: ${error.message}`));
+      }, this.options.reconnectMs);
+    }
+  }
+
+  /**
+   * Run a management command
+   * @param {string} command - Command, e.g. "status 3"
+   * @returns {Promise<Array<string>|string>} Reply lines of multi-line
+   *   replies, or the SUCCESS message
+   */
+  async command(command) {
+    if (/[\r\n]/.test(command)) {
+      throw new Error('Management commands cannot contain line breaks');
+    }
+
+    await this.connect();
+
+    return new Promise((resolve, reject) => {
+      const pending = { command, lines: [], resolve, reject };
+      pending.timer = setTimeout(() => {
+        // Later replies would be matched to the wrong commands; start over
+        if (this.socket) {
+          this.socket.destroy();
+        }
+        reject(new Error(`Management interface did not answer "${command}" within ${this.options.timeoutMs} ms`));
+      }, this.options.timeoutMs);
+
+      this.pending.push(pending);
+      this.socket.write(`${command}\n`);
+    });
+  }
+
+  /**
+   * Get the status of the server in the tab-separated format
+   * @returns {Promise<Array<string>>} Status lines
+   */
+  status() {
+    return this.command('status 3');
+  }
+
+  /**
+   * Kill the sessions of a common name, or the session from an address
+   * @param {string} target - Common name, or IP:port
+   */
+  kill(target) {
+    return this.command(`kill ${target}`);
+  }
+
+  /**
+   * Kill one client session
+   * @param {number} clientId - Client ID (CID)
+   * @param {string} [message] - Message to the client, e.g. HALT (default RESTART)
+   */
+  clientKill(clientId, message = null) {
+    return this.command(`client-kill ${clientId}${message ? ` ${message}` : ''}`);
+  }
+
+  /**
+   * Authorize a client announced by >CLIENT:CONNECT or REAUTH
+   * Only used when the server runs with management-client-auth.
+   * @param {number} clientId - Client ID (CID)
+   * @param {number} keyId - Key ID (KID)
+   */
+  clientAuth(clientId, keyId) {
+    return this.command(`client-auth-nt ${clientId} ${keyId}`);
+  }
+
+  /**
+   * Ask for >BYTECOUNT_CLI notifications every few seconds (0 turns them off)
+   * The setting is restored after a reconnect.
+   * @param {number} seconds - Interval
+   */
+  bytecount(seconds) {
+    this.bytecountInterval = seconds;
+    return this.command(`bytecount ${seconds}`);
+  }
+
+  /**
+   * Close the connection and stop reconnecting
+   */
+  close() {
+    this.keepAlive = false;
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    if (this.socket) {
+      this.socket.destroy();
+    }
+  }
+}
+
+module.exports = ManagementClient;
@@ -1,104 +1,65 @@
-const axios = require('axios');
 const crypto = require('crypto');
 const pool = require('../config/database');
 const logger = require('../utils/logger');
+const ConnectionSession = require('../models/ConnectionSession');
+const usageAccounting = require('./usageAccounting');
+const trafficShaper = require('./trafficShaper');
+const quotaEnforcer = require('./quotaEnforcer');
+const QosPolicy = require('../models/QosPolicy');
+const Device = require('../models/Device');
+const deviceEnrollmentService = require('./deviceEnrollmentService');
+const realtimeService = require('./realtimeService');
+const vpnBackend = require('./vpnBackend');
 
 class VPNMonitorService {
   constructor() {
     this.monitorInterval = null;
     this.intervalMs = 60000; // Check every 60 seconds
-    this.proxyUrl = process.env.PROFILE_PROXY_URL || 'http://host.docker.internal:3001';
+    this.isPolling = false;
+    this.pollAgain = false;
+
+    // Polls triggered by connect/disconnect events (see handleVpnEvent)
+    this.eventDelayMs = 1000;
+    this.eventPollTimer = null;
+    this.unwatch = null;
+
+    // Outcome of the last poll, read by services/metricsService
+    this.pollState = {
+      lastPollAt: null,
+      lastSuccessAt: null,
+      proxyReachable: false,
+      sessions: []
+    };
   }
 
   /**
-   * Get VPN status from OpenVPN Access Server via profile-proxy
+   * Get the outcome of the last poll
+   * Sessions are those of the last poll the VPN server answered (through the
+   * profile proxy on the Access Server).
+   * @returns {Object} { lastPollAt, lastSuccessAt, proxyReachable, sessions }
    */
-  async getVPNStatus() {
-    try {
-      const response = await axios.get(`${this.proxyUrl}/sacli/vpnstatus`, {
-        timeout: 10000
-      });
-      return response.data;
-    } catch (error) {
-      logger.error('Error getting VPN status from proxy:', error.message);
-      return null;
-    }
+  getPollState() {
+    return this.pollState;
   }
 
   /**
-   * Get detailed client information including platform detection
+   * Get VPN status from the VPN server (see services/vpnBackend)
+   * @returns {Promise<Object|null>} { clients }, or null when the server cannot be reached
    */
-  async getClientInfo() {
+  async getVPNStatus() {
     try {
-      const response = await axios.get(`${this.proxyUrl}/sacli/clientinfo`, {
-        timeout: 10000
-      });
-      return response.data;
+      return await vpnBackend.getStatus();
     } catch (error) {
-      logger.error('Error getting client info from proxy:', error.message);
-      return [];
+      logger.error(`Error getting VPN status from ${vpnBackend.label}:`, error.message);
+      return null;
     }
   }
 
   /**
-   * Parse VPN status and extract connected clients with platform info
+   * Extract the connected clients, with platform info, from the VPN status
    */
   async parseConnectedClients(vpnStatus) {
-    const clients = [];
-
-    if (!vpnStatus) return clients;
-
-    // Get detailed client information with platform detection
-    const clientsInfo = await this.getClientInfo();
-    const clientInfoMap = {};
-    
-    // Create a map of client info by VPN IP address (more unique than real_ip)
-    if (Array.isArray(clientsInfo)) {
-      clientsInfo.forEach(info => {
-        if (info.vpn_ip) {
-          clientInfoMap[info.vpn_ip] = info;
-        }
-      });
-    }
-
-    // Iterate through all OpenVPN daemons
-    Object.keys(vpnStatus).forEach(daemon => {
-      const daemonData = vpnStatus[daemon];
-      if (!daemonData.client_list || daemonData.client_list.length === 0) return;
-
-      const headers = daemonData.client_list_header;
-
-      daemonData.client_list.forEach(client => {
-        const clientData = {
-          username: client[headers['Username']],
-          commonName: client[headers['Common Name']],
-          realAddress: client[headers['Real Address']],
-          virtualAddress: client[headers['Virtual Address']],
-          connectedSince: client[headers['Connected Since']],
-          bytesSent: parseInt(client[headers['Bytes Sent']] || 0),
-          bytesReceived: parseInt(client[headers['Bytes Received']] || 0),
-          cipher: client[headers['Data Channel Cipher']] || 'Unknown'
-        };
-
-        // Extract IP address from realAddress (format: "IP:PORT")
-        const ipMatch = clientData.realAddress.match(/^([^:]+):/);
-        if (ipMatch) {
-          clientData.realIp = ipMatch[1];
-          
-          // Add platform information if available - match by VPN IP
-          const info = clientInfoMap[clientData.virtualAddress];
-          if (info) {
-            clientData.platform = info.platform || 'unknown';
-            clientData.guiVersion = info.gui_version || '';
-            clientData.vpnVersion = info.version || '';
-          }
-        }
-
-        clients.push(clientData);
-      });
-    });
-
-    return clients;
+    return vpnStatus && Array.isArray(vpnStatus.clients) ? vpnStatus.clients : [];
   }
 
   /**
@@ -121,8 +82,102 @@ class VPNMonitorService {
     return 'desktop';
   }
 
+  /**
+   * Convert the "Connected Since" value reported by the server into a Date
+   * Prefers the epoch column when the server provides it
+   * @returns {Date|null} Connection start time, or null if it cannot be parsed
+   */
+  parseConnectedSince(client) {
+    const epoch = parseInt(client.connectedSinceEpoch, 10);
+    if (!isNaN(epoch) && epoch > 0) {
+      return new Date(epoch * 1000);
+    }
+
+    if (client.connectedSince) {
+      const parsed = new Date(client.connectedSince);
+      if (!isNaN(parsed.getTime())) {
+        return parsed;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Derive a stable identity for the device of a connected client
+   * In order of preference: the MAC address (IV_HWADDR), a per-device client
+   * certificate, the UV_ variables of the profile, and only when the client
+   * reported no peer info at all, its VPN IP.
+   * @param {Object} client - Parsed client from parseConnectedClients
+   * @returns {Object} { key, source } key is stored as devices.device_id,
+   *   source as devices.identity_source
+   */
+  getDeviceIdentity(client) {
+    const peerInfo = client.peerInfo || {};
+    const fingerprint = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+    const hwaddr = String(client.hwaddr || peerInfo.IV_HWADDR || '').toLowerCase().replace(/-/g, ':');
+    if (/^[0-9a-f]{2}(:[0-9a-f]{2}){5}$/.test(hwaddr) && hwaddr !== '00:00:00:00:00:00') {
+      return { key: fingerprint(`hwaddr:${hwaddr}`), source: 'hwaddr' };
+    }
+
+    // Access Server issues one certificate per user with the username as CN,
+    // any other CN belongs to a certificate issued for one device
+    const commonName = client.commonName || '';
+    if (commonName && commonName !== 'UNDEF' && commonName.toLowerCase() !== String(client.username).toLowerCase()) {
+      return { key: fingerprint(`cn:${commonName}`), source: 'certificate' };
+    }
+
+    const userVariables = Object.keys(peerInfo)
+      .filter(key => key.startsWith('UV_') && key !== deviceEnrollmentService.DEVICE_ID_VARIABLE)
+      .sort();
+    if (userVariables.length > 0) {
+      const values = userVariables.map(key => `${key}=${peerInfo[key]}`).join('|');
+      return { key: fingerprint(`peer:${peerInfo.IV_PLAT || ''}|${values}`), source: 'peer_info' };
+    }
+
+    return { key: client.virtualAddress || client.realIp, source: 'vpn_ip' };
+  }
+
+  /**
+   * Take over the device created for a client before devices had a stable identity
+   * Those devices were keyed by VPN IP; the one with the client's current
+   * VPN IP is re-keyed, keeping its history and device QoS policy.
+   * @param {number} userId - User ID
+   * @param {Object} identity - { key, source } from getDeviceIdentity
+   * @param {Object} client - Parsed client from parseConnectedClients
+   * @returns {Promise<number|null>} Device ID, or null without such a device
+   */
+  async adoptLegacyDevice(userId, identity, client) {
+    const [legacyDevices] = await pool.execute(
+      "SELECT id, name FROM devices WHERE user_id = ? AND device_id = ? AND identity_source = 'vpn_ip'",
+      [userId, client.virtualAddress]
+    );
+
+    if (legacyDevices.length === 0) {
+      return null;
+    }
+
+    // Generated names ended in the VPN IP, which no longer identifies the device
+    const { id, name } = legacyDevices[0];
+    const ipSuffix = ` (${client.virtualAddress})`;
+    const newName = name.endsWith(ipSuffix) ? name.slice(0, -ipSuffix.length) : name;
+
+    await pool.execute(
+      'UPDATE devices SET device_id = ?, identity_source = ?, name = ? WHERE id = ?',
+      [identity.key, identity.source, newName, id]
+    );
+    logger.info(`Device ${id} of user ${client.username} is now identified by ${identity.source} instead of VPN IP ${client.virtualAddress}`);
+
+    return id;
+  }
+
   /**
    * Update or create device record for connected client
+   * Clients connecting with the profile of an enrolled device are matched by
+   * its enrollment ID, other clients by the identity from getDeviceIdentity.
+   * @returns {Promise<Object|null>} { userId, deviceId, deviceKey, enrollmentStatus }
+   *   or null if the user is unknown
    */
   async updateDeviceFromConnection(client) {
     try {
@@ -138,73 +193,275 @@ class VPNMonitorService {
 
       if (!users || users.length === 0) {
         logger.warn(`User not found for VPN connection: ${client.username}`);
-        return;
+        return null;
       }
 
       const userId = users[0].id;
       logger.debug(`Found user ID: ${userId} for ${client.username}`);
+
+      if (client.enrollmentId) {
+        const enrolled = await Device.findEnrolled(userId, client.enrollmentId);
+        if (enrolled) {
+          await pool.execute(
+            `UPDATE devices 
+             SET last_connected = NOW(), 
+                 is_active = TRUE,
+                 last_ip = ?,
+                 last_vpn_ip = ?,
+                 updated_at = NOW()
+             WHERE id = ?`,
+            [client.realIp, client.virtualAddress || null, enrolled.id]
+          );
+          logger.debug(`Updated enrolled device ${enrolled.id} for user ${client.username}`);
+          return { userId, deviceId: enrolled.id, deviceKey: enrolled.device_id, enrollmentStatus: enrolled.enrollment_status };
+        }
+        logger.warn(`Unknown enrollment ID reported by ${client.username} (${client.virtualAddress})`);
+      }
       
+      const identity = this.getDeviceIdentity(client);
+
       // Detect device type from platform information
       const deviceType = this.detectDeviceType(client.platform || 'unknown');
-      const platformInfo = client.platform ? ` - ${client.platform}` : '';
-      const deviceName = `${client.username}'s ${deviceType}${platformInfo} (${client.virtualAddress || client.realIp})`;
-      
-      // Use VPN IP (virtualAddress) as unique identifier since same user can have multiple devices from same real IP
-      const uniqueDeviceKey = client.virtualAddress || client.realIp;
       
-      logger.debug(`Device detection: platform=${client.platform}, type=${deviceType}, vpnIP=${client.virtualAddress}, guiVersion=${client.guiVersion}`);
+      logger.debug(`Device detection: platform=${client.platform}, type=${deviceType}, identity=${identity.source}, vpnIP=${client.virtualAddress}, guiVersion=${client.guiVersion}`);
 
-      // Check if device already exists for this user and VPN IP
+      // Check if device already exists for this user
       const [existingDevices] = await pool.execute(
         'SELECT id FROM devices WHERE user_id = ? AND device_id = ?',
-        [userId, uniqueDeviceKey]
+        [userId, identity.key]
       );
 
-      if (existingDevices.length > 0) {
-        // Update existing device with platform info
+      let deviceId = existingDevices.length > 0 ? existingDevices[0].id : null;
+
+      if (!deviceId && identity.source !== 'vpn_ip' && client.virtualAddress) {
+        deviceId = await this.adoptLegacyDevice(userId, identity, client);
+      }
+
+      if (deviceId) {
+        // Name and type are kept: they were set when the device was created or by the user
         await pool.execute(
           `UPDATE devices 
            SET last_connected = NOW(), 
                is_active = TRUE,
-               device_type = ?,
-               name = ?,
                last_ip = ?,
+               last_vpn_ip = ?,
                updated_at = NOW()
            WHERE id = ?`,
-          [deviceType, deviceName, client.realIp, existingDevices[0].id]
-        );
-        logger.debug(`Updated device ${existingDevices[0].id} for user ${client.username} (${deviceType})`);
-      } else {
-        // Check if this VPN IP is assigned to a different user (VPN IP reuse)
-        const [conflictingDevices] = await pool.execute(
-          'SELECT id, user_id FROM devices WHERE device_id = ? AND user_id != ?',
-          [uniqueDeviceKey, userId]
+          [client.realIp, client.virtualAddress || null, deviceId]
         );
+        logger.debug(`Updated device ${deviceId} for user ${client.username} (${identity.source})`);
+        return { userId, deviceId, deviceKey: identity.key, enrollmentStatus: 'unenrolled' };
+      }
 
-        if (conflictingDevices.length > 0) {
-          // VPN IP was reassigned from another user - delete old record
-          logger.info(`VPN IP ${uniqueDeviceKey} reassigned from user ${conflictingDevices[0].user_id} to user ${userId}`);
-          await pool.execute(
-            'DELETE FROM devices WHERE id = ?',
-            [conflictingDevices[0].id]
-          );
+      // Devices without peer info are only told apart by their VPN IP
+      const platformInfo = client.platform ? ` - ${client.platform}` : '';
+      const ipInfo = identity.source === 'vpn_ip' ? ` (${identity.key})` : '';
+      const deviceName = `${client.username}'s ${deviceType}${platformInfo}${ipInfo}`;
+
+      const [result] = await pool.execute(
+        `INSERT INTO devices (user_id, name, device_id, identity_source, device_type, last_ip, last_vpn_ip, last_connected, is_active, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, NOW(), TRUE, NOW(), NOW())`,
+        [userId, deviceName, identity.key, identity.source, deviceType, client.realIp, client.virtualAddress || null]
+      );
+      logger.info(`Created new device for user ${client.username} from IP ${client.realIp} (${deviceType}, identified by ${identity.source})`);
+      return { userId, deviceId: result.insertId, deviceKey: identity.key, enrollmentStatus: 'unenrolled' };
+    } catch (error) {
+      logger.error(`Error updating device for ${client.username}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Open or refresh the connection session for a connected client
+   * A new session is started when the server reports a different connection
+   * start time, or when the traffic counters went backwards (reconnect).
+   * @param {Object} client - Parsed client from parseConnectedClients
+   * @param {Object} device - { userId, deviceId } from updateDeviceFromConnection
+   * @returns {Promise<number|null>} Session ID, or null on failure
+   */
+  async recordSession(client, device) {
+    try {
+      const connectedSince = this.parseConnectedSince(client);
+      const existing = await ConnectionSession.findActive(device.userId, client.virtualAddress);
+
+      if (existing) {
+        const sameStart = !connectedSince ||
+          Math.abs(new Date(existing.connected_since).getTime() - connectedSince.getTime()) < 1000;
+        const countersReset = client.bytesSent < Number(existing.bytes_sent) ||
+          client.bytesReceived < Number(existing.bytes_received);
+
+        if (sameStart && !countersReset) {
+          await ConnectionSession.touch(existing.id, {
+            deviceId: device.deviceId,
+            realIp: client.realIp,
+            cipher: client.cipher,
+            bytesSent: client.bytesSent,
+            bytesReceived: client.bytesReceived
+          });
+          await this.accountUsage(client, device, {
+            bytesSent: existing.bytes_sent,
+            bytesReceived: existing.bytes_received
+          });
+          return existing.id;
         }
 
-        // Create new device with VPN IP as device_id
-        await pool.execute(
-          `INSERT INTO devices (user_id, name, device_id, device_type, last_ip, last_connected, is_active, created_at, updated_at)
-           VALUES (?, ?, ?, ?, ?, NOW(), TRUE, NOW(), NOW())`,
-          [userId, deviceName, uniqueDeviceKey, deviceType, client.realIp]
-        );
-        logger.info(`Created new device for user ${client.username} from IP ${client.realIp} (${deviceType})`);
+        await ConnectionSession.close(existing.id, 'reconnected');
+        logger.debug(`Closed session ${existing.id} for ${client.username}: client reconnected`);
+        realtimeService.publish('session.disconnected', { ...this.describeSession(existing), reason: 'reconnected' });
+      }
+
+      const sessionId = await ConnectionSession.open({
+        userId: device.userId,
+        deviceId: device.deviceId,
+        username: client.username,
+        commonName: client.commonName,
+        realIp: client.realIp,
+        realAddress: client.realAddress,
+        virtualIp: client.virtualAddress,
+        cipher: client.cipher,
+        platform: client.platform,
+        connectedSince: connectedSince || new Date(),
+        bytesSent: client.bytesSent,
+        bytesReceived: client.bytesReceived
+      });
+      logger.info(`Opened session ${sessionId} for ${client.username} (${client.virtualAddress})`);
+      realtimeService.publish('session.connected', {
+        sessionId,
+        userId: device.userId,
+        deviceId: device.deviceId,
+        username: client.username,
+        realIp: client.realIp,
+        virtualIp: client.virtualAddress,
+        platform: client.platform,
+        connectedSince: (connectedSince || new Date()).toISOString()
+      });
+
+      // Counters of a new connection start from zero
+      await this.accountUsage(client, device, { bytesSent: 0, bytesReceived: 0 });
+
+      return sessionId;
+    } catch (error) {
+      logger.error(`Error recording session for ${client.username}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Add the traffic of a client since the previous poll to its usage buckets
+   * Failures are logged and do not affect session tracking.
+   * @param {Object} client - Parsed client from parseConnectedClients
+   * @param {Object} device - { userId, deviceId } from updateDeviceFromConnection
+   * @param {Object} previous - { bytesSent, bytesReceived } at the previous poll
+   */
+  async accountUsage(client, device, previous) {
+    try {
+      await usageAccounting.recordUsage({
+        userId: device.userId,
+        deviceId: device.deviceId,
+        previous,
+        current: { bytesSent: client.bytesSent, bytesReceived: client.bytesReceived }
+      });
+    } catch (error) {
+      logger.error(`Error recording usage for ${client.username}:`, error);
+    }
+  }
+
+  /**
+   * Enforce the effective QoS policy of a connected client
+   * Evaluates the data quotas of the policy (which may throttle or disconnect
+   * the client) and shapes the client's traffic to the resulting policy.
+   * @param {Object} client - Parsed client from parseConnectedClients
+   * @param {Object} device - { userId, deviceId } from updateDeviceFromConnection
+   */
+  async enforcePolicy(client, device) {
+    try {
+      const policy = await QosPolicy.getEffectiveDevicePolicy(device.deviceId);
+
+      const quota = await quotaEnforcer.evaluate({
+        userId: device.userId,
+        deviceId: device.deviceId,
+        username: client.username,
+        deviceName: client.platform ? `${client.platform} (${client.virtualAddress})` : client.virtualAddress,
+        policy
+      });
+
+      // Shaping of disconnected clients is removed once they are gone from the status
+      if (!quota.disconnected && client.virtualAddress) {
+        await trafficShaper.applyForClient(client.virtualAddress, device.deviceId, quota.policy);
       }
     } catch (error) {
-      logger.error(`Error updating device for ${client.username}:`, error);
+      logger.error(`Error enforcing QoS policy for ${client.username}:`, error);
+    }
+  }
+
+  /**
+   * Describe a stored session for live events
+   * @param {Object} session - Row of connection_sessions
+   * @returns {Object} { sessionId, userId, deviceId, username, virtualIp }
+   */
+  describeSession(session) {
+    return {
+      sessionId: session.id,
+      userId: session.user_id,
+      deviceId: session.device_id,
+      username: session.username,
+      virtualIp: session.virtual_ip
+    };
+  }
+
+  /**
+   * Close sessions of clients that are no longer connected
+   * @param {Array<number>} activeSessionIds - Sessions seen during this poll
+   */
+  async closeEndedSessions(activeSessionIds) {
+    try {
+      // Looked up first, so live subscribers learn which sessions ended
+      const ended = (await ConnectionSession.findAllActive())
+        .filter(session => !activeSessionIds.includes(session.id));
+      if (ended.length === 0) {
+        return;
+      }
+
+      const closed = await ConnectionSession.closeAllExcept(activeSessionIds);
+      if (closed > 0) {
+        logger.info(`Closed ${closed} ended VPN session(s)`);
+      }
+
+      for (const session of ended) {
+        realtimeService.publish('session.disconnected', { ...this.describeSession(session), reason: 'disconnected' });
+      }
+    } catch (error) {
+      logger.error('Error closing ended sessions:', error);
+    }
+  }
+
+  /**
+   * Publish the throughput of the connected sessions
+   * @param {Array<Object>} samples - [{ sessionId, userId, username, bytesSent, bytesReceived }]
+   */
+  publishThroughput(samples) {
+    try {
+      this.pollState.sessions = realtimeService.updateThroughput(samples);
+    } catch (error) {
+      logger.error('Error publishing session throughput:', error);
+    }
+  }
+
+  /**
+   * Enforce enrollment and device limits on the connected clients
+   * @param {Array<Object>} connections - [{ client, device }] of the current poll
+   */
+  async enforceDeviceLimits(connections) {
+    try {
+      await deviceEnrollmentService.enforceConnections(connections);
+    } catch (error) {
+      logger.error('Error enforcing device limits:', error);
     }
   }
 
   /**
    * Mark devices as inactive if they're not in the active connections list
+   * @param {Array<string>} activeDeviceIds - device_id values (fingerprints, enrollment IDs or VPN IPs) seen during this poll
    */
   async markInactiveDevices(activeDeviceIds) {
     try {
@@ -225,36 +482,120 @@ class VPNMonitorService {
     }
   }
 
+  /**
+   * Poll soon after the VPN server announced a connect or disconnect
+   * Events arriving together are handled by one poll.
+   * @param {Object} event - { type, clientId, username, commonName, virtualAddress, realIp }
+   */
+  handleVpnEvent(event) {
+    logger.debug(`VPN ${event.type} of ${event.username || event.commonName || `client ${event.clientId}`}`);
+    this.schedulePoll();
+  }
+
+  /**
+   * Run a poll after eventDelayMs unless one is already scheduled
+   * @private
+   */
+  schedulePoll() {
+    if (this.eventPollTimer) {
+      return;
+    }
+    this.eventPollTimer = setTimeout(() => {
+      this.eventPollTimer = null;
+      this.monitor();
+    }, this.eventDelayMs);
+  }
+
   /**
    * Main monitoring function
+   * A poll requested while another runs is scheduled after it.
    */
   async monitor() {
+    if (this.isPolling) {
+      this.pollAgain = true;
+      return;
+    }
+    this.isPolling = true;
+
     try {
       logger.debug('Checking VPN connections...');
 
       const vpnStatus = await this.getVPNStatus();
+      this.pollState.lastPollAt = new Date();
+      this.pollState.proxyReachable = !!vpnStatus;
       if (!vpnStatus) {
         logger.warn('Failed to get VPN status');
         return;
       }
+      this.pollState.lastSuccessAt = this.pollState.lastPollAt;
 
       const connectedClients = await this.parseConnectedClients(vpnStatus);
       logger.info(`Found ${connectedClients.length} active VPN connection(s)`);
 
-      // Update device records for all connected clients
+      // Update device records and sessions for all connected clients
       const activeDeviceIds = [];
+      const activeVirtualAddresses = [];
+      const activeSessionIds = [];
+      const connections = [];
+      const throughput = [];
+      let sessionTrackingFailed = false;
       for (const client of connectedClients) {
-        await this.updateDeviceFromConnection(client);
+        const device = await this.updateDeviceFromConnection(client);
         if (client.virtualAddress) {
-          activeDeviceIds.push(client.virtualAddress);
+          activeVirtualAddresses.push(client.virtualAddress);
+        }
+        const deviceKey = (device && device.deviceKey) || client.virtualAddress;
+        if (deviceKey) {
+          activeDeviceIds.push(deviceKey);
+        }
+
+        if (device) {
+          connections.push({ client, device });
+
+          const sessionId = await this.recordSession(client, device);
+          if (sessionId) {
+            activeSessionIds.push(sessionId);
+            throughput.push({
+              sessionId,
+              userId: device.userId,
+              username: client.username,
+              bytesSent: client.bytesSent,
+              bytesReceived: client.bytesReceived
+            });
+          } else {
+            sessionTrackingFailed = true;
+          }
+
+          // Enforce quotas and the effective QoS policy of the device
+          await this.enforcePolicy(client, device);
         }
       }
 
+      // Disconnect users connected with unapproved devices or too many devices
+      await this.enforceDeviceLimits(connections);
+
       // Mark devices as inactive if they're no longer connected
       await this.markInactiveDevices(activeDeviceIds);
 
+      // Lift bandwidth limits of clients that have disconnected
+      await trafficShaper.removeDisconnected(activeVirtualAddresses);
+
+      // Close sessions of clients that have disconnected. Skipped when a session
+      // could not be recorded, so a still-connected client is not closed by mistake.
+      if (!sessionTrackingFailed) {
+        await this.closeEndedSessions(activeSessionIds);
+      }
+
+      this.publishThroughput(throughput);
+
     } catch (error) {
       logger.error('Error in VPN monitor:', error);
+    } finally {
+      this.isPolling = false;
+      if (this.pollAgain) {
+        this.pollAgain = false;
+        this.schedulePoll();
+      }
     }
   }
 
@@ -276,12 +617,26 @@ class VPNMonitorService {
     this.monitorInterval = setInterval(() => {
       this.monitor();
     }, this.intervalMs);
+
+    // Drivers that announce connects and disconnects trigger a poll right away
+    this.unwatch = vpnBackend.watch(event => this.handleVpnEvent(event));
+    if (this.unwatch) {
+      logger.info(`Receiving live connection events from the ${vpnBackend.label}`);
+    }
   }
 
   /**
    * Stop the monitoring service
    */
   stop() {
+    if (this.unwatch) {
+      this.unwatch();
+      this.unwatch = null;
+    }
+    if (this.eventPollTimer) {
+      clearTimeout(this.eventPollTimer);
+      this.eventPollTimer = null;
+    }
     if (this.monitorInterval) {
       clearInterval(this.monitorInterval);
       this.monitorInterval = null;
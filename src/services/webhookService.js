@@ -0,0 +1,427 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const realtimeService = require('./realtimeService');
+const config = require('../config/environment');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+/**
+ * Event types webhooks can subscribe to
+ */
+const WEBHOOK_EVENTS = [
+  'user.created',
+  'user.synced',
+  'profile.generated',
+  'profile.revoked',
+  'session.connected',
+  'session.disconnected',
+  'lan_network.changed',
+  'sync.failed'
+];
+
+/**
+ * Event sent by POST /api/admin/webhooks/:id/test, whatever the subscription
+ */
+const TEST_EVENT = 'webhook.test';
+
+const SIGNATURE_HEADER = 'X-Webhook-Signature';
+const MAX_RESPONSE_BODY = 2000;
+
+/**
+ * Webhook Service
+ * Delivers lifecycle events published on services/realtimeService to the
+ * webhook endpoints subscribed to them.
+ *
+ * Each event becomes one delivery per webhook, logged in webhook_deliveries.
+ * A delivery is attempted at once; failed attempts (network errors, non-2xx
+ * responses) are retried by a worker with exponential backoff until
+ * WEBHOOK_MAX_ATTEMPTS is reached.
+ *
+ * Requests are signed with the webhook's secret: the X-Webhook-Signature
+ * header is "t=<unix time>,v1=<hex HMAC-SHA256 of '<unix time>.<body>'>".
+ * Secrets are encrypted with AES-256-GCM using WEBHOOK_ENCRYPTION_KEY (falls
+ * back to JWT_SECRET).
+ */
+class WebhookService {
+  constructor() {
+    this.intervalMs = parseInt(process.env.WEBHOOK_RETRY_INTERVAL_MS || '30000', 10);
+    this.maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '8', 10);
+    // Delay before the first retry; doubles with every attempt up to maxBackoffSeconds
+    this.backoffSeconds = parseInt(process.env.WEBHOOK_BACKOFF_SECONDS || '30', 10);
+    this.maxBackoffSeconds = 6 * 60 * 60;
+    this.timeoutMs = parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000', 10);
+    this.retentionDays = parseInt(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS || '30', 10);
+
+    this.retryInterval = null;
+    this.unsubscribe = null;
+    this.isProcessing = false;
+    this.lastCleanup = 0;
+  }
+
+  /**
+   * Get the key webhook secrets are encrypted with
+   * @private
+   */
+  getEncryptionKey() {
+    return crypto.createHash('sha256')
+      .update(process.env.WEBHOOK_ENCRYPTION_KEY || config.jwtSecret)
+      .digest();
+  }
+
+  /**
+   * Encrypt a signing secret for storage
+   * @param {string} secret - Signing secret
+   * @returns {string} iv:tag:ciphertext (base64)
+   */
+  encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+  }
+
+  /**
+   * Decrypt a stored signing secret
+   * @param {string} value - Value from encryptSecret
+   * @returns {string} Signing secret
+   */
+  decryptSecret(value) {
+    const [iv, tag, encrypted] = String(value).split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+
+  /**
+   * Generate a signing secret
+   * @returns {string}
+   */
+  generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+  }
+
+  /**
+   * Sign a request body
+   * @param {string} secret - Signing secret
+   * @param {string} body - Request body as sent
+   * @param {number} timestamp - Unix time in seconds
+   * @returns {string} Value of the X-Webhook-Signature header
+   */
+  sign(secret, body, timestamp) {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${digest}`;
+  }
+
+  /**
+   * Get the delay before the next attempt
+   * @param {number} attempts - Attempts made so far (at least 1)
+   * @returns {number} Seconds
+   */
+  getBackoffSeconds(attempts) {
+    return Math.min(this.maxBackoffSeconds, this.backoffSeconds * Math.pow(2, Math.max(0, attempts - 1)));
+  }
+
+  /**
+   * Create a webhook
+   * @param {Object} data - { name, url, events, is_active }
+   * @param {number} createdBy - Administrator creating it
+   * @returns {Promise<Object>} { webhook, secret } - the secret is only returned here
+   */
+  async create({ name, url, events, is_active = true }, createdBy) {
+    const secret = this.generateSecret();
+
+    const webhook = await Webhook.create({
+      name,
+      url,
+      secretEncrypted: this.encryptSecret(secret),
+      events: [...new Set(events)],
+      isActive: is_active,
+      createdBy
+    });
+
+    return { webhook, secret };
+  }
+
+  /**
+   * Replace the signing secret of a webhook
+   * @param {number} id - Webhook ID
+   * @returns {Promise<string|null>} New secret, null if the webhook does not exist
+   */
+  async rotateSecret(id) {
+    const secret = this.generateSecret();
+    const updated = await Webhook.update(id, { secret_encrypted: this.encryptSecret(secret) });
+    return updated ? secret : null;
+  }
+
+  /**
+   * Queue an event for the webhooks subscribed to it and attempt delivery
+   * @param {Object} event - Event from realtimeService ({ type, data, timestamp })
+   * @returns {Promise<number>} Number of deliveries created
+   */
+  async handleEvent(event) {
+    if (!WEBHOOK_EVENTS.includes(event.type)) {
+      return 0;
+    }
+
+    try {
+      const webhooks = await Webhook.findSubscribed(event.type);
+      if (webhooks.length === 0) {
+        return 0;
+      }
+
+      const payload = {
+        id: crypto.randomUUID(),
+        type: event.type,
+        created_at: event.timestamp,
+        data: event.data
+      };
+
+      for (const webhook of webhooks) {
+        await this.enqueue(webhook.id, payload);
+      }
+
+      return webhooks.length;
+    } catch (error) {
+      logger.error(`Error queuing webhook deliveries for ${event.type}:`, error);
+      return 0;
+    }
+  }
+
+  /**
+   * Create a delivery and attempt it in the background
+   * @param {number} webhookId - Webhook ID
+   * @param {Object} payload - { id, type, created_at, data }
+   * @returns {Promise<number>} Delivery ID
+   */
+  async enqueue(webhookId, payload) {
+    // Leased until the first attempt is over, so the worker does not pick it up meanwhile
+    const leaseUntil = new Date(Date.now() + this.timeoutMs + this.intervalMs);
+
+    const deliveryId = await WebhookDelivery.create({
+      webhookId,
+      eventId: payload.id,
+      eventType: payload.type,
+      payload,
+      nextAttemptAt: leaseUntil
+    });
+
+    this.attempt(deliveryId).catch(error => {
+      logger.error(`Error delivering webhook delivery ${deliveryId}:`, error);
+    });
+
+    return deliveryId;
+  }
+
+  /**
+   * Send a delivery to its webhook and record the outcome
+   * @param {number} deliveryId - Delivery ID
+   * @returns {Promise<Object|null>} Updated delivery, null if it no longer exists
+   */
+  async attempt(deliveryId) {
+    const delivery = await WebhookDelivery.findById(deliveryId);
+    if (!delivery) {
+      return null;
+    }
+
+    const webhook = await Webhook.findWithSecret(delivery.webhook_id);
+    if (!webhook) {
+      return null;
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = Date.now();
+    let responseStatus = null;
+    let responseBody = null;
+    let error = null;
+
+    try {
+      const response = await axios.post(webhook.url, body, {
+        timeout: this.timeoutMs,
+        maxRedirects: 0,
+        // Every status is recorded; only 2xx counts as delivered
+        validateStatus: () => true,
+        responseType: 'text',
+        transformResponse: [data => data],
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'OpenVPN-Distribution-Webhooks/1.0',
+          'X-Webhook-Event': delivery.event_type,
+          'X-Webhook-Delivery': String(delivery.id),
+          'X-Webhook-Event-Id': delivery.event_id,
+          [SIGNATURE_HEADER]: this.sign(this.decryptSecret(webhook.secret_encrypted), body, timestamp)
+        }
+      });
+
+      responseStatus = response.status;
+      responseBody = typeof response.data === 'string' ? response.data.substring(0, MAX_RESPONSE_BODY) : null;
+      if (response.status < 200 || response.status >= 300) {
+        error = `HTTP ${response.status}`;
+      }
+    } catch (requestError) {
+      error = (requestError.code ? `${requestError.code}: ` : '') + requestError.message;
+    }
+
+    const durationMs = Date.now() - startedAt;
+    const attempts = delivery.attempts + 1;
+    let status = 'succeeded';
+    let nextAttemptAt = null;
+
+    if (error) {
+      if (attempts >= this.maxAttempts) {
+        status = 'failed';
+        logger.warn(`Webhook delivery ${delivery.id} to ${webhook.url} failed after ${attempts} attempt(s): ${error}`);
+      } else {
+        status = 'pending';
+        nextAttemptAt = new Date(Date.now() + this.getBackoffSeconds(attempts) * 1000);
+        logger.info(`Webhook delivery ${delivery.id} to ${webhook.url} failed (${error}), retrying at ${nextAttemptAt.toISOString()}`);
+      }
+    }
+
+    await WebhookDelivery.recordAttempt(delivery.id, {
+      status,
+      nextAttemptAt,
+      responseStatus,
+      responseBody,
+      error: error ? error.substring(0, 500) : null,
+      durationMs
+    });
+
+    return { ...delivery, status, attempts, next_attempt_at: nextAttemptAt, response_status: responseStatus, error };
+  }
+
+  /**
+   * Queue a delivery again and attempt it now
+   * @param {number} deliveryId - Delivery ID
+   * @returns {Promise<Object>} Updated delivery
+   * @throws {AppError} 404 when the delivery does not exist
+   */
+  async redeliver(deliveryId) {
+    const leaseUntil = new Date(Date.now() + this.timeoutMs + this.intervalMs);
+    if (!(await WebhookDelivery.requeue(deliveryId, leaseUntil))) {
+      throw new AppError('Delivery not found', 404, 'DELIVERY_NOT_FOUND');
+    }
+
+    return this.attempt(deliveryId);
+  }
+
+  /**
+   * Send a test event to a webhook
+   * @param {Object} webhook - Webhook (from Webhook.findById)
+   * @param {Object} admin - Administrator sending it (req.user)
+   * @returns {Promise<Object>} Delivery after the attempt
+   */
+  async sendTest(webhook, admin) {
+    const payload = {
+      id: crypto.randomUUID(),
+      type: TEST_EVENT,
+      created_at: new Date().toISOString(),
+      data: { webhook_id: webhook.id, requested_by: admin.email }
+    };
+
+    const deliveryId = await WebhookDelivery.create({
+      webhookId: webhook.id,
+      eventId: payload.id,
+      eventType: payload.type,
+      payload,
+      nextAttemptAt: new Date(Date.now() + this.timeoutMs + this.intervalMs)
+    });
+
+    return this.attempt(deliveryId);
+  }
+
+  /**
+   * Retry every delivery that is due
+   * @returns {Promise<Object>} { processed, delivered }
+   */
+  async processQueue() {
+    if (this.isProcessing) {
+      return { processed: 0, delivered: 0 };
+    }
+
+    this.isProcessing = true;
+    let processed = 0;
+    let delivered = 0;
+
+    try {
+      const due = await WebhookDelivery.findDue();
+      const leaseSeconds = Math.ceil((this.timeoutMs + this.intervalMs) / 1000);
+
+      for (const delivery of due) {
+        if (!(await WebhookDelivery.claim(delivery.id, leaseSeconds))) {
+          continue;
+        }
+        processed++;
+        const result = await this.attempt(delivery.id);
+        if (result && result.status === 'succeeded') {
+          delivered++;
+        }
+      }
+
+      if (processed > 0) {
+        logger.info(`Webhook retry queue processed: ${delivered}/${processed} deliveries succeeded`);
+      }
+
+      if (Date.now() - this.lastCleanup > 60 * 60 * 1000) {
+        this.lastCleanup = Date.now();
+        const deleted = await WebhookDelivery.deleteOlderThan(this.retentionDays);
+        if (deleted > 0) {
+          logger.info(`Deleted ${deleted} webhook deliveries older than ${this.retentionDays} days`);
+        }
+      }
+    } catch (error) {
+      logger.error('Error processing webhook retry queue:', error);
+    } finally {
+      this.isProcessing = false;
+    }
+
+    return { processed, delivered };
+  }
+
+  /**
+   * Start delivering events and retrying failed deliveries
+   */
+  start() {
+    if (this.retryInterval) {
+      logger.warn('Webhook delivery is already running');
+      return;
+    }
+
+    logger.info(`Starting webhook delivery (retry interval: ${this.intervalMs}ms)`);
+
+    this.unsubscribe = realtimeService.subscribe((event) => {
+      this.handleEvent(event);
+    });
+
+    this.processQueue();
+    this.retryInterval = setInterval(() => {
+      this.processQueue();
+    }, this.intervalMs);
+  }
+
+  /**
+   * Stop delivering events
+   * Pending deliveries are retried after the next start.
+   */
+  stop() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+    if (this.retryInterval) {
+      clearInterval(this.retryInterval);
+      this.retryInterval = null;
+      logger.info('Webhook delivery stopped');
+    }
+  }
+}
+
+const webhookService = new WebhookService();
+webhookService.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
+webhookService.TEST_EVENT = TEST_EVENT;
+
+module.exports = webhookService;
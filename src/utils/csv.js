@@ -0,0 +1,65 @@
+/**
+ * CSV Utility
+ * Minimal CSV serialization for report exports (RFC 4180 quoting)
+ */
+
+/**
+ * Escape a single value for CSV output
+ * Values starting with =, +, - or @ are prefixed with a quote so spreadsheet
+ * applications do not evaluate them as formulas.
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped value
+ */
+const escapeValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let str = value instanceof Date ? value.toISOString() : String(value);
+
+  if (/^[=+\-@]/.test(str) && isNaN(Number(str))) {
+    str = `'${str}`;
+  }
+
+  if (/[",\r\n]/.test(str)) {
+    return `"${str.replace(/"/g, '""')}"`;
+  }
+
+  return str;
+};
+
+/**
+ * Convert an array of objects to CSV
+ * @param {Array<Object>} rows - Rows to serialize
+ * @param {Array<string|Object>} columns - Column keys, or { key, header } objects
+ * @returns {string} CSV document with a header line
+ */
+const toCsv = (rows, columns) => {
+  const cols = columns.map(col => (typeof col === 'string' ? { key: col, header: col } : col));
+
+  const lines = [cols.map(col => escapeValue(col.header)).join(',')];
+  for (const row of rows) {
+    lines.push(cols.map(col => escapeValue(row[col.key])).join(','));
+  }
+
+  return lines.join('\r\n') + '\r\n';
+};
+
+/**
+ * Send rows as a CSV file download
+ * @param {Object} res - Express response
+ * @param {string} filename - Download file name
+ * @param {Array<Object>} rows - Rows to serialize
+ * @param {Array<string|Object>} columns - Column definitions (see toCsv)
+ */
+const sendCsv = (res, filename, rows, columns) => {
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(toCsv(rows, columns));
+};
+
+module.exports = {
+  escapeValue,
+  toCsv,
+  sendCsv
+};
@@ -618,6 +618,230 @@ const sendPasswordResetEmail = async (email, token) => {
   }
 };
 
+/**
+ * Send data quota warning email
+ * @param {string} email - Recipient email address
+ * @param {Object} details - Quota details
+ * @param {number} details.threshold - Percentage of the quota reached (80 or 100)
+ * @param {string} details.period - day or month
+ * @param {number} details.usedMb - Data used in the period (MB)
+ * @param {number} details.quotaMb - Data quota of the period (MB)
+ * @param {string} details.action - Over-quota action of the policy (notify, throttle, disconnect)
+ * @param {string} [details.deviceName] - Device the quota applies to (device-level policies)
+ * @returns {Promise<boolean>} - True if sent successfully
+ */
+const sendQuotaWarningEmail = async (email, details) => {
+  try {
+    // Validate and sanitize email address
+    const sanitizedEmail = sanitizeEmail(email);
+    if (!validateEmailForSending(sanitizedEmail, 'quota_warning')) {
+      logger.error('Attempted to send quota warning to invalid address', { email });
+      return false;
+    }
+
+    const transport = initializeTransporter();
+
+    if (!transport) {
+      logger.error('Email transporter not configured, skipping quota warning email');
+      return false;
+    }
+
+    const { threshold, period, usedMb, quotaMb, action, deviceName } = details;
+    const fromEmail = process.env.SMTP_FROM || process.env.SMTP_USER;
+    const appName = process.env.APP_NAME || 'OpenVPN Distribution System';
+    const periodLabel = period === 'month' ? 'monthly' : 'daily';
+    const exceeded = threshold >= 100;
+    const scope = deviceName ? ` on ${deviceName}` : '';
+
+    const consequences = exceeded
+      ? {
+          notify: 'Your connection is not affected, but usage above the quota is reported to your administrator.',
+          throttle: 'Your VPN bandwidth is reduced until the quota resets.',
+          disconnect: 'Your VPN connection has been disconnected and will be refused until the quota resets.'
+        }
+      : {
+          notify: 'Your connection will not be interrupted, but usage above the quota is reported to your administrator.',
+          throttle: 'Your VPN bandwidth will be reduced once the quota is used up.',
+          disconnect: 'Your VPN connection will be disconnected once the quota is used up.'
+        };
+    const consequence = consequences[action] || consequences.notify;
+
+    const mailOptions = {
+      from: `"${appName}" <${fromEmail}>`,
+      to: sanitizedEmail,
+      subject: exceeded
+        ? `VPN ${periodLabel} data quota exceeded`
+        : `VPN ${periodLabel} data quota ${threshold}% used`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="UTF-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background-color: ${exceeded ? '#f44336' : '#FF9800'}; color: white; padding: 20px; text-align: center; border-radius: 5px 5px 0 0; }
+            .content { background-color: #f9f9f9; padding: 30px; border-radius: 0 0 5px 5px; }
+            .footer { text-align: center; margin-top: 20px; color: #777; font-size: 12px; }
+            .alert { background-color: #fff3cd; border-left: 4px solid #ffc107; padding: 15px; margin: 15px 0; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>${exceeded ? 'Data Quota Exceeded' : 'Data Quota Warning'}</h1>
+            </div>
+            <div class="content">
+              <h2>You have used ${threshold}% of your ${periodLabel} VPN data quota${scope}</h2>
+              <p><strong>Used:</strong> ${usedMb} MB of ${quotaMb} MB</p>
+
+              <div class="alert">
+                ${consequence}
+              </div>
+
+              <p>The quota resets at the start of the next ${period}.</p>
+            </div>
+            <div class="footer">
+              <p>&copy; ${new Date().getFullYear()} ${appName}. All rights reserved.</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `,
+      text: `
+        You have used ${threshold}% of your ${periodLabel} VPN data quota${scope}
+
+        Used: ${usedMb} MB of ${quotaMb} MB
+
+        ${consequence}
+
+        The quota resets at the start of the next ${period}.
+      `
+    };
+
+    await transport.sendMail(mailOptions);
+
+    logger.info('Quota warning email sent successfully', { email: sanitizedEmail, threshold, period });
+
+    return true;
+  } catch (error) {
+    logger.error('Failed to send quota warning email', {
+      email,
+      error: error.message,
+      stack: error.stack
+    });
+
+    return false;
+  }
+};
+
+/**
+ * Send reminder that a VPN profile is about to expire
+ * @param {string} email - Recipient email address
+ * @param {Object} details - Expiry details
+ * @param {string} details.filename - Profile filename
+ * @param {Date} details.expiresAt - Expiry of the profile
+ * @param {number} details.daysLeft - Days until the profile expires
+ * @returns {Promise<boolean>} - True if sent successfully
+ */
+const sendProfileExpiryReminderEmail = async (email, details) => {
+  try {
+    // Validate and sanitize email address
+    const sanitizedEmail = sanitizeEmail(email);
+    if (!validateEmailForSending(sanitizedEmail, 'profile_expiry')) {
+      logger.error('Attempted to send profile expiry reminder to invalid address', { email });
+      return false;
+    }
+
+    const transport = initializeTransporter();
+
+    if (!transport) {
+      logger.error('Email transporter not configured, skipping profile expiry reminder');
+      return false;
+    }
+
+    const { filename, expiresAt, daysLeft } = details;
+    const dashboardUrl = `${process.env.FRONTEND_URL || process.env.APP_URL || 'http://localhost:3002'}/dashboard`;
+    const fromEmail = process.env.SMTP_FROM || process.env.SMTP_USER;
+    const appName = process.env.APP_NAME || 'OpenVPN Distribution System';
+    const expiryDate = expiresAt.toUTCString();
+    const remaining = daysLeft === 1 ? '1 day' : `${daysLeft} days`;
+
+    const mailOptions = {
+      from: `"${appName}" <${fromEmail}>`,
+      to: sanitizedEmail,
+      subject: `Your VPN profile expires in ${remaining}`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="UTF-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background-color: #FF9800; color: white; padding: 20px; text-align: center; border-radius: 5px 5px 0 0; }
+            .content { background-color: #f9f9f9; padding: 30px; border-radius: 0 0 5px 5px; }
+            .button { display: inline-block; padding: 12px 30px; background-color: #2196F3; color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+            .config-name { background-color: #fff; padding: 15px; border-left: 4px solid #FF9800; margin: 15px 0; font-family: monospace; }
+            .footer { text-align: center; margin-top: 20px; color: #777; font-size: 12px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>VPN Profile Expiring</h1>
+            </div>
+            <div class="content">
+              <h2>Your VPN profile expires in ${remaining}</h2>
+
+              <div class="config-name">
+                <strong>Configuration:</strong> ${filename}<br>
+                <strong>Expires:</strong> ${expiryDate}
+              </div>
+
+              <p>Once it expires, the profile is revoked and you will no longer be able to connect to the VPN with it. Renew it from your dashboard to keep your access.</p>
+
+              <p style="text-align: center;">
+                <a href="${dashboardUrl}" class="button">Renew Profile</a>
+              </p>
+            </div>
+            <div class="footer">
+              <p>&copy; ${new Date().getFullYear()} ${appName}. All rights reserved.</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `,
+      text: `
+        Your VPN profile expires in ${remaining}
+
+        Configuration: ${filename}
+        Expires: ${expiryDate}
+
+        Once it expires, the profile is revoked and you will no longer be able to connect to the VPN with it. Renew it from your dashboard to keep your access.
+
+        Visit your dashboard: ${dashboardUrl}
+      `
+    };
+
+    await transport.sendMail(mailOptions);
+
+    logger.info('Profile expiry reminder sent successfully', { email: sanitizedEmail, filename, daysLeft });
+
+    return true;
+  } catch (error) {
+    logger.error('Failed to send profile expiry reminder', {
+      email,
+      error: error.message,
+      stack: error.stack
+    });
+
+    return false;
+  }
+};
+
 /**
  * Test email configuration by sending a test email
  * @param {string} email - Test recipient email address
@@ -687,6 +911,8 @@ module.exports = {
   sendConfigGeneratedEmail,
   sendPasswordChangedEmail,
   sendPasswordResetEmail,
+  sendQuotaWarningEmail,
+  sendProfileExpiryReminderEmail,
   sendTestEmail,
   validateEmail,
   sanitizeEmail
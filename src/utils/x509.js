@@ -0,0 +1,384 @@
+const crypto = require('crypto');
+
+/**
+ * X.509 helpers (RFC 5280)
+ * Builds certificates and CRLs with a minimal DER encoder on top of Node's
+ * crypto, which can generate keys and sign but not issue certificates.
+ * Keys are ECDSA P-256 and everything is signed with ecdsa-with-SHA256,
+ * which OpenVPN 2.4 and later accept.
+ */
+
+const OID = {
+  ecPublicKey: '1.2.840.10045.2.1',
+  prime256v1: '1.2.840.10045.3.1.7',
+  ecdsaWithSHA256: '1.2.840.10045.4.3.2',
+  commonName: '2.5.4.3',
+  organizationName: '2.5.4.10',
+  subjectKeyIdentifier: '2.5.29.14',
+  keyUsage: '2.5.29.15',
+  basicConstraints: '2.5.29.19',
+  cRLNumber: '2.5.29.20',
+  authorityKeyIdentifier: '2.5.29.35',
+  extKeyUsage: '2.5.29.37',
+  serverAuth: '1.3.6.1.5.5.7.3.1',
+  clientAuth: '1.3.6.1.5.5.7.3.2'
+};
+
+/**
+ * Key usage bits (RFC 5280 4.2.1.3)
+ */
+const KEY_USAGE = {
+  digitalSignature: 0,
+  keyEncipherment: 2,
+  keyAgreement: 4,
+  keyCertSign: 5,
+  cRLSign: 6
+};
+
+// ---- DER encoding ----
+
+/**
+ * Encode a tag-length-value element
+ * @param {number} tag - Tag byte
+ * @param {Buffer} contents - Encoded contents
+ * @returns {Buffer}
+ */
+const encode = (tag, contents) => {
+  const length = contents.length;
+  let header;
+
+  if (length < 0x80) {
+    header = Buffer.from([tag, length]);
+  } else {
+    const bytes = [];
+    for (let remaining = length; remaining > 0; remaining = Math.floor(remaining / 256)) {
+      bytes.unshift(remaining & 0xff);
+    }
+    header = Buffer.from([tag, 0x80 | bytes.length, ...bytes]);
+  }
+
+  return Buffer.concat([header, contents]);
+};
+
+const sequence = (...elements) => encode(0x30, Buffer.concat(elements.filter(Boolean)));
+const set = (...elements) => encode(0x31, Buffer.concat(elements));
+const explicit = (number, element) => encode(0xa0 + number, element);
+const octetString = (contents) => encode(0x04, contents);
+const boolean = (value) => encode(0x01, Buffer.from([value ? 0xff : 0x00]));
+const utf8String = (value) => encode(0x0c, Buffer.from(String(value), 'utf8'));
+
+/**
+ * Encode an INTEGER from a non-negative number or big-endian bytes
+ * @param {number|Buffer} value
+ * @returns {Buffer}
+ */
+const integer = (value) => {
+  let bytes = value;
+  if (!Buffer.isBuffer(value)) {
+    const hex = BigInt(value).toString(16);
+    bytes = Buffer.from(hex.length % 2 ? `0${hex}` : hex, 'hex');
+  }
+
+  // Drop redundant leading zeros, then keep the value positive
+  let start = 0;
+  while (start < bytes.length - 1 && bytes[start] === 0 && bytes[start + 1] < 0x80) {
+    start++;
+  }
+  bytes = bytes.subarray(start);
+  if (bytes[0] & 0x80) {
+    bytes = Buffer.concat([Buffer.from([0]), bytes]);
+  }
+
+  return encode(0x02, bytes);
+};
+
+/**
+ * Encode a BIT STRING of whole bytes
+ * @param {Buffer} contents
+ * @returns {Buffer}
+ */
+const bitString = (contents) => encode(0x03, Buffer.concat([Buffer.from([0]), contents]));
+
+/**
+ * Encode an OBJECT IDENTIFIER from its dotted notation
+ * @param {string} dotted - e.g. "2.5.4.3"
+ * @returns {Buffer}
+ */
+const objectIdentifier = (dotted) => {
+  const [first, second, ...rest] = dotted.split('.').map(Number);
+  const bytes = [40 * first + second];
+
+  for (const arc of rest) {
+    const chunk = [arc & 0x7f];
+    for (let remaining = Math.floor(arc / 128); remaining > 0; remaining = Math.floor(remaining / 128)) {
+      chunk.unshift(0x80 | (remaining & 0x7f));
+    }
+    bytes.push(...chunk);
+  }
+
+  return encode(0x06, Buffer.from(bytes));
+};
+
+/**
+ * Encode a time as UTCTime before 2050 and GeneralizedTime after (RFC 5280 4.1.2.5)
+ * @param {Date} date
+ * @returns {Buffer}
+ */
+const time = (date) => {
+  const digits = date.toISOString().replace(/[-:T]/g, '').substring(0, 14);
+  return date.getUTCFullYear() < 2050
+    ? encode(0x17, Buffer.from(`${digits.substring(2)}Z`))
+    : encode(0x18, Buffer.from(`${digits}Z`));
+};
+
+/**
+ * Encode a named bit list as a BIT STRING, without trailing zero bits
+ * @param {Array<number>} bits - Bit numbers
+ * @returns {Buffer}
+ */
+const namedBits = (bits) => {
+  const highest = Math.max(...bits);
+  const bytes = Buffer.alloc(Math.floor(highest / 8) + 1);
+  for (const bit of bits) {
+    bytes[Math.floor(bit / 8)] |= 0x80 >> (bit % 8);
+  }
+  const unused = 7 - (highest % 8);
+
+  return encode(0x03, Buffer.concat([Buffer.from([unused]), bytes]));
+};
+
+// ---- DER decoding ----
+
+/**
+ * Read one element
+ * @param {Buffer} buffer - DER data
+ * @param {number} [offset=0] - Offset of the element
+ * @returns {Object} { tag, header, contents, end } - contents without the header,
+ *   end is the offset after the element
+ */
+const readElement = (buffer, offset = 0) => {
+  const tag = buffer[offset];
+  let length = buffer[offset + 1];
+  let header = 2;
+
+  if (length & 0x80) {
+    const count = length & 0x7f;
+    length = 0;
+    for (let i = 0; i < count; i++) {
+      length = length * 256 + buffer[offset + 2 + i];
+    }
+    header += count;
+  }
+
+  const start = offset + header;
+  return {
+    tag,
+    header,
+    contents: buffer.subarray(start, start + length),
+    end: start + length
+  };
+};
+
+// ---- Certificates ----
+
+const SIGNATURE_ALGORITHM = sequence(objectIdentifier(OID.ecdsaWithSHA256));
+
+/**
+ * Generate a key pair for a certificate
+ * @returns {Object} { privateKey, publicKey } as KeyObjects
+ */
+const generateKeyPair = () => crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+
+/**
+ * Generate a random positive serial number (RFC 5280 allows up to 20 bytes)
+ * @returns {string} Serial as hex
+ */
+const generateSerial = () => {
+  const bytes = crypto.randomBytes(16);
+  bytes[0] = (bytes[0] & 0x7f) || 0x01;
+  return bytes.toString('hex');
+};
+
+/**
+ * Encode a distinguished name
+ * @param {Object|Buffer} name - { commonName, organization }, or a name
+ *   encoded already (see getSubjectName)
+ * @returns {Buffer}
+ */
+const encodeName = (name) => {
+  if (Buffer.isBuffer(name)) {
+    return name;
+  }
+  return sequence(
+    name.organization ? set(sequence(objectIdentifier(OID.organizationName), utf8String(name.organization))) : null,
+    set(sequence(objectIdentifier(OID.commonName), utf8String(name.commonName)))
+  );
+};
+
+/**
+ * Get the encoded subject name of a certificate
+ * Certificates and CRLs of a CA carry its name exactly as in the CA
+ * certificate.
+ * @param {string} pem - PEM certificate
+ * @returns {Buffer} DER name
+ */
+const getSubjectName = (pem) => {
+  const certificate = readElement(fromPem(pem));
+  const tbs = readElement(certificate.contents);
+
+  // version, serialNumber, signature, issuer, validity, subject
+  let start = 0;
+  for (let index = 0; index < 5; index++) {
+    start = readElement(tbs.contents, start).end;
+  }
+
+  return tbs.contents.subarray(start, readElement(tbs.contents, start).end);
+};
+
+/**
+ * Compute the key identifier of a public key (RFC 5280 4.2.1.2, method 1)
+ * @param {crypto.KeyObject} publicKey
+ * @returns {Buffer}
+ */
+const keyIdentifier = (publicKey) => {
+  const spki = publicKey.export({ type: 'spki', format: 'der' });
+  // The subjectPublicKey BIT STRING follows the AlgorithmIdentifier
+  const outer = readElement(spki);
+  const algorithm = readElement(outer.contents);
+  const subjectPublicKey = readElement(outer.contents, algorithm.end);
+
+  return crypto.createHash('sha1').update(subjectPublicKey.contents.subarray(1)).digest();
+};
+
+const extension = (oid, critical, value) => sequence(
+  objectIdentifier(oid),
+  critical ? boolean(true) : null,
+  octetString(value)
+);
+
+/**
+ * Sign a to-be-signed structure and wrap it with the signature
+ * @private
+ */
+const signStructure = (tbs, signingKey) => sequence(
+  tbs,
+  SIGNATURE_ALGORITHM,
+  bitString(crypto.sign('sha256', tbs, signingKey))
+);
+
+/**
+ * Create a certificate
+ * @param {Object} options
+ * @param {string} options.serial - Serial number as hex
+ * @param {Object} options.subject - { commonName, organization }
+ * @param {crypto.KeyObject} options.publicKey - Public key of the subject
+ * @param {Date} options.notBefore
+ * @param {Date} options.notAfter
+ * @param {string} options.type - 'ca', 'server' or 'client'
+ * @param {Object} [options.issuer] - { subject, publicKey, privateKey } of the CA
+ *   (subject from getSubjectName);
+ *   omitted for a self-signed CA (signed with options.privateKey)
+ * @param {crypto.KeyObject} [options.privateKey] - Key of a self-signed CA
+ * @returns {string} PEM certificate
+ */
+const createCertificate = ({ serial, subject, publicKey, notBefore, notAfter, type, issuer = null, privateKey = null }) => {
+  const signer = issuer || { subject, publicKey, privateKey };
+  const extensions = [];
+
+  if (type === 'ca') {
+    extensions.push(
+      extension(OID.basicConstraints, true, sequence(boolean(true))),
+      extension(OID.keyUsage, true, namedBits([KEY_USAGE.keyCertSign, KEY_USAGE.cRLSign]))
+    );
+  } else {
+    extensions.push(
+      extension(OID.basicConstraints, true, sequence()),
+      extension(OID.keyUsage, true, namedBits([KEY_USAGE.digitalSignature, KEY_USAGE.keyAgreement])),
+      extension(OID.extKeyUsage, false, sequence(objectIdentifier(type === 'server' ? OID.serverAuth : OID.clientAuth)))
+    );
+  }
+
+  extensions.push(
+    extension(OID.subjectKeyIdentifier, false, octetString(keyIdentifier(publicKey))),
+    extension(OID.authorityKeyIdentifier, false, sequence(encode(0x80, keyIdentifier(signer.publicKey))))
+  );
+
+  const tbs = sequence(
+    explicit(0, integer(2)), // v3
+    integer(Buffer.from(serial, 'hex')),
+    SIGNATURE_ALGORITHM,
+    encodeName(signer.subject),
+    sequence(time(notBefore), time(notAfter)),
+    encodeName(subject),
+    publicKey.export({ type: 'spki', format: 'der' }),
+    explicit(3, sequence(...extensions))
+  );
+
+  return toPem('CERTIFICATE', signStructure(tbs, signer.privateKey));
+};
+
+/**
+ * Create a certificate revocation list
+ * @param {Object} options
+ * @param {Object} options.issuer - { subject, publicKey, privateKey } of the CA
+ * @param {number} options.crlNumber - Increasing number of the CRL
+ * @param {Date} options.thisUpdate
+ * @param {Date} options.nextUpdate
+ * @param {Array<Object>} options.revoked - [{ serial (hex), revokedAt (Date) }]
+ * @returns {string} PEM CRL
+ */
+const createCrl = ({ issuer, crlNumber, thisUpdate, nextUpdate, revoked }) => {
+  const entries = revoked.map(({ serial, revokedAt }) => sequence(
+    integer(Buffer.from(serial, 'hex')),
+    time(revokedAt)
+  ));
+
+  const tbs = sequence(
+    integer(1), // v2
+    SIGNATURE_ALGORITHM,
+    encodeName(issuer.subject),
+    time(thisUpdate),
+    time(nextUpdate),
+    // An empty list is left out rather than encoded empty
+    entries.length > 0 ? sequence(...entries) : null,
+    explicit(0, sequence(
+      extension(OID.authorityKeyIdentifier, false, sequence(encode(0x80, keyIdentifier(issuer.publicKey)))),
+      extension(OID.cRLNumber, false, integer(crlNumber))
+    ))
+  );
+
+  return toPem('X509 CRL', signStructure(tbs, issuer.privateKey));
+};
+
+/**
+ * Wrap DER data in PEM armor
+ * @param {string} label - e.g. CERTIFICATE
+ * @param {Buffer} der
+ * @returns {string}
+ */
+const toPem = (label, der) => {
+  const lines = der.toString('base64').match(/.{1,64}/g);
+  return `-----BEGIN ${label}-----\n${lines.join('\n')}\n-----END ${label}-----\n`;
+};
+
+/**
+ * Extract the DER data of a PEM block
+ * @param {string} pem
+ * @returns {Buffer}
+ */
+const fromPem = (pem) => Buffer.from(
+  String(pem).replace(/-----(BEGIN|END) [^-]+-----/g, '').replace(/\s+/g, ''),
+  'base64'
+);
+
+module.exports = {
+  OID,
+  readElement,
+  getSubjectName,
+  generateKeyPair,
+  generateSerial,
+  createCertificate,
+  createCrl,
+  toPem,
+  fromPem
+};
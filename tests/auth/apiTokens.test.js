@@ -0,0 +1,158 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const apiTokenService = require('../../src/services/apiTokenService');
+const sessionService = require('../../src/services/sessionService');
+const ApiToken = require('../../src/models/ApiToken');
+const User = require('../../src/models/User');
+const { allowApiToken } = require('../../src/middleware/authMiddleware');
+
+/**
+ * Personal API Token Unit Tests
+ * Tests token creation, scope checks and the allowApiToken middleware
+ */
+describe('Personal API Tokens', function() {
+  const user = { id: 7, email: 'alice@example.com', role: 'user', name: 'alice' };
+  const admin = { id: 1, email: 'admin@example.com', role: 'admin', name: 'admin' };
+  const rawToken = `${apiTokenService.TOKEN_PREFIX}${'b'.repeat(48)}`;
+
+  const storedToken = (overrides = {}) => ({
+    id: 5,
+    user_id: 7,
+    name: 'ci',
+    scopes: ['vpn:profile:read'],
+    expires_at: null,
+    revoked_at: null,
+    ...overrides
+  });
+
+  afterEach(function() {
+    sinon.restore();
+  });
+
+  describe('createToken', function() {
+    it('should store only the hash and return the token once', async function() {
+      sinon.stub(ApiToken, 'findByUserId').resolves([]);
+      const createStub = sinon.stub(ApiToken, 'create').callsFake(async (data) => ({ id: 5, name: data.name }));
+
+      const result = await apiTokenService.createToken(user, { name: 'ci', scopes: ['vpn:profile:read'], expiresInDays: 30 });
+
+      expect(result.token).to.match(/^ovpn_pat_[a-f0-9]{48}$/);
+      const stored = createStub.firstCall.args[0];
+      expect(stored.tokenHash).to.equal(apiTokenService.hashToken(result.token));
+      expect(stored.tokenPrefix).to.equal(result.token.substring(0, 15));
+      expect(stored.expiresAt.getTime()).to.be.closeTo(Date.now() + 30 * 86400000, 5000);
+    });
+
+    it('should not grant admin scopes to users', async function() {
+      const createStub = sinon.stub(ApiToken, 'create');
+
+      try {
+        await apiTokenService.createToken(user, { name: 'ci', scopes: ['admin:sync'] });
+        expect.fail('should have thrown');
+      } catch (error) {
+        expect(error.statusCode).to.equal(403);
+      }
+
+      expect(createStub.called).to.be.false;
+      expect(apiTokenService.getGrantableScopes(admin)).to.include('admin:sync');
+    });
+
+    it('should enforce the token limit', async function() {
+      sinon.stub(ApiToken, 'findByUserId').resolves(new Array(apiTokenService.maxTokensPerUser).fill({}));
+
+      try {
+        await apiTokenService.createToken(user, { name: 'ci', scopes: ['devices:read'] });
+        expect.fail('should have thrown');
+      } catch (error) {
+        expect(error.statusCode).to.equal(409);
+      }
+    });
+  });
+
+  describe('authenticate', function() {
+    it('should accept a token with the scope and record its use', async function() {
+      sinon.stub(ApiToken, 'findByHash').resolves(storedToken());
+      sinon.stub(User, 'findById').resolves(user);
+      const touchStub = sinon.stub(ApiToken, 'touch').resolves();
+
+      const result = await apiTokenService.authenticate(rawToken, 'vpn:profile:read', '10.0.0.1');
+
+      expect(result.user).to.include({ id: 7, username: 'alice', apiTokenId: 5 });
+      expect(touchStub.calledWith(5, '10.0.0.1')).to.be.true;
+    });
+
+    it('should reject tokens without the scope', async function() {
+      sinon.stub(ApiToken, 'findByHash').resolves(storedToken());
+      sinon.stub(User, 'findById').resolves(user);
+
+      const result = await apiTokenService.authenticate(rawToken, 'devices:read');
+
+      expect(result.status).to.equal(403);
+      expect(result.code).to.equal('INSUFFICIENT_SCOPE');
+    });
+
+    it('should reject revoked and expired tokens', async function() {
+      const findStub = sinon.stub(ApiToken, 'findByHash');
+
+      findStub.resolves(storedToken({ revoked_at: new Date() }));
+      expect((await apiTokenService.authenticate(rawToken, 'vpn:profile:read')).code).to.equal('API_TOKEN_INVALID');
+
+      findStub.resolves(storedToken({ expires_at: new Date(Date.now() - 1000) }));
+      expect((await apiTokenService.authenticate(rawToken, 'vpn:profile:read')).code).to.equal('API_TOKEN_EXPIRED');
+    });
+
+    it('should reject admin scopes once the owner\'s role no longer allows them', async function() {
+      sinon.stub(ApiToken, 'findByHash').resolves(storedToken({ scopes: ['admin:sync'] }));
+      sinon.stub(User, 'findById').resolves(user);
+
+      const result = await apiTokenService.authenticate(rawToken, 'admin:sync');
+
+      expect(result.status).to.equal(403);
+      expect(result.code).to.equal('PERMISSION_DENIED');
+    });
+  });
+
+  describe('allowApiToken', function() {
+    const makeRes = () => {
+      const res = {};
+      res.status = sinon.stub().returns(res);
+      res.json = sinon.stub().returns(res);
+      return res;
+    };
+
+    it('should authenticate API tokens', async function() {
+      sinon.stub(ApiToken, 'findByHash').resolves(storedToken());
+      sinon.stub(User, 'findById').resolves(user);
+      sinon.stub(ApiToken, 'touch').resolves();
+      const req = { headers: { authorization: `Bearer ${rawToken}` }, ip: '10.0.0.1' };
+      const next = sinon.spy();
+
+      await allowApiToken('vpn:profile:read')(req, makeRes(), next);
+
+      expect(next.calledOnce).to.be.true;
+      expect(req.user.apiTokenId).to.equal(5);
+    });
+
+    it('should fall back to login tokens', async function() {
+      sinon.stub(User, 'getTokenVersion').resolves(0);
+      const req = { headers: { authorization: `Bearer ${sessionService.createAccessToken(user, 0, 3)}` } };
+      const next = sinon.spy();
+
+      await allowApiToken('vpn:profile:read')(req, makeRes(), next);
+
+      expect(next.calledOnce).to.be.true;
+      expect(req.user.apiTokenId).to.be.undefined;
+    });
+
+    it('should answer with the rejection status', async function() {
+      sinon.stub(ApiToken, 'findByHash').resolves(null);
+      const res = makeRes();
+      const next = sinon.spy();
+
+      await allowApiToken('vpn:profile:read')({ headers: { authorization: `Bearer ${rawToken}` } }, res, next);
+
+      expect(next.called).to.be.false;
+      expect(res.status.calledWith(401)).to.be.true;
+    });
+  });
+});
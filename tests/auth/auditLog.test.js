@@ -0,0 +1,151 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const pool = require('../../src/config/database');
+const AuditEvent = require('../../src/models/AuditEvent');
+const auditService = require('../../src/services/auditService');
+const permissionService = require('../../src/services/permissionService');
+const User = require('../../src/models/User');
+const adminController = require('../../src/controllers/adminController');
+
+/**
+ * Audit Log Unit Tests
+ * Tests the before/after diff, recording of events and the audit filters
+ */
+describe('Audit Log', function() {
+  const req = {
+    user: { id: 1, email: 'admin@example.com', role: 'admin' },
+    ip: '203.0.113.7',
+    get: (header) => (header === 'user-agent' ? 'Mozilla/5.0' : undefined)
+  };
+
+  afterEach(function() {
+    sinon.restore();
+  });
+
+  describe('diff', function() {
+    it('should return only the changed fields', function() {
+      const changes = auditService.diff(
+        { email: 'old@example.com', role: 'user', username: 'jdoe' },
+        { email: 'new@example.com', role: 'user', username: 'jdoe' }
+      );
+
+      expect(changes).to.deep.equal({
+        email: { before: 'old@example.com', after: 'new@example.com' }
+      });
+    });
+
+    it('should skip fields missing from a partial update', function() {
+      const changes = auditService.diff(
+        { email: 'a@example.com', role: 'user', email_verified: 0 },
+        { role: 'helpdesk', email_verified: false },
+        ['email', 'role', 'email_verified']
+      );
+
+      expect(changes).to.deep.equal({ role: { before: 'user', after: 'helpdesk' } });
+    });
+
+    it('should record every field of created and deleted targets', function() {
+      expect(auditService.diff(null, { name: 'Contractors', priority: 10 })).to.deep.equal({
+        name: { before: null, after: 'Contractors' },
+        priority: { before: null, after: 10 }
+      });
+      expect(auditService.diff({ name: 'Contractors' }, null)).to.deep.equal({
+        name: { before: 'Contractors', after: null }
+      });
+    });
+
+    it('should never include secrets', function() {
+      const changes = auditService.diff(
+        { password: 'old-hash', reset_token: 'abc', email: 'a@example.com' },
+        { password: 'new-hash', reset_token: 'def', email: 'a@example.com' }
+      );
+
+      expect(changes).to.be.null;
+    });
+  });
+
+  describe('record', function() {
+    it('should write the actor, target, changes, IP and user agent', async function() {
+      const createStub = sinon.stub(AuditEvent, 'create').resolves(42);
+
+      const id = await auditService.record(req, {
+        action: 'user.update',
+        targetType: 'user',
+        targetId: 7,
+        targetLabel: 'jdoe@example.com',
+        before: { role: 'user' },
+        after: { role: 'auditor' }
+      });
+
+      expect(id).to.equal(42);
+      expect(createStub.firstCall.args[0]).to.deep.include({
+        actorId: 1,
+        actorEmail: 'admin@example.com',
+        actorRole: 'admin',
+        action: 'user.update',
+        targetType: 'user',
+        targetId: 7,
+        targetLabel: 'jdoe@example.com',
+        changes: { role: { before: 'user', after: 'auditor' } },
+        ipAddress: '203.0.113.7',
+        userAgent: 'Mozilla/5.0'
+      });
+    });
+
+    it('should not fail the action when the event cannot be written', async function() {
+      sinon.stub(AuditEvent, 'create').rejects(new Error('Table does not exist'));
+
+      const id = await auditService.record(req, { action: 'scheduler.stop' });
+
+      expect(id).to.be.null;
+    });
+  });
+
+  describe('AuditEvent filters', function() {
+    it('should match an action prefix ending in a dot', function() {
+      const { whereClause, values } = AuditEvent.buildFilters({ action: 'user.', actor_id: 1 });
+
+      expect(whereClause).to.equal('WHERE actor_id = ? AND action LIKE ?');
+      expect(values).to.deep.equal([1, 'user.%']);
+    });
+
+    it('should export matching events oldest first', async function() {
+      const executeStub = sinon.stub(pool, 'execute').resolves([[
+        { id: 1, action: 'user.update', changes: '{"role":{"before":"user","after":"admin"}}', metadata: null }
+      ]]);
+
+      const events = await AuditEvent.findForExport({ target_type: 'user', target_id: 7 });
+
+      expect(executeStub.firstCall.args[0]).to.match(/ORDER BY created_at ASC/);
+      expect(executeStub.firstCall.args[1]).to.deep.equal(['user', '7']);
+      expect(events[0].changes).to.deep.equal({ role: { before: 'user', after: 'admin' } });
+    });
+  });
+
+  describe('user changes', function() {
+    it('should record a changed full name as the user name', async function() {
+      const user = { id: 7, username: 'jdoe', name: 'John Doe', email: 'jdoe@example.com', role: 'user', email_verified: 1, static_ip: null };
+      sinon.stub(User, 'findById').resolves(user);
+      const updateStub = sinon.stub(User, 'updateProfile').resolves(user);
+      const createStub = sinon.stub(AuditEvent, 'create').resolves(42);
+      const res = { json: sinon.stub() };
+      const next = sinon.spy();
+
+      await adminController.updateUser({ ...req, params: { id: '7' }, body: { full_name: 'John A. Doe' } }, res, next);
+
+      expect(next.called).to.be.false;
+      expect(updateStub.firstCall.args[1]).to.deep.equal({ name: 'John A. Doe' });
+      expect(createStub.firstCall.args[0].changes).to.deep.equal({
+        name: { before: 'John Doe', after: 'John A. Doe' }
+      });
+    });
+  });
+
+  describe('permissions', function() {
+    it('should let auditors and administrators read the audit log', function() {
+      expect(permissionService.hasPermission('auditor', 'audit:read')).to.be.true;
+      expect(permissionService.hasPermission('admin', 'audit:read')).to.be.true;
+      expect(permissionService.hasPermission('helpdesk', 'audit:read')).to.be.false;
+    });
+  });
+});
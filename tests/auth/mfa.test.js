@@ -0,0 +1,189 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const totp = require('../../src/utils/totp');
+const mfaService = require('../../src/services/mfaService');
+const UserMfa = require('../../src/models/UserMfa');
+const SecuritySetting = require('../../src/models/SecuritySetting');
+const User = require('../../src/models/User');
+const authController = require('../../src/controllers/authController');
+const { verifyToken, verifyMfaEnrollment } = require('../../src/middleware/authMiddleware');
+
+/**
+ * Two-Factor Authentication Unit Tests
+ * Tests TOTP codes, recovery codes and the tokens of the second login step
+ */
+describe('Two-Factor Authentication', function() {
+  // RFC 6238 test secret ("12345678901234567890")
+  const secret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+  const user = { id: 7, email: 'alice@example.com', role: 'admin', name: 'alice' };
+
+  afterEach(function() {
+    sinon.restore();
+  });
+
+  describe('totp', function() {
+    it('should round-trip base32', function() {
+      const bytes = Buffer.from('12345678901234567890');
+      expect(totp.base32Encode(bytes)).to.equal(secret);
+      expect(totp.base32Decode(secret).equals(bytes)).to.be.true;
+    });
+
+    it('should match the RFC 6238 test vectors', function() {
+      expect(totp.generateCode(secret, totp.getTimeStep(59 * 1000))).to.equal('287082');
+      expect(totp.generateCode(secret, totp.getTimeStep(1111111109 * 1000))).to.equal('081804');
+    });
+
+    it('should accept codes of adjacent steps', function() {
+      const timestamp = 1111111109 * 1000;
+      const previous = totp.generateCode(secret, totp.getTimeStep(timestamp) - 1);
+
+      expect(totp.verifyCode(secret, previous, { timestamp })).to.equal(totp.getTimeStep(timestamp) - 1);
+      expect(totp.verifyCode(secret, '000000', { timestamp })).to.be.null;
+      expect(totp.verifyCode(secret, 'abc', { timestamp })).to.be.null;
+    });
+
+    it('should reject codes of steps already used', function() {
+      const timestamp = 1111111109 * 1000;
+      const step = totp.getTimeStep(timestamp);
+
+      expect(totp.verifyCode(secret, '081804', { timestamp, lastUsedStep: step })).to.be.null;
+    });
+
+    it('should build an otpauth URI', function() {
+      const uri = totp.buildOtpAuthUri({ secret, account: 'alice@example.com', issuer: 'VPN' });
+
+      expect(uri).to.match(/^otpauth:\/\/totp\/VPN%3Aalice%40example\.com\?/);
+      expect(uri).to.include(`secret=${secret}`);
+      expect(uri).to.include('issuer=VPN');
+    });
+  });
+
+  describe('mfaService', function() {
+    it('should encrypt secrets', function() {
+      const encrypted = mfaService.encryptSecret(secret);
+
+      expect(encrypted).to.not.include(secret);
+      expect(mfaService.decryptSecret(encrypted)).to.equal(secret);
+    });
+
+    it('should hash recovery codes regardless of format', function() {
+      const [code] = mfaService.generateRecoveryCodes();
+
+      expect(code).to.match(/^[0-9a-f]{5}-[0-9a-f]{5}$/);
+      expect(mfaService.hashRecoveryCode(code.toUpperCase().replace('-', ' ')))
+        .to.equal(mfaService.hashRecoveryCode(code));
+    });
+
+    it('should ask for a code when two-factor authentication is enabled', async function() {
+      sinon.stub(UserMfa, 'isEnabled').resolves(true);
+
+      expect(await mfaService.getLoginStep(user)).to.equal('mfa_pending');
+    });
+
+    it('should require enrollment of admins when the policy is on', async function() {
+      sinon.stub(UserMfa, 'isEnabled').resolves(false);
+      sinon.stub(SecuritySetting, 'get').resolves('true');
+
+      expect(await mfaService.getLoginStep(user)).to.equal('mfa_enroll');
+      expect(await mfaService.getLoginStep({ ...user, role: 'user' })).to.be.null;
+    });
+
+    it('should verify a current code once', async function() {
+      sinon.stub(UserMfa, 'findByUserId').resolves({
+        user_id: 7,
+        secret_encrypted: mfaService.encryptSecret(secret),
+        enabled_at: new Date(),
+        last_used_step: null
+      });
+      const markStub = sinon.stub(UserMfa, 'markStepUsed').resolves(true);
+      const code = totp.generateCode(secret, totp.getTimeStep());
+
+      expect(await mfaService.verifyLogin(7, { code })).to.equal('totp');
+      expect(markStub.calledOnce).to.be.true;
+
+      markStub.resolves(false);
+      expect(await mfaService.verifyLogin(7, { code })).to.be.null;
+    });
+
+    it('should accept an unused recovery code', async function() {
+      sinon.stub(UserMfa, 'isEnabled').resolves(true);
+      const useStub = sinon.stub(UserMfa, 'useRecoveryCode').resolves(true);
+
+      expect(await mfaService.verifyLogin(7, { recoveryCode: 'abcde-12345' })).to.equal('recovery_code');
+      expect(useStub.calledWith(7, mfaService.hashRecoveryCode('abcde12345'))).to.be.true;
+    });
+
+    it('should only accept tokens of the expected type', function() {
+      const token = mfaService.createMfaToken(user, 'mfa_pending');
+
+      expect(mfaService.verifyMfaToken(token, 'mfa_pending').id).to.equal(7);
+      expect(mfaService.verifyMfaToken(token, 'mfa_enroll')).to.be.null;
+      expect(mfaService.verifyMfaToken('garbage', 'mfa_pending')).to.be.null;
+    });
+  });
+
+  describe('verifyMfaLogin', function() {
+    it('should refuse accounts disabled since the password step', async function() {
+      sinon.stub(User, 'findById').resolves({ ...user, disabled_at: new Date() });
+      const verifyStub = sinon.stub(mfaService, 'verifyLogin').resolves('totp');
+      const res = {};
+      res.status = sinon.stub().returns(res);
+      res.json = sinon.stub().returns(res);
+
+      await authController.verifyMfaLogin({
+        body: { mfa_token: mfaService.createMfaToken(user, 'mfa_pending'), code: '123456' }
+      }, res, sinon.spy());
+
+      expect(res.status.calledWith(403)).to.be.true;
+      expect(res.json.firstCall.args[0]).to.deep.equal({
+        success: false,
+        message: 'Your account has been disabled',
+        code: 'ACCOUNT_DISABLED'
+      });
+      // Recovery codes are not used up by disabled accounts
+      expect(verifyStub.called).to.be.false;
+    });
+  });
+
+  describe('authMiddleware', function() {
+    const makeRes = () => {
+      const res = {};
+      res.status = sinon.stub().returns(res);
+      res.json = sinon.stub().returns(res);
+      return res;
+    };
+
+    it('should not accept second-step tokens as session tokens', function() {
+      const req = { headers: { authorization: `Bearer ${mfaService.createMfaToken(user, 'mfa_pending')}` } };
+      const res = makeRes();
+      const next = sinon.spy();
+
+      verifyToken(req, res, next);
+
+      expect(next.called).to.be.false;
+      expect(res.status.calledWith(401)).to.be.true;
+    });
+
+    it('should accept enrollment tokens on enrollment routes', function() {
+      const req = { headers: { authorization: `Bearer ${mfaService.createMfaToken(user, 'mfa_enroll')}` } };
+      const next = sinon.spy();
+
+      verifyMfaEnrollment(req, makeRes(), next);
+
+      expect(next.calledOnce).to.be.true;
+      expect(req.mfaEnrollment).to.be.true;
+      expect(req.user.id).to.equal(7);
+    });
+
+    it('should not accept pending tokens on enrollment routes', function() {
+      const req = { headers: { authorization: `Bearer ${mfaService.createMfaToken(user, 'mfa_pending')}` } };
+      const res = makeRes();
+      const next = sinon.spy();
+
+      verifyMfaEnrollment(req, res, next);
+
+      expect(next.called).to.be.false;
+      expect(res.status.calledWith(401)).to.be.true;
+    });
+  });
+});
@@ -0,0 +1,375 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const oidcService = require('../../src/services/oidcService');
+const sessionService = require('../../src/services/sessionService');
+const mfaService = require('../../src/services/mfaService');
+const openvpnUserSync = require('../../src/services/openvpnUserSync');
+const revocationService = require('../../src/services/revocationService');
+const openvpnProfileService = require('../../src/services/openvpnProfileService');
+const deviceEnrollmentService = require('../../src/services/deviceEnrollmentService');
+const authController = require('../../src/controllers/authController');
+const vpnProfileController = require('../../src/controllers/vpnProfileController');
+const User = require('../../src/models/User');
+const UserIdentity = require('../../src/models/UserIdentity');
+const OidcLoginRequest = require('../../src/models/OidcLoginRequest');
+const { startMockOidcProvider } = require('../helpers/mockOidcProvider');
+
+/**
+ * Capture the JSON response of a controller
+ */
+const mockResponse = () => {
+  const res = { statusCode: 200, body: null, headers: {} };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  res.setHeader = (name, value) => { res.headers[name] = value; return res; };
+  res.send = (body) => { res.body = body; return res; };
+  return res;
+};
+
+const expectAppError = async (promise, statusCode, code) => {
+  let error;
+  try {
+    await promise;
+  } catch (err) {
+    error = err;
+  }
+  expect(error, 'expected an error').to.exist;
+  expect(error.statusCode).to.equal(statusCode);
+  expect(error.code).to.equal(code);
+};
+
+/**
+ * OIDC Single Sign-On Unit Tests
+ * Tests the authorization code flow against the mock provider, account
+ * provisioning and linking, and the role mapping
+ */
+describe('OIDC Single Sign-On', function() {
+  this.timeout(10000);
+
+  let provider;
+  let originalConfig;
+  let loginRequests;
+
+  before(async function() {
+    provider = await startMockOidcProvider({ clientId: 'vpn-portal', clientSecret: 'portal-secret' });
+  });
+
+  after(async function() {
+    await provider.close();
+  });
+
+  const configure = (env = {}) => {
+    oidcService.config = oidcService.loadConfig({
+      OIDC_ENABLED: 'true',
+      OIDC_ISSUER: provider.issuer,
+      OIDC_CLIENT_ID: 'vpn-portal',
+      OIDC_CLIENT_SECRET: 'portal-secret',
+      OIDC_REDIRECT_URI: 'https://vpn.example.com/login',
+      OIDC_ROLE_MAPPING: JSON.stringify({ 'vpn-admins': 'admin', 'vpn-helpdesk': 'helpdesk' }),
+      ...env
+    });
+    oidcService.metadata = null;
+    oidcService.keys = new Map();
+    oidcService.keysFetchedAt = 0;
+  };
+
+  beforeEach(function() {
+    originalConfig = oidcService.config;
+    configure();
+
+    // Pending sign-ins are kept in memory instead of oidc_login_requests
+    loginRequests = new Map();
+    sinon.stub(OidcLoginRequest, 'create').callsFake(async (request) => {
+      loginRequests.set(request.stateHash, request);
+    });
+    sinon.stub(OidcLoginRequest, 'consume').callsFake(async (stateHash) => {
+      const request = loginRequests.get(stateHash);
+      loginRequests.delete(stateHash);
+      return request ? { code_verifier: request.codeVerifier, nonce: request.nonce } : null;
+    });
+    sinon.stub(OidcLoginRequest, 'deleteExpired').resolves(0);
+  });
+
+  afterEach(function() {
+    sinon.restore();
+    oidcService.config = originalConfig;
+    provider.setIdTokenOverrides({});
+  });
+
+  const signIn = async () => {
+    const { authorizationUrl } = await oidcService.createAuthorizationRequest();
+    const { code, state } = await provider.authorize(authorizationUrl);
+    return oidcService.completeLogin({ code, state });
+  };
+
+  describe('authorization code flow', function() {
+    it('should send a PKCE challenge and the state to the provider', async function() {
+      const { authorizationUrl, state } = await oidcService.createAuthorizationRequest();
+      const url = new URL(authorizationUrl);
+
+      expect(url.origin).to.equal(provider.issuer);
+      expect(url.searchParams.get('client_id')).to.equal('vpn-portal');
+      expect(url.searchParams.get('redirect_uri')).to.equal('https://vpn.example.com/login');
+      expect(url.searchParams.get('code_challenge_method')).to.equal('S256');
+      expect(url.searchParams.get('state')).to.equal(state);
+      expect(loginRequests.has(sessionService.hashToken(state))).to.be.true;
+    });
+
+    it('should exchange the code and return the verified claims with userinfo', async function() {
+      provider.setUser(
+        { sub: 'kc-42', email: 'JDoe@Example.com', email_verified: true, name: 'Jane Doe' },
+        { groups: ['vpn-admins'] }
+      );
+
+      const claims = await signIn();
+      const tokenRequest = provider.tokenRequests[provider.tokenRequests.length - 1];
+
+      expect(claims).to.include({ sub: 'kc-42', email: 'JDoe@Example.com', iss: provider.issuer });
+      expect(claims.groups).to.deep.equal(['vpn-admins']);
+      expect(tokenRequest.headers.authorization).to.match(/^Basic /);
+      expect(tokenRequest.body.code_verifier).to.have.length(43);
+    });
+
+    it('should not accept a state twice', async function() {
+      const { authorizationUrl } = await oidcService.createAuthorizationRequest();
+      const { code, state } = await provider.authorize(authorizationUrl);
+
+      await oidcService.completeLogin({ code, state });
+      await expectAppError(oidcService.completeLogin({ code, state }), 400, 'OIDC_STATE_INVALID');
+    });
+
+    it('should reject an ID token with another nonce', async function() {
+      provider.setIdTokenOverrides({ nonce: 'replayed' });
+
+      await expectAppError(signIn(), 401, 'OIDC_ID_TOKEN_INVALID');
+    });
+
+    it('should reject an ID token of another issuer', async function() {
+      provider.setIdTokenOverrides({ iss: 'https://evil.example.com' });
+
+      await expectAppError(signIn(), 401, 'OIDC_ID_TOKEN_INVALID');
+    });
+
+    it('should reject an ID token issued to another client', async function() {
+      provider.setIdTokenOverrides({ aud: 'other-app' });
+
+      await expectAppError(signIn(), 401, 'OIDC_ID_TOKEN_INVALID');
+    });
+
+    it('should fail when the provider rejects the client', async function() {
+      configure({ OIDC_CLIENT_SECRET: 'wrong-secret' });
+
+      await expectAppError(signIn(), 401, 'OIDC_LOGIN_FAILED');
+    });
+  });
+
+  describe('role mapping', function() {
+    it('should pick the most privileged mapped role', function() {
+      expect(oidcService.resolveRole({ groups: ['vpn-helpdesk', 'vpn-admins'] })).to.equal('admin');
+      expect(oidcService.resolveRole({ groups: 'vpn-helpdesk' })).to.equal('helpdesk');
+      expect(oidcService.resolveRole({ groups: ['staff'] })).to.equal('user');
+      expect(oidcService.resolveRole({})).to.equal('user');
+    });
+
+    it('should read nested claims', function() {
+      configure({ OIDC_ROLE_CLAIM: 'realm_access.roles', OIDC_DEFAULT_ROLE: 'auditor' });
+
+      expect(oidcService.resolveRole({ realm_access: { roles: ['vpn-admins'] } })).to.equal('admin');
+      expect(oidcService.resolveRole({ realm_access: {} })).to.equal('auditor');
+    });
+  });
+
+  describe('resolveUser', function() {
+    const claims = {
+      sub: 'kc-42',
+      email: 'JDoe@Example.com',
+      email_verified: true,
+      name: 'Jane Doe',
+      preferred_username: 'jdoe',
+      groups: ['vpn-helpdesk']
+    };
+
+    beforeEach(function() {
+      sinon.stub(UserIdentity, 'touch').resolves(true);
+      sinon.stub(UserIdentity, 'create').resolves(1);
+      sinon.stub(openvpnUserSync, 'syncSingleUser').resolves({});
+      sinon.stub(sessionService, 'revokeAllForUser').resolves(1);
+    });
+
+    it('should create an unknown user with a free username and the mapped role', async function() {
+      sinon.stub(UserIdentity, 'findBySubject').resolves(null);
+      sinon.stub(User, 'findByEmail').resolves(null);
+      sinon.stub(User, 'isUsernameTaken').callsFake(async username => username === 'jdoe');
+      const createStub = sinon.stub(User, 'createFromIdentityProvider').resolves(12);
+      sinon.stub(User, 'findById').resolves({ id: 12, email: 'jdoe@example.com', auth_source: 'oidc' });
+
+      const result = await oidcService.resolveUser(claims);
+
+      expect(result.created).to.be.true;
+      expect(createStub.firstCall.args[0]).to.deep.equal({
+        username: 'jdoe-2',
+        email: 'jdoe@example.com',
+        name: 'Jane Doe',
+        role: 'helpdesk',
+        emailVerified: true
+      });
+      expect(UserIdentity.create.firstCall.args[0]).to.deep.equal({
+        userId: 12, provider: provider.issuer, subject: 'kc-42', email: 'jdoe@example.com'
+      });
+      expect(openvpnUserSync.syncSingleUser.calledWith(12)).to.be.true;
+    });
+
+    it('should link an existing account by verified email', async function() {
+      sinon.stub(UserIdentity, 'findBySubject').resolves(null);
+      sinon.stub(User, 'findByEmail').resolves({ id: 5, email: 'jdoe@example.com', email_verified: 0, auth_source: 'local', role: 'user' });
+      const updateStub = sinon.stub(User, 'updateProfile').resolves({});
+      sinon.stub(User, 'findById').resolves({ id: 5, email: 'jdoe@example.com', auth_source: 'local', role: 'user' });
+      const createStub = sinon.stub(User, 'createFromIdentityProvider');
+
+      const result = await oidcService.resolveUser(claims);
+
+      expect(result.linked).to.be.true;
+      expect(result.user.role).to.equal('user');
+      expect(UserIdentity.create.firstCall.args[0]).to.include({ userId: 5, subject: 'kc-42' });
+      expect(updateStub.calledWith(5, { email_verified: true })).to.be.true;
+      expect(createStub.called).to.be.false;
+    });
+
+    it('should not link an account by an unverified email', async function() {
+      sinon.stub(UserIdentity, 'findBySubject').resolves(null);
+      sinon.stub(User, 'findByEmail').resolves({ id: 5, email: 'jdoe@example.com', email_verified: 1 });
+
+      await expectAppError(
+        oidcService.resolveUser({ ...claims, email_verified: false }),
+        403,
+        'OIDC_EMAIL_NOT_VERIFIED'
+      );
+      expect(UserIdentity.create.called).to.be.false;
+    });
+
+    it('should not create users when provisioning is off', async function() {
+      configure({ OIDC_AUTO_PROVISION: 'false' });
+      sinon.stub(UserIdentity, 'findBySubject').resolves(null);
+      sinon.stub(User, 'findByEmail').resolves(null);
+
+      await expectAppError(oidcService.resolveUser(claims), 403, 'OIDC_ACCOUNT_NOT_FOUND');
+    });
+
+    it('should update the role of a single sign-on user and end their sessions', async function() {
+      sinon.stub(UserIdentity, 'findBySubject').resolves({ id: 3, user_id: 12 });
+      sinon.stub(User, 'findById').resolves({ id: 12, email: 'jdoe@example.com', auth_source: 'oidc', role: 'user' });
+      const updateStub = sinon.stub(User, 'updateProfile').resolves({});
+
+      const result = await oidcService.resolveUser(claims);
+
+      expect(result.user.role).to.equal('helpdesk');
+      expect(updateStub.calledWith(12, { role: 'helpdesk' })).to.be.true;
+      expect(sessionService.revokeAllForUser.calledWith(12, 'role_change')).to.be.true;
+      expect(UserIdentity.touch.calledWith(3, 'jdoe@example.com')).to.be.true;
+    });
+
+    it('should keep the role of linked local accounts', async function() {
+      sinon.stub(UserIdentity, 'findBySubject').resolves({ id: 3, user_id: 5 });
+      sinon.stub(User, 'findById').resolves({ id: 5, email: 'jdoe@example.com', auth_source: 'local', role: 'admin' });
+      const updateStub = sinon.stub(User, 'updateProfile');
+
+      const result = await oidcService.resolveUser(claims);
+
+      expect(result.user.role).to.equal('admin');
+      expect(updateStub.called).to.be.false;
+    });
+  });
+
+  describe('completeOidcLogin', function() {
+    const req = {
+      body: { code: 'code', state: 'state' },
+      ip: '203.0.113.7',
+      get: () => 'Mozilla/5.0'
+    };
+
+    it('should sign in users the provider created without email verification', async function() {
+      const user = { id: 12, email: 'jdoe@example.com', name: 'jdoe', role: 'user', email_verified: 0, auth_source: 'oidc', disabled_at: null };
+      sinon.stub(oidcService, 'completeLogin').resolves({ sub: 'kc-42' });
+      sinon.stub(oidcService, 'resolveUser').resolves({ user, created: true, linked: false });
+      sinon.stub(mfaService, 'getLoginStep').resolves(null);
+      sinon.stub(sessionService, 'createSession').resolves({ token: 'access', refresh_token: 'refresh', expires_in: 900 });
+      const res = mockResponse();
+      const next = sinon.spy();
+
+      await authController.completeOidcLogin(req, res, next);
+
+      expect(next.called).to.be.false;
+      expect(res.body.data).to.include({ token: 'access', refresh_token: 'refresh' });
+      expect(res.body.data.user).to.include({ id: 12, role: 'user' });
+    });
+
+    it('should ask for the second factor like a password login', async function() {
+      const user = { id: 12, email: 'jdoe@example.com', role: 'admin', auth_source: 'oidc', disabled_at: null };
+      sinon.stub(oidcService, 'completeLogin').resolves({ sub: 'kc-42' });
+      sinon.stub(oidcService, 'resolveUser').resolves({ user, created: false, linked: false });
+      sinon.stub(mfaService, 'getLoginStep').resolves(mfaService.MFA_TOKEN_TYPES.PENDING);
+      const createSessionStub = sinon.stub(sessionService, 'createSession');
+      const res = mockResponse();
+
+      await authController.completeOidcLogin(req, res, sinon.spy());
+
+      expect(res.body.data.mfa_required).to.be.true;
+      expect(createSessionStub.called).to.be.false;
+    });
+
+    it('should refuse disabled accounts', async function() {
+      sinon.stub(oidcService, 'completeLogin').resolves({ sub: 'kc-42' });
+      sinon.stub(oidcService, 'resolveUser').resolves({
+        user: { id: 12, email: 'jdoe@example.com', disabled_at: new Date() },
+        created: false,
+        linked: false
+      });
+      const res = mockResponse();
+
+      await authController.completeOidcLogin(req, res, sinon.spy());
+
+      expect(res.statusCode).to.equal(403);
+      expect(res.body.code).to.equal('ACCOUNT_DISABLED');
+    });
+
+    it('should answer 404 when single sign-on is off', async function() {
+      configure({ OIDC_ENABLED: 'false' });
+      const res = mockResponse();
+
+      await authController.completeOidcLogin(req, res, sinon.spy());
+
+      expect(res.statusCode).to.equal(404);
+      expect(res.body.code).to.equal('OIDC_NOT_CONFIGURED');
+    });
+  });
+
+  describe('downloadProfile', function() {
+    it('should let single sign-on users download without email verification', async function() {
+      sinon.stub(User, 'findById').resolves({
+        id: 12, username: 'jdoe', email: 'jdoe@example.com', email_verified: 0, auth_source: 'oidc'
+      });
+      sinon.stub(deviceEnrollmentService, 'isApprovalRequired').resolves(false);
+      sinon.stub(revocationService, 'ensureApplied').resolves(true);
+      // Past the verification check the profile is fetched from the VPN server
+      const profileStub = sinon.stub(openvpnProfileService, 'getUserloginProfile').rejects(new Error('VPN server unreachable'));
+      const res = mockResponse();
+      const next = sinon.spy();
+
+      await vpnProfileController.downloadProfile({ user: { id: 12 }, query: {} }, res, next);
+
+      expect(res.statusCode).to.not.equal(403);
+      expect(profileStub.calledWith('jdoe')).to.be.true;
+    });
+
+    it('should still require verification from local users', async function() {
+      sinon.stub(User, 'findById').resolves({
+        id: 5, username: 'jdoe', email: 'jdoe@example.com', email_verified: 0, auth_source: 'local'
+      });
+      const res = mockResponse();
+
+      await vpnProfileController.downloadProfile({ user: { id: 5 }, query: {} }, res, sinon.spy());
+
+      expect(res.statusCode).to.equal(403);
+    });
+  });
+});
@@ -0,0 +1,96 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const permissionService = require('../../src/services/permissionService');
+const apiTokenService = require('../../src/services/apiTokenService');
+const { requirePermission } = require('../../src/middleware/authMiddleware');
+
+/**
+ * Role-Based Access Control Unit Tests
+ * Tests the permission table and the requirePermission middleware
+ */
+describe('Role-Based Access Control', function() {
+  const makeRes = () => {
+    const res = {};
+    res.status = sinon.stub().returns(res);
+    res.json = sinon.stub().returns(res);
+    return res;
+  };
+
+  afterEach(function() {
+    sinon.restore();
+  });
+
+  describe('permissionService', function() {
+    it('should grant administrators every permission', function() {
+      Object.keys(permissionService.PERMISSIONS).forEach(permission => {
+        expect(permissionService.hasPermission('admin', permission)).to.be.true;
+      });
+    });
+
+    it('should let helpdesk reset passwords and view devices only', function() {
+      expect(permissionService.hasPermission('helpdesk', 'users:reset-password')).to.be.true;
+      expect(permissionService.hasPermission('helpdesk', 'users:resend-verification')).to.be.true;
+      expect(permissionService.hasPermission('helpdesk', 'devices:read')).to.be.true;
+      expect(permissionService.hasPermission('helpdesk', 'users:write')).to.be.false;
+      expect(permissionService.hasPermission('helpdesk', 'sync:run')).to.be.false;
+    });
+
+    it('should let network operators manage LAN networks and run sync', function() {
+      expect(permissionService.hasPermission('network-operator', 'lan-networks:write')).to.be.true;
+      expect(permissionService.hasPermission('network-operator', 'sync:run')).to.be.true;
+      expect(permissionService.hasPermission('network-operator', 'users:reset-password')).to.be.false;
+    });
+
+    it('should give auditors every read permission and nothing else', function() {
+      const permissions = permissionService.getPermissions('auditor');
+
+      expect(permissions).to.include.members(['users:read', 'usage:read', 'sync:read', 'qos:read']);
+      expect(permissions.every(permission => permission.endsWith(':read'))).to.be.true;
+    });
+
+    it('should deny regular users and unknown roles', function() {
+      expect(permissionService.hasPermission('user', 'users:read')).to.be.false;
+      expect(permissionService.hasPermission('superuser', 'users:read')).to.be.false;
+      expect(permissionService.getPermissions('superuser')).to.deep.equal([]);
+      expect(permissionService.isValidRole('superuser')).to.be.false;
+      expect(permissionService.isStaffRole('auditor')).to.be.true;
+    });
+  });
+
+  describe('requirePermission', function() {
+    it('should call next when the role has the permission', function() {
+      const next = sinon.spy();
+
+      requirePermission('devices:read')({ user: { email: 'help@example.com', role: 'helpdesk' } }, makeRes(), next);
+
+      expect(next.calledOnce).to.be.true;
+    });
+
+    it('should answer 403 when the role lacks the permission', function() {
+      const res = makeRes();
+      const next = sinon.spy();
+
+      requirePermission('users:write')({ user: { email: 'audit@example.com', role: 'auditor' } }, res, next);
+
+      expect(next.called).to.be.false;
+      expect(res.status.calledWith(403)).to.be.true;
+      expect(res.json.firstCall.args[0]).to.include({ code: 'PERMISSION_DENIED', required_permission: 'users:write' });
+    });
+
+    it('should answer 500 when used without authentication', function() {
+      const res = makeRes();
+
+      requirePermission('users:read')({}, res, sinon.spy());
+
+      expect(res.status.calledWith(500)).to.be.true;
+    });
+  });
+
+  describe('API token scopes', function() {
+    it('should follow the permissions of the owner\'s role', function() {
+      expect(apiTokenService.getGrantableScopes({ role: 'network-operator' })).to.include('admin:sync');
+      expect(apiTokenService.getGrantableScopes({ role: 'auditor' })).to.include('admin:sync');
+      expect(apiTokenService.getGrantableScopes({ role: 'helpdesk' })).to.not.include('admin:sync');
+    });
+  });
+});
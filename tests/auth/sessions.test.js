@@ -0,0 +1,182 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const jwt = require('jsonwebtoken');
+const sessionService = require('../../src/services/sessionService');
+const User = require('../../src/models/User');
+const UserSession = require('../../src/models/UserSession');
+const { verifyToken } = require('../../src/middleware/authMiddleware');
+
+/**
+ * Session Unit Tests
+ * Tests access tokens, refresh token rotation and the token version check
+ */
+describe('Sessions', function() {
+  const user = { id: 7, email: 'alice@example.com', role: 'user', name: 'alice', email_verified: 1 };
+  const refreshToken = 'a'.repeat(64);
+
+  const activeSession = (overrides = {}) => ({
+    id: 3,
+    user_id: 7,
+    refresh_token_hash: sessionService.hashToken(refreshToken),
+    expires_at: new Date(Date.now() + 60 * 60 * 1000),
+    revoked_at: null,
+    is_previous_token: false,
+    ...overrides
+  });
+
+  afterEach(function() {
+    sinon.restore();
+  });
+
+  describe('createSession', function() {
+    it('should store the hashed refresh token and embed the token version', async function() {
+      sinon.stub(User, 'getTokenVersion').resolves(4);
+      const createStub = sinon.stub(UserSession, 'create').resolves(12);
+
+      const result = await sessionService.createSession(user, { ipAddress: '10.0.0.1', userAgent: 'test' });
+
+      expect(result.refresh_token).to.match(/^[a-f0-9]{64}$/);
+      expect(createStub.firstCall.args[0].refreshTokenHash).to.equal(sessionService.hashToken(result.refresh_token));
+      expect(createStub.firstCall.args[0].ipAddress).to.equal('10.0.0.1');
+
+      const decoded = jwt.decode(result.token);
+      expect(decoded).to.include({ id: 7, tv: 4, sid: 12 });
+      expect(result.expires_in).to.equal(decoded.exp - decoded.iat);
+    });
+  });
+
+  describe('refresh', function() {
+    it('should rotate the refresh token', async function() {
+      sinon.stub(UserSession, 'findByTokenHash').resolves(activeSession());
+      sinon.stub(User, 'findById').resolves(user);
+      sinon.stub(User, 'getTokenVersion').resolves(0);
+      const rotateStub = sinon.stub(UserSession, 'rotate').resolves(true);
+
+      const result = await sessionService.refresh(refreshToken);
+
+      expect(result.refresh_token).to.not.equal(refreshToken);
+      expect(rotateStub.firstCall.args.slice(0, 3)).to.deep.equal([
+        3,
+        sessionService.hashToken(refreshToken),
+        sessionService.hashToken(result.refresh_token)
+      ]);
+      expect(result.user.id).to.equal(7);
+      expect(jwt.decode(result.token).sid).to.equal(3);
+    });
+
+    it('should revoke the session when a replaced token is used again', async function() {
+      sinon.stub(UserSession, 'findByTokenHash').resolves(activeSession({ is_previous_token: true }));
+      const revokeStub = sinon.stub(UserSession, 'revoke').resolves(true);
+
+      expect(await sessionService.refresh(refreshToken)).to.be.null;
+      expect(revokeStub.calledWith(3, 'token_reuse')).to.be.true;
+    });
+
+    it('should revoke the session when another request rotated the token first', async function() {
+      sinon.stub(UserSession, 'findByTokenHash').resolves(activeSession());
+      sinon.stub(User, 'findById').resolves(user);
+      sinon.stub(UserSession, 'rotate').resolves(false);
+      const revokeStub = sinon.stub(UserSession, 'revoke').resolves(true);
+
+      expect(await sessionService.refresh(refreshToken)).to.be.null;
+      expect(revokeStub.calledWith(3, 'token_reuse')).to.be.true;
+    });
+
+    it('should reject revoked, expired and unknown tokens', async function() {
+      const findStub = sinon.stub(UserSession, 'findByTokenHash');
+      const rotateStub = sinon.stub(UserSession, 'rotate');
+
+      findStub.resolves(activeSession({ revoked_at: new Date() }));
+      expect(await sessionService.refresh(refreshToken)).to.be.null;
+
+      findStub.resolves(activeSession({ expires_at: new Date(Date.now() - 1000) }));
+      expect(await sessionService.refresh(refreshToken)).to.be.null;
+
+      findStub.resolves(null);
+      expect(await sessionService.refresh(refreshToken)).to.be.null;
+
+      expect(rotateStub.called).to.be.false;
+    });
+
+    it('should end the session of a deleted user', async function() {
+      sinon.stub(UserSession, 'findByTokenHash').resolves(activeSession());
+      sinon.stub(User, 'findById').resolves(null);
+      const revokeStub = sinon.stub(UserSession, 'revoke').resolves(true);
+
+      expect(await sessionService.refresh(refreshToken)).to.be.null;
+      expect(revokeStub.calledWith(3, 'user_deleted')).to.be.true;
+    });
+  });
+
+  describe('logout', function() {
+    it('should revoke the session of the token', async function() {
+      sinon.stub(UserSession, 'findByTokenHash').resolves(activeSession());
+      const revokeStub = sinon.stub(UserSession, 'revoke').resolves(true);
+
+      expect(await sessionService.logout(refreshToken)).to.be.true;
+      expect(revokeStub.calledWith(3, 'logout')).to.be.true;
+    });
+
+    it('should revoke all sessions and access tokens with all', async function() {
+      sinon.stub(UserSession, 'findByTokenHash').resolves(activeSession());
+      const versionStub = sinon.stub(User, 'incrementTokenVersion').resolves(true);
+      const revokeAllStub = sinon.stub(UserSession, 'revokeAllByUserId').resolves(2);
+
+      expect(await sessionService.logout(refreshToken, { all: true })).to.be.true;
+      expect(versionStub.calledWith(7)).to.be.true;
+      expect(revokeAllStub.calledWith(7, 'logout_all')).to.be.true;
+    });
+
+    it('should ignore replaced tokens', async function() {
+      sinon.stub(UserSession, 'findByTokenHash').resolves(activeSession({ is_previous_token: true }));
+      const revokeStub = sinon.stub(UserSession, 'revoke');
+
+      expect(await sessionService.logout(refreshToken)).to.be.false;
+      expect(revokeStub.called).to.be.false;
+    });
+  });
+
+  describe('verifyToken', function() {
+    const makeRes = () => {
+      const res = {};
+      res.status = sinon.stub().returns(res);
+      res.json = sinon.stub().returns(res);
+      return res;
+    };
+
+    it('should accept tokens of the current version', async function() {
+      sinon.stub(User, 'getTokenVersion').resolves(2);
+      const req = { headers: { authorization: `Bearer ${sessionService.createAccessToken(user, 2, 3)}` } };
+      const next = sinon.spy();
+
+      await verifyToken(req, makeRes(), next);
+
+      expect(next.calledOnce).to.be.true;
+      expect(req.user).to.include({ id: 7, sessionId: 3 });
+    });
+
+    it('should reject tokens of an older version', async function() {
+      sinon.stub(User, 'getTokenVersion').resolves(3);
+      const req = { headers: { authorization: `Bearer ${sessionService.createAccessToken(user, 2, 3)}` } };
+      const res = makeRes();
+      const next = sinon.spy();
+
+      await verifyToken(req, res, next);
+
+      expect(next.called).to.be.false;
+      expect(res.status.calledWith(401)).to.be.true;
+      expect(res.json.firstCall.args[0].code).to.equal('TOKEN_REVOKED');
+    });
+
+    it('should reject tokens without a version', async function() {
+      const getVersionStub = sinon.stub(User, 'getTokenVersion').resolves(0);
+      const legacy = jwt.sign({ id: 7, email: user.email, role: 'user' }, process.env.JWT_SECRET);
+      const res = makeRes();
+
+      await verifyToken({ headers: { authorization: `Bearer ${legacy}` } }, res, sinon.spy());
+
+      expect(res.status.calledWith(401)).to.be.true;
+      expect(getVersionStub.called).to.be.false;
+    });
+  });
+});
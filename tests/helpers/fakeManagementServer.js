@@ -0,0 +1,169 @@
+const net = require('net');
+
+/**
+ * Fake OpenVPN Management Interface
+ * Speaks enough of the management protocol for tests and local development
+ * of the community backend: the password prompt, the >INFO greeting,
+ * "status 3", kill, client-kill, client-auth-nt, bytecount and signal, plus
+ * real-time notifications pushed with notify().
+ *
+ * In tests:
+ *   const server = await startFakeManagementServer({ password: 'secret' });
+ *   const client = new ManagementClient({ port: server.port, password: 'secret' });
+ *   server.notify(['>CLIENT:ESTABLISHED,3', '>CLIENT:ENV,common_name=alice', '>CLIENT:ENV,END']);
+ *   ...
+ *   await server.close();
+ *
+ * Standalone (VPN_BACKEND=community, OPENVPN_MANAGEMENT_PORT=7505):
+ *   node tests/helpers/fakeManagementServer.js
+ */
+
+/**
+ * Status reported by default: alice on two devices, bob without auth-user-pass
+ */
+const DEFAULT_STATUS = [
+  'TITLE\tOpenVPN 2.6.12 x86_64-pc-linux-gnu',
+  'TIME\t2026-01-05 10:05:00\t1767607500',
+  'HEADER\tCLIENT_LIST\tCommon Name\tReal Address\tVirtual Address\tVirtual IPv6 Address\tBytes Received\tBytes Sent\tConnected Since\tConnected Since (time_t)\tUsername\tClient ID\tPeer ID\tData Channel Cipher',
+  'CLIENT_LIST\talice\t203.0.113.5:51000\t10.8.0.6\t\t100\t200\t2026-01-05 10:00:00\t1767607200\talice\t3\t0\tAES-256-GCM',
+  'CLIENT_LIST\talice-laptop\t203.0.113.6:51001\t10.8.0.7\t\t10\t20\t2026-01-05 10:01:00\t1767607260\talice\t4\t1\tAES-256-GCM',
+  'CLIENT_LIST\tbob\t198.51.100.2:1194\t10.8.0.8\t\t0\t0\t2026-01-05 10:02:00\t1767607320\tUNDEF\t5\t2\tAES-256-GCM',
+  'HEADER\tROUTING_TABLE\tVirtual Address\tCommon Name\tReal Address\tLast Ref\tLast Ref (time_t)',
+  'ROUTING_TABLE\t10.8.0.6\talice\t203.0.113.5:51000\t2026-01-05 10:04:00\t1767607440',
+  'GLOBAL_STATS\tMax bcast/mcast queue length\t0'
+];
+
+/**
+ * Start a fake management interface
+ * @param {Object} [options]
+ * @param {number} [options.port=0] - TCP port (0 for a free port)
+ * @param {string} [options.path] - Listen on this unix socket instead
+ * @param {string} [options.password] - Password to ask for
+ * @param {Array<string>} [options.status] - Lines of the "status 3" reply (without END)
+ * @returns {Promise<Object>} Server handle
+ */
+const startFakeManagementServer = (options = {}) => new Promise((resolve, reject) => {
+  const password = options.password || null;
+  const state = {
+    status: options.status || DEFAULT_STATUS,
+    commands: [],
+    sockets: new Set(), // greeted connections
+    allSockets: new Set()
+  };
+
+  const reply = (command) => {
+    const [name, ...args] = command.split(' ');
+
+    switch (name) {
+      case 'status':
+        return ['>BYTECOUNT_CLI:3,100,200', ...state.status, 'END'];
+      case 'kill':
+        return [`SUCCESS: common name '${args[0]}' found, 1 client(s) killed`];
+      case 'client-kill':
+        return ['SUCCESS: client-kill command succeeded'];
+      case 'client-auth-nt':
+        return ['SUCCESS: client-auth command succeeded'];
+      case 'bytecount':
+        return [`SUCCESS: bytecount interval changed`];
+      case 'signal':
+        return [`SUCCESS: signal ${args[0]} thrown`];
+      default:
+        return [`ERROR: unknown command [${command}], enter 'help' for more options`];
+    }
+  };
+
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let authenticated = !password;
+
+    const greet = () => {
+      state.sockets.add(socket);
+      socket.write('>INFO:OpenVPN Management Interface Version 5 -- type \'help\' for more info\r\n');
+    };
+
+    state.allSockets.add(socket);
+    socket.on('close', () => {
+      state.sockets.delete(socket);
+      state.allSockets.delete(socket);
+    });
+    socket.on('error', () => {});
+
+    if (password) {
+      socket.write('ENTER PASSWORD:');
+    } else {
+      greet();
+    }
+
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString();
+      let newline;
+      while ((newline = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.substring(0, newline).replace(/\r$/, '');
+        buffer = buffer.substring(newline + 1);
+
+        if (!authenticated) {
+          if (line !== password) {
+            socket.end('ERROR: bad password\r\n');
+            return;
+          }
+          authenticated = true;
+          socket.write('SUCCESS: password is correct\r\n');
+          greet();
+          continue;
+        }
+
+        state.commands.push(line);
+        socket.write(`${reply(line).join('\r\n')}\r\n`);
+      }
+    });
+  });
+
+  server.on('error', reject);
+  server.listen(options.path || options.port || 0, options.path ? undefined : '127.0.0.1', () => {
+    resolve({
+      port: options.path ? null : server.address().port,
+      path: options.path || null,
+      /** Commands received, in order */
+      commands: state.commands,
+      /** Number of open, greeted connections */
+      get connections() {
+        return state.sockets.size;
+      },
+      /** Replace the "status 3" reply */
+      setStatus(lines) {
+        state.status = lines;
+      },
+      /** Send notification lines to every connection */
+      notify(lines) {
+        for (const socket of state.sockets) {
+          socket.write(`${lines.join('\r\n')}\r\n`);
+        }
+      },
+      /** Drop every connection, as a server restart would */
+      dropConnections() {
+        for (const socket of state.sockets) {
+          socket.destroy();
+        }
+      },
+      close() {
+        return new Promise((done) => {
+          server.close(() => done());
+          for (const socket of state.allSockets) {
+            socket.destroy();
+          }
+        });
+      }
+    });
+  });
+});
+
+if (require.main === module) {
+  startFakeManagementServer({
+    port: parseInt(process.env.OPENVPN_MANAGEMENT_PORT || '7505', 10),
+    password: process.env.OPENVPN_MANAGEMENT_PASSWORD || null
+  }).then((server) => {
+    console.log(`Fake OpenVPN management interface listening on 127.0.0.1:${server.port}`);
+  });
+}
+
+module.exports = { startFakeManagementServer, DEFAULT_STATUS };
@@ -0,0 +1,220 @@
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Mock OpenID Connect Provider
+ * A minimal provider for tests and local development of single sign-on:
+ * discovery, JWKS, authorization (approves at once, as the configured user),
+ * token (authorization code with PKCE) and userinfo endpoints.
+ *
+ * In tests:
+ *   const provider = await startMockOidcProvider({ clientId: 'vpn-portal' });
+ *   provider.setUser({ sub: 'u1', email: 'jdoe@example.com', email_verified: true });
+ *   const { code, state } = await provider.authorize(authorizationUrl);
+ *   ...
+ *   await provider.close();
+ *
+ * Standalone (OIDC_ISSUER=http://127.0.0.1:4010, OIDC_CLIENT_ID=vpn-portal):
+ *   node tests/helpers/mockOidcProvider.js
+ * Sign in as another user with ?login_hint=<email> on the authorization URL.
+ */
+
+/**
+ * Start a mock provider
+ * @param {Object} [options]
+ * @param {number} [options.port=0] - Port (0 for a free port)
+ * @param {string} [options.clientId='vpn-portal'] - Accepted client ID
+ * @param {string} [options.clientSecret] - Client secret, a public client without it
+ * @param {Object} [options.user] - Claims of the signed-in user
+ * @param {Object} [options.userinfo] - Extra claims only returned from userinfo
+ * @returns {Promise<Object>} Provider handle
+ */
+const startMockOidcProvider = (options = {}) => new Promise((resolve, reject) => {
+  const clientId = options.clientId || 'vpn-portal';
+  const clientSecret = options.clientSecret || null;
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = crypto.randomBytes(8).toString('hex');
+
+  const codes = new Map();
+  const accessTokens = new Map();
+  const state = {
+    user: options.user || { sub: 'mock-user-1', email: 'jdoe@example.com', email_verified: true, name: 'Jane Doe' },
+    userinfo: options.userinfo || {},
+    idTokenOverrides: {},
+    tokenRequests: []
+  };
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  let issuer;
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      userinfo_endpoint: `${issuer}/userinfo`,
+      jwks_uri: `${issuer}/jwks`,
+      response_types_supported: ['code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      code_challenge_methods_supported: ['S256'],
+      token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none']
+    });
+  });
+
+  app.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }] });
+  });
+
+  app.get('/authorize', (req, res) => {
+    const { client_id: requestClientId, redirect_uri: redirectUri, response_type: responseType } = req.query;
+
+    if (requestClientId !== clientId || responseType !== 'code' || !redirectUri) {
+      return res.status(400).send('invalid_request');
+    }
+    if (req.query.code_challenge_method !== 'S256' || !req.query.code_challenge) {
+      return res.status(400).send('PKCE required');
+    }
+
+    const user = req.query.login_hint
+      ? { ...state.user, sub: `mock-${req.query.login_hint}`, email: req.query.login_hint }
+      : state.user;
+
+    const code = crypto.randomBytes(16).toString('hex');
+    codes.set(code, {
+      user,
+      redirectUri,
+      nonce: req.query.nonce,
+      codeChallenge: req.query.code_challenge
+    });
+
+    const location = new URL(redirectUri);
+    location.searchParams.set('code', code);
+    location.searchParams.set('state', req.query.state);
+    res.redirect(302, location.toString());
+  });
+
+  app.post('/token', (req, res) => {
+    state.tokenRequests.push({ headers: req.headers, body: req.body });
+
+    let requestClientId = req.body.client_id;
+    let requestSecret = req.body.client_secret;
+    const authorization = req.get('authorization');
+    if (authorization && authorization.startsWith('Basic ')) {
+      const [id, secret] = Buffer.from(authorization.substring(6), 'base64').toString().split(':');
+      requestClientId = decodeURIComponent(id);
+      requestSecret = decodeURIComponent(secret);
+    }
+
+    if (requestClientId !== clientId || (clientSecret && requestSecret !== clientSecret)) {
+      return res.status(401).json({ error: 'invalid_client' });
+    }
+
+    const grant = codes.get(req.body.code);
+    codes.delete(req.body.code);
+
+    const challenge = req.body.code_verifier
+      ? crypto.createHash('sha256').update(req.body.code_verifier).digest('base64url')
+      : null;
+
+    if (!grant || grant.redirectUri !== req.body.redirect_uri || grant.codeChallenge !== challenge) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    const accessToken = crypto.randomBytes(16).toString('hex');
+    accessTokens.set(accessToken, grant.user);
+
+    const idToken = jwt.sign(
+      { iss: issuer, aud: clientId, ...grant.user, nonce: grant.nonce, ...state.idTokenOverrides },
+      privateKey,
+      { algorithm: 'RS256', keyid: kid, expiresIn: '5m' }
+    );
+
+    res.json({ access_token: accessToken, token_type: 'Bearer', expires_in: 300, id_token: idToken });
+  });
+
+  app.get('/userinfo', (req, res) => {
+    const token = (req.get('authorization') || '').replace(/^Bearer /, '');
+    const user = accessTokens.get(token);
+    if (!user) {
+      return res.status(401).json({ error: 'invalid_token' });
+    }
+    res.json({ ...user, ...state.userinfo });
+  });
+
+  const server = app.listen(options.port || 0, '127.0.0.1', () => {
+    issuer = `http://127.0.0.1:${server.address().port}`;
+
+    resolve({
+      issuer,
+      clientId,
+      clientSecret,
+      tokenRequests: state.tokenRequests,
+
+      /**
+       * Set the claims of the user signing in next
+       */
+      setUser(user, userinfo = {}) {
+        state.user = user;
+        state.userinfo = userinfo;
+      },
+
+      /**
+       * Override claims of the next ID tokens (e.g. a wrong iss, aud or nonce)
+       */
+      setIdTokenOverrides(overrides) {
+        state.idTokenOverrides = overrides;
+      },
+
+      /**
+       * Follow an authorization URL like a browser would
+       * @returns {Promise<Object>} { code, state } of the redirect back to the client
+       */
+      async authorize(authorizationUrl) {
+        const response = await fetch(authorizationUrl, { redirect: 'manual' });
+        if (response.status !== 302) {
+          throw new Error(`Authorization failed: HTTP ${response.status} ${await response.text()}`);
+        }
+        const location = new URL(response.headers.get('location'));
+        return {
+          code: location.searchParams.get('code'),
+          state: location.searchParams.get('state'),
+          redirectUri: `${location.origin}${location.pathname}`
+        };
+      },
+
+      close() {
+        return new Promise((done) => {
+          server.close(() => done());
+          server.closeAllConnections();
+        });
+      }
+    });
+  });
+
+  server.on('error', reject);
+});
+
+if (require.main === module) {
+  startMockOidcProvider({
+    port: parseInt(process.env.MOCK_OIDC_PORT || '4010', 10),
+    clientId: process.env.OIDC_CLIENT_ID || 'vpn-portal',
+    clientSecret: process.env.OIDC_CLIENT_SECRET || null,
+    user: {
+      sub: 'mock-user-1',
+      email: process.env.MOCK_OIDC_EMAIL || 'jdoe@example.com',
+      email_verified: true,
+      name: 'Jane Doe',
+      preferred_username: 'jdoe',
+      groups: (process.env.MOCK_OIDC_GROUPS || '').split(',').filter(Boolean)
+    }
+  }).then((provider) => {
+    console.log(`Mock OIDC provider listening, issuer ${provider.issuer}`);
+    console.log(`Set OIDC_ISSUER=${provider.issuer} and OIDC_CLIENT_ID=${provider.clientId}`);
+  });
+}
+
+module.exports = { startMockOidcProvider };
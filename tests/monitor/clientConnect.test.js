@@ -0,0 +1,244 @@
+const express = require('express');
+const request = require('supertest');
+const { expect } = require('chai');
+const sinon = require('sinon');
+const openvpnClientConnect = require('../../src/services/openvpnClientConnect');
+const quotaEnforcer = require('../../src/services/quotaEnforcer');
+const vpnBackend = require('../../src/services/vpnBackend');
+const User = require('../../src/models/User');
+const Device = require('../../src/models/Device');
+const QosPolicy = require('../../src/models/QosPolicy');
+const UserLanNetwork = require('../../src/models/UserLanNetwork');
+const GroupLanNetwork = require('../../src/models/GroupLanNetwork');
+const openvpnRoutes = require('../../src/routes/openvpnRoutes');
+const { generalLimiter } = require('../../src/middleware/rateLimiter');
+
+/**
+ * Client-Connect Unit Tests
+ * Tests the per-user client configuration served to the OpenVPN
+ * client-connect hook and the refusal of disabled, deleted and over-quota users
+ */
+describe('Client Connect', function() {
+  let originalToken;
+  let users;
+
+  const network = (cidr, extra = {}) => {
+    const { networkIp, subnetMask } = UserLanNetwork.parseCIDR(cidr);
+    return { network_cidr: cidr, network_ip: networkIp, subnet_mask: subnetMask, enabled: 1, ...extra };
+  };
+
+  const quotaPolicy = (action) => ({
+    id: 3,
+    name: 'Capped',
+    bandwidth_limit: 8000,
+    daily_quota_mb: 100,
+    over_quota_action: action,
+    policy_source: 'user'
+  });
+
+  beforeEach(function() {
+    originalToken = process.env.CLIENT_CONNECT_TOKEN;
+    process.env.CLIENT_CONNECT_TOKEN = 'hook-secret';
+
+    users = {
+      alice: { id: 1, username: 'alice', email: 'alice@example.com', disabled_at: null, static_ip: '10.8.0.50' },
+      bob: { id: 2, username: 'bob', email: 'bob@example.com', disabled_at: new Date(), static_ip: null }
+    };
+
+    sinon.stub(User, 'findByVpnUsername').callsFake(async (name) =>
+      Object.values(users).find(user => user.username === name || user.email === name) || null);
+    sinon.stub(Device, 'findById').callsFake(async (id) => (id === 7 ? { id: 7, user_id: 1 } : { id, user_id: 99 }));
+    sinon.stub(QosPolicy, 'getEffectiveUserPolicy').resolves({ id: 1, name: 'Standard', bandwidth_limit: 10240, policy_source: 'default' });
+    sinon.stub(QosPolicy, 'getEffectiveDevicePolicy').resolves({ id: 2, name: 'Phone', bandwidth_limit: 2048, policy_source: 'device' });
+    sinon.stub(UserLanNetwork, 'findByUserId').resolves([network('192.168.10.0/24')]);
+    sinon.stub(GroupLanNetwork, 'findByUserId').resolves([
+      network('10.20.0.0/16', { group_name: 'Engineering' }),
+      network('10.20.0.0/16', { group_name: 'Ops' }),
+      network('192.168.10.0/24', { group_name: 'Ops' })
+    ]);
+
+    openvpnClientConnect.dnsServers = ['10.8.0.1', '1.1.1.1'];
+    openvpnClientConnect.dnsDomain = 'corp.example';
+  });
+
+  afterEach(function() {
+    sinon.restore();
+    openvpnClientConnect.dnsServers = [];
+    openvpnClientConnect.dnsDomain = '';
+    if (originalToken === undefined) {
+      delete process.env.CLIENT_CONNECT_TOKEN;
+    } else {
+      process.env.CLIENT_CONNECT_TOKEN = originalToken;
+    }
+  });
+
+  describe('authorizeClient', function() {
+    it('should build iroutes, routes, static address, DNS and shaper', async function() {
+      const result = await openvpnClientConnect.authorizeClient({ commonName: 'alice' });
+
+      expect(result.allowed).to.equal(true);
+      const lines = result.config.split('\n');
+      expect(lines).to.include('ifconfig-push 10.8.0.50 255.255.255.0');
+      expect(lines).to.include('iroute 192.168.10.0 255.255.255.0');
+      expect(lines).to.include('push "dhcp-option DNS 10.8.0.1"');
+      expect(lines).to.include('push "dhcp-option DNS 1.1.1.1"');
+      expect(lines).to.include('push "dhcp-option DOMAIN corp.example"');
+      // 10240 Kbps = 1280000 bytes per second
+      expect(lines).to.include('push "shaper 1280000"');
+
+      // Shared once, and the client's own network is not pushed back to it
+      const routes = lines.filter(line => line.startsWith('push "route'));
+      expect(routes).to.deep.equal(['push "route 10.20.0.0 255.255.0.0"']);
+    });
+
+    it('should prefer the username the client authenticated with', async function() {
+      const result = await openvpnClientConnect.authorizeClient({ commonName: 'client', username: 'alice@example.com' });
+
+      expect(result.allowed).to.equal(true);
+      expect(result.user.id).to.equal(1);
+    });
+
+    it('should use the device policy and no static address for device certificates', async function() {
+      const result = await openvpnClientConnect.authorizeClient({ commonName: 'alice-device-7' });
+
+      expect(result.allowed).to.equal(true);
+      expect(result.deviceId).to.equal(7);
+      expect(QosPolicy.getEffectiveDevicePolicy.calledWith(7)).to.equal(true);
+      expect(result.config).to.include('push "shaper 256000"');
+      expect(result.config).to.not.include('ifconfig-push');
+    });
+
+    it('should ignore devices of other users', async function() {
+      const result = await openvpnClientConnect.authorizeClient({ commonName: 'alice-device-8' });
+
+      expect(result.allowed).to.equal(true);
+      expect(result.deviceId).to.equal(null);
+      expect(QosPolicy.getEffectiveUserPolicy.calledWith(1)).to.equal(true);
+    });
+
+    it('should refuse unknown and soft-deleted users', async function() {
+      const result = await openvpnClientConnect.authorizeClient({ commonName: 'alice.deleted.1700000000000' });
+
+      expect(result).to.include({ allowed: false, reason: 'unknown_user', config: null });
+    });
+
+    it('should refuse disabled users', async function() {
+      const result = await openvpnClientConnect.authorizeClient({ commonName: 'bob' });
+
+      expect(result).to.include({ allowed: false, reason: 'user_disabled', config: null });
+    });
+
+    it('should refuse users over the quota of a disconnect policy', async function() {
+      QosPolicy.getEffectiveUserPolicy.resolves(quotaPolicy('disconnect'));
+      sinon.stub(quotaEnforcer, 'getQuotaStatus').resolves({ exceeded: true, periods: [] });
+
+      const result = await openvpnClientConnect.authorizeClient({ commonName: 'alice' });
+
+      expect(result).to.include({ allowed: false, reason: 'over_quota' });
+      expect(quotaEnforcer.getQuotaStatus.calledWith(1, null)).to.equal(true);
+    });
+
+    it('should connect users over the quota of a throttle policy at the throttle limit', async function() {
+      QosPolicy.getEffectiveUserPolicy.resolves(quotaPolicy('throttle'));
+      sinon.stub(quotaEnforcer, 'getQuotaStatus').resolves({ exceeded: true, periods: [] });
+      sinon.stub(quotaEnforcer, 'getThrottlePolicy').resolves({ id: null, name: 'Capped (over quota)', bandwidth_limit: 256 });
+
+      const result = await openvpnClientConnect.authorizeClient({ commonName: 'alice' });
+
+      expect(result.allowed).to.equal(true);
+      expect(result.config).to.include('push "shaper 32000"');
+    });
+
+    it('should connect users within their quota', async function() {
+      QosPolicy.getEffectiveUserPolicy.resolves(quotaPolicy('disconnect'));
+      sinon.stub(quotaEnforcer, 'getQuotaStatus').resolves({ exceeded: false, periods: [] });
+
+      const result = await openvpnClientConnect.authorizeClient({ commonName: 'alice' });
+
+      expect(result.allowed).to.equal(true);
+      expect(result.config).to.include('push "shaper 1000000"');
+    });
+
+    it('should keep line breaks of policy names out of the configuration', async function() {
+      QosPolicy.getEffectiveUserPolicy.resolves({ id: 4, name: 'Evil\npush "route 0.0.0.0 0.0.0.0"', bandwidth_limit: 1024 });
+
+      const result = await openvpnClientConnect.authorizeClient({ commonName: 'alice' });
+
+      expect(result.config.split('\n').filter(line => line.startsWith('push "route'))).to.have.length(1);
+    });
+  });
+
+  describe('updateServerRouting', function() {
+    it('should route the enabled networks of users and groups once', async function() {
+      sinon.stub(UserLanNetwork, 'findAllEnabled').resolves([network('192.168.10.0/24'), network('192.168.20.0/24')]);
+      sinon.stub(GroupLanNetwork, 'findAllEnabled').resolves([network('10.20.0.0/16'), network('192.168.20.0/24')]);
+      sinon.stub(vpnBackend, 'setRoutes').resolves();
+
+      expect(await openvpnClientConnect.updateServerRouting()).to.equal(true);
+      expect(vpnBackend.setRoutes.firstCall.args[0]).to.deep.equal(['192.168.10.0/24', '192.168.20.0/24', '10.20.0.0/16']);
+    });
+  });
+
+  describe('POST /api/vpn/client-connect', function() {
+    const buildApp = () => {
+      const app = express();
+      app.use(express.json());
+      app.use(express.urlencoded({ extended: true }));
+      app.use('/api/vpn', openvpnRoutes);
+      return app;
+    };
+
+    it('should require the hook token', async function() {
+      const res = await request(buildApp()).post('/api/vpn/client-connect').type('form').send({ common_name: 'alice' });
+      expect(res.status).to.equal(401);
+
+      delete process.env.CLIENT_CONNECT_TOKEN;
+      const disabled = await request(buildApp()).post('/api/vpn/client-connect')
+        .set('Authorization', 'Bearer hook-secret').type('form').send({ common_name: 'alice' });
+      expect(disabled.status).to.equal(404);
+    });
+
+    it('should serve the client configuration as text', async function() {
+      const res = await request(buildApp()).post('/api/vpn/client-connect')
+        .set('Authorization', 'Bearer hook-secret')
+        .type('form')
+        .send({ common_name: 'alice', username: '' });
+
+      expect(res.status).to.equal(200);
+      expect(res.headers['content-type']).to.match(/^text\/plain/);
+      expect(res.text).to.include('iroute 192.168.10.0 255.255.255.0');
+    });
+
+    it('should refuse disabled users with their reason', async function() {
+      const res = await request(buildApp()).post('/api/vpn/client-connect')
+        .set('Authorization', 'Bearer hook-secret')
+        .send({ common_name: 'bob' });
+
+      expect(res.status).to.equal(403);
+      expect(res.body).to.include({ success: false, reason: 'user_disabled' });
+    });
+
+    it('should not rate-limit the connects of the VPN server', async function() {
+      const app = express();
+      app.use(generalLimiter);
+      app.use('/api/vpn', express.urlencoded({ extended: true }), openvpnRoutes);
+      const limit = parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100;
+
+      for (let i = 0; i <= limit; i++) {
+        const res = await request(app).post('/api/vpn/client-connect')
+          .set('Authorization', 'Bearer hook-secret')
+          .type('form')
+          .send({ common_name: 'alice' });
+        expect(res.status, `connect ${i + 1}`).to.equal(200);
+      }
+    });
+
+    it('should require the common name', async function() {
+      const res = await request(buildApp()).post('/api/vpn/client-connect')
+        .set('Authorization', 'Bearer hook-secret')
+        .send({ username: 'alice' });
+
+      expect(res.status).to.equal(400);
+    });
+  });
+});
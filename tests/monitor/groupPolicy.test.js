@@ -0,0 +1,104 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const pool = require('../../src/config/database');
+const QosPolicy = require('../../src/models/QosPolicy');
+const QosSchedule = require('../../src/models/QosSchedule');
+const Group = require('../../src/models/Group');
+
+/**
+ * Group QoS Unit Tests
+ * Tests the device > user > group > default precedence of effective policies
+ */
+describe('Group QoS Policies', function() {
+  const policy = (id, name) => ({ id, name, bandwidth_limit: 10000, priority: 'medium' });
+
+  beforeEach(function() {
+    sinon.stub(QosSchedule, 'findByPolicyId').resolves([]);
+  });
+
+  afterEach(function() {
+    sinon.restore();
+  });
+
+  describe('getEffectiveUserPolicy', function() {
+    it('should prefer the user policy', async function() {
+      sinon.stub(QosPolicy, 'findByUserId').resolves(policy(1, 'User'));
+      const groupStub = sinon.stub(QosPolicy, 'findGroupPolicyForUser');
+
+      const result = await QosPolicy.getEffectiveUserPolicy(7);
+
+      expect(result).to.include({ id: 1, policy_source: 'user' });
+      expect(groupStub.called).to.be.false;
+    });
+
+    it('should fall back to the group policy', async function() {
+      sinon.stub(QosPolicy, 'findByUserId').resolves(null);
+      sinon.stub(QosPolicy, 'findGroupPolicyForUser').resolves({ ...policy(2, 'Group'), group_id: 3, group_name: 'Contractors' });
+      const defaultStub = sinon.stub(QosPolicy, 'findDefault');
+
+      const result = await QosPolicy.getEffectiveUserPolicy(7);
+
+      expect(result).to.include({ id: 2, policy_source: 'group', group_name: 'Contractors' });
+      expect(defaultStub.called).to.be.false;
+    });
+
+    it('should fall back to the default policy, then to none', async function() {
+      sinon.stub(QosPolicy, 'findByUserId').resolves(null);
+      sinon.stub(QosPolicy, 'findGroupPolicyForUser').resolves(null);
+      const defaultStub = sinon.stub(QosPolicy, 'findDefault').resolves(policy(4, 'Default'));
+
+      expect(await QosPolicy.getEffectiveUserPolicy(7)).to.include({ id: 4, policy_source: 'default' });
+
+      defaultStub.resolves(null);
+      expect(await QosPolicy.getEffectiveUserPolicy(7)).to.be.null;
+    });
+  });
+
+  describe('getEffectiveDevicePolicy', function() {
+    it('should prefer the device policy', async function() {
+      sinon.stub(QosPolicy, 'findByDeviceId').resolves(policy(5, 'Device'));
+      const userStub = sinon.stub(QosPolicy, 'getEffectiveUserPolicy');
+
+      const result = await QosPolicy.getEffectiveDevicePolicy(11);
+
+      expect(result).to.include({ id: 5, policy_source: 'device' });
+      expect(userStub.called).to.be.false;
+    });
+
+    it('should resolve the owner policy otherwise', async function() {
+      sinon.stub(QosPolicy, 'findByDeviceId').resolves(null);
+      sinon.stub(pool, 'execute').resolves([[{ user_id: 7 }]]);
+      const userStub = sinon.stub(QosPolicy, 'getEffectiveUserPolicy').resolves({ ...policy(2, 'Group'), policy_source: 'group' });
+
+      const result = await QosPolicy.getEffectiveDevicePolicy(11);
+
+      expect(userStub.calledWith(7)).to.be.true;
+      expect(result.policy_source).to.equal('group');
+    });
+
+    it('should return null for unknown devices', async function() {
+      sinon.stub(QosPolicy, 'findByDeviceId').resolves(null);
+      sinon.stub(pool, 'execute').resolves([[]]);
+
+      expect(await QosPolicy.getEffectiveDevicePolicy(11)).to.be.null;
+    });
+  });
+
+  describe('Group.addMembers', function() {
+    it('should add each user once and report the number added', async function() {
+      const executeStub = sinon.stub(pool, 'execute').resolves([{ affectedRows: 2 }]);
+
+      const added = await Group.addMembers(3, [7, '8', 7], 1);
+
+      expect(added).to.equal(2);
+      expect(executeStub.firstCall.args[1]).to.deep.equal([3, 1, 7, 8]);
+    });
+
+    it('should skip the query without users', async function() {
+      const executeStub = sinon.stub(pool, 'execute');
+
+      expect(await Group.addMembers(3, [])).to.equal(0);
+      expect(executeStub.called).to.be.false;
+    });
+  });
+});
@@ -0,0 +1,192 @@
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const ManagementClient = require('../../src/services/vpnBackends/managementClient');
+const { startFakeManagementServer, DEFAULT_STATUS } = require('../helpers/fakeManagementServer');
+
+/**
+ * Management Client Unit Tests
+ * Tests the OpenVPN management interface client against a fake management
+ * server: commands and replies, real-time notifications and reconnects
+ */
+describe('ManagementClient', function() {
+  let server;
+  let client;
+
+  /**
+   * Wait until a condition holds (notifications arrive asynchronously)
+   */
+  const waitFor = async (condition) => {
+    for (let i = 0; i < 100 && !condition(); i++) {
+      await new Promise((resolve) => setTimeout(resolve, 5));
+    }
+  };
+
+  beforeEach(async function() {
+    server = await startFakeManagementServer({ password: 'mgmt-secret' });
+    client = new ManagementClient({ port: server.port, password: 'mgmt-secret', timeoutMs: 2000, reconnectMs: 20 });
+  });
+
+  afterEach(async function() {
+    client.close();
+    await server.close();
+  });
+
+  describe('commands', function() {
+    it('should return the lines of multi-line replies without notifications', async function() {
+      const lines = await client.status();
+
+      expect(lines).to.deep.equal(DEFAULT_STATUS);
+      expect(server.commands).to.deep.equal(['status 3']);
+    });
+
+    it('should return the message of single-line replies', async function() {
+      expect(await client.kill('alice')).to.equal("common name 'alice' found, 1 client(s) killed");
+      expect(await client.clientKill(3, 'HALT')).to.equal('client-kill command succeeded');
+      expect(server.commands).to.deep.equal(['kill alice', 'client-kill 3 HALT']);
+    });
+
+    it('should match replies of concurrent commands in order', async function() {
+      const [status, kill, bytecount] = await Promise.all([
+        client.status(),
+        client.clientKill(4),
+        client.bytecount(5)
+      ]);
+
+      expect(status).to.have.length(DEFAULT_STATUS.length);
+      expect(kill).to.equal('client-kill command succeeded');
+      expect(bytecount).to.equal('bytecount interval changed');
+    });
+
+    it('should reuse one connection', async function() {
+      await client.status();
+      await client.status();
+
+      expect(server.connections).to.equal(1);
+    });
+
+    it('should reject ERROR replies', async function() {
+      try {
+        await client.command('frobnicate');
+        expect.fail('should have thrown');
+      } catch (error) {
+        expect(error.message).to.include('Management command "frobnicate" failed: unknown command');
+      }
+    });
+
+    it('should refuse commands with line breaks', async function() {
+      try {
+        await client.command('kill alice\nsignal SIGTERM');
+        expect.fail('should have thrown');
+      } catch (error) {
+        expect(error.message).to.include('line breaks');
+      }
+      expect(server.commands).to.deep.equal([]);
+    });
+
+    it('should reject a wrong password', async function() {
+      client = new ManagementClient({ port: server.port, password: 'wrong', timeoutMs: 2000 });
+
+      try {
+        await client.status();
+        expect.fail('should have thrown');
+      } catch (error) {
+        expect(error.message).to.include('refused the connection: bad password');
+      }
+    });
+
+    it('should reject pending commands when the connection drops', async function() {
+      await client.connect();
+      const pending = client.command('frobnicate-slowly');
+      server.dropConnections();
+
+      try {
+        await pending;
+        expect.fail('should have thrown');
+      } catch (error) {
+        expect(error.message).to.match(/closed the connection|failed: unknown command/);
+      }
+    });
+  });
+
+  describe('notifications', function() {
+    it('should emit client events with their ENV block', async function() {
+      const events = [];
+      client.on('client', event => events.push(event));
+      await client.connect();
+
+      server.notify([
+        '>CLIENT:CONNECT,3,1',
+        '>CLIENT:ENV,common_name=alice',
+        '>CLIENT:ENV,IV_PLAT=win',
+        '>CLIENT:ENV,password=is=not=split',
+        '>CLIENT:ENV,END',
+        '>CLIENT:ADDRESS,3,10.8.0.6,1',
+        '>CLIENT:DISCONNECT,3',
+        '>CLIENT:ENV,bytes_received=100',
+        '>CLIENT:ENV,END'
+      ]);
+      await waitFor(() => events.length === 3);
+
+      expect(events).to.deep.equal([
+        { event: 'CONNECT', clientId: 3, keyId: 1, address: null, env: { common_name: 'alice', IV_PLAT: 'win', password: 'is=not=split' } },
+        { event: 'ADDRESS', clientId: 3, keyId: null, address: '10.8.0.6', env: {} },
+        { event: 'DISCONNECT', clientId: 3, keyId: null, address: null, env: { bytes_received: '100' } }
+      ]);
+    });
+
+    it('should emit byte counts and other notifications', async function() {
+      const bytecounts = [];
+      const notifications = [];
+      client.on('bytecount', event => bytecounts.push(event));
+      client.on('notification', event => notifications.push(event));
+
+      // The fake server sends a byte count ahead of the status reply
+      await client.status();
+      server.notify(['>LOG:1767607500,I,client connected']);
+      await waitFor(() => notifications.length === 1);
+
+      expect(bytecounts).to.deep.equal([{ clientId: 3, bytesReceived: 100, bytesSent: 200 }]);
+      expect(notifications).to.deep.equal([{ type: 'LOG', message: '1767607500,I,client connected' }]);
+    });
+  });
+
+  describe('keepAlive', function() {
+    it('should reconnect and restore the byte count interval', async function() {
+      client.keepAlive = true;
+      await client.bytecount(5);
+
+      server.dropConnections();
+      await waitFor(() => server.commands.length === 2);
+
+      expect(server.commands).to.deep.equal(['bytecount 5', 'bytecount 5']);
+      expect(client.ready).to.be.true;
+    });
+
+    it('should not reconnect after close', async function() {
+      client.keepAlive = true;
+      await client.connect();
+
+      client.close();
+      await new Promise((resolve) => setTimeout(resolve, 50));
+
+      expect(server.connections).to.equal(0);
+      expect(client.ready).to.be.false;
+    });
+  });
+
+  describe('unix socket', function() {
+    it('should connect to a management socket', async function() {
+      const socketPath = path.join(os.tmpdir(), `openvpn-mgmt-${process.pid}-${Date.now()}.sock`);
+      const socketServer = await startFakeManagementServer({ path: socketPath });
+      const socketClient = new ManagementClient({ path: socketPath, timeoutMs: 2000 });
+
+      try {
+        expect(await socketClient.status()).to.deep.equal(DEFAULT_STATUS);
+      } finally {
+        socketClient.close();
+        await socketServer.close();
+      }
+    });
+  });
+});
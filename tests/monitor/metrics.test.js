@@ -0,0 +1,178 @@
+const express = require('express');
+const request = require('supertest');
+const { expect } = require('chai');
+const sinon = require('sinon');
+const db = require('../../src/config/database');
+const syncScheduler = require('../../src/services/syncScheduler');
+const vpnMonitor = require('../../src/services/vpnMonitor');
+const metricsService = require('../../src/services/metricsService');
+const { httpMetrics, requireScrapeToken } = require('../../src/middleware/metricsMiddleware');
+
+/**
+ * Metrics Unit Tests
+ * Tests the Prometheus exposition of request, pool, scheduler and VPN metrics
+ * and the scrape token
+ */
+describe('Metrics', function() {
+  let originalToken;
+  let pollState;
+
+  beforeEach(function() {
+    originalToken = process.env.METRICS_TOKEN;
+    process.env.METRICS_TOKEN = 'scrape-secret';
+    metricsService.reset();
+
+    sinon.stub(db, 'getPoolStats').returns({
+      status: 'active',
+      activeConnections: 2,
+      idleConnections: 3,
+      totalConnections: 5,
+      connectionLimit: 10,
+      queuedRequests: 1
+    });
+    sinon.stub(syncScheduler, 'getStatus').returns({
+      scheduler: { isRunning: true, isSyncing: false },
+      statistics: { totalSyncs: 5, successfulSyncs: 4, failedSyncs: 1 },
+      lastSync: { timestamp: new Date('2026-01-01T00:00:00Z'), error: null }
+    });
+    pollState = {
+      lastPollAt: new Date('2026-01-01T00:01:00Z'),
+      lastSuccessAt: new Date('2026-01-01T00:01:00Z'),
+      proxyReachable: true,
+      sessions: [
+        { sessionId: 1, username: 'alice', bytesSent: 1000, bytesReceived: 200, rxBps: 10, txBps: 50 },
+        { sessionId: 2, username: 'alice', bytesSent: 500, bytesReceived: 100, rxBps: 5, txBps: null },
+        { sessionId: 3, username: 'bob', bytesSent: 0, bytesReceived: 0, rxBps: null, txBps: null }
+      ]
+    };
+    sinon.stub(vpnMonitor, 'getPollState').callsFake(() => pollState);
+  });
+
+  afterEach(function() {
+    sinon.restore();
+    if (originalToken === undefined) {
+      delete process.env.METRICS_TOKEN;
+    } else {
+      process.env.METRICS_TOKEN = originalToken;
+    }
+  });
+
+  /**
+   * Build an app with the metrics middleware, a router and /metrics
+   */
+  const buildApp = () => {
+    const app = express();
+    app.use(httpMetrics);
+
+    const router = express.Router();
+    router.get('/users/:id', (req, res) => res.json({ id: req.params.id }));
+    router.get('/fail/:id', (req, res, next) => next(new Error('boom')));
+    app.use('/api/admin', router);
+
+    app.get('/metrics', requireScrapeToken, (req, res) => {
+      res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+      res.send(metricsService.render());
+    });
+    // eslint-disable-next-line no-unused-vars
+    app.use((err, req, res, next) => res.status(500).json({ success: false }));
+    return app;
+  };
+
+  describe('scrape token', function() {
+    it('should reject scrapes without the token', async function() {
+      const res = await request(buildApp()).get('/metrics');
+      expect(res.status).to.equal(401);
+
+      const wrong = await request(buildApp()).get('/metrics').set('Authorization', 'Bearer nope');
+      expect(wrong.status).to.equal(401);
+    });
+
+    it('should disable the endpoint when no token is configured', async function() {
+      delete process.env.METRICS_TOKEN;
+
+      const res = await request(buildApp()).get('/metrics').set('Authorization', 'Bearer scrape-secret');
+
+      expect(res.status).to.equal(404);
+    });
+
+    it('should serve the exposition format with the token', async function() {
+      const res = await request(buildApp()).get('/metrics').set('Authorization', 'Bearer scrape-secret');
+
+      expect(res.status).to.equal(200);
+      expect(res.headers['content-type']).to.match(/^text\/plain;.*version=0\.0\.4/);
+      expect(res.text).to.include('# TYPE http_request_duration_seconds histogram');
+    });
+  });
+
+  describe('HTTP request histogram', function() {
+    it('should label requests with the route pattern, not the path', async function() {
+      const app = buildApp();
+      await request(app).get('/api/admin/users/1');
+      await request(app).get('/api/admin/users/2');
+      await request(app).get('/api/admin/fail/3');
+      await request(app).get('/nowhere/at/all');
+
+      const text = metricsService.render();
+
+      expect(text).to.include('http_request_duration_seconds_count{method="GET",route="/api/admin/users/:id",status_code="200"} 2');
+      expect(text).to.include('http_request_duration_seconds_bucket{method="GET",route="/api/admin/users/:id",status_code="200",le="+Inf"} 2');
+      expect(text).to.include('http_request_duration_seconds_count{method="GET",route="/api/admin/fail/:id",status_code="500"} 1');
+      expect(text).to.include('route="unmatched",status_code="404"');
+      expect(text).to.not.include('/api/admin/users/1"');
+    });
+
+    it('should count a request in every bucket at or above its duration', function() {
+      metricsService.observeHttpRequest({ method: 'GET', route: '/x', status_code: 200 }, 0.3);
+
+      const text = metricsService.render();
+
+      expect(text).to.include('http_request_duration_seconds_bucket{method="GET",route="/x",status_code="200",le="0.25"} 0');
+      expect(text).to.include('http_request_duration_seconds_bucket{method="GET",route="/x",status_code="200",le="0.5"} 1');
+      expect(text).to.include('http_request_duration_seconds_sum{method="GET",route="/x",status_code="200"} 0.3');
+    });
+  });
+
+  describe('render', function() {
+    it('should expose pool, scheduler and VPN metrics', function() {
+      const text = metricsService.render();
+
+      expect(text).to.include('db_pool_connections{state="active"} 2');
+      expect(text).to.include('db_pool_connections{state="idle"} 3');
+      expect(text).to.include('db_pool_queued_requests 1');
+      expect(text).to.include('sync_runs_total{result="success"} 4');
+      expect(text).to.include('sync_runs_total{result="failure"} 1');
+      expect(text).to.include('sync_scheduler_running 1');
+      expect(text).to.include('sync_last_run_timestamp_seconds 1767225600');
+      expect(text).to.include('sync_last_run_success 1');
+      expect(text).to.include('vpn_active_sessions 3');
+      expect(text).to.include('vpn_user_sessions{username="alice"} 2');
+      expect(text).to.include('vpn_user_receive_bytes_per_second{username="alice"} 15');
+      expect(text).to.include('vpn_user_transmit_bytes_per_second{username="alice"} 50');
+      expect(text).to.include('vpn_user_session_sent_bytes{username="alice"} 1500');
+      expect(text).to.include('vpn_user_receive_bytes_per_second{username="bob"} 0');
+      expect(text).to.include('vpn_profile_proxy_up 1');
+    });
+
+    it('should report an unreachable profile proxy', function() {
+      pollState.proxyReachable = false;
+
+      expect(metricsService.render()).to.include('vpn_profile_proxy_up 0');
+    });
+
+    it('should escape label values', function() {
+      pollState.sessions = [{ sessionId: 1, username: 'a"b\\c', bytesSent: 0, bytesReceived: 0 }];
+
+      expect(metricsService.render()).to.include('vpn_user_sessions{username="a\\"b\\\\c"} 1');
+    });
+
+    it('should keep the other metrics when a source fails', function() {
+      syncScheduler.getStatus.throws(new Error('scheduler broken'));
+
+      const text = metricsService.render();
+
+      expect(text).to.not.include('sync_runs_total');
+      expect(text).to.include('db_pool_connections{state="active"} 2');
+      expect(text).to.include('vpn_active_sessions 3');
+    });
+  });
+});
@@ -0,0 +1,506 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const sinon = require('sinon');
+const pkiService = require('../../src/services/pkiService');
+const realtimeService = require('../../src/services/realtimeService');
+const CertificateAuthority = require('../../src/models/CertificateAuthority');
+const IssuedCertificate = require('../../src/models/IssuedCertificate');
+const ConfigFile = require('../../src/models/ConfigFile');
+const Device = require('../../src/models/Device');
+const User = require('../../src/models/User');
+const QosPolicy = require('../../src/models/QosPolicy');
+const UserLanNetwork = require('../../src/models/UserLanNetwork');
+const GroupLanNetwork = require('../../src/models/GroupLanNetwork');
+const vpnBackend = require('../../src/services/vpnBackend');
+const CommunityBackend = require('../../src/services/vpnBackends/communityBackend');
+const deviceEnrollmentService = require('../../src/services/deviceEnrollmentService');
+const revocationService = require('../../src/services/revocationService');
+const openvpnController = require('../../src/controllers/openvpnController');
+const pool = require('../../src/config/database');
+const x509 = require('../../src/utils/x509');
+
+/**
+ * Built-in PKI Unit Tests
+ * Tests the CA, client and server certificates, CRLs, rotation and the
+ * embedding of certificates in profiles, with the PKI tables kept in memory
+ */
+describe('Built-in PKI', function() {
+  let authorities;
+  let certificates;
+
+  const withoutKey = ({ private_key_encrypted: key, ...row }) => row;
+
+  /**
+   * Split PEM blocks of a bundle
+   */
+  const pemBlocks = (pem, label) => pem.match(new RegExp(`-----BEGIN ${label}-----[^-]+-----END ${label}-----`, 'g')) || [];
+
+  /**
+   * Read the serials listed in a CRL and check its signature
+   */
+  const readCrl = (pem, caCertificate) => {
+    const der = x509.fromPem(pem);
+    const list = x509.readElement(der);
+    const tbs = x509.readElement(list.contents);
+    const tbsDer = list.contents.subarray(0, tbs.end);
+    const algorithm = x509.readElement(list.contents, tbs.end);
+    const signature = x509.readElement(list.contents, algorithm.end);
+    const valid = crypto.verify('sha256', tbsDer, new crypto.X509Certificate(caCertificate).publicKey, signature.contents.subarray(1));
+
+    // version, signature, issuer, thisUpdate, nextUpdate, then the revoked list (if any)
+    let offset = 0;
+    for (let i = 0; i < 5; i++) {
+      offset = x509.readElement(tbs.contents, offset).end;
+    }
+    const serials = [];
+    const next = x509.readElement(tbs.contents, offset);
+    if (next.tag === 0x30) {
+      for (let entryOffset = 0; entryOffset < next.contents.length;) {
+        const entry = x509.readElement(next.contents, entryOffset);
+        serials.push(x509.readElement(entry.contents).contents.toString('hex'));
+        entryOffset = entry.end;
+      }
+    }
+
+    return { valid, serials };
+  };
+
+  beforeEach(function() {
+    authorities = [];
+    certificates = [];
+    pkiService.crl = null;
+
+    sinon.stub(CertificateAuthority, 'create').callsFake(async (data) => {
+      authorities.filter(ca => ca.status === 'active').forEach((ca) => { ca.status = 'retired'; });
+      const ca = {
+        id: authorities.length + 1,
+        common_name: data.commonName,
+        serial: data.serial,
+        certificate: data.certificate,
+        private_key_encrypted: data.privateKeyEncrypted,
+        status: 'active',
+        not_before: data.notBefore,
+        not_after: data.notAfter,
+        crl_number: 0
+      };
+      authorities.push(ca);
+      return withoutKey(ca);
+    });
+    sinon.stub(CertificateAuthority, 'findActiveWithKey').callsFake(async () => authorities.find(ca => ca.status === 'active') || null);
+    sinon.stub(CertificateAuthority, 'findWithKey').callsFake(async id => authorities.find(ca => ca.id === id) || null);
+    sinon.stub(CertificateAuthority, 'findTrusted').callsFake(async () => authorities.slice().reverse().map(withoutKey));
+    sinon.stub(CertificateAuthority, 'nextCrlNumber').callsFake(async (id) => {
+      const ca = authorities.find(entry => entry.id === id);
+      ca.crl_number += 1;
+      return ca.crl_number;
+    });
+
+    sinon.stub(IssuedCertificate, 'create').callsFake(async (data) => {
+      certificates.push({
+        id: certificates.length + 1,
+        ca_id: data.caId,
+        kind: data.kind,
+        serial: data.serial,
+        common_name: data.commonName,
+        user_id: data.userId,
+        device_id: data.deviceId,
+        config_file_id: null,
+        certificate: data.certificate,
+        private_key_encrypted: data.privateKeyEncrypted,
+        not_before: data.notBefore,
+        not_after: data.notAfter,
+        revoked_at: null
+      });
+      return certificates.length;
+    });
+    sinon.stub(IssuedCertificate, 'attachToConfigFile').callsFake(async (id, configFileId) => {
+      certificates[id - 1].config_file_id = configFileId;
+      return true;
+    });
+    sinon.stub(IssuedCertificate, 'findByConfigFileWithKey').callsFake(async configFileId => certificates.find(cert => cert.config_file_id === configFileId) || null);
+    sinon.stub(IssuedCertificate, 'findServerWithKey').callsFake(async caId => certificates.filter(cert => cert.ca_id === caId && cert.kind === 'server').pop() || null);
+    sinon.stub(IssuedCertificate, 'findValidClientWithKey').callsFake(async commonName => certificates
+      .filter(cert => cert.kind === 'client' && cert.common_name === commonName && !cert.device_id && !cert.config_file_id && !cert.revoked_at)
+      .pop() || null);
+    sinon.stub(IssuedCertificate, 'findValidClientNames').callsFake(async () => [...new Set(certificates
+      .filter(cert => cert.kind === 'client' && !cert.device_id && !cert.revoked_at)
+      .map(cert => cert.common_name))]);
+    sinon.stub(IssuedCertificate, 'revokeClientsByUsername').callsFake(async (username) => {
+      const revoked = certificates.filter(cert => cert.kind === 'client' && !cert.revoked_at &&
+        (cert.common_name === username || cert.common_name.startsWith(`${username}-device-`)));
+      revoked.forEach((cert) => { cert.revoked_at = new Date(); });
+      return revoked.length;
+    });
+    sinon.stub(IssuedCertificate, 'revoke').callsFake(async (id) => {
+      const cert = certificates[id - 1];
+      const wasValid = !cert.revoked_at;
+      cert.revoked_at = cert.revoked_at || new Date();
+      return wasValid;
+    });
+    sinon.stub(IssuedCertificate, 'revokeByConfigFile').callsFake(async (configFileId) => {
+      const revoked = certificates.filter(cert => cert.config_file_id === configFileId && !cert.revoked_at);
+      revoked.forEach((cert) => { cert.revoked_at = new Date(); });
+      return revoked.length;
+    });
+    sinon.stub(IssuedCertificate, 'findRevokedByCa').callsFake(async caId => certificates
+      .filter(cert => cert.ca_id === caId && cert.revoked_at)
+      .map(cert => ({ serial: cert.serial, revoked_at: cert.revoked_at })));
+  });
+
+  afterEach(function() {
+    pkiService.stop();
+    sinon.restore();
+  });
+
+  describe('key storage', function() {
+    it('should encrypt private keys', function() {
+      const pem = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' })
+        .privateKey.export({ type: 'pkcs8', format: 'pem' });
+
+      const encrypted = pkiService.encryptKey(pem);
+
+      expect(encrypted).to.not.include('PRIVATE KEY');
+      expect(pkiService.decryptKey(encrypted)).to.equal(pem);
+    });
+  });
+
+  describe('issueClientCertificate', function() {
+    it('should create the CA on first use and issue a client certificate from it', async function() {
+      const issued = await pkiService.issueClientCertificate({ userId: 7, username: 'alice' });
+
+      expect(authorities).to.have.length(1);
+      const ca = new crypto.X509Certificate(authorities[0].certificate);
+      const cert = new crypto.X509Certificate(issued.certificate);
+
+      expect(ca.ca).to.be.true;
+      expect(cert.ca).to.be.false;
+      expect(cert.subject).to.equal('CN=alice');
+      expect(cert.checkIssued(ca)).to.be.true;
+      expect(cert.verify(ca.publicKey)).to.be.true;
+      expect(cert.keyUsage).to.deep.equal([x509.OID.clientAuth]);
+      expect(cert.serialNumber.toLowerCase()).to.equal(issued.serial);
+      expect(issued.caCertificates).to.equal(authorities[0].certificate);
+
+      // The private key matches the certificate and is stored encrypted
+      const stored = certificates.find(entry => entry.id === issued.id);
+      expect(stored).to.include({ kind: 'client', user_id: 7, common_name: 'alice' });
+      expect(pkiService.decryptKey(stored.private_key_encrypted)).to.equal(issued.privateKey);
+      expect(cert.checkPrivateKey(crypto.createPrivateKey(issued.privateKey))).to.be.true;
+    });
+
+    it('should issue a server certificate with the CA', async function() {
+      await pkiService.issueClientCertificate({ userId: 7, username: 'alice' });
+
+      const server = certificates.find(entry => entry.kind === 'server');
+      const cert = new crypto.X509Certificate(server.certificate);
+      expect(cert.subject).to.equal(`CN=${pkiService.serverCommonName}`);
+      expect(cert.keyUsage).to.deep.equal([x509.OID.serverAuth]);
+      expect(cert.checkIssued(new crypto.X509Certificate(authorities[0].certificate))).to.be.true;
+    });
+
+    it('should create a single CA for concurrent first requests', async function() {
+      await Promise.all([
+        pkiService.issueClientCertificate({ userId: 7, username: 'alice' }),
+        pkiService.issueClientCertificate({ userId: 8, username: 'bob' })
+      ]);
+
+      expect(authorities).to.have.length(1);
+    });
+
+    it('should name per-device certificates after the device', async function() {
+      const issued = await pkiService.issueClientCertificate({ userId: 7, username: 'alice', deviceId: 3 });
+
+      expect(new crypto.X509Certificate(issued.certificate).subject).to.equal('CN=alice-device-3');
+      expect(certificates.find(entry => entry.id === issued.id).device_id).to.equal(3);
+    });
+
+    it('should keep certificates valid until their profile expires', async function() {
+      const expiresAt = new Date(Date.now() + (pkiService.certDays + 10) * 24 * 60 * 60 * 1000);
+
+      const issued = await pkiService.issueClientCertificate({ userId: 7, username: 'alice', expiresAt });
+
+      expect(new Date(new crypto.X509Certificate(issued.certificate).validTo).getTime())
+        .to.equal(Math.floor(expiresAt.getTime() / 1000) * 1000);
+    });
+  });
+
+  describe('rotateCa', function() {
+    it('should issue from the new CA and keep trusting the previous one', async function() {
+      const before = await pkiService.issueClientCertificate({ userId: 7, username: 'alice' });
+
+      const ca = await pkiService.rotateCa(1);
+      const after = await pkiService.issueClientCertificate({ userId: 7, username: 'alice' });
+
+      expect(authorities.map(entry => entry.status)).to.deep.equal(['retired', 'active']);
+      expect(ca.common_name).to.not.equal(authorities[0].common_name);
+      expect(new crypto.X509Certificate(after.certificate).checkIssued(new crypto.X509Certificate(authorities[1].certificate))).to.be.true;
+      expect(new crypto.X509Certificate(before.certificate).checkIssued(new crypto.X509Certificate(authorities[0].certificate))).to.be.true;
+
+      // Profiles carry both CAs, the new one first
+      expect(pemBlocks(after.caCertificates, 'CERTIFICATE')).to.deep.equal([authorities[1].certificate.trim(), authorities[0].certificate.trim()]);
+
+      // Each CA has its server certificate
+      expect(certificates.filter(entry => entry.kind === 'server').map(entry => entry.ca_id)).to.deep.equal([1, 2]);
+    });
+  });
+
+  describe('generateCrl', function() {
+    it('should list revoked certificates in the CRL of their CA', async function() {
+      const alice = await pkiService.issueClientCertificate({ userId: 7, username: 'alice' });
+      await pkiService.issueClientCertificate({ userId: 8, username: 'bob' });
+      await pkiService.rotateCa(1);
+      const carol = await pkiService.issueClientCertificate({ userId: 9, username: 'carol' });
+      certificates.find(entry => entry.id === alice.id).revoked_at = new Date();
+      certificates.find(entry => entry.id === carol.id).revoked_at = new Date();
+
+      const crls = pemBlocks(await pkiService.generateCrl(), 'X509 CRL');
+
+      // Newest CA first
+      expect(crls).to.have.length(2);
+      expect(readCrl(crls[0], authorities[1].certificate)).to.deep.equal({ valid: true, serials: [carol.serial] });
+      expect(readCrl(crls[1], authorities[0].certificate)).to.deep.equal({ valid: true, serials: [alice.serial] });
+    });
+
+    it('should number CRLs and reuse a recent one', async function() {
+      await pkiService.issueClientCertificate({ userId: 7, username: 'alice' });
+
+      const first = await pkiService.getCrl();
+      const second = await pkiService.getCrl();
+      await pkiService.generateCrl();
+
+      expect(second).to.equal(first);
+      expect(authorities[0].crl_number).to.equal(2);
+    });
+  });
+
+  describe('profiles', function() {
+    it('should add the stored private key when a profile is downloaded', async function() {
+      const issued = await pkiService.issueClientCertificate({ userId: 7, username: 'alice' });
+      await pkiService.attachToConfigFile(issued.id, 12);
+
+      const content = await pkiService.completeProfile({ id: 12, content: 'client\n<cert>\n...\n</cert>\n' });
+
+      expect(content).to.equal(`client\n<cert>\n...\n</cert>\n\n<key>\n${issued.privateKey.trim()}\n</key>\n`);
+    });
+
+    it('should leave profiles without a certificate of the PKI alone', async function() {
+      expect(await pkiService.completeProfile({ id: 13, content: 'client\n' })).to.equal('client\n');
+    });
+
+    it('should send downloads with the private key', async function() {
+      const issued = await pkiService.issueClientCertificate({ userId: 7, username: 'alice' });
+      await pkiService.attachToConfigFile(issued.id, 12);
+      sinon.stub(ConfigFile, 'findById').resolves({
+        id: 12, user_id: 7, filename: 'alice.ovpn', content: 'client\n', downloaded_at: new Date(), revoked_at: null, expires_at: null
+      });
+      const res = { setHeader: sinon.stub(), status: sinon.stub(), send: sinon.stub() };
+      res.status.returns(res);
+
+      await openvpnController.downloadConfig({ params: { id: '12' }, user: { id: 7, role: 'user' } }, res);
+
+      expect(res.status.calledWith(200)).to.be.true;
+      expect(res.send.firstCall.args[0]).to.include(issued.privateKey.trim());
+    });
+  });
+
+  describe('renewal', function() {
+    const renew = async (lifetimeDays) => {
+      const res = { status: sinon.stub(), json: sinon.stub() };
+      res.status.returns(res);
+      await openvpnController.renewConfig({ params: { id: '12' }, body: { lifetime_days: lifetimeDays }, user: { id: 7, role: 'user' } }, res);
+      return res;
+    };
+
+    beforeEach(async function() {
+      const issued = await pkiService.issueClientCertificate({ userId: 7, username: 'alice' });
+      await pkiService.attachToConfigFile(issued.id, 12);
+      sinon.stub(ConfigFile, 'findById').resolves({
+        id: 12,
+        user_id: 7,
+        filename: 'alice.ovpn',
+        content: `client\n\n<ca>\n${issued.caCertificates.trim()}\n</ca>\n\n<cert>\n${issued.certificate.trim()}\n</cert>\n`,
+        revoked_at: null,
+        expires_at: new Date()
+      });
+      sinon.stub(ConfigFile, 'renew').resolves(true);
+      sinon.stub(ConfigFile, 'updateContent').resolves(true);
+    });
+
+    it('should reissue a certificate that expires before the renewed profile', async function() {
+      const old = certificates.find(cert => cert.config_file_id === 12);
+      old.not_after = new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+      const res = await renew(30);
+
+      expect(res.status.calledWith(200)).to.be.true;
+      expect(res.json.firstCall.args[0].data.certificate_reissued).to.be.true;
+      const reissued = certificates.find(cert => cert.kind === 'client' && cert.id !== old.id);
+      expect(old.revoked_at).to.be.an.instanceOf(Date);
+      expect(reissued).to.include({ common_name: 'alice', user_id: 7, config_file_id: 12, revoked_at: null });
+      expect(new Date(reissued.not_after).getTime()).to.be.at.least(ConfigFile.renew.firstCall.args[1].getTime());
+
+      const [configId, content] = ConfigFile.updateContent.firstCall.args;
+      expect(configId).to.equal(12);
+      expect(content).to.include(reissued.certificate.trim());
+      expect(content).to.not.include(old.certificate.trim());
+      expect(content).to.not.include('PRIVATE KEY');
+      expect(readCrl(pkiService.crl.pem, authorities[0].certificate).serials).to.deep.equal([old.serial]);
+    });
+
+    it('should keep a certificate that outlives the renewed profile', async function() {
+      const res = await renew(7);
+
+      expect(res.json.firstCall.args[0].data.certificate_reissued).to.be.false;
+      const clients = certificates.filter(cert => cert.kind === 'client');
+      expect(clients).to.have.length(1);
+      expect(clients[0].revoked_at).to.equal(null);
+      expect(ConfigFile.updateContent.called).to.be.false;
+    });
+  });
+
+  describe('revocation', function() {
+    it('should revoke the certificate of a revoked config file', async function() {
+      const issued = await pkiService.issueClientCertificate({ userId: 7, username: 'alice' });
+      await pkiService.attachToConfigFile(issued.id, 12);
+      const other = await pkiService.issueClientCertificate({ userId: 7, username: 'alice', deviceId: 3 });
+      await pkiService.attachToConfigFile(other.id, 13);
+
+      expect(await pkiService.revokeConfigCertificate(12)).to.equal(1);
+
+      const { serials } = readCrl(await pkiService.generateCrl(), authorities[0].certificate);
+      expect(serials).to.deep.equal([issued.serial]);
+    });
+
+    it('should leave certificates to the PKI when a config file is revoked', async function() {
+      const executeStub = sinon.stub(pool, 'execute').resolves([{ affectedRows: 1 }]);
+
+      await ConfigFile.revoke(12, 1);
+
+      expect(executeStub.calledOnce).to.be.true;
+      expect(executeStub.firstCall.args[0]).to.not.include('issued_certificates');
+    });
+
+    it('should revoke every certificate of a user', async function() {
+      const own = await pkiService.getUserCertificate('alice');
+      const device = await pkiService.issueClientCertificate({ userId: 7, username: 'alice', deviceId: 3 });
+      const other = await pkiService.getUserCertificate('alicia');
+
+      expect(await pkiService.revokeUserCertificates('alice')).to.equal(2);
+
+      const { serials } = readCrl(await pkiService.generateCrl(), authorities[0].certificate);
+      expect(serials.sort()).to.deep.equal([own.serial, device.serial].sort());
+      expect(serials).to.not.include(other.serial);
+      expect(await pkiService.listCertificateHolders()).to.deep.equal(['alicia']);
+    });
+
+    it('should reuse the certificate of backend profiles', async function() {
+      const first = await pkiService.getUserCertificate('alice');
+      const second = await pkiService.getUserCertificate('alice');
+
+      expect(second.serial).to.equal(first.serial);
+      expect(second.privateKey).to.equal(first.privateKey);
+      expect(certificates.filter(entry => entry.kind === 'client')).to.have.length(1);
+    });
+
+    it('should publish the CRL when a profile is revoked', async function() {
+      sinon.stub(pkiService, 'publish').resolves({ crl: '', published: [] });
+      pkiService.start();
+      pkiService.publish.resetHistory();
+
+      realtimeService.publish('profile.revoked', { configId: 12, userId: 7 });
+      realtimeService.publish('profile.generated', { configId: 13, userId: 7 });
+
+      expect(pkiService.publish.calledOnce).to.be.true;
+    });
+  });
+
+  describe('publish', function() {
+    let publishDir;
+
+    beforeEach(function() {
+      publishDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pki-'));
+      pkiService.publishDir = publishDir;
+    });
+
+    afterEach(function() {
+      pkiService.publishDir = null;
+      fs.rmSync(publishDir, { recursive: true, force: true });
+    });
+
+    it('should write the CA bundle, CRL and server certificate for the VPN server', async function() {
+      const { published } = await pkiService.publish();
+
+      expect(published).to.deep.equal(['ca.crt', 'crl.pem', 'server.crt', 'server.key']);
+      expect(authorities).to.have.length(1);
+      const server = certificates.find(entry => entry.kind === 'server');
+      expect(fs.readFileSync(path.join(publishDir, 'ca.crt'), 'utf8')).to.equal(authorities[0].certificate);
+      expect(fs.readFileSync(path.join(publishDir, 'server.crt'), 'utf8')).to.equal(server.certificate);
+      expect(fs.readFileSync(path.join(publishDir, 'server.key'), 'utf8')).to.equal(pkiService.decryptKey(server.private_key_encrypted));
+      expect(fs.statSync(path.join(publishDir, 'server.key')).mode & 0o777).to.equal(0o600);
+      expect(readCrl(fs.readFileSync(path.join(publishDir, 'crl.pem'), 'utf8'), authorities[0].certificate).valid).to.be.true;
+    });
+
+    it('should issue the profiles of every path from the published CA', async function() {
+      const user = { id: 7, email: 'alice@example.com', username: 'alice', name: 'Alice', email_verified: 1, auth_source: 'local' };
+      const device = { id: 3, user_id: 7, name: 'Laptop', device_id: 'a1b2c3d4', enrollment_status: 'approved' };
+      const community = new CommunityBackend();
+      sinon.stub(vpnBackend, 'generateProfile').callsFake((...args) => community.generateProfile(...args));
+      sinon.stub(vpnBackend, 'usesBuiltInPki').value(true);
+      sinon.stub(User, 'findById').resolves(user);
+      sinon.stub(QosPolicy, 'getEffectiveUserPolicy').resolves(null);
+      sinon.stub(UserLanNetwork, 'findByUserId').resolves([]);
+      sinon.stub(GroupLanNetwork, 'findByUserId').resolves([]);
+      sinon.stub(revocationService, 'ensureApplied').resolves(true);
+      sinon.stub(deviceEnrollmentService, 'isApprovalRequired').resolves(false);
+      let nextConfigId = 20;
+      sinon.stub(ConfigFile, 'create').callsFake(async (userId, policyId, filename, content) => ({ id: nextConfigId++, filename, content }));
+      sinon.stub(ConfigFile, 'markDownloaded').resolves(true);
+      sinon.stub(Device, 'addProfile').resolves(true);
+
+      // Keep the notification email of generated profiles from being sent
+      const smtpHost = process.env.SMTP_HOST;
+      delete process.env.SMTP_HOST;
+      const res = { status: sinon.stub(), json: sinon.stub() };
+      res.status.returns(res);
+      try {
+        await openvpnController.generateConfig({ user: { id: 7, email: user.email }, body: {} }, res);
+      } finally {
+        process.env.SMTP_HOST = smtpHost;
+      }
+      expect(res.status.calledWith(201)).to.be.true;
+
+      await pkiService.publish();
+      const caCertificate = new crypto.X509Certificate(fs.readFileSync(path.join(publishDir, 'ca.crt'), 'utf8'));
+
+      const profiles = {
+        generated: ConfigFile.create.firstCall.args[3],
+        userlogin: await community.generateProfile('alice', 'userlogin'),
+        autologin: await community.generateProfile('alice', 'autologin'),
+        device: (await deviceEnrollmentService.issueProfile(user, device)).profile
+      };
+
+      for (const [name, profile] of Object.entries(profiles)) {
+        const [certificate] = pemBlocks(profile.match(/<cert>([\s\S]*)<\/cert>/)[1], 'CERTIFICATE');
+        const cert = new crypto.X509Certificate(certificate);
+        expect(cert.checkIssued(caCertificate), name).to.be.true;
+        expect(cert.verify(caCertificate.publicKey), name).to.be.true;
+      }
+      expect(authorities).to.have.length(1);
+      const deviceCertificate = certificates.find(entry => entry.device_id === 3);
+      expect(deviceCertificate).to.include({ common_name: 'alice-device-3', config_file_id: 21 });
+    });
+
+    it('should reissue a server certificate about to expire', async function() {
+      await pkiService.publish();
+      certificates[0].not_after = new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+      await pkiService.publish();
+
+      expect(certificates.filter(entry => entry.kind === 'server')).to.have.length(2);
+      expect(fs.readFileSync(path.join(publishDir, 'server.crt'), 'utf8')).to.equal(certificates[1].certificate);
+    });
+  });
+});
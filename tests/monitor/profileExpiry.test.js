@@ -0,0 +1,124 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const profileExpiryService = require('../../src/services/profileExpiryService');
+const revocationService = require('../../src/services/revocationService');
+const pkiService = require('../../src/services/pkiService');
+const ConfigFile = require('../../src/models/ConfigFile');
+
+/**
+ * Profile Expiry Unit Tests
+ * Tests profile lifetimes, expiry reminders and revocation of expired profiles
+ */
+describe('Profile Expiry Service', function() {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  let settings;
+
+  beforeEach(function() {
+    settings = {
+      lifetimeDays: profileExpiryService.lifetimeDays,
+      maxLifetimeDays: profileExpiryService.maxLifetimeDays,
+      reminderDays: profileExpiryService.reminderDays
+    };
+    profileExpiryService.lifetimeDays = 365;
+    profileExpiryService.maxLifetimeDays = 365;
+    profileExpiryService.reminderDays = 7;
+  });
+
+  afterEach(function() {
+    Object.assign(profileExpiryService, settings);
+    sinon.restore();
+  });
+
+  describe('getExpiryDate', function() {
+    const from = new Date('2025-11-07T10:00:00Z');
+
+    it('should use the default lifetime', function() {
+      const expiresAt = profileExpiryService.getExpiryDate(undefined, from);
+      expect(expiresAt.getTime()).to.equal(from.getTime() + 365 * DAY_MS);
+    });
+
+    it('should use a requested lifetime', function() {
+      const expiresAt = profileExpiryService.getExpiryDate(30, from);
+      expect(expiresAt.getTime()).to.equal(from.getTime() + 30 * DAY_MS);
+    });
+
+    it('should cap requested lifetimes at the maximum', function() {
+      const expiresAt = profileExpiryService.getExpiryDate(1000, from);
+      expect(expiresAt.getTime()).to.equal(from.getTime() + 365 * DAY_MS);
+    });
+
+    it('should not expire profiles when the lifetime is 0', function() {
+      profileExpiryService.lifetimeDays = 0;
+      expect(profileExpiryService.getExpiryDate(undefined, from)).to.be.null;
+    });
+
+    it('should allow any requested lifetime without a maximum', function() {
+      profileExpiryService.maxLifetimeDays = 0;
+      const expiresAt = profileExpiryService.getExpiryDate(1000, from);
+      expect(expiresAt.getTime()).to.equal(from.getTime() + 1000 * DAY_MS);
+    });
+  });
+
+  describe('sendReminders', function() {
+    it('should mark reminders of users without an email address as sent', async function() {
+      const findStub = sinon.stub(ConfigFile, 'findExpiringForReminder').resolves([
+        { id: 9, user_id: 7, filename: 'alice_1.ovpn', expires_at: new Date(Date.now() + 3 * DAY_MS), email: null }
+      ]);
+      const markStub = sinon.stub(ConfigFile, 'markExpiryReminderSent').resolves(true);
+
+      const sent = await profileExpiryService.sendReminders();
+
+      expect(sent).to.equal(1);
+      expect(findStub.calledWith(7)).to.be.true;
+      expect(markStub.calledWith(9)).to.be.true;
+    });
+
+    it('should not look for expiring profiles when reminders are disabled', async function() {
+      profileExpiryService.reminderDays = 0;
+      const findStub = sinon.stub(ConfigFile, 'findExpiringForReminder').resolves([]);
+
+      expect(await profileExpiryService.sendReminders()).to.equal(0);
+      expect(findStub.called).to.be.false;
+    });
+  });
+
+  describe('revokeExpired', function() {
+    it('should revoke the profiles of users whose profiles have all expired', async function() {
+      sinon.stub(ConfigFile, 'findUsersWithExpiredProfiles').resolves([
+        { user_id: 7, username: 'alice', config_count: 2, expired_at: new Date() }
+      ]);
+      const revokeStub = sinon.stub(ConfigFile, 'revokeAllByUserId').resolves(2);
+      const certificateStub = sinon.stub(pkiService, 'revokeUserConfigCertificates').resolves(2);
+      const applyStub = sinon.stub(revocationService, 'applyForUser').resolves({ applied: false, error: 'timeout' });
+
+      const revoked = await profileExpiryService.revokeExpired();
+
+      expect(revoked).to.equal(1);
+      expect(revokeStub.calledWith(7, null)).to.be.true;
+      expect(certificateStub.calledWith(7)).to.be.true;
+      expect(applyStub.calledWith(7, 'alice')).to.be.true;
+    });
+
+    it('should skip users whose profiles were revoked in the meantime', async function() {
+      sinon.stub(ConfigFile, 'findUsersWithExpiredProfiles').resolves([
+        { user_id: 7, username: 'alice', config_count: 1, expired_at: new Date() }
+      ]);
+      sinon.stub(ConfigFile, 'revokeAllByUserId').resolves(0);
+      const applyStub = sinon.stub(revocationService, 'applyForUser');
+
+      expect(await profileExpiryService.revokeExpired()).to.equal(0);
+      expect(applyStub.called).to.be.false;
+    });
+  });
+
+  describe('check', function() {
+    it('should not throw when the database fails', async function() {
+      sinon.stub(ConfigFile, 'findExpiringForReminder').rejects(new Error('db down'));
+
+      const result = await profileExpiryService.check();
+
+      expect(result).to.deep.equal({ reminders: 0, revoked: 0 });
+      expect(profileExpiryService.isChecking).to.be.false;
+    });
+  });
+});
@@ -0,0 +1,197 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const QosSchedule = require('../../src/models/QosSchedule');
+const QosPolicy = require('../../src/models/QosPolicy');
+const auditService = require('../../src/services/auditService');
+const qosController = require('../../src/controllers/qosController');
+
+/**
+ * QoS Schedule Unit Tests
+ * Tests schedule window matching, effective policy resolution and the audit
+ * events of schedule changes
+ */
+describe('QoS Schedules', function() {
+  const businessHours = {
+    id: 1,
+    name: 'Business hours',
+    days_of_week: ['mon', 'tue', 'wed', 'thu', 'fri'],
+    start_time: '08:00:00',
+    end_time: '18:00:00',
+    bandwidth_limit: null,
+    priority: 'high',
+    is_active: true
+  };
+
+  const nightly = {
+    id: 2,
+    name: 'Nightly backups',
+    days_of_week: ['fri'],
+    start_time: '22:00:00',
+    end_time: '06:00:00',
+    bandwidth_limit: 100000,
+    priority: null,
+    is_active: true
+  };
+
+  afterEach(function() {
+    sinon.restore();
+    delete process.env.QOS_SCHEDULE_TIMEZONE;
+  });
+
+  describe('getLocalTime', function() {
+    it('should convert to the configured timezone', function() {
+      // Monday 2025-11-03 07:30 UTC is 08:30 in Berlin (CET)
+      const local = QosSchedule.getLocalTime(new Date('2025-11-03T07:30:00Z'), 'Europe/Berlin');
+      expect(local).to.deep.equal({ day: 'mon', minutes: 510, time: '08:30' });
+    });
+
+    it('should move to the previous day across midnight', function() {
+      const local = QosSchedule.getLocalTime(new Date('2025-11-03T02:00:00Z'), 'America/New_York');
+      expect(local.day).to.equal('sun');
+      expect(local.time).to.equal('21:00');
+    });
+  });
+
+  describe('getTimezone', function() {
+    it('should use QOS_SCHEDULE_TIMEZONE', function() {
+      process.env.QOS_SCHEDULE_TIMEZONE = 'Asia/Tokyo';
+      expect(QosSchedule.getTimezone()).to.equal('Asia/Tokyo');
+    });
+
+    it('should fall back to UTC for unknown timezones', function() {
+      process.env.QOS_SCHEDULE_TIMEZONE = 'Not/AZone';
+      expect(QosSchedule.getTimezone()).to.equal('UTC');
+    });
+  });
+
+  describe('isActiveAt', function() {
+    it('should match inside a same-day window', function() {
+      expect(QosSchedule.isActiveAt(businessHours, { day: 'wed', minutes: 8 * 60 })).to.be.true;
+      expect(QosSchedule.isActiveAt(businessHours, { day: 'wed', minutes: 18 * 60 })).to.be.false;
+      expect(QosSchedule.isActiveAt(businessHours, { day: 'sat', minutes: 12 * 60 })).to.be.false;
+    });
+
+    it('should match windows that run past midnight', function() {
+      expect(QosSchedule.isActiveAt(nightly, { day: 'fri', minutes: 23 * 60 })).to.be.true;
+      expect(QosSchedule.isActiveAt(nightly, { day: 'sat', minutes: 5 * 60 })).to.be.true;
+      expect(QosSchedule.isActiveAt(nightly, { day: 'sat', minutes: 23 * 60 })).to.be.false;
+      expect(QosSchedule.isActiveAt(nightly, { day: 'fri', minutes: 5 * 60 })).to.be.false;
+    });
+
+    it('should treat 24:00 as the end of the day', function() {
+      const evening = { ...businessHours, start_time: '18:00', end_time: '24:00' };
+      expect(QosSchedule.isActiveAt(evening, { day: 'mon', minutes: 23 * 60 + 59 })).to.be.true;
+    });
+  });
+
+  describe('findActiveWindow', function() {
+    it('should skip disabled windows', function() {
+      const at = new Date('2025-11-05T10:00:00Z');
+      expect(QosSchedule.findActiveWindow([{ ...businessHours, is_active: false }], at, 'UTC')).to.be.null;
+      expect(QosSchedule.findActiveWindow([businessHours], at, 'UTC')).to.equal(businessHours);
+    });
+  });
+
+  describe('QosPolicy.applySchedule', function() {
+    const policy = { id: 4, name: 'Office', bandwidth_limit: 20000, priority: 'low', policy_source: 'user' };
+
+    it('should override the priority while a window is active', async function() {
+      process.env.QOS_SCHEDULE_TIMEZONE = 'UTC';
+      const findStub = sinon.stub(QosSchedule, 'findByPolicyId').resolves([businessHours]);
+
+      const resolved = await QosPolicy.applySchedule(policy, new Date('2025-11-05T10:00:00Z'));
+
+      expect(findStub.calledWith(4, true)).to.be.true;
+      expect(resolved).to.include({ id: 4, bandwidth_limit: 20000, priority: 'high', policy_source: 'user' });
+      expect(resolved.active_schedule).to.include({ id: 1, name: 'Business hours' });
+    });
+
+    it('should keep the policy outside of its windows', async function() {
+      process.env.QOS_SCHEDULE_TIMEZONE = 'UTC';
+      sinon.stub(QosSchedule, 'findByPolicyId').resolves([businessHours, nightly]);
+
+      const resolved = await QosPolicy.applySchedule(policy, new Date('2025-11-08T12:00:00Z'));
+
+      expect(resolved).to.include({ bandwidth_limit: 20000, priority: 'low' });
+      expect(resolved.active_schedule).to.be.null;
+    });
+
+    it('should return null without a policy', async function() {
+      expect(await QosPolicy.applySchedule(null)).to.be.null;
+    });
+  });
+
+  describe('audit of schedule changes', function() {
+    const admin = { id: 1, email: 'admin@example.com', role: 'admin' };
+    let recordStub;
+
+    const mockResponse = () => {
+      const res = { status: sinon.stub(), json: sinon.stub() };
+      res.status.returns(res);
+      return res;
+    };
+
+    beforeEach(function() {
+      recordStub = sinon.stub(auditService, 'record').resolves(1);
+    });
+
+    it('should record created schedules', async function() {
+      sinon.stub(QosPolicy, 'findById').resolves({ id: 4, name: 'Office' });
+      sinon.stub(QosSchedule, 'create').resolves({ ...nightly, qos_policy_id: 4 });
+      const res = mockResponse();
+
+      await qosController.createSchedule({
+        params: { id: '4' },
+        body: { name: 'Nightly backups', days_of_week: ['fri'], start_time: '22:00', end_time: '06:00', bandwidth_limit: 100000 },
+        user: admin
+      }, res);
+
+      expect(res.status.calledWith(201)).to.be.true;
+      const event = recordStub.firstCall.args[1];
+      expect(event).to.include({ action: 'qos.schedule_create', targetType: 'qos_schedule', targetId: 2, before: null });
+      expect(event.after).to.include({ name: 'Nightly backups', bandwidth_limit: 100000 });
+      expect(event.metadata).to.deep.equal({ qos_policy_id: 4, qos_policy_name: 'Office' });
+    });
+
+    it('should record the state before and after an update', async function() {
+      const existing = { ...businessHours, qos_policy_id: 4 };
+      sinon.stub(QosSchedule, 'findById').resolves(existing);
+      sinon.stub(QosSchedule, 'update').resolves({ ...existing, priority: 'medium' });
+      const res = mockResponse();
+
+      await qosController.updateSchedule({ params: { scheduleId: '1' }, body: { priority: 'medium' }, user: admin }, res);
+
+      expect(res.status.calledWith(200)).to.be.true;
+      const event = recordStub.firstCall.args[1];
+      expect(event).to.include({ action: 'qos.schedule_update', targetId: '1', targetLabel: 'Business hours', before: existing });
+      expect(event.after.priority).to.equal('medium');
+      expect(auditService.diff(event.before, event.after, event.fields)).to.deep.equal({
+        priority: { before: 'high', after: 'medium' }
+      });
+    });
+
+    it('should record deleted schedules', async function() {
+      const existing = { ...businessHours, qos_policy_id: 4 };
+      sinon.stub(QosSchedule, 'findById').resolves(existing);
+      const deleteStub = sinon.stub(QosSchedule, 'delete').resolves(true);
+      const res = mockResponse();
+
+      await qosController.deleteSchedule({ params: { scheduleId: '1' }, user: admin }, res);
+
+      expect(deleteStub.calledWith('1')).to.be.true;
+      expect(recordStub.firstCall.args[1]).to.include({ action: 'qos.schedule_delete', targetId: '1', before: existing, after: null });
+    });
+
+    it('should not record schedules that do not exist', async function() {
+      sinon.stub(QosSchedule, 'findById').resolves(null);
+      const deleteStub = sinon.stub(QosSchedule, 'delete');
+      const res = mockResponse();
+
+      await qosController.deleteSchedule({ params: { scheduleId: '9' }, user: admin }, res);
+
+      expect(res.status.calledWith(404)).to.be.true;
+      expect(deleteStub.called).to.be.false;
+      expect(recordStub.called).to.be.false;
+    });
+  });
+});
@@ -0,0 +1,136 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const quotaEnforcer = require('../../src/services/quotaEnforcer');
+const BandwidthUsage = require('../../src/models/BandwidthUsage');
+const QuotaNotification = require('../../src/models/QuotaNotification');
+const QosPolicy = require('../../src/models/QosPolicy');
+const User = require('../../src/models/User');
+const openvpnUserSync = require('../../src/services/openvpnUserSync');
+
+/**
+ * Quota Enforcer Unit Tests
+ * Tests quota evaluation, threshold notifications and over-quota actions
+ */
+describe('Quota Enforcer Service', function() {
+  const MB = 1024 * 1024;
+
+  const policy = (overrides = {}) => ({
+    id: 3,
+    name: 'Contractor',
+    bandwidth_limit: 10240,
+    priority: 'medium',
+    daily_quota_mb: null,
+    monthly_quota_mb: 1000,
+    over_quota_action: 'notify',
+    throttle_policy_id: null,
+    policy_source: 'user',
+    ...overrides
+  });
+
+  let recordStub;
+  let userStub;
+
+  beforeEach(function() {
+    recordStub = sinon.stub(QuotaNotification, 'record').resolves(true);
+    // Users without an email address are looked up but never mailed
+    userStub = sinon.stub(User, 'findById').resolves({ id: 7, email: null });
+  });
+
+  afterEach(function() {
+    sinon.restore();
+  });
+
+  it('should ignore policies without quotas', async function() {
+    const usageStub = sinon.stub(BandwidthUsage, 'getPeriodTotal');
+
+    const result = await quotaEnforcer.evaluate({
+      userId: 7, deviceId: 3, username: 'alice', policy: policy({ monthly_quota_mb: null })
+    });
+
+    expect(result.exceeded).to.be.false;
+    expect(usageStub.called).to.be.false;
+  });
+
+  it('should count all devices for user-level policies and one device for device-level policies', async function() {
+    const usageStub = sinon.stub(BandwidthUsage, 'getPeriodTotal').resolves(0);
+
+    await quotaEnforcer.getQuotaStatus(7, 3, policy());
+    await quotaEnforcer.getQuotaStatus(7, 3, policy({ policy_source: 'device' }));
+
+    expect(usageStub.firstCall.args[1]).to.be.null;
+    expect(usageStub.secondCall.args[1]).to.equal(3);
+  });
+
+  it('should email the user once the 80% threshold is reached', async function() {
+    sinon.stub(BandwidthUsage, 'getPeriodTotal').resolves(850 * MB);
+
+    const result = await quotaEnforcer.evaluate({ userId: 7, deviceId: 3, username: 'alice', policy: policy() });
+
+    expect(result.exceeded).to.be.false;
+    expect(recordStub.calledOnce).to.be.true;
+    expect(recordStub.firstCall.args[0]).to.include({ threshold: 80, period: 'month' });
+    expect(recordStub.firstCall.args[0].usageBytes).to.equal(850 * MB);
+    expect(userStub.calledOnce).to.be.true;
+  });
+
+  it('should not email again for a threshold that was already recorded', async function() {
+    sinon.stub(BandwidthUsage, 'getPeriodTotal').resolves(850 * MB);
+    recordStub.resolves(false);
+
+    await quotaEnforcer.evaluate({ userId: 7, deviceId: 3, username: 'alice', policy: policy() });
+
+    expect(userStub.called).to.be.false;
+  });
+
+  it('should throttle to the configured throttle policy', async function() {
+    sinon.stub(BandwidthUsage, 'getPeriodTotal').resolves(1200 * MB);
+    sinon.stub(QosPolicy, 'findById').resolves({ id: 1, name: 'Basic', bandwidth_limit: 1024, priority: 'low' });
+
+    const result = await quotaEnforcer.evaluate({
+      userId: 7,
+      deviceId: 3,
+      username: 'alice',
+      policy: policy({ over_quota_action: 'throttle', throttle_policy_id: 1 })
+    });
+
+    expect(result.exceeded).to.be.true;
+    expect(result.action).to.equal('throttle');
+    expect(result.policy).to.include({ id: 1, bandwidth_limit: 1024, policy_source: 'quota' });
+    expect(recordStub.lastCall.args[0]).to.include({ threshold: 100, actionTaken: 'throttle' });
+  });
+
+  it('should fall back to the default throttle rate', async function() {
+    sinon.stub(BandwidthUsage, 'getPeriodTotal').resolves(1200 * MB);
+
+    const result = await quotaEnforcer.evaluate({
+      userId: 7, deviceId: 3, username: 'alice', policy: policy({ over_quota_action: 'throttle' })
+    });
+
+    expect(result.policy.bandwidth_limit).to.equal(quotaEnforcer.throttleKbps);
+  });
+
+  it('should disconnect the client when the action is disconnect', async function() {
+    sinon.stub(BandwidthUsage, 'getPeriodTotal').resolves(1200 * MB);
+    const disconnectStub = sinon.stub(openvpnUserSync, 'disconnectUser').resolves({ success: true });
+
+    const result = await quotaEnforcer.evaluate({
+      userId: 7, deviceId: 3, username: 'alice', policy: policy({ over_quota_action: 'disconnect' })
+    });
+
+    expect(result.disconnected).to.be.true;
+    expect(disconnectStub.calledWith('alice')).to.be.true;
+  });
+
+  it('should still enforce the quota when notifications fail', async function() {
+    sinon.stub(BandwidthUsage, 'getPeriodTotal').resolves(1200 * MB);
+    recordStub.rejects(new Error('db down'));
+    const disconnectStub = sinon.stub(openvpnUserSync, 'disconnectUser').resolves({ success: true });
+
+    const result = await quotaEnforcer.evaluate({
+      userId: 7, deviceId: 3, username: 'alice', policy: policy({ over_quota_action: 'disconnect' })
+    });
+
+    expect(result.disconnected).to.be.true;
+    expect(disconnectStub.calledOnce).to.be.true;
+  });
+});
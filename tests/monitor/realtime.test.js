@@ -0,0 +1,222 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { EventEmitter } = require('events');
+const realtimeService = require('../../src/services/realtimeService');
+const vpnMonitor = require('../../src/services/vpnMonitor');
+const syncScheduler = require('../../src/services/syncScheduler');
+const openvpnUserSync = require('../../src/services/openvpnUserSync');
+const sessionService = require('../../src/services/sessionService');
+const liveController = require('../../src/controllers/liveController');
+const ConnectionSession = require('../../src/models/ConnectionSession');
+const usageAccounting = require('../../src/services/usageAccounting');
+
+/**
+ * Live Dashboard Unit Tests
+ * Tests the realtime event bus, the events published by the VPN monitor and
+ * the sync scheduler and the Server-Sent Events stream of the admin API
+ */
+describe('Live Dashboard', function() {
+  let events;
+  let unsubscribe;
+
+  beforeEach(function() {
+    events = [];
+    unsubscribe = realtimeService.subscribe(event => events.push(event));
+  });
+
+  afterEach(function() {
+    unsubscribe();
+    sinon.restore();
+    realtimeService.samples.clear();
+    realtimeService.rates.clear();
+  });
+
+  describe('realtimeService', function() {
+    it('should deliver events to subscribers until they unsubscribe', function() {
+      const received = [];
+      const stop = realtimeService.subscribe(event => received.push(event));
+
+      realtimeService.publish('sync.started', { trigger: 'manual' });
+      stop();
+      realtimeService.publish('sync.completed', {});
+
+      expect(received).to.have.lengthOf(1);
+      expect(received[0]).to.include({ type: 'sync.started' });
+      expect(received[0].data).to.deep.equal({ trigger: 'manual' });
+      expect(received[0].id).to.be.a('number');
+    });
+
+    it('should compute throughput against the previous poll', function() {
+      const sample = { sessionId: 5, userId: 7, username: 'alice' };
+
+      const first = realtimeService.updateThroughput(
+        [{ ...sample, bytesSent: 1000, bytesReceived: 500 }],
+        new Date('2025-11-07T10:00:00Z')
+      );
+      const second = realtimeService.updateThroughput(
+        [{ ...sample, bytesSent: 21000, bytesReceived: 5500 }],
+        new Date('2025-11-07T10:00:10Z')
+      );
+
+      expect(first[0]).to.include({ rxBps: null, txBps: null });
+      expect(second[0]).to.include({ rxBps: 500, txBps: 2000 });
+      expect(realtimeService.getRate(5)).to.deep.equal({ rxBps: 500, txBps: 2000 });
+      expect(events.map(e => e.type)).to.deep.equal(['session.throughput', 'session.throughput']);
+      expect(events[1].data.sessions[0].txBps).to.equal(2000);
+    });
+
+    it('should forget sessions that are no longer connected', function() {
+      const at = new Date('2025-11-07T10:00:00Z');
+      realtimeService.updateThroughput([{ sessionId: 5, bytesSent: 0, bytesReceived: 0 }], at);
+      realtimeService.updateThroughput([{ sessionId: 5, bytesSent: 10, bytesReceived: 10 }], new Date(at.getTime() + 5000));
+
+      realtimeService.updateThroughput([], new Date(at.getTime() + 10000));
+
+      expect(realtimeService.getRate(5)).to.be.null;
+      expect(realtimeService.samples.size).to.equal(0);
+    });
+  });
+
+  describe('vpnMonitor', function() {
+    const device = { userId: 7, deviceId: 3 };
+    const client = {
+      username: 'alice',
+      realIp: '203.0.113.5',
+      virtualAddress: '10.8.0.6',
+      connectedSinceEpoch: String(new Date('2025-11-07T10:00:00Z').getTime() / 1000),
+      bytesSent: 2000,
+      bytesReceived: 5000
+    };
+
+    it('should publish new sessions', async function() {
+      sinon.stub(usageAccounting, 'recordUsage').resolves();
+      sinon.stub(ConnectionSession, 'findActive').resolves(null);
+      sinon.stub(ConnectionSession, 'open').resolves(42);
+
+      await vpnMonitor.recordSession(client, device);
+
+      expect(events).to.have.lengthOf(1);
+      expect(events[0].type).to.equal('session.connected');
+      expect(events[0].data).to.include({ sessionId: 42, userId: 7, username: 'alice', virtualIp: '10.8.0.6' });
+    });
+
+    it('should publish the end of a session replaced by a reconnect', async function() {
+      sinon.stub(usageAccounting, 'recordUsage').resolves();
+      sinon.stub(ConnectionSession, 'findActive').resolves({
+        id: 5, user_id: 7, username: 'alice', virtual_ip: '10.8.0.6',
+        connected_since: new Date('2025-11-07T08:00:00Z'), bytes_sent: 0, bytes_received: 0
+      });
+      sinon.stub(ConnectionSession, 'close').resolves(true);
+      sinon.stub(ConnectionSession, 'open').resolves(6);
+
+      await vpnMonitor.recordSession(client, device);
+
+      expect(events.map(e => e.type)).to.deep.equal(['session.disconnected', 'session.connected']);
+      expect(events[0].data).to.include({ sessionId: 5, reason: 'reconnected' });
+    });
+
+    it('should publish sessions closed because their client is gone', async function() {
+      sinon.stub(ConnectionSession, 'findAllActive').resolves([
+        { id: 5, user_id: 7, username: 'alice', virtual_ip: '10.8.0.6' },
+        { id: 6, user_id: 8, username: 'bob', virtual_ip: '10.8.0.7' }
+      ]);
+      const closeStub = sinon.stub(ConnectionSession, 'closeAllExcept').resolves(1);
+
+      await vpnMonitor.closeEndedSessions([5]);
+
+      expect(closeStub.calledWith([5])).to.be.true;
+      expect(events).to.have.lengthOf(1);
+      expect(events[0].type).to.equal('session.disconnected');
+      expect(events[0].data).to.include({ sessionId: 6, username: 'bob', reason: 'disconnected' });
+    });
+  });
+
+  describe('syncScheduler', function() {
+    it('should publish the progress of a sync without its results', async function() {
+      sinon.stub(openvpnUserSync, 'syncUsers').callsFake(async ({ onProgress }) => {
+        onProgress({ current: 1, total: 2, username: 'alice' });
+        onProgress({ current: 2, total: 2, username: 'bob' });
+        return { created: [{ username: 'bob', tempPassword: 'secret' }], updated: ['alice'], deleted: [], errors: [], skipped: [] };
+      });
+
+      await syncScheduler.runNow();
+
+      expect(events.map(e => e.type)).to.deep.equal(['sync.started', 'sync.progress', 'sync.progress', 'sync.completed']);
+      expect(events[2].data).to.deep.equal({ current: 2, total: 2, username: 'bob' });
+      expect(events[3].data).to.include({ created: 1, updated: 1, trigger: 'manual' });
+      expect(JSON.stringify(events)).to.not.include('secret');
+      expect(syncScheduler.getStatus().scheduler.progress).to.be.null;
+    });
+
+    it('should publish failed syncs', async function() {
+      sinon.stub(openvpnUserSync, 'syncUsers').rejects(new Error('Access Server unreachable'));
+
+      try {
+        await syncScheduler.runNow();
+      } catch (error) {
+        // Expected
+      }
+
+      expect(events.map(e => e.type)).to.deep.equal(['sync.started', 'sync.failed']);
+      expect(events[1].data.error).to.equal('Access Server unreachable');
+    });
+  });
+
+  describe('liveController.streamEvents', function() {
+    const makeRes = () => {
+      const res = new EventEmitter();
+      res.chunks = [];
+      res.writableEnded = false;
+      res.status = sinon.stub().returns(res);
+      res.set = sinon.stub().returns(res);
+      res.flushHeaders = sinon.stub();
+      res.write = (chunk) => res.chunks.push(chunk);
+      res.end = () => { res.writableEnded = true; };
+      return res;
+    };
+
+    const makeReq = (user = {}) => {
+      const req = new EventEmitter();
+      req.user = { id: 1, email: 'admin@example.com', role: 'admin', tokenVersion: 0, ...user };
+      return req;
+    };
+
+    beforeEach(function() {
+      sinon.stub(ConnectionSession, 'findAllActive').resolves([
+        { id: 5, user_id: 7, username: 'alice', virtual_ip: '10.8.0.6', bytes_sent: '10', bytes_received: '20' }
+      ]);
+    });
+
+    it('should start with a snapshot and forward published events', async function() {
+      const req = makeReq({ tokenExpiresAt: Math.floor(Date.now() / 1000) + 900 });
+      const res = makeRes();
+
+      await liveController.streamEvents(req, res, sinon.stub());
+      realtimeService.publish('session.disconnected', { sessionId: 5, username: 'alice' });
+      req.emit('close');
+      realtimeService.publish('session.connected', { sessionId: 6 });
+
+      expect(res.set.firstCall.args[0]['Content-Type']).to.equal('text/event-stream');
+      const output = res.chunks.join('');
+      expect(output).to.match(/event: snapshot\ndata: \{"sessions":\[\{"id":5,/);
+      expect(output).to.include('"bytes_received":20');
+      expect(output).to.match(/id: \d+\nevent: session\.disconnected\ndata: \{"sessionId":5,"username":"alice"/);
+      // Nothing is written once the client has gone
+      expect(output).to.not.include('session.connected');
+    });
+
+    it('should end the stream when the access token expires', async function() {
+      const clock = sinon.useFakeTimers({ now: Date.now(), toFake: ['setTimeout', 'clearTimeout', 'setInterval', 'clearInterval'] });
+      sinon.stub(sessionService, 'isTokenCurrent').resolves(true);
+      const req = makeReq({ tokenExpiresAt: Math.floor(Date.now() / 1000) + 60 });
+      const res = makeRes();
+
+      await liveController.streamEvents(req, res, sinon.stub());
+      clock.tick(61000);
+
+      expect(res.writableEnded).to.be.true;
+      expect(res.chunks.join('')).to.include('event: end\ndata: {"reason":"token_expired"');
+      expect(realtimeService.getSubscriberCount()).to.equal(1);
+    });
+  });
+});
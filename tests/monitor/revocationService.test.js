@@ -0,0 +1,183 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const revocationService = require('../../src/services/revocationService');
+const ConfigFile = require('../../src/models/ConfigFile');
+const openvpnUserSync = require('../../src/services/openvpnUserSync');
+const pkiService = require('../../src/services/pkiService');
+const vpnBackend = require('../../src/services/vpnBackend');
+
+/**
+ * Revocation Service Unit Tests
+ * Tests how profile revocations are applied on the VPN server and retried
+ */
+describe('Revocation Service', function() {
+  let revokeUserStub;
+  let disconnectStub;
+  let appliedStub;
+  let failedStub;
+
+  beforeEach(function() {
+    revokeUserStub = sinon.stub(openvpnUserSync, 'revokeUser').resolves({ success: true });
+    disconnectStub = sinon.stub(openvpnUserSync, 'disconnectUser').resolves({ success: true });
+    appliedStub = sinon.stub(ConfigFile, 'markRevocationApplied').resolves(1);
+    failedStub = sinon.stub(ConfigFile, 'markRevocationFailed').resolves(1);
+    sinon.stub(pkiService, 'revokeConfigCertificate').resolves(1);
+    sinon.stub(pkiService, 'revokeUserConfigCertificates').resolves(2);
+  });
+
+  afterEach(function() {
+    sinon.restore();
+  });
+
+  describe('revokeConfig', function() {
+    it('should revoke the config and every other active config of the user', async function() {
+      sinon.stub(vpnBackend, 'usesBuiltInPki').value(false);
+      const revokeStub = sinon.stub(ConfigFile, 'revoke').resolves(true);
+      const revokeAllStub = sinon.stub(ConfigFile, 'revokeAllByUserId').resolves(2);
+
+      const result = await revocationService.revokeConfig({ id: 9, user_id: 7, username: 'alice' }, 1);
+
+      expect(revokeStub.calledWith(9, 1)).to.be.true;
+      expect(revokeAllStub.calledWith(7, 1)).to.be.true;
+      expect(pkiService.revokeConfigCertificate.calledWith(9)).to.be.true;
+      expect(pkiService.revokeUserConfigCertificates.calledWith(7)).to.be.true;
+      expect(result).to.deep.equal({ alsoRevoked: 2, applied: true, error: null });
+    });
+  });
+
+  describe('with the built-in PKI', function() {
+    let publishStub;
+
+    beforeEach(function() {
+      sinon.stub(vpnBackend, 'usesBuiltInPki').value(true);
+      publishStub = sinon.stub(pkiService, 'publish').resolves({ crl: '', published: [] });
+    });
+
+    it('should revoke only the config and publish the CRL', async function() {
+      const revokeStub = sinon.stub(ConfigFile, 'revoke').resolves(true);
+      const revokeAllStub = sinon.stub(ConfigFile, 'revokeAllByUserId').resolves(2);
+
+      const result = await revocationService.revokeConfig({ id: 9, user_id: 7, username: 'alice' }, 1);
+
+      expect(revokeStub.calledWith(9, 1)).to.be.true;
+      expect(revokeAllStub.called).to.be.false;
+      expect(pkiService.revokeConfigCertificate.calledWith(9)).to.be.true;
+      expect(pkiService.revokeUserConfigCertificates.called).to.be.false;
+      expect(publishStub.calledOnce).to.be.true;
+      expect(revokeUserStub.called).to.be.false;
+      expect(disconnectStub.called).to.be.false;
+      expect(appliedStub.calledWith(7)).to.be.true;
+      expect(result).to.deep.equal({ alsoRevoked: 0, applied: true, error: null });
+    });
+
+    it('should keep the revocation pending when the CRL cannot be published', async function() {
+      publishStub.rejects(new Error('EACCES'));
+
+      const result = await revocationService.applyForUser(7, 'alice');
+
+      expect(result).to.deep.equal({ applied: false, error: 'EACCES' });
+      expect(failedStub.calledWith(7, 'EACCES')).to.be.true;
+      expect(revokeUserStub.called).to.be.false;
+    });
+  });
+
+  describe('applyForUser', function() {
+    beforeEach(function() {
+      sinon.stub(vpnBackend, 'usesBuiltInPki').value(false);
+    });
+
+    it('should revoke on the server and disconnect the user', async function() {
+      const result = await revocationService.applyForUser(7, 'alice');
+
+      expect(result.applied).to.be.true;
+      expect(revokeUserStub.calledWith('alice')).to.be.true;
+      expect(appliedStub.calledWith(7)).to.be.true;
+      expect(disconnectStub.calledWith('alice', 'VPN profile revoked')).to.be.true;
+      expect(failedStub.called).to.be.false;
+    });
+
+    it('should keep the revocation pending when the server is unreachable', async function() {
+      revokeUserStub.rejects(new Error('connect ECONNREFUSED'));
+
+      const result = await revocationService.applyForUser(7, 'alice');
+
+      expect(result).to.deep.equal({ applied: false, error: 'connect ECONNREFUSED' });
+      expect(failedStub.calledWith(7, 'connect ECONNREFUSED')).to.be.true;
+      expect(appliedStub.called).to.be.false;
+      expect(disconnectStub.called).to.be.false;
+    });
+
+    it('should not fail the revocation when the disconnect fails', async function() {
+      disconnectStub.rejects(new Error('no such user'));
+
+      const result = await revocationService.applyForUser(7, 'alice');
+
+      expect(result.applied).to.be.true;
+      expect(appliedStub.calledOnce).to.be.true;
+    });
+
+    it('should mark users without a VPN username as applied', async function() {
+      const result = await revocationService.applyForUser(7, null);
+
+      expect(result.applied).to.be.true;
+      expect(revokeUserStub.called).to.be.false;
+      expect(appliedStub.calledWith(7)).to.be.true;
+    });
+  });
+
+  describe('ensureApplied', function() {
+    beforeEach(function() {
+      sinon.stub(vpnBackend, 'usesBuiltInPki').value(false);
+    });
+
+    it('should not contact the server when nothing is pending', async function() {
+      sinon.stub(ConfigFile, 'hasPendingRevocation').resolves(false);
+
+      expect(await revocationService.ensureApplied({ id: 7, username: 'alice' })).to.be.true;
+      expect(revokeUserStub.called).to.be.false;
+    });
+
+    it('should apply a pending revocation right away', async function() {
+      sinon.stub(ConfigFile, 'hasPendingRevocation').resolves(true);
+
+      expect(await revocationService.ensureApplied({ id: 7, username: 'alice' })).to.be.true;
+      expect(revokeUserStub.calledWith('alice')).to.be.true;
+    });
+
+    it('should report a revocation that still cannot be applied', async function() {
+      sinon.stub(ConfigFile, 'hasPendingRevocation').resolves(true);
+      revokeUserStub.rejects(new Error('timeout'));
+
+      expect(await revocationService.ensureApplied({ id: 7, username: 'alice' })).to.be.false;
+    });
+  });
+
+  describe('processQueue', function() {
+    beforeEach(function() {
+      sinon.stub(vpnBackend, 'usesBuiltInPki').value(false);
+    });
+
+    it('should retry every due revocation', async function() {
+      sinon.stub(ConfigFile, 'findPendingRevocations').resolves([
+        { user_id: 7, username: 'alice', config_count: 1, attempts: 2 },
+        { user_id: 8, username: 'bob', config_count: 3, attempts: 0 }
+      ]);
+      revokeUserStub.withArgs('bob').rejects(new Error('timeout'));
+
+      const result = await revocationService.processQueue();
+
+      expect(result).to.deep.equal({ processed: 2, applied: 1 });
+      expect(appliedStub.calledWith(7)).to.be.true;
+      expect(failedStub.calledWith(8, 'timeout')).to.be.true;
+    });
+
+    it('should not throw when the queue cannot be read', async function() {
+      sinon.stub(ConfigFile, 'findPendingRevocations').rejects(new Error('db down'));
+
+      const result = await revocationService.processQueue();
+
+      expect(result).to.deep.equal({ processed: 0, applied: 0 });
+      expect(revocationService.isProcessing).to.be.false;
+    });
+  });
+});
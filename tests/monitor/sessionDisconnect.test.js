@@ -0,0 +1,156 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const adminController = require('../../src/controllers/adminController');
+const ConnectionSession = require('../../src/models/ConnectionSession');
+const Device = require('../../src/models/Device');
+const User = require('../../src/models/User');
+const openvpnUserSync = require('../../src/services/openvpnUserSync');
+const vpnBackend = require('../../src/services/vpnBackend');
+const AccessServerBackend = require('../../src/services/vpnBackends/accessServerBackend');
+const trafficShaper = require('../../src/services/trafficShaper');
+const auditService = require('../../src/services/auditService');
+
+/**
+ * Admin Session Disconnect Unit Tests
+ * Tests kicking live VPN sessions and recording the admin action
+ */
+describe('Admin Session Disconnect', function() {
+  const admin = { id: 1, email: 'admin@example.com', role: 'admin' };
+  const activeSessions = [
+    { id: 5, user_id: 7, device_id: 3, username: 'alice', real_address: '203.0.113.5:51000', virtual_ip: '10.8.0.6', status: 'active' },
+    { id: 6, user_id: 7, device_id: 4, username: 'alice', real_address: '203.0.113.6:51001', virtual_ip: '10.8.0.7', status: 'active' }
+  ];
+
+  const makeRes = () => {
+    const res = {};
+    res.status = sinon.stub().returns(res);
+    res.json = sinon.stub().returns(res);
+    return res;
+  };
+
+  let disconnectStub;
+  let closeStub;
+  let deviceStub;
+  let auditStub;
+
+  beforeEach(function() {
+    auditStub = sinon.stub(auditService, 'record').resolves(1);
+    disconnectStub = sinon.stub(openvpnUserSync, 'disconnectUser').resolves({ success: true });
+    closeStub = sinon.stub(ConnectionSession, 'closeByAdmin').resolves(2);
+    deviceStub = sinon.stub(Device, 'update').resolves({});
+    sinon.stub(trafficShaper, 'removeForClient').resolves(false);
+  });
+
+  afterEach(function() {
+    sinon.restore();
+  });
+
+  describe('disconnectSession', function() {
+    it('should disconnect the user of the session with the Access Server and record who did it', async function() {
+      sinon.stub(vpnBackend, 'disconnectsSessions').value(false);
+      sinon.stub(ConnectionSession, 'findById').resolves(activeSessions[0]);
+      sinon.stub(ConnectionSession, 'findAllActive').resolves(activeSessions);
+      const req = { params: { id: 5 }, body: { reason: 'Offboarded' }, user: admin };
+      const res = makeRes();
+
+      await adminController.disconnectSession(req, res, sinon.stub());
+
+      expect(disconnectStub.firstCall.args[0]).to.equal('alice');
+      expect(disconnectStub.firstCall.args[1]).to.include('Offboarded');
+      expect(closeStub.calledWith([5, 6], 1, 'Offboarded')).to.be.true;
+      expect(deviceStub.calledWith(3, { is_active: false })).to.be.true;
+      expect(deviceStub.calledWith(4, { is_active: false })).to.be.true;
+      expect(res.json.firstCall.args[0].data).to.include({ sessionsClosed: 2, devicesMarkedInactive: 2 });
+      expect(auditStub.firstCall.args[1]).to.deep.include({ action: 'session.disconnect', targetId: 5 });
+    });
+
+    it('should disconnect only the session when the backend can', async function() {
+      sinon.stub(vpnBackend, 'disconnectsSessions').value(true);
+      const sessionStub = sinon.stub(openvpnUserSync, 'disconnectSession').resolves({ success: true, disconnected: 1 });
+      sinon.stub(ConnectionSession, 'findById').resolves(activeSessions[1]);
+      sinon.stub(ConnectionSession, 'findAllActive').resolves(activeSessions);
+      closeStub.resolves(1);
+      const res = makeRes();
+
+      await adminController.disconnectSession({ params: { id: 6 }, body: { reason: 'Lost laptop' }, user: admin }, res, sinon.stub());
+
+      expect(sessionStub.firstCall.args[0]).to.deep.equal({ username: 'alice', realAddress: '203.0.113.6:51001', virtualAddress: '10.8.0.7' });
+      expect(sessionStub.firstCall.args[1]).to.include('Lost laptop');
+      expect(disconnectStub.called).to.be.false;
+      expect(closeStub.calledWith([6], 1, 'Lost laptop')).to.be.true;
+      expect(deviceStub.calledOnceWith(4, { is_active: false })).to.be.true;
+      expect(res.json.firstCall.args[0].data).to.include({ sessionsClosed: 1, devicesMarkedInactive: 1 });
+    });
+
+    it('should reject sessions that are already closed', async function() {
+      sinon.stub(ConnectionSession, 'findById').resolves({ ...activeSessions[0], status: 'closed' });
+      const res = makeRes();
+
+      await adminController.disconnectSession({ params: { id: 5 }, body: {}, user: admin }, res, sinon.stub());
+
+      expect(res.status.calledWith(409)).to.be.true;
+      expect(disconnectStub.called).to.be.false;
+    });
+
+    it('should not close sessions when the VPN server could not be reached', async function() {
+      sinon.stub(ConnectionSession, 'findById').resolves(activeSessions[0]);
+      sinon.stub(ConnectionSession, 'findAllActive').resolves(activeSessions);
+      disconnectStub.rejects(new Error('Profile proxy unreachable'));
+      const res = makeRes();
+
+      await adminController.disconnectSession({ params: { id: 5 }, body: {}, user: admin }, res, sinon.stub());
+
+      expect(res.status.calledWith(502)).to.be.true;
+      expect(closeStub.called).to.be.false;
+      expect(deviceStub.called).to.be.false;
+    });
+  });
+
+  describe('disconnectUserSessions', function() {
+    it('should disconnect the user even without recorded sessions', async function() {
+      sinon.stub(User, 'findById').resolves({ id: 7, username: 'alice', email: 'alice@example.com' });
+      sinon.stub(ConnectionSession, 'findAllActive').resolves([]);
+      closeStub.resolves(0);
+      const res = makeRes();
+
+      await adminController.disconnectUserSessions({ params: { id: 7 }, body: {}, user: admin }, res, sinon.stub());
+
+      expect(disconnectStub.calledOnce).to.be.true;
+      expect(res.json.firstCall.args[0].success).to.be.true;
+    });
+
+    it('should return 404 for unknown users', async function() {
+      sinon.stub(User, 'findById').resolves(null);
+      const res = makeRes();
+
+      await adminController.disconnectUserSessions({ params: { id: 99 }, body: {}, user: admin }, res, sinon.stub());
+
+      expect(res.status.calledWith(404)).to.be.true;
+    });
+  });
+
+  describe('disconnectUser on the VPN server', function() {
+    it('should go through the profile proxy when it is configured', async function() {
+      const backend = new AccessServerBackend();
+      const proxyStub = sinon.stub(backend, 'userActionViaProxy').resolves({ success: true });
+      const execStub = sinon.stub(backend, 'execSacli');
+      backend.useProfileProxy = true;
+
+      await backend.disconnectUser('alice', 'Offboarded');
+
+      expect(proxyStub.calledWith('alice', 'disconnect', { reason: 'Offboarded' })).to.be.true;
+      expect(execStub.called).to.be.false;
+    });
+
+    it('should refuse usernames that are not safe for sacli', async function() {
+      disconnectStub.restore();
+
+      try {
+        await openvpnUserSync.disconnectUser('alice"; rm -rf /');
+        expect.fail('should have thrown');
+      } catch (error) {
+        expect(error.message).to.include('Invalid username');
+      }
+    });
+  });
+});
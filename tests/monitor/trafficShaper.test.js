@@ -0,0 +1,138 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const trafficShaper = require('../../src/services/trafficShaper');
+const QosPolicy = require('../../src/models/QosPolicy');
+
+/**
+ * Traffic Shaper Unit Tests
+ * Runs the shaper against a fake tc executor that records every command
+ */
+describe('Traffic Shaper Service', function() {
+  let commands;
+  let originalEnabled;
+
+  const policy = (overrides = {}) => ({
+    id: 2,
+    name: 'Standard',
+    bandwidth_limit: 5120,
+    priority: 'medium',
+    policy_source: 'user',
+    ...overrides
+  });
+
+  beforeEach(function() {
+    commands = [];
+    originalEnabled = trafficShaper.enabled;
+    trafficShaper.enabled = true;
+    trafficShaper.device = 'tun0';
+    trafficShaper.setExecutor(async (args) => {
+      commands.push(args.join(' '));
+      return '';
+    });
+  });
+
+  afterEach(function() {
+    trafficShaper.enabled = originalEnabled;
+    sinon.restore();
+  });
+
+  describe('getClassMinor', function() {
+    it('should derive the class from the last two octets', function() {
+      expect(trafficShaper.getClassMinor('10.8.0.6')).to.equal(6);
+      expect(trafficShaper.getClassMinor('172.27.225.10')).to.equal((225 << 8) | 10);
+    });
+
+    it('should reject addresses that cannot be shaped', function() {
+      expect(trafficShaper.getClassMinor('10.8.0.1')).to.be.null;
+      expect(trafficShaper.getClassMinor('fd00::6')).to.be.null;
+      expect(trafficShaper.getClassMinor(undefined)).to.be.null;
+    });
+  });
+
+  describe('applyForClient', function() {
+    it('should install the root qdiscs, the client class and both filters', async function() {
+      sinon.stub(QosPolicy, 'getEffectiveDevicePolicy').resolves(policy());
+
+      const applied = await trafficShaper.applyForClient('10.8.0.6', 3);
+
+      expect(applied).to.include({ rateKbit: 5120, priority: 'medium', policyId: 2 });
+      expect(commands).to.include('qdisc add dev tun0 root handle 1: htb');
+      expect(commands).to.include('qdisc add dev tun0 handle ffff: ingress');
+      expect(commands).to.include(
+        'class replace dev tun0 parent 1:ffff classid 1:6 htb rate 5120kbit ceil 5120kbit prio 4'
+      );
+      expect(commands).to.include(
+        'filter add dev tun0 parent 1: protocol ip prio 6 u32 match ip dst 10.8.0.6/32 flowid 1:6'
+      );
+      expect(commands.some(c => c.startsWith('filter add dev tun0 parent ffff:') &&
+        c.includes('match ip src 10.8.0.6/32 police rate 5120kbit'))).to.be.true;
+    });
+
+    it('should not run tc again when the policy is unchanged', async function() {
+      sinon.stub(QosPolicy, 'getEffectiveDevicePolicy').resolves(policy());
+
+      await trafficShaper.applyForClient('10.8.0.6', 3);
+      const count = commands.length;
+      await trafficShaper.applyForClient('10.8.0.6', 3);
+
+      expect(commands.length).to.equal(count);
+    });
+
+    it('should replace the filters when the limit changes', async function() {
+      const stub = sinon.stub(QosPolicy, 'getEffectiveDevicePolicy').resolves(policy());
+      await trafficShaper.applyForClient('10.8.0.6', 3);
+
+      stub.resolves(policy({ bandwidth_limit: 20480, priority: 'high' }));
+      commands = [];
+      await trafficShaper.applyForClient('10.8.0.6', 3);
+
+      expect(commands[0]).to.equal('filter del dev tun0 parent 1: prio 6');
+      expect(commands[1]).to.equal('filter del dev tun0 parent ffff: prio 6');
+      expect(commands).to.include(
+        'class replace dev tun0 parent 1:ffff classid 1:6 htb rate 20480kbit ceil 20480kbit prio 1'
+      );
+    });
+
+    it('should do nothing when shaping is disabled', async function() {
+      trafficShaper.enabled = false;
+      const stub = sinon.stub(QosPolicy, 'getEffectiveDevicePolicy').resolves(policy());
+
+      const applied = await trafficShaper.applyForClient('10.8.0.6', 3);
+
+      expect(applied).to.be.null;
+      expect(stub.called).to.be.false;
+      expect(commands).to.be.empty;
+    });
+
+    it('should lift the limit when the device no longer has a policy', async function() {
+      const stub = sinon.stub(QosPolicy, 'getEffectiveDevicePolicy').resolves(policy());
+      await trafficShaper.applyForClient('10.8.0.6', 3);
+
+      stub.resolves(null);
+      commands = [];
+      await trafficShaper.applyForClient('10.8.0.6', 3);
+
+      expect(commands).to.include('class del dev tun0 classid 1:6');
+      expect(trafficShaper.getStatus().shapedClients).to.be.empty;
+    });
+  });
+
+  describe('removeDisconnected', function() {
+    it('should tear down clients that are no longer connected', async function() {
+      sinon.stub(QosPolicy, 'getEffectiveDevicePolicy').resolves(policy());
+      await trafficShaper.applyForClient('10.8.0.6', 3);
+      await trafficShaper.applyForClient('10.8.0.7', 4);
+      commands = [];
+
+      const removed = await trafficShaper.removeDisconnected(['10.8.0.7']);
+
+      expect(removed).to.equal(1);
+      expect(commands).to.deep.equal([
+        'filter del dev tun0 parent 1: prio 6',
+        'filter del dev tun0 parent ffff: prio 6',
+        'class del dev tun0 classid 1:6'
+      ]);
+      expect(trafficShaper.getStatus().shapedClients.map(c => c.virtualIp)).to.deep.equal(['10.8.0.7']);
+    });
+  });
+});
@@ -0,0 +1,97 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const usageAccounting = require('../../src/services/usageAccounting');
+const BandwidthUsage = require('../../src/models/BandwidthUsage');
+const { toCsv } = require('../../src/utils/csv');
+
+/**
+ * Usage Accounting Unit Tests
+ * Tests delta computation, period bucketing and CSV export
+ */
+describe('Usage Accounting Service', function() {
+  afterEach(function() {
+    sinon.restore();
+  });
+
+  describe('computeDelta', function() {
+    it('should return the difference between two polls', function() {
+      const delta = usageAccounting.computeDelta(
+        { bytesSent: 1000, bytesReceived: 4000 },
+        { bytesSent: 1500, bytesReceived: 9000 }
+      );
+      expect(delta).to.deep.equal({ bytesSent: 500, bytesReceived: 5000 });
+    });
+
+    it('should count the whole counter after a reset', function() {
+      const delta = usageAccounting.computeDelta(
+        { bytesSent: 90000, bytesReceived: 90000 },
+        { bytesSent: 300, bytesReceived: 700 }
+      );
+      expect(delta).to.deep.equal({ bytesSent: 300, bytesReceived: 700 });
+    });
+
+    it('should accept counters returned as strings by MySQL', function() {
+      const delta = usageAccounting.computeDelta(
+        { bytesSent: '1000', bytesReceived: '2000' },
+        { bytesSent: 1000, bytesReceived: 2500 }
+      );
+      expect(delta).to.deep.equal({ bytesSent: 0, bytesReceived: 500 });
+    });
+  });
+
+  describe('getPeriodStarts', function() {
+    it('should return the start of the hour, day and month', function() {
+      const starts = usageAccounting.getPeriodStarts(new Date(2025, 10, 7, 14, 35, 12));
+      expect(starts).to.deep.equal({
+        hour: '2025-11-07 14:00:00',
+        day: '2025-11-07 00:00:00',
+        month: '2025-11-01 00:00:00'
+      });
+    });
+  });
+
+  describe('recordUsage', function() {
+    it('should add the delta to the usage buckets', async function() {
+      const addStub = sinon.stub(BandwidthUsage, 'add').resolves();
+
+      await usageAccounting.recordUsage({
+        userId: 7,
+        deviceId: 3,
+        previous: { bytesSent: 100, bytesReceived: 200 },
+        current: { bytesSent: 150, bytesReceived: 260 },
+        at: new Date(2025, 0, 31, 23, 59)
+      });
+
+      expect(addStub.calledOnce).to.be.true;
+      const [userId, deviceId, starts, sent, received] = addStub.firstCall.args;
+      expect(userId).to.equal(7);
+      expect(deviceId).to.equal(3);
+      expect(starts.hour).to.equal('2025-01-31 23:00:00');
+      expect(sent).to.equal(50);
+      expect(received).to.equal(60);
+    });
+
+    it('should skip the database when nothing was transferred', async function() {
+      const addStub = sinon.stub(BandwidthUsage, 'add').resolves();
+
+      await usageAccounting.recordUsage({
+        userId: 7,
+        deviceId: 3,
+        previous: { bytesSent: 100, bytesReceived: 200 },
+        current: { bytesSent: 100, bytesReceived: 200 }
+      });
+
+      expect(addStub.called).to.be.false;
+    });
+  });
+
+  describe('CSV export', function() {
+    it('should quote values containing separators and neutralize formulas', function() {
+      const csv = toCsv(
+        [{ name: 'Smith, John', note: '=SUM(A1)', bytes: 10 }],
+        ['name', 'note', 'bytes']
+      );
+      expect(csv).to.equal('name,note,bytes\r\n"Smith, John",\'=SUM(A1),10\r\n');
+    });
+  });
+});
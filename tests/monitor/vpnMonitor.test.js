@@ -0,0 +1,339 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const vpnMonitor = require('../../src/services/vpnMonitor');
+const ConnectionSession = require('../../src/models/ConnectionSession');
+const usageAccounting = require('../../src/services/usageAccounting');
+const pool = require('../../src/config/database');
+const vpnBackend = require('../../src/services/vpnBackend');
+
+/**
+ * VPN Monitor Session Tracking Unit Tests
+ * Tests how polled clients are mapped onto connection_sessions rows
+ */
+describe('VPN Monitor Session Tracking', function() {
+  const device = { userId: 7, deviceId: 3 };
+  const connectedAt = new Date('2025-11-07T10:00:00Z');
+
+  const makeClient = (overrides = {}) => ({
+    username: 'alice',
+    commonName: 'alice',
+    realAddress: '203.0.113.5:51820',
+    realIp: '203.0.113.5',
+    virtualAddress: '10.8.0.6',
+    connectedSinceEpoch: String(connectedAt.getTime() / 1000),
+    bytesSent: 2000,
+    bytesReceived: 5000,
+    cipher: 'AES-256-GCM',
+    ...overrides
+  });
+
+  afterEach(function() {
+    sinon.restore();
+  });
+
+  describe('parseConnectedSince', function() {
+    it('should prefer the epoch column', function() {
+      const parsed = vpnMonitor.parseConnectedSince(makeClient({ connectedSince: 'garbage' }));
+      expect(parsed.getTime()).to.equal(connectedAt.getTime());
+    });
+
+    it('should fall back to the formatted date', function() {
+      const parsed = vpnMonitor.parseConnectedSince({ connectedSince: '2025-11-07T10:00:00Z' });
+      expect(parsed.getTime()).to.equal(connectedAt.getTime());
+    });
+
+    it('should return null when the value cannot be parsed', function() {
+      expect(vpnMonitor.parseConnectedSince({ connectedSince: 'n/a' })).to.be.null;
+    });
+  });
+
+  describe('getDeviceIdentity', function() {
+    it('should prefer the MAC address', function() {
+      const identity = vpnMonitor.getDeviceIdentity(makeClient({
+        hwaddr: '0A-1B-2C-3D-4E-5F',
+        peerInfo: { IV_PLAT: 'win', UV_ASSET: 'LT-042' }
+      }));
+
+      expect(identity.source).to.equal('hwaddr');
+      expect(identity.key).to.have.lengthOf(64);
+      // The notation of the address does not matter
+      expect(vpnMonitor.getDeviceIdentity(makeClient({ peerInfo: { IV_HWADDR: '0a:1b:2c:3d:4e:5f' } })).key)
+        .to.equal(identity.key);
+    });
+
+    it('should not depend on the VPN IP', function() {
+      const first = vpnMonitor.getDeviceIdentity(makeClient({ hwaddr: '0a:1b:2c:3d:4e:5f' }));
+      const second = vpnMonitor.getDeviceIdentity(makeClient({ hwaddr: '0a:1b:2c:3d:4e:5f', virtualAddress: '10.8.0.42' }));
+
+      expect(second.key).to.equal(first.key);
+    });
+
+    it('should use per-device certificates', function() {
+      const identity = vpnMonitor.getDeviceIdentity(makeClient({ commonName: 'alice-laptop' }));
+
+      expect(identity.source).to.equal('certificate');
+      // The per-user certificate of Access Server does not identify a device
+      expect(vpnMonitor.getDeviceIdentity(makeClient({ commonName: 'Alice' })).source).to.equal('vpn_ip');
+    });
+
+    it('should use UV_ variables except the enrollment ID', function() {
+      const identity = vpnMonitor.getDeviceIdentity(makeClient({ peerInfo: { IV_PLAT: 'mac', UV_ASSET: 'LT-042' } }));
+      const enrollmentOnly = vpnMonitor.getDeviceIdentity(makeClient({ peerInfo: { UV_DEVICE_ID: 'abc' } }));
+
+      expect(identity.source).to.equal('peer_info');
+      expect(enrollmentOnly).to.deep.equal({ key: '10.8.0.6', source: 'vpn_ip' });
+    });
+
+    it('should fall back to the VPN IP without peer info', function() {
+      expect(vpnMonitor.getDeviceIdentity(makeClient({ hwaddr: '00:00:00:00:00:00' })))
+        .to.deep.equal({ key: '10.8.0.6', source: 'vpn_ip' });
+    });
+  });
+
+  describe('updateDeviceFromConnection', function() {
+    const client = makeClient({ hwaddr: '0a:1b:2c:3d:4e:5f', platform: 'win' });
+
+    it('should keep the name and type of a known device', async function() {
+      const executeStub = sinon.stub(pool, 'execute');
+      executeStub.onCall(0).resolves([[{ id: 7 }]]);
+      executeStub.onCall(1).resolves([[{ id: 3 }]]);
+      executeStub.onCall(2).resolves([{ affectedRows: 1 }]);
+
+      const result = await vpnMonitor.updateDeviceFromConnection(client);
+
+      expect(result).to.include({ userId: 7, deviceId: 3 });
+      expect(executeStub.thirdCall.args[0]).to.not.match(/name =|device_type =/);
+      expect(executeStub.thirdCall.args[1]).to.deep.equal(['203.0.113.5', '10.8.0.6', 3]);
+    });
+
+    it('should re-key the device created for the VPN IP before fingerprinting', async function() {
+      const executeStub = sinon.stub(pool, 'execute');
+      executeStub.onCall(0).resolves([[{ id: 7 }]]);
+      executeStub.onCall(1).resolves([[]]);
+      executeStub.onCall(2).resolves([[{ id: 4, name: "alice's desktop - win (10.8.0.6)" }]]);
+      executeStub.resolves([{ affectedRows: 1 }]);
+
+      const result = await vpnMonitor.updateDeviceFromConnection(client);
+      const identity = vpnMonitor.getDeviceIdentity(client);
+
+      expect(result).to.include({ userId: 7, deviceId: 4, deviceKey: identity.key });
+      expect(executeStub.getCall(3).args[1]).to.deep.equal([identity.key, 'hwaddr', "alice's desktop - win", 4]);
+      expect(executeStub.getCalls().some(call => /DELETE/.test(call.args[0]))).to.be.false;
+    });
+
+    it('should create a device named without the VPN IP', async function() {
+      const executeStub = sinon.stub(pool, 'execute');
+      executeStub.onCall(0).resolves([[{ id: 7 }]]);
+      executeStub.onCall(1).resolves([[]]);
+      executeStub.onCall(2).resolves([[]]);
+      executeStub.onCall(3).resolves([{ insertId: 9 }]);
+
+      const result = await vpnMonitor.updateDeviceFromConnection(client);
+
+      expect(result.deviceId).to.equal(9);
+      expect(executeStub.getCall(3).args[1].slice(1, 4))
+        .to.deep.equal(["alice's desktop - win", vpnMonitor.getDeviceIdentity(client).key, 'hwaddr']);
+    });
+  });
+
+  describe('recordSession', function() {
+    let recordUsageStub;
+
+    beforeEach(function() {
+      recordUsageStub = sinon.stub(usageAccounting, 'recordUsage').resolves();
+    });
+
+    it('should open a session for a new client', async function() {
+      sinon.stub(ConnectionSession, 'findActive').resolves(null);
+      const openStub = sinon.stub(ConnectionSession, 'open').resolves(42);
+
+      const id = await vpnMonitor.recordSession(makeClient(), device);
+
+      expect(id).to.equal(42);
+      expect(recordUsageStub.firstCall.args[0].previous).to.deep.equal({ bytesSent: 0, bytesReceived: 0 });
+      const data = openStub.firstCall.args[0];
+      expect(data.userId).to.equal(7);
+      expect(data.deviceId).to.equal(3);
+      expect(data.virtualIp).to.equal('10.8.0.6');
+      expect(data.connectedSince.getTime()).to.equal(connectedAt.getTime());
+    });
+
+    it('should refresh the active session of a client that is still connected', async function() {
+      sinon.stub(ConnectionSession, 'findActive').resolves({
+        id: 5, connected_since: connectedAt, bytes_sent: 1000, bytes_received: 1000
+      });
+      const touchStub = sinon.stub(ConnectionSession, 'touch').resolves(true);
+      const openStub = sinon.stub(ConnectionSession, 'open');
+
+      const id = await vpnMonitor.recordSession(makeClient(), device);
+
+      expect(id).to.equal(5);
+      expect(touchStub.calledOnce).to.be.true;
+      expect(touchStub.firstCall.args[1].bytesReceived).to.equal(5000);
+      expect(openStub.called).to.be.false;
+      expect(recordUsageStub.firstCall.args[0].previous).to.deep.equal({ bytesSent: 1000, bytesReceived: 1000 });
+    });
+
+    it('should start a new session when the connection start time changed', async function() {
+      sinon.stub(ConnectionSession, 'findActive').resolves({
+        id: 5, connected_since: new Date('2025-11-07T08:00:00Z'), bytes_sent: 0, bytes_received: 0
+      });
+      const closeStub = sinon.stub(ConnectionSession, 'close').resolves(true);
+      sinon.stub(ConnectionSession, 'open').resolves(6);
+
+      const id = await vpnMonitor.recordSession(makeClient(), device);
+
+      expect(id).to.equal(6);
+      expect(closeStub.calledWith(5, 'reconnected')).to.be.true;
+    });
+
+    it('should start a new session when the traffic counters went backwards', async function() {
+      sinon.stub(ConnectionSession, 'findActive').resolves({
+        id: 5, connected_since: connectedAt, bytes_sent: 9000, bytes_received: 9000
+      });
+      const closeStub = sinon.stub(ConnectionSession, 'close').resolves(true);
+      sinon.stub(ConnectionSession, 'open').resolves(6);
+
+      const id = await vpnMonitor.recordSession(makeClient(), device);
+
+      expect(id).to.equal(6);
+      expect(closeStub.calledOnce).to.be.true;
+    });
+
+    it('should keep the session when usage accounting fails', async function() {
+      recordUsageStub.rejects(new Error('db down'));
+      sinon.stub(ConnectionSession, 'findActive').resolves(null);
+      sinon.stub(ConnectionSession, 'open').resolves(42);
+
+      const id = await vpnMonitor.recordSession(makeClient(), device);
+
+      expect(id).to.equal(42);
+    });
+
+    it('should return null when the database fails', async function() {
+      sinon.stub(ConnectionSession, 'findActive').rejects(new Error('db down'));
+
+      const id = await vpnMonitor.recordSession(makeClient(), device);
+
+      expect(id).to.be.null;
+    });
+  });
+
+  describe('monitor', function() {
+    it('should close sessions of clients that are no longer connected', async function() {
+      sinon.stub(vpnMonitor, 'getVPNStatus').resolves({});
+      sinon.stub(vpnMonitor, 'parseConnectedClients').resolves([makeClient()]);
+      sinon.stub(vpnMonitor, 'updateDeviceFromConnection').resolves(device);
+      sinon.stub(vpnMonitor, 'markInactiveDevices').resolves();
+      sinon.stub(vpnMonitor, 'recordSession').resolves(5);
+      sinon.stub(vpnMonitor, 'enforcePolicy').resolves();
+      sinon.stub(vpnMonitor, 'enforceDeviceLimits').resolves();
+      sinon.stub(ConnectionSession, 'findAllActive').resolves([{ id: 5 }, { id: 4, user_id: 7, username: 'alice' }]);
+      const closeStub = sinon.stub(ConnectionSession, 'closeAllExcept').resolves(1);
+
+      await vpnMonitor.monitor();
+
+      expect(closeStub.calledWith([5])).to.be.true;
+    });
+
+    it('should not close sessions when a session could not be recorded', async function() {
+      sinon.stub(vpnMonitor, 'getVPNStatus').resolves({});
+      sinon.stub(vpnMonitor, 'parseConnectedClients').resolves([makeClient()]);
+      sinon.stub(vpnMonitor, 'updateDeviceFromConnection').resolves(device);
+      sinon.stub(vpnMonitor, 'markInactiveDevices').resolves();
+      sinon.stub(vpnMonitor, 'recordSession').resolves(null);
+      sinon.stub(vpnMonitor, 'enforcePolicy').resolves();
+      sinon.stub(vpnMonitor, 'enforceDeviceLimits').resolves();
+      const closeStub = sinon.stub(ConnectionSession, 'closeAllExcept').resolves(0);
+
+      await vpnMonitor.monitor();
+
+      expect(closeStub.called).to.be.false;
+    });
+
+    it('should record whether the profile proxy answered', async function() {
+      const getStatusStub = sinon.stub(vpnMonitor, 'getVPNStatus').resolves(null);
+
+      await vpnMonitor.monitor();
+
+      const failed = vpnMonitor.getPollState();
+      expect(failed.proxyReachable).to.be.false;
+      expect(failed.lastPollAt).to.be.an.instanceOf(Date);
+
+      getStatusStub.resolves({});
+      sinon.stub(vpnMonitor, 'parseConnectedClients').resolves([]);
+      sinon.stub(vpnMonitor, 'markInactiveDevices').resolves();
+      sinon.stub(vpnMonitor, 'enforceDeviceLimits').resolves();
+      sinon.stub(ConnectionSession, 'findAllActive').resolves([]);
+
+      await vpnMonitor.monitor();
+
+      const state = vpnMonitor.getPollState();
+      expect(state.proxyReachable).to.be.true;
+      expect(state.lastSuccessAt).to.equal(state.lastPollAt);
+      expect(state.sessions).to.deep.equal([]);
+    });
+  });
+
+  describe('live events', function() {
+    let clock;
+
+    beforeEach(function() {
+      clock = sinon.useFakeTimers();
+    });
+
+    afterEach(function() {
+      vpnMonitor.stop();
+      clock.restore();
+    });
+
+    it('should poll once for events arriving together', async function() {
+      const monitorStub = sinon.stub(vpnMonitor, 'monitor').resolves();
+
+      vpnMonitor.handleVpnEvent({ type: 'connect', clientId: 3, username: 'alice' });
+      vpnMonitor.handleVpnEvent({ type: 'disconnect', clientId: 4, username: 'bob' });
+      expect(monitorStub.called).to.be.false;
+
+      await clock.tickAsync(vpnMonitor.eventDelayMs);
+
+      expect(monitorStub.calledOnce).to.be.true;
+    });
+
+    it('should poll again after a poll requested while polling', async function() {
+      let finishPoll;
+      sinon.stub(vpnMonitor, 'getVPNStatus').returns(new Promise((resolve) => { finishPoll = resolve; }));
+
+      const running = vpnMonitor.monitor();
+      await vpnMonitor.monitor();
+      expect(vpnMonitor.pollAgain).to.be.true;
+
+      const scheduleStub = sinon.stub(vpnMonitor, 'schedulePoll');
+      finishPoll(null);
+      await running;
+
+      expect(vpnMonitor.isPolling).to.be.false;
+      expect(scheduleStub.calledOnce).to.be.true;
+    });
+
+    it('should watch the VPN backend while started', async function() {
+      sinon.stub(vpnMonitor, 'monitor').resolves();
+      const unwatch = sinon.stub();
+      let listener;
+      sinon.stub(vpnBackend, 'watch').callsFake((callback) => {
+        listener = callback;
+        return unwatch;
+      });
+
+      vpnMonitor.start();
+      listener({ type: 'connect', clientId: 3, username: 'alice' });
+      await clock.tickAsync(vpnMonitor.eventDelayMs);
+
+      // The poll at start plus the one for the event
+      expect(vpnMonitor.monitor.calledTwice).to.be.true;
+
+      vpnMonitor.stop();
+      expect(unwatch.calledOnce).to.be.true;
+      expect(vpnMonitor.unwatch).to.be.null;
+    });
+  });
+});
@@ -0,0 +1,219 @@
+const crypto = require('crypto');
+const { expect } = require('chai');
+const sinon = require('sinon');
+const axios = require('axios');
+const webhookService = require('../../src/services/webhookService');
+const realtimeService = require('../../src/services/realtimeService');
+const revocationService = require('../../src/services/revocationService');
+const Webhook = require('../../src/models/Webhook');
+const WebhookDelivery = require('../../src/models/WebhookDelivery');
+const ConfigFile = require('../../src/models/ConfigFile');
+const openvpnUserSync = require('../../src/services/openvpnUserSync');
+const pkiService = require('../../src/services/pkiService');
+
+/**
+ * Webhook Service Unit Tests
+ * Tests signing, queuing, delivery attempts with backoff and the retry worker
+ */
+describe('Webhook Service', function() {
+  const payload = { id: 'evt-1', type: 'user.created', created_at: '2026-01-01T00:00:00.000Z', data: { userId: 7 } };
+  let secret;
+  let webhook;
+
+  beforeEach(function() {
+    secret = webhookService.generateSecret();
+    webhook = {
+      id: 3,
+      url: 'https://hooks.example.com/vpn',
+      events: ['user.created'],
+      is_active: true,
+      secret_encrypted: webhookService.encryptSecret(secret)
+    };
+  });
+
+  afterEach(function() {
+    sinon.restore();
+  });
+
+  describe('secrets and signatures', function() {
+    it('should decrypt an encrypted secret', function() {
+      expect(secret).to.match(/^whsec_[0-9a-f]{48}$/);
+      expect(webhook.secret_encrypted).to.not.include(secret);
+      expect(webhookService.decryptSecret(webhook.secret_encrypted)).to.equal(secret);
+    });
+
+    it('should sign the timestamp and body with HMAC-SHA256', function() {
+      const body = JSON.stringify(payload);
+      const signature = webhookService.sign(secret, body, 1700000000);
+
+      const expected = crypto.createHmac('sha256', secret).update(`1700000000.${body}`).digest('hex');
+      expect(signature).to.equal(`t=1700000000,v1=${expected}`);
+    });
+
+    it('should double the backoff with every attempt up to the maximum', function() {
+      expect(webhookService.getBackoffSeconds(1)).to.equal(webhookService.backoffSeconds);
+      expect(webhookService.getBackoffSeconds(3)).to.equal(webhookService.backoffSeconds * 4);
+      expect(webhookService.getBackoffSeconds(30)).to.equal(webhookService.maxBackoffSeconds);
+    });
+  });
+
+  describe('handleEvent', function() {
+    it('should ignore events webhooks cannot subscribe to', async function() {
+      const findStub = sinon.stub(Webhook, 'findSubscribed').resolves([webhook]);
+
+      const count = await webhookService.handleEvent({ type: 'session.throughput', data: {} });
+
+      expect(count).to.equal(0);
+      expect(findStub.called).to.be.false;
+    });
+
+    it('should queue one delivery per subscribed webhook', async function() {
+      sinon.stub(Webhook, 'findSubscribed').resolves([webhook, { ...webhook, id: 4 }]);
+      const enqueueStub = sinon.stub(webhookService, 'enqueue').resolves(1);
+
+      const count = await webhookService.handleEvent({
+        type: 'user.created',
+        data: { userId: 7 },
+        timestamp: '2026-01-01T00:00:00.000Z'
+      });
+
+      expect(count).to.equal(2);
+      expect(enqueueStub.firstCall.args[0]).to.equal(3);
+      expect(enqueueStub.secondCall.args[0]).to.equal(4);
+
+      const queued = enqueueStub.firstCall.args[1];
+      expect(queued).to.include({ type: 'user.created', created_at: '2026-01-01T00:00:00.000Z' });
+      expect(queued.data).to.deep.equal({ userId: 7 });
+      // Both webhooks receive the same event ID
+      expect(enqueueStub.secondCall.args[1].id).to.equal(queued.id);
+    });
+  });
+
+  describe('attempt', function() {
+    let recordStub;
+
+    beforeEach(function() {
+      sinon.stub(WebhookDelivery, 'findById').resolves({
+        id: 11,
+        webhook_id: 3,
+        event_id: 'evt-1',
+        event_type: 'user.created',
+        payload,
+        attempts: 0
+      });
+      sinon.stub(Webhook, 'findWithSecret').resolves(webhook);
+      recordStub = sinon.stub(WebhookDelivery, 'recordAttempt').resolves(true);
+    });
+
+    it('should send a signed request and record the delivery', async function() {
+      const postStub = sinon.stub(axios, 'post').resolves({ status: 204, data: '' });
+
+      const result = await webhookService.attempt(11);
+
+      const [url, body, options] = postStub.firstCall.args;
+      expect(url).to.equal(webhook.url);
+      expect(body).to.equal(JSON.stringify(payload));
+      expect(options.maxRedirects).to.equal(0);
+      expect(options.headers['X-Webhook-Event']).to.equal('user.created');
+      expect(options.headers['X-Webhook-Event-Id']).to.equal('evt-1');
+
+      const [, timestamp, digest] = options.headers['X-Webhook-Signature'].match(/^t=(\d+),v1=([0-9a-f]{64})$/);
+      const expected = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+      expect(digest).to.equal(expected);
+
+      expect(result.status).to.equal('succeeded');
+      expect(recordStub.firstCall.args[1]).to.include({ status: 'succeeded', nextAttemptAt: null, responseStatus: 204 });
+    });
+
+    it('should schedule a retry with backoff after a non-2xx response', async function() {
+      sinon.stub(axios, 'post').resolves({ status: 500, data: 'Internal Server Error' });
+      const before = Date.now();
+
+      const result = await webhookService.attempt(11);
+
+      const attempt = recordStub.firstCall.args[1];
+      expect(attempt.status).to.equal('pending');
+      expect(attempt.error).to.equal('HTTP 500');
+      expect(attempt.responseBody).to.equal('Internal Server Error');
+      expect(attempt.nextAttemptAt.getTime()).to.be.at.least(before + webhookService.backoffSeconds * 1000);
+      expect(result.attempts).to.equal(1);
+    });
+
+    it('should mark the delivery failed after the last attempt', async function() {
+      WebhookDelivery.findById.resolves({
+        id: 11,
+        webhook_id: 3,
+        event_id: 'evt-1',
+        event_type: 'user.created',
+        payload,
+        attempts: webhookService.maxAttempts - 1
+      });
+      const error = new Error('connect ECONNREFUSED');
+      error.code = 'ECONNREFUSED';
+      sinon.stub(axios, 'post').rejects(error);
+
+      const result = await webhookService.attempt(11);
+
+      expect(result.status).to.equal('failed');
+      expect(recordStub.firstCall.args[1]).to.include({
+        status: 'failed',
+        nextAttemptAt: null,
+        responseStatus: null,
+        error: 'ECONNREFUSED: connect ECONNREFUSED'
+      });
+    });
+  });
+
+  describe('processQueue', function() {
+    it('should only attempt the deliveries it claimed', async function() {
+      sinon.stub(WebhookDelivery, 'findDue').resolves([{ id: 1 }, { id: 2 }]);
+      sinon.stub(WebhookDelivery, 'claim')
+        .withArgs(1).resolves(true)
+        .withArgs(2).resolves(false);
+      sinon.stub(WebhookDelivery, 'deleteOlderThan').resolves(0);
+      const attemptStub = sinon.stub(webhookService, 'attempt').resolves({ status: 'succeeded' });
+
+      const result = await webhookService.processQueue();
+
+      expect(result).to.deep.equal({ processed: 1, delivered: 1 });
+      expect(attemptStub.calledOnceWith(1)).to.be.true;
+    });
+  });
+
+  describe('redeliver', function() {
+    it('should fail with 404 when the delivery does not exist', async function() {
+      sinon.stub(WebhookDelivery, 'requeue').resolves(false);
+
+      try {
+        await webhookService.redeliver(99);
+        expect.fail('redeliver should have thrown');
+      } catch (error) {
+        expect(error.statusCode).to.equal(404);
+        expect(error.code).to.equal('DELIVERY_NOT_FOUND');
+      }
+    });
+  });
+
+  describe('lifecycle events', function() {
+    it('should publish profile.revoked when a profile is revoked', async function() {
+      sinon.stub(ConfigFile, 'revoke').resolves(true);
+      sinon.stub(ConfigFile, 'revokeAllByUserId').resolves(0);
+      sinon.stub(pkiService, 'revokeConfigCertificate').resolves(1);
+      sinon.stub(ConfigFile, 'markRevocationApplied').resolves(1);
+      sinon.stub(openvpnUserSync, 'revokeUser').resolves({ success: true });
+      sinon.stub(openvpnUserSync, 'disconnectUser').resolves({ success: true });
+      const events = [];
+      const unsubscribe = realtimeService.subscribe(event => events.push(event));
+
+      try {
+        await revocationService.revokeConfig({ id: 9, user_id: 7, username: 'alice' }, 1);
+      } finally {
+        unsubscribe();
+      }
+
+      expect(events).to.have.length(1);
+      expect(events[0].type).to.equal('profile.revoked');
+      expect(events[0].data).to.include({ configId: 9, userId: 7, username: 'alice', reason: 'revoked', revokedBy: 1 });
+    });
+  });
+});
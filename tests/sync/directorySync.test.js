@@ -0,0 +1,255 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const ldap = require('ldapjs');
+const directorySync = require('../../src/services/directorySync');
+const openvpnUserSync = require('../../src/services/openvpnUserSync');
+const sessionService = require('../../src/services/sessionService');
+const apiTokenService = require('../../src/services/apiTokenService');
+const User = require('../../src/models/User');
+const ApiToken = require('../../src/models/ApiToken');
+
+const BASE_DN = 'ou=people,dc=example,dc=com';
+const BIND_DN = 'cn=sync,dc=example,dc=com';
+const ADMINS = 'cn=vpn-admins,ou=groups,dc=example,dc=com';
+
+/**
+ * Start an in-process LDAP server serving the given entries
+ * Binds are accepted for the service account and for entries with a userPassword.
+ * @returns {Promise<Object>} { server, url }
+ */
+const startDirectory = (entries) => new Promise((resolve) => {
+  const server = ldap.createServer();
+
+  server.bind('dc=example,dc=com', (req, res, next) => {
+    const dn = req.dn.toString();
+    const entry = entries.find(e => e.dn === dn);
+    const expected = dn === BIND_DN ? 'sync-secret' : entry && entry.attributes.userPassword;
+
+    if (!expected || req.credentials !== expected) {
+      return next(new ldap.InvalidCredentialsError());
+    }
+    res.end();
+    return next();
+  });
+
+  server.search(BASE_DN, (req, res, next) => {
+    // ldapjs compares requested attributes with lower-cased attribute names
+    res.attributes = res.attributes.map(name => name.toLowerCase());
+    for (const entry of entries) {
+      if (req.filter.matches(entry.attributes)) {
+        res.send(entry);
+      }
+    }
+    res.end();
+    return next();
+  });
+
+  server.listen(0, '127.0.0.1', () => {
+    resolve({ server, url: `ldap://127.0.0.1:${server.address().port}` });
+  });
+});
+
+const person = (uid, extra = {}) => ({
+  dn: `uid=${uid},${BASE_DN}`,
+  attributes: {
+    objectClass: ['person'],
+    entryUUID: `uuid-${uid}`,
+    uid,
+    mail: `${uid}@example.com`,
+    cn: `${uid} Example`,
+    ...extra
+  }
+});
+
+/**
+ * Directory Sync Unit Tests
+ * Tests the LDAP user import against an in-process LDAP server
+ */
+describe('Directory Sync Service', function() {
+  this.timeout(10000);
+
+  let directory;
+  let originalConfig;
+  let syncUsersStub;
+
+  const useDirectory = async (entries) => {
+    directory = await startDirectory(entries);
+    directorySync.config = directorySync.loadConfig({
+      LDAP_ENABLED: 'true',
+      LDAP_URL: directory.url,
+      LDAP_BIND_DN: BIND_DN,
+      LDAP_BIND_PASSWORD: 'sync-secret',
+      LDAP_BASE_DN: BASE_DN,
+      LDAP_USER_FILTER: '(objectClass=person)',
+      LDAP_GROUP_ROLE_MAPPING: JSON.stringify({ [ADMINS]: 'admin' }),
+      LDAP_TIMEOUT_MS: '2000'
+    });
+  };
+
+  beforeEach(function() {
+    originalConfig = directorySync.config;
+    syncUsersStub = sinon.stub(openvpnUserSync, 'syncUsers').resolves({
+      created: [], updated: [], deleted: [], errors: [], skipped: []
+    });
+    sinon.stub(openvpnUserSync, 'removeUser').resolves({});
+    sinon.stub(sessionService, 'revokeAllForUser').resolves(1);
+  });
+
+  afterEach(function() {
+    sinon.restore();
+    directorySync.config = originalConfig;
+    if (directory) {
+      directory.server.close();
+      directory = null;
+    }
+  });
+
+  describe('Role mapping', function() {
+    it('should pick the most privileged mapped role', function() {
+      directorySync.config = directorySync.loadConfig({
+        LDAP_GROUP_ROLE_MAPPING: JSON.stringify({
+          'CN=Helpdesk, OU=Groups, DC=example, DC=com': 'helpdesk',
+          [ADMINS]: 'admin',
+          'cn=nobody,dc=example,dc=com': 'superuser'
+        })
+      });
+
+      expect(directorySync.config.roleMapping.size).to.equal(2);
+      expect(directorySync.resolveRole(['cn=helpdesk,ou=groups,dc=example,dc=com'])).to.equal('helpdesk');
+      expect(directorySync.resolveRole(['cn=helpdesk,ou=groups,dc=example,dc=com', ADMINS])).to.equal('admin');
+      expect(directorySync.resolveRole([])).to.equal('user');
+    });
+  });
+
+  describe('run', function() {
+    it('should create, update and disable users to match the directory', async function() {
+      await useDirectory([
+        person('alice', { memberOf: [ADMINS] }),
+        person('bob', { cn: 'Bob Renamed' }),
+        person('carol', { userAccountControl: '514' })
+      ]);
+
+      sinon.stub(User, 'findAllBySource').resolves([
+        { id: 2, external_id: 'uuid-bob', username: 'bob', email: 'bob@example.com', name: 'bob Example', role: 'user', external_dn: `uid=bob,${BASE_DN}`, disabled_at: null },
+        { id: 3, external_id: 'uuid-carol', username: 'carol', email: 'carol@example.com', name: 'carol Example', role: 'user', external_dn: `uid=carol,${BASE_DN}`, disabled_at: null },
+        { id: 4, external_id: 'uuid-dave', username: 'dave', email: 'dave@example.com', name: 'dave Example', role: 'user', external_dn: `uid=dave,${BASE_DN}`, disabled_at: null }
+      ]);
+      const createStub = sinon.stub(User, 'createFromDirectory').resolves(10);
+      const updateStub = sinon.stub(User, 'updateFromDirectory').resolves(true);
+      const disableStub = sinon.stub(User, 'disable').resolves(true);
+
+      const results = await directorySync.run();
+
+      expect(createStub.firstCall.args[0]).to.include({
+        externalId: 'uuid-alice',
+        username: 'alice',
+        email: 'alice@example.com',
+        role: 'admin'
+      });
+      expect(updateStub.firstCall.args[0]).to.equal(2);
+      expect(updateStub.firstCall.args[1]).to.include({ name: 'Bob Renamed', role: 'user' });
+      expect(disableStub.args.map(args => args[0])).to.have.members([3, 4]);
+      expect(results.disabled).to.have.members(['carol@example.com', 'dave@example.com']);
+      expect(openvpnUserSync.removeUser.calledWith('dave')).to.be.true;
+      expect(syncUsersStub.calledOnce).to.be.true;
+      expect(directorySync.getStatus().lastResult).to.include({ created: 1, updated: 1, disabled: 2 });
+    });
+
+    it('should lock disabled users out of their API tokens', async function() {
+      await useDirectory([person('alice'), person('carol', { userAccountControl: '514' })]);
+      const users = [
+        { id: 1, external_id: 'uuid-alice', username: 'alice', email: 'alice@example.com', name: 'alice Example', role: 'user', external_dn: `uid=alice,${BASE_DN}`, disabled_at: null },
+        { id: 3, external_id: 'uuid-carol', username: 'carol', email: 'carol@example.com', name: 'carol Example', role: 'user', external_dn: `uid=carol,${BASE_DN}`, disabled_at: null }
+      ];
+      sinon.stub(User, 'findAllBySource').resolves(users);
+      sinon.stub(User, 'updateFromDirectory').resolves(true);
+      sinon.stub(User, 'disable').callsFake(async (id) => {
+        users.find(user => user.id === id).disabled_at = new Date();
+        return true;
+      });
+      sinon.stub(User, 'findById').callsFake(async id => users.find(user => user.id === id) || null);
+      sinon.stub(ApiToken, 'findByHash').callsFake(async hash => ({
+        id: hash === apiTokenService.hashToken('ovpn_pat_carol') ? 8 : 9,
+        user_id: hash === apiTokenService.hashToken('ovpn_pat_carol') ? 3 : 1,
+        name: 'ci',
+        scopes: ['vpn:profile:read'],
+        revoked_at: null,
+        expires_at: null
+      }));
+      sinon.stub(ApiToken, 'touch').resolves();
+
+      await directorySync.run();
+
+      const result = await apiTokenService.authenticate('ovpn_pat_carol', 'vpn:profile:read');
+      expect(result).to.include({ status: 403, code: 'ACCOUNT_DISABLED' });
+      expect(result.user).to.be.undefined;
+      expect(ApiToken.touch.called).to.be.false;
+      expect((await apiTokenService.authenticate('ovpn_pat_alice', 'vpn:profile:read')).user).to.include({ id: 1 });
+    });
+
+    it('should not change anything in a dry run', async function() {
+      await useDirectory([person('alice')]);
+      sinon.stub(User, 'findAllBySource').resolves([]);
+      const createStub = sinon.stub(User, 'createFromDirectory');
+
+      const results = await directorySync.run({ dryRun: true });
+
+      expect(results.created).to.deep.equal(['alice@example.com']);
+      expect(createStub.called).to.be.false;
+      expect(syncUsersStub.called).to.be.false;
+    });
+
+    it('should refuse to disable everyone when the search returns nothing', async function() {
+      await useDirectory([]);
+      sinon.stub(User, 'findAllBySource').resolves([
+        { id: 2, external_id: 'uuid-bob', username: 'bob', email: 'bob@example.com', disabled_at: null }
+      ]);
+      const disableStub = sinon.stub(User, 'disable');
+
+      let error;
+      try {
+        await directorySync.run();
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error.message).to.match(/refusing to disable/);
+      expect(disableStub.called).to.be.false;
+      expect(directorySync.getStatus().lastError).to.match(/refusing to disable/);
+    });
+
+    it('should skip entries without the mapped attributes', async function() {
+      await useDirectory([person('nomail', { mail: [] })]);
+      sinon.stub(User, 'findAllBySource').resolves([]);
+
+      const results = await directorySync.run({ dryRun: true });
+
+      expect(results.skipped[0].reason).to.match(/mail/);
+    });
+
+    it('should fail when the service account is rejected', async function() {
+      await useDirectory([person('alice')]);
+      directorySync.config.bindPassword = 'wrong';
+
+      let error;
+      try {
+        await directorySync.run();
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error).to.be.instanceOf(ldap.InvalidCredentialsError);
+    });
+  });
+
+  describe('authenticate', function() {
+    it('should accept the directory password only', async function() {
+      await useDirectory([person('alice', { userPassword: 'alice-secret' })]);
+      const dn = `uid=alice,${BASE_DN}`;
+
+      expect(await directorySync.authenticate(dn, 'alice-secret')).to.be.true;
+      expect(await directorySync.authenticate(dn, 'wrong')).to.be.false;
+      expect(await directorySync.authenticate(dn, '')).to.be.false;
+    });
+  });
+});